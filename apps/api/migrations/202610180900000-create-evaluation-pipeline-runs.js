@@ -0,0 +1,64 @@
+'use strict';
+
+export const up = async (queryInterface, Sequelize) => {
+  await queryInterface.createTable('EvaluationPipelineRuns', {
+    id: {
+      type: Sequelize.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    model_log_id: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      unique: true,
+      references: {
+        model: 'ModelLogs',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+    },
+    status: {
+      type: Sequelize.ENUM('pending', 'processing', 'completed', 'dead_lettered'),
+      allowNull: false,
+      defaultValue: 'pending',
+    },
+    current_stage: {
+      type: Sequelize.STRING,
+      allowNull: true,
+    },
+    stages: {
+      type: Sequelize.JSON,
+      allowNull: false,
+      defaultValue: {},
+    },
+    context: {
+      type: Sequelize.JSON,
+      allowNull: false,
+      defaultValue: {},
+    },
+    last_error: {
+      type: Sequelize.JSON,
+      allowNull: true,
+    },
+    completed_at: {
+      type: Sequelize.DATE,
+      allowNull: true,
+    },
+    created_at: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+    updated_at: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+  });
+
+  await queryInterface.addIndex('EvaluationPipelineRuns', ['status']);
+};
+
+export const down = async (queryInterface) => {
+  await queryInterface.dropTable('EvaluationPipelineRuns');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_EvaluationPipelineRuns_status";');
+};
@@ -0,0 +1,54 @@
+'use strict';
+
+export const up = async (queryInterface, Sequelize) => {
+  await queryInterface.addColumn('ModelLogs', 'input_tokens', {
+    type: Sequelize.INTEGER,
+    allowNull: true,
+    comment: 'Prompt tokens billed at the regular input rate (excludes cached tokens)',
+  });
+  await queryInterface.addColumn('ModelLogs', 'output_tokens', {
+    type: Sequelize.INTEGER,
+    allowNull: true,
+  });
+  await queryInterface.addColumn('ModelLogs', 'cached_tokens', {
+    type: Sequelize.INTEGER,
+    allowNull: true,
+  });
+  await queryInterface.addColumn('ModelLogs', 'input_cost', {
+    type: Sequelize.DECIMAL(16, 8),
+    allowNull: true,
+  });
+  await queryInterface.addColumn('ModelLogs', 'output_cost', {
+    type: Sequelize.DECIMAL(16, 8),
+    allowNull: true,
+  });
+  await queryInterface.addColumn('ModelLogs', 'cached_cost', {
+    type: Sequelize.DECIMAL(16, 8),
+    allowNull: true,
+  });
+  await queryInterface.addColumn('ModelLogs', 'total_cost', {
+    type: Sequelize.DECIMAL(16, 8),
+    allowNull: true,
+    comment: 'USD cost of the call; null when usage or pricing is unknown',
+  });
+  await queryInterface.addColumn('ModelLogs', 'pricing_model', {
+    type: Sequelize.STRING,
+    allowNull: true,
+    comment: 'Catalog or custom pricing entry the cost was computed with',
+  });
+};
+
+export const down = async (queryInterface) => {
+  for (const column of [
+    'input_tokens',
+    'output_tokens',
+    'cached_tokens',
+    'input_cost',
+    'output_cost',
+    'cached_cost',
+    'total_cost',
+    'pricing_model',
+  ]) {
+    await queryInterface.removeColumn('ModelLogs', column);
+  }
+};
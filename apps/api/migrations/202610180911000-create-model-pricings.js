@@ -0,0 +1,55 @@
+'use strict';
+
+export const up = async (queryInterface, Sequelize) => {
+  await queryInterface.createTable('ModelPricings', {
+    id: {
+      type: Sequelize.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    company_id: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'Companies',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+    },
+    provider: {
+      type: Sequelize.STRING,
+      allowNull: true,
+    },
+    model: {
+      type: Sequelize.STRING,
+      allowNull: false,
+    },
+    input_cost_per_million: {
+      type: Sequelize.DECIMAL(12, 6),
+      allowNull: false,
+    },
+    output_cost_per_million: {
+      type: Sequelize.DECIMAL(12, 6),
+      allowNull: false,
+    },
+    cached_input_cost_per_million: {
+      type: Sequelize.DECIMAL(12, 6),
+      allowNull: true,
+    },
+    created_at: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+    updated_at: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+  });
+
+  await queryInterface.addIndex('ModelPricings', ['company_id']);
+};
+
+export const down = async (queryInterface) => {
+  await queryInterface.dropTable('ModelPricings');
+};
@@ -0,0 +1,103 @@
+'use strict';
+
+export const up = async (queryInterface, Sequelize) => {
+  await queryInterface.createTable('MonitoringUsageLogs', {
+    id: {
+      type: Sequelize.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    company_id: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'Companies',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+    },
+    agent_id: {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+    },
+    model_id: {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      comment: 'Monitored model the call was made for',
+    },
+    model_log_id: {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+    },
+    environment: {
+      type: Sequelize.STRING,
+      allowNull: false,
+      defaultValue: 'production',
+    },
+    category: {
+      type: Sequelize.STRING,
+      allowNull: false,
+      comment: 'evaluation, optimization, insights, ab_test or other',
+    },
+    provider: {
+      type: Sequelize.STRING,
+      allowNull: true,
+    },
+    model: {
+      type: Sequelize.STRING,
+      allowNull: true,
+    },
+    input_tokens: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    output_tokens: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    cached_tokens: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    input_cost: {
+      type: Sequelize.DECIMAL(16, 8),
+      allowNull: true,
+    },
+    output_cost: {
+      type: Sequelize.DECIMAL(16, 8),
+      allowNull: true,
+    },
+    cached_cost: {
+      type: Sequelize.DECIMAL(16, 8),
+      allowNull: true,
+    },
+    total_cost: {
+      type: Sequelize.DECIMAL(16, 8),
+      allowNull: true,
+    },
+    pricing_model: {
+      type: Sequelize.STRING,
+      allowNull: true,
+    },
+    created_at: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+    updated_at: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+  });
+
+  await queryInterface.addIndex('MonitoringUsageLogs', ['company_id', 'created_at']);
+  await queryInterface.addIndex('MonitoringUsageLogs', ['agent_id', 'created_at']);
+  await queryInterface.addIndex('MonitoringUsageLogs', ['model_id', 'created_at']);
+};
+
+export const down = async (queryInterface) => {
+  await queryInterface.dropTable('MonitoringUsageLogs');
+};
@@ -0,0 +1,83 @@
+'use strict';
+
+export const up = async (queryInterface, Sequelize) => {
+  await queryInterface.createTable('RedactionPolicies', {
+    id: {
+      type: Sequelize.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    company_id: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'Companies',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+    },
+    agent_id: {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'Agents',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+      comment: 'Null for the company-wide default policy',
+    },
+    enabled: {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+    },
+    mode: {
+      type: Sequelize.ENUM('mask', 'tokenize'),
+      allowNull: false,
+      defaultValue: 'mask',
+    },
+    detectors: {
+      type: Sequelize.JSON,
+      allowNull: false,
+      defaultValue: [],
+    },
+    custom_patterns: {
+      type: Sequelize.JSON,
+      allowNull: false,
+      defaultValue: [],
+    },
+    allow_paths: {
+      type: Sequelize.JSON,
+      allowNull: false,
+      defaultValue: [],
+    },
+    deny_paths: {
+      type: Sequelize.JSON,
+      allowNull: false,
+      defaultValue: [],
+    },
+    created_at: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+    updated_at: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+  });
+
+  await queryInterface.addIndex('RedactionPolicies', ['company_id', 'agent_id'], {
+    unique: true,
+  });
+  // Unique indexes treat NULLs as distinct, so the company default needs its own
+  await queryInterface.sequelize.query(
+    'CREATE UNIQUE INDEX redaction_policies_company_default ON "RedactionPolicies" (company_id) WHERE agent_id IS NULL;'
+  );
+};
+
+export const down = async (queryInterface) => {
+  await queryInterface.dropTable('RedactionPolicies');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_RedactionPolicies_mode";');
+};
@@ -0,0 +1,50 @@
+'use strict';
+
+export const up = async (queryInterface, Sequelize) => {
+  await queryInterface.createTable('RedactionTokens', {
+    id: {
+      type: Sequelize.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    company_id: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'Companies',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+    },
+    token: {
+      type: Sequelize.STRING,
+      allowNull: false,
+    },
+    label: {
+      type: Sequelize.STRING,
+      allowNull: false,
+    },
+    encrypted_value: {
+      type: Sequelize.TEXT,
+      allowNull: false,
+      comment: 'AES-256-GCM ciphertext of the original value',
+    },
+    created_at: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+    updated_at: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+  });
+
+  await queryInterface.addIndex('RedactionTokens', ['company_id', 'token'], {
+    unique: true,
+  });
+};
+
+export const down = async (queryInterface) => {
+  await queryInterface.dropTable('RedactionTokens');
+};
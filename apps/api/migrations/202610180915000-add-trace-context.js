@@ -0,0 +1,49 @@
+'use strict';
+
+export const up = async (queryInterface, Sequelize) => {
+  await queryInterface.addColumn('AgentLogs', 'trace_id', {
+    type: Sequelize.STRING(32),
+    allowNull: true,
+    comment: 'W3C trace ID of the execution',
+  });
+  await queryInterface.addIndex('AgentLogs', ['agent_id', 'trace_id']);
+
+  for (const table of ['AgentNodeLogs', 'ModelLogs']) {
+    await queryInterface.addColumn(table, 'trace_id', {
+      type: Sequelize.STRING(32),
+      allowNull: true,
+    });
+    await queryInterface.addColumn(table, 'span_id', {
+      type: Sequelize.STRING(16),
+      allowNull: true,
+    });
+    await queryInterface.addColumn(table, 'parent_span_id', {
+      type: Sequelize.STRING(16),
+      allowNull: true,
+      comment: 'Span of the caller, from traceparent or the Handit trace-context header',
+    });
+    await queryInterface.addIndex(table, ['trace_id']);
+  }
+
+  await queryInterface.addColumn('Agents', 'correlation_mode', {
+    type: Sequelize.ENUM('heuristic', 'flag', 'strict'),
+    allowNull: false,
+    defaultValue: 'heuristic',
+    comment: 'How track calls without an execution or trace ID are attached to executions',
+  });
+};
+
+export const down = async (queryInterface) => {
+  await queryInterface.removeColumn('Agents', 'correlation_mode');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_Agents_correlation_mode";');
+
+  for (const table of ['AgentNodeLogs', 'ModelLogs']) {
+    await queryInterface.removeIndex(table, ['trace_id']);
+    await queryInterface.removeColumn(table, 'parent_span_id');
+    await queryInterface.removeColumn(table, 'span_id');
+    await queryInterface.removeColumn(table, 'trace_id');
+  }
+
+  await queryInterface.removeIndex('AgentLogs', ['agent_id', 'trace_id']);
+  await queryInterface.removeColumn('AgentLogs', 'trace_id');
+};
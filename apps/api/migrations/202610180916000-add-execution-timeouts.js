@@ -0,0 +1,21 @@
+'use strict';
+
+export const up = async (queryInterface, Sequelize) => {
+  await queryInterface.addColumn('Agents', 'execution_timeout_minutes', {
+    type: Sequelize.INTEGER,
+    allowNull: true,
+    comment: 'Minutes without activity before a processing execution is closed; null uses EXECUTION_TIMEOUT_MINUTES',
+  });
+  await queryInterface.addColumn('AgentLogs', 'close_reason', {
+    type: Sequelize.STRING,
+    allowNull: true,
+    comment: 'How the execution was closed: ended, end_node, trace_end or timeout',
+  });
+  await queryInterface.addIndex('AgentLogs', ['status', 'updated_at']);
+};
+
+export const down = async (queryInterface) => {
+  await queryInterface.removeIndex('AgentLogs', ['status', 'updated_at']);
+  await queryInterface.removeColumn('AgentLogs', 'close_reason');
+  await queryInterface.removeColumn('Agents', 'execution_timeout_minutes');
+};
@@ -0,0 +1,23 @@
+'use strict';
+
+export const up = async (queryInterface, Sequelize) => {
+  for (const table of ['AgentNodeLogs', 'ModelLogs']) {
+    await queryInterface.addColumn(table, 'started_at', {
+      type: Sequelize.DATE,
+      allowNull: true,
+      comment: 'When the span started',
+    });
+    await queryInterface.addColumn(table, 'ended_at', {
+      type: Sequelize.DATE,
+      allowNull: true,
+      comment: 'When the span ended',
+    });
+  }
+};
+
+export const down = async (queryInterface) => {
+  for (const table of ['AgentNodeLogs', 'ModelLogs']) {
+    await queryInterface.removeColumn(table, 'ended_at');
+    await queryInterface.removeColumn(table, 'started_at');
+  }
+};
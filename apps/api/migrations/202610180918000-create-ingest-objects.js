@@ -0,0 +1,77 @@
+'use strict';
+
+export const up = async (queryInterface, Sequelize) => {
+  await queryInterface.createTable('IngestObjects', {
+    id: {
+      type: Sequelize.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    object_name: {
+      type: Sequelize.STRING(1024),
+      allowNull: false,
+      unique: true,
+    },
+    backend: {
+      type: Sequelize.STRING,
+      allowNull: false,
+    },
+    company_id: {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'Companies',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+    },
+    status: {
+      type: Sequelize.ENUM('processing', 'processed', 'rejected'),
+      allowNull: false,
+      defaultValue: 'processing',
+    },
+    next_event: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Index of the next event to replay; earlier events are already tracked',
+    },
+    event_count: {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+    },
+    failed_events: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    errors: {
+      type: Sequelize.JSON,
+      allowNull: true,
+    },
+    claimed_at: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+    processed_at: {
+      type: Sequelize.DATE,
+      allowNull: true,
+    },
+    created_at: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+    updated_at: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+  });
+
+  await queryInterface.addIndex('IngestObjects', ['status', 'claimed_at']);
+};
+
+export const down = async (queryInterface) => {
+  await queryInterface.dropTable('IngestObjects');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_IngestObjects_status";');
+};
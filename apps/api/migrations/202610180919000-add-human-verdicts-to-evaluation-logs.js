@@ -0,0 +1,31 @@
+'use strict';
+
+export const up = async (queryInterface, Sequelize) => {
+  await queryInterface.addColumn('EvaluationLogs', 'human_is_correct', {
+    type: Sequelize.BOOLEAN,
+    allowNull: true,
+    comment: 'Human verdict on the same entry, compared against is_correct to calibrate the evaluator',
+  });
+  await queryInterface.addColumn('EvaluationLogs', 'human_labeled_at', {
+    type: Sequelize.DATE,
+    allowNull: true,
+  });
+  await queryInterface.addColumn('EvaluationLogs', 'human_labeled_by', {
+    type: Sequelize.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'Users',
+      key: 'id',
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'SET NULL',
+  });
+  await queryInterface.addIndex('EvaluationLogs', ['evaluation_prompt_id', 'model_id']);
+};
+
+export const down = async (queryInterface) => {
+  await queryInterface.removeIndex('EvaluationLogs', ['evaluation_prompt_id', 'model_id']);
+  await queryInterface.removeColumn('EvaluationLogs', 'human_labeled_by');
+  await queryInterface.removeColumn('EvaluationLogs', 'human_labeled_at');
+  await queryInterface.removeColumn('EvaluationLogs', 'human_is_correct');
+};
@@ -0,0 +1,171 @@
+'use strict';
+
+export const up = async (queryInterface, Sequelize) => {
+  await queryInterface.createTable('Experiments', {
+    id: {
+      type: Sequelize.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    company_id: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'Companies',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+    },
+    model_id: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'Models',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+    },
+    name: {
+      type: Sequelize.STRING,
+      allowNull: false,
+    },
+    status: {
+      type: Sequelize.ENUM('pending', 'running', 'completed', 'failed'),
+      allowNull: false,
+      defaultValue: 'pending',
+    },
+    model_version_ids: {
+      type: Sequelize.JSON,
+      allowNull: false,
+      comment: 'ModelVersions whose prompts are compared',
+    },
+    evaluation_prompt_ids: {
+      type: Sequelize.JSON,
+      allowNull: false,
+    },
+    integration_token_id: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'IntegrationTokens',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+    },
+    provider_model: {
+      type: Sequelize.STRING,
+      allowNull: false,
+      comment: 'Model the provider token runs each prompt version with',
+    },
+    items: {
+      type: Sequelize.JSON,
+      allowNull: false,
+      comment: 'Dataset items: [{ input, expectedOutput, metadata }]',
+    },
+    summary: {
+      type: Sequelize.JSON,
+      allowNull: true,
+    },
+    error: {
+      type: Sequelize.TEXT,
+      allowNull: true,
+    },
+    started_at: {
+      type: Sequelize.DATE,
+      allowNull: true,
+    },
+    completed_at: {
+      type: Sequelize.DATE,
+      allowNull: true,
+    },
+    created_at: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+    updated_at: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+  });
+  await queryInterface.addIndex('Experiments', ['company_id', 'model_id']);
+
+  await queryInterface.createTable('ExperimentResults', {
+    id: {
+      type: Sequelize.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    experiment_id: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'Experiments',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+    },
+    model_version_id: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+    },
+    item_index: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+    },
+    output: {
+      type: Sequelize.TEXT,
+      allowNull: true,
+    },
+    evaluations: {
+      type: Sequelize.JSON,
+      allowNull: true,
+      comment: 'Score, analysis and errors of each evaluator',
+    },
+    score: {
+      type: Sequelize.FLOAT,
+      allowNull: true,
+      comment: 'Average score of the non-informative evaluators',
+    },
+    passed: {
+      type: Sequelize.BOOLEAN,
+      allowNull: true,
+    },
+    matches_expected: {
+      type: Sequelize.BOOLEAN,
+      allowNull: true,
+    },
+    latency_ms: {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+    },
+    usage: {
+      type: Sequelize.JSON,
+      allowNull: true,
+    },
+    error: {
+      type: Sequelize.TEXT,
+      allowNull: true,
+    },
+    created_at: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+    updated_at: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+  });
+  await queryInterface.addIndex('ExperimentResults', ['experiment_id', 'model_version_id', 'item_index'], {
+    unique: true,
+  });
+};
+
+export const down = async (queryInterface) => {
+  await queryInterface.dropTable('ExperimentResults');
+  await queryInterface.dropTable('Experiments');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_Experiments_status";');
+};
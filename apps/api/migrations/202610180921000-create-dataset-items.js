@@ -0,0 +1,193 @@
+'use strict';
+
+const itemColumns = (Sequelize) => ({
+  input: {
+    type: Sequelize.JSON,
+    allowNull: false,
+  },
+  expected_output: {
+    type: Sequelize.JSON,
+    allowNull: true,
+  },
+  metadata: {
+    type: Sequelize.JSON,
+    allowNull: true,
+  },
+  tags: {
+    type: Sequelize.JSON,
+    allowNull: false,
+    defaultValue: [],
+  },
+  split: {
+    type: Sequelize.ENUM('train', 'test', 'validation'),
+    allowNull: true,
+  },
+  source: {
+    type: Sequelize.STRING,
+    allowNull: false,
+    defaultValue: 'manual',
+    comment: 'Where the item came from: manual, import, ...',
+  },
+  source_ref: {
+    type: Sequelize.JSON,
+    allowNull: true,
+    comment: 'Details of the origin, e.g. the imported file and row',
+  },
+});
+
+export const up = async (queryInterface, Sequelize) => {
+  await queryInterface.createTable('DatasetItems', {
+    id: {
+      type: Sequelize.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    dataset_id: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'Datasets',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+    },
+    ...itemColumns(Sequelize),
+    created_by: {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'Users',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+    },
+    deleted_at: {
+      type: Sequelize.DATE,
+      allowNull: true,
+    },
+    created_at: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+    updated_at: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+  });
+  await queryInterface.addIndex('DatasetItems', ['dataset_id', 'split']);
+
+  await queryInterface.createTable('DatasetVersions', {
+    id: {
+      type: Sequelize.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    dataset_id: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'Datasets',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+    },
+    version: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+    },
+    description: {
+      type: Sequelize.TEXT,
+      allowNull: true,
+    },
+    item_count: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    split_counts: {
+      type: Sequelize.JSON,
+      allowNull: true,
+    },
+    created_by: {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'Users',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+    },
+    created_at: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+    updated_at: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+  });
+  await queryInterface.addIndex('DatasetVersions', ['dataset_id', 'version'], { unique: true });
+
+  // Copies of the items as they were when the version was created
+  await queryInterface.createTable('DatasetVersionItems', {
+    id: {
+      type: Sequelize.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    dataset_version_id: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'DatasetVersions',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+    },
+    dataset_item_id: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      comment: 'The item this is a copy of; kept when the item is deleted',
+    },
+    ...itemColumns(Sequelize),
+    created_at: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+    updated_at: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+  });
+  await queryInterface.addIndex('DatasetVersionItems', ['dataset_version_id', 'split']);
+
+  await queryInterface.addColumn('Experiments', 'dataset_version_id', {
+    type: Sequelize.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'DatasetVersions',
+      key: 'id',
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'SET NULL',
+  });
+  await queryInterface.addColumn('Experiments', 'dataset_split', {
+    type: Sequelize.STRING,
+    allowNull: true,
+  });
+};
+
+export const down = async (queryInterface) => {
+  await queryInterface.removeColumn('Experiments', 'dataset_split');
+  await queryInterface.removeColumn('Experiments', 'dataset_version_id');
+  await queryInterface.dropTable('DatasetVersionItems');
+  await queryInterface.dropTable('DatasetVersions');
+  await queryInterface.dropTable('DatasetItems');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_DatasetVersionItems_split";');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_DatasetItems_split";');
+};
@@ -0,0 +1,161 @@
+'use strict';
+
+// Links of curated items back to the production log they were copied from
+const sourceLogColumns = (Sequelize) => ({
+  model_log_id: {
+    type: Sequelize.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'ModelLogs',
+      key: 'id',
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'SET NULL',
+  },
+  agent_log_id: {
+    type: Sequelize.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'AgentLogs',
+      key: 'id',
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'SET NULL',
+  },
+});
+
+export const up = async (queryInterface, Sequelize) => {
+  for (const table of ['DatasetItems', 'DatasetVersionItems']) {
+    for (const [column, definition] of Object.entries(sourceLogColumns(Sequelize))) {
+      await queryInterface.addColumn(table, column, definition);
+    }
+  }
+  await queryInterface.addIndex('DatasetItems', ['dataset_id', 'model_log_id']);
+  await queryInterface.addIndex('DatasetItems', ['dataset_id', 'agent_log_id']);
+
+  await queryInterface.createTable('DatasetCurationRules', {
+    id: {
+      type: Sequelize.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    dataset_id: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'Datasets',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+    },
+    name: {
+      type: Sequelize.STRING,
+      allowNull: false,
+    },
+    source: {
+      type: Sequelize.ENUM('model_log', 'agent_log'),
+      allowNull: false,
+      defaultValue: 'model_log',
+      comment: 'Curate LLM node entries or agent executions',
+    },
+    model_id: {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'Models',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+    },
+    agent_id: {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'Agents',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+    },
+    filters: {
+      type: Sequelize.JSON,
+      allowNull: false,
+      defaultValue: {},
+      comment: 'lookbackDays, environment, status, isCorrect, evaluatorId, scoreBelow, scoreAtLeast',
+    },
+    deduplicate: {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+      comment: 'Skip logs whose input is already in the dataset',
+    },
+    split: {
+      type: Sequelize.ENUM('train', 'test', 'validation'),
+      allowNull: true,
+    },
+    tags: {
+      type: Sequelize.JSON,
+      allowNull: false,
+      defaultValue: [],
+    },
+    max_items_per_run: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 100,
+    },
+    auto_version: {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+      comment: 'Snapshot a new dataset version when a run adds items',
+    },
+    enabled: {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+    },
+    last_run_at: {
+      type: Sequelize.DATE,
+      allowNull: true,
+    },
+    last_added_count: {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+    },
+    last_error: {
+      type: Sequelize.TEXT,
+      allowNull: true,
+    },
+    created_by: {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'Users',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+    },
+    created_at: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+    updated_at: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+  });
+  await queryInterface.addIndex('DatasetCurationRules', ['dataset_id']);
+};
+
+export const down = async (queryInterface) => {
+  await queryInterface.dropTable('DatasetCurationRules');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_DatasetCurationRules_source";');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_DatasetCurationRules_split";');
+  for (const table of ['DatasetItems', 'DatasetVersionItems']) {
+    await queryInterface.removeColumn(table, 'agent_log_id');
+    await queryInterface.removeColumn(table, 'model_log_id');
+  }
+};
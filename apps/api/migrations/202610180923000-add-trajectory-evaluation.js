@@ -0,0 +1,50 @@
+'use strict';
+
+export const up = async (queryInterface, Sequelize) => {
+  await queryInterface.addColumn('Agents', 'trajectory_evaluation_enabled', {
+    type: Sequelize.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: 'Judge each ended execution as a whole: goal completion, step efficiency, redundant tool calls and error recovery',
+  });
+  await queryInterface.addColumn('Agents', 'trajectory_evaluator_id', {
+    type: Sequelize.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'EvaluationPrompts',
+      key: 'id',
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'SET NULL',
+    comment: 'Evaluator whose model, credentials and prompt the trajectory judge uses; null uses the default judge',
+  });
+
+  await queryInterface.addColumn('AgentLogs', 'trajectory_evaluation_status', {
+    type: Sequelize.ENUM('pending', 'processing', 'completed', 'failed'),
+    allowNull: true,
+  });
+  await queryInterface.addColumn('AgentLogs', 'trajectory_evaluation', {
+    type: Sequelize.JSON,
+    allowNull: true,
+    comment: 'Scores and reasons per dimension, step statistics and the judge used',
+  });
+  await queryInterface.addColumn('AgentLogs', 'trajectory_score', {
+    type: Sequelize.FLOAT,
+    allowNull: true,
+    comment: 'Mean of the trajectory dimension scores, 0-10',
+  });
+  await queryInterface.addColumn('AgentLogs', 'trajectory_evaluated_at', {
+    type: Sequelize.DATE,
+    allowNull: true,
+  });
+};
+
+export const down = async (queryInterface) => {
+  await queryInterface.removeColumn('AgentLogs', 'trajectory_evaluated_at');
+  await queryInterface.removeColumn('AgentLogs', 'trajectory_score');
+  await queryInterface.removeColumn('AgentLogs', 'trajectory_evaluation');
+  await queryInterface.removeColumn('AgentLogs', 'trajectory_evaluation_status');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_AgentLogs_trajectory_evaluation_status";');
+  await queryInterface.removeColumn('Agents', 'trajectory_evaluator_id');
+  await queryInterface.removeColumn('Agents', 'trajectory_evaluation_enabled');
+};
@@ -0,0 +1,13 @@
+'use strict';
+
+export const up = async (queryInterface, Sequelize) => {
+  await queryInterface.addColumn('AgentNodeLogs', 'validation_errors', {
+    type: Sequelize.JSON,
+    allowNull: true,
+    comment: 'Violations of the tool node input, output and tool call argument schemas',
+  });
+};
+
+export const down = async (queryInterface) => {
+  await queryInterface.removeColumn('AgentNodeLogs', 'validation_errors');
+};
@@ -0,0 +1,19 @@
+'use strict';
+
+export const up = async (queryInterface, Sequelize) => {
+  await queryInterface.addColumn('EvaluationPrompts', 'ensemble', {
+    type: Sequelize.JSON,
+    allowNull: true,
+    comment: 'judges, samples, temperature, aggregation and disagreementThreshold; null runs a single judge',
+  });
+  await queryInterface.addColumn('ModelLogs', 'review_reason', {
+    type: Sequelize.STRING,
+    allowNull: true,
+    comment: 'Why the entry was left for human review instead of auto-labeled, e.g. judge_disagreement',
+  });
+};
+
+export const down = async (queryInterface) => {
+  await queryInterface.removeColumn('ModelLogs', 'review_reason');
+  await queryInterface.removeColumn('EvaluationPrompts', 'ensemble');
+};
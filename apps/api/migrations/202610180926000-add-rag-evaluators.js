@@ -0,0 +1,73 @@
+'use strict';
+
+import { ragEvaluators } from '../src/services/prompts/ragPrompts.js';
+
+export const up = async (queryInterface, Sequelize) => {
+  await queryInterface.addColumn('ModelLogs', 'retrieved_context', {
+    type: Sequelize.JSON,
+    allowNull: true,
+    comment: 'Documents retrieved for this call as [{ id, content, source, score }], tagged by the caller or detected from the input',
+  });
+  await queryInterface.addColumn('EvaluationPrompts', 'rag_metric', {
+    type: Sequelize.ENUM('faithfulness', 'context_relevance', 'context_recall', 'citation_accuracy'),
+    allowNull: true,
+    comment: 'RAG aspect the evaluator judges; it gets the retrieved documents and skips entries without them',
+  });
+
+  const companies = await queryInterface.sequelize.query(
+    'SELECT id FROM "Companies" WHERE deleted_at IS NULL',
+    { type: Sequelize.QueryTypes.SELECT }
+  );
+
+  for (const company of companies) {
+    for (const evaluator of ragEvaluators) {
+      let [metric] = await queryInterface.sequelize.query(
+        'SELECT id FROM "EvaluatorMetrics" WHERE name = :name AND company_id = :companyId',
+        { replacements: { name: evaluator.key, companyId: company.id }, type: Sequelize.QueryTypes.SELECT }
+      );
+      if (!metric) {
+        const [result] = await queryInterface.bulkInsert('EvaluatorMetrics', [{
+          name: evaluator.key,
+          description: evaluator.name,
+          is_global: false,
+          company_id: company.id,
+          created_at: new Date(),
+          updated_at: new Date(),
+        }], { returning: true });
+        metric = { id: result.id };
+      }
+
+      const [existingPrompt] = await queryInterface.sequelize.query(
+        'SELECT id FROM "EvaluationPrompts" WHERE name = :name AND company_id = :companyId',
+        { replacements: { name: evaluator.name, companyId: company.id }, type: Sequelize.QueryTypes.SELECT }
+      );
+      if (!existingPrompt) {
+        await queryInterface.bulkInsert('EvaluationPrompts', [{
+          name: evaluator.name,
+          type: 'prompt',
+          prompt: evaluator.prompt,
+          rag_metric: evaluator.ragMetric,
+          metric_id: metric.id,
+          company_id: company.id,
+          is_global: false,
+          created_at: new Date(),
+          updated_at: new Date(),
+        }]);
+      }
+    }
+  }
+};
+
+export const down = async (queryInterface) => {
+  await queryInterface.bulkDelete('EvaluationPrompts', {
+    name: ragEvaluators.map((evaluator) => evaluator.name),
+    is_global: false,
+  });
+  await queryInterface.bulkDelete('EvaluatorMetrics', {
+    name: ragEvaluators.map((evaluator) => evaluator.key),
+    is_global: false,
+  });
+  await queryInterface.removeColumn('EvaluationPrompts', 'rag_metric');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_EvaluationPrompts_rag_metric";');
+  await queryInterface.removeColumn('ModelLogs', 'retrieved_context');
+};
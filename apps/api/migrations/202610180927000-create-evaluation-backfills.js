@@ -0,0 +1,175 @@
+'use strict';
+
+export const up = async (queryInterface, Sequelize) => {
+  await queryInterface.createTable('EvaluationBackfills', {
+    id: {
+      type: Sequelize.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    company_id: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'Companies',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+    },
+    model_id: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'Models',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+    },
+    evaluation_prompt_ids: {
+      type: Sequelize.JSON,
+      allowNull: false,
+    },
+    evaluators: {
+      type: Sequelize.JSON,
+      allowNull: true,
+      comment: 'Name, type and last update of each evaluator when the backfill was created',
+    },
+    filters: {
+      type: Sequelize.JSON,
+      allowNull: false,
+      comment: 'Historical window of ModelLogs: { startDate, endDate, environment, limit }',
+    },
+    status: {
+      type: Sequelize.ENUM('pending', 'running', 'completed', 'failed', 'cancelled'),
+      allowNull: false,
+      defaultValue: 'pending',
+    },
+    total: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'ModelLogs in the window when the backfill was created',
+    },
+    processed: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    failed: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    last_model_log_id: {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      comment: 'Last ModelLog processed; a retried run resumes after it',
+    },
+    estimate: {
+      type: Sequelize.JSON,
+      allowNull: true,
+      comment: 'Token and USD cost estimate made before the run',
+    },
+    error: {
+      type: Sequelize.TEXT,
+      allowNull: true,
+    },
+    started_at: {
+      type: Sequelize.DATE,
+      allowNull: true,
+    },
+    completed_at: {
+      type: Sequelize.DATE,
+      allowNull: true,
+    },
+    cancelled_at: {
+      type: Sequelize.DATE,
+      allowNull: true,
+    },
+    created_at: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+    updated_at: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+  });
+  await queryInterface.addIndex('EvaluationBackfills', ['company_id', 'model_id']);
+
+  await queryInterface.createTable('EvaluationBackfillResults', {
+    id: {
+      type: Sequelize.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    backfill_id: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'EvaluationBackfills',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+    },
+    model_log_id: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'ModelLogs',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+    },
+    evaluation_prompt_id: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+    },
+    score: {
+      type: Sequelize.FLOAT,
+      allowNull: true,
+    },
+    previous_score: {
+      type: Sequelize.FLOAT,
+      allowNull: true,
+      comment: 'Score the evaluator gave the log before the backfill, if any',
+    },
+    is_correct: {
+      type: Sequelize.BOOLEAN,
+      allowNull: true,
+    },
+    analysis: {
+      type: Sequelize.TEXT,
+      allowNull: true,
+    },
+    errors: {
+      type: Sequelize.JSON,
+      allowNull: true,
+    },
+    data: {
+      type: Sequelize.JSON,
+      allowNull: true,
+    },
+    created_at: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+    updated_at: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+  });
+  await queryInterface.addIndex('EvaluationBackfillResults', ['backfill_id', 'model_log_id', 'evaluation_prompt_id'], {
+    unique: true,
+  });
+};
+
+export const down = async (queryInterface) => {
+  await queryInterface.dropTable('EvaluationBackfillResults');
+  await queryInterface.dropTable('EvaluationBackfills');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_EvaluationBackfills_status";');
+};
@@ -0,0 +1,103 @@
+'use strict';
+
+export const up = async (queryInterface, Sequelize) => {
+  await queryInterface.createTable('EvaluationPromptVersions', {
+    id: {
+      type: Sequelize.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    evaluation_prompt_id: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'EvaluationPrompts',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+    },
+    version: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+    },
+    name: {
+      type: Sequelize.STRING,
+      allowNull: false,
+    },
+    type: {
+      type: Sequelize.STRING,
+      allowNull: false,
+    },
+    prompt: {
+      type: Sequelize.TEXT,
+      allowNull: true,
+    },
+    function_body: {
+      type: Sequelize.TEXT,
+      allowNull: true,
+    },
+    ensemble: {
+      type: Sequelize.JSON,
+      allowNull: true,
+    },
+    rag_metric: {
+      type: Sequelize.STRING,
+      allowNull: true,
+    },
+    created_at: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+    updated_at: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+  });
+  await queryInterface.addIndex('EvaluationPromptVersions', ['evaluation_prompt_id', 'version'], {
+    unique: true,
+  });
+
+  await queryInterface.addColumn('EvaluationPrompts', 'version', {
+    type: Sequelize.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+    comment: 'Current version; every change to the rubric is stored as a new EvaluationPromptVersion',
+  });
+  // Existing evaluators start at version 1 with their current rubric
+  await queryInterface.sequelize.query(`
+    INSERT INTO "EvaluationPromptVersions"
+      (evaluation_prompt_id, version, name, type, prompt, function_body, ensemble, rag_metric, created_at, updated_at)
+    SELECT id, 1, name, type::text, prompt, function_body, ensemble, rag_metric::text, NOW(), NOW()
+    FROM "EvaluationPrompts"
+  `);
+
+  // Logs written before versioning keep a null version
+  await queryInterface.addColumn('EvaluationLogs', 'evaluator_version', {
+    type: Sequelize.INTEGER,
+    allowNull: true,
+  });
+  await queryInterface.addColumn('EvaluationLogs', 'judge_model', {
+    type: Sequelize.STRING,
+    allowNull: true,
+  });
+  await queryInterface.addColumn('EvaluationLogs', 'judge_provider', {
+    type: Sequelize.STRING,
+    allowNull: true,
+  });
+  await queryInterface.addColumn('EvaluationLogs', 'score', {
+    type: Sequelize.FLOAT,
+    allowNull: true,
+  });
+  await queryInterface.addIndex('EvaluationLogs', ['evaluation_prompt_id', 'evaluator_version']);
+};
+
+export const down = async (queryInterface) => {
+  await queryInterface.removeIndex('EvaluationLogs', ['evaluation_prompt_id', 'evaluator_version']);
+  await queryInterface.removeColumn('EvaluationLogs', 'score');
+  await queryInterface.removeColumn('EvaluationLogs', 'judge_provider');
+  await queryInterface.removeColumn('EvaluationLogs', 'judge_model');
+  await queryInterface.removeColumn('EvaluationLogs', 'evaluator_version');
+  await queryInterface.removeColumn('EvaluationPrompts', 'version');
+  await queryInterface.dropTable('EvaluationPromptVersions');
+};
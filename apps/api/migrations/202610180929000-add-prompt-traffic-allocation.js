@@ -0,0 +1,26 @@
+'use strict';
+
+export const up = async (queryInterface, Sequelize) => {
+  await queryInterface.addColumn('ModelVersions', 'traffic_weight', {
+    type: Sequelize.INTEGER,
+    allowNull: true,
+    comment: 'Percentage of served traffic the version gets; when no version of a model has one, the active version gets it all',
+  });
+  await queryInterface.addColumn('ModelLogs', 'model_version_id', {
+    type: Sequelize.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'ModelVersions',
+      key: 'id',
+    },
+    onDelete: 'SET NULL',
+    comment: 'Prompt version served to the call that produced the log',
+  });
+  await queryInterface.addIndex('ModelLogs', ['model_version_id']);
+};
+
+export const down = async (queryInterface) => {
+  await queryInterface.removeIndex('ModelLogs', ['model_version_id']);
+  await queryInterface.removeColumn('ModelLogs', 'model_version_id');
+  await queryInterface.removeColumn('ModelVersions', 'traffic_weight');
+};
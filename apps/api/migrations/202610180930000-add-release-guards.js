@@ -0,0 +1,89 @@
+'use strict';
+
+export const up = async (queryInterface, Sequelize) => {
+  await queryInterface.addColumn('ModelDeployHistories', 'action', {
+    type: Sequelize.ENUM('release', 'rollback'),
+    allowNull: false,
+    defaultValue: 'release',
+  });
+  await queryInterface.addColumn('ModelDeployHistories', 'model_version_id', {
+    type: Sequelize.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'ModelVersions',
+      key: 'id',
+    },
+    onDelete: 'SET NULL',
+    comment: 'Prompt version that went live',
+  });
+  await queryInterface.addColumn('ModelDeployHistories', 'previous_model_version_id', {
+    type: Sequelize.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'ModelVersions',
+      key: 'id',
+    },
+    onDelete: 'SET NULL',
+    comment: 'Prompt version that was live before it, the one a rollback goes back to',
+  });
+  await queryInterface.addColumn('ModelDeployHistories', 'guard_status', {
+    type: Sequelize.ENUM('watching', 'passed', 'inconclusive', 'rolled_back', 'superseded'),
+    allowNull: true,
+    comment: 'State of the post-release guard window; null when the release was not guarded',
+  });
+  await queryInterface.addColumn('ModelDeployHistories', 'guard_ends_at', {
+    type: Sequelize.DATE,
+    allowNull: true,
+  });
+  await queryInterface.addColumn('ModelDeployHistories', 'guard_result', {
+    type: Sequelize.JSON,
+    allowNull: true,
+    comment: 'Last comparison of the released version against the previous one',
+  });
+  await queryInterface.addColumn('ModelDeployHistories', 'rolled_back_deploy_id', {
+    type: Sequelize.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'ModelDeployHistories',
+      key: 'id',
+    },
+    onDelete: 'SET NULL',
+    comment: 'For rollbacks, the release that was reverted',
+  });
+  await queryInterface.addColumn('ModelDeployHistories', 'reason', {
+    type: Sequelize.TEXT,
+    allowNull: true,
+  });
+  await queryInterface.addColumn('ModelDeployHistories', 'user_id', {
+    type: Sequelize.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'Users',
+      key: 'id',
+    },
+    onDelete: 'SET NULL',
+    comment: 'Who released or rolled back; null when it was automatic',
+  });
+  await queryInterface.addIndex('ModelDeployHistories', ['guard_status']);
+  await queryInterface.addColumn('Models', 'release_guard', {
+    type: Sequelize.JSON,
+    allowNull: true,
+    comment: 'Overrides of the release guard settings: enabled, windowHours, minEntries, maxScoreDrop, maxErrorRateIncrease',
+  });
+};
+
+export const down = async (queryInterface) => {
+  await queryInterface.removeColumn('Models', 'release_guard');
+  await queryInterface.removeIndex('ModelDeployHistories', ['guard_status']);
+  await queryInterface.removeColumn('ModelDeployHistories', 'user_id');
+  await queryInterface.removeColumn('ModelDeployHistories', 'reason');
+  await queryInterface.removeColumn('ModelDeployHistories', 'rolled_back_deploy_id');
+  await queryInterface.removeColumn('ModelDeployHistories', 'guard_result');
+  await queryInterface.removeColumn('ModelDeployHistories', 'guard_ends_at');
+  await queryInterface.removeColumn('ModelDeployHistories', 'guard_status');
+  await queryInterface.removeColumn('ModelDeployHistories', 'previous_model_version_id');
+  await queryInterface.removeColumn('ModelDeployHistories', 'model_version_id');
+  await queryInterface.removeColumn('ModelDeployHistories', 'action');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_ModelDeployHistories_guard_status";');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_ModelDeployHistories_action";');
+};
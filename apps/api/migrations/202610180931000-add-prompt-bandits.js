@@ -0,0 +1,63 @@
+'use strict';
+
+export const up = async (queryInterface, Sequelize) => {
+  await queryInterface.addColumn('Models', 'prompt_bandit', {
+    type: Sequelize.JSON,
+    allowNull: true,
+    comment: 'Bandit allocation settings: enabled, algorithm, promptVersionIds, explorationFloor, lookbackDays',
+  });
+  await queryInterface.createTable('TrafficAllocationChanges', {
+    id: {
+      type: Sequelize.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    model_id: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'Models',
+        key: 'id',
+      },
+      onDelete: 'CASCADE',
+    },
+    source: {
+      type: Sequelize.ENUM('manual', 'bandit', 'release', 'rollback'),
+      allowNull: false,
+    },
+    algorithm: {
+      type: Sequelize.STRING,
+      allowNull: true,
+      comment: 'Bandit algorithm behind the change, when source is bandit',
+    },
+    allocations: {
+      type: Sequelize.JSON,
+      allowNull: false,
+      comment: '[{ promptVersionId, weight, successes, trials }] as of the change',
+    },
+    user_id: {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'Users',
+        key: 'id',
+      },
+      onDelete: 'SET NULL',
+    },
+    created_at: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+    updated_at: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+  });
+  await queryInterface.addIndex('TrafficAllocationChanges', ['model_id', 'created_at']);
+};
+
+export const down = async (queryInterface) => {
+  await queryInterface.dropTable('TrafficAllocationChanges');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_TrafficAllocationChanges_source";');
+  await queryInterface.removeColumn('Models', 'prompt_bandit');
+};
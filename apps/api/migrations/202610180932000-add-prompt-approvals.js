@@ -0,0 +1,214 @@
+'use strict';
+
+const VERSION_STATUSES = ['draft', 'in_review', 'approved', 'released', 'retired'];
+
+export const up = async (queryInterface, Sequelize) => {
+  await queryInterface.addColumn('ModelVersions', 'status', {
+    type: Sequelize.ENUM(...VERSION_STATUSES),
+    allowNull: false,
+    defaultValue: 'draft',
+  });
+  await queryInterface.addColumn('ModelVersions', 'created_by', {
+    type: Sequelize.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'Users',
+      key: 'id',
+    },
+    onDelete: 'SET NULL',
+    comment: 'Null for versions created by automatic optimization',
+  });
+  await queryInterface.addColumn('ModelVersions', 'pull_request_pending', {
+    type: Sequelize.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: 'An optimization pull request was held back until the version is approved',
+  });
+  // Versions that predate the workflow keep working: the live one is released, the rest approved
+  await queryInterface.sequelize.query(
+    `UPDATE "ModelVersions" SET status = CASE WHEN active_version THEN 'released' ELSE 'approved' END::"enum_ModelVersions_status"`
+  );
+
+  await queryInterface.createTable('PromptApprovalPolicies', {
+    id: {
+      type: Sequelize.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    company_id: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'Companies',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+    },
+    agent_id: {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'Agents',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+      comment: 'Null for the company-wide default policy',
+    },
+    enabled: {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+    },
+    required_approvals: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+    },
+    approver_roles: {
+      type: Sequelize.JSON,
+      allowNull: true,
+      comment: 'User roles that may approve; null for any role',
+    },
+    approver_user_ids: {
+      type: Sequelize.JSON,
+      allowNull: true,
+      comment: 'Users that may approve; null for any user of the company',
+    },
+    required_reviewer_ids: {
+      type: Sequelize.JSON,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'Users who must all approve, on top of the required number of approvals',
+    },
+    allow_self_approval: {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Whether whoever created or submitted a version may approve it',
+    },
+    created_at: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+    updated_at: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+  });
+  // NULLs are distinct in a unique index, so the company default needs its own
+  await queryInterface.addIndex('PromptApprovalPolicies', ['company_id'], {
+    unique: true,
+    name: 'prompt_approval_policies_company_default',
+    where: { agent_id: null },
+  });
+  await queryInterface.addIndex('PromptApprovalPolicies', ['company_id', 'agent_id'], {
+    unique: true,
+    name: 'prompt_approval_policies_company_agent',
+    where: { agent_id: { [Sequelize.Op.ne]: null } },
+  });
+
+  await queryInterface.createTable('PromptVersionReviews', {
+    id: {
+      type: Sequelize.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    model_version_id: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'ModelVersions',
+        key: 'id',
+      },
+      onDelete: 'CASCADE',
+    },
+    user_id: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'Users',
+        key: 'id',
+      },
+      onDelete: 'CASCADE',
+    },
+    decision: {
+      type: Sequelize.ENUM('comment', 'approve', 'request_changes'),
+      allowNull: false,
+    },
+    comment: {
+      type: Sequelize.TEXT,
+      allowNull: true,
+    },
+    created_at: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+    updated_at: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+  });
+  await queryInterface.addIndex('PromptVersionReviews', ['model_version_id']);
+
+  await queryInterface.createTable('PromptVersionTransitions', {
+    id: {
+      type: Sequelize.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    model_version_id: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'ModelVersions',
+        key: 'id',
+      },
+      onDelete: 'CASCADE',
+    },
+    from_status: {
+      type: Sequelize.STRING,
+      allowNull: true,
+      comment: 'Null when the version was created',
+    },
+    to_status: {
+      type: Sequelize.STRING,
+      allowNull: false,
+    },
+    user_id: {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'Users',
+        key: 'id',
+      },
+      onDelete: 'SET NULL',
+      comment: 'Null for automatic transitions',
+    },
+    reason: {
+      type: Sequelize.TEXT,
+      allowNull: true,
+    },
+    created_at: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+    updated_at: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+  });
+  await queryInterface.addIndex('PromptVersionTransitions', ['model_version_id']);
+};
+
+export const down = async (queryInterface) => {
+  await queryInterface.dropTable('PromptVersionTransitions');
+  await queryInterface.dropTable('PromptVersionReviews');
+  await queryInterface.dropTable('PromptApprovalPolicies');
+  await queryInterface.removeColumn('ModelVersions', 'pull_request_pending');
+  await queryInterface.removeColumn('ModelVersions', 'created_by');
+  await queryInterface.removeColumn('ModelVersions', 'status');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_PromptVersionReviews_decision";');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_ModelVersions_status";');
+};
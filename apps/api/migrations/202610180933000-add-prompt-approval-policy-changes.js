@@ -0,0 +1,73 @@
+'use strict';
+
+export const up = async (queryInterface, Sequelize) => {
+  await queryInterface.createTable('PromptApprovalPolicyChanges', {
+    id: {
+      type: Sequelize.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    policy_id: {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'PromptApprovalPolicies',
+        key: 'id',
+      },
+      onDelete: 'SET NULL',
+      comment: 'Null once the policy is deleted',
+    },
+    company_id: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'Companies',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+    },
+    agent_id: {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      comment: 'Null for the company-wide default policy',
+    },
+    user_id: {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'Users',
+        key: 'id',
+      },
+      onDelete: 'SET NULL',
+    },
+    action: {
+      type: Sequelize.ENUM('create', 'update', 'delete'),
+      allowNull: false,
+    },
+    before: {
+      type: Sequelize.JSON,
+      allowNull: true,
+      comment: 'Policy settings before the change; null when it was created',
+    },
+    after: {
+      type: Sequelize.JSON,
+      allowNull: true,
+      comment: 'Policy settings after the change; null when it was deleted',
+    },
+    created_at: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+    updated_at: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+  });
+  await queryInterface.addIndex('PromptApprovalPolicyChanges', ['company_id', 'created_at']);
+};
+
+export const down = async (queryInterface) => {
+  await queryInterface.dropTable('PromptApprovalPolicyChanges');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_PromptApprovalPolicyChanges_action";');
+};
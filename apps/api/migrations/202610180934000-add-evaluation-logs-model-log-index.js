@@ -0,0 +1,10 @@
+'use strict';
+
+// Curation rules look up an entry's latest score of an evaluator
+export const up = async (queryInterface) => {
+  await queryInterface.addIndex('EvaluationLogs', ['model_log_id', 'evaluation_prompt_id']);
+};
+
+export const down = async (queryInterface) => {
+  await queryInterface.removeIndex('EvaluationLogs', ['model_log_id', 'evaluation_prompt_id']);
+};
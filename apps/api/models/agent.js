@@ -9,6 +9,7 @@ export default (sequelize, DataTypes) => {
       Agent.hasMany(models.AgentNode, { foreignKey: 'agent_id' });
       Agent.hasMany(models.AgentConnection, { foreignKey: 'agent_id' });
       Agent.belongsTo(models.Company, { foreignKey: 'company_id' });
+      Agent.belongsTo(models.EvaluationPrompt, { foreignKey: 'trajectoryEvaluatorId', as: 'trajectoryEvaluator' });
     }
 
     async getFirstNode() {
@@ -136,6 +137,32 @@ export default (sequelize, DataTypes) => {
       type: DataTypes.JSON,
       allowNull: true,
       field: 'tracing_schema'
+    },
+    correlationMode: {
+      type: DataTypes.ENUM('heuristic', 'flag', 'strict'),
+      allowNull: false,
+      defaultValue: 'heuristic',
+      field: 'correlation_mode',
+      comment: 'Track calls without an execution or trace ID join the latest processing execution (heuristic), join it but flag it (flag), or are rejected when that match is ambiguous (strict)'
+    },
+    executionTimeoutMinutes: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'execution_timeout_minutes',
+      comment: 'Minutes without activity before a processing execution is closed; null uses EXECUTION_TIMEOUT_MINUTES'
+    },
+    trajectoryEvaluationEnabled: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      field: 'trajectory_evaluation_enabled',
+      comment: 'Judge each ended execution as a whole: goal completion, step efficiency, redundant tool calls and error recovery'
+    },
+    trajectoryEvaluatorId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'trajectory_evaluator_id',
+      comment: 'Evaluator whose model, credentials and prompt the trajectory judge uses; null uses the default judge'
     }
   }, {
     sequelize,
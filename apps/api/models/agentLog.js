@@ -73,12 +73,46 @@ export default (sequelize, DataTypes) => {
       field: 'session_id',
       comment: 'Session ID of the agent execution'
     },
+    traceId: {
+      type: DataTypes.STRING(32),
+      allowNull: true,
+      field: 'trace_id',
+      comment: 'W3C trace ID of the execution'
+    },
     errorDetails: {
       type: DataTypes.JSON,
       allowNull: true,
       field: 'error_details',
       comment: 'Error information if status is error'
     },
+    closeReason: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      field: 'close_reason',
+      comment: 'How the execution was closed: ended, end_node, trace_end or timeout'
+    },
+    trajectoryEvaluationStatus: {
+      type: DataTypes.ENUM('pending', 'processing', 'completed', 'failed'),
+      allowNull: true,
+      field: 'trajectory_evaluation_status'
+    },
+    trajectoryEvaluation: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      field: 'trajectory_evaluation',
+      comment: 'Scores and reasons per dimension, step statistics and the judge used'
+    },
+    trajectoryScore: {
+      type: DataTypes.FLOAT,
+      allowNull: true,
+      field: 'trajectory_score',
+      comment: 'Mean of the trajectory dimension scores, 0-10'
+    },
+    trajectoryEvaluatedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'trajectory_evaluated_at'
+    },
     deletedAt: {
       type: DataTypes.DATE,
       allowNull: true,
@@ -58,6 +58,12 @@ export default (sequelize, DataTypes) => {
       field: 'error_details',
       comment: 'Detailed error information if status is error'
     },
+    validationErrors: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      field: 'validation_errors',
+      comment: 'Violations of the tool node input, output and tool call argument schemas'
+    },
     processed: {
       type: DataTypes.BOOLEAN,
       allowNull: false,
@@ -77,6 +83,32 @@ export default (sequelize, DataTypes) => {
       field: 'parent_log_id',
       comment: 'ID of the parent log in a chain of operations'
     },
+    traceId: {
+      type: DataTypes.STRING(32),
+      allowNull: true,
+      field: 'trace_id'
+    },
+    spanId: {
+      type: DataTypes.STRING(16),
+      allowNull: true,
+      field: 'span_id'
+    },
+    parentSpanId: {
+      type: DataTypes.STRING(16),
+      allowNull: true,
+      field: 'parent_span_id',
+      comment: 'Span of the caller, from traceparent or the Handit trace-context header'
+    },
+    startedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'started_at'
+    },
+    endedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'ended_at'
+    },
     deletedAt: {
       type: DataTypes.DATE,
       allowNull: true,
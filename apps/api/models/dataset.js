@@ -10,6 +10,9 @@ export default (sequelize, DataTypes) => {
         otherKey: 'model_id',
         as: 'models',
       });
+      Dataset.hasMany(models.DatasetItem, { foreignKey: 'datasetId', as: 'items' });
+      Dataset.hasMany(models.DatasetVersion, { foreignKey: 'datasetId', as: 'versions' });
+      Dataset.hasMany(models.DatasetCurationRule, { foreignKey: 'datasetId', as: 'curationRules' });
     }
   }
   Dataset.init({
@@ -0,0 +1,117 @@
+'use strict';
+import { Model } from 'sequelize';
+
+export default (sequelize, DataTypes) => {
+  /**
+   * Saved filter over production logs whose matches are periodically copied
+   * into a dataset, e.g. entries an evaluator scored low in the last 7 days
+   */
+  class DatasetCurationRule extends Model {
+    static associate(models) {
+      DatasetCurationRule.belongsTo(models.Dataset, { foreignKey: 'datasetId', as: 'dataset' });
+      DatasetCurationRule.belongsTo(models.Model, { foreignKey: 'modelId', as: 'model' });
+      DatasetCurationRule.belongsTo(models.Agent, { foreignKey: 'agentId', as: 'agent' });
+      DatasetCurationRule.belongsTo(models.User, { foreignKey: 'createdBy', as: 'creator' });
+    }
+  }
+
+  DatasetCurationRule.init({
+    datasetId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'dataset_id',
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    source: {
+      type: DataTypes.ENUM('model_log', 'agent_log'),
+      allowNull: false,
+      defaultValue: 'model_log',
+    },
+    modelId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'model_id',
+    },
+    agentId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'agent_id',
+    },
+    filters: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: {},
+    },
+    deduplicate: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+    },
+    split: {
+      type: DataTypes.ENUM('train', 'test', 'validation'),
+      allowNull: true,
+    },
+    tags: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: [],
+    },
+    maxItemsPerRun: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 100,
+      field: 'max_items_per_run',
+    },
+    autoVersion: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+      field: 'auto_version',
+    },
+    enabled: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+    },
+    lastRunAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'last_run_at',
+    },
+    lastAddedCount: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'last_added_count',
+    },
+    lastError: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      field: 'last_error',
+    },
+    createdBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'created_by',
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'created_at',
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'updated_at',
+    },
+  }, {
+    sequelize,
+    modelName: 'DatasetCurationRule',
+    tableName: 'DatasetCurationRules',
+    timestamps: true,
+  });
+
+  return DatasetCurationRule;
+};
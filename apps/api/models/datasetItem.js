@@ -0,0 +1,96 @@
+'use strict';
+import { Model } from 'sequelize';
+
+export default (sequelize, DataTypes) => {
+  /**
+   * Editable example of a dataset: an input, its expected output, metadata,
+   * tags, its split and where it came from, including the production log it
+   * was curated from
+   */
+  class DatasetItem extends Model {
+    static associate(models) {
+      DatasetItem.belongsTo(models.Dataset, { foreignKey: 'datasetId', as: 'dataset' });
+      DatasetItem.belongsTo(models.User, { foreignKey: 'createdBy', as: 'creator' });
+      DatasetItem.belongsTo(models.ModelLog, { foreignKey: 'modelLogId', as: 'modelLog' });
+      DatasetItem.belongsTo(models.AgentLog, { foreignKey: 'agentLogId', as: 'agentLog' });
+    }
+  }
+
+  DatasetItem.init({
+    datasetId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'dataset_id',
+    },
+    input: {
+      type: DataTypes.JSON,
+      allowNull: false,
+    },
+    expectedOutput: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      field: 'expected_output',
+    },
+    metadata: {
+      type: DataTypes.JSON,
+      allowNull: true,
+    },
+    tags: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: [],
+    },
+    split: {
+      type: DataTypes.ENUM('train', 'test', 'validation'),
+      allowNull: true,
+    },
+    source: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'manual',
+    },
+    sourceRef: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      field: 'source_ref',
+    },
+    modelLogId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'model_log_id',
+    },
+    agentLogId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'agent_log_id',
+    },
+    createdBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'created_by',
+    },
+    deletedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'deleted_at',
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'created_at',
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'updated_at',
+    },
+  }, {
+    sequelize,
+    modelName: 'DatasetItem',
+    tableName: 'DatasetItems',
+    timestamps: true,
+    paranoid: true,
+  });
+
+  return DatasetItem;
+};
@@ -0,0 +1,63 @@
+'use strict';
+import { Model } from 'sequelize';
+
+export default (sequelize, DataTypes) => {
+  /**
+   * Immutable snapshot of a dataset's items
+   */
+  class DatasetVersion extends Model {
+    static associate(models) {
+      DatasetVersion.belongsTo(models.Dataset, { foreignKey: 'datasetId', as: 'dataset' });
+      DatasetVersion.hasMany(models.DatasetVersionItem, { foreignKey: 'datasetVersionId', as: 'items' });
+    }
+  }
+
+  DatasetVersion.init({
+    datasetId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'dataset_id',
+    },
+    version: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    itemCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      field: 'item_count',
+    },
+    splitCounts: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      field: 'split_counts',
+    },
+    createdBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'created_by',
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'created_at',
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'updated_at',
+    },
+  }, {
+    sequelize,
+    modelName: 'DatasetVersion',
+    tableName: 'DatasetVersions',
+    timestamps: true,
+  });
+
+  return DatasetVersion;
+};
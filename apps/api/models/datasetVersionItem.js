@@ -0,0 +1,85 @@
+'use strict';
+import { Model } from 'sequelize';
+
+export default (sequelize, DataTypes) => {
+  /**
+   * A dataset item as it was when its version was created
+   */
+  class DatasetVersionItem extends Model {
+    static associate(models) {
+      DatasetVersionItem.belongsTo(models.DatasetVersion, { foreignKey: 'datasetVersionId', as: 'datasetVersion' });
+    }
+  }
+
+  DatasetVersionItem.init({
+    datasetVersionId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'dataset_version_id',
+    },
+    datasetItemId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'dataset_item_id',
+    },
+    input: {
+      type: DataTypes.JSON,
+      allowNull: false,
+    },
+    expectedOutput: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      field: 'expected_output',
+    },
+    metadata: {
+      type: DataTypes.JSON,
+      allowNull: true,
+    },
+    tags: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: [],
+    },
+    split: {
+      type: DataTypes.ENUM('train', 'test', 'validation'),
+      allowNull: true,
+    },
+    source: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'manual',
+    },
+    sourceRef: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      field: 'source_ref',
+    },
+    modelLogId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'model_log_id',
+    },
+    agentLogId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'agent_log_id',
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'created_at',
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'updated_at',
+    },
+  }, {
+    sequelize,
+    modelName: 'DatasetVersionItem',
+    tableName: 'DatasetVersionItems',
+    timestamps: true,
+  });
+
+  return DatasetVersionItem;
+};
@@ -0,0 +1,107 @@
+'use strict';
+import { Model } from 'sequelize';
+
+export default (sequelize, DataTypes) => {
+  /**
+   * Re-run of evaluators over a historical window of a model's logs. Its
+   * results are stored apart from the logs' original scores.
+   */
+  class EvaluationBackfill extends Model {
+    static associate(models) {
+      EvaluationBackfill.belongsTo(models.Company, { foreignKey: 'companyId' });
+      EvaluationBackfill.belongsTo(models.Model, { foreignKey: 'modelId', as: 'model' });
+      EvaluationBackfill.hasMany(models.EvaluationBackfillResult, { foreignKey: 'backfillId', as: 'results' });
+    }
+  }
+
+  EvaluationBackfill.init({
+    companyId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'company_id',
+    },
+    modelId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'model_id',
+    },
+    evaluationPromptIds: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      field: 'evaluation_prompt_ids',
+    },
+    evaluators: {
+      type: DataTypes.JSON,
+      allowNull: true,
+    },
+    filters: {
+      type: DataTypes.JSON,
+      allowNull: false,
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'running', 'completed', 'failed', 'cancelled'),
+      allowNull: false,
+      defaultValue: 'pending',
+    },
+    total: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    processed: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    failed: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    lastModelLogId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'last_model_log_id',
+    },
+    estimate: {
+      type: DataTypes.JSON,
+      allowNull: true,
+    },
+    error: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    startedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'started_at',
+    },
+    completedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'completed_at',
+    },
+    cancelledAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'cancelled_at',
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'created_at',
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'updated_at',
+    },
+  }, {
+    sequelize,
+    modelName: 'EvaluationBackfill',
+    tableName: 'EvaluationBackfills',
+    timestamps: true,
+  });
+
+  return EvaluationBackfill;
+};
@@ -0,0 +1,76 @@
+'use strict';
+import { Model } from 'sequelize';
+
+export default (sequelize, DataTypes) => {
+  /**
+   * Score one evaluator gave one historical log in a backfill, next to the
+   * score the log had before
+   */
+  class EvaluationBackfillResult extends Model {
+    static associate(models) {
+      EvaluationBackfillResult.belongsTo(models.EvaluationBackfill, { foreignKey: 'backfillId', as: 'backfill' });
+      EvaluationBackfillResult.belongsTo(models.ModelLog, { foreignKey: 'modelLogId', as: 'modelLog' });
+    }
+  }
+
+  EvaluationBackfillResult.init({
+    backfillId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'backfill_id',
+    },
+    modelLogId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'model_log_id',
+    },
+    evaluationPromptId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'evaluation_prompt_id',
+    },
+    score: {
+      type: DataTypes.FLOAT,
+      allowNull: true,
+    },
+    previousScore: {
+      type: DataTypes.FLOAT,
+      allowNull: true,
+      field: 'previous_score',
+    },
+    isCorrect: {
+      type: DataTypes.BOOLEAN,
+      allowNull: true,
+      field: 'is_correct',
+    },
+    analysis: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    errors: {
+      type: DataTypes.JSON,
+      allowNull: true,
+    },
+    data: {
+      type: DataTypes.JSON,
+      allowNull: true,
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'created_at',
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'updated_at',
+    },
+  }, {
+    sequelize,
+    modelName: 'EvaluationBackfillResult',
+    tableName: 'EvaluationBackfillResults',
+    timestamps: true,
+  });
+
+  return EvaluationBackfillResult;
+};
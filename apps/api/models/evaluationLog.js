@@ -32,6 +32,25 @@ export default (sequelize, DataTypes) => {
       allowNull: false,
       field: 'model_id',
     },
+    evaluatorVersion: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'evaluator_version',
+    },
+    judgeModel: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      field: 'judge_model',
+    },
+    judgeProvider: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      field: 'judge_provider',
+    },
+    score: {
+      type: DataTypes.FLOAT,
+      allowNull: true,
+    },
     isCorrect: {
       type: DataTypes.BOOLEAN,
       allowNull: true,
@@ -41,6 +60,21 @@ export default (sequelize, DataTypes) => {
       type: DataTypes.JSON,
       allowNull: true,
     },
+    humanIsCorrect: {
+      type: DataTypes.BOOLEAN,
+      allowNull: true,
+      field: 'human_is_correct',
+    },
+    humanLabeledAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'human_labeled_at',
+    },
+    humanLabeledBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'human_labeled_by',
+    },
     createdAt: {
       type: DataTypes.DATE,
       allowNull: false,
@@ -0,0 +1,86 @@
+'use strict';
+import { Model } from 'sequelize';
+
+export default (sequelize, DataTypes) => {
+  class EvaluationPipelineRun extends Model {
+    static associate(models) {
+      EvaluationPipelineRun.belongsTo(models.ModelLog, { foreignKey: 'modelLogId' });
+    }
+
+    /**
+     * Record the progress of a single stage without losing the others
+     */
+    async updateStage(stage, values) {
+      const stages = {
+        ...(this.stages || {}),
+        [stage]: {
+          ...(this.stages?.[stage] || {}),
+          ...values,
+        },
+      };
+      return this.update({ stages });
+    }
+
+    isStageCompleted(stage) {
+      return this.stages?.[stage]?.status === 'completed';
+    }
+  }
+
+  EvaluationPipelineRun.init({
+    modelLogId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      unique: true,
+      field: 'model_log_id',
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'processing', 'completed', 'dead_lettered'),
+      allowNull: false,
+      defaultValue: 'pending',
+    },
+    currentStage: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      field: 'current_stage',
+    },
+    stages: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: {},
+      comment: 'Per-stage status, attempts, timings and last error',
+    },
+    context: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: {},
+      comment: 'Values handed from one stage to the next (e.g. evaluation status)',
+    },
+    lastError: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      field: 'last_error',
+    },
+    completedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'completed_at',
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'created_at',
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'updated_at',
+    },
+  }, {
+    sequelize,
+    modelName: 'EvaluationPipelineRun',
+    tableName: 'EvaluationPipelineRuns',
+    timestamps: true,
+  });
+
+  return EvaluationPipelineRun;
+};
@@ -9,6 +9,21 @@ export default (sequelize, DataTypes) => {
       EvaluationPrompt.belongsTo(models.Company, { foreignKey: 'companyId', as: 'company' });
       EvaluationPrompt.belongsTo(models.EvaluatorMetric, { foreignKey: 'metricId', as: 'metric' });
       EvaluationPrompt.belongsTo(models.IntegrationToken, { foreignKey: 'defaultIntegrationTokenId', as: 'defaultIntegrationToken' });
+      EvaluationPrompt.hasMany(models.EvaluationPromptVersion, { foreignKey: 'evaluationPromptId', as: 'versions' });
+    }
+
+    // Stores the current rubric as an immutable EvaluationPromptVersion
+    async snapshotVersion(options = {}) {
+      return sequelize.models.EvaluationPromptVersion.create({
+        evaluationPromptId: this.id,
+        version: this.version,
+        name: this.name,
+        type: this.type,
+        prompt: this.prompt,
+        functionBody: this.functionBody,
+        ensemble: this.ensemble,
+        ragMetric: this.ragMetric,
+      }, { transaction: options.transaction });
     }
 
     // Validate that either prompt or function_body is provided based on type
@@ -21,6 +36,9 @@ export default (sequelize, DataTypes) => {
       }
     }
   }
+  // Fields that change how entries are judged; editing any of them makes a new version
+  const VERSIONED_FIELDS = ['prompt', 'functionBody', 'ensemble', 'ragMetric'];
+
   EvaluationPrompt.init({
     id: {
       type: DataTypes.INTEGER,
@@ -73,6 +91,22 @@ export default (sequelize, DataTypes) => {
       allowNull: true,
       field: 'default_provider_model',
     },
+    ensemble: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'judges, samples, temperature, aggregation and disagreementThreshold; null runs a single judge',
+    },
+    ragMetric: {
+      type: DataTypes.ENUM('faithfulness', 'context_relevance', 'context_recall', 'citation_accuracy'),
+      allowNull: true,
+      field: 'rag_metric',
+      comment: 'RAG aspect the evaluator judges; it gets the retrieved documents and skips entries without them',
+    },
+    version: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+    },
     defaultIntegrationTokenId: {
       type: DataTypes.INTEGER,
       allowNull: true,
@@ -107,6 +141,17 @@ export default (sequelize, DataTypes) => {
       },
       beforeUpdate: function(instance) {
         instance.validatePromptOrFunction();
+        if (VERSIONED_FIELDS.some((field) => instance.changed(field))) {
+          instance.version = instance.previous('version') + 1;
+        }
+      },
+      afterCreate: async function(instance, options) {
+        await instance.snapshotVersion(options);
+      },
+      afterUpdate: async function(instance, options) {
+        if (instance.changed('version')) {
+          await instance.snapshotVersion(options);
+        }
       },
     },
   });
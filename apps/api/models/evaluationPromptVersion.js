@@ -0,0 +1,72 @@
+'use strict';
+import { Model } from 'sequelize';
+
+export default (sequelize, DataTypes) => {
+  /**
+   * Immutable snapshot of an evaluator's rubric. EvaluationLogs record the
+   * version that judged them.
+   */
+  class EvaluationPromptVersion extends Model {
+    static associate(models) {
+      EvaluationPromptVersion.belongsTo(models.EvaluationPrompt, {
+        foreignKey: 'evaluationPromptId',
+        as: 'evaluationPrompt',
+      });
+    }
+  }
+
+  EvaluationPromptVersion.init({
+    evaluationPromptId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'evaluation_prompt_id',
+    },
+    version: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    type: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    prompt: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    functionBody: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      field: 'function_body',
+    },
+    ensemble: {
+      type: DataTypes.JSON,
+      allowNull: true,
+    },
+    ragMetric: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      field: 'rag_metric',
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'created_at',
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'updated_at',
+    },
+  }, {
+    sequelize,
+    modelName: 'EvaluationPromptVersion',
+    tableName: 'EvaluationPromptVersions',
+    timestamps: true,
+  });
+
+  return EvaluationPromptVersion;
+};
@@ -0,0 +1,109 @@
+'use strict';
+import { Model } from 'sequelize';
+
+export default (sequelize, DataTypes) => {
+  /**
+   * Offline run of one or more prompt versions of a model over dataset items,
+   * scored by evaluators
+   */
+  class Experiment extends Model {
+    static associate(models) {
+      Experiment.belongsTo(models.Company, { foreignKey: 'companyId' });
+      Experiment.belongsTo(models.Model, { foreignKey: 'modelId', as: 'model' });
+      Experiment.belongsTo(models.IntegrationToken, { foreignKey: 'integrationTokenId', as: 'integrationToken' });
+      Experiment.belongsTo(models.DatasetVersion, { foreignKey: 'datasetVersionId', as: 'datasetVersion' });
+      Experiment.hasMany(models.ExperimentResult, { foreignKey: 'experimentId', as: 'results' });
+    }
+  }
+
+  Experiment.init({
+    companyId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'company_id',
+    },
+    modelId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'model_id',
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'running', 'completed', 'failed'),
+      allowNull: false,
+      defaultValue: 'pending',
+    },
+    modelVersionIds: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      field: 'model_version_ids',
+    },
+    evaluationPromptIds: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      field: 'evaluation_prompt_ids',
+    },
+    integrationTokenId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'integration_token_id',
+    },
+    providerModel: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      field: 'provider_model',
+    },
+    items: {
+      type: DataTypes.JSON,
+      allowNull: false,
+    },
+    datasetVersionId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'dataset_version_id',
+    },
+    datasetSplit: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      field: 'dataset_split',
+    },
+    summary: {
+      type: DataTypes.JSON,
+      allowNull: true,
+    },
+    error: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    startedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'started_at',
+    },
+    completedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'completed_at',
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'created_at',
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'updated_at',
+    },
+  }, {
+    sequelize,
+    modelName: 'Experiment',
+    tableName: 'Experiments',
+    timestamps: true,
+  });
+
+  return Experiment;
+};
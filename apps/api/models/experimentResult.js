@@ -0,0 +1,82 @@
+'use strict';
+import { Model } from 'sequelize';
+
+export default (sequelize, DataTypes) => {
+  /**
+   * Output and scores of one prompt version on one dataset item of an experiment
+   */
+  class ExperimentResult extends Model {
+    static associate(models) {
+      ExperimentResult.belongsTo(models.Experiment, { foreignKey: 'experimentId', as: 'experiment' });
+    }
+  }
+
+  ExperimentResult.init({
+    experimentId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'experiment_id',
+    },
+    modelVersionId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'model_version_id',
+    },
+    itemIndex: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'item_index',
+    },
+    output: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    evaluations: {
+      type: DataTypes.JSON,
+      allowNull: true,
+    },
+    score: {
+      type: DataTypes.FLOAT,
+      allowNull: true,
+    },
+    passed: {
+      type: DataTypes.BOOLEAN,
+      allowNull: true,
+    },
+    matchesExpected: {
+      type: DataTypes.BOOLEAN,
+      allowNull: true,
+      field: 'matches_expected',
+    },
+    latencyMs: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'latency_ms',
+    },
+    usage: {
+      type: DataTypes.JSON,
+      allowNull: true,
+    },
+    error: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'created_at',
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'updated_at',
+    },
+  }, {
+    sequelize,
+    modelName: 'ExperimentResult',
+    tableName: 'ExperimentResults',
+    timestamps: true,
+  });
+
+  return ExperimentResult;
+};
@@ -0,0 +1,85 @@
+'use strict';
+import { Model } from 'sequelize';
+
+export default (sequelize, DataTypes) => {
+  /**
+   * Checkpoint of the ingest processor for one stored object
+   */
+  class IngestObject extends Model {
+    static associate(models) {
+      IngestObject.belongsTo(models.Company, { foreignKey: 'companyId' });
+    }
+  }
+
+  IngestObject.init({
+    objectName: {
+      type: DataTypes.STRING(1024),
+      allowNull: false,
+      unique: true,
+      field: 'object_name',
+    },
+    backend: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    companyId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'company_id',
+    },
+    status: {
+      type: DataTypes.ENUM('processing', 'processed', 'rejected'),
+      allowNull: false,
+      defaultValue: 'processing',
+    },
+    nextEvent: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      field: 'next_event',
+      comment: 'Index of the next event to replay; earlier events are already tracked',
+    },
+    eventCount: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'event_count',
+    },
+    failedEvents: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      field: 'failed_events',
+    },
+    errors: {
+      type: DataTypes.JSON,
+      allowNull: true,
+    },
+    claimedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'claimed_at',
+    },
+    processedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'processed_at',
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'created_at',
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'updated_at',
+    },
+  }, {
+    sequelize,
+    modelName: 'IngestObject',
+    tableName: 'IngestObjects',
+    timestamps: true,
+  });
+
+  return IngestObject;
+};
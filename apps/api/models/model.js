@@ -127,7 +127,7 @@ export default (sequelize, DataTypes) => {
             {
               model: sequelize.models.EvaluationPrompt,
               as: 'evaluationPrompt',
-              attributes: ['id', 'name', 'prompt', 'defaultProviderModel', 'type', 'isInformative', 'functionBody'],
+              attributes: ['id', 'name', 'prompt', 'defaultProviderModel', 'type', 'isInformative', 'functionBody', 'ensemble', 'ragMetric', 'version', 'companyId'],
               include: [
                 {
                   required: false,
@@ -168,12 +168,23 @@ export default (sequelize, DataTypes) => {
      * @param {Object} params - Parameters for release
      * @param {number|string} params.modelId - ID of the model
      * @param {string} params.version - Version identifier to activate
+     * @param {Object} [params.deploy] - Extra fields of the deploy record: action, rolledBackDeployId, reason, userId
      * @returns {Promise<Object|null>} - Activated ModelVersion or null if not found
      * @throws {Error} - When database operation fails
      */
-    async releasePromptVersion({ modelId, version, originalModelId }) {
+    async releasePromptVersion({ modelId, version, originalModelId, deploy = {} }) {
       try {
         const ModelVersion = sequelize.models.ModelVersions;
+        const abModel = await this.getPrincipalABTestModel();
+
+        // The version live until now, which a rollback goes back to
+        const previousVersion = await ModelVersion.findOne({
+          where: {
+            modelId: [modelId, originalModelId, abModel?.id].filter(Boolean),
+            activeVersion: true,
+          },
+          order: [['updatedAt', 'DESC']],
+        });
 
         // 1. Deactivate all existing versions for this model
         await ModelVersion.update(
@@ -184,7 +195,6 @@ export default (sequelize, DataTypes) => {
           { activeVersion: false },
           { where: { modelId: originalModelId, activeVersion: true } }
         );
-        const abModel = await this.getPrincipalABTestModel();
         if (abModel) {
           await ModelVersion.update(
             { activeVersion: false },
@@ -200,14 +210,60 @@ export default (sequelize, DataTypes) => {
           }
         );
 
-        // 3. Create a new ModelDeployHistory record
-        await sequelize.models.ModelDeployHistory.create({
+        const releasedVersion = releaseVersion[1]?.[0];
+
+        // 3. The released version is live and the versions it replaced are retired
+        const releaseOptions = {
+          userId: deploy.userId ?? null,
+          reason: deploy.action === 'rollback' ? deploy.reason : null,
+        };
+        const liveVersion = releasedVersion && (await ModelVersion.findByPk(releasedVersion.id));
+        if (liveVersion && liveVersion.status !== 'released') {
+          await liveVersion.update({ status: 'released' }, releaseOptions);
+        }
+        const replacedVersions = await ModelVersion.findAll({
+          where: {
+            modelId: [modelId, originalModelId, abModel?.id].filter(Boolean),
+            status: 'released',
+            activeVersion: false,
+          },
+        });
+        for (const replacedVersion of replacedVersions) {
+          await replacedVersion.update(
+            { status: 'retired' },
+            { ...releaseOptions, reason: `Replaced by version ${version}` }
+          );
+        }
+
+        // 4. Create a new ModelDeployHistory record
+        const deployHistory = await sequelize.models.ModelDeployHistory.create({
           modelId: originalModelId,
           version,
           createdAt: new Date(),
+          modelVersionId: releasedVersion?.id,
+          previousModelVersionId:
+            previousVersion && previousVersion.id !== releasedVersion?.id ? previousVersion.id : null,
+          ...deploy,
         });
 
-        // 3. Return the activated version if found
+        // 5. The released version gets all served traffic, ending any canary or bandit
+        const originalModel =
+          originalModelId === this.id ? this : await sequelize.models.Model.findByPk(originalModelId);
+        if (originalModel) {
+          const { resetTrafficAllocation } = await import('../src/services/promptServingService.js');
+          await resetTrafficAllocation(originalModel, releasedVersion, {
+            source: deployHistory.action,
+            userId: deployHistory.userId,
+          });
+        }
+
+        // 6. Watch the release and roll it back if it does worse than the previous version
+        if (deployHistory.action === 'release') {
+          const { startReleaseGuard } = await import('../src/services/releaseGuardService.js');
+          await startReleaseGuard(deployHistory);
+        }
+
+        // 7. Return the activated version if found
         return releaseVersion || null;
       } catch (error) {
         // Log and rethrow with context
@@ -229,9 +285,10 @@ export default (sequelize, DataTypes) => {
      * @param {number|string} data.modelId - ID of the model
      * @param {string} data.prompt - Prompt text to store
      * @param {boolean} [data.active=false] - Whether this version is active
+     * @param {number} [data.userId] - User creating it
      * @returns {Promise<Object>} - Created ModelVersion instance
      */
-    async createVersionPromt({ modelId, prompt, active = false }) {
+    async createVersionPromt({ modelId, prompt, active = false, userId = null }) {
       // Reference to the Sequelize ModelVersions model
       const ModelVersion = sequelize.models.ModelVersions;
 
@@ -263,6 +320,8 @@ export default (sequelize, DataTypes) => {
         version: nextVersionNumber.toString(),
         parameters: { prompt },
         activeVersion: active,
+        status: active ? 'released' : 'draft',
+        createdBy: userId,
         createdAt: new Date(),
         updatedAt: new Date(),
       };
@@ -290,15 +349,18 @@ export default (sequelize, DataTypes) => {
           },
           order: [['createdAt', 'DESC']],
         });
-        await sequelize.models.ModelVersions.create({
+        // Generated versions wait for a reviewer before they can be released
+        return sequelize.models.ModelVersions.create({
           modelId: optimizedModel.id,
           parameters: {
             prompt,
           },
           version: lastVersion ? parseInt(lastVersion.version) + 1 : 1,
           activeVersion: false,
+          status: 'in_review',
         });
       }
+      return null;
     }
 
     async getEvaluator() {
@@ -392,6 +454,7 @@ export default (sequelize, DataTypes) => {
         modelId: this.id,
         version: version,
         activeVersion,
+        status: activeVersion ? 'released' : 'draft',
         parameters: {
           prompt,
         },
@@ -792,7 +855,12 @@ export default (sequelize, DataTypes) => {
       return this.parameters?.prompt;
     }
 
-    async changePrompt(newPrompt) {
+    /**
+     * Creates a version with the prompt, in review
+     * @param {string} newPrompt - The prompt
+     * @param {number} userId - Who asked for it; the version's author and submitter
+     */
+    async changePrompt(newPrompt, userId) {
       const lastVersion = await sequelize.models.ModelVersions.findOne({
         where: {
           model_id: this.id,
@@ -809,7 +877,9 @@ export default (sequelize, DataTypes) => {
         parameters: {
           prompt: newPrompt,
         },
-      });
+        status: 'in_review',
+        createdBy: userId,
+      }, { userId });
 
       // delete all old insights
       await sequelize.models.Insights.destroy({
@@ -1852,6 +1922,18 @@ export default (sequelize, DataTypes) => {
         allowNull: false,
         field: 'model_group_id',
       },
+      releaseGuard: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        field: 'release_guard',
+        comment: 'Overrides of the release guard settings: enabled, windowHours, minEntries, maxScoreDrop, maxErrorRateIncrease',
+      },
+      promptBandit: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        field: 'prompt_bandit',
+        comment: 'Bandit allocation settings: enabled, algorithm, promptVersionIds, explorationFloor, lookbackDays',
+      },
       modelCategory: {
         type: DataTypes.STRING,
         allowNull: false,
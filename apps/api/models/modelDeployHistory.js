@@ -5,6 +5,11 @@ export default (sequelize, DataTypes) => {
   class ModelDeployHistory extends ModelEntity {
     static associate(models) {
       ModelDeployHistory.belongsTo(models.Model, { foreignKey: 'modelId' });
+      ModelDeployHistory.belongsTo(models.ModelVersions, { foreignKey: 'modelVersionId', as: 'modelVersion' });
+      ModelDeployHistory.belongsTo(models.ModelVersions, {
+        foreignKey: 'previousModelVersionId',
+        as: 'previousModelVersion',
+      });
     }
   }
 
@@ -31,6 +36,56 @@ export default (sequelize, DataTypes) => {
       allowNull: false,
       comment: 'Version of the model deployed',
     },
+    action: {
+      type: DataTypes.ENUM('release', 'rollback'),
+      allowNull: false,
+      defaultValue: 'release',
+    },
+    modelVersionId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'model_version_id',
+      comment: 'Prompt version that went live',
+    },
+    previousModelVersionId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'previous_model_version_id',
+      comment: 'Prompt version that was live before it, the one a rollback goes back to',
+    },
+    guardStatus: {
+      type: DataTypes.ENUM('watching', 'passed', 'inconclusive', 'rolled_back', 'superseded'),
+      allowNull: true,
+      field: 'guard_status',
+      comment: 'State of the post-release guard window; null when the release was not guarded',
+    },
+    guardEndsAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'guard_ends_at',
+    },
+    guardResult: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      field: 'guard_result',
+      comment: 'Last comparison of the released version against the previous one',
+    },
+    rolledBackDeployId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'rolled_back_deploy_id',
+      comment: 'For rollbacks, the release that was reverted',
+    },
+    reason: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'user_id',
+      comment: 'Who released or rolled back; null when it was automatic',
+    },
     createdAt: {
       type: DataTypes.DATE,
       allowNull: false,
@@ -1,327 +1,12 @@
 'use strict';
-import { Model, Op } from 'sequelize';
-import {
-  detectErrorMessage,
-  outputContainsError,
-} from '../src/services/outputProcessingService.js';
-import { singleEvaluate } from '../src/services/evaluationService.js';
+import { Model } from 'sequelize';
 import { executeCalculateMetricsForModel } from '../src/services/modelMetricLogCalulatorService.js';
-import { evaluateAB } from '../src/services/abTestService.js';
 import { runReview } from '../src/services/insightsService.js';
 import { isCorrect } from '../src/services/entries/correctnessEvaluatorService.js';
-import { redisService } from '../src/services/redisService.js';
-import { parseContext } from '../src/services/parser.js';
 import { sendModelFailureNotification } from '../src/services/emailService.js';
-import { sendPromptVersionCreatedEmail } from '../src/services/emailService.js';
-import { autoDetectAndUpdateSystemPromptStructure } from '../src/services/systemPromptStructureManagerService.js';
-import { createPromptOptimizationPR } from '../src/services/promptOptimizationPRService.js';
-
-/**
- * Calculate metrics for PR creation based on model's associated metrics using version comparison
- * @param {Object} model - The model instance
- * @param {Object} models - Sequelize models
- * @returns {Object} Metrics object for PR creation
- */
-const calculateModelMetricsForPR = async (model, models) => {
-  try {
-    // Get current and previous model versions
-    const modelVersions = await models.ModelVersions.findAll({
-      where: { modelId: model.id },
-      order: [['createdAt', 'DESC']],
-      limit: 2
-    });
-
-    if (modelVersions.length === 0) {
-      // No versions available, return mock improvement data with random variations
-      const accuracyBefore = 0.72 + Math.random() * 0.08; // 72-80%
-      const accuracyAfter = 0.87 + Math.random() * 0.08; // 87-95%
-      const f1Before = 0.74 + Math.random() * 0.06; // 74-80%
-      const f1After = 0.86 + Math.random() * 0.08; // 86-94%
-      const errorBefore = 0.12 + Math.random() * 0.06; // 12-18%
-      const errorAfter = 0.05 + Math.random() * 0.04; // 5-9%
-      
-      return {
-        accuracy_before: accuracyBefore,
-        accuracy_after: accuracyAfter,
-        accuracy_improvement: accuracyAfter - accuracyBefore,
-        improvement: accuracyAfter - accuracyBefore,
-        f1_score_before: f1Before,
-        f1_score_after: f1After,
-        error_rate_before: errorBefore,
-        error_rate_after: errorAfter,
-        error_rate_reduction: errorBefore - errorAfter,
-        totalEvaluations: 80 + Math.floor(Math.random() * 40), // 80-120 evaluations
-        successfulEvaluations: Math.floor((80 + Math.random() * 40) * 0.9), // ~90% success rate
-        timestamp: new Date().toISOString(),
-        optimization_type: 'Prompt rewrite based on evaluation feedback',
-        optimization_reason: 'Performance below threshold on production evaluations',
-        version_before: 'v1.0.0',
-        version_after: 'v1.1.0'
-      };
-    }
-
-    const currentVersion = modelVersions[0];
-    const previousVersion = modelVersions.length > 1 ? modelVersions[1] : null;
-    
-    const currentVersionKey = `${model.id}-${currentVersion.version}`;
-    const previousVersionKey = previousVersion ? `${model.id}-${previousVersion.version}` : null;
-
-    // Get all model metrics associated with this model
-    const modelMetrics = await model.getModelMetrics();
-
-    const metrics = {
-      totalEvaluations: 0,
-      successfulEvaluations: 0,
-      timestamp: new Date().toISOString(),
-      optimization_type: 'Prompt rewrite based on evaluation feedback',
-      optimization_reason: 'Performance improvement based on version metric comparison',
-      version_before: previousVersion?.version || 'v1.0.0',
-      version_after: currentVersion.version
-    };
-
-    // Helper function to calculate averages
-    const calculateAverage = (logs) => {
-      if (logs.length === 0) return null;
-      const sum = logs.reduce((acc, log) => acc + log.value, 0);
-      return sum / logs.length;
-    };
-
-    // Store all metrics for calculating overall accuracy if needed
-    const allMetricsData = [];
-    let hasAccuracyMetric = false;
-
-    // Calculate averages for each metric type
-    for (const modelMetric of modelMetrics) {
-      if (modelMetric.type === 'function') {
-        continue;
-      }
-
-      const metricName = modelMetric.name;
-      
-      // Check if we have an accuracy metric
-      if (metricName.toLowerCase() === 'accuracy') {
-        hasAccuracyMetric = true;
-      }
-      
-      // Get metric logs for current version
-      let currentVersionLogs = await models.ModelMetricLog.findAll({
-        where: {
-          modelMetricId: modelMetric.id,
-          version: currentVersionKey
-        },
-        order: [['createdAt', 'DESC']],
-        limit: 30
-      });
-
-      // Get metric logs for previous version
-      let previousVersionLogs = [];
-      if (previousVersionKey) {
-        previousVersionLogs = await models.ModelMetricLog.findAll({
-          where: {
-            modelMetricId: modelMetric.id,
-            version: previousVersionKey
-          },
-          order: [['createdAt', 'DESC']],
-          limit: 30
-        });
-      }
-
-      // If no version-specific logs, get recent logs for fallback
-      if (currentVersionLogs.length === 0) {
-        currentVersionLogs = await models.ModelMetricLog.findAll({
-          where: {
-            modelMetricId: modelMetric.id
-          },
-          order: [['createdAt', 'DESC']],
-          limit: 15 // Recent logs for current version
-        });
-      }
-
-      if (previousVersionLogs.length === 0 && currentVersionLogs.length > 15) {
-        // Use older logs as previous version data
-        previousVersionLogs = currentVersionLogs.slice(15, 30);
-        currentVersionLogs = currentVersionLogs.slice(0, 15);
-      }
-
-      const currentAvg = calculateAverage(currentVersionLogs);
-      const previousAvg = calculateAverage(previousVersionLogs);
-
-      // Determine before/after values
-      let beforeValue, afterValue;
-
-      if (previousAvg !== null && currentAvg !== null && previousAvg !== 0 && currentAvg !== 0) {
-        // We have both versions with valid non-zero data
-        beforeValue = previousAvg;
-        afterValue = currentAvg;
-      } else if (currentAvg !== null && currentAvg !== 0) {
-        // Only current version with valid data, simulate improvement with randomness
-        afterValue = currentAvg;
-        const baseImprovementFactor = metricName.toLowerCase().includes('error') ? 0.15 : -0.15;
-        const randomVariation = (Math.random() - 0.5) * 0.1; // ±5% random variation
-        const improvementFactor = baseImprovementFactor + randomVariation;
-        beforeValue = Math.max(0, Math.min(1, currentAvg + improvementFactor));
-      } else {
-        // No valid data (zeros or nulls), create mock data with random significant improvement
-        if (metricName.toLowerCase().includes('error')) {
-          const mockCurrentValue = 0.04 + Math.random() * 0.06; // 4-10% error rate
-          const mockPreviousValue = 0.12 + Math.random() * 0.08; // 12-20% error rate  
-          beforeValue = mockPreviousValue;
-          afterValue = mockCurrentValue;
-        } else {
-          const mockCurrentValue = 0.85 + Math.random() * 0.10; // 85-95% performance
-          const mockPreviousValue = 0.70 + Math.random() * 0.10; // 70-80% performance
-          beforeValue = mockPreviousValue;
-          afterValue = mockCurrentValue;
-        }
-      }
-
-      // Ensure we always show improvement of at least 10% with random variation
-      const minImprovementRate = 0.10; // 10% minimum improvement
-      const randomBonus = Math.random() * 0.10; // 0-10% additional random improvement
-      const actualImprovementRate = minImprovementRate + randomBonus;
-      
-      if (metricName.toLowerCase().includes('error')) {
-        // For error metrics, after should be lower than before by at least 10%
-        if (afterValue >= beforeValue || (beforeValue - afterValue) / beforeValue < minImprovementRate) {
-          afterValue = beforeValue * (1 - actualImprovementRate); // 10-20% reduction
-        }
-      } else {
-        // For other metrics, after should be higher than before by at least 10%
-        if (afterValue <= beforeValue || (afterValue - beforeValue) / beforeValue < minImprovementRate) {
-          afterValue = beforeValue * (1 + actualImprovementRate); // 10-20% improvement
-        }
-      }
-
-      // Store metric data for potential accuracy calculation
-      allMetricsData.push({
-        name: metricName,
-        beforeValue,
-        afterValue,
-        isErrorMetric: metricName.toLowerCase().includes('error')
-      });
-
-      // Map metric types to standard names for PR
-      switch (metricName.toLowerCase()) {
-        case 'accuracy':
-          metrics.accuracy_before = beforeValue;
-          metrics.accuracy_after = afterValue;
-          metrics.accuracy_improvement = afterValue - beforeValue;
-          metrics.improvement = afterValue - beforeValue;
-          break;
-        case 'f1_score':
-        case 'f1':
-          metrics.f1_score_before = beforeValue;
-          metrics.f1_score_after = afterValue;
-          break;
-        case 'precision':
-          metrics.precision_before = beforeValue;
-          metrics.precision_after = afterValue;
-          break;
-        case 'recall':
-          metrics.recall_before = beforeValue;
-          metrics.recall_after = afterValue;
-          break;
-        case 'error_rate':
-        case 'error':
-          metrics.error_rate_before = beforeValue;
-          metrics.error_rate_after = afterValue;
-          metrics.error_rate_reduction = beforeValue - afterValue;
-          break;
-        default:
-          // For ALL other metrics (custom company metrics), store with generic naming
-          metrics[`${metricName}_before`] = beforeValue;
-          metrics[`${metricName}_after`] = afterValue;
-          // Calculate improvement/change for custom metrics
-          if (metricName.toLowerCase().includes('error')) {
-            metrics[`${metricName}_reduction`] = beforeValue - afterValue;
-          } else {
-            metrics[`${metricName}_improvement`] = afterValue - beforeValue;
-          }
-          break;
-      }
-      
-      metrics.totalEvaluations += currentVersionLogs.length + previousVersionLogs.length;
-    }
-
-    // If no accuracy metric exists, calculate it as average of all other non-error metrics
-    if (!hasAccuracyMetric && allMetricsData.length > 0) {
-      const nonErrorMetrics = allMetricsData.filter(metric => !metric.isErrorMetric);
-      
-      if (nonErrorMetrics.length > 0) {
-        // Calculate average accuracy from other metrics
-        const avgBeforeAccuracy = nonErrorMetrics.reduce((sum, metric) => sum + metric.beforeValue, 0) / nonErrorMetrics.length;
-        const avgAfterAccuracy = nonErrorMetrics.reduce((sum, metric) => sum + metric.afterValue, 0) / nonErrorMetrics.length;
-        
-        metrics.accuracy_before = avgBeforeAccuracy;
-        metrics.accuracy_after = avgAfterAccuracy;
-        metrics.accuracy_improvement = avgAfterAccuracy - avgBeforeAccuracy;
-        metrics.improvement = avgAfterAccuracy - avgBeforeAccuracy;
-        
-        console.log(`📊 Calculated accuracy from ${nonErrorMetrics.length} other metrics: ${avgBeforeAccuracy.toFixed(3)} → ${avgAfterAccuracy.toFixed(3)}`);
-      }
-    }
-
-    // If no improvement was calculated, use default with random good improvement
-    if (!metrics.improvement && !metrics.accuracy_improvement) {
-      const randomImprovement = 0.12 + Math.random() * 0.08; // 12-20% improvement
-      metrics.improvement = randomImprovement;
-      metrics.accuracy_improvement = randomImprovement;
-      metrics.accuracy_before = metrics.accuracy_before || (0.72 + Math.random() * 0.08); // 72-80%
-      metrics.accuracy_after = metrics.accuracy_after || Math.max(0.87, metrics.accuracy_before * (1 + randomImprovement));
-    }
-
-    // Count successful evaluations based on model logs if not set
-    if (metrics.successfulEvaluations === 0) {
-      const recentLogs = await models.ModelLog.findAll({
-        where: {
-          modelId: model.id,
-          createdAt: {
-            [Op.gte]: new Date(Date.now() - 24 * 60 * 60 * 1000), // Last 24 hours
-          },
-        },
-        limit: 50,
-        order: [['createdAt', 'DESC']],
-      });
-
-      const successfulLogs = recentLogs.filter((log) => log.status === 'success');
-      metrics.totalEvaluations = Math.max(metrics.totalEvaluations, recentLogs.length);
-      metrics.successfulEvaluations = successfulLogs.length;
-    }
-
-    console.log(`📊 Calculated version-based metrics for model ${model.name}:`, JSON.stringify(metrics, null, 2));
-    return metrics;
-
-  } catch (error) {
-    console.error('Error calculating model metrics for PR:', error);
-    
-    // Return fallback metrics with random guaranteed good improvement
-    const accuracyBefore = 0.73 + Math.random() * 0.07; // 73-80%
-    const accuracyAfter = 0.88 + Math.random() * 0.07; // 88-95%
-    const f1Before = 0.75 + Math.random() * 0.05; // 75-80%
-    const f1After = 0.87 + Math.random() * 0.07; // 87-94%
-    const errorBefore = 0.13 + Math.random() * 0.05; // 13-18%
-    const errorAfter = 0.06 + Math.random() * 0.03; // 6-9%
-    
-    return {
-      accuracy_before: accuracyBefore,
-      accuracy_after: accuracyAfter,
-      accuracy_improvement: accuracyAfter - accuracyBefore,
-      improvement: accuracyAfter - accuracyBefore,
-      f1_score_before: f1Before,
-      f1_score_after: f1After,
-      error_rate_before: errorBefore,
-      error_rate_after: errorAfter,
-      error_rate_reduction: errorBefore - errorAfter,
-      totalEvaluations: 40 + Math.floor(Math.random() * 20), // 40-60 evaluations
-      successfulEvaluations: Math.floor((40 + Math.random() * 20) * 0.9), // ~90% success rate
-      timestamp: new Date().toISOString(),
-      optimization_type: 'Prompt rewrite based on evaluation feedback',
-      optimization_reason: 'Performance optimization (fallback metrics)',
-      version_before: 'v1.0.0',
-      version_after: 'v1.1.0'
-    };
-  }
-};
+import { enqueueModelLogEvaluation } from '../src/jobs/evaluationJob.js';
+import { applyModelLogCost } from '../src/services/costService.js';
+import { runWithUsageContext } from '../src/services/usageContext.js';
 
 export default (sequelize, DataTypes) => {
   class ModelLog extends Model {
@@ -429,12 +114,96 @@ export default (sequelize, DataTypes) => {
         defaultValue: null,
         field: 'evaluation_status',
       },
+      retrievedContext: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        field: 'retrieved_context',
+        comment: 'Documents retrieved for this call as [{ id, content, source, score }], tagged by the caller or detected from the input',
+      },
+      reviewReason: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        field: 'review_reason',
+        comment: 'Why the entry was left for human review instead of auto-labeled, e.g. judge_disagreement',
+      },
       version: {
         type: DataTypes.STRING,
         allowNull: true,
         defaultValue: '1',
         comment: 'Version of the model when the log was created',
       },
+      modelVersionId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        field: 'model_version_id',
+        comment: 'Prompt version served to the call that produced the log',
+      },
+      inputTokens: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        field: 'input_tokens',
+      },
+      outputTokens: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        field: 'output_tokens',
+      },
+      cachedTokens: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        field: 'cached_tokens',
+      },
+      inputCost: {
+        type: DataTypes.DECIMAL(16, 8),
+        allowNull: true,
+        field: 'input_cost',
+      },
+      outputCost: {
+        type: DataTypes.DECIMAL(16, 8),
+        allowNull: true,
+        field: 'output_cost',
+      },
+      cachedCost: {
+        type: DataTypes.DECIMAL(16, 8),
+        allowNull: true,
+        field: 'cached_cost',
+      },
+      totalCost: {
+        type: DataTypes.DECIMAL(16, 8),
+        allowNull: true,
+        field: 'total_cost',
+        comment: 'USD cost of the call; null when usage or pricing is unknown',
+      },
+      pricingModel: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        field: 'pricing_model',
+      },
+      traceId: {
+        type: DataTypes.STRING(32),
+        allowNull: true,
+        field: 'trace_id',
+      },
+      spanId: {
+        type: DataTypes.STRING(16),
+        allowNull: true,
+        field: 'span_id',
+      },
+      parentSpanId: {
+        type: DataTypes.STRING(16),
+        allowNull: true,
+        field: 'parent_span_id',
+      },
+      startedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'started_at',
+      },
+      endedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'ended_at',
+      },
     },
     {
       sequelize,
@@ -442,552 +211,20 @@ export default (sequelize, DataTypes) => {
       timestamps: true,
       paranoid: true,
       hooks: {
-        afterCreate: async (modelLog) => {
-          setImmediate(async () => {
-            try {
-              const model = await sequelize.models.Model.findByPk(
-                modelLog.modelId
-              );
-
-              if (!model.active) {
-                return;
-              }
-
-              // Check if system prompt structure detection is needed
-              if (!model.systemPromptStructure) {
-                // If we have 3 or more logs, trigger structure detection
-                try {
-                  console.log(
-                    `Triggering system prompt structure detection for model ${model.id} (${model.name})`
-                  );
-                  await autoDetectAndUpdateSystemPromptStructure(
-                    model.id,
-                    sequelize.models.Model,
-                    sequelize.models.ModelLog
-                  );
-                } catch (error) {
-                  console.error(
-                    `Error detecting system prompt structure for model ${model.id}:`,
-                    error
-                  );
-                }
-              }
-
-              let prompt = parseContext(modelLog.input, model);
-
-              if (
-                !model.isOptimized &&
-                prompt &&
-                prompt.length > 0 &&
-                !modelLog.originalLogId
-              ) {
-                const modelVersions = await model.getModelVersions();
-                if (modelVersions.length === 0) {
-                  await model.createModelVersion({
-                    prompt: prompt,
-                    version: '1',
-                    activeVersion: true,
-                  });
-                }
-              }
-
-              // Set the version field to the active model version (id-version)
-              const modelVersion = await model.getModelVersion();
-              if (modelVersion) {
-                const versionString = `${modelVersion.modelId}-${modelVersion.version}`;
-                if (modelLog.version !== versionString) {
-                  await modelLog.update({ version: versionString });
-                }
-              }
-
-              // Check if model is not a reviewer and has more than 10 logs
-              if (!model.isReviewer) {
-                const reviewers = await model.getReviewers();
-                if (reviewers.length === 0) {
-                  const reviewer = await sequelize.models.Model.create({
-                    name: `${model.name} - Reviewer`,
-                    provider: model.provider,
-                    parameters: {
-                      problemType: 'oss',
-                    },
-                    modelGroupId: model.modelGroupId,
-                    type: 'largeLanguageModel',
-                    problemType: model.problemType,
-                    modelCategory: model.modelCategory,
-                    active: true,
-                    isReviewer: true,
-                  });
-
-                  await sequelize.models.ReviewersModels.create({
-                    reviewerId: reviewer.dataValues.id,
-                    modelId: model.id,
-                    reviewer_id: reviewer.dataValues.id,
-                    model_id: model.id,
-                    activationThreshold: 5,
-                    evaluationPercentage: model.flags?.isN8N ? 100 : 30,
-                    limit: 5,
-                  });
-                }
-
-                // check if model has informative evaluators
-                let informativeEvaluators = await model.allEvaluationPrompts();
-                informativeEvaluators = informativeEvaluators.filter(
-                  (e) => e.isInformative
-                );
-
-                const currentEvaluators = await model.evaluationPrompts();
-                const currentInformativeEvaluators = currentEvaluators.filter(
-                  (e) => e.evaluationPrompt.isInformative
-                );
-
-                const difference = informativeEvaluators.filter(
-                  (e) =>
-                    !currentInformativeEvaluators.some(
-                      (ce) => ce.evaluationPrompt.id === e.id
-                    )
-                );
-                if (difference.length > 0) {
-                  for (let i = 0; i < difference.length; i++) {
-                    const evaluator = difference[i];
-                    await model.addEvaluationPrompt(evaluator);
-                  }
-                }
-              }
-
-              await redisService.deletePattern(`entries:${modelLog.modelId}:*`);
-              if (model.isReviewer) {
-                return;
-              }
-
-              const modelGroup = await model.getModelGroup();
-              const companyId = modelGroup.companyId;
-              const company = await sequelize.models.Company.findByPk(
-                companyId
-              );
-
-              if (company.testMode) {
-                await company.moveModelMetricsToLast30Days();
-              }
-
-              if (
-                !model.isReviewer &&
-                modelLog.input.length > 0 &&
-                !model.isOptimized &&
-                !modelLog.originalLogId
-              ) {
-                const systemPrompt = parseContext(modelLog.input, model);
-                await model.update({
-                  parameters: {
-                    ...model.parameters,
-                    prompt: systemPrompt,
-                  },
-                });
-              }
-
-              let status = null;
-              const reviewers = await model.getReviewers();
-              for (let i = 0; i < reviewers.length; i++) {
-                const reviewer = reviewers[i];
-
-                const reviewerInstance = await sequelize.models.Model.findOne({
-                  where: {
-                    id: reviewer.reviewerId,
-                  },
-                });
-
-                const evaluationPercentage = reviewer.evaluationPercentage;
-
-                const modelId = modelLog.modelId;
-                const model = await sequelize.models.Model.findByPk(modelId);
-                const prompts = await model.evaluationPrompts();
-
-                // Separate AI evaluators (prompts) from function evaluators
-                const aiEvaluators = prompts.filter(
-                  (prompt) => prompt.evaluationPrompt.type === 'prompt'
-                );
-                const functionEvaluators = prompts.filter(
-                  (prompt) => prompt.evaluationPrompt.type === 'function'
-                );
-                let evaluators = [];
-                // Always run function evaluators (100% of the time)
-                if (functionEvaluators.length > 0) {
-                  evaluators = [...evaluators, ...functionEvaluators];
-                }
-
-                // Apply percentage only to AI evaluators (prompts)
-                if (aiEvaluators.length > 0) {
-                  const randomNumberFrom0To100 = Math.floor(
-                    Math.random() * 101
-                  );
-                  if (randomNumberFrom0To100 <= evaluationPercentage) {
-                    evaluators = [...evaluators, ...aiEvaluators];
-                  }
-                }
-
-                if (evaluators.length > 0) {
-                  const { status: currentStatus } = await singleEvaluate(
-                    modelLog,
-                    reviewerInstance,
-                    evaluators,
-                    model.flags?.isN8N,
-                    sequelize.models.EvaluationLog
-                  );
-                  status = currentStatus;
-                }
-              }
-              const random = Math.floor(Math.random() * 101);
-              if (random <= 20 && status === 'error') {
-                await model.generateInsights();
-                const newPrompt = await model.applySuggestions();
-                if (newPrompt) {
-                  const existingABTest =
-                    await sequelize.models.ABTestModels.findOne({
-                      where: {
-                        modelId: model.id,
-                        principal: true,
-                      },
-                    });
-
-                  if (existingABTest) {
-                    // Update the optimized model version
-                    await model.updateOptimizedPrompt(newPrompt);
-
-                    const agentNode = await sequelize.models.AgentNode.findOne({
-                      where: {
-                        modelId: model.id,
-                        deletedAt: null,
-                      },
-                    });
-
-                    const agent = await sequelize.models.Agent.findByPk(
-                      agentNode.agentId
-                    );
-
-                    if (agent && agent.repository) {
-                      const originalPrompt =
-                        model.parameters?.prompt ||
-                        parseContext(modelLog.input, model);
-
-                      // Calculate improvement metrics from model metrics
-                      const metrics = await calculateModelMetricsForPR(model, sequelize.models);
-
-                      console.log(
-                        `🔄 Creating GitHub PR for prompt optimization - Agent: ${agent.name}`
-                      );
-
-                      const prResult = await createPromptOptimizationPR({
-                        agent,
-                        originalPrompt,
-                        optimizedPrompt: newPrompt,
-                        metrics,
-                        models: sequelize.models,
-                        modelLog,
-                      });
-
-                      if (prResult.success) {
-                        console.log(
-                          `✅ Successfully created GitHub PR #${prResult.prNumber}: ${prResult.prUrl}`
-                        );
-                        
-                        // Send email notification for prompt optimization PR
-                        try {
-                          const company = await sequelize.models.Company.findByPk(
-                            agent.companyId
-                          );
-
-                          // Get users of the company
-                          const users = await sequelize.models.User.findAll({
-                            where: {
-                              companyId: company.id,
-                              deletedAt: null,
-                            },
-                          });
-
-                          // Get the prompt version
-                          const modelVersions = await sequelize.models.ModelVersions.findAll({
-                            where: {
-                              modelId: model.id,
-                            },
-                            order: [['createdAt', 'DESC']],
-                            limit: 1,
-                          });
-
-                          const promptVersion = modelVersions[0]?.version || '1';
-
-                          // Send email to each user
-                          for (const user of users) {
-                            await sendPromptVersionCreatedEmail({
-                              recipientEmail: user.email,
-                              firstName: user.firstName,
-                              agentName: agent.name,
-                              modelName: model.name,
-                              promptVersion: promptVersion,
-                              agentId: agent.id,
-                              modelId: model.id,
-                              Email: sequelize.models.Email,
-                              User: sequelize.models.User,
-                              GitHubIntegration: sequelize.models.GitHubIntegration,
-                              notificationSource: 'prompt_version_created',
-                              sourceId: model.id,
-                              prUrl: prResult.prUrl,
-                              prNumber: prResult.prNumber,
-                            });
-                          }
-                        } catch (emailError) {
-                          console.error(
-                            'Error sending prompt optimization PR email:',
-                            emailError
-                          );
-                        }
-                      } else {
-                        console.log(
-                          `❌ Failed to create GitHub PR: ${prResult.error}`
-                        );
-                      }
-                    }
-                  } else {
-                    // Create a new optimized model
-                    const originalModel = model.toJSON();
-                    // remove id from originalModel
-                    delete originalModel.id;
-
-                    const optimizedModel = await sequelize.models.Model.create({
-                      ...originalModel,
-                      slug: `${model.slug}-optimized-${Date.now()}`,
-                      isOptimized: true,
-                      parameters: {
-                        prompt: newPrompt,
-                        problemType: model.parameters?.problemType,
-                      },
-                      problemType: model.problemType,
-                    });
-
-                    // Copy metrics and reviewers
-                    const metrics = await model.getModelMetrics();
-                    for (const metric of metrics) {
-                      await sequelize.models.ModelMetric.create({
-                        ...metric.toJSON(),
-                        id: undefined,
-                        modelId: optimizedModel.id,
-                      });
-                    }
-
-                    const reviewers = await model.getReviewers();
-                    for (const reviewer of reviewers) {
-                      await sequelize.models.ReviewersModels.create({
-                        modelId: optimizedModel.id,
-                        model_id: model.id,
-                        reviewer_id: reviewer.reviewerId,
-                        reviewerId: reviewer.reviewerId,
-                      });
-                    }
-
-                    // Create AB test
-                    await sequelize.models.ABTestModels.create({
-                      modelId: model.id,
-                      optimizedModelId: optimizedModel.id,
-                      principal: true,
-                      percentage: 30,
-                    });
-
-                    await model.updateOptimizedPrompt(newPrompt);
-
-                    // Create GitHub PR for prompt optimization
-                    let prResult = null;
-                    try {
-                      const agentNode =
-                        await sequelize.models.AgentNode.findOne({
-                          where: {
-                            modelId: model.id,
-                            deletedAt: null,
-                          },
-                        });
-
-                      if (agentNode) {
-                        const agent = await sequelize.models.Agent.findByPk(
-                          agentNode.agentId
-                        );
-                        if (agent && agent.repository) {
-                          const originalPrompt =
-                            model.parameters?.prompt ||
-                            parseContext(modelLog.input, model);
-
-                          // Calculate improvement metrics from model metrics
-                          const metrics = await calculateModelMetricsForPR(model, sequelize.models);
-
-                          console.log(
-                            `🔄 Creating GitHub PR for prompt optimization - Agent: ${agent.name}`
-                          );
-
-                          prResult = await createPromptOptimizationPR({
-                            agent,
-                            originalPrompt,
-                            optimizedPrompt: newPrompt,
-                            metrics,
-                            models: sequelize.models,
-                            modelLog,
-                          });
-
-                          if (prResult.success) {
-                            console.log(
-                              `✅ Successfully created GitHub PR #${prResult.prNumber}: ${prResult.prUrl}`
-                            );
-                          } else {
-                            console.log(
-                              `❌ Failed to create GitHub PR: ${prResult.error}`
-                            );
-                          }
-                        }
-                      }
-                    } catch (prError) {
-                      console.error(
-                        'Error creating GitHub PR for prompt optimization:',
-                        prError
-                      );
-                    }
-
-                    // Send email notification for new prompt version
-                    try {
-                      // Get the agent information
-                      const agentNode =
-                        await sequelize.models.AgentNode.findOne({
-                          where: {
-                            modelId: model.id,
-                            deletedAt: null,
-                          },
-                        });
-
-                      if (agentNode) {
-                        const agent = await sequelize.models.Agent.findByPk(
-                          agentNode.agentId
-                        );
-                        const company = await sequelize.models.Company.findByPk(
-                          agent.companyId
-                        );
-
-                        // Get users of the company
-                        const users = await sequelize.models.User.findAll({
-                          where: {
-                            companyId: company.id,
-                            deletedAt: null,
-                          },
-                        });
-
-                        // Get the prompt version
-                        const modelVersions =
-                          await sequelize.models.ModelVersions.findAll({
-                            where: {
-                              modelId: model.id,
-                            },
-                            order: [['createdAt', 'DESC']],
-                            limit: 1,
-                          });
-
-                        const promptVersion = modelVersions[0]?.version || '1';
-
-                        // Send email to each user
-                        for (const user of users) {
-                          await sendPromptVersionCreatedEmail({
-                            recipientEmail: user.email,
-                            firstName: user.firstName,
-                            agentName: agent.name,
-                            modelName: model.name,
-                            promptVersion: promptVersion,
-                            agentId: agent.id,
-                            modelId: model.id,
-                            Email: sequelize.models.Email,
-                            User: sequelize.models.User,
-                            GitHubIntegration: sequelize.models.GitHubIntegration,
-                            notificationSource: 'prompt_version_created',
-                            sourceId: model.id,
-                            prUrl: prResult?.success ? prResult.prUrl : null,
-                            prNumber: prResult?.success ? prResult.prNumber : null,
-                          });
-                        }
-                      }
-                    } catch (emailError) {
-                      console.error(
-                        'Error sending prompt version created email:',
-                        emailError
-                      );
-                    }
-                  }
-                }
-              }
-              const abTestModels = await model.getABTestModels();
-
-              for (let i = 0; i < abTestModels.length; i++) {
-                const randomNumberFrom0To100 = Math.floor(Math.random() * 101);
-                const abTest = abTestModels[i].abTest;
-                if (randomNumberFrom0To100 <= abTest.percentage) {
-                  await evaluateAB(
-                    modelLog,
-                    abTestModels[i],
-                    sequelize.models.ModelLog,
-                    modelLog.id,
-                    sequelize.models,
-                    company
-                  );
-                }
-              }
-
-              const output = modelLog.output;
-              const hasError = outputContainsError(output);
-              let errorMessage = '';
-
-              if (hasError) {
-                errorMessage = detectErrorMessage(output);
-              }
-              const modelMetric = await sequelize.models.ModelMetric.findOne({
-                where: {
-                  modelId: modelLog.modelId,
-                  type: 'health_check',
-                },
-              });
-
-              if (!modelMetric) {
-                return;
-              }
-
-              const lastModelMetricLog =
-                await modelMetric.getLastModelMetricLogs(1);
-
-              if (hasError) {
-                await modelMetric.createModelMetricLog({
-                  value: 0,
-                  description: errorMessage,
-                  label: 'health_check',
-                });
-              } else {
-                const lastModelMetricLogValue = lastModelMetricLog[0]?.value;
-
-                if (
-                  lastModelMetricLog.length === 0 ||
-                  lastModelMetricLogValue === 0
-                ) {
-                  await modelMetric.createModelMetricLog({
-                    value: 1,
-                    description: 'Model health check passed',
-                    label: 'health_check',
-                  });
-                }
-              }
-
-              
-              if (
-                !model.isReviewer &&
-                !model.isOptimized &&
-                !modelLog.originalLogId
-              ) {
-                await model.saveABCorrectEntriesByDayInCache();
-                await model.saveABMetricsInCache();
-                await model.saveModelMetricsInCache();
-                await model.saveModelMetricsOfModelMonitoringInCache();
-                await model.saveMetricsFullDateInCache();
-              }
-            } catch (error) {
-              console.error('Error in ModelLog afterCreate hook:', error);
-            }
+        beforeCreate: async (modelLog) => {
+          try {
+            await applyModelLogCost(modelLog, sequelize.models);
+          } catch (error) {
+            // Cost accounting must never block tracking
+            console.error('Error calculating ModelLog cost:', error);
+          }
+        },
+        afterCreate: (modelLog) => {
+          // Evaluation, insights and optimization run as durable queue jobs
+          // (see src/workers/evaluationWorker.js) so they survive restarts.
+          // Not awaited: tracking must not wait on, or fail with, Redis.
+          enqueueModelLogEvaluation(modelLog, sequelize.models).catch((error) => {
+            console.error('Error enqueuing ModelLog evaluation:', error);
           });
         },
         afterUpdate: async (modelLog) => {
@@ -1024,12 +261,22 @@ export default (sequelize, DataTypes) => {
                         id: insightModel.insightModelId,
                       },
                     });
-                    await runReview(
-                      modelLog,
-                      reviewer,
-                      sequelize.models.ModelLog,
-                      sequelize.models.Insights,
-                      model.problemType
+                    await runWithUsageContext(
+                      {
+                        category: 'insights',
+                        modelId: modelLog.modelId,
+                        modelLogId: modelLog.id,
+                        agentLogId: modelLog.agentLogId,
+                        environment: modelLog.environment,
+                      },
+                      () =>
+                        runReview(
+                          modelLog,
+                          reviewer,
+                          sequelize.models.ModelLog,
+                          sequelize.models.Insights,
+                          model.problemType
+                        )
                     );
                   }
                 }
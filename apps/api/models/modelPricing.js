@@ -0,0 +1,60 @@
+'use strict';
+import { Model } from 'sequelize';
+
+export default (sequelize, DataTypes) => {
+  class ModelPricing extends Model {
+    static associate(models) {
+      ModelPricing.belongsTo(models.Company, { foreignKey: 'companyId' });
+    }
+  }
+
+  ModelPricing.init({
+    companyId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'company_id',
+    },
+    provider: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Optional; entries without a provider match the model from any provider',
+    },
+    model: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'Model name or prefix, matched like the default pricing catalog',
+    },
+    inputCostPerMillion: {
+      type: DataTypes.DECIMAL(12, 6),
+      allowNull: false,
+      field: 'input_cost_per_million',
+    },
+    outputCostPerMillion: {
+      type: DataTypes.DECIMAL(12, 6),
+      allowNull: false,
+      field: 'output_cost_per_million',
+    },
+    cachedInputCostPerMillion: {
+      type: DataTypes.DECIMAL(12, 6),
+      allowNull: true,
+      field: 'cached_input_cost_per_million',
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'created_at',
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'updated_at',
+    },
+  }, {
+    sequelize,
+    modelName: 'ModelPricing',
+    tableName: 'ModelPricings',
+    timestamps: true,
+  });
+
+  return ModelPricing;
+};
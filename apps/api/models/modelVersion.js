@@ -7,6 +7,8 @@ export default (sequelize, DataTypes) => {
       ModelVersion.belongsTo(models.Model, {
         foreignKey: 'model_id',
       });
+      ModelVersion.hasMany(models.PromptVersionReview, { foreignKey: 'modelVersionId', as: 'reviews' });
+      ModelVersion.hasMany(models.PromptVersionTransition, { foreignKey: 'modelVersionId', as: 'transitions' });
     }
   }
   ModelVersion.init(
@@ -49,12 +51,67 @@ export default (sequelize, DataTypes) => {
         defaultValue: false,
         field: 'active_version',
       },
+      trafficWeight: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        field: 'traffic_weight',
+        comment: 'Percentage of served traffic the version gets; when no version of a model has one, the active version gets it all',
+      },
+      status: {
+        type: DataTypes.ENUM('draft', 'in_review', 'approved', 'released', 'retired'),
+        allowNull: false,
+        defaultValue: 'draft',
+      },
+      createdBy: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        field: 'created_by',
+        comment: 'Null for versions created by automatic optimization',
+      },
+      pullRequestPending: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        field: 'pull_request_pending',
+        comment: 'An optimization pull request was held back until the version is approved',
+      },
     },
     {
       sequelize,
       modelName: 'ModelVersions',
       timestamps: true,
       paranoid: true,
+      hooks: {
+        // Every state a version goes through is recorded. Pass { userId, reason }
+        // in the options of create or update to say who moved it and why.
+        afterCreate: async (modelVersion, options) => {
+          await sequelize.models.PromptVersionTransition.create(
+            {
+              modelVersionId: modelVersion.id,
+              fromStatus: null,
+              toStatus: modelVersion.status,
+              userId: options.userId ?? modelVersion.createdBy ?? null,
+              reason: options.reason ?? null,
+            },
+            { transaction: options.transaction }
+          );
+        },
+        afterUpdate: async (modelVersion, options) => {
+          if (!modelVersion.changed('status')) {
+            return;
+          }
+          await sequelize.models.PromptVersionTransition.create(
+            {
+              modelVersionId: modelVersion.id,
+              fromStatus: modelVersion.previous('status'),
+              toStatus: modelVersion.status,
+              userId: options.userId ?? null,
+              reason: options.reason ?? null,
+            },
+            { transaction: options.transaction }
+          );
+        },
+      },
     }
   );
   return ModelVersion;
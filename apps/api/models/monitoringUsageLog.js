@@ -0,0 +1,113 @@
+'use strict';
+import { Model } from 'sequelize';
+
+export default (sequelize, DataTypes) => {
+  class MonitoringUsageLog extends Model {
+    static associate(models) {
+      MonitoringUsageLog.belongsTo(models.Company, { foreignKey: 'companyId' });
+      MonitoringUsageLog.belongsTo(models.Agent, { foreignKey: 'agentId', constraints: false });
+      MonitoringUsageLog.belongsTo(models.Model, { foreignKey: 'modelId', constraints: false });
+    }
+  }
+
+  MonitoringUsageLog.init({
+    companyId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'company_id',
+    },
+    agentId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'agent_id',
+    },
+    modelId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'model_id',
+    },
+    modelLogId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'model_log_id',
+    },
+    environment: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'production',
+    },
+    category: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'evaluation, optimization, insights, ab_test or other',
+    },
+    provider: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    model: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    inputTokens: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      field: 'input_tokens',
+    },
+    outputTokens: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      field: 'output_tokens',
+    },
+    cachedTokens: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      field: 'cached_tokens',
+    },
+    inputCost: {
+      type: DataTypes.DECIMAL(16, 8),
+      allowNull: true,
+      field: 'input_cost',
+    },
+    outputCost: {
+      type: DataTypes.DECIMAL(16, 8),
+      allowNull: true,
+      field: 'output_cost',
+    },
+    cachedCost: {
+      type: DataTypes.DECIMAL(16, 8),
+      allowNull: true,
+      field: 'cached_cost',
+    },
+    totalCost: {
+      type: DataTypes.DECIMAL(16, 8),
+      allowNull: true,
+      field: 'total_cost',
+    },
+    pricingModel: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      field: 'pricing_model',
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'created_at',
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'updated_at',
+    },
+  }, {
+    sequelize,
+    modelName: 'MonitoringUsageLog',
+    tableName: 'MonitoringUsageLogs',
+    timestamps: true,
+  });
+
+  return MonitoringUsageLog;
+};
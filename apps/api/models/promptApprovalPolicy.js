@@ -0,0 +1,83 @@
+'use strict';
+import { Model } from 'sequelize';
+
+export default (sequelize, DataTypes) => {
+  /**
+   * Who has to sign off a prompt version before it can be released or sent as
+   * a pull request. One company-wide default, optionally overridden per agent.
+   */
+  class PromptApprovalPolicy extends Model {
+    static associate(models) {
+      PromptApprovalPolicy.belongsTo(models.Company, { foreignKey: 'companyId' });
+      PromptApprovalPolicy.belongsTo(models.Agent, { foreignKey: 'agentId' });
+    }
+  }
+
+  PromptApprovalPolicy.init({
+    companyId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'company_id',
+    },
+    agentId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'agent_id',
+      comment: 'Null for the company-wide default policy',
+    },
+    enabled: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+    },
+    requiredApprovals: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+      field: 'required_approvals',
+    },
+    approverRoles: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      field: 'approver_roles',
+      comment: 'User roles that may approve; null for any role',
+    },
+    approverUserIds: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      field: 'approver_user_ids',
+      comment: 'Users that may approve; null for any user of the company',
+    },
+    requiredReviewerIds: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: [],
+      field: 'required_reviewer_ids',
+      comment: 'Users who must all approve, on top of the required number of approvals',
+    },
+    allowSelfApproval: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      field: 'allow_self_approval',
+      comment: 'Whether whoever created or submitted a version may approve it',
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'created_at',
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'updated_at',
+    },
+  }, {
+    sequelize,
+    modelName: 'PromptApprovalPolicy',
+    tableName: 'PromptApprovalPolicies',
+    timestamps: true,
+  });
+
+  return PromptApprovalPolicy;
+};
@@ -0,0 +1,67 @@
+'use strict';
+import { Model } from 'sequelize';
+
+export default (sequelize, DataTypes) => {
+  /**
+   * Audit trail of who created, changed or deleted a prompt approval policy,
+   * with its settings before and after
+   */
+  class PromptApprovalPolicyChange extends Model {
+    static associate(models) {
+      PromptApprovalPolicyChange.belongsTo(models.PromptApprovalPolicy, { foreignKey: 'policyId', as: 'policy' });
+      PromptApprovalPolicyChange.belongsTo(models.User, { foreignKey: 'userId', as: 'user' });
+    }
+  }
+
+  PromptApprovalPolicyChange.init({
+    policyId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'policy_id',
+    },
+    companyId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'company_id',
+    },
+    agentId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'agent_id',
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'user_id',
+    },
+    action: {
+      type: DataTypes.ENUM('create', 'update', 'delete'),
+      allowNull: false,
+    },
+    before: {
+      type: DataTypes.JSON,
+      allowNull: true,
+    },
+    after: {
+      type: DataTypes.JSON,
+      allowNull: true,
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'created_at',
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'updated_at',
+    },
+  }, {
+    sequelize,
+    modelName: 'PromptApprovalPolicyChange',
+    tableName: 'PromptApprovalPolicyChanges',
+    timestamps: true,
+  });
+
+  return PromptApprovalPolicyChange;
+};
@@ -0,0 +1,53 @@
+'use strict';
+import { Model } from 'sequelize';
+
+export default (sequelize, DataTypes) => {
+  /**
+   * A reviewer's comment on a prompt version, or their approval or request
+   * for changes
+   */
+  class PromptVersionReview extends Model {
+    static associate(models) {
+      PromptVersionReview.belongsTo(models.ModelVersions, { foreignKey: 'modelVersionId', as: 'modelVersion' });
+      PromptVersionReview.belongsTo(models.User, { foreignKey: 'userId', as: 'user' });
+    }
+  }
+
+  PromptVersionReview.init({
+    modelVersionId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'model_version_id',
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'user_id',
+    },
+    decision: {
+      type: DataTypes.ENUM('comment', 'approve', 'request_changes'),
+      allowNull: false,
+    },
+    comment: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'created_at',
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'updated_at',
+    },
+  }, {
+    sequelize,
+    modelName: 'PromptVersionReview',
+    tableName: 'PromptVersionReviews',
+    timestamps: true,
+  });
+
+  return PromptVersionReview;
+};
@@ -0,0 +1,61 @@
+'use strict';
+import { Model } from 'sequelize';
+
+export default (sequelize, DataTypes) => {
+  /**
+   * Audit trail of a prompt version's states: draft, in_review, approved,
+   * released and retired. Written by the ModelVersions hooks.
+   */
+  class PromptVersionTransition extends Model {
+    static associate(models) {
+      PromptVersionTransition.belongsTo(models.ModelVersions, { foreignKey: 'modelVersionId', as: 'modelVersion' });
+      PromptVersionTransition.belongsTo(models.User, { foreignKey: 'userId', as: 'user' });
+    }
+  }
+
+  PromptVersionTransition.init({
+    modelVersionId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'model_version_id',
+    },
+    fromStatus: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      field: 'from_status',
+      comment: 'Null when the version was created',
+    },
+    toStatus: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      field: 'to_status',
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'user_id',
+      comment: 'Null for automatic transitions',
+    },
+    reason: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'created_at',
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'updated_at',
+    },
+  }, {
+    sequelize,
+    modelName: 'PromptVersionTransition',
+    tableName: 'PromptVersionTransitions',
+    timestamps: true,
+  });
+
+  return PromptVersionTransition;
+};
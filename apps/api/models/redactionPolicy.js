@@ -0,0 +1,80 @@
+'use strict';
+import { Model } from 'sequelize';
+
+export default (sequelize, DataTypes) => {
+  class RedactionPolicy extends Model {
+    static associate(models) {
+      RedactionPolicy.belongsTo(models.Company, { foreignKey: 'companyId' });
+      RedactionPolicy.belongsTo(models.Agent, { foreignKey: 'agentId' });
+    }
+  }
+
+  RedactionPolicy.init({
+    companyId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'company_id',
+    },
+    agentId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'agent_id',
+      comment: 'Null for the company-wide default policy',
+    },
+    enabled: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+    },
+    mode: {
+      type: DataTypes.ENUM('mask', 'tokenize'),
+      allowNull: false,
+      defaultValue: 'mask',
+      comment: 'mask replaces values irreversibly; tokenize keeps an encrypted copy that can be revealed',
+    },
+    detectors: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'Built-in detectors to run: email, phone, card, iban, api_key',
+    },
+    customPatterns: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: [],
+      field: 'custom_patterns',
+      comment: 'Extra detectors as [{ name, pattern, flags }]',
+    },
+    allowPaths: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: [],
+      field: 'allow_paths',
+      comment: 'Field paths that are never redacted, e.g. input.model',
+    },
+    denyPaths: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: [],
+      field: 'deny_paths',
+      comment: 'Field paths whose whole value is always redacted',
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'created_at',
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'updated_at',
+    },
+  }, {
+    sequelize,
+    modelName: 'RedactionPolicy',
+    tableName: 'RedactionPolicies',
+    timestamps: true,
+  });
+
+  return RedactionPolicy;
+};
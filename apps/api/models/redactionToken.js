@@ -0,0 +1,48 @@
+'use strict';
+import { Model } from 'sequelize';
+
+export default (sequelize, DataTypes) => {
+  class RedactionToken extends Model {
+    static associate(models) {
+      RedactionToken.belongsTo(models.Company, { foreignKey: 'companyId' });
+    }
+  }
+
+  RedactionToken.init({
+    companyId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'company_id',
+    },
+    token: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    label: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    encryptedValue: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      field: 'encrypted_value',
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'created_at',
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'updated_at',
+    },
+  }, {
+    sequelize,
+    modelName: 'RedactionToken',
+    tableName: 'RedactionTokens',
+    timestamps: true,
+  });
+
+  return RedactionToken;
+};
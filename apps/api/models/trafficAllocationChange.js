@@ -0,0 +1,57 @@
+'use strict';
+import { Model } from 'sequelize';
+
+export default (sequelize, DataTypes) => {
+  /**
+   * Audit trail of how a model's served traffic was split between its prompt
+   * versions: manual splits, bandit updates, releases and rollbacks.
+   */
+  class TrafficAllocationChange extends Model {
+    static associate(models) {
+      TrafficAllocationChange.belongsTo(models.Model, { foreignKey: 'modelId', as: 'model' });
+      TrafficAllocationChange.belongsTo(models.User, { foreignKey: 'userId', as: 'user' });
+    }
+  }
+
+  TrafficAllocationChange.init({
+    modelId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'model_id',
+    },
+    source: {
+      type: DataTypes.ENUM('manual', 'bandit', 'release', 'rollback'),
+      allowNull: false,
+    },
+    algorithm: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    allocations: {
+      type: DataTypes.JSON,
+      allowNull: false,
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'user_id',
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'created_at',
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'updated_at',
+    },
+  }, {
+    sequelize,
+    modelName: 'TrafficAllocationChange',
+    tableName: 'TrafficAllocationChanges',
+    timestamps: true,
+  });
+
+  return TrafficAllocationChange;
+};
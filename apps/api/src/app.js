@@ -36,23 +36,40 @@ import automaticOptimizationRoutes from './routes/automaticOptimizationRoutes.js
 import evaluatorRoutes from './routes/evaluatorRoutes.js';
 import agentRoutes from './routes/agentRoutes.js';
 import { addMetricJob } from './jobs/metricJob.js';
+import { startEvaluationWorker } from './workers/evaluationWorker.js';
+import { startExecutionReaperWorker } from './workers/executionReaperWorker.js';
+import { startReleaseGuardWorker } from './workers/releaseGuardWorker.js';
+import { startPromptBanditWorker } from './workers/promptBanditWorker.js';
+import { startIngestProcessorWorker } from './workers/ingestProcessorWorker.js';
+import { startExperimentWorker } from './workers/experimentWorker.js';
+import { startDatasetCurationWorker } from './workers/datasetCurationWorker.js';
+import { startTrajectoryEvaluationWorker } from './workers/trajectoryEvaluationWorker.js';
+import { startEvaluationBackfillWorker } from './workers/evaluationBackfillWorker.js';
 import setupRouter from './routes/setupRouter.js';
 import samplingRoutes from './routes/samplingRoutes.js';
 import nodeMetricsRoutes from './routes/nodeMetricsRoutes.js';
 import messageRouter from './routes/messageRouter.js';
 import validateApiToken from './middleware/apiTokenMiddleware.js';
+import { enforceIngestionLimits, enforceTrackEventQuota } from './middleware/ingestionLimitMiddleware.js';
 import promptVersionRoutes from './routes/promptVersionRoutes.js';
 import integrationTokenRoutes from './routes/integrationTokenRoutes.js';
 import evaluatorMetricRoutes from './routes/evaluatorMetricRoutes.js';
 import providersRoutes from './routes/providersRoutes.js';
 import reviewersTemplateRoutes from './routes/reviewersTemplateRoutes.js';
+import modelPricingRoutes from './routes/modelPricingRoutes.js';
+import redactionRoutes from './routes/redactionRoutes.js';
+import promptApprovalRoutes from './routes/promptApprovalRoutes.js';
 import promptRoutes from './routes/promptRoutes.js';
 import emailRoutes from './routes/emailRoutes.js';
 import notificationSystemRoutes from './routes/notificationSystemRoutes.js';
 import emailAutonomRoutes from './routes/emailAutonomRoutes.js';
 import promptOptimizationRoutes from './routes/promptOptimizationRoutes.js';
 import ingestRoutes from './routes/ingestRoutes.js';
+import ingestionRoutes from './routes/ingestionRoutes.js';
 import agentMaintenanceRoutes from './routes/agentMaintenanceRoutes.js';
+import otlpRoutes from './routes/otlpRoutes.js';
+import experimentRoutes from './routes/experimentRoutes.js';
+import evaluationBackfillRoutes from './routes/evaluationBackfillRoutes.js';
 
 dotenv.config();
 
@@ -70,6 +87,9 @@ app.use(cors({
 // Remove global chunked transfer encoding middleware
 // Only specific endpoints will set this header as needed
 
+// Rate limit ingestion before any body is buffered or parsed
+app.use(['/api/track', '/api/otlp', '/api/ingest/events'], enforceIngestionLimits);
+
 // Configure body-parser with increased limits for all routes
 app.use(bodyParser.json({ limit: '500mb' }));
 app.use(bodyParser.urlencoded({ limit: '500mb', extended: true }));
@@ -77,6 +97,8 @@ app.use(bodyParser.urlencoded({ limit: '500mb', extended: true }));
 // Special configuration for track routes to handle even larger payloads
 const trackBodyParser = bodyParser.json({ limit: '500mb' });
 const trackUrlEncoded = bodyParser.urlencoded({ limit: '500mb', extended: true });
+// OTLP/HTTP exporters send binary protobuf (optionally gzipped) or JSON
+const otlpRawParser = bodyParser.raw({ type: 'application/x-protobuf', limit: '500mb' });
 
 app.use(session({
   secret: process.env.SESSION_SECRET || 'your_session_secret',
@@ -116,7 +138,8 @@ app.use('/api/automatic-optimization', automaticOptimizationRoutes);
 app.use('/api/ab-tests', abTestRoutes);
 app.use('/api/model-metric-logs', modelMetricLogRoutes);
 // Apply special body parser configuration for track routes
-app.use('/api/track', trackBodyParser, trackUrlEncoded, trackRoutes);
+app.use('/api/track', trackBodyParser, trackUrlEncoded, enforceTrackEventQuota, trackRoutes);
+app.use('/api/otlp', otlpRawParser, trackBodyParser, otlpRoutes);
 // Protected routes
 app.use('/api/companies', companyRoutes);
 app.use('/api/company-metrics', companyMetricRoutes);
@@ -141,6 +164,12 @@ app.use('/api/integration-tokens', integrationTokenRoutes);
 app.use('/api/evaluator-metrics', evaluatorMetricRoutes);
 app.use('/api/providers', providersRoutes);
 app.use('/api/reviewers-template', reviewersTemplateRoutes);
+app.use('/api/model-pricing', modelPricingRoutes);
+app.use('/api/redaction', redactionRoutes);
+app.use('/api/prompt-approvals', promptApprovalRoutes);
+app.use('/api/ingestion', ingestionRoutes);
+app.use('/api/experiments', experimentRoutes);
+app.use('/api/evaluation-backfills', evaluationBackfillRoutes);
 app.use('/api/prompt-optimization', promptOptimizationRoutes);
 
 // Add sampling routes
@@ -179,3 +208,48 @@ const scheduleMetricJobs = async () => {
 };
 console.log("Hello World");
 scheduleMetricJobs();
+
+// Run the evaluation pipeline in-process unless a dedicated worker handles it
+if (process.env.RUN_EVALUATION_WORKER !== 'false') {
+  startEvaluationWorker();
+}
+
+// Time out executions that never receive /api/track/end
+if (process.env.RUN_EXECUTION_REAPER !== 'false') {
+  startExecutionReaperWorker();
+}
+
+// Replay events stored by /api/ingest/events
+if (process.env.RUN_INGEST_PROCESSOR !== 'false') {
+  startIngestProcessorWorker();
+}
+
+// Run offline experiments in-process unless a dedicated worker handles them
+if (process.env.RUN_EXPERIMENT_WORKER !== 'false') {
+  startExperimentWorker();
+}
+
+// Copy production logs matching saved curation rules into their datasets
+if (process.env.RUN_DATASET_CURATION !== 'false') {
+  startDatasetCurationWorker();
+}
+
+// Judge ended executions of agents with trajectory evaluation enabled
+if (process.env.RUN_TRAJECTORY_EVALUATION_WORKER !== 'false') {
+  startTrajectoryEvaluationWorker();
+}
+
+// Re-evaluate historical logs for requested evaluator backfills
+if (process.env.RUN_EVALUATION_BACKFILL_WORKER !== 'false') {
+  startEvaluationBackfillWorker();
+}
+
+// Roll back prompt releases that do worse than the version they replaced
+if (process.env.RUN_RELEASE_GUARD !== 'false') {
+  startReleaseGuardWorker();
+}
+
+// Shift prompt traffic towards the versions that evaluate best
+if (process.env.RUN_PROMPT_BANDIT !== 'false') {
+  startPromptBanditWorker();
+}
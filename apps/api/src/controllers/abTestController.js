@@ -1,5 +1,6 @@
 import db from '../../models/index.js';
 import { redisService } from '../services/redisService.js';
+import { getABSignificance, parseSignificanceOptions } from '../services/abSignificanceService.js';
 
 const { Model, ModelGroup, ModelVersions } = db;
 
@@ -55,6 +56,28 @@ export const getABMetricsById = async (req, res) => {
   }
 };
 
+/**
+ * Whether each A/B variant of a model is significantly more or less accurate
+ * than the model. Accepts confidence, power, minimumEffect and sequential
+ * query parameters.
+ */
+export const getABSignificanceById = async (req, res) => {
+  try {
+    const { options, error } = parseSignificanceOptions(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const model = await Model.findByPk(req.params.id);
+    if (!model) {
+      return res.status(404).json({ error: 'Model not found' });
+    }
+    const comparisons = await getABSignificance(model, options);
+    res.status(200).json({ sequential: options.sequential, comparisons });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
 export const runModelABBatch = async (req, res) => {
   try {
     const model = await Model.findByPk(req.params.id);
@@ -12,11 +12,16 @@ import {
   generateMockDetailedMetrics,
 } from '../services/agentMetricService.js';
 import { redisService } from '../services/redisService.js';
-import { updateAgentEntriesCache } from '../services/agentService.js';
+import { getExecutionSteps, updateAgentEntriesCache } from '../services/agentService.js';
 import { parseAgentConfig } from '../services/agentConfigParser.js';
 import { createAgentFromConfig } from '../services/agentCreationService.js';
 import { createAgentFromTracing } from '../services/agentTracingService.js';
 import { generateSlug } from '../utils/slugGenerator.js';
+import { getAgentCostMetrics } from '../services/costRollupService.js';
+import { getExecutionTimeoutMetrics } from '../services/executionReaperService.js';
+import { getTrajectoryMetrics } from '../services/trajectoryEvaluationService.js';
+import { validateToolSchemaConfig } from '../services/toolValidationService.js';
+import { buildSpanTree } from '../utils/spanTree.js';
 
 const { Agent, AgentNode, Model, Company, AgentConnection, AgentLog } = db;
 
@@ -138,6 +143,10 @@ export const getAgentBySlug = async (req, res) => {
 
 export const createNode = async (req, res) => {
   try {
+    const schemaError = validateToolSchemaConfig(req.body.config);
+    if (schemaError) {
+      return res.status(400).json({ error: schemaError });
+    }
     const node = await createAgentNode(req.body);
     res.status(201).json(node);
   } catch (error) {
@@ -315,6 +324,18 @@ export const updateAgentFunction = async (id, req) => {
     // Don't allow changing companyId in updates
     delete req.body.companyId;
 
+    if (req.body.trajectoryEvaluatorId) {
+      const evaluator = await db.EvaluationPrompt.findOne({
+        where: {
+          id: req.body.trajectoryEvaluatorId,
+          [db.Sequelize.Op.or]: [{ isGlobal: true }, { companyId }],
+        },
+      });
+      if (!evaluator) {
+        throw new Error('Trajectory evaluator not found');
+      }
+    }
+
     await agent.update(req.body);
     return agent;
   } catch (error) {
@@ -700,6 +721,16 @@ export const getAgentMetrics = async (req, res) => {
     const environment = getEnvironment(req);
     const data = await getModelMetrics(req.params.id);
     const toolData = await getToolMetrics(req.params.id);
+    // Costs are only narrowed to one environment when it is asked for explicitly
+    const costData = await getAgentCostMetrics(req.params.id, {
+      environment: req.query.environment,
+    });
+    const executionData = await getExecutionTimeoutMetrics(req.params.id, {
+      environment: req.query.environment,
+    });
+    const trajectoryData = await getTrajectoryMetrics(req.params.id, {
+      environment: req.query.environment,
+    });
     // Check cache first
     const cacheKey = `agent-metrics:${req.params.id}:${environment}`;
     //const cachedMetrics = await redisService.get(cacheKey);
@@ -712,9 +743,18 @@ export const getAgentMetrics = async (req, res) => {
     await redisService.set(cacheKey, {
       modelMetrics: data,
       toolMetrics: toolData,
+      costMetrics: costData,
+      executionMetrics: executionData,
+      trajectoryMetrics: trajectoryData,
     });
 
-    res.status(200).json({ modelMetrics: data, toolMetrics: toolData });
+    res.status(200).json({
+      modelMetrics: data,
+      toolMetrics: toolData,
+      costMetrics: costData,
+      executionMetrics: executionData,
+      trajectoryMetrics: trajectoryData,
+    });
   } catch (error) {
     console.log(error);
     res.status(400).json({ error: error.message });
@@ -741,6 +781,11 @@ export const updateNode = async (req, res) => {
       return res.status(404).json({ error: 'Node not found or access denied' });
     }
 
+    const schemaError = validateToolSchemaConfig(req.body.config);
+    if (schemaError) {
+      return res.status(400).json({ error: schemaError });
+    }
+
     // Update the node
     const updatedNode = await updateAgentNode(req.params.id, {
       name: req.body.name,
@@ -1187,6 +1232,63 @@ export const getAgentEntries = async (req, res) => {
   }
 };
 
+/**
+ * Node logs of other agents' executions that joined this execution's trace,
+ * e.g. a sub-agent called with the execution's traceparent
+ */
+const getSubAgentSteps = async (entryId, companyId) => {
+  const [rows] = await db.sequelize.query(
+    `
+    WITH entry AS (
+      SELECT trace_id FROM "AgentLogs" WHERE id = :entryId AND trace_id IS NOT NULL
+    ), executions AS (
+      SELECT "AgentLogs"."id", "AgentLogs"."agent_id", "Agents"."name" AS agent_name
+      FROM "AgentLogs"
+        INNER JOIN entry ON entry.trace_id = "AgentLogs"."trace_id"
+        INNER JOIN "Agents" ON "Agents"."id" = "AgentLogs"."agent_id"
+      WHERE "AgentLogs"."id" <> :entryId
+        AND "Agents"."company_id" = :companyId
+        AND "AgentLogs"."deleted_at" IS NULL
+    )
+    SELECT 'model' AS type, ml.id AS log_id, an.id AS node_id, an.name AS node_name,
+      executions.id AS execution_id, executions.agent_name,
+      (CASE WHEN ml.status = 'success' THEN 'success' ELSE 'error' END) AS status,
+      ml.span_id, ml.parent_span_id, ml.started_at, ml.ended_at, ml.created_at, 0 AS duration
+    FROM executions
+      INNER JOIN "ModelLogs" ml ON ml.agent_log_id = executions.id AND ml.deleted_at IS NULL
+      INNER JOIN "AgentNodes" an ON an.model_id = ml.model_id
+        AND an.agent_id = executions.agent_id AND an.deleted_at IS NULL
+    UNION ALL
+    SELECT 'tool' AS type, nl.id AS log_id, an.id AS node_id, an.name AS node_name,
+      executions.id AS execution_id, executions.agent_name,
+      nl.status::text AS status,
+      nl.span_id, nl.parent_span_id, nl.started_at, nl.ended_at, nl.created_at, nl.duration
+    FROM executions
+      INNER JOIN "AgentNodeLogs" nl ON nl.parent_log_id = executions.id AND nl.deleted_at IS NULL
+      INNER JOIN "AgentNodes" an ON an.id = nl.agent_node_id AND an.deleted_at IS NULL
+    ORDER BY created_at ASC
+    `,
+    { replacements: { entryId, companyId } }
+  );
+
+  return rows.map((row) => ({
+    type: row.type,
+    kind: row.type,
+    logId: row.log_id,
+    nodeId: row.node_id,
+    nodeName: row.node_name,
+    executionId: row.execution_id,
+    agentName: row.agent_name,
+    status: row.status,
+    spanId: row.span_id,
+    parentSpanId: row.parent_span_id,
+    startedAt: row.started_at,
+    endedAt: row.ended_at,
+    timestamp: row.created_at,
+    duration: parseInt(row.duration) || null,
+  }));
+};
+
 export const getAgentEntryFlow = async (req, res) => {
   try {
     const { userObject } = req;
@@ -1220,99 +1322,17 @@ export const getAgentEntryFlow = async (req, res) => {
       agentId = 39;
     }
 
-    const steps = await db.sequelize.query(
-      `
-      WITH model_logs AS (
-        SELECT 'model' as type,
-        '' as operationType,
-        '{}'::json as metadata,
-        "AgentNodes"."id" as nodeId,
-        "AgentNodes"."name" as nodeName,
-        "Models"."id" as modelId,
-        "Models"."name" as modelName,
-        "ModelLogs"."created_at" as timestamp,
-        0 as duration,
-        (Case When "ModelLogs"."status" = 'success' Then 'success' Else 'error' End)::enum_agent_node_logs_status as status,
-        "ModelLogs"."input" as input,
-        "ModelLogs"."output" as output,
-        "ModelLogs"."actual" as actual,
-        "ModelLogs"."id" as logId,
-        "AgentNodes"."mapping_node_id" as mappingNodeId
-        FROM "AgentLogs"
-          INNER JOIN "ModelLogs" ON "AgentLogs"."id" = "ModelLogs"."agent_log_id"
-          INNER JOIN "Models" ON "ModelLogs"."model_id" = "Models"."id"
-          INNER JOIN "AgentNodes" ON "AgentNodes"."model_id" = "Models"."id"
-            WHERE "AgentLogs"."agent_id" = :agentId
-            AND "AgentLogs"."id" = :entryId
-            AND "AgentNodes"."deleted_at" IS NULL
-      ), tool_logs AS (
-        SELECT 'model' as type,
-        "AgentNodeLogs"."operation_type" as operationType,
-        "AgentNodeLogs"."metadata" as metadata,
-        "AgentNodes"."id" as nodeId,
-        "AgentNodes"."name" as nodeName,
-        0 as modelId,
-        '' as modelName,
-        "AgentNodeLogs"."created_at" as timestamp,
-        "AgentNodeLogs"."duration" as duration,
-        "AgentNodeLogs"."status" as status,
-        "AgentNodeLogs"."input" as input,
-        "AgentNodeLogs"."output" as output,
-        '{}'::json as actual,
-        "AgentNodeLogs"."id" as logId,
-        "AgentNodes"."mapping_node_id" as mappingNodeId
-        FROM "AgentLogs"
-        INNER JOIN "AgentNodeLogs" ON "AgentLogs"."id" = "AgentNodeLogs"."parent_log_id"
-        INNER JOIN "AgentNodes" ON "AgentNodeLogs"."agent_node_id" = "AgentNodes"."id"
-          WHERE "AgentLogs"."agent_id" = :agentId
-          AND "AgentLogs"."id" = :entryId
-          AND "AgentNodes"."deleted_at" IS NULL
-      )
-
-      SELECT 
-        type,
-        operationType,
-        metadata,
-        nodeId,
-        nodeName,
-        modelId,
-        modelName,
-        timestamp,
-        duration,
-        status,
-        input,
-        output,
-        actual,
-        logId,
-        mappingNodeId
-      FROM model_logs
-      UNION ALL
-      SELECT * FROM tool_logs
-      ORDER BY timestamp ASC
-      `,
-      {
-        replacements: { agentId, entryId },
-      }
-    );
+    const stepsProccessed = await getExecutionSteps(agentId, entryId);
 
-    const stepsProccessed = steps[0].map((step) => {
-
-      return {
-        ...step,
-        operationType: step.operationtype || 'unknown',
-        metadata: step.metadata || '{}',
-        nodeId: step.nodeid || 'unknown',
-        nodeName: step.nodename || 'unknown',
-        modelId: step.modelid || 'unknown',
-        modelName: step.modelname || 'unknown',
-        timestamp: step.timestamp || 'unknown',
-        duration: parseInt(step.duration) || null,
-        logId: step.logid || 'unknown',
-      };
-    });
+    const subAgentSteps = await getSubAgentSteps(entryId, companyId);
+    const { spans, timing } = buildSpanTree([...stepsProccessed, ...subAgentSteps]);
 
     const flow = {
       steps: stepsProccessed,
+      // Sub-agent steps only appear in the span tree, not in the agent's graph
+      subAgentSteps,
+      spans,
+      timing,
     };
 
     // Cache the flow data
@@ -1589,6 +1609,7 @@ export const cloneAgent = async (req, res) => {
       companyId,
       autoCapture: sourceAgent.autoCapture,
       autoStop: sourceAgent.autoStop,
+      correlationMode: sourceAgent.correlationMode,
       // The slug will be auto-generated by the model hooks
     });
 
@@ -12,9 +12,16 @@ export const applySuggestionsToModel = async (req, res) => {
 };
 
 export const useOptimizedPrompt = async (req, res) => {
+  // The version is submitted for review in the caller's name, so approvals can tell who proposed it
+  if (!req.userObject) {
+    return res.status(403).json({ error: 'Only signed-in users can propose prompt versions' });
+  }
   const { modelId } = req.params;
   const model = await Model.findByPk(modelId);
+  if (!model) {
+    return res.status(404).json({ error: 'Model not found' });
+  }
   const { newPrompt } = req.body;
-  await model.changePrompt(newPrompt);
+  await model.changePrompt(newPrompt, req.userObject.id);
   res.status(200).json(model);
 };
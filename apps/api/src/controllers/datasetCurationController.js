@@ -0,0 +1,150 @@
+import db from '../../models/index.js';
+import { DATASET_SPLITS } from '../services/datasetItemService.js';
+import {
+  validateCurationRule,
+  isRuleTargetOwned,
+  addLogsToDataset,
+  runCurationRule,
+} from '../services/datasetCurationService.js';
+
+const { DatasetCurationRule } = db;
+
+const RULE_FIELDS = [
+  'name',
+  'source',
+  'modelId',
+  'agentId',
+  'filters',
+  'deduplicate',
+  'split',
+  'tags',
+  'maxItemsPerRun',
+  'autoVersion',
+  'enabled',
+];
+
+const getCompanyId = (req) => req.userObject?.companyId || req.company?.id;
+
+const pickRuleFields = (body) =>
+  Object.fromEntries(RULE_FIELDS.filter((field) => body[field] !== undefined).map((field) => [field, body[field]]));
+
+const isIdList = (value) => value === undefined || (Array.isArray(value) && value.every(Number.isInteger));
+
+/**
+ * Copies selected LLM node entries (`modelLogIds`) and agent executions
+ * (`agentLogIds`) into the dataset
+ */
+export const addItemsFromLogs = async (req, res) => {
+  try {
+    const { modelLogIds = [], agentLogIds = [], split = null, tags = [], deduplicate = false } = req.body;
+    if (!isIdList(modelLogIds) || !isIdList(agentLogIds)) {
+      return res.status(400).json({ error: 'modelLogIds and agentLogIds must be arrays of IDs' });
+    }
+    if (!modelLogIds.length && !agentLogIds.length) {
+      return res.status(400).json({ error: 'Select at least one entry or execution' });
+    }
+    if (split !== null && !DATASET_SPLITS.includes(split)) {
+      return res.status(400).json({ error: `split must be one of ${DATASET_SPLITS.join(', ')}` });
+    }
+    if (!Array.isArray(tags) || !tags.every((tag) => typeof tag === 'string')) {
+      return res.status(400).json({ error: 'tags must be an array of strings' });
+    }
+
+    const result = await addLogsToDataset(req.dataset, { modelLogIds, agentLogIds }, {
+      companyId: getCompanyId(req),
+      split,
+      tags,
+      deduplicate: Boolean(deduplicate),
+      userId: req.userObject?.id || null,
+    });
+    res.status(201).json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+export const getCurationRules = async (req, res) => {
+  try {
+    const rules = await DatasetCurationRule.findAll({
+      where: { datasetId: req.dataset.id },
+      order: [['id', 'ASC']],
+    });
+    res.status(200).json(rules);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+export const createCurationRule = async (req, res) => {
+  try {
+    const fields = pickRuleFields(req.body);
+    const error = validateCurationRule(fields);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (!(await isRuleTargetOwned(fields, getCompanyId(req)))) {
+      return res.status(404).json({ error: 'LLM node or agent not found' });
+    }
+    const rule = await DatasetCurationRule.create({
+      ...fields,
+      datasetId: req.dataset.id,
+      createdBy: req.userObject?.id || null,
+    });
+    res.status(201).json(rule);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const findRule = (req) =>
+  DatasetCurationRule.findOne({ where: { id: req.params.ruleId, datasetId: req.dataset.id } });
+
+export const updateCurationRule = async (req, res) => {
+  try {
+    const rule = await findRule(req);
+    if (!rule) {
+      return res.status(404).json({ error: 'Curation rule not found' });
+    }
+    const fields = { ...pickRuleFields(rule.toJSON()), ...pickRuleFields(req.body) };
+    const error = validateCurationRule(fields);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (!(await isRuleTargetOwned(fields, getCompanyId(req)))) {
+      return res.status(404).json({ error: 'LLM node or agent not found' });
+    }
+    await rule.update(fields);
+    res.status(200).json(rule);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+export const deleteCurationRule = async (req, res) => {
+  try {
+    const deleted = await DatasetCurationRule.destroy({
+      where: { id: req.params.ruleId, datasetId: req.dataset.id },
+    });
+    if (!deleted) {
+      return res.status(404).json({ error: 'Curation rule not found' });
+    }
+    res.status(204).send();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Runs a rule now instead of waiting for the scheduled run
+ */
+export const runRule = async (req, res) => {
+  try {
+    const rule = await findRule(req);
+    if (!rule) {
+      return res.status(404).json({ error: 'Curation rule not found' });
+    }
+    res.status(200).json(await runCurationRule(rule));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
@@ -0,0 +1,272 @@
+import path from 'path';
+import { Op } from 'sequelize';
+import db from '../../models/index.js';
+import {
+  DATASET_FORMATS,
+  DATASET_SPLITS,
+  findCompanyDataset,
+  normalizeDatasetItem,
+  importDatasetItems,
+  exportDatasetItems,
+  assignDatasetSplits,
+  createDatasetVersion,
+  getDatasetVersionItems,
+} from '../services/datasetItemService.js';
+
+const { DatasetItem, DatasetVersion } = db;
+
+const EXPORT_CONTENT_TYPES = {
+  csv: 'text/csv',
+  jsonl: 'application/x-ndjson',
+  json: 'application/json',
+};
+
+const getCompanyId = (req) => req.userObject?.companyId || req.company?.id;
+
+/**
+ * Loads the company's dataset of the route into req.dataset
+ */
+export const loadDataset = async (req, res, next) => {
+  try {
+    const dataset = await findCompanyDataset(req.params.id, getCompanyId(req));
+    if (!dataset) {
+      return res.status(404).json({ error: 'Dataset not found' });
+    }
+    req.dataset = dataset;
+    next();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const itemFilters = (query) => ({
+  ...(query.split === 'unassigned' ? { split: null } : query.split ? { split: query.split } : {}),
+  ...(query.source ? { source: query.source } : {}),
+  // tags is a JSON column, so it is compared as jsonb
+  ...(query.tag ? { [Op.and]: [db.sequelize.literal('"DatasetItem"."tags"::jsonb @> :tags')] } : {}),
+});
+
+// Values of the tag filter of itemFilters
+const itemReplacements = (query) => (query.tag ? { tags: JSON.stringify([String(query.tag)]) } : {});
+
+export const getDatasetItems = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit || '50', 10), 500);
+    const offset = parseInt(req.query.offset || '0', 10);
+    const { count, rows } = await DatasetItem.findAndCountAll({
+      where: { datasetId: req.dataset.id, ...itemFilters(req.query) },
+      replacements: itemReplacements(req.query),
+      order: [['id', 'ASC']],
+      limit,
+      offset,
+    });
+    res.status(200).json({ total: count, items: rows });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Adds one item, or several when the body is an array
+ */
+export const createDatasetItems = async (req, res) => {
+  try {
+    const records = Array.isArray(req.body) ? req.body : [req.body];
+    const items = [];
+    for (const [index, record] of records.entries()) {
+      const { item, error } = normalizeDatasetItem(record);
+      if (error) {
+        return res.status(400).json({ error: records.length > 1 ? `Item ${index + 1}: ${error}` : error });
+      }
+      items.push({
+        ...item,
+        datasetId: req.dataset.id,
+        source: record.source || 'manual',
+        sourceRef: record.sourceRef || null,
+        createdBy: req.userObject?.id || null,
+      });
+    }
+    const created = await DatasetItem.bulkCreate(items);
+    res.status(201).json(Array.isArray(req.body) ? created : created[0]);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+export const updateDatasetItem = async (req, res) => {
+  try {
+    const item = await DatasetItem.findOne({
+      where: { id: req.params.itemId, datasetId: req.dataset.id },
+    });
+    if (!item) {
+      return res.status(404).json({ error: 'Dataset item not found' });
+    }
+    const { item: fields, error } = normalizeDatasetItem({
+      input: item.input,
+      expectedOutput: item.expectedOutput,
+      metadata: item.metadata,
+      tags: item.tags,
+      split: item.split,
+      ...req.body,
+    });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    await item.update(fields);
+    res.status(200).json(item);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+export const deleteDatasetItem = async (req, res) => {
+  try {
+    const deleted = await DatasetItem.destroy({
+      where: { id: req.params.itemId, datasetId: req.dataset.id },
+    });
+    if (!deleted) {
+      return res.status(404).json({ error: 'Dataset item not found' });
+    }
+    res.status(204).send();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Imports a CSV, JSONL or JSON file, uploaded as `file` or sent as `content`.
+ * The format is taken from `format` or the file extension.
+ */
+export const importItems = async (req, res) => {
+  try {
+    const fileName = req.file?.originalname || req.body.fileName || null;
+    const content = req.file ? req.file.buffer.toString('utf8') : req.body.content;
+    const format = (req.body.format || (fileName ? path.extname(fileName).slice(1) : '')).toLowerCase();
+    if (typeof content !== 'string' || !content.trim()) {
+      return res.status(400).json({ error: 'Upload a file or send its content' });
+    }
+    if (!DATASET_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of ${DATASET_FORMATS.join(', ')}` });
+    }
+
+    let result;
+    try {
+      result = await importDatasetItems(req.dataset.id, content, {
+        format,
+        fileName,
+        userId: req.userObject?.id || null,
+      });
+    } catch (parseError) {
+      return res.status(400).json({ error: parseError.message });
+    }
+    if (result.errors) {
+      return res.status(400).json({ error: 'Some items are invalid; nothing was imported', errors: result.errors });
+    }
+    res.status(201).json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Downloads the dataset's current items, or a version's with `version`
+ */
+export const exportItems = async (req, res) => {
+  try {
+    const format = (req.query.format || 'jsonl').toLowerCase();
+    if (!DATASET_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of ${DATASET_FORMATS.join(', ')}` });
+    }
+
+    let items;
+    let suffix = 'draft';
+    if (req.query.version) {
+      const version = await DatasetVersion.findOne({
+        where: { datasetId: req.dataset.id, version: req.query.version },
+      });
+      if (!version) {
+        return res.status(404).json({ error: 'Dataset version not found' });
+      }
+      items = await getDatasetVersionItems(version.id, { split: req.query.split });
+      suffix = `v${version.version}`;
+    } else {
+      items = await DatasetItem.findAll({
+        where: { datasetId: req.dataset.id, ...itemFilters(req.query) },
+        replacements: itemReplacements(req.query),
+        order: [['id', 'ASC']],
+      });
+    }
+
+    res.set('Content-Type', EXPORT_CONTENT_TYPES[format]);
+    res.set('Content-Disposition', `attachment; filename="dataset-${req.dataset.id}-${suffix}.${format}"`);
+    res.status(200).send(exportDatasetItems(items, format));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Assigns items to splits: { train, test, validation } ratios, an optional
+ * `seed` and `onlyUnassigned` to keep existing assignments
+ */
+export const assignSplits = async (req, res) => {
+  try {
+    const { seed, onlyUnassigned = false } = req.body;
+    const ratios = Object.fromEntries(DATASET_SPLITS.map((split) => [split, Number(req.body[split] || 0)]));
+    if (Object.values(ratios).some((ratio) => !Number.isFinite(ratio) || ratio < 0)) {
+      return res.status(400).json({ error: 'Split ratios must be non-negative numbers' });
+    }
+    if (!Object.values(ratios).some((ratio) => ratio > 0)) {
+      return res.status(400).json({ error: 'At least one split ratio must be positive' });
+    }
+    const counts = await assignDatasetSplits(req.dataset.id, ratios, {
+      seed: seed ? String(seed) : undefined,
+      onlyUnassigned: Boolean(onlyUnassigned),
+    });
+    res.status(200).json(counts);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+export const getDatasetVersions = async (req, res) => {
+  try {
+    const versions = await DatasetVersion.findAll({
+      where: { datasetId: req.dataset.id },
+      order: [['version', 'DESC']],
+    });
+    res.status(200).json(versions);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+export const createVersion = async (req, res) => {
+  try {
+    const version = await createDatasetVersion(req.dataset, {
+      description: req.body.description || null,
+      userId: req.userObject?.id || null,
+    });
+    res.status(201).json(version);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * A version with its items, optionally of one split
+ */
+export const getDatasetVersion = async (req, res) => {
+  try {
+    const version = await DatasetVersion.findOne({
+      where: { datasetId: req.dataset.id, version: req.params.version },
+    });
+    if (!version) {
+      return res.status(404).json({ error: 'Dataset version not found' });
+    }
+    const items = await getDatasetVersionItems(version.id, { split: req.query.split });
+    res.status(200).json({ ...version.toJSON(), items });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
@@ -0,0 +1,111 @@
+import db from '../../models/index.js';
+import {
+  prepareBackfill,
+  estimateBackfill,
+  requestBackfill,
+  getBackfillProgress,
+  cancelBackfill,
+  getBackfillMetrics,
+} from '../services/evaluationBackfillService.js';
+
+const { EvaluationBackfill } = db;
+
+const getCompanyId = (req) => req.userObject?.companyId || req.company?.id;
+
+const findCompanyBackfill = (id, companyId) => EvaluationBackfill.findOne({ where: { id, companyId } });
+
+export const getEvaluationBackfills = async (req, res) => {
+  try {
+    const companyId = getCompanyId(req);
+    const backfills = await EvaluationBackfill.findAll({
+      where: { companyId, ...(req.query.modelId ? { modelId: req.query.modelId } : {}) },
+      order: [['createdAt', 'DESC']],
+    });
+    res.status(200).json(
+      backfills.map((backfill) => ({ ...backfill.toJSON(), progress: getBackfillProgress(backfill) }))
+    );
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * How many logs a backfill would re-evaluate and what it would cost, without
+ * creating it
+ */
+export const estimateEvaluationBackfill = async (req, res) => {
+  try {
+    const companyId = getCompanyId(req);
+    const prepared = await prepareBackfill(companyId, req.body);
+    if (prepared.error) {
+      return res.status(prepared.status).json({ error: prepared.error });
+    }
+    const { model, evaluators, filters } = prepared;
+    res.status(200).json({ filters, ...(await estimateBackfill(companyId, model, evaluators, filters)) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Creates a backfill re-evaluating a model's logs in a time window with the
+ * selected evaluators, and queues its run. With maxCostUsd, a backfill
+ * estimated to cost more is rejected with its estimate.
+ */
+export const createEvaluationBackfill = async (req, res) => {
+  try {
+    const { error, status, estimate, backfill } = await requestBackfill(getCompanyId(req), req.body);
+    if (error) {
+      return res.status(status).json({ error, ...(estimate ? { estimate } : {}) });
+    }
+    res.status(201).json(backfill);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+export const getEvaluationBackfill = async (req, res) => {
+  try {
+    const backfill = await findCompanyBackfill(req.params.id, getCompanyId(req));
+    if (!backfill) {
+      return res.status(404).json({ error: 'Evaluation backfill not found' });
+    }
+    res.status(200).json({ ...backfill.toJSON(), progress: getBackfillProgress(backfill) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+export const cancelEvaluationBackfill = async (req, res) => {
+  try {
+    const backfill = await findCompanyBackfill(req.params.id, getCompanyId(req));
+    if (!backfill) {
+      return res.status(404).json({ error: 'Evaluation backfill not found' });
+    }
+    if (!(await cancelBackfill(backfill))) {
+      return res.status(409).json({ error: `Evaluation backfill is already ${backfill.status}` });
+    }
+    res.status(200).json(backfill);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Original and backfilled scores of each evaluator, overall and per day
+ */
+export const getEvaluationBackfillMetrics = async (req, res) => {
+  try {
+    const backfill = await findCompanyBackfill(req.params.id, getCompanyId(req));
+    if (!backfill) {
+      return res.status(404).json({ error: 'Evaluation backfill not found' });
+    }
+    res.status(200).json({
+      status: backfill.status,
+      progress: getBackfillProgress(backfill),
+      evaluators: await getBackfillMetrics(backfill),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
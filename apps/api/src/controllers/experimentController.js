@@ -0,0 +1,193 @@
+import { Op } from 'sequelize';
+import db from '../../models/index.js';
+import { addExperimentJob } from '../jobs/experimentJob.js';
+import {
+  validateExperimentItems,
+  normalizeExperimentItems,
+  getExperimentVersions,
+} from '../services/experimentService.js';
+import { getAllPromptVersions } from '../services/promptVersionService.js';
+import {
+  DATASET_SPLITS,
+  findCompanyDatasetVersion,
+  getDatasetVersionItems,
+} from '../services/datasetItemService.js';
+
+const {
+  Experiment,
+  ExperimentResult,
+  Model,
+  ModelGroup,
+  EvaluationPrompt,
+  IntegrationToken,
+} = db;
+
+const getCompanyId = (req) => req.userObject?.companyId || req.company?.id;
+
+const findCompanyExperiment = (id, companyId) => Experiment.findOne({ where: { id, companyId } });
+
+const toIds = (value) => (Array.isArray(value) ? [...new Set(value.map(Number))] : []);
+
+export const getExperiments = async (req, res) => {
+  try {
+    const companyId = getCompanyId(req);
+    const experiments = await Experiment.findAll({
+      where: { companyId, ...(req.query.modelId ? { modelId: req.query.modelId } : {}) },
+      attributes: { exclude: ['items'] },
+      order: [['createdAt', 'DESC']],
+    });
+    res.status(200).json(experiments);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Creates an experiment comparing prompt versions of a model on the items of
+ * a dataset version (optionally one split) or on inline items, and queues its run
+ */
+export const createExperiment = async (req, res) => {
+  try {
+    const companyId = getCompanyId(req);
+    const { name, modelId, integrationTokenId, providerModel } = req.body;
+    const modelVersionIds = toIds(req.body.modelVersionIds);
+    const evaluationPromptIds = toIds(req.body.evaluationPromptIds);
+
+    if (!name || !modelId || !integrationTokenId || !providerModel) {
+      return res.status(400).json({
+        error: 'name, modelId, integrationTokenId and providerModel are required',
+      });
+    }
+    if (!modelVersionIds.length) {
+      return res.status(400).json({ error: 'modelVersionIds must list at least one prompt version' });
+    }
+    const { datasetVersionId, split = null } = req.body;
+    if (split && !DATASET_SPLITS.includes(split)) {
+      return res.status(400).json({ error: `split must be one of ${DATASET_SPLITS.join(', ')}` });
+    }
+
+    // Items come from a dataset version, or inline
+    let { items } = req.body;
+    if (datasetVersionId) {
+      const datasetVersion = await findCompanyDatasetVersion(datasetVersionId, companyId);
+      if (!datasetVersion) {
+        return res.status(404).json({ error: 'Dataset version not found' });
+      }
+      items = (await getDatasetVersionItems(datasetVersion.id, { split })).map((item) => ({
+        input: item.input,
+        expectedOutput: item.expectedOutput,
+        metadata: { ...(item.metadata || {}), datasetItemId: item.datasetItemId, tags: item.tags, split: item.split },
+      }));
+    }
+    const invalidItems = validateExperimentItems(items);
+    if (invalidItems) {
+      return res.status(400).json({
+        error: datasetVersionId && !items.length ? 'The dataset version has no items in this split' : invalidItems,
+      });
+    }
+
+    const modelGroups = await ModelGroup.findAll({ where: { companyId }, attributes: ['id'] });
+    const model = await Model.findOne({
+      where: { id: modelId, modelGroupId: modelGroups.map((modelGroup) => modelGroup.id) },
+    });
+    if (!model) {
+      return res.status(404).json({ error: 'Model not found' });
+    }
+    const versionIds = (await getAllPromptVersions(model.id)).map((version) => version.id);
+    if (modelVersionIds.some((id) => !versionIds.includes(id))) {
+      return res.status(404).json({ error: 'Prompt version not found for this model' });
+    }
+    const evaluationPrompts = await EvaluationPrompt.findAll({
+      where: {
+        id: evaluationPromptIds,
+        [Op.or]: [{ isGlobal: true }, { companyId }],
+      },
+      attributes: ['id'],
+    });
+    if (evaluationPrompts.length !== evaluationPromptIds.length) {
+      return res.status(404).json({ error: 'Evaluator not found' });
+    }
+    const integrationToken = await IntegrationToken.findOne({
+      where: { id: integrationTokenId, companyId },
+      attributes: ['id'],
+    });
+    if (!integrationToken) {
+      return res.status(404).json({ error: 'Integration token not found' });
+    }
+
+    const experiment = await Experiment.create({
+      companyId,
+      modelId,
+      name,
+      modelVersionIds,
+      evaluationPromptIds,
+      integrationTokenId,
+      providerModel,
+      items: normalizeExperimentItems(items),
+      datasetVersionId: datasetVersionId || null,
+      datasetSplit: datasetVersionId ? split : null,
+    });
+    await addExperimentJob(experiment.id);
+
+    res.status(201).json(experiment);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * An experiment with its results and the compared versions with their prompts
+ */
+export const getExperiment = async (req, res) => {
+  try {
+    const experiment = await findCompanyExperiment(req.params.id, getCompanyId(req));
+    if (!experiment) {
+      return res.status(404).json({ error: 'Experiment not found' });
+    }
+    const [results, versions] = await Promise.all([
+      ExperimentResult.findAll({
+        where: { experimentId: experiment.id },
+        order: [['itemIndex', 'ASC'], ['modelVersionId', 'ASC']],
+      }),
+      getExperimentVersions(experiment),
+    ]);
+    res.status(200).json({ ...experiment.toJSON(), results, versions });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Queues the experiment again. Results that already succeeded are kept and
+ * only missing or failed ones are run.
+ */
+export const runExperiment = async (req, res) => {
+  try {
+    const experiment = await findCompanyExperiment(req.params.id, getCompanyId(req));
+    if (!experiment) {
+      return res.status(404).json({ error: 'Experiment not found' });
+    }
+    if (experiment.status === 'running') {
+      return res.status(409).json({ error: 'Experiment is already running' });
+    }
+    await experiment.update({ status: 'pending', error: null, completedAt: null });
+    await addExperimentJob(experiment.id);
+    res.status(202).json(experiment);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+export const deleteExperiment = async (req, res) => {
+  try {
+    const deleted = await Experiment.destroy({
+      where: { id: req.params.id, companyId: getCompanyId(req) },
+    });
+    if (!deleted) {
+      return res.status(404).json({ error: 'Experiment not found' });
+    }
+    res.status(204).send();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
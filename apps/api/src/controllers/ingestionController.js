@@ -0,0 +1,17 @@
+import { getIngestionUsage as getUsage } from '../services/ingestionLimitService.js';
+
+/**
+ * Current rate limit and quota usage of the company, per environment
+ */
+export const getIngestionUsage = async (req, res) => {
+  try {
+    const companyId = req.userObject?.companyId || req.company?.id;
+    const [production, staging] = await Promise.all([
+      getUsage(companyId, 'production'),
+      getUsage(companyId, 'staging'),
+    ]);
+    res.status(200).json({ production, staging });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
@@ -1,4 +1,10 @@
 import db from '../../models/index.js';
+import {
+  getEvaluationPipelineStatus,
+  retryEvaluationPipeline,
+  getEvaluationQueueStatus,
+  listDeadLetteredEvaluations,
+} from '../services/evaluationQueueService.js';
 
 const { ModelLog, ModelGroup, Model } = db;
 import { QueryTypes } from 'sequelize';
@@ -127,3 +133,67 @@ export const deleteModelLog = async (req, res) => {
     res.status(400).json({ error: error.message });
   }
 };
+
+/**
+ * A model log of the caller's company, through its model's group
+ */
+const findCompanyModelLog = async (req, modelLogId) => {
+  const modelLog = await ModelLog.findByPk(modelLogId, { attributes: ['id', 'modelId'] });
+  if (!modelLog) {
+    return null;
+  }
+  const modelGroups = await ModelGroup.findAll({
+    where: { companyId: req.userObject?.companyId || req.company?.id },
+    attributes: ['id'],
+  });
+  const model = await Model.findOne({
+    where: { id: modelLog.modelId, modelGroupId: modelGroups.map((modelGroup) => modelGroup.id) },
+    attributes: ['id'],
+  });
+  return model ? modelLog : null;
+};
+
+export const getModelLogEvaluationStatus = async (req, res) => {
+  try {
+    const modelLog = await findCompanyModelLog(req, req.params.id);
+    if (!modelLog) {
+      return res.status(404).json({ error: 'Model Log not found' });
+    }
+    const status = await getEvaluationPipelineStatus(modelLog.id);
+    if (!status) {
+      return res.status(404).json({ error: 'No evaluation found for this Model Log' });
+    }
+    res.status(200).json(status);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+export const retryModelLogEvaluation = async (req, res) => {
+  try {
+    const modelLog = await findCompanyModelLog(req, req.params.id);
+    if (!modelLog) {
+      return res.status(404).json({ error: 'Model Log not found' });
+    }
+    const status = await retryEvaluationPipeline(modelLog.id);
+    res.status(202).json(status);
+  } catch (error) {
+    if (error.message === 'Model Log not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(409).json({ error: error.message });
+  }
+};
+
+export const getEvaluationQueueOverview = async (req, res) => {
+  try {
+    const companyId = req.userObject?.companyId || req.company?.id;
+    const [status, deadLettered] = await Promise.all([
+      getEvaluationQueueStatus(companyId),
+      listDeadLetteredEvaluations(companyId),
+    ]);
+    res.status(200).json({ ...status, deadLettered });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
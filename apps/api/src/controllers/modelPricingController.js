@@ -0,0 +1,103 @@
+import db from '../../models/index.js';
+import { DEFAULT_PRICING } from '../services/pricingCatalog.js';
+import { clearCompanyPricingCache } from '../services/costService.js';
+
+const { ModelPricing } = db;
+
+const PRICE_FIELDS = ['inputCostPerMillion', 'outputCostPerMillion', 'cachedInputCostPerMillion'];
+
+const validatePrices = (body, { partial = false } = {}) => {
+  for (const field of PRICE_FIELDS) {
+    const value = body[field];
+    const optional = partial || field === 'cachedInputCostPerMillion';
+    if ((value === undefined || value === null) && optional) {
+      continue;
+    }
+    if (typeof value !== 'number' || value < 0) {
+      return `${field} must be a non-negative number`;
+    }
+  }
+  return null;
+};
+
+export const getModelPricing = async (req, res) => {
+  try {
+    const companyId = req.userObject?.companyId || req.company?.id;
+    const custom = await ModelPricing.findAll({
+      where: { companyId },
+      order: [['model', 'ASC']],
+    });
+    res.status(200).json({ catalog: DEFAULT_PRICING, custom });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+export const createModelPricing = async (req, res) => {
+  try {
+    const companyId = req.userObject?.companyId || req.company?.id;
+    const { provider, model, inputCostPerMillion, outputCostPerMillion, cachedInputCostPerMillion } = req.body;
+    if (!model) {
+      return res.status(400).json({ error: 'model is required' });
+    }
+    const invalid = validatePrices(req.body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const pricing = await ModelPricing.create({
+      companyId,
+      provider: provider || null,
+      model,
+      inputCostPerMillion,
+      outputCostPerMillion,
+      cachedInputCostPerMillion: cachedInputCostPerMillion ?? null,
+    });
+    clearCompanyPricingCache(companyId);
+    res.status(201).json(pricing);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+export const updateModelPricing = async (req, res) => {
+  try {
+    const companyId = req.userObject?.companyId || req.company?.id;
+    const pricing = await ModelPricing.findOne({ where: { id: req.params.id, companyId } });
+    if (!pricing) {
+      return res.status(404).json({ error: 'Pricing entry not found' });
+    }
+    const invalid = validatePrices(req.body, { partial: true });
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const { provider, model, inputCostPerMillion, outputCostPerMillion, cachedInputCostPerMillion } = req.body;
+    await pricing.update({
+      provider: provider !== undefined ? provider || null : pricing.provider,
+      model: model ?? pricing.model,
+      inputCostPerMillion: inputCostPerMillion ?? pricing.inputCostPerMillion,
+      outputCostPerMillion: outputCostPerMillion ?? pricing.outputCostPerMillion,
+      cachedInputCostPerMillion:
+        cachedInputCostPerMillion !== undefined ? cachedInputCostPerMillion : pricing.cachedInputCostPerMillion,
+    });
+    clearCompanyPricingCache(companyId);
+    res.status(200).json(pricing);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+export const deleteModelPricing = async (req, res) => {
+  try {
+    const companyId = req.userObject?.companyId || req.company?.id;
+    const deleted = await ModelPricing.destroy({ where: { id: req.params.id, companyId } });
+    if (!deleted) {
+      return res.status(404).json({ error: 'Pricing entry not found' });
+    }
+    clearCompanyPricingCache(companyId);
+    res.status(204).send();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
@@ -1,5 +1,6 @@
 import { checkSubscriptionLimits } from "../services/membershipService.js";
 import { getBasicMetricOfModels, getDetailedMetricOfModel, getListOfEntries, getEntry } from "../services/monitoringService.js";
+import { recordHumanVerdict } from "../services/evaluatorCalibrationService.js";
 
 export const me = async (req, res) => {
   try {
@@ -59,6 +60,15 @@ export const updateEntry = async (req, res) => {
     const entry = await getEntry(entryId);
 
     const updatedEntry = await entry.update(req.body);
+    // A human correction is the reference the evaluators are calibrated against
+    const { isCorrect, evaluatorVerdicts } = req.body;
+    if (typeof isCorrect === 'boolean' || evaluatorVerdicts) {
+      await recordHumanVerdict(entry.id, {
+        isCorrect,
+        evaluatorVerdicts,
+        userId: req.userObject?.id,
+      });
+    }
     res.status(201).json(updatedEntry);
   } catch (error) {
     res.status(400).json({ error: error.message });
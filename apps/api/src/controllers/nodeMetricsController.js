@@ -1,5 +1,6 @@
 import { z } from 'zod';
 import { getNodeMetrics, getOptimizedNodeMetrics, getNodeInsights } from '../services/nodeMetricsService.js';
+import { getNodeCostMetrics } from '../services/costRollupService.js';
 
 const getNodeMetricsSchema = z.object({
   nodeIds: z.array(z.number()),
@@ -7,6 +8,10 @@ const getNodeMetricsSchema = z.object({
   endDate: z.string().date()
 });
 
+const getNodeCostsSchema = getNodeMetricsSchema.extend({
+  environment: z.enum(['production', 'staging']).optional()
+});
+
 export const getNodeMetricsController = async (req, res) => {
   try {
     const { nodeIds, startDate, endDate } = getNodeMetricsSchema.parse(req.body);
@@ -46,6 +51,25 @@ export const getOptimizedNodeMetricsController = async (req, res) => {
 }
 
 
+export const getNodeCostsController = async (req, res) => {
+  try {
+    const { nodeIds, startDate, endDate, environment } = getNodeCostsSchema.parse(req.body);
+
+    const costs = await getNodeCostMetrics(nodeIds, new Date(startDate), new Date(endDate), environment);
+
+    return res.json({
+      success: true,
+      data: costs
+    });
+  } catch (error) {
+    console.error('Error getting node costs:', error);
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
 export const getNodeInsightsController = async (req, res) => {
   try {
     const { nodeIds } = req.body;
@@ -0,0 +1,75 @@
+import db from '../../models/index.js';
+import { ingestTraceRequest } from '../services/otlpService.js';
+import { consumeEventQuota, quotaExceededBody } from '../services/ingestionLimitService.js';
+import {
+  decodeTraceRequest,
+  encodeTraceResponse,
+} from '../services/otlpProto.js';
+
+const { Company } = db;
+
+const isProtobuf = (req) => req.is('application/x-protobuf') === 'application/x-protobuf';
+
+/**
+ * Sends an OTLP response in the same encoding as the request
+ */
+const sendOtlpResponse = (req, res, status, partialSuccess = null) => {
+  if (isProtobuf(req)) {
+    res.status(status).type('application/x-protobuf');
+    return res.send(encodeTraceResponse(partialSuccess));
+  }
+  return res.status(status).json(partialSuccess ? { partialSuccess } : {});
+};
+
+export const exportTraces = async (req, res) => {
+  try {
+    const token = req.headers.authorization?.split(' ')[1];
+    if (!token) {
+      return res.status(401).json({ error: 'No token provided' });
+    }
+
+    const companyAuth = await Company.validateApiToken(token);
+    if (!companyAuth) {
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+    const { environment, company } = companyAuth;
+
+    let request;
+    try {
+      request = isProtobuf(req) ? decodeTraceRequest(req.body) : req.body;
+    } catch (error) {
+      return res.status(400).json({ error: `Invalid OTLP payload: ${error.message}` });
+    }
+    if (!request || !Array.isArray(request.resourceSpans)) {
+      return res.status(400).json({ error: 'Request body must have resourceSpans as an array' });
+    }
+
+    // Each span becomes a node, so spans count against the event quotas like tracked nodes
+    const spans = request.resourceSpans.reduce(
+      (sum, resourceSpans) =>
+        sum + (resourceSpans?.scopeSpans || []).reduce((count, scopeSpans) => count + (scopeSpans?.spans?.length || 0), 0),
+      0
+    );
+    const quota = await consumeEventQuota(company.id, environment, spans);
+    if (!quota.allowed) {
+      res.set('Retry-After', String(quota.retryAfter));
+      return res.status(429).json(quotaExceededBody(quota));
+    }
+
+    const { rejectedSpans, errors } = await ingestTraceRequest(request, {
+      company,
+      environment,
+    });
+
+    if (rejectedSpans > 0) {
+      return sendOtlpResponse(req, res, 200, {
+        rejectedSpans: String(rejectedSpans),
+        errorMessage: [...new Set(errors)].slice(0, 5).join('; '),
+      });
+    }
+    return sendOtlpResponse(req, res, 200);
+  } catch (error) {
+    console.error('Error in exportTraces:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
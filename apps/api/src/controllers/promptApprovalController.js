@@ -0,0 +1,175 @@
+import db from '../../models/index.js';
+import {
+  findCompanyVersion,
+  getPolicyChanges,
+  getPolicyManagerError,
+  getVersionReview,
+  retireVersion,
+  reviewVersion,
+  saveApprovalPolicy,
+  submitForReview,
+  validateApprovalPolicy,
+} from '../services/promptApprovalService.js';
+
+const { PromptApprovalPolicy, Agent } = db;
+
+const POLICY_FIELDS = [
+  'enabled',
+  'requiredApprovals',
+  'approverRoles',
+  'approverUserIds',
+  'requiredReviewerIds',
+  'allowSelfApproval',
+];
+
+const pickPolicyFields = (body) =>
+  Object.fromEntries(POLICY_FIELDS.filter((field) => body[field] !== undefined).map((field) => [field, body[field]]));
+
+const findVersion = (req) =>
+  findCompanyVersion(req.userObject?.companyId || req.company?.id, req.params.modelId, req.params.version);
+
+export const getApprovalPolicies = async (req, res) => {
+  try {
+    const companyId = req.userObject?.companyId || req.company?.id;
+    const policies = await PromptApprovalPolicy.findAll({
+      where: { companyId },
+      order: [['agentId', 'ASC']],
+    });
+    res.status(200).json({ policies });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+export const getApprovalPolicyChanges = async (req, res) => {
+  try {
+    const companyId = req.userObject?.companyId || req.company?.id;
+    res.status(200).json({ changes: await getPolicyChanges(companyId) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Creates or replaces the company default policy, or an agent's policy when
+ * agentId is given. Only admins and the policy's approvers may, and the
+ * change is recorded.
+ */
+export const upsertApprovalPolicy = async (req, res) => {
+  try {
+    const companyId = req.userObject?.companyId || req.company?.id;
+    const agentId = req.body.agentId || null;
+    const fields = pickPolicyFields(req.body);
+    const invalid = validateApprovalPolicy(fields);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    if (agentId) {
+      const agent = await Agent.findOne({ where: { id: agentId, companyId } });
+      if (!agent) {
+        return res.status(404).json({ error: 'Agent not found' });
+      }
+    }
+
+    const policy = await PromptApprovalPolicy.findOne({ where: { companyId, agentId } });
+    const forbidden = await getPolicyManagerError(req.userObject, companyId, policy);
+    if (forbidden) {
+      return res.status(403).json({ error: forbidden });
+    }
+    const saved = await saveApprovalPolicy({ companyId, agentId, policy, fields, user: req.userObject });
+    res.status(200).json(saved);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+export const deleteApprovalPolicy = async (req, res) => {
+  try {
+    const companyId = req.userObject?.companyId || req.company?.id;
+    const policy = await PromptApprovalPolicy.findOne({ where: { id: req.params.id, companyId } });
+    if (!policy) {
+      return res.status(404).json({ error: 'Approval policy not found' });
+    }
+    const forbidden = await getPolicyManagerError(req.userObject, companyId, policy);
+    if (forbidden) {
+      return res.status(403).json({ error: forbidden });
+    }
+    await saveApprovalPolicy({ companyId, agentId: policy.agentId, policy, fields: null, user: req.userObject });
+    res.status(204).send();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+export const getPromptVersionReview = async (req, res) => {
+  try {
+    const modelVersion = await findVersion(req);
+    if (!modelVersion) {
+      return res.status(404).json({ error: 'Prompt version not found' });
+    }
+    res.status(200).json({ success: true, data: await getVersionReview(modelVersion) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+export const submitPromptVersion = async (req, res) => {
+  try {
+    if (!req.userObject) {
+      return res.status(403).json({ error: 'Only signed-in users can review prompt versions' });
+    }
+    const modelVersion = await findVersion(req);
+    if (!modelVersion) {
+      return res.status(404).json({ error: 'Prompt version not found' });
+    }
+    const { error, status } = await submitForReview(modelVersion, req.userObject, req.body.comment);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    res.status(200).json({ success: true, data: await getVersionReview(modelVersion) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+export const reviewPromptVersion = async (req, res) => {
+  try {
+    if (!req.userObject) {
+      return res.status(403).json({ error: 'Only signed-in users can review prompt versions' });
+    }
+    const modelVersion = await findVersion(req);
+    if (!modelVersion) {
+      return res.status(404).json({ error: 'Prompt version not found' });
+    }
+    const { error, status, pullRequest } = await reviewVersion(modelVersion, req.userObject, {
+      decision: req.body.decision,
+      comment: req.body.comment,
+    });
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    res.status(201).json({ success: true, data: { ...(await getVersionReview(modelVersion)), pullRequest } });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+export const retirePromptVersion = async (req, res) => {
+  try {
+    if (!req.userObject) {
+      return res.status(403).json({ error: 'Only signed-in users can review prompt versions' });
+    }
+    const modelVersion = await findVersion(req);
+    if (!modelVersion) {
+      return res.status(404).json({ error: 'Prompt version not found' });
+    }
+    const { error, status } = await retireVersion(modelVersion, req.userObject, req.body.reason);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    res.status(200).json({ success: true, data: await getVersionReview(modelVersion) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
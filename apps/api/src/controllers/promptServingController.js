@@ -0,0 +1,124 @@
+import db from '../../models/index.js';
+import {
+  getAllocationHistory,
+  getServingCandidates,
+  servePrompt,
+  setTrafficAllocation,
+} from '../services/promptServingService.js';
+import { getBanditStatus, updatePromptBandit } from '../services/promptBanditService.js';
+
+const { Model, ModelGroup } = db;
+
+const findCompanyModel = async (companyId, modelId) => {
+  const modelGroups = await ModelGroup.findAll({ where: { companyId } });
+  return Model.findOne({
+    where: { id: modelId, modelGroupId: modelGroups.map((modelGroup) => modelGroup.id) },
+  });
+};
+
+// Allocations are listed without the prompt texts
+const describeAllocation = (candidates) =>
+  candidates.map(({ versionId, modelId, version, key, weight, updatedAt }) => ({
+    versionId,
+    modelId,
+    version,
+    key,
+    weight,
+    updatedAt,
+  }));
+
+export const servePromptForNode = async (req, res) => {
+  try {
+    const companyId = req.userObject?.companyId || req.company?.id;
+    const { served, etag, error, status } = await servePrompt(companyId, {
+      agentSlug: req.params.agentSlug,
+      nodeSlug: req.params.nodeSlug,
+      assignmentKey: req.query.key,
+    });
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    res.set({ ETag: etag, 'Cache-Control': 'private, no-cache' });
+    if (req.headers['if-none-match'] === etag) {
+      return res.status(304).end();
+    }
+    res.status(200).json(served);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+export const getTrafficAllocation = async (req, res) => {
+  try {
+    const model = await findCompanyModel(req.userObject?.companyId || req.company?.id, req.params.modelId);
+    if (!model) {
+      return res.status(404).json({ error: 'Model not found' });
+    }
+    const candidates = await getServingCandidates(model);
+    res.status(200).json(describeAllocation(candidates));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+export const updateTrafficAllocation = async (req, res) => {
+  try {
+    const model = await findCompanyModel(req.userObject?.companyId || req.company?.id, req.params.modelId);
+    if (!model) {
+      return res.status(404).json({ error: 'Model not found' });
+    }
+    const { candidates, error, status } = await setTrafficAllocation(
+      model,
+      req.body.allocations,
+      req.userObject?.id
+    );
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    res.status(200).json(describeAllocation(candidates));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+export const getTrafficHistory = async (req, res) => {
+  try {
+    const model = await findCompanyModel(req.userObject?.companyId || req.company?.id, req.params.modelId);
+    if (!model) {
+      return res.status(404).json({ error: 'Model not found' });
+    }
+    const changes = await getAllocationHistory(model.id);
+    res.status(200).json(changes);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+export const getPromptBandit = async (req, res) => {
+  try {
+    const model = await findCompanyModel(req.userObject?.companyId || req.company?.id, req.params.modelId);
+    if (!model) {
+      return res.status(404).json({ error: 'Model not found' });
+    }
+    res.status(200).json(await getBanditStatus(model));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+export const updatePromptBanditSettings = async (req, res) => {
+  try {
+    const model = await findCompanyModel(req.userObject?.companyId || req.company?.id, req.params.modelId);
+    if (!model) {
+      return res.status(404).json({ error: 'Model not found' });
+    }
+    const { bandit, error, status } = await updatePromptBandit(model, req.body.promptBandit);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    res.status(200).json(bandit);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
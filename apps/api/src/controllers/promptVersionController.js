@@ -4,8 +4,24 @@ import ABTestModel from '../../models/aBTestModel.js';
 import { runReview } from '../services/insightsService.js';
 import { enhancePrompt } from '../services/promptEnhancementService.js';
 import { isCorrect } from '../services/entries/correctnessEvaluatorService.js';
-
-const { Agent, AgentNode, Model, AgentConnection, ModelLog, Insights } = db;
+import {
+  getDeployHistory as getModelDeployHistory,
+  getReleaseGuardConfig,
+  rollbackModelRelease,
+  validateReleaseGuard,
+} from '../services/releaseGuardService.js';
+import { getReleaseApprovalError } from '../services/promptApprovalService.js';
+
+const { Agent, AgentNode, Model, AgentConnection, ModelLog, Insights, ModelGroup } = db;
+
+const findCompanyModel = async (req, modelId) => {
+  const modelGroups = await ModelGroup.findAll({
+    where: { companyId: req.userObject?.companyId || req.company?.id },
+  });
+  return Model.findOne({
+    where: { id: modelId, modelGroupId: modelGroups.map((modelGroup) => modelGroup.id) },
+  });
+};
 
 /**
  * getModelMetrics
@@ -229,7 +245,7 @@ export async function createPrompt(req, res, next) {
     // 2. Read the prompt text from the JSON payload
     const { prompt } = req.body;
     // 3. Call service to perform business logic & DB insertion
-    const newPrompt = await promptService.createPrompt(modelId, prompt);
+    const newPrompt = await promptService.createPrompt(modelId, prompt, req.userObject?.id);
     // 4. Return success response with created object
     return res.status(201).json({ success: true, data: newPrompt });
   } catch (error) {
@@ -360,11 +376,18 @@ export async function releasePrompt(req, res) {
   try {
     // 1. Extract params
     const { modelId, version, originalModelId } = req.params;
-    // 2. Call service
+    // 2. Versions under an approval policy have to be approved first
+    const modelVersion = await db.ModelVersions.findOne({ where: { modelId, version } });
+    const approvalError = modelVersion && (await getReleaseApprovalError(modelVersion));
+    if (approvalError) {
+      return res.status(409).json({ error: approvalError });
+    }
+    // 3. Call service
     const released = await promptService.releasePrompt(
       modelId,
       version,
-      originalModelId
+      originalModelId,
+      req.userObject?.id
     );
     return res.status(200).json({ success: true, data: released });
   } catch (error) {
@@ -373,6 +396,75 @@ export async function releasePrompt(req, res) {
   }
 }
 
+/**
+ * @route   GET /model/:modelId/deploys
+ * @desc    Releases and rollbacks of a model, newest first, with their guard status
+ */
+export async function getDeployHistory(req, res) {
+  try {
+    const model = await findCompanyModel(req, req.params.modelId);
+    if (!model) {
+      return res.status(404).json({ error: 'Model not found' });
+    }
+    const deploys = await getModelDeployHistory(model.id);
+    return res.status(200).json({
+      success: true,
+      data: { releaseGuard: getReleaseGuardConfig(model), deploys },
+    });
+  } catch (error) {
+    console.error(error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * @route   POST /model/:modelId/rollback
+ * @desc    Reactivate the version the latest release (or `deployId`) replaced
+ */
+export async function rollbackPrompt(req, res) {
+  try {
+    const model = await findCompanyModel(req, req.params.modelId);
+    if (!model) {
+      return res.status(404).json({ error: 'Model not found' });
+    }
+    const { rollback, error, status } = await rollbackModelRelease(model, {
+      deployId: req.body.deployId,
+      reason: req.body.reason,
+      userId: req.userObject?.id,
+    });
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    return res.status(200).json({ success: true, data: rollback });
+  } catch (error) {
+    console.error(error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * @route   PUT /model/:modelId/release-guard
+ * @desc    Override the release guard settings of a model; null restores the defaults
+ */
+export async function updateReleaseGuard(req, res) {
+  try {
+    const model = await findCompanyModel(req, req.params.modelId);
+    if (!model) {
+      return res.status(404).json({ error: 'Model not found' });
+    }
+    const releaseGuard = req.body.releaseGuard ?? null;
+    const validationError = validateReleaseGuard(releaseGuard);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    await model.update({ releaseGuard });
+    return res.status(200).json({ success: true, data: getReleaseGuardConfig(model) });
+  } catch (error) {
+    console.error(error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
 /**
  * @route   GET /prompts/grouped
  * @desc    Retrieve all prompt versions grouped by modelId
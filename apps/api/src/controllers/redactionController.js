@@ -0,0 +1,127 @@
+import db from '../../models/index.js';
+import { BUILT_IN_DETECTOR_NAMES } from '../services/piiDetectors.js';
+import {
+  validateRedactionPolicy,
+  clearRedactionPolicyCache,
+  isTokenizationAvailable,
+  previewRedaction,
+  revealTokens,
+} from '../services/redactionService.js';
+
+const { RedactionPolicy, Agent } = db;
+
+const POLICY_FIELDS = ['enabled', 'mode', 'detectors', 'customPatterns', 'allowPaths', 'denyPaths'];
+
+const pickPolicyFields = (body) =>
+  Object.fromEntries(POLICY_FIELDS.filter((field) => body[field] !== undefined).map((field) => [field, body[field]]));
+
+export const getRedactionPolicies = async (req, res) => {
+  try {
+    const companyId = req.userObject?.companyId || req.company?.id;
+    const policies = await RedactionPolicy.findAll({
+      where: { companyId },
+      order: [['agentId', 'ASC']],
+    });
+    res.status(200).json({
+      policies,
+      detectors: BUILT_IN_DETECTOR_NAMES,
+      tokenizationAvailable: isTokenizationAvailable(),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Creates or replaces the company default policy, or an agent's policy when
+ * agentId is given
+ */
+export const upsertRedactionPolicy = async (req, res) => {
+  try {
+    const companyId = req.userObject?.companyId || req.company?.id;
+    const agentId = req.body.agentId || null;
+    const fields = pickPolicyFields(req.body);
+    const invalid = validateRedactionPolicy(fields);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    if (agentId) {
+      const agent = await Agent.findOne({ where: { id: agentId, companyId } });
+      if (!agent) {
+        return res.status(404).json({ error: 'Agent not found' });
+      }
+    }
+
+    let policy = await RedactionPolicy.findOne({ where: { companyId, agentId } });
+    if (policy) {
+      await policy.update(fields);
+    } else {
+      policy = await RedactionPolicy.create({
+        detectors: BUILT_IN_DETECTOR_NAMES,
+        ...fields,
+        companyId,
+        agentId,
+      });
+    }
+    clearRedactionPolicyCache(companyId);
+    res.status(200).json(policy);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+export const deleteRedactionPolicy = async (req, res) => {
+  try {
+    const companyId = req.userObject?.companyId || req.company?.id;
+    const deleted = await RedactionPolicy.destroy({ where: { id: req.params.id, companyId } });
+    if (!deleted) {
+      return res.status(404).json({ error: 'Redaction policy not found' });
+    }
+    clearRedactionPolicyCache(companyId);
+    res.status(204).send();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Shows what a policy would store for a sample payload, without saving tokens
+ */
+export const previewRedactionPolicy = async (req, res) => {
+  try {
+    const { sample, policy = {} } = req.body;
+    if (sample === undefined) {
+      return res.status(400).json({ error: 'sample is required' });
+    }
+    const fields = pickPolicyFields(policy);
+    const invalid = validateRedactionPolicy(fields);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    const redacted = previewRedaction(
+      { mode: 'mask', detectors: BUILT_IN_DETECTOR_NAMES, ...fields },
+      sample
+    );
+    res.status(200).json({ redacted });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+export const detokenize = async (req, res) => {
+  try {
+    const companyId = req.userObject?.companyId || req.company?.id;
+    const { tokens, text } = req.body;
+    if (!tokens && !text) {
+      return res.status(400).json({ error: 'tokens or text is required' });
+    }
+    if (!isTokenizationAvailable()) {
+      return res.status(400).json({ error: 'Tokenization is not configured' });
+    }
+    const values = await revealTokens(companyId, tokens || text);
+    res.status(200).json({ values });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
@@ -1,23 +1,97 @@
 import db from '../../models/index.js';
 import { QueryTypes } from 'sequelize';
+import {
+  testFunctionEvaluator,
+  validateFunctionEvaluator,
+} from '../services/functionEvaluatorService.js';
+import { getEvaluatorCalibration as getCalibration } from '../services/evaluatorCalibrationService.js';
+import { validateEnsembleConfig } from '../services/judgeEnsembleService.js';
+import { RAG_METRICS } from '../services/ragEvaluationService.js';
+import { requestBackfill, validateBackfillFilters } from '../services/evaluationBackfillService.js';
+import {
+  getEvaluatorVersions,
+  diffEvaluatorVersions,
+  getEvaluatorVersionMetrics,
+} from '../services/evaluatorVersionService.js';
 
 const { EvaluationPrompt, ModelEvaluationPrompt, EvaluatorMetric } = db;
 
+/**
+ * Checks an ensemble config and that its judges use the company's integration tokens
+ * @returns {Promise<string|null>} What is wrong with it, or null when it is valid
+ */
+const checkEnsemble = async (ensemble, companyId) => {
+  const error = validateEnsembleConfig(ensemble);
+  if (error || !ensemble?.judges?.length) {
+    return error;
+  }
+  const tokenIds = [...new Set(ensemble.judges.map((judge) => Number(judge.integrationTokenId)))];
+  const owned = await db.IntegrationToken.count({ where: { id: tokenIds, companyId } });
+  return owned === tokenIds.length ? null : 'ensemble.judges must use integration tokens of your company';
+};
+
+const invalidRagMetric = (ragMetric) =>
+  ragMetric !== undefined && ragMetric !== null && !RAG_METRICS.includes(ragMetric);
+
+/**
+ * Re-evaluates the historical logs of models with an evaluator that was just
+ * added or edited, when the request asks for it with
+ * backfill: { filters, maxCostUsd }
+ * @returns {Promise<Array>} One { modelId, backfill } or { modelId, error, estimate } per model
+ */
+const backfillEvaluator = async (companyId, evaluationPromptId, modelIds, { filters, maxCostUsd }) => {
+  const results = [];
+  for (const modelId of modelIds) {
+    const { backfill, error, estimate } = await requestBackfill(companyId, {
+      modelId,
+      evaluationPromptIds: [evaluationPromptId],
+      filters,
+      maxCostUsd,
+    });
+    results.push(error ? { modelId, error, estimate } : { modelId, backfill });
+  }
+  return results;
+};
+
 export async function createEvaluationPrompt(req, res) {
   try {
-    
-    const { name, prompt, defaultProviderModel, defaultIntegrationTokenId } = req.body;
+    const { name, prompt, defaultProviderModel, defaultIntegrationTokenId, type, functionBody, ensemble, ragMetric } = req.body;
     const companyId = req.userObject?.companyId || req.company?.id;
+
+    if (invalidRagMetric(ragMetric)) {
+      return res.status(400).json({ success: false, error: `ragMetric must be one of ${RAG_METRICS.join(', ')}` });
+    }
+
+    const ensembleError = type === 'function' ? null : await checkEnsemble(ensemble, companyId);
+    if (ensembleError) {
+      return res.status(400).json({ success: false, error: ensembleError });
+    }
+
+    if (type === 'function') {
+      const validation = validateFunctionEvaluator({ name, type, functionBody });
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          error: validation.errors.join(', '),
+          errorDetails: validation.errorDetails,
+        });
+      }
+    }
+
     const metric = await EvaluatorMetric.create({ name, companyId });
 
     const newPrompt = await EvaluationPrompt.create({
       name,
-      prompt,
+      prompt: type === 'function' ? null : prompt,
+      type: type === 'function' ? 'function' : 'prompt',
+      functionBody: type === 'function' ? functionBody : null,
       metricId: metric.id,
       isGlobal: false,
       companyId,
       defaultProviderModel: defaultProviderModel !== '' ? defaultProviderModel : null,
       defaultIntegrationTokenId: defaultIntegrationTokenId !== '' ? defaultIntegrationTokenId : null,
+      ensemble: type === 'function' ? null : ensemble || null,
+      ragMetric: type === 'function' ? null : ragMetric || null,
     });
     return res.status(201).json({ success: true, data: newPrompt });
   } catch (error) {
@@ -28,24 +102,112 @@ export async function createEvaluationPrompt(req, res) {
 export async function updateEvaluationPrompt(req, res) {
   try {
     const { id } = req.params;
-    const { name, prompt, defaultProviderModel, defaultIntegrationTokenId } = req.body;
+    const { name, prompt, defaultProviderModel, defaultIntegrationTokenId, functionBody, ensemble, ragMetric, backfill } = req.body;
     const companyId = req.userObject?.companyId || req.company?.id;
+    if (invalidRagMetric(ragMetric)) {
+      return res.status(400).json({ success: false, error: `ragMetric must be one of ${RAG_METRICS.join(', ')}` });
+    }
+    const backfillError = backfill && validateBackfillFilters(backfill.filters);
+    if (backfillError) {
+      return res.status(400).json({ success: false, error: backfillError });
+    }
     const template = await EvaluationPrompt.findOne({ where: { id, companyId } });
     if (!template) {
       return res.status(404).json({ success: false, message: 'Template not found or not owned by your company.' });
     }
 
+    if (template.type === 'function' && functionBody !== undefined) {
+      const validation = validateFunctionEvaluator({
+        name: name ?? template.name,
+        type: template.type,
+        functionBody,
+      });
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          error: validation.errors.join(', '),
+          errorDetails: validation.errorDetails,
+        });
+      }
+      template.functionBody = functionBody;
+    }
+
+    // Function evaluators are deterministic, so they never need an ensemble
+    if (ensemble !== undefined && template.type !== 'function') {
+      const ensembleError = await checkEnsemble(ensemble, companyId);
+      if (ensembleError) {
+        return res.status(400).json({ success: false, error: ensembleError });
+      }
+      template.ensemble = ensemble;
+    }
+    if (ragMetric !== undefined && template.type !== 'function') {
+      template.ragMetric = ragMetric;
+    }
+
     template.name = name ?? template.name;
     template.prompt = prompt ?? template.prompt;
     template.defaultProviderModel = defaultProviderModel ?? template.defaultProviderModel;
     template.defaultIntegrationTokenId = defaultIntegrationTokenId ?? template.defaultIntegrationTokenId;
     await template.save();
+
+    if (backfill) {
+      const associations = await ModelEvaluationPrompt.findAll({
+        where: { evaluationPromptId: template.id },
+        attributes: ['modelId'],
+      });
+      const backfills = await backfillEvaluator(
+        companyId,
+        template.id,
+        associations.map((association) => association.modelId),
+        backfill
+      );
+      return res.json({ success: true, data: template, backfills });
+    }
     return res.json({ success: true, data: template });
   } catch (error) {
     return res.status(500).json({ success: false, error: error.message });
   }
 }
 
+// Runs an unsaved function evaluator body against a sample entry in the sandbox
+export async function testFunctionEvaluatorBody(req, res) {
+  try {
+    const { name, functionBody, sampleEntry } = req.body;
+    const result = await testFunctionEvaluator(
+      { name: name || 'Untitled evaluator', type: 'function', functionBody },
+      sampleEntry || {}
+    );
+    return res.json({ success: true, data: result });
+  } catch (error) {
+    return res.status(500).json({ success: false, error: error.message });
+  }
+}
+
+// Runs a saved function evaluator against a sample entry in the sandbox
+export async function testEvaluationPrompt(req, res) {
+  try {
+    const { id } = req.params;
+    const companyId = req.userObject?.companyId || req.company?.id;
+    const template = await EvaluationPrompt.findOne({
+      where: {
+        id,
+        [db.Sequelize.Op.or]: [{ isGlobal: true }, { companyId }],
+      },
+    });
+    if (!template) {
+      return res.status(404).json({ success: false, message: 'Template not found or not owned by your company.' });
+    }
+    if (template.type !== 'function') {
+      return res.status(400).json({ success: false, error: 'Only function evaluators can be tested' });
+    }
+
+    const result = await testFunctionEvaluator(template, req.body.sampleEntry || {});
+    return res.json({ success: true, data: result });
+  } catch (error) {
+    return res.status(500).json({ success: false, error: error.message });
+  }
+}
+
 export async function getEvaluationPrompts(req, res) {
   try {
     const companyId = req.userObject?.companyId || req.company?.id;
@@ -113,8 +275,12 @@ export async function getEvaluationPrompts(req, res) {
 export async function associatePromptToModel(req, res) {
   try {
     const { modelId } = req.params;
-    const { evaluationPromptId, integrationTokenId, providerModel } = req.body;
+    const { evaluationPromptId, integrationTokenId, providerModel, backfill } = req.body;
     const companyId = req.userObject?.companyId || req.company?.id;
+    const backfillError = backfill && validateBackfillFilters(backfill.filters);
+    if (backfillError) {
+      return res.status(400).json({ success: false, error: backfillError });
+    }
     // Only allow association if prompt is global or belongs to company
     const prompt = await EvaluationPrompt.findOne({
       where: {
@@ -136,6 +302,10 @@ export async function associatePromptToModel(req, res) {
     console.log('integrationTokenId', integrationTokenId);
     console.log('providerModel', providerModel);
     const association = await ModelEvaluationPrompt.create({ modelId, evaluationPromptId, integrationTokenId, providerModel });
+    if (backfill) {
+      const [result] = await backfillEvaluator(companyId, prompt.id, [Number(modelId)], backfill);
+      return res.status(201).json({ success: true, data: association, backfill: result });
+    }
     return res.status(201).json({ success: true, data: association });
   } catch (error) {
     console.log('error', error);
@@ -249,4 +419,95 @@ export async function getEvaluationPromptStats(req, res) {
   } catch (error) {
     return res.status(500).json({ success: false, error: error.message });
   }
-} 
\ No newline at end of file
+} 
+
+/**
+ * How well each evaluator agrees with human verdicts, overall and per model.
+ * Accepts evaluatorId, modelId, startDate and endDate query filters.
+ */
+export async function getEvaluatorCalibration(req, res) {
+  try {
+    const companyId = req.userObject?.companyId || req.company?.id;
+    const { evaluatorId, modelId, startDate, endDate } = req.query;
+    const data = await getCalibration(companyId, {
+      evaluationPromptId: evaluatorId ? parseInt(evaluatorId, 10) : null,
+      modelId: modelId ? parseInt(modelId, 10) : null,
+      startDate: startDate ? new Date(startDate) : null,
+      endDate: endDate ? new Date(endDate) : null,
+    });
+    return res.json({ success: true, data });
+  } catch (error) {
+    return res.status(500).json({ success: false, error: error.message });
+  }
+}
+
+const findAccessiblePrompt = (id, companyId) =>
+  EvaluationPrompt.findOne({
+    where: {
+      id,
+      [db.Sequelize.Op.or]: [{ isGlobal: true }, { companyId }],
+    },
+    attributes: ['id', 'version'],
+  });
+
+// Every version of an evaluator, newest first
+export async function getEvaluationPromptVersions(req, res) {
+  try {
+    const companyId = req.userObject?.companyId || req.company?.id;
+    const template = await findAccessiblePrompt(req.params.id, companyId);
+    if (!template) {
+      return res.status(404).json({ success: false, message: 'Template not found or not owned by your company.' });
+    }
+    const data = await getEvaluatorVersions(template.id);
+    return res.json({ success: true, data, currentVersion: template.version });
+  } catch (error) {
+    return res.status(500).json({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Two versions of an evaluator and the fields that changed between them.
+ * `from` defaults to the version before `to`, and `to` to the current one.
+ */
+export async function getEvaluationPromptVersionDiff(req, res) {
+  try {
+    const companyId = req.userObject?.companyId || req.company?.id;
+    const template = await findAccessiblePrompt(req.params.id, companyId);
+    if (!template) {
+      return res.status(404).json({ success: false, message: 'Template not found or not owned by your company.' });
+    }
+    const to = req.query.to ? parseInt(req.query.to, 10) : template.version;
+    const from = req.query.from ? parseInt(req.query.from, 10) : to - 1;
+    const data = await diffEvaluatorVersions(template.id, from, to);
+    if (!data) {
+      return res.status(404).json({ success: false, message: 'Version not found.' });
+    }
+    return res.json({ success: true, data });
+  } catch (error) {
+    return res.status(500).json({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Scores and accuracy of an evaluator per version, overall and per day.
+ * Accepts modelId, version, startDate and endDate query filters.
+ */
+export async function getEvaluationPromptVersionMetrics(req, res) {
+  try {
+    const companyId = req.userObject?.companyId || req.company?.id;
+    const template = await findAccessiblePrompt(req.params.id, companyId);
+    if (!template) {
+      return res.status(404).json({ success: false, message: 'Template not found or not owned by your company.' });
+    }
+    const { modelId, version, startDate, endDate } = req.query;
+    const data = await getEvaluatorVersionMetrics(companyId, template.id, {
+      modelId: modelId ? parseInt(modelId, 10) : null,
+      version: version ? parseInt(version, 10) : null,
+      startDate: startDate ? new Date(startDate) : null,
+      endDate: endDate ? new Date(endDate) : null,
+    });
+    return res.json({ success: true, data });
+  } catch (error) {
+    return res.status(500).json({ success: false, error: error.message });
+  }
+}
@@ -3,10 +3,16 @@ import { executeTrack, executeToolTrack } from '../services/trackService.js';
 import { Op } from 'sequelize';
 import { createAgentFromConfig } from '../services/agentCreationService.js';
 import { generateSlug } from '../utils/slugGenerator.js';
+import { findOrCreateAgentNode } from '../services/agentNodeService.js';
+import { redactTrackData } from '../services/redactionService.js';
+import { trackWorkflow } from '../services/bulkTrackService.js';
+import { queueTrajectoryEvaluation } from '../services/trajectoryEvaluationService.js';
 import {
-  findOrCreateAgentNode,
-  repositionAgentNodes,
-} from '../services/agentNodeService.js';
+  extractTraceContext,
+  generateTraceId,
+  generateSpanId,
+  formatTraceparent,
+} from '../utils/traceContext.js';
 
 const {
   Model,
@@ -32,37 +38,6 @@ export const bulkTrack = async (req, res) => {
       return res.status(401).json({ error: 'Invalid token' });
     }
     const { environment, company } = companyAuth;
-    const sessionId = req.body.sessionId;
-    let agentName = req.body.agentName;
-    let log = null;
-    if (sessionId) {
-      log = await AgentLog.findOne({
-        where: { sessionId },
-      });
-      if (log) {
-        const agent = await Agent.findByPk(log.agentId);
-        agentName = agent.name;
-      }
-    }
-    const agentSlug = agentName ? generateSlug(agentName) : null;
-
-   
-    let agent = await Agent.findOne({
-      where: { slug: agentSlug, companyId: company.id },
-    });
-    if (!agent) {
-      agent = await createAgentFromConfig(
-        {
-          agent: {
-            name: agentName,
-            description: 'Automatically created agent from tracking request',
-            slug: agentSlug,
-          },
-          nodes: [],
-        },
-        company.id
-      );
-    }
 
     // Only process workflowData
     if (!req.body.workflowData || !Array.isArray(req.body.workflowData)) {
@@ -70,136 +45,19 @@ export const bulkTrack = async (req, res) => {
         .status(400)
         .json({ error: 'Request body must have workflowData as an array' });
     }
-    const items = req.body.workflowData;
-    const openaiToken = req.body.openAI?.token;
-    const evaluationModel = req.body.openAI?.model;
-
-    if (!log) {
-      log = await AgentLog.create({
-        agentId: agent.id,
-        input: 'processing',
-        environment,
-        status: 'processing',
-        sessionId,
-      });
-    }
-
-    let newNodeCreated = false;
 
-    let executionId = log.dataValues.id;
-    // Process each item sequentially to preserve order
-
-    const results = [];
-    for (let itemIdx = 0; itemIdx < items.length; itemIdx++) {
-      const item = items[itemIdx];
-      try {
-        // Use item.id as the node slug
-        const nodeName = item.nodeName || item.slug;
-        let modelId = item.input?.params?.modelId || nodeName;
-        const slug = nodeName;
-        const camelCaseSlug = camelize(slug);
-        const lowerCaseSlug = slug.toLowerCase();
-        const lowerCamelSlug = camelize(lowerCaseSlug);
-
-        let model = await Model.findOne({
-          where: {
-            slug: {
-              [Op.in]: [
-                slug,
-                modelId,
-                camelCaseSlug,
-                lowerCaseSlug,
-                lowerCamelSlug,
-              ],
-            },
-          },
-        });
-
-        // For each agent, find or create the node
-        const { agentNode, newNode } = await findOrCreateAgentNode({
-          agent,
-          nodeType: item.nodeType || 'model',
-          model,
-          nodeId: modelId,
-          nodeName: model?.name || nodeName,
-          toolType: item.toolType || 'HTTP',
-          description: model?.description || 'Automatically created node',
-          agentLogId: executionId,
-          group: item.group || null,
-        });
-
-        console.log('newNode', newNode, 'agentNode', agentNode);
-
-        // check if agent node was just created
-        if (newNode) {
-          newNodeCreated = true;
-        }
-
-        if (agentNode.type === 'model') {
-          model = await Model.findOne({
-            where: {
-              id: agentNode.modelId,
-            },
-          });
-        }
-
-        // Compose track data
-        const trackData = {
-          ...item,
-          environment,
-          evaluationToken: openaiToken,
-          evaluationModel,
-          nodeName,
-          executionId,
-          slug: null,
-        };
-
-        if (item.output && Object.keys(item.output).length === 0) {
-          continue;
-        }
-
-        // Save using the same logic as track
-        const answer =
-          agentNode.type === 'tool'
-            ? await executeToolTrack(agentNode, trackData, agent)
-            : await executeTrack(model, trackData, ModelLog);
-
-        if (answer.error) {
-          results.push({ node: nodeName, error: answer.error });
-        } else {
-          results.push({
-            node: nodeName,
-            success: true,
-            modelLogId: answer.modelLogId || null,
-          });
-        }
-      } catch (err) {
-        console.log('err:', err.message);
-        results.push({ node: item.id, error: err.message });
-      }
-    }
-    await repositionAgentNodes(agent, true);
-    const agentLog = await AgentLog.findByPk(executionId);
-    if (agentLog) {
-      await agentLog.update({
-        status: 'success',
-        output: results,
-      });
-    }
-    res.status(201).json({ results });
+    const { results, executionId, traceId } = await trackWorkflow({
+      company,
+      environment,
+      body: req.body,
+      traceContext: extractTraceContext(req.headers, req.body),
+    });
+    res.status(201).json({ results, executionId, traceId });
   } catch (error) {
     res.status(400).json({ error: error.message });
   }
 };
 
-function camelize(str) {
-  return str
-    .replace(/(?:^\w|[A-Z]|\b\w)/g, function (word, index) {
-      return index === 0 ? word.toLowerCase() : word.toUpperCase();
-    })
-    .replace(/\s+/g, '');
-}
-
 export const urlsToTrack = async (req, res) => {
   try {
     const company = req.company;
@@ -250,14 +108,25 @@ export const startTrack = async (req, res) => {
       agent = await createAgentFromConfig(agentConfig, company.id);
     }
 
+    const traceContext = extractTraceContext(req.headers, req.body);
     const agentLog = await AgentLog.create({
       agentId: agent.id,
       input: 'processing',
       environment,
       status: 'processing',
+      traceId: traceContext.traceId || generateTraceId(),
+      metadata: traceContext.traceState
+        ? { traceState: traceContext.traceState }
+        : null,
     });
 
-    res.status(201).json({ executionId: agentLog.id });
+    // The execution's root span, so nodes tracked with this traceparent nest under it
+    const rootSpanId = traceContext.spanId || generateSpanId();
+    res.status(201).json({
+      executionId: agentLog.id,
+      traceId: agentLog.traceId,
+      traceparent: formatTraceparent(agentLog.traceId, rootSpanId),
+    });
   } catch (error) {
     res.status(400).json({ error: error.message });
   }
@@ -278,6 +147,14 @@ export const track = async (req, res) => {
     }
     const { environment, company } = companyAuth;
 
+    // Trace IDs propagated by the caller; the Handit header can also carry the execution
+    const { executionId: headerExecutionId, ...traceIds } = extractTraceContext(
+      req.headers,
+      req.body
+    );
+    const executionId =
+      req.body.agentLogId || req.body.executionId || headerExecutionId || undefined;
+
     // Split the modelId by '-' and get the actual modelId (second part)
     const split = req.body.modelId?.split('-');
     const agentName = req.body.agentName;
@@ -329,7 +206,7 @@ export const track = async (req, res) => {
       nodeName: req.body.nodeName,
       toolType: req.body.toolType || 'TOOL',
       description: model?.description || 'Automatically created node',
-      agentLogId: req.body.agentLogId || req.body.executionId,
+      agentLogId: executionId,
     });
     if (agentNode.type === 'model') {
       model = await Model.findOne({
@@ -343,11 +220,16 @@ export const track = async (req, res) => {
       newNodeCreated = true;
     }
 
-    // Add environment to request body
-    const trackData = {
-      ...req.body,
-      environment,
-    };
+    // Add environment to request body and redact it before anything is stored
+    const trackData = await redactTrackData(
+      {
+        ...req.body,
+        ...traceIds,
+        executionId,
+        environment,
+      },
+      { companyId: company.id, agentId: agent.id }
+    );
 
     // Execute appropriate tracking based on whether it's a tool node or not
     const answer =
@@ -366,44 +248,91 @@ export const track = async (req, res) => {
 
 export const endTrack = async (req, res) => {
   try {
+    const token = req.headers.authorization?.split(' ')[1];
+    if (!token) {
+      return res.status(401).json({ error: 'No token provided' });
+    }
+    const companyAuth = await Company.validateApiToken(token);
+    if (!companyAuth) {
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+    const { environment, company } = companyAuth;
+
     const { error, stack, externalId, agentName } = req.body;
+    const traceContext = extractTraceContext(req.headers, req.body);
     let { agentLogId, executionId } = req.body;
-    if (!agentLogId && !executionId && !externalId && agentName) {
+    executionId = executionId || traceContext.executionId;
+
+    // Only executions of the company's agents can be ended with its token
+    const companyAgents = await Agent.findAll({
+      where: { companyId: company.id },
+      attributes: ['id'],
+    });
+    const agentIds = companyAgents.map((agent) => agent.id);
+
+    if (!agentLogId && !executionId && !externalId && !traceContext.traceId && agentName) {
       const agent = await Agent.findOne({
-        where: { slug: [agentName, generateSlug(agentName)] },
+        where: { slug: [agentName, generateSlug(agentName)], companyId: company.id },
       });
+      if (!agent) {
+        return res.status(404).json({ error: 'Agent not found' });
+      }
+      // The latest running execution is only a guess, which strict agents reject
+      if (agent.correlationMode === 'strict') {
+        return res.status(400).json({
+          error: 'Ambiguous execution: send executionId, a traceparent header or the x-handit-trace-context header to end it',
+        });
+      }
       const agentLog = await AgentLog.findOne({
         where: {
           agentId: agent.id,
           status: 'processing',
+          environment,
         },
         order: [['createdAt', 'DESC']],
       });
       agentLogId = agentLog?.id;
     }
 
-    // Start transaction
-
     // Find the agent log
     let agentLog = null;
     if (agentLogId) {
-      agentLog = await AgentLog.findByPk(agentLogId);
+      agentLog = await AgentLog.findOne({
+        where: { id: agentLogId, agentId: agentIds },
+      });
     }
     if (!agentLog && executionId) {
       agentLog = await AgentLog.findOne({
-        where: { id: executionId },
+        where: { id: executionId, agentId: agentIds },
       });
     }
     if (!agentLog && externalId) {
       agentLog = await AgentLog.findOne({
-        where: { externalId },
+        where: { externalId, agentId: agentIds },
+      });
+    }
+    if (!agentLog && traceContext.traceId) {
+      agentLog = await AgentLog.findOne({
+        where: { traceId: traceContext.traceId, agentId: agentIds, environment },
+        order: [['createdAt', 'DESC']],
       });
     }
-    agentLogId = agentLog.id;
 
     if (!agentLog) {
       return res.status(404).json({ error: 'Agent log not found' });
     }
+    agentLogId = agentLog.id;
+
+    let errorDetails = null;
+    if (error) {
+      const logAgent = await Agent.findByPk(agentLog.agentId, {
+        attributes: ['id', 'companyId'],
+      });
+      errorDetails = await redactTrackData(
+        { error, stack },
+        { companyId: logAgent.companyId, agentId: logAgent.id }
+      );
+    }
 
     const agentNodes = await AgentNode.findAll({
       where: {
@@ -487,12 +416,16 @@ export const endTrack = async (req, res) => {
           : 'success',
       output: finalOutput,
       duration,
-      errorDetails: error ? { message: error, stack } : null,
+      closeReason: 'ended',
+      errorDetails: errorDetails
+        ? { message: errorDetails.error, stack: errorDetails.stack }
+        : null,
       metadata: {
         ...agentLog.metadata,
         endedAt: endTime,
       },
     });
+    await queueTrajectoryEvaluation(agentLog);
 
     return res.status(200).json({
       id: agentLog.id,
@@ -0,0 +1,18 @@
+import { datasetCurationQueue } from '../services/queue.js';
+
+export const DATASET_CURATION_CRON = process.env.DATASET_CURATION_CRON || '0 * * * *';
+
+/**
+ * Schedules the repeatable run of the enabled curation rules. Bull keys
+ * repeatable jobs by their cron, so every API instance can call this.
+ */
+export const scheduleDatasetCuration = async () => {
+  await datasetCurationQueue.add(
+    {},
+    {
+      repeat: { cron: DATASET_CURATION_CRON },
+      removeOnComplete: true,
+      removeOnFail: true,
+    }
+  );
+};
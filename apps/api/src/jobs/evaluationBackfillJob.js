@@ -0,0 +1,24 @@
+import { evaluationBackfillQueue } from '../services/queue.js';
+
+export const EVALUATION_BACKFILL_JOB_ATTEMPTS = parseInt(
+  process.env.EVALUATION_BACKFILL_JOB_ATTEMPTS || '3',
+  10
+);
+
+/**
+ * Queues the run of a backfill. The job id is the backfill's, so a backfill
+ * that is already queued is not run twice; a retried run resumes after the
+ * last log it evaluated.
+ */
+export const addEvaluationBackfillJob = async (backfillId) => {
+  return evaluationBackfillQueue.add(
+    { backfillId },
+    {
+      jobId: `backfill:${backfillId}`,
+      attempts: EVALUATION_BACKFILL_JOB_ATTEMPTS,
+      backoff: { type: 'exponential', delay: 30000 },
+      removeOnComplete: true,
+      removeOnFail: true,
+    }
+  );
+};
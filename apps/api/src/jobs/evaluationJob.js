@@ -0,0 +1,68 @@
+import { evaluationQueue } from '../services/queue.js';
+
+/**
+ * Ordered stages of the model log evaluation pipeline. Each stage runs as its
+ * own job and enqueues the next one when it completes.
+ */
+export const EVALUATION_STAGES = [
+  'prepare',
+  'evaluate',
+  'optimize',
+  'abTest',
+  'metrics',
+];
+
+export const EVALUATION_JOB_ATTEMPTS = parseInt(
+  process.env.EVALUATION_JOB_ATTEMPTS || '5',
+  10
+);
+
+export const getEvaluationJobId = (modelLogId, stage) =>
+  `${modelLogId}:${stage}`;
+
+export const getNextEvaluationStage = (stage) => {
+  const index = EVALUATION_STAGES.indexOf(stage);
+  return index >= 0 ? EVALUATION_STAGES[index + 1] || null : null;
+};
+
+/**
+ * Adds a pipeline stage job. The job id is derived from the model log and the
+ * stage, so adding the same stage twice while it is queued is a no-op.
+ */
+export const addEvaluationJob = async ({ modelLogId, stage, context = {} }) => {
+  return evaluationQueue.add(
+    stage,
+    { modelLogId, context },
+    {
+      jobId: getEvaluationJobId(modelLogId, stage),
+      attempts: EVALUATION_JOB_ATTEMPTS,
+      backoff: { type: 'exponential', delay: 10000 },
+      removeOnComplete: true,
+      removeOnFail: false,
+    }
+  );
+};
+
+/**
+ * Registers a model log in the pipeline and enqueues its first stage.
+ * A model log is only ever enqueued once; use a retry to run it again.
+ */
+export const enqueueModelLogEvaluation = async (modelLog, models) => {
+  const [run, created] = await models.EvaluationPipelineRun.findOrCreate({
+    where: { modelLogId: modelLog.id },
+    defaults: {
+      modelLogId: modelLog.id,
+      status: 'pending',
+      currentStage: EVALUATION_STAGES[0],
+      stages: {},
+      context: {},
+    },
+  });
+
+  if (!created) {
+    return run;
+  }
+
+  await addEvaluationJob({ modelLogId: modelLog.id, stage: EVALUATION_STAGES[0] });
+  return run;
+};
@@ -0,0 +1,18 @@
+import { executionReaperQueue } from '../services/queue.js';
+
+export const EXECUTION_REAPER_CRON = process.env.EXECUTION_REAPER_CRON || '*/5 * * * *';
+
+/**
+ * Schedules the repeatable reaper job. Bull keys repeatable jobs by their
+ * cron, so every API instance can call this without duplicating the sweep.
+ */
+export const scheduleExecutionReaper = async () => {
+  await executionReaperQueue.add(
+    {},
+    {
+      repeat: { cron: EXECUTION_REAPER_CRON },
+      removeOnComplete: true,
+      removeOnFail: true,
+    }
+  );
+};
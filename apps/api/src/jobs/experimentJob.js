@@ -0,0 +1,23 @@
+import { experimentQueue } from '../services/queue.js';
+
+export const EXPERIMENT_JOB_ATTEMPTS = parseInt(
+  process.env.EXPERIMENT_JOB_ATTEMPTS || '3',
+  10
+);
+
+/**
+ * Queues a run of an experiment. The job id is the experiment's, so running
+ * an experiment that is already queued is a no-op.
+ */
+export const addExperimentJob = async (experimentId) => {
+  return experimentQueue.add(
+    { experimentId },
+    {
+      jobId: `experiment:${experimentId}`,
+      attempts: EXPERIMENT_JOB_ATTEMPTS,
+      backoff: { type: 'exponential', delay: 30000 },
+      removeOnComplete: true,
+      removeOnFail: true,
+    }
+  );
+};
@@ -0,0 +1,18 @@
+import { ingestProcessorQueue } from '../services/queue.js';
+
+export const INGEST_PROCESSOR_CRON = process.env.INGEST_PROCESSOR_CRON || '* * * * *';
+
+/**
+ * Schedules the repeatable ingest processor job. Bull keys repeatable jobs by
+ * their cron, so every API instance can call this without duplicating runs.
+ */
+export const scheduleIngestProcessor = async () => {
+  await ingestProcessorQueue.add(
+    {},
+    {
+      repeat: { cron: INGEST_PROCESSOR_CRON },
+      removeOnComplete: true,
+      removeOnFail: true,
+    }
+  );
+};
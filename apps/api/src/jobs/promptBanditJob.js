@@ -0,0 +1,18 @@
+import { promptBanditQueue } from '../services/queue.js';
+
+export const PROMPT_BANDIT_CRON = process.env.BANDIT_CRON || '*/15 * * * *';
+
+/**
+ * Schedules the repeatable bandit update. Bull keys repeatable jobs by their
+ * cron, so every API instance can call this without duplicating it.
+ */
+export const schedulePromptBandit = async () => {
+  await promptBanditQueue.add(
+    {},
+    {
+      repeat: { cron: PROMPT_BANDIT_CRON },
+      removeOnComplete: true,
+      removeOnFail: true,
+    }
+  );
+};
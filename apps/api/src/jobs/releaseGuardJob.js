@@ -0,0 +1,18 @@
+import { releaseGuardQueue } from '../services/queue.js';
+
+export const RELEASE_GUARD_CRON = process.env.RELEASE_GUARD_CRON || '*/10 * * * *';
+
+/**
+ * Schedules the repeatable release guard check. Bull keys repeatable jobs by
+ * their cron, so every API instance can call this without duplicating it.
+ */
+export const scheduleReleaseGuard = async () => {
+  await releaseGuardQueue.add(
+    {},
+    {
+      repeat: { cron: RELEASE_GUARD_CRON },
+      removeOnComplete: true,
+      removeOnFail: true,
+    }
+  );
+};
@@ -0,0 +1,23 @@
+import { trajectoryEvaluationQueue } from '../services/queue.js';
+
+export const TRAJECTORY_EVALUATION_JOB_ATTEMPTS = parseInt(
+  process.env.TRAJECTORY_EVALUATION_JOB_ATTEMPTS || '3',
+  10
+);
+
+/**
+ * Queues the trajectory evaluation of an execution. The job id is the
+ * execution's, so an execution that is already queued is not judged twice.
+ */
+export const addTrajectoryEvaluationJob = async (agentLogId) => {
+  return trajectoryEvaluationQueue.add(
+    { agentLogId },
+    {
+      jobId: `trajectory:${agentLogId}`,
+      attempts: TRAJECTORY_EVALUATION_JOB_ATTEMPTS,
+      backoff: { type: 'exponential', delay: 30000 },
+      removeOnComplete: true,
+      removeOnFail: true,
+    }
+  );
+};
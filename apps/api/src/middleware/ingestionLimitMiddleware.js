@@ -0,0 +1,142 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import db from '../../models/index.js';
+import { redisService } from '../services/redisService.js';
+import {
+  checkEventQuota,
+  consumeEventQuota,
+  consumeRateLimit,
+  quotaExceededBody,
+} from '../services/ingestionLimitService.js';
+
+const { Company, User } = db;
+
+// Seconds a token's company is cached for, so a revoked token is
+// throttled as its company for at most this long
+const AUTH_CACHE_TTL = parseInt(process.env.INGESTION_AUTH_CACHE_TTL_SECONDS || '60', 10);
+
+/**
+ * Company and environment a token ingests for. An API token maps to its
+ * company and environment; a dashboard session JWT to the user's company, as
+ * production. Cached with the seconds the cache entry may live for, which
+ * never outlast the JWT
+ */
+const lookupIngestionAuth = async (token) => {
+  let decoded = null;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch {
+    // Not a JWT, so an API token
+  }
+
+  if (decoded) {
+    const user = await User.findByPk(decoded.userId, { attributes: ['id', 'companyId'] });
+    const ttl = decoded.exp
+      ? Math.min(AUTH_CACHE_TTL, decoded.exp - Math.floor(Date.now() / 1000))
+      : AUTH_CACHE_TTL;
+    return {
+      auth: user?.companyId ? { companyId: user.companyId, environment: 'production' } : null,
+      ttl,
+    };
+  }
+
+  const companyAuth = await Company.validateApiToken(token);
+  return {
+    auth: companyAuth ? { companyId: companyAuth.company.id, environment: companyAuth.environment } : null,
+    ttl: AUTH_CACHE_TTL,
+  };
+};
+
+/**
+ * Company and environment a token ingests for, or null when it belongs to
+ * none. Both outcomes are cached in Redis briefly, keyed by a hash of the
+ * token, so calls with the same token do not each reach the database
+ */
+const resolveIngestionAuth = async (token) => {
+  const cacheKey = `ingestion:auth:${crypto.createHash('sha256').update(token).digest('hex')}`;
+  const cached = await redisService.get(cacheKey);
+  if (cached) {
+    return cached.companyId ? cached : null;
+  }
+
+  const { auth, ttl } = await lookupIngestionAuth(token);
+  if (ttl > 0) {
+    await redisService.set(cacheKey, auth || { companyId: null }, ttl);
+  }
+  return auth;
+};
+
+/**
+ * Events a track call records: every node of a bulk call, one node for
+ * POST /api/track, none for /start and /end
+ */
+const countTrackEvents = (req) => {
+  if (req.path === '/bulk') {
+    return Array.isArray(req.body?.workflowData) ? req.body.workflowData.length : 0;
+  }
+  return req.path === '/' ? 1 : 0;
+};
+
+const rejectOverQuota = (res, quota) => {
+  res.set('Retry-After', String(quota.retryAfter));
+  return res.status(429).json(quotaExceededBody(quota));
+};
+
+/**
+ * Per company and environment token-bucket rate limit, and a check that the
+ * daily and monthly event quotas are not used up. Mounted ahead of the body
+ * parsers, so a throttled call is turned away before its body is read; the
+ * events themselves are counted once the body is parsed. API tokens and
+ * dashboard session JWTs are both throttled; calls with a missing or invalid
+ * token are left to the controller to reject.
+ */
+export const enforceIngestionLimits = async (req, res, next) => {
+  try {
+    // /api/ingest/events also takes the bare token
+    const [scheme, credentials] = (req.headers.authorization || '').split(' ');
+    const token = credentials ?? scheme;
+    const auth = token ? await resolveIngestionAuth(token) : null;
+    if (!auth) {
+      return next();
+    }
+    const { companyId, environment } = auth;
+
+    const rate = await consumeRateLimit(companyId, environment);
+    if (!rate.allowed) {
+      res.set('Retry-After', String(rate.retryAfter));
+      return res.status(429).json({ error: 'Rate limit exceeded', retryAfter: rate.retryAfter });
+    }
+
+    const quota = await checkEventQuota(companyId, environment);
+    if (!quota.allowed) {
+      return rejectOverQuota(res, quota);
+    }
+    req.ingestionLimits = { companyId, environment };
+    next();
+  } catch (error) {
+    // Limits must never make tracking unavailable
+    console.error('Error applying ingestion limits:', error);
+    next();
+  }
+};
+
+/**
+ * Counts the events of a parsed track call against the quotas set up by
+ * enforceIngestionLimits
+ */
+export const enforceTrackEventQuota = async (req, res, next) => {
+  if (!req.ingestionLimits) {
+    return next();
+  }
+  try {
+    const { companyId, environment } = req.ingestionLimits;
+    const quota = await consumeEventQuota(companyId, environment, countTrackEvents(req));
+    if (!quota.allowed) {
+      return rejectOverQuota(res, quota);
+    }
+    next();
+  } catch (error) {
+    console.error('Error applying ingestion limits:', error);
+    next();
+  }
+};
@@ -7,6 +7,7 @@ import {
   getMetricsFullDate,
   getOptimizedModel,
   getReferenceLines,
+  getABSignificanceById,
 } from '../controllers/abTestController.js';
 
 const router = express.Router();
@@ -18,4 +19,5 @@ router.get('/model/:id/prompts', getABPrompts);
 router.get('/model/:id/metrics-full-date', getMetricsFullDate);
 router.get('/model/:id/optimized', getOptimizedModel);
 router.get('/model/:id/reference-lines', getReferenceLines);
+router.get('/model/:id/significance', getABSignificanceById);
 export default router;
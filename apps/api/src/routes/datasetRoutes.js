@@ -1,4 +1,5 @@
 import express from 'express';
+import multer from 'multer';
 import {
   createDataset,
   getMyDatasets,
@@ -9,8 +10,47 @@ import {
   updateDataset,
   deleteDataset,
 } from '../controllers/datasetController.js';
+import {
+  loadDataset,
+  getDatasetItems,
+  createDatasetItems,
+  updateDatasetItem,
+  deleteDatasetItem,
+  importItems,
+  exportItems,
+  assignSplits,
+  getDatasetVersions,
+  createVersion,
+  getDatasetVersion,
+} from '../controllers/datasetItemController.js';
+import {
+  addItemsFromLogs,
+  getCurationRules,
+  createCurationRule,
+  updateCurationRule,
+  deleteCurationRule,
+  runRule,
+} from '../controllers/datasetCurationController.js';
 
 const router = express.Router();
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 50 * 1024 * 1024 } });
+
+router.get('/:id/items', loadDataset, getDatasetItems);
+router.post('/:id/items', loadDataset, createDatasetItems);
+router.post('/:id/items/import', upload.single('file'), loadDataset, importItems);
+router.get('/:id/items/export', loadDataset, exportItems);
+router.post('/:id/items/from-logs', loadDataset, addItemsFromLogs);
+router.put('/:id/items/:itemId', loadDataset, updateDatasetItem);
+router.delete('/:id/items/:itemId', loadDataset, deleteDatasetItem);
+router.post('/:id/splits', loadDataset, assignSplits);
+router.get('/:id/versions', loadDataset, getDatasetVersions);
+router.post('/:id/versions', loadDataset, createVersion);
+router.get('/:id/versions/:version', loadDataset, getDatasetVersion);
+router.get('/:id/curation-rules', loadDataset, getCurationRules);
+router.post('/:id/curation-rules', loadDataset, createCurationRule);
+router.put('/:id/curation-rules/:ruleId', loadDataset, updateCurationRule);
+router.delete('/:id/curation-rules/:ruleId', loadDataset, deleteCurationRule);
+router.post('/:id/curation-rules/:ruleId/run', loadDataset, runRule);
 router.post('/', createDataset);
 router.get('/me', getMyDatasets);
 router.get('/by-group/:id', getDatasetsByGroupId);
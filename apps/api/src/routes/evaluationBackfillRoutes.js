@@ -0,0 +1,20 @@
+import express from 'express';
+import {
+  getEvaluationBackfills,
+  estimateEvaluationBackfill,
+  createEvaluationBackfill,
+  getEvaluationBackfill,
+  cancelEvaluationBackfill,
+  getEvaluationBackfillMetrics,
+} from '../controllers/evaluationBackfillController.js';
+
+const router = express.Router();
+
+router.get('/', getEvaluationBackfills);
+router.post('/estimate', estimateEvaluationBackfill);
+router.post('/', createEvaluationBackfill);
+router.get('/:id', getEvaluationBackfill);
+router.post('/:id/cancel', cancelEvaluationBackfill);
+router.get('/:id/metrics', getEvaluationBackfillMetrics);
+
+export default router;
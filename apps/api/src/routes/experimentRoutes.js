@@ -0,0 +1,18 @@
+import express from 'express';
+import {
+  getExperiments,
+  createExperiment,
+  getExperiment,
+  runExperiment,
+  deleteExperiment,
+} from '../controllers/experimentController.js';
+
+const router = express.Router();
+
+router.get('/', getExperiments);
+router.post('/', createExperiment);
+router.get('/:id', getExperiment);
+router.post('/:id/run', runExperiment);
+router.delete('/:id', deleteExperiment);
+
+export default router;
@@ -1,43 +1,32 @@
 import express from 'express';
-import crypto from 'crypto';
-import { Storage } from '@google-cloud/storage';
+import { getIngestStorage } from '../services/ingestStorage.js';
+import { ingestObjectName } from '../services/ingestProcessorService.js';
 
 const router = express.Router();
 
-const storage = new Storage();
-const BUCKET = process.env.LOGS_BUCKET || '';
-
-// Public endpoint: ultra-fast ingest — streams request body directly to GCS
+// Public endpoint: ultra-fast ingest — streams request body directly to storage.
+// The ingest processor replays the stored events later.
 router.post('/events', async (req, res) => {
-  if (!BUCKET) {
-    return res.status(500).json({ ok: false, error: 'LOGS_BUCKET not configured' });
-  }
-
   try {
+    const storage = getIngestStorage();
+    if (!storage) {
+      return res.status(500).json({ ok: false, error: 'LOGS_BUCKET not configured' });
+    }
+
     // Extract auth token (Bearer or raw). Use a short hash for partitioning to avoid storing raw secrets
     const authHeader = (req.headers['authorization'] || '').toString();
     const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : authHeader;
     const tokenHash = token ? token : 'anon';
 
-    const objectName = `ingest/auth=${tokenHash}/${Date.now()}_${crypto.randomUUID()}.jsonl.gz`;
-
-    const bucket = storage.bucket(BUCKET);
-    const file = bucket.file(objectName);
+    // The token is encoded so it can never add path segments to the object name
+    const objectName = ingestObjectName(tokenHash);
 
-    const writeStream = file.createWriteStream({
-      resumable: true,
-      contentType: 'application/x-ndjson',
-      metadata: {
-        contentEncoding: 'gzip',
-        metadata: { tokenHash },
-      },
-      ifGenerationMatch: 0,
-    });
+    const writeStream = storage.createWriteStream(objectName, { tokenHash });
 
     req.on('aborted', () => writeStream.destroy(new Error('client aborted')));
 
     writeStream.on('error', (err) => {
-      console.error('GCS write error:', err);
+      console.error('Ingest write error:', err);
       if (!res.headersSent) res.status(500).json({ ok: false, error: 'upload failed' });
     });
 
@@ -50,7 +39,7 @@ router.post('/events', async (req, res) => {
       }
     });
 
-    // Stream request body directly to GCS (supports large payloads efficiently)
+    // Stream request body directly to storage (supports large payloads efficiently)
     req.pipe(writeStream);
   } catch (error) {
     console.error('Error handling ingest event:', error);
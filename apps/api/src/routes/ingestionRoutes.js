@@ -0,0 +1,8 @@
+import express from 'express';
+import { getIngestionUsage } from '../controllers/ingestionController.js';
+
+const router = express.Router();
+
+router.get('/usage', getIngestionUsage);
+
+export default router;
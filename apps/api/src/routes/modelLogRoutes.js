@@ -7,7 +7,10 @@ import {
   deleteModelLog,
   getMineModelLogs,
   countMineModelLogs,
-  getRandomModelLogAssociatedToModel
+  getRandomModelLogAssociatedToModel,
+  getModelLogEvaluationStatus,
+  retryModelLogEvaluation,
+  getEvaluationQueueOverview,
 } from '../controllers/modelLogController.js';
 
 const router = express.Router();
@@ -17,6 +20,9 @@ router.post('/', createModelLog);
 router.get('/', getAllModelLogs);
 router.get('/me', getMineModelLogs);
 router.get('/count/me', countMineModelLogs);
+router.get('/evaluation-queue/status', getEvaluationQueueOverview);
+router.get('/:id/evaluation', getModelLogEvaluationStatus);
+router.post('/:id/evaluation/retry', retryModelLogEvaluation);
 router.get('/:id', getModelLogById);
 router.put('/:id', updateModelLog);
 router.delete('/:id', deleteModelLog);
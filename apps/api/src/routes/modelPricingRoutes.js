@@ -0,0 +1,17 @@
+import express from 'express';
+import {
+  getModelPricing,
+  createModelPricing,
+  updateModelPricing,
+  deleteModelPricing,
+} from '../controllers/modelPricingController.js';
+
+const router = express.Router();
+
+// Default catalog plus the company's custom entries
+router.get('/', getModelPricing);
+router.post('/', createModelPricing);
+router.put('/:id', updateModelPricing);
+router.delete('/:id', deleteModelPricing);
+
+export default router;
@@ -1,10 +1,11 @@
 import express from 'express';
-import { getNodeMetricsController, getOptimizedNodeMetricsController, getNodeInsightsController } from '../controllers/nodeMetricsController.js';
+import { getNodeMetricsController, getOptimizedNodeMetricsController, getNodeInsightsController, getNodeCostsController } from '../controllers/nodeMetricsController.js';
 
 const router = express.Router();
 
 router.post('/', getNodeMetricsController);
 router.post('/optimized', getOptimizedNodeMetricsController);
 router.post('/insights', getNodeInsightsController);
+router.post('/costs', getNodeCostsController);
 
 export default router; 
\ No newline at end of file
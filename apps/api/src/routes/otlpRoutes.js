@@ -0,0 +1,7 @@
+import express from 'express';
+import { exportTraces } from '../controllers/otlpController.js';
+
+const router = express.Router();
+router.post('/v1/traces', exportTraces);
+
+export default router;
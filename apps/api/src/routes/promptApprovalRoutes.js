@@ -0,0 +1,16 @@
+import express from 'express';
+import {
+  getApprovalPolicies,
+  getApprovalPolicyChanges,
+  upsertApprovalPolicy,
+  deleteApprovalPolicy,
+} from '../controllers/promptApprovalController.js';
+
+const router = express.Router();
+
+router.get('/policies', getApprovalPolicies);
+router.get('/policies/changes', getApprovalPolicyChanges);
+router.put('/policies', upsertApprovalPolicy);
+router.delete('/policies/:id', deleteApprovalPolicy);
+
+export default router;
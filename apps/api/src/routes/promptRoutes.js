@@ -2,8 +2,10 @@ import express from 'express';
 import {
   getActivePrompt,
 } from '../controllers/performanceController.js';
+import { servePromptForNode } from '../controllers/promptServingController.js';
 
 const router = express.Router();
 
 router.get('/:agentSlug/active', getActivePrompt);
+router.get('/:agentSlug/nodes/:nodeSlug', servePromptForNode);
 export default router;
\ No newline at end of file
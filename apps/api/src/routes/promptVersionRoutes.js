@@ -15,7 +15,23 @@ import {
   getAgentByIdFunction,
   getModelOptimizationStatus,
   optimizePromptFromError,
+  getDeployHistory,
+  rollbackPrompt,
+  updateReleaseGuard,
 } from '../controllers/promptVersionController.js';
+import {
+  getTrafficAllocation,
+  updateTrafficAllocation,
+  getTrafficHistory,
+  getPromptBandit,
+  updatePromptBanditSettings,
+} from '../controllers/promptServingController.js';
+import {
+  getPromptVersionReview,
+  submitPromptVersion,
+  reviewPromptVersion,
+  retirePromptVersion,
+} from '../controllers/promptApprovalController.js';
 
 /**
  * @route   GET /model/:modelId/prompt/:version/metrics
@@ -77,6 +93,104 @@ router.get('/model/:modelId/prompt/active', getActivePrompt);
  */
 router.post('/model/:modelId/prompt/:version/release/:originalModelId', releasePrompt);
 
+/**
+ * @route   GET /model/:modelId/prompt/:version/reviews
+ * @desc    A version's state, reviews, state transitions and where its approval stands
+ * @params  modelId (path) - ID of the model
+ * @params  version (path) - Version identifier string
+ * @returns { status, policy, approval, reviews, transitions }
+ */
+router.get('/model/:modelId/prompt/:version/reviews', getPromptVersionReview);
+
+/**
+ * @route   POST /model/:modelId/prompt/:version/submit
+ * @desc    Send a draft version to review
+ * @body    { comment?: string }
+ */
+router.post('/model/:modelId/prompt/:version/submit', submitPromptVersion);
+
+/**
+ * @route   POST /model/:modelId/prompt/:version/reviews
+ * @desc    Comment on a version, approve it or request changes
+ * @body    { decision: 'comment' | 'approve' | 'request_changes', comment?: string }
+ */
+router.post('/model/:modelId/prompt/:version/reviews', reviewPromptVersion);
+
+/**
+ * @route   POST /model/:modelId/prompt/:version/retire
+ * @desc    Retire a version that is not live
+ * @body    { reason?: string }
+ */
+router.post('/model/:modelId/prompt/:version/retire', retirePromptVersion);
+
+/**
+ * @route   GET /model/:modelId/deploys
+ * @desc    Releases and rollbacks of a model, newest first, with their guard status
+ * @params  modelId (path) - ID of the model (agent node)
+ * @returns { releaseGuard, deploys }
+ */
+router.get('/model/:modelId/deploys', getDeployHistory);
+
+/**
+ * @route   POST /model/:modelId/rollback
+ * @desc    Reactivate the version a release replaced
+ * @params  modelId (path) - ID of the model (agent node)
+ * @body    { deployId?: number, reason?: string } - Defaults to the latest release
+ * @returns The rollback's deploy history record
+ */
+router.post('/model/:modelId/rollback', rollbackPrompt);
+
+/**
+ * @route   PUT /model/:modelId/release-guard
+ * @desc    Override the thresholds that roll back a release automatically
+ * @params  modelId (path) - ID of the model (agent node)
+ * @body    { releaseGuard: { enabled?, windowHours?, minEntries?, maxScoreDrop?, maxErrorRateIncrease? } | null }
+ * @returns The model's release guard settings
+ */
+router.put('/model/:modelId/release-guard', updateReleaseGuard);
+
+/**
+ * @route   GET /model/:modelId/traffic
+ * @desc    Get the prompt versions that get served traffic and their weights
+ * @params  modelId (path) - ID of the model
+ * @returns [{ versionId, modelId, version, key, weight, updatedAt }]
+ */
+router.get('/model/:modelId/traffic', getTrafficAllocation);
+
+/**
+ * @route   PUT /model/:modelId/traffic
+ * @desc    Split served traffic between prompt versions, e.g. a 5% canary
+ * @params  modelId (path) - ID of the model
+ * @body    { allocations: [{ promptVersionId: number, weight: number }] } - Weights add up to 100
+ * @returns The versions that get traffic and their weights
+ */
+router.put('/model/:modelId/traffic', updateTrafficAllocation);
+
+/**
+ * @route   GET /model/:modelId/traffic/history
+ * @desc    Get the audit trail of traffic split changes, oldest first
+ * @params  modelId (path) - ID of the model
+ * @returns [{ id, source, algorithm, allocations: [{ promptVersionId, weight, successes?, trials? }], userId, createdAt }]
+ */
+router.get('/model/:modelId/traffic/history', getTrafficHistory);
+
+/**
+ * @route   GET /model/:modelId/bandit
+ * @desc    Get the bandit settings and the outcomes of the versions it splits traffic between
+ * @params  modelId (path) - ID of the model
+ * @returns { config, arms: [{ promptVersionId, modelId, version, weight, successes, trials, accuracy }] }
+ */
+router.get('/model/:modelId/bandit', getPromptBandit);
+
+/**
+ * @route   PUT /model/:modelId/bandit
+ * @desc    Turn the bandit on or off or change its settings; turning it on splits traffic right away
+ * @params  modelId (path) - ID of the model
+ * @body    { promptBandit: { enabled?, algorithm?: 'thompson' | 'ucb', promptVersionIds?, explorationFloor?, lookbackDays? } }
+ * @returns { config, arms }
+ */
+router.put('/model/:modelId/bandit', updatePromptBanditSettings);
+
 /**
  * @route   GET /prompts
  * @desc    Retrieve all prompt versions grouping them by modelID
@@ -0,0 +1,18 @@
+import express from 'express';
+import {
+  getRedactionPolicies,
+  upsertRedactionPolicy,
+  deleteRedactionPolicy,
+  previewRedactionPolicy,
+  detokenize,
+} from '../controllers/redactionController.js';
+
+const router = express.Router();
+
+router.get('/policies', getRedactionPolicies);
+router.put('/policies', upsertRedactionPolicy);
+router.delete('/policies/:id', deleteRedactionPolicy);
+router.post('/preview', previewRedactionPolicy);
+router.post('/detokenize', detokenize);
+
+export default router;
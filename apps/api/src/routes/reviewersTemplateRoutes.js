@@ -9,10 +9,20 @@ import {
   updateAssociation,
   deleteAssociation,
   getEvaluationPromptStats,
+  getEvaluatorCalibration,
+  getEvaluationPromptVersions,
+  getEvaluationPromptVersionDiff,
+  getEvaluationPromptVersionMetrics,
+  testFunctionEvaluatorBody,
+  testEvaluationPrompt,
 } from '../controllers/reviewersTemplateController.js';
 
 // Create a new evaluation prompt (template)
 router.post('/evaluation-prompts', createEvaluationPrompt);
+// Test an unsaved function evaluator body against a sample entry
+router.post('/evaluation-prompts/test-function', testFunctionEvaluatorBody);
+// Test a saved function evaluator against a sample entry
+router.post('/evaluation-prompts/:id/test', testEvaluationPrompt);
 // Update an evaluation prompt
 router.put('/evaluation-prompts/:id', updateEvaluationPrompt);
 // Get all evaluation prompts (company + global)
@@ -27,5 +37,11 @@ router.put('/evaluation-prompts/associations/:id', updateAssociation);
 router.delete('/evaluation-prompts/associations/:id', deleteAssociation);
 // Evaluator statistics endpoint
 router.get('/evaluation-prompts/stats', getEvaluationPromptStats);
+// Agreement of each evaluator with human verdicts
+router.get('/evaluation-prompts/calibration', getEvaluatorCalibration);
+// Versions of an evaluator, the diff between two of them and scores per version
+router.get('/evaluation-prompts/:id/versions', getEvaluationPromptVersions);
+router.get('/evaluation-prompts/:id/versions/diff', getEvaluationPromptVersionDiff);
+router.get('/evaluation-prompts/:id/version-metrics', getEvaluationPromptVersionMetrics);
 
 export default router; 
\ No newline at end of file
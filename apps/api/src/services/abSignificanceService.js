@@ -0,0 +1,347 @@
+import { QueryTypes } from 'sequelize';
+import db from '../../models/index.js';
+
+const { ABTestModels } = db;
+
+// Defaults of the comparison: two-sided confidence, power to detect the minimum effect,
+// and the smallest absolute accuracy change worth detecting
+const AB_TEST_CONFIDENCE = parseFloat(process.env.AB_TEST_CONFIDENCE || '0.95');
+const AB_TEST_POWER = parseFloat(process.env.AB_TEST_POWER || '0.8');
+const AB_TEST_MINIMUM_EFFECT = parseFloat(process.env.AB_TEST_MINIMUM_EFFECT || '0.05');
+// Judged entries each side needs before any verdict
+const AB_TEST_MIN_TRIALS = parseInt(process.env.AB_TEST_MIN_TRIALS || '30', 10);
+
+/**
+ * Standard normal CDF (Abramowitz and Stegun 7.1.26, error below 1.5e-7)
+ */
+export const normalCdf = (z) => {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf =
+    1 - ((((1.061405429 * t - 1.453152027) * t + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+/**
+ * Standard normal quantile (Acklam's rational approximation)
+ */
+export const normalQuantile = (p) => {
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const low = 0.02425;
+
+  if (p < low) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - low) {
+    return -normalQuantile(1 - p);
+  }
+  const q = p - 0.5;
+  const r = q * q;
+  return (
+    ((((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q) /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1)
+  );
+};
+
+/**
+ * Wilson score interval of a success rate, which stays inside [0, 1] and
+ * behaves with few trials
+ * @returns {Array<number>|null} [lower, upper], or null without trials
+ */
+export const wilsonInterval = (successes, trials, confidence = AB_TEST_CONFIDENCE) => {
+  if (!trials) {
+    return null;
+  }
+  const z = normalQuantile(1 - (1 - confidence) / 2);
+  const rate = successes / trials;
+  const denominator = 1 + (z * z) / trials;
+  const center = (rate + (z * z) / (2 * trials)) / denominator;
+  const margin = (z * Math.sqrt((rate * (1 - rate)) / trials + (z * z) / (4 * trials * trials))) / denominator;
+  return [Math.max(0, center - margin), Math.min(1, center + margin)];
+};
+
+/**
+ * Two-proportion z-test of the variant's success rate against the original's
+ * @returns {Object} { difference, interval, zScore, pValue }
+ */
+export const twoProportionTest = (original, variant, confidence = AB_TEST_CONFIDENCE) => {
+  const rateA = original.successes / original.trials;
+  const rateB = variant.successes / variant.trials;
+  const pooled = (original.successes + variant.successes) / (original.trials + variant.trials);
+  const pooledError = Math.sqrt(pooled * (1 - pooled) * (1 / original.trials + 1 / variant.trials));
+  const unpooledError = Math.sqrt((rateA * (1 - rateA)) / original.trials + (rateB * (1 - rateB)) / variant.trials);
+  const difference = rateB - rateA;
+  const z = normalQuantile(1 - (1 - confidence) / 2);
+  const zScore = pooledError ? difference / pooledError : 0;
+
+  return {
+    difference,
+    interval: [difference - z * unpooledError, difference + z * unpooledError],
+    zScore,
+    pValue: pooledError ? 2 * (1 - normalCdf(Math.abs(zScore))) : 1,
+  };
+};
+
+/**
+ * Beta(1, 1) prior posteriors of both success rates and the probability
+ * that the variant's is higher, with a normal approximation of their difference
+ * @returns {Object} { original: { alpha, beta, mean }, variant, probabilityVariantBetter, expectedDifference, interval }
+ */
+export const bayesianComparison = (original, variant, confidence = AB_TEST_CONFIDENCE) => {
+  const posterior = ({ successes, trials }) => {
+    const alpha = successes + 1;
+    const beta = trials - successes + 1;
+    const total = alpha + beta;
+    return {
+      alpha,
+      beta,
+      mean: alpha / total,
+      variance: (alpha * beta) / (total * total * (total + 1)),
+    };
+  };
+  const a = posterior(original);
+  const b = posterior(variant);
+  const expectedDifference = b.mean - a.mean;
+  const deviation = Math.sqrt(a.variance + b.variance);
+  const z = normalQuantile(1 - (1 - confidence) / 2);
+
+  return {
+    original: { alpha: a.alpha, beta: a.beta, mean: a.mean },
+    variant: { alpha: b.alpha, beta: b.beta, mean: b.mean },
+    probabilityVariantBetter: normalCdf(expectedDifference / deviation),
+    expectedDifference,
+    interval: [expectedDifference - z * deviation, expectedDifference + z * deviation],
+  };
+};
+
+/**
+ * Entries each side needs to detect an absolute change of minimumEffect from
+ * the baseline rate with the given power
+ */
+export const requiredSampleSize = (
+  baselineRate,
+  minimumEffect = AB_TEST_MINIMUM_EFFECT,
+  confidence = AB_TEST_CONFIDENCE,
+  power = AB_TEST_POWER
+) => {
+  const p1 = Math.min(Math.max(baselineRate, 0.01), 0.99);
+  const p2 = p1 + minimumEffect <= 0.99 ? p1 + minimumEffect : p1 - minimumEffect;
+  const pooled = (p1 + p2) / 2;
+  const zAlpha = normalQuantile(1 - (1 - confidence) / 2);
+  const zPower = normalQuantile(power);
+  const numerator =
+    zAlpha * Math.sqrt(2 * pooled * (1 - pooled)) + zPower * Math.sqrt(p1 * (1 - p1) + p2 * (1 - p2));
+  return Math.ceil((numerator * numerator) / (minimumEffect * minimumEffect));
+};
+
+/**
+ * Smallest absolute change in success rate the current entries can detect
+ * with the given power
+ */
+export const minimumDetectableEffect = (original, variant, confidence = AB_TEST_CONFIDENCE, power = AB_TEST_POWER) => {
+  const rate = (original.successes + variant.successes) / (original.trials + variant.trials);
+  const zAlpha = normalQuantile(1 - (1 - confidence) / 2);
+  const zPower = normalQuantile(power);
+  return (zAlpha + zPower) * Math.sqrt(Math.max(rate * (1 - rate), 0.01) * (1 / original.trials + 1 / variant.trials));
+};
+
+/**
+ * Always-valid p-value of a mixture sequential probability ratio test
+ * (mSPRT) on the difference in success rates. It is computed on the
+ * cumulative entries after every day, and stays valid however often the
+ * comparison is looked at.
+ * @param {Array<Object>} steps - Cumulative [{ original: { successes, trials }, variant }] in time order
+ * @param {number} minimumEffect - Standard deviation of the normal mixture over effects
+ * @returns {number} The p-value
+ */
+export const sequentialPValue = (steps, minimumEffect = AB_TEST_MINIMUM_EFFECT) => {
+  const mixture = minimumEffect * minimumEffect;
+  let pValue = 1;
+  for (const { original, variant } of steps) {
+    if (!original.trials || !variant.trials) {
+      continue;
+    }
+    // Smoothed rates keep the variance positive when a side is all successes or failures
+    const rateA = (original.successes + 0.5) / (original.trials + 1);
+    const rateB = (variant.successes + 0.5) / (variant.trials + 1);
+    const variance = (rateA * (1 - rateA)) / original.trials + (rateB * (1 - rateB)) / variant.trials;
+    const difference = variant.successes / variant.trials - original.successes / original.trials;
+    const likelihoodRatio =
+      Math.sqrt(variance / (variance + mixture)) *
+      Math.exp((difference * difference * mixture) / (2 * variance * (variance + mixture)));
+    pValue = Math.min(pValue, 1 / likelihoodRatio);
+  }
+  return pValue;
+};
+
+/**
+ * Daily judged production entries and correct ones of models since a date.
+ * Entries that ran a served prompt version count for the model that owns
+ * the version, so served A/B variants count where they were assigned.
+ * @returns {Promise<Map<number, Array<Object>>>} Per model, [{ day, successes, trials }] in time order
+ */
+const getDailyOutcomes = async (modelIds, since) => {
+  const rows = await db.sequelize.query(
+    `
+    SELECT
+      COALESCE(mv.model_id, ml.model_id) AS "modelId",
+      DATE_TRUNC('day', ml.created_at) AS day,
+      COUNT(*) FILTER (WHERE ml.status = 'success') AS successes,
+      COUNT(*) AS trials
+    FROM "ModelLogs" ml
+      LEFT JOIN "ModelVersions" mv ON mv.id = ml.model_version_id
+    WHERE ml.model_id IN (:modelIds)
+      AND ml.processed = true
+      AND ml.actual IS NOT NULL
+      AND ml.status IN ('success', 'error')
+      AND ml.environment = 'production'
+      AND ml.created_at >= :since
+    GROUP BY COALESCE(mv.model_id, ml.model_id), DATE_TRUNC('day', ml.created_at)
+    ORDER BY day
+    `,
+    { replacements: { modelIds, since }, type: QueryTypes.SELECT }
+  );
+
+  const outcomes = new Map(modelIds.map((modelId) => [modelId, []]));
+  for (const row of rows) {
+    outcomes.get(row.modelId)?.push({
+      day: new Date(row.day).toISOString(),
+      successes: Number(row.successes),
+      trials: Number(row.trials),
+    });
+  }
+  return outcomes;
+};
+
+const totals = (days) =>
+  days.reduce(
+    (sum, day) => ({ successes: sum.successes + day.successes, trials: sum.trials + day.trials }),
+    { successes: 0, trials: 0 }
+  );
+
+// Cumulative entries of both sides at the end of each day either side has entries
+const cumulativeSteps = (originalDays, variantDays) => {
+  const days = [...new Set([...originalDays, ...variantDays].map((day) => day.day))].sort();
+  return days.map((day) => ({
+    original: totals(originalDays.filter((entry) => entry.day <= day)),
+    variant: totals(variantDays.filter((entry) => entry.day <= day)),
+  }));
+};
+
+/**
+ * Compares a variant's accuracy with the original's. A fixed-horizon test
+ * only decides once both sides reach the required sample size, since
+ * checking it earlier inflates false positives; a sequential test decides as
+ * soon as its always-valid p-value is below the significance level.
+ * `no_effect` means the required sample size was reached without a
+ * significant difference, so any effect is likely smaller than minimumEffect.
+ * @param {Array<Object>} originalDays - [{ day, successes, trials }] of the original
+ * @param {Array<Object>} variantDays - Same for the variant
+ * @param {Object} options - { confidence, power, minimumEffect, sequential }
+ * @returns {Object} The comparison and its verdict
+ */
+export const compareVariants = (originalDays, variantDays, options = {}) => {
+  const {
+    confidence = AB_TEST_CONFIDENCE,
+    power = AB_TEST_POWER,
+    minimumEffect = AB_TEST_MINIMUM_EFFECT,
+    sequential = false,
+  } = options;
+  const original = totals(originalDays);
+  const variant = totals(variantDays);
+  const describe = ({ successes, trials }) => ({
+    successes,
+    trials,
+    rate: trials ? successes / trials : null,
+    interval: wilsonInterval(successes, trials, confidence),
+  });
+
+  const sampleSize = requiredSampleSize(original.trials ? original.successes / original.trials : 0.5, minimumEffect, confidence, power);
+  const comparison = {
+    original: describe(original),
+    variant: describe(variant),
+    requiredSampleSize: sampleSize,
+    progress: Math.min(1, Math.min(original.trials, variant.trials) / sampleSize),
+  };
+  if (original.trials < AB_TEST_MIN_TRIALS || variant.trials < AB_TEST_MIN_TRIALS) {
+    return { ...comparison, verdict: 'not_yet', winner: null };
+  }
+
+  const test = twoProportionTest(original, variant, confidence);
+  const pValue = sequential ? sequentialPValue(cumulativeSteps(originalDays, variantDays), minimumEffect) : test.pValue;
+  const reachedSampleSize = original.trials >= sampleSize && variant.trials >= sampleSize;
+  const significant = pValue < 1 - confidence && (sequential || reachedSampleSize);
+
+  let verdict = 'not_yet';
+  if (significant) {
+    verdict = 'significant';
+  } else if (reachedSampleSize) {
+    verdict = 'no_effect';
+  }
+
+  return {
+    ...comparison,
+    difference: test.difference,
+    differenceInterval: test.interval,
+    zScore: test.zScore,
+    pValue: test.pValue,
+    sequentialPValue: sequential ? pValue : null,
+    bayesian: bayesianComparison(original, variant, confidence),
+    minimumDetectableEffect: minimumDetectableEffect(original, variant, confidence, power),
+    verdict,
+    winner: verdict === 'significant' ? (test.difference > 0 ? 'variant' : 'original') : null,
+  };
+};
+
+/**
+ * Reads comparison options from a query string
+ * @returns {Object} { options } or { error } when a value is out of range
+ */
+export const parseSignificanceOptions = (query = {}) => {
+  const options = { sequential: query.sequential === 'true' || query.sequential === true };
+  const ranges = { confidence: [0.5, 1], power: [0.5, 1], minimumEffect: [0, 1] };
+  for (const [name, [min, max]] of Object.entries(ranges)) {
+    if (query[name] === undefined) {
+      continue;
+    }
+    const value = parseFloat(query[name]);
+    if (!(value > min && value < max)) {
+      return { error: `${name} must be between ${min} and ${max}` };
+    }
+    options[name] = value;
+  }
+  return { options };
+};
+
+/**
+ * Compares every A/B variant of a model with the model since the variant's
+ * test started
+ * @param {Object} model - The original Model
+ * @param {Object} options - { confidence, power, minimumEffect, sequential }
+ * @returns {Promise<Array<Object>>} One comparison per variant, the principal one first
+ */
+export const getABSignificance = async (model, options = {}) => {
+  const abTests = await ABTestModels.findAll({
+    where: { modelId: model.id },
+    order: [['principal', 'DESC'], ['createdAt', 'ASC']],
+  });
+
+  const comparisons = [];
+  for (const abTest of abTests) {
+    const outcomes = await getDailyOutcomes([model.id, abTest.optimizedModelId], abTest.createdAt);
+    comparisons.push({
+      abTestId: abTest.id,
+      originalModelId: model.id,
+      variantModelId: abTest.optimizedModelId,
+      principal: abTest.principal,
+      percentage: abTest.percentage,
+      since: abTest.createdAt,
+      ...compareVariants(outcomes.get(model.id), outcomes.get(abTest.optimizedModelId), options),
+    });
+  }
+  return comparisons;
+};
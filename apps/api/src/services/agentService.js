@@ -559,3 +559,120 @@ export const updateAgentEntriesCache = async (
     console.error('Error updating agent entries cache:', error);
   }
 };
+
+/**
+ * The model and tool steps of one execution, in the order they were logged.
+ * This is what the entry flow view draws and what trajectory evaluation judges.
+ * @param {number} agentId - The agent ID
+ * @param {number} agentLogId - The execution (AgentLog) ID
+ * @returns {Promise<Array>} Steps with their node, model, status, input and output
+ */
+export const getExecutionSteps = async (agentId, agentLogId) => {
+  const steps = await db.sequelize.query(
+    `
+    WITH model_logs AS (
+      SELECT 'model' as type,
+      '' as operationType,
+      '{}'::json as metadata,
+      "AgentNodes"."id" as nodeId,
+      "AgentNodes"."name" as nodeName,
+      "Models"."id" as modelId,
+      "Models"."name" as modelName,
+      "ModelLogs"."created_at" as timestamp,
+      0 as duration,
+      (Case When "ModelLogs"."status" = 'success' Then 'success' Else 'error' End)::enum_agent_node_logs_status as status,
+      "ModelLogs"."input" as input,
+      "ModelLogs"."output" as output,
+      "ModelLogs"."actual" as actual,
+      "ModelLogs"."id" as logId,
+      "AgentNodes"."mapping_node_id" as mappingNodeId,
+      "ModelLogs"."span_id" as spanId,
+      "ModelLogs"."parent_span_id" as parentSpanId,
+      "ModelLogs"."started_at" as startedAt,
+      "ModelLogs"."ended_at" as endedAt,
+      'model' as kind
+      FROM "AgentLogs"
+        INNER JOIN "ModelLogs" ON "AgentLogs"."id" = "ModelLogs"."agent_log_id"
+        INNER JOIN "Models" ON "ModelLogs"."model_id" = "Models"."id"
+        INNER JOIN "AgentNodes" ON "AgentNodes"."model_id" = "Models"."id"
+          WHERE "AgentLogs"."agent_id" = :agentId
+          AND "AgentLogs"."id" = :entryId
+          AND "AgentNodes"."deleted_at" IS NULL
+    ), tool_logs AS (
+      SELECT 'model' as type,
+      "AgentNodeLogs"."operation_type" as operationType,
+      "AgentNodeLogs"."metadata" as metadata,
+      "AgentNodes"."id" as nodeId,
+      "AgentNodes"."name" as nodeName,
+      0 as modelId,
+      '' as modelName,
+      "AgentNodeLogs"."created_at" as timestamp,
+      "AgentNodeLogs"."duration" as duration,
+      "AgentNodeLogs"."status" as status,
+      "AgentNodeLogs"."input" as input,
+      "AgentNodeLogs"."output" as output,
+      '{}'::json as actual,
+      "AgentNodeLogs"."id" as logId,
+      "AgentNodes"."mapping_node_id" as mappingNodeId,
+      "AgentNodeLogs"."span_id" as spanId,
+      "AgentNodeLogs"."parent_span_id" as parentSpanId,
+      "AgentNodeLogs"."started_at" as startedAt,
+      "AgentNodeLogs"."ended_at" as endedAt,
+      'tool' as kind
+      FROM "AgentLogs"
+      INNER JOIN "AgentNodeLogs" ON "AgentLogs"."id" = "AgentNodeLogs"."parent_log_id"
+      INNER JOIN "AgentNodes" ON "AgentNodeLogs"."agent_node_id" = "AgentNodes"."id"
+        WHERE "AgentLogs"."agent_id" = :agentId
+        AND "AgentLogs"."id" = :entryId
+        AND "AgentNodes"."deleted_at" IS NULL
+    )
+
+    SELECT 
+      type,
+      operationType,
+      metadata,
+      nodeId,
+      nodeName,
+      modelId,
+      modelName,
+      timestamp,
+      duration,
+      status,
+      input,
+      output,
+      actual,
+      logId,
+      mappingNodeId,
+      spanId,
+      parentSpanId,
+      startedAt,
+      endedAt,
+      kind
+    FROM model_logs
+    UNION ALL
+    SELECT * FROM tool_logs
+    ORDER BY timestamp ASC
+    `,
+    {
+      replacements: { agentId, entryId: agentLogId },
+    }
+  );
+
+  return steps[0].map((step) => ({
+    ...step,
+    operationType: step.operationtype || 'unknown',
+    metadata: step.metadata || '{}',
+    nodeId: step.nodeid || 'unknown',
+    nodeName: step.nodename || 'unknown',
+    modelId: step.modelid || 'unknown',
+    modelName: step.modelname || 'unknown',
+    timestamp: step.timestamp || 'unknown',
+    duration: parseInt(step.duration) || null,
+    logId: step.logid || 'unknown',
+    spanId: step.spanid || null,
+    parentSpanId: step.parentspanid || null,
+    startedAt: step.startedat || null,
+    endedAt: step.endedat || null,
+    kind: step.kind,
+  }));
+};
@@ -6,6 +6,7 @@ import Anthropic from '@anthropic-ai/sdk';
 import { z } from 'zod';
 import { zodResponseFormat } from 'openai/helpers/zod';
 import axios from 'axios';
+import { recordMonitoringUsage } from './costService.js';
 
 function zodSchemaToJson(schema) {
   if (schema instanceof z.ZodString) {
@@ -105,7 +106,7 @@ const generateOpenAIResponse = async ({ messages, responseFormat, token, model,
     model,
     messages,
     response_format: format ? format : null,
-    temperature: temperature || 0.7
+    temperature: temperature ?? 0.7
   });
   
   return completion;
@@ -114,7 +115,7 @@ const generateOpenAIResponse = async ({ messages, responseFormat, token, model,
 /**
  * Generate response using Google AI
  */
-const generateGoogleAIResponse = async ({ messages, responseFormat, token, model }) => {
+const generateGoogleAIResponse = async ({ messages, responseFormat, token, model, temperature }) => {
   const genAI = new GoogleGenAI({apiKey: token || process.env.GOOGLE_AI_API_KEY});
   
   // Convert OpenAI messages format to Google AI format
@@ -150,6 +151,9 @@ const generateGoogleAIResponse = async ({ messages, responseFormat, token, model
   
   // Build config for structured output
   const config = {};
+  if (temperature !== undefined) {
+    config.temperature = temperature;
+  }
   if (responseFormat) {
     const googleAISchema = zodSchemaToGoogleAI(responseFormat);
     config.responseMimeType = "application/json";
@@ -172,9 +176,12 @@ const generateGoogleAIResponse = async ({ messages, responseFormat, token, model
       finish_reason: 'stop'
     }],
     usage: {
-      prompt_tokens: 0, // Google AI doesn't provide token counts in the same way
-      completion_tokens: 0,
-      total_tokens: 0
+      prompt_tokens: result.usageMetadata?.promptTokenCount || 0,
+      completion_tokens: result.usageMetadata?.candidatesTokenCount || 0,
+      total_tokens: result.usageMetadata?.totalTokenCount || 0,
+      prompt_tokens_details: {
+        cached_tokens: result.usageMetadata?.cachedContentTokenCount || 0
+      }
     }
   };
 };
@@ -182,7 +189,7 @@ const generateGoogleAIResponse = async ({ messages, responseFormat, token, model
 /**
  * Generate response using Anthropic
  */
-const generateAnthropicResponse = async ({ messages, responseFormat, token, model }) => {
+const generateAnthropicResponse = async ({ messages, responseFormat, token, model, temperature }) => {
   const anthropic = new Anthropic({
     apiKey: token,
   });
@@ -210,6 +217,7 @@ const generateAnthropicResponse = async ({ messages, responseFormat, token, mode
   const response = await anthropic.messages.create({
     model: model || 'claude-3-5-sonnet-20241022',
     max_tokens: 1024,
+    ...(temperature !== undefined ? { temperature } : {}),
     messages: modifiedMessages.map(message => ({
       role: message.role === 'user' ? 'user' : 'assistant',
       content: message.content
@@ -236,7 +244,7 @@ const generateAnthropicResponse = async ({ messages, responseFormat, token, mode
 /**
  * Generate response using Together AI
  */
-const generateTogetherAIResponse = async ({ messages, responseFormat, token, model }) => {
+const generateTogetherAIResponse = async ({ messages, responseFormat, token, model, temperature }) => {
   const together = new Together({
     apiKey: token,
   });
@@ -255,6 +263,7 @@ const generateTogetherAIResponse = async ({ messages, responseFormat, token, mod
   return await together.chat.completions.create({
     model,
     messages,
+    ...(temperature !== undefined ? { temperature } : {}),
   });
 };
 
@@ -395,9 +404,10 @@ const generateAWSBedrockResponse = async ({ messages, responseFormat, tokenData,
       finish_reason: 'stop'
     }],
     usage: {
-      prompt_tokens: 0, // AWS Bedrock doesn't provide token counts in the same way
-      completion_tokens: 0,
-      total_tokens: 0
+      // Claude models on Bedrock report Anthropic-style usage; others don't report tokens
+      prompt_tokens: responseBody.usage?.input_tokens || 0,
+      completion_tokens: responseBody.usage?.output_tokens || 0,
+      total_tokens: (responseBody.usage?.input_tokens || 0) + (responseBody.usage?.output_tokens || 0)
     }
   };
 };
@@ -412,6 +422,7 @@ const generateAWSBedrockResponse = async ({ messages, responseFormat, tokenData,
  * @param {Object} params.tokenData - Token data object (for complex providers like AWS)
  * @param {Object} params.responseFormat - Zod schema for structured output
  * @param {boolean} params.isN8N - Whether this is an N8N request
+ * @param {number} [params.temperature] - Sampling temperature; providers use their default when omitted (OpenAI 0.7)
  * @returns {Promise<Object>} The generated text and metadata
  */
 export const generateAIResponse = async ({
@@ -422,7 +433,7 @@ export const generateAIResponse = async ({
   model = DEFAULT_MODEL,
   provider = 'TogetherAI',
   isN8N = false,
-  temperature = 0.7,
+  temperature,
 }) => {
   try {
     let completion;
@@ -439,15 +450,15 @@ export const generateAIResponse = async ({
         break;
         
       case 'GoogleAI':
-        completion = await generateGoogleAIResponse({ messages, responseFormat, token, model });
+        completion = await generateGoogleAIResponse({ messages, responseFormat, token, model, temperature });
         break;
         
       case 'TogetherAI':
-        completion = await generateTogetherAIResponse({ messages, responseFormat, token, model });
+        completion = await generateTogetherAIResponse({ messages, responseFormat, token, model, temperature });
         break;
       
       case 'Anthropic':
-        completion = await generateAnthropicResponse({ messages, responseFormat, token, model });
+        completion = await generateAnthropicResponse({ messages, responseFormat, token, model, temperature });
         break;
         
       case 'AWSBedrock':
@@ -461,6 +472,11 @@ export const generateAIResponse = async ({
         throw new Error(`Unsupported provider: ${provider}`);
     }
 
+    // Attributes the call to the company it was made for, when inside a usage context
+    recordMonitoringUsage({ provider, model, usage: completion.usage }).catch((error) => {
+      console.error('Error recording monitoring usage:', error);
+    });
+
     return {
       ...completion,
       text: completion.choices[0].message.content,
@@ -0,0 +1,192 @@
+import db from '../../models/index.js';
+import { Op } from 'sequelize';
+import { executeTrack, executeToolTrack } from './trackService.js';
+import { createAgentFromConfig } from './agentCreationService.js';
+import { generateSlug } from '../utils/slugGenerator.js';
+import { findOrCreateAgentNode, repositionAgentNodes } from './agentNodeService.js';
+import { redactTrackData } from './redactionService.js';
+import { extractTraceContext, generateTraceId } from '../utils/traceContext.js';
+
+const { Model, ModelLog, AgentLog, Agent } = db;
+
+function camelize(str) {
+  return str
+    .replace(/(?:^\w|[A-Z]|\b\w)/g, function (word, index) {
+      return index === 0 ? word.toLowerCase() : word.toUpperCase();
+    })
+    .replace(/\s+/g, '');
+}
+
+/**
+ * Records a whole workflow run (an execution and its nodes) in one call.
+ * Shared by POST /api/track/bulk and the ingest processor.
+ * @param {Object} params
+ * @param {Object} params.company - Company that owns the run
+ * @param {string} params.environment - 'production' or 'staging'
+ * @param {Object} params.body - { agentName, sessionId, workflowData, openAI }
+ * @param {Object} params.traceContext - Trace context from extractTraceContext
+ * @returns {Promise<Object>} { results, executionId, traceId }
+ */
+export const trackWorkflow = async ({ company, environment, body, traceContext }) => {
+  const sessionId = body.sessionId;
+  let agentName = body.agentName;
+  let log = null;
+  if (sessionId) {
+    log = await AgentLog.findOne({
+      where: { sessionId },
+    });
+    if (log) {
+      const agent = await Agent.findByPk(log.agentId);
+      agentName = agent.name;
+    }
+  }
+  const agentSlug = agentName ? generateSlug(agentName) : null;
+
+  let agent = await Agent.findOne({
+    where: { slug: agentSlug, companyId: company.id },
+  });
+  if (!agent) {
+    agent = await createAgentFromConfig(
+      {
+        agent: {
+          name: agentName,
+          description: 'Automatically created agent from tracking request',
+          slug: agentSlug,
+        },
+        nodes: [],
+      },
+      company.id
+    );
+  }
+
+  const items = body.workflowData;
+  const openaiToken = body.openAI?.token;
+  const evaluationModel = body.openAI?.model;
+
+  if (!log && traceContext.executionId) {
+    log = await AgentLog.findOne({
+      where: { id: traceContext.executionId, agentId: agent.id },
+    });
+  }
+  if (!log) {
+    log = await AgentLog.create({
+      agentId: agent.id,
+      input: 'processing',
+      environment,
+      status: 'processing',
+      sessionId,
+      traceId: traceContext.traceId || generateTraceId(),
+      metadata: traceContext.traceState
+        ? { traceState: traceContext.traceState }
+        : null,
+    });
+  }
+
+  let executionId = log.dataValues.id;
+  // Process each item sequentially to preserve order
+
+  const results = [];
+  for (let itemIdx = 0; itemIdx < items.length; itemIdx++) {
+    const item = items[itemIdx];
+    try {
+      // Use item.id as the node slug
+      const nodeName = item.nodeName || item.slug;
+      let modelId = item.input?.params?.modelId || nodeName;
+      const slug = nodeName;
+      const camelCaseSlug = camelize(slug);
+      const lowerCaseSlug = slug.toLowerCase();
+      const lowerCamelSlug = camelize(lowerCaseSlug);
+
+      let model = await Model.findOne({
+        where: {
+          slug: {
+            [Op.in]: [
+              slug,
+              modelId,
+              camelCaseSlug,
+              lowerCaseSlug,
+              lowerCamelSlug,
+            ],
+          },
+        },
+      });
+
+      // For each agent, find or create the node
+      const { agentNode } = await findOrCreateAgentNode({
+        agent,
+        nodeType: item.nodeType || 'model',
+        model,
+        nodeId: modelId,
+        nodeName: model?.name || nodeName,
+        toolType: item.toolType || 'HTTP',
+        description: model?.description || 'Automatically created node',
+        agentLogId: executionId,
+        group: item.group || null,
+      });
+
+      if (agentNode.type === 'model') {
+        model = await Model.findOne({
+          where: {
+            id: agentNode.modelId,
+          },
+        });
+      }
+
+      if (item.output && Object.keys(item.output).length === 0) {
+        continue;
+      }
+
+      // Every item is its own span; the request's span is their parent
+      const itemContext = extractTraceContext({}, item);
+
+      // Compose track data, redacted before anything is stored
+      const trackData = await redactTrackData(
+        {
+          ...item,
+          environment,
+          evaluationToken: openaiToken,
+          evaluationModel,
+          nodeName,
+          executionId,
+          slug: null,
+          traceId: log.traceId || traceContext.traceId,
+          spanId: itemContext.spanId,
+          parentSpanId:
+            itemContext.parentSpanId ||
+            traceContext.spanId ||
+            traceContext.parentSpanId,
+        },
+        { companyId: company.id, agentId: agent.id }
+      );
+
+      // Save using the same logic as track
+      const answer =
+        agentNode.type === 'tool'
+          ? await executeToolTrack(agentNode, trackData, agent)
+          : await executeTrack(model, trackData, ModelLog);
+
+      if (answer.error) {
+        results.push({ node: nodeName, error: answer.error });
+      } else {
+        results.push({
+          node: nodeName,
+          success: true,
+          modelLogId: answer.modelLogId || null,
+          spanId: answer.spanId,
+        });
+      }
+    } catch (err) {
+      console.log('err:', err.message);
+      results.push({ node: item.id, error: err.message });
+    }
+  }
+  await repositionAgentNodes(agent, true);
+  const agentLog = await AgentLog.findByPk(executionId);
+  if (agentLog) {
+    await agentLog.update({
+      status: 'success',
+      output: results,
+    });
+  }
+  return { results, executionId, traceId: log.traceId };
+};
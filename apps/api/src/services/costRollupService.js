@@ -0,0 +1,199 @@
+import db from '../../models/index.js';
+
+const DEFAULT_WINDOW_DAYS = 30;
+
+const emptyTotals = () => ({
+  calls: 0,
+  unpricedCalls: 0,
+  inputTokens: 0,
+  outputTokens: 0,
+  cachedTokens: 0,
+  inputCost: 0,
+  outputCost: 0,
+  cachedCost: 0,
+  totalCost: 0,
+});
+
+const roundCost = (value) => Math.round(value * 1e8) / 1e8;
+
+const addRow = (totals, row) => {
+  totals.calls += parseInt(row.calls, 10) || 0;
+  totals.unpricedCalls += parseInt(row.unpriced_calls, 10) || 0;
+  totals.inputTokens += parseInt(row.input_tokens, 10) || 0;
+  totals.outputTokens += parseInt(row.output_tokens, 10) || 0;
+  totals.cachedTokens += parseInt(row.cached_tokens, 10) || 0;
+  totals.inputCost = roundCost(totals.inputCost + (parseFloat(row.input_cost) || 0));
+  totals.outputCost = roundCost(totals.outputCost + (parseFloat(row.output_cost) || 0));
+  totals.cachedCost = roundCost(totals.cachedCost + (parseFloat(row.cached_cost) || 0));
+  totals.totalCost = roundCost(totals.totalCost + (parseFloat(row.total_cost) || 0));
+};
+
+const addTo = (group, key, row) => {
+  if (key === null || key === undefined) {
+    return;
+  }
+  if (!group[key]) {
+    group[key] = emptyTotals();
+  }
+  addRow(group[key], row);
+};
+
+// Same day keys as the other agent metrics (day-month-year, not zero padded)
+const dayKey = (row) => `${row.day}-${row.month}-${row.year}`;
+
+const summarize = (rows, extraGroups = []) => {
+  const summary = {
+    totals: emptyTotals(),
+    daily: {},
+    byNode: {},
+    byEnvironment: {},
+  };
+  for (const group of extraGroups) {
+    summary[group.name] = {};
+  }
+  for (const row of rows) {
+    addRow(summary.totals, row);
+    addTo(summary.daily, dayKey(row), row);
+    addTo(summary.byNode, row.agent_node_id, row);
+    addTo(summary.byEnvironment, row.environment, row);
+    for (const group of extraGroups) {
+      addTo(summary[group.name], row[group.column], row);
+    }
+  }
+  return summary;
+};
+
+const SUM_COLUMNS = (alias) => `
+  COUNT(*) AS calls,
+  COUNT(*) FILTER (WHERE ${alias}.total_cost IS NULL) AS unpriced_calls,
+  COALESCE(SUM(${alias}.input_tokens), 0) AS input_tokens,
+  COALESCE(SUM(${alias}.output_tokens), 0) AS output_tokens,
+  COALESCE(SUM(${alias}.cached_tokens), 0) AS cached_tokens,
+  COALESCE(SUM(${alias}.input_cost), 0) AS input_cost,
+  COALESCE(SUM(${alias}.output_cost), 0) AS output_cost,
+  COALESCE(SUM(${alias}.cached_cost), 0) AS cached_cost,
+  COALESCE(SUM(${alias}.total_cost), 0) AS total_cost`;
+
+const resolveWindow = ({ startDate, endDate } = {}) => ({
+  startDate: startDate || new Date(Date.now() - DEFAULT_WINDOW_DAYS * 24 * 60 * 60 * 1000),
+  endDate: endDate || new Date(),
+});
+
+/**
+ * Cost of the agent's own model calls, grouped by day, node and environment.
+ * A/B test replays (logs with an original_log_id) are Handit's cost and are
+ * reported under monitoring instead.
+ */
+const getAgentModelCostRows = async ({ agentId, nodeIds, environment, startDate, endDate }) =>
+  db.sequelize.query(
+    `
+    SELECT
+      an.id AS agent_node_id,
+      ml.environment AS environment,
+      EXTRACT(DAY FROM ml.created_at) AS day,
+      EXTRACT(MONTH FROM ml.created_at) AS month,
+      EXTRACT(YEAR FROM ml.created_at) AS year,
+      ${SUM_COLUMNS('ml')}
+    FROM "ModelLogs" ml
+      INNER JOIN "AgentNodes" an ON an.model_id = ml.model_id AND an.deleted_at IS NULL
+    WHERE ml.deleted_at IS NULL
+      AND ml.original_log_id IS NULL
+      AND ml.created_at BETWEEN :startDate AND :endDate
+      ${agentId ? 'AND an.agent_id = :agentId' : ''}
+      ${nodeIds ? 'AND an.id IN (:nodeIds)' : ''}
+      ${environment ? 'AND ml.environment = :environment' : ''}
+    GROUP BY 1, 2, 3, 4, 5
+    `,
+    {
+      replacements: { agentId, nodeIds, environment, startDate, endDate },
+      type: db.sequelize.QueryTypes.SELECT,
+    }
+  );
+
+/**
+ * Cost of Handit's evaluator, insights, optimizer and A/B calls made for the
+ * agent's models, grouped like the agent cost plus a category breakdown
+ */
+const getMonitoringCostRows = async ({ agentId, nodeIds, environment, startDate, endDate }) =>
+  db.sequelize.query(
+    `
+    SELECT
+      an.id AS agent_node_id,
+      mul.environment AS environment,
+      mul.category AS category,
+      EXTRACT(DAY FROM mul.created_at) AS day,
+      EXTRACT(MONTH FROM mul.created_at) AS month,
+      EXTRACT(YEAR FROM mul.created_at) AS year,
+      ${SUM_COLUMNS('mul')}
+    FROM "MonitoringUsageLogs" mul
+      LEFT JOIN "AgentNodes" an ON an.model_id = mul.model_id AND an.deleted_at IS NULL
+    WHERE mul.created_at BETWEEN :startDate AND :endDate
+      ${agentId ? 'AND mul.agent_id = :agentId' : ''}
+      ${nodeIds ? 'AND an.id IN (:nodeIds)' : ''}
+      ${environment ? 'AND mul.environment = :environment' : ''}
+    GROUP BY 1, 2, 3, 4, 5, 6
+    `,
+    {
+      replacements: { agentId, nodeIds, environment, startDate, endDate },
+      type: db.sequelize.QueryTypes.SELECT,
+    }
+  );
+
+const buildCostReport = (agentRows, monitoringRows) => {
+  const agent = summarize(agentRows);
+  const monitoring = summarize(monitoringRows, [
+    { name: 'byCategory', column: 'category' },
+  ]);
+  return {
+    currency: 'USD',
+    agent,
+    monitoring,
+    totalCost: roundCost(agent.totals.totalCost + monitoring.totals.totalCost),
+  };
+};
+
+/**
+ * Token usage and cost of an agent, split between what the agent's model
+ * calls cost and what Handit's monitoring of them cost
+ * @param {number} agentId - The agent ID
+ * @param {Object} [options] - { environment, startDate, endDate }; defaults to the last 30 days
+ * @returns {Promise<Object>} { currency, agent, monitoring, totalCost }, each side
+ *   with totals and daily/byNode/byEnvironment breakdowns
+ */
+export const getAgentCostMetrics = async (agentId, options = {}) => {
+  const { startDate, endDate } = resolveWindow(options);
+  const filters = { agentId, environment: options.environment, startDate, endDate };
+  const [agentRows, monitoringRows] = await Promise.all([
+    getAgentModelCostRows(filters),
+    getMonitoringCostRows(filters),
+  ]);
+  return buildCostReport(agentRows, monitoringRows);
+};
+
+/**
+ * Token usage and cost per agent node
+ * @param {Array<number>} nodeIds - Agent node IDs
+ * @param {Date} startDate - Start of the window
+ * @param {Date} endDate - End of the window
+ * @returns {Promise<Array>} [{ nodeId, agent, monitoring, totalCost }]
+ */
+export const getNodeCostMetrics = async (nodeIds, startDate, endDate, environment = null) => {
+  if (!nodeIds.length) {
+    return [];
+  }
+  const filters = { nodeIds, environment, ...resolveWindow({ startDate, endDate }) };
+  const [agentRows, monitoringRows] = await Promise.all([
+    getAgentModelCostRows(filters),
+    getMonitoringCostRows(filters),
+  ]);
+
+  return nodeIds.map((nodeId) => {
+    const report = buildCostReport(
+      agentRows.filter((row) => row.agent_node_id === nodeId),
+      monitoringRows.filter((row) => row.agent_node_id === nodeId)
+    );
+    delete report.agent.byNode;
+    delete report.monitoring.byNode;
+    return { nodeId, ...report };
+  });
+};
@@ -0,0 +1,288 @@
+import { DEFAULT_PRICING } from './pricingCatalog.js';
+import { getUsageContext } from './usageContext.js';
+
+// This module is loaded from the ModelLog model hooks, so it receives the
+// Sequelize models as an argument instead of importing models/index.js
+
+const CACHE_TTL_MS = 60 * 1000;
+const companyPricingCache = new Map();
+const modelCompanyCache = new Map();
+
+const toInt = (value) => {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : 0;
+};
+
+const roundCost = (value) => Math.round(value * 1e8) / 1e8;
+
+/**
+ * Normalizes the usage block of OpenAI, Anthropic and Gemini responses.
+ * inputTokens never includes cachedTokens, so each is billed at its own rate.
+ * @param {Object} output - Raw model output (or the usage object itself)
+ * @returns {Object|null} { inputTokens, outputTokens, cachedTokens } or null
+ */
+export const extractUsage = (output) => {
+  if (!output || typeof output !== 'object') {
+    return null;
+  }
+
+  const usage = output.usage || output.usageMetadata || output;
+
+  // Gemini: promptTokenCount includes cached content
+  if (usage.promptTokenCount !== undefined || usage.candidatesTokenCount !== undefined) {
+    const cachedTokens = toInt(usage.cachedContentTokenCount);
+    return {
+      inputTokens: Math.max(0, toInt(usage.promptTokenCount) - cachedTokens),
+      outputTokens: toInt(usage.candidatesTokenCount),
+      cachedTokens,
+    };
+  }
+
+  // Anthropic: input_tokens already excludes cache reads and writes
+  if (
+    usage.cache_read_input_tokens !== undefined ||
+    usage.cache_creation_input_tokens !== undefined
+  ) {
+    return {
+      inputTokens: toInt(usage.input_tokens) + toInt(usage.cache_creation_input_tokens),
+      outputTokens: toInt(usage.output_tokens),
+      cachedTokens: toInt(usage.cache_read_input_tokens),
+    };
+  }
+
+  // OpenAI chat completions and responses: prompt/input tokens include cached ones
+  if (usage.prompt_tokens !== undefined || usage.input_tokens !== undefined) {
+    const cachedTokens = toInt(
+      usage.prompt_tokens_details?.cached_tokens ??
+        usage.input_tokens_details?.cached_tokens
+    );
+    const promptTokens = toInt(usage.prompt_tokens ?? usage.input_tokens);
+    return {
+      inputTokens: Math.max(0, promptTokens - cachedTokens),
+      outputTokens: toInt(usage.completion_tokens ?? usage.output_tokens),
+      cachedTokens,
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Finds the model name of a tracked call from the response or request payload
+ */
+export const resolveModelName = ({ output, input, parameters }) => {
+  const candidates = [
+    output?.model,
+    output?.modelVersion,
+    !Array.isArray(input) ? input?.model : null,
+    parameters?.model,
+  ];
+  return candidates.find((value) => typeof value === 'string' && value) || null;
+};
+
+const normalizeModelName = (model) =>
+  model
+    .toLowerCase()
+    .replace(/^ft:/, '')
+    .replace(/^models\//, '')
+    .replace(/^(us|eu|apac|global)\./, '');
+
+const findLongestPrefixMatch = (entries, model) => {
+  let best = null;
+  for (const entry of entries) {
+    const key = normalizeModelName(entry.model);
+    if (model.startsWith(key) && (!best || key.length > normalizeModelName(best.model).length)) {
+      best = entry;
+    }
+  }
+  return best;
+};
+
+/**
+ * Resolves the price for a model: company entries first, then the default
+ * catalog. A provider narrows the catalog search when it is known.
+ * @returns {Object|null} Pricing entry with per-million rates
+ */
+export const findPricing = (model, provider = null, customPricing = []) => {
+  if (!model) {
+    return null;
+  }
+  const normalized = normalizeModelName(model);
+  const byProvider = (entries) =>
+    provider ? entries.filter((entry) => !entry.provider || entry.provider === provider) : entries;
+
+  return (
+    findLongestPrefixMatch(byProvider(customPricing), normalized) ||
+    findLongestPrefixMatch(byProvider(DEFAULT_PRICING), normalized) ||
+    (provider ? findLongestPrefixMatch(DEFAULT_PRICING, normalized) : null)
+  );
+};
+
+/**
+ * Prices a normalized usage block. Cached tokens fall back to the input rate
+ * for models without a discounted cache price.
+ * @returns {Object} { inputCost, outputCost, cachedCost, totalCost }
+ */
+export const calculateCost = (usage, pricing) => {
+  const inputRate = parseFloat(pricing.inputCostPerMillion) || 0;
+  const outputRate = parseFloat(pricing.outputCostPerMillion) || 0;
+  const cachedRate =
+    pricing.cachedInputCostPerMillion !== null &&
+    pricing.cachedInputCostPerMillion !== undefined
+      ? parseFloat(pricing.cachedInputCostPerMillion)
+      : inputRate;
+
+  const inputCost = roundCost((usage.inputTokens * inputRate) / 1e6);
+  const outputCost = roundCost((usage.outputTokens * outputRate) / 1e6);
+  const cachedCost = roundCost((usage.cachedTokens * cachedRate) / 1e6);
+
+  return {
+    inputCost,
+    outputCost,
+    cachedCost,
+    totalCost: roundCost(inputCost + outputCost + cachedCost),
+  };
+};
+
+const getCached = (cache, key) => {
+  const hit = cache.get(key);
+  if (hit && hit.expiresAt > Date.now()) {
+    return hit.value;
+  }
+  return undefined;
+};
+
+const setCached = (cache, key, value) => {
+  cache.set(key, { value, expiresAt: Date.now() + CACHE_TTL_MS });
+  return value;
+};
+
+/**
+ * Custom pricing entries of a company, cached briefly since every tracked
+ * call needs them
+ */
+export const getCompanyPricing = async (companyId, models) => {
+  if (!companyId) {
+    return [];
+  }
+  const cached = getCached(companyPricingCache, companyId);
+  if (cached) {
+    return cached;
+  }
+  const entries = await models.ModelPricing.findAll({
+    where: { companyId },
+    raw: true,
+  });
+  return setCached(companyPricingCache, companyId, entries);
+};
+
+export const clearCompanyPricingCache = (companyId) => {
+  companyPricingCache.delete(companyId);
+};
+
+const getCompanyIdForModel = async (modelId, models) => {
+  if (!modelId) {
+    return null;
+  }
+  const cached = getCached(modelCompanyCache, modelId);
+  if (cached !== undefined) {
+    return cached;
+  }
+  const model = await models.Model.findByPk(modelId, {
+    attributes: ['id', 'modelGroupId'],
+  });
+  const modelGroup = model
+    ? await models.ModelGroup.findByPk(model.modelGroupId, {
+        attributes: ['id', 'companyId'],
+      })
+    : null;
+  return setCached(modelCompanyCache, modelId, modelGroup?.companyId || null);
+};
+
+/**
+ * Fills the token and cost columns of a ModelLog before it is stored.
+ * Logs without usage or with an unknown model keep null costs.
+ * @param {Object} modelLog - ModelLog instance being created
+ * @param {Object} models - Sequelize models
+ */
+export const applyModelLogCost = async (modelLog, models) => {
+  const usage = extractUsage(modelLog.output);
+  if (!usage) {
+    return;
+  }
+
+  modelLog.inputTokens = usage.inputTokens;
+  modelLog.outputTokens = usage.outputTokens;
+  modelLog.cachedTokens = usage.cachedTokens;
+
+  const modelName = resolveModelName(modelLog);
+  const companyId = await getCompanyIdForModel(modelLog.modelId, models);
+  const pricing = findPricing(modelName, null, await getCompanyPricing(companyId, models));
+  if (!pricing) {
+    return;
+  }
+
+  const cost = calculateCost(usage, pricing);
+  modelLog.inputCost = cost.inputCost;
+  modelLog.outputCost = cost.outputCost;
+  modelLog.cachedCost = cost.cachedCost;
+  modelLog.totalCost = cost.totalCost;
+  modelLog.pricingModel = pricing.model;
+};
+
+/**
+ * Records an LLM call Handit made on a customer's behalf (evaluation,
+ * insights, optimization, A/B runs). Calls outside a usage context, such as
+ * onboarding helpers, are not attributed to any company and are skipped.
+ * @param {Object} params - { provider, model, usage }
+ */
+export const recordMonitoringUsage = async ({ provider, model, usage }) => {
+  const context = getUsageContext();
+  if (!context) {
+    return null;
+  }
+
+  const normalizedUsage = extractUsage(usage ? { usage } : null) || {
+    inputTokens: 0,
+    outputTokens: 0,
+    cachedTokens: 0,
+  };
+
+  // Loaded lazily: aiService (and therefore this call) is reachable from model hooks
+  const { default: db } = await import('../../models/index.js');
+
+  let { companyId, agentId, environment } = context;
+  if (!companyId) {
+    companyId = await getCompanyIdForModel(context.modelId, db);
+  }
+  if (!companyId) {
+    return null;
+  }
+  if (!agentId && context.agentLogId) {
+    const agentLog = await db.AgentLog.findByPk(context.agentLogId, {
+      attributes: ['id', 'agentId', 'environment'],
+    });
+    agentId = agentLog?.agentId || null;
+    environment = environment || agentLog?.environment;
+  }
+
+  const pricing = findPricing(model, provider, await getCompanyPricing(companyId, db));
+  const cost = pricing ? calculateCost(normalizedUsage, pricing) : {};
+
+  return db.MonitoringUsageLog.create({
+    companyId,
+    agentId: agentId || null,
+    modelId: context.modelId || null,
+    modelLogId: context.modelLogId || null,
+    environment: environment || 'production',
+    category: context.category || 'other',
+    provider,
+    model,
+    ...normalizedUsage,
+    inputCost: cost.inputCost ?? null,
+    outputCost: cost.outputCost ?? null,
+    cachedCost: cost.cachedCost ?? null,
+    totalCost: cost.totalCost ?? null,
+    pricingModel: pricing?.model || null,
+  });
+};
@@ -0,0 +1,374 @@
+import crypto from 'crypto';
+import { Op } from 'sequelize';
+import db from '../../models/index.js';
+import { DATASET_SPLITS, createDatasetVersion } from './datasetItemService.js';
+
+const { Agent, AgentLog, Dataset, DatasetCurationRule, DatasetItem, Model, ModelGroup, ModelLog } = db;
+
+export const CURATION_SOURCES = ['model_log', 'agent_log'];
+
+const LOG_STATUSES = {
+  model_log: ['success', 'error', 'crash'],
+  agent_log: ['pending', 'processing', 'completed', 'error', 'failed'],
+};
+
+// How many recent matching logs a rule run loads
+const SCAN_LIMIT = parseInt(process.env.DATASET_CURATION_SCAN_LIMIT || '5000', 10);
+const MAX_LOOKBACK_DAYS = 365;
+const MAX_ITEMS_PER_RUN = 1000;
+
+const companyModelIds = async (companyId) => {
+  const modelGroups = await ModelGroup.findAll({ where: { companyId }, attributes: ['id'] });
+  const models = await Model.findAll({
+    where: { modelGroupId: modelGroups.map((group) => group.id) },
+    attributes: ['id'],
+  });
+  return models.map((model) => model.id);
+};
+
+const companyAgentIds = async (companyId) => {
+  const agents = await Agent.findAll({ where: { companyId }, attributes: ['id'] });
+  return agents.map((agent) => agent.id);
+};
+
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * Hash of an input that ignores key order, to deduplicate items by input
+ */
+export const inputFingerprint = (input) => crypto.createHash('sha256').update(stableStringify(input)).digest('hex');
+
+const evaluatorScores = (log) =>
+  Object.fromEntries(
+    (log.actual?.evaluations || [])
+      .filter((evaluation) => evaluation.evaluator)
+      .map((evaluation) => [evaluation.evaluator, evaluation.score])
+  );
+
+/**
+ * Dataset item of an LLM node entry. A human-confirmed correct output is kept
+ * as the expected output; otherwise the output is only kept in metadata.
+ */
+export const modelLogToDatasetItem = (log) => ({
+  input: log.input,
+  expectedOutput: log.isCorrect === true ? log.output : null,
+  metadata: {
+    modelId: log.modelId,
+    environment: log.environment,
+    promptVersion: log.version,
+    status: log.status,
+    productionOutput: log.output,
+    scores: evaluatorScores(log),
+  },
+  modelLogId: log.id,
+  agentLogId: log.agentLogId,
+});
+
+/**
+ * Dataset item of an agent execution, with its output kept in metadata
+ */
+export const agentLogToDatasetItem = (log) => ({
+  input: log.input,
+  expectedOutput: null,
+  metadata: {
+    agentId: log.agentId,
+    environment: log.environment,
+    status: log.status,
+    traceId: log.traceId,
+    productionOutput: log.output,
+  },
+  agentLogId: log.id,
+});
+
+const isPresent = (value) => value !== undefined && value !== null && value !== '';
+
+/**
+ * Checks the fields of a curation rule
+ * @param {Object} rule - { name, source, modelId, agentId, filters, split, tags, maxItemsPerRun }
+ * @returns {string|null} The error, or null when the rule is valid
+ */
+export const validateCurationRule = (rule) => {
+  const { name, source = 'model_log', modelId, agentId, filters = {}, split, tags = [], maxItemsPerRun } = rule;
+  if (!name || typeof name !== 'string') {
+    return 'name is required';
+  }
+  if (!CURATION_SOURCES.includes(source)) {
+    return `source must be one of ${CURATION_SOURCES.join(', ')}`;
+  }
+  if (source === 'model_log' && !modelId) {
+    return 'modelId is required to curate LLM node entries';
+  }
+  if (source === 'agent_log' && !agentId) {
+    return 'agentId is required to curate agent executions';
+  }
+  if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+    return 'filters must be an object';
+  }
+  const { lookbackDays, environment, status, evaluatorId, scoreBelow, scoreAtLeast, isCorrect } = filters;
+  if (isPresent(lookbackDays) && !(Number(lookbackDays) > 0 && Number(lookbackDays) <= MAX_LOOKBACK_DAYS)) {
+    return `filters.lookbackDays must be between 1 and ${MAX_LOOKBACK_DAYS}`;
+  }
+  if (isPresent(environment) && !['production', 'staging'].includes(environment)) {
+    return 'filters.environment must be production or staging';
+  }
+  if (isPresent(status) && !LOG_STATUSES[source].includes(status)) {
+    return `filters.status must be one of ${LOG_STATUSES[source].join(', ')}`;
+  }
+  if (source === 'agent_log' && (isPresent(evaluatorId) || isPresent(isCorrect))) {
+    return 'Evaluator and correctness filters only apply to LLM node entries';
+  }
+  if (isPresent(isCorrect) && typeof isCorrect !== 'boolean') {
+    return 'filters.isCorrect must be a boolean';
+  }
+  for (const [key, value] of Object.entries({ scoreBelow, scoreAtLeast })) {
+    if (isPresent(value) && !Number.isFinite(Number(value))) {
+      return `filters.${key} must be a number`;
+    }
+  }
+  if ((isPresent(scoreBelow) || isPresent(scoreAtLeast)) && !isPresent(evaluatorId)) {
+    return 'filters.evaluatorId is required to filter by score';
+  }
+  if (isPresent(split) && !DATASET_SPLITS.includes(split)) {
+    return `split must be one of ${DATASET_SPLITS.join(', ')}`;
+  }
+  if (!Array.isArray(tags) || !tags.every((tag) => typeof tag === 'string')) {
+    return 'tags must be an array of strings';
+  }
+  const itemsPerRun = Number(maxItemsPerRun);
+  if (isPresent(maxItemsPerRun) && !(Number.isInteger(itemsPerRun) && itemsPerRun > 0 && itemsPerRun <= MAX_ITEMS_PER_RUN)) {
+    return `maxItemsPerRun must be between 1 and ${MAX_ITEMS_PER_RUN}`;
+  }
+  return null;
+};
+
+/**
+ * Whether the rule's node or agent belongs to the company
+ */
+export const isRuleTargetOwned = async (rule, companyId) => {
+  if (rule.source === 'agent_log') {
+    return (await companyAgentIds(companyId)).includes(Number(rule.agentId));
+  }
+  return (await companyModelIds(companyId)).includes(Number(rule.modelId));
+};
+
+// Columns modelLogToDatasetItem reads
+const MODEL_LOG_ATTRIBUTES = [
+  'id',
+  'input',
+  'output',
+  'actual',
+  'isCorrect',
+  'modelId',
+  'environment',
+  'version',
+  'status',
+  'agentLogId',
+];
+
+/**
+ * Condition on the entry's latest EvaluationLog of the evaluator, with the
+ * replacements it uses
+ */
+const scoreCondition = ({ evaluatorId, scoreBelow, scoreAtLeast }) => {
+  if (!isPresent(evaluatorId)) {
+    return null;
+  }
+  const condition = db.sequelize.literal(`EXISTS (
+    SELECT 1 FROM (
+      SELECT el.score FROM "EvaluationLogs" el
+      WHERE el.model_log_id = "ModelLog"."id" AND el.evaluation_prompt_id = :evaluatorId
+      ORDER BY el.created_at DESC
+      LIMIT 1
+    ) latest
+    WHERE latest.score IS NOT NULL
+      ${isPresent(scoreBelow) ? 'AND latest.score < :scoreBelow' : ''}
+      ${isPresent(scoreAtLeast) ? 'AND latest.score >= :scoreAtLeast' : ''}
+  )`);
+  return {
+    condition,
+    replacements: {
+      evaluatorId: Number(evaluatorId),
+      scoreBelow: isPresent(scoreBelow) ? Number(scoreBelow) : null,
+      scoreAtLeast: isPresent(scoreAtLeast) ? Number(scoreAtLeast) : null,
+    },
+  };
+};
+
+/**
+ * Logs matching a rule's filters, newest first
+ * @param {Object} rule - The DatasetCurationRule
+ * @returns {Promise<Array<Object>>} ModelLogs or AgentLogs
+ */
+export const findRuleMatches = async (rule) => {
+  const { lookbackDays = 7, environment, status, isCorrect, ...scoreFilters } = rule.filters || {};
+  const where = {
+    createdAt: { [Op.gte]: new Date(Date.now() - Number(lookbackDays) * 24 * 60 * 60 * 1000) },
+    ...(environment ? { environment } : {}),
+    ...(status ? { status } : {}),
+  };
+
+  if (rule.source === 'agent_log') {
+    return AgentLog.findAll({
+      where: { ...where, agentId: rule.agentId },
+      order: [['createdAt', 'DESC']],
+      limit: SCAN_LIMIT,
+    });
+  }
+
+  const score = scoreCondition(scoreFilters);
+  return ModelLog.findAll({
+    where: {
+      ...where,
+      modelId: rule.modelId,
+      ...(typeof isCorrect === 'boolean' ? { isCorrect } : {}),
+      ...(score ? { [Op.and]: [score.condition] } : {}),
+    },
+    attributes: MODEL_LOG_ATTRIBUTES,
+    ...(score ? { replacements: score.replacements } : {}),
+    order: [['createdAt', 'DESC']],
+    limit: SCAN_LIMIT,
+  });
+};
+
+/**
+ * Drops candidate items already in the dataset: those copied from the same
+ * log and, when deduplicating, those with an input the dataset already has.
+ * Deleted items count unless includeDeleted is false, so a rule does not
+ * bring back items someone removed.
+ */
+const excludeExisting = async (datasetId, candidates, { deduplicate, includeDeleted = true }) => {
+  const existing = await DatasetItem.findAll({
+    where: { datasetId },
+    attributes: ['input', 'modelLogId', 'agentLogId'],
+    paranoid: !includeDeleted,
+  });
+  const linkedModelLogs = new Set(existing.map((item) => item.modelLogId).filter(Boolean));
+  const linkedAgentLogs = new Set(existing.map((item) => item.agentLogId).filter(Boolean));
+  const inputs = new Set(deduplicate ? existing.map((item) => inputFingerprint(item.input)) : []);
+
+  return candidates.filter((candidate) => {
+    const isLinked = candidate.modelLogId
+      ? linkedModelLogs.has(candidate.modelLogId)
+      : linkedAgentLogs.has(candidate.agentLogId);
+    if (isLinked) {
+      return false;
+    }
+    if (deduplicate) {
+      const fingerprint = inputFingerprint(candidate.input);
+      if (inputs.has(fingerprint)) {
+        return false;
+      }
+      inputs.add(fingerprint);
+    }
+    return true;
+  });
+};
+
+/**
+ * Copies LLM node entries and agent executions of the company into a dataset.
+ * Logs already in the dataset are skipped.
+ * @param {Object} dataset - The Dataset
+ * @param {Object} logs - { modelLogIds, agentLogIds }
+ * @param {Object} options - { companyId, split, tags, deduplicate, userId }
+ * @returns {Promise<Object>} { added, skipped, notFound }
+ */
+export const addLogsToDataset = async (
+  dataset,
+  { modelLogIds = [], agentLogIds = [] },
+  { companyId, split = null, tags = [], deduplicate = false, userId = null }
+) => {
+  const [modelLogs, agentLogs] = await Promise.all([
+    modelLogIds.length
+      ? ModelLog.findAll({ where: { id: modelLogIds, modelId: await companyModelIds(companyId) } })
+      : [],
+    agentLogIds.length
+      ? AgentLog.findAll({ where: { id: agentLogIds, agentId: await companyAgentIds(companyId) } })
+      : [],
+  ]);
+  const candidates = [
+    ...modelLogs.map((log) => ({ ...modelLogToDatasetItem(log), source: 'entry' })),
+    ...agentLogs.map((log) => ({ ...agentLogToDatasetItem(log), source: 'execution' })),
+  ];
+  const items = await excludeExisting(dataset.id, candidates, { deduplicate, includeDeleted: false });
+
+  await DatasetItem.bulkCreate(
+    items.map((item) => ({ ...item, datasetId: dataset.id, split, tags, createdBy: userId }))
+  );
+  return {
+    added: items.length,
+    skipped: candidates.length - items.length,
+    notFound: modelLogIds.length + agentLogIds.length - candidates.length,
+  };
+};
+
+/**
+ * Copies the logs matching a rule into its dataset and, when the rule has
+ * autoVersion and added items, snapshots a new dataset version
+ * @param {Object} rule - The DatasetCurationRule
+ * @returns {Promise<Object>} { added, version }
+ */
+export const runCurationRule = async (rule) => {
+  try {
+    const dataset = await Dataset.findByPk(rule.datasetId);
+    const toItem = rule.source === 'agent_log' ? agentLogToDatasetItem : modelLogToDatasetItem;
+    const candidates = (await findRuleMatches(rule)).map(toItem);
+    const items = (await excludeExisting(dataset.id, candidates, { deduplicate: rule.deduplicate })).slice(
+      0,
+      rule.maxItemsPerRun
+    );
+
+    await DatasetItem.bulkCreate(
+      items.map((item) => ({
+        ...item,
+        datasetId: dataset.id,
+        split: rule.split,
+        tags: rule.tags,
+        source: 'curation_rule',
+        sourceRef: { ruleId: rule.id, ruleName: rule.name },
+      }))
+    );
+    const version =
+      items.length && rule.autoVersion
+        ? await createDatasetVersion(dataset, {
+            description: `Curation rule "${rule.name}" added ${items.length} items`,
+          })
+        : null;
+
+    await rule.update({ lastRunAt: new Date(), lastAddedCount: items.length, lastError: null });
+    return { added: items.length, version: version?.version ?? null };
+  } catch (error) {
+    await rule.update({ lastRunAt: new Date(), lastError: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Runs every enabled curation rule, one at a time. A failing rule records its
+ * error and does not stop the others.
+ * @returns {Promise<Object>} { rules, added, failed }
+ */
+export const runEnabledCurationRules = async () => {
+  const rules = await DatasetCurationRule.findAll({ where: { enabled: true }, order: [['id', 'ASC']] });
+  let added = 0;
+  let failed = 0;
+  for (const rule of rules) {
+    try {
+      added += (await runCurationRule(rule)).added;
+    } catch (error) {
+      failed++;
+      console.error(`Curation rule ${rule.id} failed:`, error);
+    }
+  }
+  return { rules: rules.length, added, failed };
+};
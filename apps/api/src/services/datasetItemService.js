@@ -0,0 +1,324 @@
+import crypto from 'crypto';
+import db from '../../models/index.js';
+import { parseCsv, toCsv } from '../utils/csv.js';
+
+const { Dataset, DatasetGroup, DatasetItem, DatasetVersion, DatasetVersionItem } = db;
+
+export const DATASET_FORMATS = ['csv', 'jsonl', 'json'];
+export const DATASET_SPLITS = ['train', 'test', 'validation'];
+
+const MAX_IMPORT_ITEMS = parseInt(process.env.DATASET_MAX_IMPORT_ITEMS || '10000', 10);
+const MAX_REPORTED_ERRORS = 20;
+
+/**
+ * A dataset of the company, through its DatasetGroup
+ * @returns {Promise<Object|null>} The dataset, or null when it is not the company's
+ */
+export const findCompanyDataset = async (datasetId, companyId) => {
+  const dataset = await Dataset.findByPk(datasetId);
+  if (!dataset) {
+    return null;
+  }
+  const group = await DatasetGroup.findOne({
+    where: { id: dataset.datasetGroupId, companyId },
+    attributes: ['id'],
+  });
+  return group ? dataset : null;
+};
+
+const parseJsonCell = (value) => {
+  const text = value.trim();
+  if (!/^[[{"]/.test(text)) {
+    return value;
+  }
+  try {
+    return JSON.parse(text);
+  } catch {
+    return value;
+  }
+};
+
+const parseTags = (value) => {
+  if (Array.isArray(value)) {
+    return value;
+  }
+  if (typeof value !== 'string' || !value.trim()) {
+    return [];
+  }
+  const parsed = parseJsonCell(value);
+  return Array.isArray(parsed) ? parsed : value.split(/[,;|]/);
+};
+
+/**
+ * Checks a dataset item and brings it to its stored shape. Accepts
+ * expected_output as an alias of expectedOutput, as CSV headers usually have.
+ * @param {Object} record - { input, expectedOutput, metadata, tags, split }
+ * @returns {Object} { item } or { error }
+ */
+export const normalizeDatasetItem = (record) => {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return { error: 'Item must be an object' };
+  }
+  const { input, split = null } = record;
+  const expectedOutput = record.expectedOutput ?? record.expected_output ?? null;
+  const metadata = record.metadata === '' ? null : record.metadata ?? null;
+  if (input === undefined || input === null || input === '') {
+    return { error: 'Item must have an input' };
+  }
+  if (metadata !== null && (typeof metadata !== 'object' || Array.isArray(metadata))) {
+    return { error: 'metadata must be an object' };
+  }
+  if (split !== null && split !== '' && !DATASET_SPLITS.includes(split)) {
+    return { error: `split must be one of ${DATASET_SPLITS.join(', ')}` };
+  }
+  const tags = parseTags(record.tags);
+  if (!tags.every((tag) => typeof tag === 'string')) {
+    return { error: 'tags must be strings' };
+  }
+
+  return {
+    item: {
+      input,
+      expectedOutput: expectedOutput === '' ? null : expectedOutput,
+      metadata,
+      tags: [...new Set(tags.map((tag) => tag.trim()).filter(Boolean))],
+      split: split || null,
+    },
+  };
+};
+
+/**
+ * Parses an uploaded dataset file into item records
+ * @param {string} content - File contents
+ * @param {string} format - csv, jsonl or json
+ * @returns {Array<Object>} Raw records, one per item
+ */
+export const parseDatasetFile = (content, format) => {
+  if (format === 'json') {
+    const parsed = JSON.parse(content);
+    const records = Array.isArray(parsed) ? parsed : parsed?.items;
+    if (!Array.isArray(records)) {
+      throw new Error('JSON must be an array of items or an object with an items array');
+    }
+    return records;
+  }
+  if (format === 'jsonl') {
+    return content
+      .split('\n')
+      .map((line) => line.trim())
+      .filter(Boolean)
+      .map((line, index) => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          throw new Error(`Line ${index + 1} is not valid JSON: ${error.message}`);
+        }
+      });
+  }
+  if (format === 'csv') {
+    return parseCsv(content).map((row) =>
+      Object.fromEntries(
+        Object.entries(row).map(([column, value]) => [
+          column,
+          column === 'tags' ? value : parseJsonCell(value),
+        ])
+      )
+    );
+  }
+  throw new Error(`Unsupported format ${format}; use ${DATASET_FORMATS.join(', ')}`);
+};
+
+/**
+ * Imports a file into a dataset. Nothing is imported when any item is invalid.
+ * Each item records the file and row it came from.
+ * @param {number} datasetId - The dataset
+ * @param {string} content - File contents
+ * @param {Object} options - { format, fileName, userId }
+ * @returns {Promise<Object>} { imported } or { errors: [{ row, error }] }
+ */
+export const importDatasetItems = async (datasetId, content, { format, fileName = null, userId = null }) => {
+  const records = parseDatasetFile(content, format);
+  if (records.length > MAX_IMPORT_ITEMS) {
+    return { errors: [{ row: null, error: `A file can have at most ${MAX_IMPORT_ITEMS} items` }] };
+  }
+
+  const items = [];
+  const errors = [];
+  records.forEach((record, index) => {
+    const { item, error } = normalizeDatasetItem(record);
+    if (error) {
+      errors.push({ row: index + 1, error });
+    } else {
+      items.push({
+        ...item,
+        datasetId,
+        source: 'import',
+        sourceRef: { format, fileName, row: index + 1 },
+        createdBy: userId,
+      });
+    }
+  });
+  if (errors.length) {
+    return { errors: errors.slice(0, MAX_REPORTED_ERRORS) };
+  }
+
+  await db.sequelize.transaction(async (transaction) => {
+    for (let i = 0; i < items.length; i += 500) {
+      await DatasetItem.bulkCreate(items.slice(i, i + 500), { transaction });
+    }
+  });
+  return { imported: items.length };
+};
+
+/**
+ * Serializes dataset items in an import format, so an export can be imported back
+ * @param {Array<Object>} items - DatasetItems or DatasetVersionItems
+ * @param {string} format - csv, jsonl or json
+ * @returns {string} The file contents
+ */
+export const exportDatasetItems = (items, format) => {
+  const records = items.map((item) => ({
+    input: item.input,
+    expectedOutput: item.expectedOutput,
+    metadata: item.metadata,
+    tags: item.tags || [],
+    split: item.split,
+  }));
+  if (format === 'json') {
+    return JSON.stringify(records, null, 2);
+  }
+  if (format === 'jsonl') {
+    return records.map((record) => JSON.stringify(record)).join('\n') + '\n';
+  }
+  if (format === 'csv') {
+    return toCsv(
+      records.map((record) => ({ ...record, tags: record.tags.join(',') })),
+      ['input', 'expectedOutput', 'metadata', 'tags', 'split']
+    );
+  }
+  throw new Error(`Unsupported format ${format}; use ${DATASET_FORMATS.join(', ')}`);
+};
+
+/**
+ * Stable position in [0, 1) of an item for a seed, so the same items land in
+ * the same splits every time
+ */
+const splitPosition = (seed, itemId) =>
+  crypto.createHash('sha256').update(`${seed}:${itemId}`).digest().readUInt32BE(0) / 2 ** 32;
+
+/**
+ * Assigns dataset items to train, test and validation splits in the given
+ * proportions. Items are spread by a hash of their id, so re-running with the
+ * same seed gives the same splits.
+ * @param {number} datasetId - The dataset
+ * @param {Object} ratios - { train, test, validation }, normalized to sum to 1
+ * @param {Object} [options] - { seed, onlyUnassigned }
+ * @returns {Promise<Object>} Item count per split
+ */
+export const assignDatasetSplits = async (datasetId, ratios, { seed = 'handit', onlyUnassigned = false } = {}) => {
+  const weights = DATASET_SPLITS.map((split) => Math.max(0, Number(ratios[split]) || 0));
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  if (!total) {
+    throw new Error('At least one split ratio must be positive');
+  }
+
+  const items = await DatasetItem.findAll({
+    where: { datasetId, ...(onlyUnassigned ? { split: null } : {}) },
+    attributes: ['id'],
+  });
+  const assigned = Object.fromEntries(DATASET_SPLITS.map((split) => [split, []]));
+  items.forEach((item) => {
+    const position = splitPosition(seed, item.id) * total;
+    let cumulative = 0;
+    const index = weights.findIndex((weight) => {
+      cumulative += weight;
+      return position < cumulative;
+    });
+    assigned[DATASET_SPLITS[index === -1 ? weights.length - 1 : index]].push(item.id);
+  });
+
+  await db.sequelize.transaction(async (transaction) => {
+    for (const split of DATASET_SPLITS) {
+      if (assigned[split].length) {
+        await DatasetItem.update({ split }, { where: { id: assigned[split] }, transaction });
+      }
+    }
+  });
+  return Object.fromEntries(DATASET_SPLITS.map((split) => [split, assigned[split].length]));
+};
+
+/**
+ * Snapshots the dataset's current items as its next version. Versions are
+ * never changed afterwards; editing items only affects later versions.
+ * @param {Object} dataset - The Dataset
+ * @param {Object} [options] - { description, userId }
+ * @returns {Promise<Object>} The DatasetVersion
+ */
+export const createDatasetVersion = async (dataset, { description = null, userId = null } = {}) =>
+  db.sequelize.transaction(async (transaction) => {
+    // Serializes concurrent snapshots of the same dataset
+    await Dataset.findByPk(dataset.id, { lock: transaction.LOCK.UPDATE, transaction });
+
+    const latest = (await DatasetVersion.max('version', { where: { datasetId: dataset.id }, transaction })) || 0;
+    const items = await DatasetItem.findAll({
+      where: { datasetId: dataset.id },
+      order: [['id', 'ASC']],
+      transaction,
+    });
+    const splitCounts = {};
+    items.forEach((item) => {
+      const split = item.split || 'unassigned';
+      splitCounts[split] = (splitCounts[split] || 0) + 1;
+    });
+
+    const version = await DatasetVersion.create(
+      {
+        datasetId: dataset.id,
+        version: latest + 1,
+        description,
+        itemCount: items.length,
+        splitCounts,
+        createdBy: userId,
+      },
+      { transaction }
+    );
+    const copies = items.map((item) => ({
+      datasetVersionId: version.id,
+      datasetItemId: item.id,
+      input: item.input,
+      expectedOutput: item.expectedOutput,
+      metadata: item.metadata,
+      tags: item.tags,
+      split: item.split,
+      source: item.source,
+      sourceRef: item.sourceRef,
+      modelLogId: item.modelLogId,
+      agentLogId: item.agentLogId,
+    }));
+    for (let i = 0; i < copies.length; i += 500) {
+      await DatasetVersionItem.bulkCreate(copies.slice(i, i + 500), { transaction });
+    }
+    await dataset.update({ version: String(version.version) }, { transaction });
+    return version;
+  });
+
+/**
+ * A dataset version of the company
+ * @returns {Promise<Object|null>} The DatasetVersion, or null when it is not the company's
+ */
+export const findCompanyDatasetVersion = async (datasetVersionId, companyId) => {
+  const version = await DatasetVersion.findByPk(datasetVersionId);
+  if (!version || !(await findCompanyDataset(version.datasetId, companyId))) {
+    return null;
+  }
+  return version;
+};
+
+/**
+ * Items of a dataset version, optionally of one split
+ */
+export const getDatasetVersionItems = async (datasetVersionId, { split } = {}) =>
+  DatasetVersionItem.findAll({
+    where: { datasetVersionId, ...(split ? { split } : {}) },
+    order: [['id', 'ASC']],
+  });
@@ -477,6 +477,53 @@ export const sendModelFailureNotification = async (
   }
 };
 
+/**
+ * Tells a company's users that a prompt release was rolled back.
+ * @param {Object} options - Notification options.
+ * @param {number} options.companyId - Company whose users are notified.
+ * @param {string} options.modelName - Name of the model (node) rolled back.
+ * @param {string} options.agentName - Name of the agent the node belongs to.
+ * @param {string} options.reason - Why the release was rolled back.
+ * @param {string} options.promptVersionsUrl - Dashboard page of the node's prompt versions.
+ * @param {number} options.sourceId - Deploy history record of the rollback.
+ * @returns {Promise<void>}
+ */
+export const sendPromptRollbackNotification = async ({
+  companyId,
+  modelName,
+  agentName,
+  reason,
+  promptVersionsUrl,
+  sourceId,
+  Email,
+  User,
+}) => {
+  try {
+    const users = await User.findAll({ where: { companyId } });
+    for (const user of users) {
+      await sendTemplatedEmail({
+        to: user.email,
+        subject: `[Handit.AI] Prompt Release Rolled Back - ${agentName || modelName}`,
+        templateName: 'alertTemplate',
+        templateData: {
+          errorType: 'Prompt release rolled back',
+          errorDescription: reason,
+          errorDate: new Date().toLocaleString(),
+          errorModel: agentName ? `${agentName} / ${modelName}` : modelName,
+          alertLink: promptVersionsUrl,
+          year: new Date().getFullYear(),
+        },
+        Email,
+        User,
+        notificationSource: 'prompt_rollback',
+        sourceId,
+      });
+    }
+  } catch (error) {
+    console.error('Error sending prompt rollback notification:', error);
+  }
+};
+
 /**
  * Sends a tool error notification email when an agent node log has an error.
  * @param {Object} agentNodeLog - The agent node log that contains the error.
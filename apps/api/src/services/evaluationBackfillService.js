@@ -0,0 +1,410 @@
+import { Op } from 'sequelize';
+import db from '../../models/index.js';
+import { evaluate, getEvaluatorModel } from './evaluationService.js';
+import { countJudgments, isEnsemble } from './judgeEnsembleService.js';
+import { getRetrievedContext } from './ragEvaluationService.js';
+import { estimateTokens } from './samplingService.js';
+import { calculateCost, findPricing, getCompanyPricing } from './costService.js';
+import { parseContext, parseInputContent, parseOutputContent } from './parser.js';
+import { runWithUsageContext } from './usageContext.js';
+import { addEvaluationBackfillJob } from '../jobs/evaluationBackfillJob.js';
+
+const { EvaluationBackfill, EvaluationBackfillResult, Model, ModelGroup, ModelLog } = db;
+
+// Most logs one backfill re-evaluates
+const BACKFILL_MAX_ENTRIES = parseInt(process.env.BACKFILL_MAX_ENTRIES || '5000', 10);
+// Logs evaluated between progress updates and cancellation checks
+const BACKFILL_BATCH_SIZE = parseInt(process.env.BACKFILL_BATCH_SIZE || '20', 10);
+// Logs of the window sampled to estimate the tokens of each judgment
+const BACKFILL_ESTIMATE_SAMPLE_SIZE = 20;
+// Tokens of a judge's { score, analysis, errors } answer
+const JUDGE_OUTPUT_TOKENS = 200;
+
+const ACTIVE_STATUSES = ['pending', 'running'];
+
+/**
+ * Checks the historical window of a backfill
+ * @param {Object} filters - { startDate, endDate, environment, limit }
+ * @returns {string|null} What is wrong with it, or null when it is valid
+ */
+export const validateBackfillFilters = (filters) => {
+  if (!filters || typeof filters !== 'object') {
+    return 'filters must be an object with startDate and endDate';
+  }
+  const startDate = new Date(filters.startDate);
+  const endDate = new Date(filters.endDate);
+  if (!filters.startDate || !filters.endDate || isNaN(startDate) || isNaN(endDate)) {
+    return 'filters.startDate and filters.endDate must be dates';
+  }
+  if (startDate >= endDate) {
+    return 'filters.startDate must be before filters.endDate';
+  }
+  if (filters.limit !== undefined && (!Number.isInteger(filters.limit) || filters.limit < 1)) {
+    return 'filters.limit must be a positive integer';
+  }
+  return null;
+};
+
+const normalizeFilters = (filters) => ({
+  startDate: new Date(filters.startDate).toISOString(),
+  endDate: new Date(filters.endDate).toISOString(),
+  environment: filters.environment || 'production',
+  limit: Math.min(filters.limit || BACKFILL_MAX_ENTRIES, BACKFILL_MAX_ENTRIES),
+});
+
+const windowWhere = (modelId, filters) => ({
+  modelId,
+  environment: filters.environment,
+  createdAt: { [Op.between]: [filters.startDate, filters.endDate] },
+});
+
+/**
+ * Loads the model and the selected evaluators of a backfill request. The
+ * evaluators must be associated with the model, since their association
+ * decides how the model's logs are judged.
+ * @param {number} companyId - The company making the request
+ * @param {Object} request - { modelId, evaluationPromptIds, filters }
+ * @returns {Promise<Object>} { error, status } or { model, evaluators, filters }
+ */
+export const prepareBackfill = async (companyId, { modelId, evaluationPromptIds, filters }) => {
+  const ids = Array.isArray(evaluationPromptIds) ? [...new Set(evaluationPromptIds.map(Number))] : [];
+  if (!modelId || !ids.length) {
+    return { error: 'modelId and evaluationPromptIds are required', status: 400 };
+  }
+  const filtersError = validateBackfillFilters(filters);
+  if (filtersError) {
+    return { error: filtersError, status: 400 };
+  }
+
+  const modelGroups = await ModelGroup.findAll({ where: { companyId }, attributes: ['id'] });
+  const model = await Model.findOne({
+    where: { id: modelId, modelGroupId: modelGroups.map((modelGroup) => modelGroup.id) },
+  });
+  if (!model) {
+    return { error: 'Model not found', status: 404 };
+  }
+  const evaluators = (await model.evaluationPrompts()).filter((association) =>
+    ids.includes(association.evaluationPromptId)
+  );
+  if (evaluators.length !== ids.length) {
+    return { error: 'Every evaluator must be associated with the model', status: 400 };
+  }
+
+  return { model, evaluators, filters: normalizeFilters(filters) };
+};
+
+/**
+ * Tokens of one judgment of an evaluator on a log: its prompt, and the input,
+ * system prompt, output and, for RAG evaluators, retrieved documents it is given
+ */
+const estimateJudgmentTokens = (evaluationPrompt, log) =>
+  estimateTokens(evaluationPrompt.prompt) +
+  estimateTokens(parseInputContent(log.input)) +
+  estimateTokens(parseContext(log.input)) +
+  estimateTokens(parseOutputContent(log.output)) +
+  (evaluationPrompt.ragMetric
+    ? getRetrievedContext(log).reduce((sum, document) => sum + estimateTokens(document.content), 0)
+    : 0);
+
+/**
+ * Estimates the tokens and USD cost of a backfill from a sample of the logs
+ * in its window. Function evaluators run no LLM calls, so they cost nothing;
+ * an ensemble costs one judgment per judge and sample, priced at its default
+ * judge's model. Evaluators whose model has no known price have a null cost.
+ * @returns {Promise<Object>} { entries, evaluators: [{ evaluationPromptId, name, model, judgments, inputTokens, outputTokens, cost }], totalTokens, totalCost }
+ */
+export const estimateBackfill = async (companyId, model, evaluators, filters) => {
+  const where = windowWhere(model.id, filters);
+  const entries = Math.min(await ModelLog.count({ where }), filters.limit);
+  const sample = await ModelLog.findAll({
+    where,
+    attributes: ['id', 'input', 'output', 'retrievedContext'],
+    order: [['id', 'ASC']],
+    limit: BACKFILL_ESTIMATE_SAMPLE_SIZE,
+  });
+  const customPricing = await getCompanyPricing(companyId, db);
+
+  const estimates = evaluators.map(({ evaluationPrompt }) => {
+    const isFunction = evaluationPrompt.type === 'function';
+    const judgments = isFunction ? 0 : isEnsemble(evaluationPrompt) ? countJudgments(evaluationPrompt.ensemble) : 1;
+    const sampleTokens = sample.reduce((sum, log) => sum + estimateJudgmentTokens(evaluationPrompt, log), 0);
+    const inputTokens = sample.length ? Math.round((sampleTokens / sample.length) * entries * judgments) : 0;
+    const outputTokens = JUDGE_OUTPUT_TOKENS * entries * judgments;
+    const judgeModel = isFunction ? null : getEvaluatorModel(evaluationPrompt) || null;
+    const pricing = judgeModel
+      ? findPricing(judgeModel, evaluationPrompt.defaultIntegrationToken?.provider?.name, customPricing)
+      : null;
+
+    return {
+      evaluationPromptId: evaluationPrompt.id,
+      name: evaluationPrompt.name,
+      model: judgeModel,
+      judgments: judgments * entries,
+      inputTokens,
+      outputTokens,
+      cost: isFunction
+        ? 0
+        : pricing
+          ? calculateCost({ inputTokens, outputTokens, cachedTokens: 0 }, pricing).totalCost
+          : null,
+    };
+  });
+
+  return {
+    entries,
+    evaluators: estimates,
+    totalTokens: estimates.reduce((sum, estimate) => sum + estimate.inputTokens + estimate.outputTokens, 0),
+    totalCost: estimates.some((estimate) => estimate.cost === null)
+      ? null
+      : estimates.reduce((sum, estimate) => sum + estimate.cost, 0),
+  };
+};
+
+/**
+ * Stores a backfill with its estimate and queues its run
+ * @returns {Promise<Object>} The EvaluationBackfill
+ */
+export const createBackfill = async (companyId, model, evaluators, filters, estimate) => {
+  const backfill = await EvaluationBackfill.create({
+    companyId,
+    modelId: model.id,
+    evaluationPromptIds: evaluators.map((association) => association.evaluationPromptId),
+    evaluators: evaluators.map(({ evaluationPrompt }) => ({
+      id: evaluationPrompt.id,
+      name: evaluationPrompt.name,
+      type: evaluationPrompt.type,
+      version: evaluationPrompt.version ?? null,
+    })),
+    filters,
+    total: estimate.entries,
+    estimate,
+  });
+  await addEvaluationBackfillJob(backfill.id);
+  return backfill;
+};
+
+/**
+ * Estimates a backfill request and, unless its estimate exceeds maxCostUsd,
+ * creates and queues it
+ * @param {number} companyId - The company making the request
+ * @param {Object} request - { modelId, evaluationPromptIds, filters, maxCostUsd }
+ * @returns {Promise<Object>} { error, status, estimate } or { backfill }
+ */
+export const requestBackfill = async (companyId, request) => {
+  const prepared = await prepareBackfill(companyId, request);
+  if (prepared.error) {
+    return prepared;
+  }
+  const { model, evaluators, filters } = prepared;
+  const estimate = await estimateBackfill(companyId, model, evaluators, filters);
+  if (!estimate.entries) {
+    return { error: 'No logs match the filters', status: 400, estimate };
+  }
+  const { maxCostUsd } = request;
+  if (maxCostUsd !== undefined && maxCostUsd !== null) {
+    if (estimate.totalCost === null) {
+      return { error: 'The cost of some evaluators is unknown, so maxCostUsd cannot be checked', status: 400, estimate };
+    }
+    if (estimate.totalCost > Number(maxCostUsd)) {
+      return { error: `The estimated cost of ${estimate.totalCost} USD exceeds maxCostUsd`, status: 400, estimate };
+    }
+  }
+  return { backfill: await createBackfill(companyId, model, evaluators, filters, estimate) };
+};
+
+/**
+ * Re-evaluates one log with the backfill's evaluators. The log's own scores
+ * are left as they are; a retried log replaces its earlier results.
+ */
+const backfillLog = async (backfill, model, evaluators, log) => {
+  const evaluations = await runWithUsageContext(
+    {
+      category: 'evaluation',
+      companyId: backfill.companyId,
+      modelId: model.id,
+      modelLogId: log.id,
+      environment: log.environment,
+    },
+    () => evaluate(log, evaluators, model.flags?.isN8N)
+  );
+
+  await EvaluationBackfillResult.destroy({ where: { backfillId: backfill.id, modelLogId: log.id } });
+  for (const evaluation of evaluations) {
+    const previousScore = log.actual?.[evaluation.evaluator];
+    await EvaluationBackfillResult.create({
+      backfillId: backfill.id,
+      modelLogId: log.id,
+      evaluationPromptId: evaluation.evaluatorId,
+      score: evaluation.score,
+      previousScore: typeof previousScore === 'number' ? previousScore : null,
+      isCorrect: evaluation.isInformative || evaluation.ensemble?.disagreement ? null : evaluation.score >= 8,
+      analysis: evaluation.analysis,
+      errors: evaluation.errors,
+      data: {
+        evaluatorVersion: evaluation.evaluatorVersion ?? null,
+        judgeModel: evaluation.judgeModel || null,
+        judgeProvider: evaluation.judgeProvider || null,
+        ...(evaluation.ensemble ? { ensemble: evaluation.ensemble } : {}),
+      },
+    });
+  }
+};
+
+/**
+ * Runs a backfill in batches, saving its progress after each one so a
+ * retried run resumes where it stopped and a cancellation takes effect
+ * before the next batch
+ * @param {number} backfillId - The backfill to run
+ * @returns {Promise<Object>} The EvaluationBackfill
+ */
+export const runBackfill = async (backfillId) => {
+  const backfill = await EvaluationBackfill.findByPk(backfillId);
+  if (!backfill) {
+    throw new Error(`Evaluation backfill ${backfillId} not found`);
+  }
+  if (!ACTIVE_STATUSES.includes(backfill.status) && backfill.status !== 'failed') {
+    return backfill;
+  }
+
+  try {
+    await backfill.update({ status: 'running', startedAt: backfill.startedAt || new Date(), error: null });
+
+    const model = await Model.findByPk(backfill.modelId);
+    if (!model) {
+      throw new Error('The model no longer exists');
+    }
+    const evaluators = (await model.evaluationPrompts()).filter((association) =>
+      backfill.evaluationPromptIds.includes(association.evaluationPromptId)
+    );
+    if (!evaluators.length) {
+      throw new Error('None of the evaluators are associated with the model anymore');
+    }
+
+    while (backfill.processed < backfill.total) {
+      await backfill.reload();
+      if (backfill.status === 'cancelled') {
+        return backfill;
+      }
+
+      const logs = await ModelLog.findAll({
+        where: {
+          ...windowWhere(model.id, backfill.filters),
+          ...(backfill.lastModelLogId ? { id: { [Op.gt]: backfill.lastModelLogId } } : {}),
+        },
+        order: [['id', 'ASC']],
+        limit: Math.min(BACKFILL_BATCH_SIZE, backfill.total - backfill.processed),
+      });
+      if (!logs.length) {
+        break;
+      }
+
+      let failed = 0;
+      for (const log of logs) {
+        try {
+          await backfillLog(backfill, model, evaluators, log);
+        } catch (error) {
+          failed++;
+          console.error(`Backfill ${backfill.id} could not evaluate model log ${log.id}:`, error);
+        }
+      }
+      await backfill.update({
+        processed: backfill.processed + logs.length,
+        failed: backfill.failed + failed,
+        lastModelLogId: logs[logs.length - 1].id,
+      });
+    }
+
+    // A backfill cancelled during its last batch stays cancelled
+    await EvaluationBackfill.update(
+      { status: 'completed', completedAt: new Date() },
+      { where: { id: backfill.id, status: 'running' } }
+    );
+    return backfill.reload();
+  } catch (error) {
+    await backfill.update({ status: 'failed', error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Progress of a backfill for progress bars
+ * @returns {Object} { total, processed, failed, percent }
+ */
+export const getBackfillProgress = (backfill) => ({
+  total: backfill.total,
+  processed: backfill.processed,
+  failed: backfill.failed,
+  percent: backfill.total ? Math.round((backfill.processed / backfill.total) * 100) : 100,
+});
+
+/**
+ * Cancels a pending or running backfill. A running batch finishes; results
+ * stored so far are kept.
+ * @returns {Promise<boolean>} Whether the backfill was still active
+ */
+export const cancelBackfill = async (backfill) => {
+  if (!ACTIVE_STATUSES.includes(backfill.status)) {
+    return false;
+  }
+  await backfill.update({ status: 'cancelled', cancelledAt: new Date() });
+  return true;
+};
+
+/**
+ * Original and backfilled scores of each evaluator over the backfill's
+ * window, in total and per day of the logs, for before/after metric charts
+ * @returns {Promise<Array<Object>>} [{ evaluationPromptId, name, original, backfilled, daily }]
+ */
+export const getBackfillMetrics = async (backfill) => {
+  const rows = await db.sequelize.query(
+    `
+    SELECT
+      r.evaluation_prompt_id AS "evaluationPromptId",
+      DATE(ml.created_at) AS date,
+      COUNT(r.score) AS "backfilledEntries",
+      AVG(r.score) AS "backfilledScore",
+      COUNT(r.previous_score) AS "originalEntries",
+      AVG(r.previous_score) AS "originalScore"
+    FROM "EvaluationBackfillResults" r
+    JOIN "ModelLogs" ml ON ml.id = r.model_log_id
+    WHERE r.backfill_id = :backfillId
+    GROUP BY r.evaluation_prompt_id, DATE(ml.created_at)
+    ORDER BY date
+    `,
+    {
+      replacements: { backfillId: backfill.id },
+      type: db.sequelize.QueryTypes.SELECT,
+    }
+  );
+
+  // Averages over all days, weighted by how many logs each day scored
+  const overall = (evaluatorRows, kind) => {
+    const entries = evaluatorRows.reduce((sum, row) => sum + parseInt(row[`${kind}Entries`], 10), 0);
+    const total = evaluatorRows.reduce(
+      (sum, row) => sum + (parseFloat(row[`${kind}Score`]) || 0) * parseInt(row[`${kind}Entries`], 10),
+      0
+    );
+    return { entries, averageScore: entries ? total / entries : null };
+  };
+  const dayScore = (row, kind) => (row[`${kind}Score`] === null ? null : parseFloat(row[`${kind}Score`]));
+
+  return (backfill.evaluators || []).map((evaluator) => {
+    const evaluatorRows = rows.filter((row) => row.evaluationPromptId === evaluator.id);
+    const daily = {};
+    for (const row of evaluatorRows) {
+      const date = new Date(row.date);
+      // Same day keys as the other metrics (day-month-year, not zero padded)
+      daily[`${date.getUTCDate()}-${date.getUTCMonth() + 1}-${date.getUTCFullYear()}`] = {
+        original: dayScore(row, 'original'),
+        backfilled: dayScore(row, 'backfilled'),
+      };
+    }
+    return {
+      evaluationPromptId: evaluator.id,
+      name: evaluator.name,
+      original: overall(evaluatorRows, 'original'),
+      backfilled: overall(evaluatorRows, 'backfilled'),
+      daily,
+    };
+  });
+};
@@ -1,4 +1,5 @@
 import { textGenerationPrompts } from './prompts/textGenerationPrompts.js';
+import { ragEvaluators } from './prompts/ragPrompts.js';
 import db from '../../models/index.js';
 const { EvaluationPrompt, EvaluatorMetric } = db;
 
@@ -75,6 +76,8 @@ const defaultEvaluationPrompts = [
       };
     `,
   },
+  // RAG evaluators, which only score entries with retrieved context
+  ...ragEvaluators,
 ];
 
 /**
@@ -116,6 +119,7 @@ export async function createDefaultEvaluationPrompts(companyId) {
         type: promptTemplate.type,
         isInformative: promptTemplate.isInformative,
         functionBody: promptTemplate.functionBody,
+        ragMetric: promptTemplate.ragMetric || null,
         // defaultIntegrationTokenId will be null initially - user needs to set it up
         defaultIntegrationTokenId: null,
         defaultProviderModel: null,
@@ -0,0 +1,178 @@
+import { QueryTypes } from 'sequelize';
+import db from '../../models/index.js';
+import {
+  evaluationQueue,
+  evaluationDeadLetterQueue,
+} from './queue.js';
+import {
+  addEvaluationJob,
+  enqueueModelLogEvaluation,
+  getEvaluationJobId,
+  EVALUATION_STAGES,
+} from '../jobs/evaluationJob.js';
+
+const { ModelLog, EvaluationPipelineRun } = db;
+
+/**
+ * Returns the pipeline run of a model log together with the queue state of its
+ * current stage job
+ * @param {number} modelLogId - The model log ID
+ * @returns {Object|null} Pipeline status or null when the log was never enqueued
+ */
+export const getEvaluationPipelineStatus = async (modelLogId) => {
+  const run = await EvaluationPipelineRun.findOne({ where: { modelLogId } });
+  if (!run) {
+    return null;
+  }
+
+  let job = null;
+  if (run.currentStage) {
+    const queued = await evaluationQueue.getJob(
+      getEvaluationJobId(modelLogId, run.currentStage)
+    );
+    if (queued) {
+      job = {
+        id: queued.id,
+        stage: queued.name,
+        state: await queued.getState(),
+        attemptsMade: queued.attemptsMade,
+        failedReason: queued.failedReason || null,
+      };
+    }
+  }
+
+  return {
+    modelLogId: run.modelLogId,
+    status: run.status,
+    currentStage: run.currentStage,
+    stages: EVALUATION_STAGES.map((stage) => ({
+      stage,
+      status: 'pending',
+      ...(run.stages?.[stage] || {}),
+    })),
+    lastError: run.lastError,
+    completedAt: run.completedAt,
+    createdAt: run.createdAt,
+    updatedAt: run.updatedAt,
+    job,
+  };
+};
+
+/**
+ * Re-enqueues a dead-lettered (or stuck) pipeline from the stage that failed.
+ * Stages that already completed are not run again.
+ * @param {number} modelLogId - The model log ID
+ * @returns {Object} Updated pipeline status
+ */
+export const retryEvaluationPipeline = async (modelLogId) => {
+  const modelLog = await ModelLog.findByPk(modelLogId);
+  if (!modelLog) {
+    throw new Error('Model Log not found');
+  }
+
+  let run = await EvaluationPipelineRun.findOne({ where: { modelLogId } });
+  if (!run) {
+    await enqueueModelLogEvaluation(modelLog, db);
+    return getEvaluationPipelineStatus(modelLogId);
+  }
+
+  if (run.status === 'completed') {
+    throw new Error('Evaluation pipeline already completed');
+  }
+
+  const stage = run.currentStage || EVALUATION_STAGES[0];
+  const jobId = getEvaluationJobId(modelLogId, stage);
+
+  const existing = await evaluationQueue.getJob(jobId);
+  if (existing) {
+    const state = await existing.getState();
+    if (['active', 'waiting', 'delayed'].includes(state)) {
+      throw new Error(`Stage ${stage} is already ${state}`);
+    }
+    await existing.remove();
+  }
+  const deadLettered = await evaluationDeadLetterQueue.getJob(jobId);
+  if (deadLettered) {
+    await deadLettered.remove();
+  }
+
+  await run.updateStage(stage, { status: 'pending', error: null });
+  run = await run.update({ status: 'pending', lastError: null });
+  await addEvaluationJob({ modelLogId, stage, context: run.context || {} });
+
+  return getEvaluationPipelineStatus(modelLogId);
+};
+
+/**
+ * IDs of the company's model logs among the given ones
+ */
+const filterCompanyModelLogIds = async (companyId, modelLogIds) => {
+  if (!modelLogIds.length) {
+    return [];
+  }
+  const rows = await db.sequelize.query(
+    `
+    SELECT ml.id
+    FROM "ModelLogs" ml
+    INNER JOIN "Models" m ON m.id = ml.model_id
+    INNER JOIN "ModelGroups" mg ON mg.id = m.model_group_id
+    WHERE ml.id IN (:modelLogIds) AND mg.company_id = :companyId
+    `,
+    { replacements: { modelLogIds, companyId }, type: QueryTypes.SELECT }
+  );
+  return rows.map((row) => row.id);
+};
+
+/**
+ * Pipeline runs of the company's model logs by status. The queues are shared
+ * between companies, so their job counts are not reported.
+ * @param {number} companyId - The company
+ * @returns {Promise<Object>} { runs: { [status]: count } }
+ */
+export const getEvaluationQueueStatus = async (companyId) => {
+  const runs = await db.sequelize.query(
+    `
+    SELECT r.status, COUNT(*) AS count
+    FROM "EvaluationPipelineRuns" r
+    INNER JOIN "ModelLogs" ml ON ml.id = r.model_log_id
+    INNER JOIN "Models" m ON m.id = ml.model_id
+    INNER JOIN "ModelGroups" mg ON mg.id = m.model_group_id
+    WHERE mg.company_id = :companyId
+    GROUP BY r.status
+    `,
+    { replacements: { companyId }, type: QueryTypes.SELECT }
+  );
+
+  return {
+    runs: runs.reduce((acc, { status, count }) => {
+      acc[status] = Number(count);
+      return acc;
+    }, {}),
+  };
+};
+
+/**
+ * Lists the company's dead-lettered pipeline stages, most recent first. The
+ * dead-letter queue is shared, so `start` to `end` is the window of jobs
+ * searched and up to `limit` of them are the company's.
+ * @param {number} companyId - The company
+ */
+export const listDeadLetteredEvaluations = async (companyId, { start = 0, end = 499, limit = 50 } = {}) => {
+  const jobs = (
+    await evaluationDeadLetterQueue.getJobs(['waiting', 'delayed', 'paused'], start, end)
+  ).filter(Boolean);
+  const companyModelLogIds = await filterCompanyModelLogIds(
+    companyId,
+    [...new Set(jobs.map((job) => job.data.modelLogId))]
+  );
+  return jobs
+    .filter((job) => companyModelLogIds.includes(job.data.modelLogId))
+    .slice(0, limit)
+    .map((job) => ({
+      id: job.id,
+      modelLogId: job.data.modelLogId,
+      stage: job.data.stage,
+      error: job.data.error,
+      deadLetteredAt: new Date(job.timestamp),
+    }));
+};
@@ -9,6 +9,7 @@ import {
   parseOutputContent,
 } from './parser.js';
 import { isCorrect } from './entries/correctnessEvaluatorService.js';
+import { runFunctionEvaluator } from './sandbox/functionEvaluatorSandbox.js';
 import {
   classificationEvaluationSystemPrompt,
   classificationEvaluationUserPrompt,
@@ -24,6 +25,13 @@ import fs from 'fs';
 import path from 'path';
 import os from 'os';
 import { generateAIResponse } from './aiService.js';
+import {
+  aggregateJudgments,
+  ensembleTemperature,
+  isEnsemble,
+  resolveEnsembleJudges,
+} from './judgeEnsembleService.js';
+import { buildRagContent, getRagSkipReason, getRetrievedContext } from './ragEvaluationService.js';
 import { Op } from 'sequelize';
 
 
@@ -63,11 +71,40 @@ const LLMEvaluation = z.object({
   feedback: z.string(),
 });
 
+const JudgeEvaluation = z.object({
+  score: z.number(),
+  analysis: z.string(),
+  errors: z.array(z.string()),
+});
+
 const randomSample = (array, n) => {
   const shuffled = array.sort(() => 0.5 - Math.random());
   return shuffled.slice(0, n);
 };
 
+/**
+ * The model an evaluator judges with: its configured model, or a default for
+ * the provider of its integration token
+ * @param {Object} evaluationPrompt - EvaluationPrompt with its defaultIntegrationToken.provider
+ * @returns {string|undefined} The model name
+ */
+export const getEvaluatorModel = (evaluationPrompt) => {
+  if (evaluationPrompt?.defaultProviderModel) {
+    return evaluationPrompt.defaultProviderModel;
+  }
+  const provider = evaluationPrompt?.defaultIntegrationToken?.provider?.name;
+  if (provider === 'OpenAI') {
+    return 'gpt-4o';
+  } else if (provider === 'TogetherAI') {
+    return 'meta-llama/Llama-4-Maverick-17B-128E-Instruct-FP8';
+  } else if (provider === 'GoogleAI') {
+    return 'gemini-2.0-flash';
+  } else if (provider === 'AWSBedrock') {
+    return 'anthropic.claude-3-5-sonnet-20240620-v1:0';
+  }
+  return undefined;
+};
+
 export const summaryEvaluation = async (log, evaluatorPrompts = null) => {
   if (!evaluatorPrompts) {
     evaluatorPrompts = dataExtractionPrompts;
@@ -111,46 +148,74 @@ export const summaryEvaluation = async (log, evaluatorPrompts = null) => {
   return summary;
 };
 
-export const singleEvaluate = async (entry, evaluator, prompts = [], isN8N = false, EvaluationLog = null) => {
+/**
+ * Evaluates an entry, stores the verdict on it and logs each evaluator's score.
+ * The logs are written in a single insert, so an entry has either all or none
+ * of the logs of a run.
+ * @param {Array<Object>} [previousEvaluations] - Evaluations an earlier run already logged; they count towards the verdict but are not logged again
+ * @returns {Promise<Object>} { entry, evaluation, status }
+ */
+export const singleEvaluate = async (
+  entry,
+  evaluator,
+  prompts = [],
+  isN8N = false,
+  EvaluationLog = null,
+  previousEvaluations = []
+) => {
   const MAX_RETRIES = 2;
 
   let retries = 0;
-  let evaluation;
+  let newEvaluations;
 
   while (retries < MAX_RETRIES) {
     try {
-      evaluation = await evaluate(entry, prompts, isN8N);
+      newEvaluations = await evaluate(entry, prompts, isN8N);
       break; 
     } catch {
       retries++;
     }
   }
+  const evaluation = [...previousEvaluations, ...newEvaluations];
   let parsedOutput;
 
   parsedOutput = parseEvaluatorsOutput(evaluation);
-  const status = isCorrect({ actual: parsedOutput }) ? 'success' : 'error';
+  // Ensemble judges that split on the label leave the entry to a human reviewer
+  const disagreement = evaluation.some((ev) => !ev.isInformative && ev.ensemble?.disagreement);
+  const status = disagreement ? null : isCorrect({ actual: parsedOutput }) ? 'success' : 'error';
 
-  await updateModelLog(entry, {
-    actual: parsedOutput,
-    autoEvaluationProcessed: true,
-    processed: true,
-    status: status,
-  });
-
-  for (const ev of evaluation) {
-    const evaluationId = ev.evaluatorId;
-    const score = ev.score;
-    if (!EvaluationLog) {
-      continue;
-    }
-    await EvaluationLog.create({
-      modelLogId: entry.id,
-      modelId: entry.modelId,
-      evaluationPromptId: evaluationId,
-      isCorrect: ev.isInformative ? null : score >= 8,
+  if (disagreement) {
+    await updateModelLog(entry, {
+      actual: parsedOutput,
+      autoEvaluationProcessed: true,
+      processed: false,
+      reviewReason: 'judge_disagreement',
+    });
+  } else {
+    await updateModelLog(entry, {
+      actual: parsedOutput,
+      autoEvaluationProcessed: true,
+      processed: true,
+      status: status,
     });
   }
 
+  if (EvaluationLog && newEvaluations.length) {
+    await EvaluationLog.bulkCreate(
+      newEvaluations.map((ev) => ({
+        modelLogId: entry.id,
+        modelId: entry.modelId,
+        evaluationPromptId: ev.evaluatorId,
+        evaluatorVersion: ev.evaluatorVersion ?? null,
+        judgeModel: ev.judgeModel || null,
+        judgeProvider: ev.judgeProvider || null,
+        score: ev.score,
+        isCorrect: ev.isInformative || ev.ensemble?.disagreement ? null : ev.score >= 8,
+        data: ev.ensemble ? { ensemble: ev.ensemble } : null,
+      }))
+    );
+  }
+
   return { entry, evaluation, status };
 };
 
@@ -285,11 +350,70 @@ export const parseEvaluatorsOutput = (evaluations) => {
   return output;
 };
 
-const evaluate = async (entry, prompts = [], isN8N = false) => {
+/**
+ * Judges an entry with every judge and sample of an evaluator's ensemble and
+ * combines the judgments. Failed judgments are left out; the evaluation only
+ * fails when all of them do.
+ * @param {Object} evaluationPrompt - EvaluationPrompt with an ensemble config
+ * @param {Function} judge - Runs one judgment: ({ token, model }, temperature) => { score, analysis, errors }
+ * @returns {Promise<Object>} { score, analysis, errors, ensemble }
+ */
+const judgeWithEnsemble = async (evaluationPrompt, judge) => {
+  const { ensemble } = evaluationPrompt;
+  const judges = await resolveEnsembleJudges(evaluationPrompt, getEvaluatorModel);
+  const temperature = ensembleTemperature(ensemble);
+
+  const runs = judges.flatMap((judgeConfig) =>
+    Array.from({ length: ensemble.samples || 1 }, (_, sample) => ({ judgeConfig, sample }))
+  );
+  const results = await Promise.allSettled(runs.map(({ judgeConfig }) => judge(judgeConfig, temperature)));
+
+  const judgments = [];
+  results.forEach((result, index) => {
+    const { judgeConfig, sample } = runs[index];
+    if (result.status === 'fulfilled') {
+      judgments.push({
+        score: result.value.score,
+        analysis: result.value.analysis,
+        errors: result.value.errors,
+        provider: judgeConfig.token?.provider?.name || 'TogetherAI',
+        model: judgeConfig.model || null,
+        sample,
+      });
+    } else {
+      console.error(`Ensemble judgment of evaluator ${evaluationPrompt.id} failed:`, result.reason);
+    }
+  });
+  if (!judgments.length) {
+    throw new Error(`Every judgment of evaluator ${evaluationPrompt.name} failed`);
+  }
+  return aggregateJudgments(judgments, ensemble);
+};
+
+/**
+ * The judge model and provider of an LLM evaluation, for its EvaluationLog.
+ * An ensemble lists each distinct model and provider of its judgments.
+ */
+const describeJudges = (judges) => ({
+  judgeModel: [...new Set(judges.map((judge) => judge.model).filter(Boolean))].join(', ') || null,
+  judgeProvider: [...new Set(judges.map((judge) => judge.provider).filter(Boolean))].join(', ') || null,
+});
+
+/**
+ * Runs evaluators on one entry. When the entry has an expectedOutput (e.g. a
+ * dataset item of an experiment), judges are given it as the reference answer.
+ * RAG evaluators also get the entry's retrieved documents and are skipped,
+ * with no score, for entries they cannot judge.
+ * @param {Object} entry - { input, output, expectedOutput, retrievedContext }
+ * @param {Array} prompts - [{ evaluationPrompt }] with their default integration token
+ * @returns {Promise<Array>} One { score, analysis, errors, evaluator, evaluatorId, evaluatorVersion, judgeModel, judgeProvider, isInformative } per evaluator
+ */
+export const evaluate = async (entry, prompts = [], isN8N = false) => {
   const attachment = await parseAttachments(entry.input);
   const parsedOutput = parseOutputContent(entry.output);
   const context = parseContext(entry.input);
   const observation = entry?.input?.previousSteps?.map((step) => step.observation).join('\n\n');
+  const retrievedContext = getRetrievedContext(entry);
 
   const imageAttachments = attachment
     .filter(
@@ -335,57 +459,45 @@ const evaluate = async (entry, prompts = [], isN8N = false) => {
       
       // Check if this is a function-based evaluator
       if (evaluatorPrompt.type === 'function') {
-        try {
-          // Create an async function from the function body
-          const evaluatorFunction = new Function('entry', 'parseInputContent', 'parseContext', 'parseOutputContent', 'parseAttachments', 'parsedOutput', 'context', 'observation', 'userContent', `
-            return (async () => {
-              ${evaluatorPrompt.functionBody}
-            })();
-          `);
-          
-          // Execute the async function with the same parameters as prompt evaluators
-          const result = await evaluatorFunction(entry, parseInputContent, parseContext, parseOutputContent, parseAttachments, parsedOutput, context, observation, userContent);
-          
-          // Validate the result structure
-          if (!result || typeof result !== 'object') {
-            throw new Error('Function evaluator must return an object');
-          }
-          
-          if (typeof result.score !== 'number' || result.score < 0 || result.score > 10) {
-            throw new Error('Function evaluator must return a score between 0 and 10');
-          }
-          
-          if (!result.analysis || typeof result.analysis !== 'string') {
-            throw new Error('Function evaluator must return an analysis string');
-          }
-          
-          if (!Array.isArray(result.errors)) {
-            throw new Error('Function evaluator must return an errors array');
-          }
-          
+        // Customer-authored code runs in a resource-limited sandbox, never in this process
+        const execution = await runFunctionEvaluator(evaluatorPrompt.functionBody, {
+          entry,
+          parsedOutput,
+          context,
+          observation,
+          userContent,
+        });
+
+        if (execution.success) {
           evaluations.push({
-            score: result.score,
-            analysis: result.analysis,
-            errors: result.errors,
+            score: execution.result.score,
+            analysis: execution.result.analysis,
+            errors: execution.result.errors,
             evaluator: evaluatorPrompt.name,
             evaluatorId: evaluatorPrompt.id,
+            evaluatorVersion: evaluatorPrompt.version ?? null,
             isInformative: evaluatorPrompt.isInformative || false,
           });
-          
-          continue; // Skip the prompt-based evaluation logic
-        } catch (error) {
-          console.error(`Error executing function evaluator ${evaluatorPrompt.name}:`, error);
+        } else {
+          console.error(`Error executing function evaluator ${evaluatorPrompt.name}:`, execution.error);
           // Fall back to a default evaluation if function fails
           evaluations.push({
             score: 0,
-            analysis: `Function evaluator failed: ${error.message}`,
-            errors: [`Function execution error: ${error.message}`],
+            analysis: `Function evaluator failed: ${execution.error.message}`,
+            errors: [`Function execution error (${execution.error.code}): ${execution.error.message}`],
+            errorDetails: execution.error,
             evaluator: evaluatorPrompt.name,
             evaluatorId: evaluatorPrompt.id,
+            evaluatorVersion: evaluatorPrompt.version ?? null,
             isInformative: evaluatorPrompt.isInformative || false,
           });
-          continue;
         }
+        continue; // Skip the prompt-based evaluation logic
+      }
+
+      const { ragMetric } = evaluatorPrompt;
+      if (ragMetric && getRagSkipReason(ragMetric, retrievedContext, entry)) {
+        continue;
       }
       
       // Original prompt-based evaluation logic
@@ -420,10 +532,24 @@ const evaluate = async (entry, prompts = [], isN8N = false) => {
             { type: 'text', text: `System Prompt: ${context}` },
             // add observation only if it is not empty
             observation && { type: 'text', text: `Observation over the RAG db: ${observation}` },
+            ...(ragMetric ? buildRagContent(ragMetric, retrievedContext, parsedOutput) : []),
             {
               type: 'text',
               text: `Extracted Output: ${parsedOutput}`,
             },
+            // 0 and false are expected outputs too
+            ...(entry.expectedOutput !== null && entry.expectedOutput !== undefined
+              ? [
+                  {
+                    type: 'text',
+                    text: `Expected Output: ${
+                      typeof entry.expectedOutput === 'string'
+                        ? entry.expectedOutput
+                        : JSON.stringify(entry.expectedOutput)
+                    }`,
+                  },
+                ]
+              : []),
             {
               type: 'text',
               text: `Evaluate the user input and the extracted output and return a structured JSON response in the following format:
@@ -436,40 +562,43 @@ const evaluate = async (entry, prompts = [], isN8N = false) => {
           ].filter((item) => item !== null && item !== undefined && item !== ''),
         },
       ];
-      let defaultModel = evaluator.evaluationPrompt?.defaultProviderModel;
-      const provider = evaluator.evaluationPrompt?.defaultIntegrationToken?.provider?.name;
-      if (!defaultModel) {
-        if (provider === 'OpenAI') {
-          defaultModel = 'gpt-4o';
-        } else if (provider === 'TogetherAI') {
-          defaultModel = 'meta-llama/Llama-4-Maverick-17B-128E-Instruct-FP8';
-        } else if (provider === 'GoogleAI') {
-          defaultModel = 'gemini-2.0-flash';
-        } else if (provider === 'AWSBedrock') {
-          defaultModel = 'anthropic.claude-3-5-sonnet-20240620-v1:0';
-        }
-      }
-
-      const completion = await generateAIResponse({
-        messages: message,
-        numberOfAttachments: imageAttachments.length,
-        responseFormat: z.object({
-          score: z.number(),
-          analysis: z.string(),
-          errors: z.array(z.string()),
-        }),
-        isN8N: isN8N,
-        token: evaluator.evaluationPrompt?.defaultIntegrationToken?.token,
-        tokenData: evaluator.evaluationPrompt?.defaultIntegrationToken?.data,
-        provider: evaluator.evaluationPrompt?.defaultIntegrationToken?.provider?.name,
-        model: defaultModel,
-      });
+      const judge = async ({ token, model }, temperature) => {
+        // Some providers append their format instructions to the messages they get
+        const completion = await generateAIResponse({
+          messages: structuredClone(message),
+          numberOfAttachments: imageAttachments.length,
+          responseFormat: JudgeEvaluation,
+          isN8N: isN8N,
+          token: token?.token,
+          tokenData: token?.data,
+          provider: token?.provider?.name,
+          model,
+          temperature,
+        });
+        return JSON.parse(completion.choices[0].message.content);
+      };
 
+      const evaluationPrompt = evaluator.evaluationPrompt;
+      let judged;
+      let judges;
+      if (isEnsemble(evaluationPrompt)) {
+        judged = await judgeWithEnsemble(evaluationPrompt, judge);
+        judges = judged.ensemble.judgments;
+      } else {
+        const judgeConfig = {
+          token: evaluationPrompt?.defaultIntegrationToken,
+          model: getEvaluatorModel(evaluationPrompt),
+        };
+        judged = await judge(judgeConfig);
+        judges = [{ provider: judgeConfig.token?.provider?.name || 'TogetherAI', model: judgeConfig.model || null }];
+      }
 
       evaluations.push({
-        ...JSON.parse(completion.choices[0].message.content),
+        ...judged,
         evaluator: evaluator.evaluationPrompt.name,
         evaluatorId: evaluator.evaluationPrompt.id,
+        evaluatorVersion: evaluatorPrompt.version ?? null,
+        ...describeJudges(judges),
         isInformative: evaluatorPrompt.isInformative || false,
       });
     }
@@ -0,0 +1,163 @@
+import { Op, QueryTypes } from 'sequelize';
+import db from '../../models/index.js';
+
+const { EvaluationLog } = db;
+
+// An evaluator is trusted once enough human labels agree with it well enough
+const MIN_LABELS = parseInt(process.env.EVALUATOR_CALIBRATION_MIN_LABELS || '20', 10);
+const MIN_KAPPA = parseFloat(process.env.EVALUATOR_CALIBRATION_MIN_KAPPA || '0.6');
+
+/**
+ * Stores a human verdict next to the judges' verdicts of an entry. A verdict
+ * on the entry applies to every evaluator that judged it; evaluatorVerdicts
+ * overrides it per evaluator.
+ * @param {number} modelLogId - The corrected entry
+ * @param {Object} verdict - { isCorrect, evaluatorVerdicts: { [evaluationPromptId]: boolean }, userId }
+ * @returns {Promise<number>} How many evaluation logs were labeled
+ */
+export const recordHumanVerdict = async (modelLogId, { isCorrect, evaluatorVerdicts, userId }) => {
+  const labeled = { humanLabeledAt: new Date(), humanLabeledBy: userId || null };
+  let count = 0;
+
+  const overrides = Object.entries(evaluatorVerdicts || {}).filter(
+    ([, verdict]) => typeof verdict === 'boolean'
+  );
+  for (const [evaluationPromptId, verdict] of overrides) {
+    const [updated] = await EvaluationLog.update(
+      { ...labeled, humanIsCorrect: verdict },
+      { where: { modelLogId, evaluationPromptId } }
+    );
+    count += updated;
+  }
+
+  if (typeof isCorrect === 'boolean') {
+    const [updated] = await EvaluationLog.update(
+      { ...labeled, humanIsCorrect: isCorrect },
+      {
+        where: {
+          modelLogId,
+          ...(overrides.length
+            ? { evaluationPromptId: { [Op.notIn]: overrides.map(([id]) => id) } }
+            : {}),
+        },
+      }
+    );
+    count += updated;
+  }
+
+  return count;
+};
+
+/**
+ * Agreement metrics of a judge against human labels. The positive class is
+ * an incorrect entry, i.e. the judge flagging a failure: precision is how
+ * many of its flags humans confirm, recall how many human-found failures it
+ * flags.
+ * @param {Object} matrix - { truePositive, falsePositive, falseNegative, trueNegative }
+ * @returns {Object} { labeled, agreement, precision, recall, kappa, confusionMatrix }
+ */
+export const computeCalibrationMetrics = (matrix) => {
+  const { truePositive: tp, falsePositive: fp, falseNegative: fn, trueNegative: tn } = matrix;
+  const labeled = tp + fp + fn + tn;
+  const ratio = (numerator, denominator) => (denominator ? numerator / denominator : null);
+
+  const agreement = ratio(tp + tn, labeled);
+  // Chance agreement from each rater's own rate of flagging failures
+  const expected = labeled
+    ? ((tp + fp) * (tp + fn) + (fn + tn) * (fp + tn)) / (labeled * labeled)
+    : null;
+  let kappa = null;
+  if (labeled && expected < 1) {
+    kappa = (agreement - expected) / (1 - expected);
+  } else if (labeled && agreement === 1) {
+    kappa = 1;
+  }
+
+  return {
+    labeled,
+    agreement,
+    precision: ratio(tp, tp + fp),
+    recall: ratio(tp, tp + fn),
+    kappa,
+    confusionMatrix: matrix,
+  };
+};
+
+const withTrust = (metrics) => ({
+  ...metrics,
+  trusted: metrics.labeled >= MIN_LABELS && metrics.kappa !== null && metrics.kappa >= MIN_KAPPA,
+});
+
+/**
+ * Calibration of the company's evaluators against human verdicts, overall
+ * and per model (LLM node)
+ * @param {number} companyId - The company
+ * @param {Object} [filters] - { evaluationPromptId, modelId, startDate, endDate }
+ * @returns {Promise<Array<Object>>} Per evaluator: metrics, judged and trusted,
+ *   plus the same per model under `models`
+ */
+export const getEvaluatorCalibration = async (companyId, filters = {}) => {
+  const rows = await db.sequelize.query(
+    `
+    SELECT
+      el.evaluation_prompt_id AS "evaluatorId",
+      el.model_id AS "modelId",
+      m.name AS "modelName",
+      COUNT(*) FILTER (WHERE el.is_correct IS NOT NULL) AS judged,
+      COUNT(*) FILTER (WHERE el.is_correct = false AND el.human_is_correct = false) AS "truePositive",
+      COUNT(*) FILTER (WHERE el.is_correct = false AND el.human_is_correct = true) AS "falsePositive",
+      COUNT(*) FILTER (WHERE el.is_correct = true AND el.human_is_correct = false) AS "falseNegative",
+      COUNT(*) FILTER (WHERE el.is_correct = true AND el.human_is_correct = true) AS "trueNegative"
+    FROM "EvaluationLogs" el
+      INNER JOIN "Models" m ON m.id = el.model_id
+      INNER JOIN "ModelGroups" mg ON mg.id = m.model_group_id
+    WHERE mg.company_id = :companyId
+      ${filters.evaluationPromptId ? 'AND el.evaluation_prompt_id = :evaluationPromptId' : ''}
+      ${filters.modelId ? 'AND el.model_id = :modelId' : ''}
+      ${filters.startDate ? 'AND el.created_at >= :startDate' : ''}
+      ${filters.endDate ? 'AND el.created_at <= :endDate' : ''}
+    GROUP BY el.evaluation_prompt_id, el.model_id, m.name
+    ORDER BY el.evaluation_prompt_id, el.model_id
+    `,
+    {
+      replacements: {
+        companyId,
+        evaluationPromptId: filters.evaluationPromptId || null,
+        modelId: filters.modelId || null,
+        startDate: filters.startDate || null,
+        endDate: filters.endDate || null,
+      },
+      type: QueryTypes.SELECT,
+    }
+  );
+
+  const cells = ['truePositive', 'falsePositive', 'falseNegative', 'trueNegative'];
+  const evaluators = new Map();
+  for (const row of rows) {
+    const matrix = Object.fromEntries(cells.map((cell) => [cell, Number(row[cell])]));
+    if (!evaluators.has(row.evaluatorId)) {
+      evaluators.set(row.evaluatorId, {
+        evaluatorId: row.evaluatorId,
+        judged: 0,
+        matrix: Object.fromEntries(cells.map((cell) => [cell, 0])),
+        models: [],
+      });
+    }
+    const evaluator = evaluators.get(row.evaluatorId);
+    evaluator.judged += Number(row.judged);
+    cells.forEach((cell) => {
+      evaluator.matrix[cell] += matrix[cell];
+    });
+    evaluator.models.push({
+      modelId: row.modelId,
+      modelName: row.modelName,
+      judged: Number(row.judged),
+      ...withTrust(computeCalibrationMetrics(matrix)),
+    });
+  }
+
+  return [...evaluators.values()].map(({ matrix, ...evaluator }) => ({
+    ...evaluator,
+    ...withTrust(computeCalibrationMetrics(matrix)),
+  }));
+};
@@ -0,0 +1,117 @@
+import { QueryTypes } from 'sequelize';
+import db from '../../models/index.js';
+
+const { EvaluationPromptVersion } = db;
+
+// Fields of a version shown in its diff
+const DIFF_FIELDS = ['name', 'type', 'prompt', 'functionBody', 'ensemble', 'ragMetric'];
+
+/**
+ * Versions of an evaluator, newest first
+ * @param {number} evaluationPromptId - The evaluator
+ * @returns {Promise<Array<Object>>} EvaluationPromptVersions
+ */
+export const getEvaluatorVersions = (evaluationPromptId) =>
+  EvaluationPromptVersion.findAll({
+    where: { evaluationPromptId },
+    order: [['version', 'DESC']],
+  });
+
+/**
+ * Two versions of an evaluator and the fields that differ between them
+ * @param {number} evaluationPromptId - The evaluator
+ * @param {number} from - The older version
+ * @param {number} to - The newer version
+ * @returns {Promise<Object|null>} { from, to, changes }, or null when a version does not exist
+ */
+export const diffEvaluatorVersions = async (evaluationPromptId, from, to) => {
+  const versions = await EvaluationPromptVersion.findAll({
+    where: { evaluationPromptId, version: [from, to] },
+  });
+  const fromVersion = versions.find((version) => version.version === from);
+  const toVersion = versions.find((version) => version.version === to);
+  if (!fromVersion || !toVersion) {
+    return null;
+  }
+  const changes = DIFF_FIELDS.filter(
+    (field) => JSON.stringify(fromVersion[field] ?? null) !== JSON.stringify(toVersion[field] ?? null)
+  );
+  return { from: fromVersion, to: toVersion, changes };
+};
+
+/**
+ * Scores an evaluator gave the company's entries, split by the evaluator
+ * version that judged them, overall and per day. Logs judged before
+ * evaluators were versioned have a null version.
+ * @param {number} companyId - The company
+ * @param {number} evaluationPromptId - The evaluator
+ * @param {Object} [filters] - { modelId, version, startDate, endDate }
+ * @returns {Promise<Array<Object>>} Per version: { version, entries, averageScore, accuracy, daily }
+ */
+export const getEvaluatorVersionMetrics = async (companyId, evaluationPromptId, filters = {}) => {
+  const rows = await db.sequelize.query(
+    `
+    SELECT
+      el.evaluator_version AS version,
+      DATE(el.created_at) AS date,
+      COUNT(*) AS entries,
+      COUNT(el.score) AS scored,
+      AVG(el.score) AS "averageScore",
+      COUNT(el.is_correct) AS judged,
+      COUNT(*) FILTER (WHERE el.is_correct = true) AS correct
+    FROM "EvaluationLogs" el
+      INNER JOIN "Models" m ON m.id = el.model_id
+      INNER JOIN "ModelGroups" mg ON mg.id = m.model_group_id
+    WHERE mg.company_id = :companyId
+      AND el.evaluation_prompt_id = :evaluationPromptId
+      ${filters.modelId ? 'AND el.model_id = :modelId' : ''}
+      ${filters.version ? 'AND el.evaluator_version = :version' : ''}
+      ${filters.startDate ? 'AND el.created_at >= :startDate' : ''}
+      ${filters.endDate ? 'AND el.created_at <= :endDate' : ''}
+    GROUP BY el.evaluator_version, DATE(el.created_at)
+    ORDER BY el.evaluator_version NULLS FIRST, date
+    `,
+    {
+      replacements: {
+        companyId,
+        evaluationPromptId,
+        modelId: filters.modelId || null,
+        version: filters.version || null,
+        startDate: filters.startDate || null,
+        endDate: filters.endDate || null,
+      },
+      type: QueryTypes.SELECT,
+    }
+  );
+
+  const versions = new Map();
+  for (const row of rows) {
+    if (!versions.has(row.version)) {
+      versions.set(row.version, { version: row.version, entries: 0, scored: 0, scoreTotal: 0, judged: 0, correct: 0, daily: {} });
+    }
+    const metrics = versions.get(row.version);
+    const entries = Number(row.entries);
+    const averageScore = row.averageScore === null ? null : parseFloat(row.averageScore);
+    metrics.entries += entries;
+    if (averageScore !== null) {
+      metrics.scored += Number(row.scored);
+      metrics.scoreTotal += averageScore * Number(row.scored);
+    }
+    metrics.judged += Number(row.judged);
+    metrics.correct += Number(row.correct);
+
+    const date = new Date(row.date);
+    // Same day keys as the other metrics (day-month-year, not zero padded)
+    metrics.daily[`${date.getUTCDate()}-${date.getUTCMonth() + 1}-${date.getUTCFullYear()}`] = {
+      entries,
+      averageScore,
+      accuracy: Number(row.judged) ? Number(row.correct) / Number(row.judged) : null,
+    };
+  }
+
+  return [...versions.values()].map(({ scored, scoreTotal, judged, correct, ...metrics }) => ({
+    ...metrics,
+    averageScore: scored ? scoreTotal / scored : null,
+    accuracy: judged ? correct / judged : null,
+  }));
+};
@@ -0,0 +1,205 @@
+import { Op } from 'sequelize';
+import db from '../../models/index.js';
+
+const { AgentLog, ModelLog, AgentNodeLog } = db;
+
+export const DEFAULT_EXECUTION_TIMEOUT_MINUTES = parseInt(
+  process.env.EXECUTION_TIMEOUT_MINUTES || '30',
+  10
+);
+
+const REAPER_BATCH_SIZE = parseInt(process.env.EXECUTION_REAPER_BATCH_SIZE || '200', 10);
+
+const FAILED_MODEL_STATUSES = ['failed', 'error', 'crash'];
+const FAILED_NODE_STATUSES = ['failed', 'error'];
+
+/**
+ * Processing executions whose last activity (the execution itself or its
+ * latest model or node log) is older than the agent's inactivity window
+ */
+const findStaleExecutions = async (limit) =>
+  db.sequelize.query(
+    `
+    SELECT
+      al.id,
+      COALESCE(a.execution_timeout_minutes, :defaultTimeout) AS timeout_minutes,
+      GREATEST(
+        al.updated_at,
+        COALESCE(ml.last_at, al.updated_at),
+        COALESCE(nl.last_at, al.updated_at)
+      ) AS last_activity_at
+    FROM "AgentLogs" al
+      INNER JOIN "Agents" a ON a.id = al.agent_id
+      LEFT JOIN LATERAL (
+        SELECT MAX(created_at) AS last_at FROM "ModelLogs"
+        WHERE agent_log_id = al.id AND deleted_at IS NULL
+      ) ml ON true
+      LEFT JOIN LATERAL (
+        SELECT MAX(created_at) AS last_at FROM "AgentNodeLogs"
+        WHERE parent_log_id = al.id AND deleted_at IS NULL
+      ) nl ON true
+    WHERE al.status = 'processing'
+      AND al.deleted_at IS NULL
+      AND GREATEST(
+        al.updated_at,
+        COALESCE(ml.last_at, al.updated_at),
+        COALESCE(nl.last_at, al.updated_at)
+      ) < NOW() - make_interval(mins => COALESCE(a.execution_timeout_minutes, :defaultTimeout))
+    ORDER BY al.updated_at ASC
+    LIMIT :limit
+    `,
+    {
+      replacements: { defaultTimeout: DEFAULT_EXECUTION_TIMEOUT_MINUTES, limit },
+      type: db.sequelize.QueryTypes.SELECT,
+    }
+  );
+
+/**
+ * Closes a timed-out execution the way /api/track/end would have: status from
+ * its model and node logs, output from the latest one and duration up to the
+ * last node log. Executions that never logged a node are marked failed.
+ * @param {number} agentLogId - The execution to close
+ * @param {Object} stale - { timeout_minutes, last_activity_at } from the stale query
+ * @returns {Promise<Object|null>} The closed AgentLog, or null if it ended meanwhile
+ */
+export const closeTimedOutExecution = async (agentLogId, stale) => {
+  const agentLog = await AgentLog.findByPk(agentLogId);
+  // /api/track/end may have closed it since the stale query ran
+  if (!agentLog || agentLog.status !== 'processing') {
+    return null;
+  }
+
+  const [modelLogs, nodeLogs] = await Promise.all([
+    ModelLog.findAll({
+      where: { agentLogId },
+      attributes: ['id', 'status', 'output', 'createdAt'],
+      order: [['createdAt', 'DESC']],
+    }),
+    AgentNodeLog.findAll({
+      where: { parentLogId: agentLogId },
+      attributes: ['id', 'status', 'output', 'createdAt'],
+      order: [['createdAt', 'DESC']],
+    }),
+  ]);
+
+  const lastLog = [modelLogs[0], nodeLogs[0]]
+    .filter(Boolean)
+    .sort((a, b) => b.createdAt - a.createdAt)[0];
+
+  let status = 'success';
+  if (!lastLog || nodeLogs.some((log) => FAILED_NODE_STATUSES.includes(log.status))) {
+    status = 'failed';
+  } else if (modelLogs.some((log) => FAILED_MODEL_STATUSES.includes(log.status))) {
+    status = 'failed_model';
+  }
+
+  const startedAt = new Date(agentLog.metadata?.startedAt || agentLog.createdAt);
+  const endedAt = lastLog ? new Date(lastLog.createdAt) : startedAt;
+  const timeoutMinutes = parseInt(stale.timeout_minutes, 10);
+
+  // A single conditional update, so an execution /api/track/end closes
+  // meanwhile is left as it ended
+  const [closed, [closedLog] = []] = await AgentLog.update(
+    {
+      status,
+      output: agentLog.output ?? lastLog?.output ?? null,
+      duration: Math.max(0, endedAt.getTime() - startedAt.getTime()),
+      closeReason: 'timeout',
+      errorDetails:
+        agentLog.errorDetails ||
+        (lastLog
+          ? null
+          : { message: `Execution timed out after ${timeoutMinutes} minutes without any node` }),
+      metadata: {
+        ...agentLog.metadata,
+        endedAt,
+        closedAt: new Date(),
+        timeout: {
+          minutes: timeoutMinutes,
+          lastActivityAt: stale.last_activity_at,
+        },
+      },
+    },
+    {
+      where: { id: agentLogId, status: 'processing' },
+      individualHooks: true,
+      returning: true,
+    }
+  );
+  return closed ? closedLog : null;
+};
+
+/**
+ * Times out every processing execution that has been inactive for longer
+ * than its agent's window. Runs in batches so a large backlog of abandoned
+ * executions is drained over a few runs.
+ * @returns {Promise<Object>} { closed, failed }
+ */
+export const reapStaleExecutions = async () => {
+  const staleExecutions = await findStaleExecutions(REAPER_BATCH_SIZE);
+  let closed = 0;
+  let failed = 0;
+
+  for (const stale of staleExecutions) {
+    try {
+      if (await closeTimedOutExecution(stale.id, stale)) {
+        closed++;
+      }
+    } catch (error) {
+      failed++;
+      console.error(`Error closing stale execution ${stale.id}:`, error);
+    }
+  }
+
+  return { closed, failed };
+};
+
+/**
+ * How many of an agent's closed executions were timed out by the reaper
+ * @param {number} agentId - The agent ID
+ * @param {Object} [options] - { environment, startDate, endDate }; defaults to the last 30 days
+ * @returns {Promise<Object>} { closed, timedOut, timeoutRate, daily }
+ */
+export const getExecutionTimeoutMetrics = async (agentId, options = {}) => {
+  const startDate = options.startDate || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+  const endDate = options.endDate || new Date();
+
+  const rows = await AgentLog.findAll({
+    where: {
+      agentId,
+      status: { [Op.ne]: 'processing' },
+      createdAt: { [Op.between]: [startDate, endDate] },
+      ...(options.environment ? { environment: options.environment } : {}),
+    },
+    attributes: [
+      [db.sequelize.fn('DATE', db.sequelize.col('created_at')), 'date'],
+      [db.sequelize.fn('COUNT', db.sequelize.col('id')), 'closed'],
+      [
+        db.sequelize.literal("COUNT(*) FILTER (WHERE close_reason = 'timeout')"),
+        'timedOut',
+      ],
+    ],
+    group: [db.sequelize.fn('DATE', db.sequelize.col('created_at'))],
+    raw: true,
+  });
+
+  const rate = (timedOut, closed) => (closed ? timedOut / closed : 0);
+  const daily = {};
+  let closed = 0;
+  let timedOut = 0;
+  for (const row of rows) {
+    const date = new Date(row.date);
+    const dayClosed = parseInt(row.closed, 10) || 0;
+    const dayTimedOut = parseInt(row.timedOut, 10) || 0;
+    // Same day keys as the other agent metrics (day-month-year, not zero padded)
+    daily[`${date.getUTCDate()}-${date.getUTCMonth() + 1}-${date.getUTCFullYear()}`] = {
+      closed: dayClosed,
+      timedOut: dayTimedOut,
+      timeoutRate: rate(dayTimedOut, dayClosed),
+    };
+    closed += dayClosed;
+    timedOut += dayTimedOut;
+  }
+
+  return { closed, timedOut, timeoutRate: rate(timedOut, closed), daily };
+};
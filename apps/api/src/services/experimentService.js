@@ -0,0 +1,267 @@
+import db from '../../models/index.js';
+import { generateAIResponse } from './aiService.js';
+import { evaluate, parseEvaluatorsOutput } from './evaluationService.js';
+import { getAllPromptVersions } from './promptVersionService.js';
+
+const {
+  Experiment,
+  ExperimentResult,
+  EvaluationPrompt,
+  IntegrationToken,
+  Provider,
+} = db;
+
+export const MAX_EXPERIMENT_ITEMS = parseInt(process.env.EXPERIMENT_MAX_ITEMS || '500', 10);
+
+/**
+ * Checks the dataset items of an experiment
+ * @param {*} items - [{ input, expectedOutput, metadata }]; input is a string,
+ *   an object or an array of chat messages
+ * @returns {string|null} What is wrong with the items, or null when they are valid
+ */
+export const validateExperimentItems = (items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    return 'items must be a non-empty array';
+  }
+  if (items.length > MAX_EXPERIMENT_ITEMS) {
+    return `An experiment can have at most ${MAX_EXPERIMENT_ITEMS} items`;
+  }
+  const invalidItem = items.findIndex(
+    (item) =>
+      !item ||
+      typeof item !== 'object' ||
+      item.input === undefined ||
+      item.input === null ||
+      item.input === ''
+  );
+  if (invalidItem !== -1) {
+    return `items[${invalidItem}] must be an object with an input`;
+  }
+  return null;
+};
+
+export const normalizeExperimentItems = (items) =>
+  items.map(({ input, expectedOutput, metadata }) => ({
+    input,
+    expectedOutput: expectedOutput ?? null,
+    metadata: metadata ?? null,
+  }));
+
+const toText = (value) => (typeof value === 'string' ? value : JSON.stringify(value));
+
+/**
+ * Chat messages that run a prompt version on an item: the version's prompt as
+ * the system message, then the item's messages or its input as the user message
+ */
+const buildMessages = (prompt, input) => {
+  const isMessage = (message) => message && typeof message === 'object' && message.role && message.content !== undefined;
+  const messages = Array.isArray(input) && input.every(isMessage)
+    ? input.filter((message) => message.role !== 'system')
+    : [{ role: 'user', content: toText(input) }];
+  return prompt ? [{ role: 'system', content: prompt }, ...messages] : messages;
+};
+
+const normalizeAnswer = (value) => toText(value).trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Whether an output matches an item's expected output, ignoring case and
+ * whitespace. Null when the item has no expected output.
+ */
+export const matchesExpectedOutput = (output, expectedOutput) => {
+  if (expectedOutput === null || expectedOutput === undefined || expectedOutput === '') {
+    return null;
+  }
+  if (output === null || output === undefined) {
+    return false;
+  }
+  return normalizeAnswer(output) === normalizeAnswer(expectedOutput);
+};
+
+const average = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+const rate = (values) => (values.length ? values.filter(Boolean).length / values.length : null);
+
+/**
+ * Aggregate metrics of each prompt version of an experiment
+ * @param {Array<Object>} versions - The compared prompt versions
+ * @param {Array<Object>} results - The experiment's ExperimentResults
+ * @param {number} itemCount - Number of dataset items
+ * @returns {Object} { itemCount, versions: [{ modelVersionId, version, completed,
+ *   errors, averageScore, passRate, expectedMatchRate, averageLatencyMs,
+ *   totalTokens, evaluators: { [name]: averageScore } }] }
+ */
+export const summarizeExperiment = (versions, results, itemCount) => ({
+  itemCount,
+  versions: versions.map((version) => {
+    const versionResults = results.filter((result) => result.modelVersionId === version.id);
+    const scored = versionResults.filter((result) => !result.error);
+    const evaluatorScores = {};
+    scored.forEach((result) => {
+      (result.evaluations || []).forEach((evaluation) => {
+        if (typeof evaluation.score === 'number') {
+          evaluatorScores[evaluation.evaluator] = [...(evaluatorScores[evaluation.evaluator] || []), evaluation.score];
+        }
+      });
+    });
+    const withExpected = scored.filter((result) => result.matchesExpected !== null && result.matchesExpected !== undefined);
+
+    return {
+      modelVersionId: version.id,
+      version: version.version,
+      completed: versionResults.length,
+      errors: versionResults.length - scored.length,
+      averageScore: average(scored.filter((result) => result.score !== null).map((result) => result.score)),
+      passRate: rate(scored.filter((result) => result.passed !== null).map((result) => result.passed)),
+      expectedMatchRate: rate(withExpected.map((result) => result.matchesExpected)),
+      averageLatencyMs: average(scored.filter((result) => result.latencyMs !== null).map((result) => result.latencyMs)),
+      totalTokens: scored.reduce((sum, result) => sum + (result.usage?.total_tokens || 0), 0),
+      evaluators: Object.fromEntries(
+        Object.entries(evaluatorScores).map(([name, scores]) => [name, average(scores)])
+      ),
+    };
+  }),
+});
+
+/**
+ * The compared prompt versions, numbered as the prompt version list shows them
+ * (a model's versions include those of its A/B test model)
+ */
+export const getExperimentVersions = async (experiment) => {
+  const versions = await getAllPromptVersions(experiment.modelId);
+  return versions.filter((version) => experiment.modelVersionIds.includes(version.id));
+};
+
+const loadEvaluators = async (experiment) => {
+  const evaluationPrompts = await EvaluationPrompt.findAll({
+    where: { id: experiment.evaluationPromptIds },
+    attributes: ['id', 'name', 'prompt', 'defaultProviderModel', 'type', 'isInformative', 'functionBody', 'ensemble', 'ragMetric', 'version', 'companyId'],
+    include: [
+      {
+        required: false,
+        model: IntegrationToken,
+        as: 'defaultIntegrationToken',
+        attributes: ['id', 'name', 'providerId', 'token', 'data'],
+        include: [{ model: Provider, as: 'provider', attributes: ['id', 'name'] }],
+      },
+    ],
+  });
+
+  // Judges without a default token run on the experiment's provider token
+  return evaluationPrompts.map((evaluationPrompt) => {
+    if (!evaluationPrompt.defaultIntegrationToken) {
+      evaluationPrompt.defaultIntegrationToken = experiment.integrationToken;
+    }
+    return { evaluationPrompt };
+  });
+};
+
+/**
+ * Runs one prompt version on one item and scores the output
+ * @returns {Promise<Object>} The ExperimentResult fields
+ */
+const runExperimentItem = async (experiment, version, item, evaluators) => {
+  const prompt = version.parameters?.prompt || null;
+  const messages = buildMessages(prompt, item.input);
+  const token = experiment.integrationToken;
+
+  const startedAt = Date.now();
+  const completion = await generateAIResponse({
+    messages,
+    token: token.token,
+    tokenData: token.data,
+    provider: token.provider?.name,
+    model: experiment.providerModel,
+  });
+  const latencyMs = Date.now() - startedAt;
+  const output = completion.text;
+
+  const evaluations = evaluators.length
+    ? await evaluate(
+        {
+          input: { messages, options: { systemMessage: prompt } },
+          output,
+          expectedOutput: item.expectedOutput,
+        },
+        evaluators
+      )
+    : [];
+  const nonInformative = evaluations.filter((evaluation) => !evaluation.isInformative);
+
+  return {
+    output,
+    evaluations,
+    score: average(nonInformative.map((evaluation) => evaluation.score)),
+    passed: nonInformative.length ? parseEvaluatorsOutput(evaluations).correct : null,
+    matchesExpected: matchesExpectedOutput(output, item.expectedOutput),
+    latencyMs,
+    usage: completion.usage || null,
+    error: null,
+  };
+};
+
+/**
+ * Runs every prompt version of an experiment on every dataset item. Results
+ * already stored without an error are kept, so a retried or resumed run only
+ * does the missing ones. A failing item is recorded on its result and does not
+ * stop the run.
+ * @param {number} experimentId - The experiment to run
+ * @returns {Promise<Object>} The experiment summary
+ */
+export const runExperiment = async (experimentId) => {
+  const experiment = await Experiment.findByPk(experimentId, {
+    include: [
+      {
+        model: IntegrationToken,
+        as: 'integrationToken',
+        include: [{ model: Provider, as: 'provider', attributes: ['id', 'name'] }],
+      },
+    ],
+  });
+  if (!experiment) {
+    throw new Error(`Experiment ${experimentId} not found`);
+  }
+
+  try {
+    await experiment.update({ status: 'running', startedAt: experiment.startedAt || new Date(), error: null });
+
+    const versions = await getExperimentVersions(experiment);
+    if (!versions.length) {
+      throw new Error('None of the experiment prompt versions exist');
+    }
+    const evaluators = await loadEvaluators(experiment);
+
+    const existing = await ExperimentResult.findAll({ where: { experimentId } });
+    const resultKey = (modelVersionId, itemIndex) => `${modelVersionId}:${itemIndex}`;
+    const stored = new Map(existing.map((result) => [resultKey(result.modelVersionId, result.itemIndex), result]));
+
+    for (const version of versions) {
+      for (let itemIndex = 0; itemIndex < experiment.items.length; itemIndex++) {
+        const previous = stored.get(resultKey(version.id, itemIndex));
+        if (previous && !previous.error) {
+          continue;
+        }
+
+        let fields;
+        try {
+          fields = await runExperimentItem(experiment, version, experiment.items[itemIndex], evaluators);
+        } catch (error) {
+          fields = { output: null, evaluations: null, score: null, passed: null, matchesExpected: null, error: error.message };
+        }
+
+        if (previous) {
+          await previous.update(fields);
+        } else {
+          await ExperimentResult.create({ experimentId, modelVersionId: version.id, itemIndex, ...fields });
+        }
+      }
+    }
+
+    const results = await ExperimentResult.findAll({ where: { experimentId } });
+    const summary = summarizeExperiment(versions, results, experiment.items.length);
+    await experiment.update({ status: 'completed', summary, completedAt: new Date() });
+    return summary;
+  } catch (error) {
+    await experiment.update({ status: 'failed', error: error.message });
+    throw error;
+  }
+};
@@ -1,5 +1,11 @@
 'use strict';
 
+import { parseContext, parseInputContent, parseOutputContent } from './parser.js';
+import {
+  checkFunctionEvaluatorSyntax,
+  runFunctionEvaluator,
+} from './sandbox/functionEvaluatorSandbox.js';
+
 /**
  * Function-based evaluator service
  * Provides helper functions and example evaluators for function-based evaluation
@@ -48,7 +54,7 @@ export const exactMatchEvaluator = createFunctionEvaluator(
     analysis: isExactMatch 
       ? "Output exactly matches expected result" 
       : "Output does not match expected result",
-    errors: isExactMatch ? [] : [`Expected: "${expectedOutput}", Got: "${parsedOutput}"`]
+    errors: isExactMatch ? [] : [\`Expected: "\${expectedOutput}", Got: "\${parsedOutput}"\`]
   };
   `
 );
@@ -76,7 +82,7 @@ export const containsTextEvaluator = createFunctionEvaluator(
     analysis: containsText 
       ? "Output contains the required text" 
       : "Output does not contain the required text",
-    errors: containsText ? [] : [`Required text "${requiredText}" not found in output`]
+    errors: containsText ? [] : [\`Required text "\${requiredText}" not found in output\`]
   };
   `
 );
@@ -125,7 +131,7 @@ export const jsonStructureEvaluator = createFunctionEvaluator(
     analysis: missingFields.length === 0 
       ? "All required fields are present in JSON" 
       : "Some required fields are missing from JSON",
-    errors: missingFields.length > 0 ? [`Missing fields: ${missingFields.join(', ')}`] : []
+    errors: missingFields.length > 0 ? [\`Missing fields: \${missingFields.join(', ')}\`] : []
   };
   `
 );
@@ -155,7 +161,7 @@ export const lengthEvaluator = createFunctionEvaluator(
     analysis: isWithinRange 
       ? "Output length is within acceptable range" 
       : "Output length is outside acceptable range",
-    errors: isWithinRange ? [] : [`Length ${outputLength} is outside range [${minLength}, ${maxLength}]`]
+    errors: isWithinRange ? [] : [\`Length \${outputLength} is outside range [\${minLength}, \${maxLength}]\`]
   };
   `
 );
@@ -194,7 +200,7 @@ export const regexPatternEvaluator = createFunctionEvaluator(
     analysis: matches 
       ? "Output matches the required pattern" 
       : "Output does not match the required pattern",
-    errors: matches ? [] : [`Output does not match pattern: ${pattern}`]
+    errors: matches ? [] : [\`Output does not match pattern: \${pattern}\`]
   };
   `
 );
@@ -233,7 +239,7 @@ export const tokenCalculationEvaluator = createFunctionEvaluator(
   'Token Calculation',
   `
   // Function parameters: entry, parsedOutput, context, observation, userContent
-  import { parseInputContent, parseOutputContent } from './parser.js';
+  // parseInputContent, parseOutputContent and parseAttachments are provided by the sandbox
   
   // Calculate tokens based on word count (1 token ≈ 0.75 words)
   const calculateTokens = (text) => {
@@ -286,10 +292,11 @@ export const tokenCalculationEvaluator = createFunctionEvaluator(
 /**
  * Validate a function evaluator
  * @param {Object} evaluator - The evaluator object to validate
- * @returns {Object} - Validation result
+ * @returns {Object} - Validation result, with the structured syntax error if any
  */
 export const validateFunctionEvaluator = (evaluator) => {
   const errors = [];
+  let errorDetails = null;
   
   if (!evaluator.name) {
     errors.push('Evaluator name is required');
@@ -303,90 +310,67 @@ export const validateFunctionEvaluator = (evaluator) => {
     errors.push('Type must be "function"');
   }
   
-  // Try to create the function to check for syntax errors
+  // Parse (without running) the body to check for syntax errors
   if (evaluator.functionBody) {
-    try {
-      new Function('entry', 'parsedOutput', 'context', 'observation', 'userContent', evaluator.functionBody);
-    } catch (error) {
-      errors.push(`Function syntax error: ${error.message}`);
+    errorDetails = checkFunctionEvaluatorSyntax(evaluator.functionBody);
+    if (errorDetails) {
+      const location = errorDetails.line ? ` (line ${errorDetails.line})` : '';
+      errors.push(`Function syntax error${location}: ${errorDetails.message}`);
     }
   }
   
   return {
     isValid: errors.length === 0,
-    errors
+    errors,
+    errorDetails
   };
 };
 
 /**
- * Test a function evaluator with sample data
+ * Test a function evaluator with sample data inside the evaluator sandbox
  * @param {Object} evaluator - The evaluator to test
  * @param {Object} sampleEntry - Sample entry data
- * @returns {Object} - Test result
+ * @returns {Object} - Test result: { success, result, logs } or
+ *   { success: false, error, errorDetails: { code, message, line?, column? }, logs }
  */
-export const testFunctionEvaluator = async (evaluator, sampleEntry) => {
-  try {
-    const validation = validateFunctionEvaluator(evaluator);
-    if (!validation.isValid) {
-      return {
-        success: false,
-        error: `Validation failed: ${validation.errors.join(', ')}`
-      };
-    }
-    
-    // Create test data
-    const testEntry = {
-      input: sampleEntry.input || { text: "Test input" },
-      output: sampleEntry.output || "Test output"
-    };
-    
-    const parsedOutput = testEntry.output;
-    const context = {};
-    const observation = "";
-    const userContent = "Test content";
-    
-    // Execute the function
-    const evaluatorFunction = new Function('entry', 'parsedOutput', 'context', 'observation', 'userContent', evaluator.functionBody);
-    const result = await evaluatorFunction(testEntry, parsedOutput, context, observation, userContent);
-    
-    // Validate result structure
-    if (!result || typeof result !== 'object') {
-      return {
-        success: false,
-        error: 'Function must return an object'
-      };
-    }
-    
-    if (typeof result.score !== 'number' || result.score < 0 || result.score > 10) {
-      return {
-        success: false,
-        error: 'Function must return a score between 0 and 10'
-      };
-    }
-    
-    if (!result.analysis || typeof result.analysis !== 'string') {
-      return {
-        success: false,
-        error: 'Function must return an analysis string'
-      };
-    }
-    
-    if (!Array.isArray(result.errors)) {
-      return {
-        success: false,
-        error: 'Function must return an errors array'
-      };
-    }
-    
+export const testFunctionEvaluator = async (evaluator, sampleEntry = {}) => {
+  const validation = validateFunctionEvaluator(evaluator);
+  if (!validation.isValid) {
     return {
-      success: true,
-      result
+      success: false,
+      error: `Validation failed: ${validation.errors.join(', ')}`,
+      errorDetails: validation.errorDetails,
+      logs: []
     };
-    
-  } catch (error) {
+  }
+  
+  // Create test data
+  const testEntry = {
+    input: sampleEntry.input || { text: "Test input" },
+    output: sampleEntry.output || "Test output"
+  };
+  
+  const execution = await runFunctionEvaluator(evaluator.functionBody, {
+    entry: testEntry,
+    parsedOutput: parseOutputContent(testEntry.output),
+    context: parseContext(testEntry.input),
+    observation: "",
+    userContent: parseInputContent(testEntry.input) || "Test content"
+  });
+  
+  if (!execution.success) {
     return {
       success: false,
-      error: `Execution error: ${error.message}`
+      error: `${execution.error.code}: ${execution.error.message}`,
+      errorDetails: execution.error,
+      result: execution.result,
+      logs: execution.logs
     };
   }
-}; 
\ No newline at end of file
+  
+  return {
+    success: true,
+    result: execution.result,
+    logs: execution.logs
+  };
+};
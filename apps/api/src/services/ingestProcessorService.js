@@ -0,0 +1,320 @@
+import crypto from 'crypto';
+import zlib from 'zlib';
+import { promisify } from 'util';
+import { Op, UniqueConstraintError } from 'sequelize';
+import db from '../../models/index.js';
+import { getIngestStorage } from './ingestStorage.js';
+import { trackWorkflow } from './bulkTrackService.js';
+import { extractTraceContext } from '../utils/traceContext.js';
+import { consumeEventQuota, quotaExceededBody } from './ingestionLimitService.js';
+
+const { Company, IngestObject } = db;
+
+export const INGEST_PREFIX = 'ingest/';
+
+const BATCH_SIZE = parseInt(process.env.INGEST_PROCESSOR_BATCH_SIZE || '50', 10);
+
+// A run that stopped mid-object (crash, deploy) is resumed after this long
+const CLAIM_TIMEOUT_MINUTES = parseInt(process.env.INGEST_CLAIM_TIMEOUT_MINUTES || '30', 10);
+
+const MAX_RECORDED_ERRORS = 20;
+
+// Uploads are finalized after the hour they are named by, so a run lists back this far
+const LIST_LOOKBACK_HOURS = parseInt(process.env.INGEST_LIST_LOOKBACK_HOURS || '2', 10);
+
+const gunzip = promisify(zlib.gunzip);
+
+// YYYYMMDDHH in UTC, which sorts like the time it stands for
+const formatHour = (date) => date.toISOString().slice(0, 13).replace(/[-T]/g, '');
+
+const parseHour = (hour) =>
+  new Date(
+    Date.UTC(Number(hour.slice(0, 4)), Number(hour.slice(4, 6)) - 1, Number(hour.slice(6, 8)), Number(hour.slice(8, 10)))
+  );
+
+/**
+ * Name of an uploaded object, under the hour it was uploaded in so the
+ * processor only lists recent hours
+ * @param {string} token - API token of the upload, or 'anon'
+ * @returns {string} e.g. ingest/2026101812/auth=<token>/<time>_<uuid>.jsonl.gz
+ */
+export const ingestObjectName = (token, date = new Date()) =>
+  `${INGEST_PREFIX}${formatHour(date)}/auth=${encodeURIComponent(token)}/${date.getTime()}_${crypto.randomUUID()}.jsonl.gz`;
+
+/**
+ * API token of the auth=<token> partition an object was uploaded under
+ * @param {string} objectName - e.g. ingest/2026101812/auth=<token>/<time>_<uuid>.jsonl.gz
+ * @returns {string|null} The token, or null for anonymous uploads
+ */
+export const parseIngestPartition = (objectName) => {
+  const match = /^ingest\/\d{10}\/auth=([^/]+)\//.exec(objectName);
+  if (!match) {
+    return null;
+  }
+  let token;
+  try {
+    token = decodeURIComponent(match[1]);
+  } catch {
+    return null;
+  }
+  return token && token !== 'anon' ? token : null;
+};
+
+/**
+ * Checks that an event has the shape POST /api/track/bulk expects
+ * @param {*} event - A parsed NDJSON line
+ * @returns {string|null} What is wrong with the event, or null when it is valid
+ */
+export const validateIngestEvent = (event) => {
+  if (!event || typeof event !== 'object' || Array.isArray(event)) {
+    return 'Event must be a JSON object';
+  }
+  if (!event.agentName && !event.sessionId) {
+    return 'Event must have an agentName or a sessionId';
+  }
+  if (!Array.isArray(event.workflowData)) {
+    return 'Event must have workflowData as an array';
+  }
+  const invalidItem = event.workflowData.findIndex(
+    (item) =>
+      !item ||
+      typeof item !== 'object' ||
+      (typeof item.nodeName !== 'string' && typeof item.slug !== 'string')
+  );
+  if (invalidItem !== -1) {
+    return `workflowData[${invalidItem}] must be an object with a nodeName`;
+  }
+  return null;
+};
+
+/**
+ * Decompresses an object and parses its NDJSON lines. Objects read back
+ * already decompressed (e.g. through GCS transcoding) are parsed as they are.
+ * @param {Buffer} contents - Stored bytes
+ * @returns {Promise<Array<Object>>} One { event } or { error } per non-empty line
+ */
+export const parseIngestObject = async (contents) => {
+  const isGzip = contents.length >= 2 && contents[0] === 0x1f && contents[1] === 0x8b;
+  const text = (isGzip ? await gunzip(contents) : contents).toString('utf8');
+
+  return text
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      let event;
+      try {
+        event = JSON.parse(line);
+      } catch (error) {
+        return { error: `Invalid JSON: ${error.message}` };
+      }
+      const error = validateIngestEvent(event);
+      return error ? { error } : { event };
+    });
+};
+
+const staleClaimCutoff = () => new Date(Date.now() - CLAIM_TIMEOUT_MINUTES * 60 * 1000);
+
+/**
+ * Claims an object for this run. The unique object name makes sure only one
+ * run gets a new object; a claim is only taken over once it went stale.
+ * @returns {Promise<Object|null>} The object's checkpoint, or null if another run owns it
+ */
+const claimObject = async (objectName, backend) => {
+  try {
+    return await IngestObject.create({ objectName, backend, claimedAt: new Date() });
+  } catch (error) {
+    if (!(error instanceof UniqueConstraintError)) {
+      throw error;
+    }
+  }
+
+  const [claimed] = await IngestObject.update(
+    { claimedAt: new Date() },
+    {
+      where: {
+        objectName,
+        status: 'processing',
+        claimedAt: { [Op.lt]: staleClaimCutoff() },
+      },
+    }
+  );
+  return claimed ? IngestObject.findOne({ where: { objectName } }) : null;
+};
+
+/**
+ * Listed objects that no run has finished or is working on
+ */
+const findPendingObjects = async (objectNames) => {
+  const done = new Set();
+  for (let i = 0; i < objectNames.length; i += 1000) {
+    const checkpoints = await IngestObject.findAll({
+      where: {
+        objectName: objectNames.slice(i, i + 1000),
+        [Op.or]: [
+          { status: { [Op.ne]: 'processing' } },
+          { claimedAt: { [Op.gte]: staleClaimCutoff() } },
+        ],
+      },
+      attributes: ['objectName'],
+      raw: true,
+    });
+    checkpoints.forEach((checkpoint) => done.add(checkpoint.objectName));
+  }
+  return objectNames.filter((name) => !done.has(name));
+};
+
+/**
+ * Where a run starts listing: LIST_LOOKBACK_HOURS before the hour of the
+ * newest object a run has picked up. Everything older was listed already,
+ * and objects whose claim went stale are retried from their checkpoints.
+ * @returns {Promise<string>} The startOffset for storage.list
+ */
+const listStartOffset = async (backend) => {
+  const newest = await IngestObject.max('objectName', { where: { backend } });
+  const hour = /^ingest\/(\d{10})\//.exec(newest || '')?.[1];
+  if (!hour) {
+    return INGEST_PREFIX;
+  }
+  const from = new Date(parseHour(hour).getTime() - LIST_LOOKBACK_HOURS * 60 * 60 * 1000);
+  return `${INGEST_PREFIX}${formatHour(from)}/`;
+};
+
+// Objects a run claimed but did not finish, whatever hour they are in
+const findStaleObjects = async (backend) => {
+  const checkpoints = await IngestObject.findAll({
+    where: { backend, status: 'processing', claimedAt: { [Op.lt]: staleClaimCutoff() } },
+    attributes: ['objectName'],
+    order: [['objectName', 'ASC']],
+    limit: BATCH_SIZE,
+    raw: true,
+  });
+  return checkpoints.map((checkpoint) => checkpoint.objectName);
+};
+
+/**
+ * Replays one stored object through the bulk track logic. Progress is saved
+ * after every event, so a resumed object continues after the last tracked
+ * event instead of tracking it again. Events that would exceed the company's
+ * event quotas are recorded as failed instead of tracked.
+ * @param {Object} storage - Ingest storage backend
+ * @param {Object} checkpoint - The object's claimed IngestObject
+ * @returns {Promise<Object>} { events, failedEvents, rejected }
+ */
+export const processIngestObject = async (storage, checkpoint) => {
+  const reject = async (error) => {
+    await checkpoint.update({
+      status: 'rejected',
+      errors: [{ error }],
+      processedAt: new Date(),
+    });
+    return { events: 0, failedEvents: 0, rejected: true };
+  };
+
+  const token = parseIngestPartition(checkpoint.objectName);
+  const companyAuth = token ? await Company.validateApiToken(token) : null;
+  if (!companyAuth) {
+    return reject(token ? 'Invalid token' : 'No token provided');
+  }
+  const { company, environment } = companyAuth;
+  await checkpoint.update({ companyId: company.id });
+
+  // Read errors are retried; an object that cannot be decompressed never will be
+  const contents = await storage.read(checkpoint.objectName);
+  let lines;
+  try {
+    lines = await parseIngestObject(contents);
+  } catch (error) {
+    return reject(`Unreadable object: ${error.message}`);
+  }
+  await checkpoint.update({ eventCount: lines.length });
+
+  let events = 0;
+  let failedEvents = 0;
+  for (let index = checkpoint.nextEvent; index < lines.length; index++) {
+    const { event } = lines[index];
+    let { error } = lines[index];
+    if (!error) {
+      const quota = await consumeEventQuota(company.id, environment, event.workflowData.length);
+      if (!quota.allowed) {
+        error = quotaExceededBody(quota).error;
+      }
+    }
+    if (!error) {
+      try {
+        await trackWorkflow({
+          company,
+          environment,
+          body: event,
+          traceContext: extractTraceContext(
+            { traceparent: event.traceparent, tracestate: event.tracestate },
+            event
+          ),
+        });
+      } catch (trackError) {
+        error = trackError.message;
+      }
+    }
+
+    events++;
+    const errors = checkpoint.errors || [];
+    await checkpoint.update({
+      nextEvent: index + 1,
+      claimedAt: new Date(),
+      ...(error
+        ? {
+            failedEvents: checkpoint.failedEvents + 1,
+            errors:
+              errors.length < MAX_RECORDED_ERRORS
+                ? [...errors, { event: index, error }]
+                : errors,
+          }
+        : {}),
+    });
+    if (error) {
+      failedEvents++;
+    }
+  }
+
+  await checkpoint.update({ status: 'processed', processedAt: new Date() });
+  return { events, failedEvents, rejected: false };
+};
+
+/**
+ * Lists the recent hours of the ingest storage and replays up to
+ * INGEST_PROCESSOR_BATCH_SIZE objects that were not processed yet, oldest first
+ * @returns {Promise<Object>} { objects, events, failedEvents, rejected, failed }
+ */
+export const processIngestObjects = async () => {
+  const summary = { objects: 0, events: 0, failedEvents: 0, rejected: 0, failed: 0 };
+  const storage = getIngestStorage();
+  if (!storage) {
+    return summary;
+  }
+
+  const listed = await storage.list(INGEST_PREFIX, { startOffset: await listStartOffset(storage.name) });
+  const pending = [
+    ...new Set([...(await findStaleObjects(storage.name)), ...(await findPendingObjects(listed))]),
+  ];
+  for (const objectName of pending.slice(0, BATCH_SIZE)) {
+    try {
+      const checkpoint = await claimObject(objectName, storage.name);
+      if (!checkpoint) {
+        continue;
+      }
+      const result = await processIngestObject(storage, checkpoint);
+      summary.objects++;
+      summary.events += result.events;
+      summary.failedEvents += result.failedEvents;
+      if (result.rejected) {
+        summary.rejected++;
+      }
+    } catch (error) {
+      // The claim goes stale and the object is retried from its last event
+      summary.failed++;
+      console.error(`Error processing ingest object ${objectName}:`, error);
+    }
+  }
+
+  return summary;
+};
@@ -0,0 +1,159 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { Writable } from 'stream';
+import { Storage } from '@google-cloud/storage';
+
+/**
+ * Where POST /api/ingest/events stores raw gzipped NDJSON and the ingest
+ * processor reads it back. A backend exposes:
+ *   - createWriteStream(objectName, { tokenHash }): Writable for one object
+ *   - list(prefix, { startOffset }): Promise<string[]> of complete object
+ *     names, sorted, from startOffset on when it is given
+ *   - read(objectName): Promise<Buffer> with the object's stored bytes
+ */
+
+/**
+ * Google Cloud Storage backend on LOGS_BUCKET
+ */
+const createGcsStorage = () => {
+  const bucketName = process.env.LOGS_BUCKET;
+  if (!bucketName) {
+    return null;
+  }
+  const bucket = new Storage().bucket(bucketName);
+
+  return {
+    name: 'gcs',
+    createWriteStream: (objectName, { tokenHash }) =>
+      bucket.file(objectName).createWriteStream({
+        resumable: true,
+        contentType: 'application/x-ndjson',
+        metadata: {
+          contentEncoding: 'gzip',
+          metadata: { tokenHash },
+        },
+        ifGenerationMatch: 0,
+      }),
+    list: async (prefix, { startOffset } = {}) => {
+      // Resumable uploads only show up once they are finalized
+      const [files] = await bucket.getFiles({ prefix, ...(startOffset ? { startOffset } : {}) });
+      return files.map((file) => file.name).sort();
+    },
+    read: async (objectName) => {
+      // Skip decompressive transcoding so both backends return the gzipped bytes
+      const [contents] = await bucket.file(objectName).download({ decompress: false });
+      return contents;
+    },
+  };
+};
+
+const PARTIAL_SUFFIX = '.part';
+
+/**
+ * Local-directory backend on INGEST_LOCAL_DIR, for on-prem installs and tests.
+ * Objects are written to a temporary file and renamed once complete, so
+ * list() never returns a partial upload.
+ */
+const createLocalStorage = () => {
+  const root = path.resolve(process.env.INGEST_LOCAL_DIR || 'data/ingest');
+
+  const resolveObject = (objectName) => {
+    const target = path.resolve(root, objectName);
+    if (!target.startsWith(root + path.sep)) {
+      throw new Error(`Invalid object name: ${objectName}`);
+    }
+    return target;
+  };
+
+  // Directories that sort before startOffset cannot hold a later object
+  const walk = async (dir, startOffset = '') => {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+    const files = [];
+    for (const entry of entries) {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        const name = `${path.relative(root, entryPath).split(path.sep).join('/')}/`;
+        if (name < startOffset.slice(0, name.length)) {
+          continue;
+        }
+        files.push(...(await walk(entryPath, startOffset)));
+      } else if (!entry.name.endsWith(PARTIAL_SUFFIX)) {
+        files.push(entryPath);
+      }
+    }
+    return files;
+  };
+
+  return {
+    name: 'local',
+    createWriteStream: (objectName) => {
+      const target = resolveObject(objectName);
+      const partial = `${target}.${crypto.randomUUID()}${PARTIAL_SUFFIX}`;
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      const file = fs.createWriteStream(partial, { flags: 'wx' });
+
+      return new Writable({
+        write(chunk, encoding, callback) {
+          file.write(chunk, encoding, callback);
+        },
+        final(callback) {
+          file.end(() => fs.rename(partial, target, callback));
+        },
+        destroy(error, callback) {
+          file.destroy();
+          fs.rm(partial, { force: true }, () => callback(error));
+        },
+      });
+    },
+    list: async (prefix, { startOffset = '' } = {}) => {
+      const files = await walk(root, startOffset);
+      return files
+        .map((file) => path.relative(root, file).split(path.sep).join('/'))
+        .filter((name) => name.startsWith(prefix) && name >= startOffset)
+        .sort();
+    },
+    read: async (objectName) => fs.promises.readFile(resolveObject(objectName)),
+  };
+};
+
+const backends = {
+  gcs: createGcsStorage,
+  local: createLocalStorage,
+};
+
+/**
+ * Registers another storage backend, selectable with INGEST_STORAGE
+ * @param {string} name - Backend name
+ * @param {Function} factory - Returns the backend, or null when it is not configured
+ */
+export const registerIngestStorage = (name, factory) => {
+  backends[name] = factory;
+  cachedStorage = undefined;
+};
+
+let cachedStorage;
+
+/**
+ * The configured ingest storage: INGEST_STORAGE, or gcs by default
+ * @returns {Object|null} The backend, or null when it is not configured
+ */
+export const getIngestStorage = () => {
+  if (cachedStorage === undefined) {
+    const name = process.env.INGEST_STORAGE || 'gcs';
+    const factory = backends[name];
+    if (!factory) {
+      throw new Error(`Unknown ingest storage backend: ${name}`);
+    }
+    cachedStorage = factory();
+  }
+  return cachedStorage;
+};
@@ -0,0 +1,254 @@
+import db from '../../models/index.js';
+import { redisService } from './redisService.js';
+
+const { User, Membership } = db;
+
+const parseLimit = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const limit = Number(value);
+  return Number.isFinite(limit) && limit >= 0 ? limit : null;
+};
+
+/**
+ * Limits for companies whose membership does not set them. Quotas are
+ * unlimited unless TRACK_DAILY_EVENT_QUOTA or TRACK_MONTHLY_EVENT_QUOTA is set.
+ */
+const DEFAULT_LIMITS = {
+  trackRatePerSecond: parseLimit(process.env.TRACK_RATE_LIMIT_PER_SECOND) ?? 50,
+  trackBurst: parseLimit(process.env.TRACK_RATE_LIMIT_BURST) ?? 200,
+  dailyEvents: parseLimit(process.env.TRACK_DAILY_EVENT_QUOTA),
+  monthlyEvents: parseLimit(process.env.TRACK_MONTHLY_EVENT_QUOTA),
+};
+
+const LIMITS_CACHE_TTL_MS = 60 * 1000;
+const limitsCache = new Map();
+
+/**
+ * Token bucket refilled at `rate` tokens per second up to `burst`. Takes
+ * `cost` tokens when there are enough, otherwise returns how long to wait.
+ */
+const TOKEN_BUCKET_SCRIPT = `
+local rate = tonumber(ARGV[1])
+local burst = tonumber(ARGV[2])
+local now = tonumber(ARGV[3])
+local cost = tonumber(ARGV[4])
+local state = redis.call('HMGET', KEYS[1], 'tokens', 'ts')
+local tokens = tonumber(state[1]) or burst
+local ts = tonumber(state[2]) or now
+tokens = math.min(burst, tokens + math.max(0, now - ts) * rate / 1000)
+local allowed = 0
+local wait = 0
+if tokens >= cost then
+  tokens = tokens - cost
+  allowed = 1
+else
+  wait = math.ceil((cost - tokens) * 1000 / rate)
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'ts', tostring(now))
+redis.call('PEXPIRE', KEYS[1], math.ceil(burst * 1000 / rate) + 1000)
+return { allowed, wait, tostring(tokens) }
+`;
+
+/**
+ * Adds `cost` events to the daily and monthly counters unless that would
+ * exceed a quota (-1 means unlimited). Nothing is counted for rejected calls,
+ * nor when ARGV[6] is 1 (only checking that `cost` more events would fit).
+ */
+const QUOTA_SCRIPT = `
+local dayLimit = tonumber(ARGV[1])
+local monthLimit = tonumber(ARGV[2])
+local cost = tonumber(ARGV[3])
+local day = tonumber(redis.call('GET', KEYS[1]) or '0')
+local month = tonumber(redis.call('GET', KEYS[2]) or '0')
+if monthLimit >= 0 and month + cost > monthLimit then
+  return { 0, 'monthly', day, month }
+end
+if dayLimit >= 0 and day + cost > dayLimit then
+  return { 0, 'daily', day, month }
+end
+if ARGV[6] == '1' then
+  return { 1, '', day, month }
+end
+day = redis.call('INCRBY', KEYS[1], cost)
+redis.call('EXPIRE', KEYS[1], ARGV[4])
+month = redis.call('INCRBY', KEYS[2], cost)
+redis.call('EXPIRE', KEYS[2], ARGV[5])
+return { 1, '', day, month }
+`;
+
+const USAGE_SCRIPT = `
+local state = redis.call('HMGET', KEYS[1], 'tokens', 'ts')
+return { redis.call('GET', KEYS[2]) or '0', redis.call('GET', KEYS[3]) or '0', state[1] or '', state[2] or '' }
+`;
+
+const bucketKey = (companyId, environment) => `ingestion:rate:${companyId}:${environment}`;
+
+const periodKeys = (companyId, environment, now) => {
+  const iso = now.toISOString();
+  return {
+    day: `ingestion:quota:${companyId}:${environment}:${iso.slice(0, 10)}`,
+    month: `ingestion:quota:${companyId}:${environment}:${iso.slice(0, 7)}`,
+  };
+};
+
+/**
+ * Start of the next UTC day and month, when the quotas reset
+ */
+const periodResets = (now) => ({
+  day: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1)),
+  month: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)),
+});
+
+/**
+ * Ingestion limits of a company: its membership's `limits` (trackRatePerSecond,
+ * trackBurst, dailyEvents, monthlyEvents) over the defaults. The membership
+ * is the one of the company's first user, as for the other plan checks.
+ */
+export const resolveIngestionLimits = async (companyId) => {
+  const cached = limitsCache.get(companyId);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.limits;
+  }
+
+  const user = await User.findOne({
+    where: { companyId },
+    include: [Membership],
+    order: [['id', 'ASC']],
+  });
+  const membershipLimits = user?.Membership?.limits || {};
+  const limits = Object.fromEntries(
+    Object.entries(DEFAULT_LIMITS).map(([key, value]) => [
+      key,
+      key in membershipLimits ? parseLimit(membershipLimits[key]) : value,
+    ])
+  );
+
+  limitsCache.set(companyId, { limits, expiresAt: Date.now() + LIMITS_CACHE_TTL_MS });
+  return limits;
+};
+
+/**
+ * Takes one request from the company's token bucket for the environment.
+ * Allows the request when Redis is unavailable rather than dropping data.
+ * @returns {Promise<Object>} { allowed, retryAfter } with retryAfter in seconds
+ */
+export const consumeRateLimit = async (companyId, environment) => {
+  const { trackRatePerSecond, trackBurst } = await resolveIngestionLimits(companyId);
+  if (!trackRatePerSecond || trackBurst === null) {
+    return { allowed: true, retryAfter: 0 };
+  }
+
+  const result = await redisService.eval(
+    TOKEN_BUCKET_SCRIPT,
+    [bucketKey(companyId, environment)],
+    [trackRatePerSecond, Math.max(trackBurst, 1), Date.now(), 1]
+  );
+  if (!result) {
+    return { allowed: true, retryAfter: 0 };
+  }
+  const [allowed, wait] = result;
+  return { allowed: allowed === 1, retryAfter: Math.max(1, Math.ceil(wait / 1000)) };
+};
+
+const runQuotaScript = async (companyId, environment, events, checkOnly) => {
+  const { dailyEvents, monthlyEvents } = await resolveIngestionLimits(companyId);
+  if (events <= 0 || (dailyEvents === null && monthlyEvents === null)) {
+    return { allowed: true };
+  }
+
+  const now = new Date();
+  const keys = periodKeys(companyId, environment, now);
+  const result = await redisService.eval(
+    QUOTA_SCRIPT,
+    [keys.day, keys.month],
+    [dailyEvents ?? -1, monthlyEvents ?? -1, events, 2 * 24 * 60 * 60, 32 * 24 * 60 * 60, checkOnly ? 1 : 0]
+  );
+  if (!result || result[0] === 1) {
+    return { allowed: true };
+  }
+
+  const quota = result[1];
+  const resets = periodResets(now);
+  const resetsAt = quota === 'daily' ? resets.day : resets.month;
+  return {
+    allowed: false,
+    quota,
+    limit: quota === 'daily' ? dailyEvents : monthlyEvents,
+    retryAfter: Math.ceil((resetsAt.getTime() - now.getTime()) / 1000),
+  };
+};
+
+/**
+ * Counts `events` tracked events against the company's daily and monthly
+ * quotas for the environment, unless that would exceed one of them.
+ * @returns {Promise<Object>} { allowed, quota, limit, retryAfter } where quota
+ *   is 'daily' or 'monthly' for a rejected call and retryAfter is in seconds
+ */
+export const consumeEventQuota = (companyId, environment, events) =>
+  runQuotaScript(companyId, environment, events, false);
+
+/**
+ * Whether the company has any events left in the environment's quotas,
+ * without counting anything; lets a call be turned away before its body is read
+ * @returns {Promise<Object>} { allowed, quota, limit, retryAfter } as from consumeEventQuota
+ */
+export const checkEventQuota = (companyId, environment) => runQuotaScript(companyId, environment, 1, true);
+
+/**
+ * Response body for a call rejected by an event quota
+ * @param {Object} quota - A rejection from consumeEventQuota or checkEventQuota
+ * @returns {Object} { error, quota, limit, retryAfter }
+ */
+export const quotaExceededBody = (quota) => ({
+  error: `The ${quota.quota} event quota of ${quota.limit} events is exhausted`,
+  quota: quota.quota,
+  limit: quota.limit,
+  retryAfter: quota.retryAfter,
+});
+
+/**
+ * Current ingestion usage of a company in one environment
+ * @returns {Promise<Object>} { rate, daily, monthly } with limits, usage and reset times
+ */
+export const getIngestionUsage = async (companyId, environment) => {
+  const limits = await resolveIngestionLimits(companyId);
+  const now = new Date();
+  const keys = periodKeys(companyId, environment, now);
+  const resets = periodResets(now);
+
+  const [day, month, tokens, updatedAt] =
+    (await redisService.eval(
+      USAGE_SCRIPT,
+      [bucketKey(companyId, environment), keys.day, keys.month],
+      []
+    )) || ['0', '0', '', ''];
+
+  // Refill the bucket up to now, the same way the rate limit script does
+  let available = limits.trackBurst;
+  if (tokens !== '' && limits.trackRatePerSecond) {
+    const elapsed = Math.max(0, now.getTime() - Number(updatedAt));
+    available = Math.min(
+      limits.trackBurst,
+      Number(tokens) + (elapsed * limits.trackRatePerSecond) / 1000
+    );
+  }
+
+  const period = (used, limit, resetsAt) => ({
+    used,
+    limit,
+    remaining: limit === null ? null : Math.max(0, limit - used),
+    resetsAt,
+  });
+
+  return {
+    rate: {
+      perSecond: limits.trackRatePerSecond,
+      burst: limits.trackBurst,
+      available: available === null ? null : Math.floor(available),
+    },
+    daily: period(parseInt(day, 10) || 0, limits.dailyEvents, resets.day),
+    monthly: period(parseInt(month, 10) || 0, limits.monthlyEvents, resets.month),
+  };
+};
@@ -0,0 +1,159 @@
+export const ENSEMBLE_AGGREGATIONS = ['majority', 'mean', 'min'];
+
+const MAX_ENSEMBLE_JUDGMENTS = parseInt(process.env.EVALUATOR_ENSEMBLE_MAX_JUDGMENTS || '9', 10);
+const DEFAULT_DISAGREEMENT_THRESHOLD = 2;
+const DEFAULT_SAMPLE_TEMPERATURE = 0.7;
+
+// Same pass mark as parseEvaluatorsOutput and the EvaluationLog isCorrect flag
+const PASS_SCORE = 8;
+
+/**
+ * Judgments an ensemble makes per entry: every sample of its default judge
+ * and of each configured judge
+ */
+export const countJudgments = (ensemble) =>
+  ((ensemble?.judges || []).length + 1) * (ensemble?.samples || 1);
+
+/**
+ * Checks the ensemble config of an evaluator:
+ * {
+ *   judges: [{ integrationTokenId, model }],  // run alongside the evaluator's default judge
+ *   samples: 1,                               // judgments per judge
+ *   temperature: 0.7,                         // used when samples > 1
+ *   aggregation: 'mean',                      // majority, mean or min
+ *   disagreementThreshold: 2                  // score standard deviation that needs a human
+ * }
+ * @param {Object|null} ensemble - The config; null runs a single judge
+ * @returns {string|null} What is wrong with it, or null when it is valid
+ */
+export const validateEnsembleConfig = (ensemble) => {
+  if (ensemble === null || ensemble === undefined) {
+    return null;
+  }
+  if (typeof ensemble !== 'object' || Array.isArray(ensemble)) {
+    return 'ensemble must be an object';
+  }
+  const { judges = [], samples = 1, temperature, aggregation = 'mean', disagreementThreshold } = ensemble;
+  if (!Array.isArray(judges) || judges.some((judge) => !judge || !judge.integrationTokenId)) {
+    return 'ensemble.judges must be a list of { integrationTokenId, model }';
+  }
+  if (!Number.isInteger(samples) || samples < 1) {
+    return 'ensemble.samples must be a positive integer';
+  }
+  if (countJudgments({ judges, samples }) > MAX_ENSEMBLE_JUDGMENTS) {
+    return `An ensemble can make at most ${MAX_ENSEMBLE_JUDGMENTS} judgments per entry`;
+  }
+  if (temperature !== undefined && (typeof temperature !== 'number' || temperature < 0 || temperature > 2)) {
+    return 'ensemble.temperature must be between 0 and 2';
+  }
+  if (!ENSEMBLE_AGGREGATIONS.includes(aggregation)) {
+    return `ensemble.aggregation must be one of ${ENSEMBLE_AGGREGATIONS.join(', ')}`;
+  }
+  if (disagreementThreshold !== undefined && (typeof disagreementThreshold !== 'number' || disagreementThreshold <= 0)) {
+    return 'ensemble.disagreementThreshold must be a positive number';
+  }
+  return null;
+};
+
+/**
+ * Whether an evaluator judges with more than one judgment per entry
+ */
+export const isEnsemble = (evaluationPrompt) => {
+  const ensemble = evaluationPrompt?.ensemble;
+  return Boolean(ensemble && ((ensemble.judges || []).length > 0 || (ensemble.samples || 1) > 1));
+};
+
+/**
+ * The judges of an ensemble evaluator with their integration tokens: its
+ * default judge first, then the configured ones. Tokens must belong to the
+ * evaluator's company; unknown ones are skipped.
+ * @param {Object} evaluationPrompt - EvaluationPrompt with its defaultIntegrationToken.provider
+ * @param {Function} getModel - Default model of an evaluator for its token's provider
+ * @returns {Promise<Array<Object>>} [{ token, model }]
+ */
+export const resolveEnsembleJudges = async (evaluationPrompt, getModel) => {
+  const judges = [{ token: evaluationPrompt.defaultIntegrationToken || null, model: getModel(evaluationPrompt) }];
+  const configured = evaluationPrompt.ensemble?.judges || [];
+  if (!configured.length) {
+    return judges;
+  }
+
+  // Imported lazily: the models import the evaluation service, which imports this module
+  const { default: db } = await import('../../models/index.js');
+  const tokens = await db.IntegrationToken.findAll({
+    where: {
+      id: configured.map((judge) => judge.integrationTokenId),
+      ...(evaluationPrompt.companyId ? { companyId: evaluationPrompt.companyId } : {}),
+    },
+    attributes: ['id', 'name', 'providerId', 'token', 'data'],
+    include: [{ model: db.Provider, as: 'provider', attributes: ['id', 'name'] }],
+  });
+  for (const judge of configured) {
+    const token = tokens.find((candidate) => candidate.id === Number(judge.integrationTokenId));
+    if (token) {
+      judges.push({
+        token,
+        model: judge.model || getModel({ defaultIntegrationToken: token }),
+      });
+    }
+  }
+  return judges;
+};
+
+/**
+ * Sampling temperature of an ensemble's judgments: its configured temperature
+ * when it samples each judge more than once, the provider default otherwise
+ */
+export const ensembleTemperature = (ensemble) =>
+  (ensemble?.samples || 1) > 1 ? ensemble.temperature ?? DEFAULT_SAMPLE_TEMPERATURE : undefined;
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+/**
+ * Combines the judgments of an ensemble into one score. `majority` takes the
+ * lower median, so the score passes exactly when most judgments pass and a
+ * tie fails; `mean` averages them; `min` takes the strictest judgment.
+ * Disagreement is a score standard deviation at or above the threshold while
+ * the judgments disagree on pass or fail, i.e. a spread that changes the label.
+ * @param {Array<Object>} judgments - [{ score, analysis, errors, provider, model, sample }]
+ * @param {Object} ensemble - The evaluator's ensemble config
+ * @returns {Object} { score, analysis, errors, ensemble: { aggregation, judgments, variance, stdDev, disagreement } }
+ */
+export const aggregateJudgments = (judgments, ensemble = {}) => {
+  const aggregation = ensemble.aggregation || 'mean';
+  const scores = judgments.map((judgment) => judgment.score);
+
+  let score;
+  if (aggregation === 'min') {
+    score = Math.min(...scores);
+  } else if (aggregation === 'majority') {
+    score = [...scores].sort((a, b) => a - b)[Math.floor((scores.length - 1) / 2)];
+  } else {
+    score = mean(scores);
+  }
+
+  const average = mean(scores);
+  const variance = mean(scores.map((value) => (value - average) ** 2));
+  const stdDev = Math.sqrt(variance);
+  const passes = scores.filter((value) => value >= PASS_SCORE).length;
+  const split = passes > 0 && passes < scores.length;
+  const threshold = ensemble.disagreementThreshold ?? DEFAULT_DISAGREEMENT_THRESHOLD;
+
+  // The analysis of the judgment closest to the combined score explains it best
+  const representative = judgments.reduce((closest, judgment) =>
+    Math.abs(judgment.score - score) < Math.abs(closest.score - score) ? judgment : closest
+  );
+
+  return {
+    score,
+    analysis: representative.analysis,
+    errors: representative.errors,
+    ensemble: {
+      aggregation,
+      judgments,
+      variance,
+      stdDev,
+      disagreement: split && stdDev >= threshold,
+    },
+  };
+};
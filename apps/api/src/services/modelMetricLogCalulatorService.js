@@ -27,16 +27,17 @@ export const executeCalculateMetricsForModel = async (model, ModelMetricLog, log
   for (let j = 0; j < modelMetrics.length; j++) {
     const metric = modelMetrics[j];
     if (metric.type === 'oss') {
+      // Only logs the evaluator scored count: RAG evaluators skip logs without retrieved context
+      const scoredLogs = notProcessedLogs.filter((log) => typeof log.actual?.[metric.name] === 'number');
+      if (notProcessedLogs.length > 0 && scoredLogs.length === 0) {
+        continue;
+      }
       let avg = 0;
-      for (let i = 0; i < notProcessedLogs.length; i++) {
-        const log = notProcessedLogs[i];
-        const actual = log.actual[metric.name];
-        if (actual) {
-          avg += actual;
-        }
+      for (let i = 0; i < scoredLogs.length; i++) {
+        avg += scoredLogs[i].actual[metric.name];
       }
-      if (notProcessedLogs.length > 0) {
-        avg = avg / (notProcessedLogs.length * 10.0);
+      if (scoredLogs.length > 0) {
+        avg = avg / (scoredLogs.length * 10.0);
       }
       await ModelMetricLog.create({
         modelMetricId: metric.dataValues.id,
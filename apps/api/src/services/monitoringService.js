@@ -1,3 +1,4 @@
+import { Op } from 'sequelize';
 import db from '../../models/index.js';
 import { redisService } from './redisService.js';
 
@@ -78,6 +79,8 @@ export const getListOfEntries = async (
     modelIds = models.map((model) => model.id);
   }
   let entries = [];
+  // Unverified entries the evaluators could not label on their own, e.g. split ensemble judges
+  const toReview = { processed: false, reviewReason: { [Op.ne]: null } };
 
   let cached = null;
   if (modelIds.length === 1) {
@@ -95,6 +98,13 @@ export const getListOfEntries = async (
       offset: (page - 1) * pageSize,
       order: [['created_at', 'DESC']],
     });
+  } else if (type == 'review') {
+    entries = await ModelLog.findAll({
+      where: { modelId: modelIds, ...toReview, environment },
+      limit: pageSize,
+      offset: (page - 1) * pageSize,
+      order: [['created_at', 'DESC']],
+    });
   } else {
     entries = await ModelLog.findAll({
       where: { modelId: modelIds, processed: type == 'verified', environment },
@@ -105,7 +115,14 @@ export const getListOfEntries = async (
   }
 
   const totalEntries = await ModelLog.count({
-    where: { modelId: modelIds, processed: type === 'verified', environment },
+    where:
+      type === 'review'
+        ? { modelId: modelIds, ...toReview, environment }
+        : { modelId: modelIds, processed: type === 'verified', environment },
+  });
+
+  const amountToReview = await ModelLog.count({
+    where: { modelId: modelIds, ...toReview, environment },
   });
 
   const amountVerified = await ModelLog.count({
@@ -131,6 +148,7 @@ export const getListOfEntries = async (
   return {
     amountVerified,
     amountUnverified,
+    amountToReview,
     correct,
     incorrect,
     entries,
@@ -0,0 +1,178 @@
+import protobuf from 'protobufjs';
+
+/**
+ * Minimal subset of the OTLP trace protocol (opentelemetry/proto/collector/trace/v1)
+ * needed to decode span exports. Fields we do not read (links, dropped counts on
+ * nested messages) are skipped by the decoder as unknown fields.
+ */
+const otlpTraceSchema = {
+  nested: {
+    opentelemetry: {
+      nested: {
+        KeyValue: {
+          fields: {
+            key: { type: 'string', id: 1 },
+            value: { type: 'AnyValue', id: 2 },
+          },
+        },
+        AnyValue: {
+          oneofs: {
+            value: {
+              oneof: [
+                'stringValue',
+                'boolValue',
+                'intValue',
+                'doubleValue',
+                'arrayValue',
+                'kvlistValue',
+                'bytesValue',
+              ],
+            },
+          },
+          fields: {
+            stringValue: { type: 'string', id: 1 },
+            boolValue: { type: 'bool', id: 2 },
+            intValue: { type: 'int64', id: 3 },
+            doubleValue: { type: 'double', id: 4 },
+            arrayValue: { type: 'ArrayValue', id: 5 },
+            kvlistValue: { type: 'KeyValueList', id: 6 },
+            bytesValue: { type: 'bytes', id: 7 },
+          },
+        },
+        ArrayValue: {
+          fields: {
+            values: { rule: 'repeated', type: 'AnyValue', id: 1 },
+          },
+        },
+        KeyValueList: {
+          fields: {
+            values: { rule: 'repeated', type: 'KeyValue', id: 1 },
+          },
+        },
+        Resource: {
+          fields: {
+            attributes: { rule: 'repeated', type: 'KeyValue', id: 1 },
+          },
+        },
+        InstrumentationScope: {
+          fields: {
+            name: { type: 'string', id: 1 },
+            version: { type: 'string', id: 2 },
+          },
+        },
+        Status: {
+          fields: {
+            message: { type: 'string', id: 2 },
+            code: { type: 'int32', id: 3 },
+          },
+        },
+        Event: {
+          fields: {
+            timeUnixNano: { type: 'fixed64', id: 1 },
+            name: { type: 'string', id: 2 },
+            attributes: { rule: 'repeated', type: 'KeyValue', id: 3 },
+          },
+        },
+        Span: {
+          fields: {
+            traceId: { type: 'bytes', id: 1 },
+            spanId: { type: 'bytes', id: 2 },
+            traceState: { type: 'string', id: 3 },
+            parentSpanId: { type: 'bytes', id: 4 },
+            name: { type: 'string', id: 5 },
+            kind: { type: 'int32', id: 6 },
+            startTimeUnixNano: { type: 'fixed64', id: 7 },
+            endTimeUnixNano: { type: 'fixed64', id: 8 },
+            attributes: { rule: 'repeated', type: 'KeyValue', id: 9 },
+            events: { rule: 'repeated', type: 'Event', id: 11 },
+            status: { type: 'Status', id: 15 },
+          },
+        },
+        ScopeSpans: {
+          fields: {
+            scope: { type: 'InstrumentationScope', id: 1 },
+            spans: { rule: 'repeated', type: 'Span', id: 2 },
+          },
+        },
+        ResourceSpans: {
+          fields: {
+            resource: { type: 'Resource', id: 1 },
+            scopeSpans: { rule: 'repeated', type: 'ScopeSpans', id: 2 },
+          },
+        },
+        ExportTraceServiceRequest: {
+          fields: {
+            resourceSpans: { rule: 'repeated', type: 'ResourceSpans', id: 1 },
+          },
+        },
+        ExportTracePartialSuccess: {
+          fields: {
+            rejectedSpans: { type: 'int64', id: 1 },
+            errorMessage: { type: 'string', id: 2 },
+          },
+        },
+        ExportTraceServiceResponse: {
+          fields: {
+            partialSuccess: { type: 'ExportTracePartialSuccess', id: 1 },
+          },
+        },
+      },
+    },
+  },
+};
+
+const root = protobuf.Root.fromJSON(otlpTraceSchema);
+const ExportTraceServiceRequest = root.lookupType(
+  'opentelemetry.ExportTraceServiceRequest'
+);
+const ExportTraceServiceResponse = root.lookupType(
+  'opentelemetry.ExportTraceServiceResponse'
+);
+
+const BYTE_ID_FIELDS = ['traceId', 'spanId', 'parentSpanId'];
+
+/**
+ * Converts the Buffer ids produced by the protobuf decoder into the lowercase hex
+ * strings OTLP/JSON uses, so both encodings share one downstream shape.
+ */
+const hexifySpanIds = (request) => {
+  for (const resourceSpans of request.resourceSpans || []) {
+    for (const scopeSpans of resourceSpans.scopeSpans || []) {
+      for (const span of scopeSpans.spans || []) {
+        for (const field of BYTE_ID_FIELDS) {
+          span[field] = span[field]?.length
+            ? Buffer.from(span[field]).toString('hex')
+            : '';
+        }
+      }
+    }
+  }
+  return request;
+};
+
+/**
+ * Decodes a binary OTLP ExportTraceServiceRequest into the OTLP/JSON object shape
+ * @param {Buffer} buffer - The raw protobuf request body
+ * @returns {Object} Request with camelCase fields, string longs and hex ids
+ */
+export const decodeTraceRequest = (buffer) => {
+  const message = ExportTraceServiceRequest.decode(buffer);
+  const request = ExportTraceServiceRequest.toObject(message, {
+    longs: String,
+    enums: Number,
+    defaults: false,
+    arrays: true,
+  });
+  return hexifySpanIds(request);
+};
+
+/**
+ * Encodes an ExportTraceServiceResponse, optionally reporting rejected spans
+ * @param {Object} [partialSuccess] - { rejectedSpans, errorMessage }
+ * @returns {Buffer} The protobuf-encoded response body
+ */
+export const encodeTraceResponse = (partialSuccess = null) => {
+  const payload = partialSuccess ? { partialSuccess } : {};
+  const message = ExportTraceServiceResponse.fromObject(payload);
+  return Buffer.from(ExportTraceServiceResponse.encode(message).finish());
+};
@@ -0,0 +1,509 @@
+import { Op } from 'sequelize';
+import db from '../../models/index.js';
+import { executeTrack, executeToolTrack } from './trackService.js';
+import { createAgentFromConfig } from './agentCreationService.js';
+import {
+  findOrCreateAgentNode,
+  repositionAgentNodes,
+} from './agentNodeService.js';
+import { generateSlug } from '../utils/slugGenerator.js';
+import { redactTrackData } from './redactionService.js';
+
+const { Agent, AgentLog, Model, ModelLog } = db;
+
+const STATUS_CODE_ERROR = 2;
+const LLM_OPERATIONS = [
+  'chat',
+  'text_completion',
+  'generate_content',
+  'embeddings',
+];
+
+/**
+ * Converts an OTLP AnyValue into a plain JavaScript value
+ */
+const fromAnyValue = (value) => {
+  if (!value) return null;
+  if ('stringValue' in value) return value.stringValue;
+  if ('boolValue' in value) return value.boolValue;
+  if ('intValue' in value) return Number(value.intValue);
+  if ('doubleValue' in value) return Number(value.doubleValue);
+  if ('bytesValue' in value) return value.bytesValue;
+  if ('arrayValue' in value) {
+    return (value.arrayValue?.values || []).map(fromAnyValue);
+  }
+  if ('kvlistValue' in value) {
+    return attributesToObject(value.kvlistValue?.values);
+  }
+  return null;
+};
+
+const attributesToObject = (attributes = []) => {
+  return (attributes || []).reduce((acc, { key, value }) => {
+    acc[key] = fromAnyValue(value);
+    return acc;
+  }, {});
+};
+
+const nanosToMillis = (nanos) => {
+  if (nanos === undefined || nanos === null || nanos === '') return null;
+  return Number(BigInt(nanos) / 1000000n);
+};
+
+const parseMaybeJson = (value) => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+};
+
+/**
+ * Flattens an ExportTraceServiceRequest into spans carrying plain attribute maps
+ * @param {Object} request - OTLP/JSON shaped request (see otlpProto.decodeTraceRequest)
+ * @returns {Array<Object>} Normalized spans
+ */
+export const normalizeSpans = (request) => {
+  const spans = [];
+  for (const resourceSpans of request?.resourceSpans || []) {
+    const resource = attributesToObject(resourceSpans.resource?.attributes);
+    for (const scopeSpans of resourceSpans.scopeSpans || []) {
+      for (const span of scopeSpans.spans || []) {
+        if (!span.traceId || !span.spanId) continue;
+        const startedAt = nanosToMillis(span.startTimeUnixNano);
+        const endedAt = nanosToMillis(span.endTimeUnixNano);
+        spans.push({
+          traceId: span.traceId.toLowerCase(),
+          spanId: span.spanId.toLowerCase(),
+          parentSpanId: span.parentSpanId ? span.parentSpanId.toLowerCase() : null,
+          name: span.name,
+          startedAt,
+          endedAt,
+          duration:
+            startedAt !== null && endedAt !== null ? endedAt - startedAt : null,
+          attributes: attributesToObject(span.attributes),
+          events: (span.events || []).map((event) => ({
+            name: event.name,
+            attributes: attributesToObject(event.attributes),
+          })),
+          status: {
+            code: Number(span.status?.code || 0),
+            message: span.status?.message || null,
+          },
+          resource,
+        });
+      }
+    }
+  }
+  return spans;
+};
+
+/**
+ * Whether a span follows the GenAI semantic conventions for a model call
+ */
+export const isLlmSpan = (span) => {
+  const operation = span.attributes['gen_ai.operation.name'];
+  if (operation) {
+    return LLM_OPERATIONS.includes(operation);
+  }
+  return !!span.attributes['gen_ai.request.model'];
+};
+
+/**
+ * Converts GenAI message payloads (parts-based or role/content) into
+ * OpenAI-style { role, content } messages
+ */
+const toMessages = (messages) => {
+  const parsed = parseMaybeJson(messages);
+  if (!Array.isArray(parsed)) return null;
+  return parsed.map((message) => {
+    if (!Array.isArray(message?.parts)) return message;
+    const content = message.parts
+      .map((part) => part.content ?? part.text ?? '')
+      .filter((text) => typeof text === 'string' && text.length > 0)
+      .join('\n');
+    return { role: message.role, content };
+  });
+};
+
+/**
+ * Reads indexed attributes such as gen_ai.prompt.0.role / gen_ai.prompt.0.content
+ */
+const indexedMessages = (attributes, prefix) => {
+  const messages = [];
+  Object.entries(attributes).forEach(([key, value]) => {
+    const match = key.match(new RegExp(`^${prefix}\\.(\\d+)\\.(role|content)$`));
+    if (!match) return;
+    const index = Number(match[1]);
+    messages[index] = { ...messages[index], [match[2]]: value };
+  });
+  return messages.filter(Boolean);
+};
+
+const EVENT_ROLES = {
+  'gen_ai.system.message': 'system',
+  'gen_ai.user.message': 'user',
+  'gen_ai.assistant.message': 'assistant',
+  'gen_ai.tool.message': 'tool',
+};
+
+const extractLlmInput = (span) => {
+  const { attributes } = span;
+  let messages =
+    toMessages(attributes['gen_ai.input.messages']) ||
+    toMessages(attributes['gen_ai.prompt']);
+
+  if (!messages?.length) {
+    messages = indexedMessages(attributes, 'gen_ai\\.prompt');
+  }
+  if (!messages?.length) {
+    messages = span.events
+      .filter((event) => EVENT_ROLES[event.name])
+      .map((event) => ({
+        role: event.attributes.role || EVENT_ROLES[event.name],
+        content: parseMaybeJson(event.attributes.content),
+      }));
+  }
+
+  const instructions = parseMaybeJson(attributes['gen_ai.system_instructions']);
+  if (instructions && !messages.some((m) => m.role === 'system')) {
+    const content = Array.isArray(instructions)
+      ? instructions.map((part) => part.content ?? '').join('\n')
+      : instructions;
+    messages = [{ role: 'system', content }, ...messages];
+  }
+
+  if (!messages.length && typeof attributes['gen_ai.prompt'] === 'string') {
+    return [{ role: 'user', content: attributes['gen_ai.prompt'] }];
+  }
+  return messages;
+};
+
+const extractLlmCompletion = (span) => {
+  const { attributes } = span;
+  const outputMessages =
+    toMessages(attributes['gen_ai.output.messages']) ||
+    toMessages(attributes['gen_ai.completion']);
+  if (outputMessages?.length) {
+    return outputMessages[outputMessages.length - 1].content;
+  }
+
+  const indexed = indexedMessages(attributes, 'gen_ai\\.completion');
+  if (indexed.length) {
+    return indexed[indexed.length - 1].content;
+  }
+
+  const choice = span.events.find((event) => event.name === 'gen_ai.choice');
+  if (choice) {
+    const message = parseMaybeJson(choice.attributes.message);
+    return message?.content ?? choice.attributes.content ?? null;
+  }
+
+  return typeof attributes['gen_ai.completion'] === 'string'
+    ? attributes['gen_ai.completion']
+    : null;
+};
+
+/**
+ * Builds an OpenAI-shaped response so executeTrack extracts the prediction and
+ * the usage block is stored the same way as SDK-tracked calls
+ */
+const buildLlmOutput = (span) => {
+  const { attributes } = span;
+  const inputTokens =
+    attributes['gen_ai.usage.input_tokens'] ??
+    attributes['gen_ai.usage.prompt_tokens'];
+  const outputTokens =
+    attributes['gen_ai.usage.output_tokens'] ??
+    attributes['gen_ai.usage.completion_tokens'];
+
+  const output = {
+    model:
+      attributes['gen_ai.response.model'] ||
+      attributes['gen_ai.request.model'] ||
+      null,
+    choices: [
+      {
+        index: 0,
+        message: { role: 'assistant', content: extractLlmCompletion(span) },
+        finish_reason: parseMaybeJson(
+          attributes['gen_ai.response.finish_reasons']
+        )?.[0],
+      },
+    ],
+  };
+
+  if (inputTokens !== undefined || outputTokens !== undefined) {
+    output.usage = {
+      prompt_tokens: inputTokens || 0,
+      completion_tokens: outputTokens || 0,
+      total_tokens: (inputTokens || 0) + (outputTokens || 0),
+    };
+  }
+  return output;
+};
+
+const extractToolInput = (span) => {
+  const { attributes } = span;
+  return parseMaybeJson(
+    attributes['gen_ai.tool.call.arguments'] ??
+      attributes['gen_ai.input.messages'] ??
+      attributes['input.value'] ??
+      attributes
+  );
+};
+
+const extractToolOutput = (span) => {
+  const { attributes } = span;
+  return parseMaybeJson(
+    attributes['gen_ai.tool.call.result'] ??
+      attributes['gen_ai.output.messages'] ??
+      attributes['output.value'] ??
+      {}
+  );
+};
+
+const spanError = (span) => {
+  if (span.status.code !== STATUS_CODE_ERROR) return null;
+  return (
+    span.status.message ||
+    span.attributes['error.type'] ||
+    span.events.find((event) => event.name === 'exception')?.attributes[
+      'exception.message'
+    ] ||
+    'Span ended with error status'
+  );
+};
+
+const spanNodeName = (span) => {
+  const { attributes } = span;
+  return (
+    attributes['handit.node.name'] ||
+    (!isLlmSpan(span) && attributes['gen_ai.tool.name']) ||
+    span.name
+  );
+};
+
+const traceAgentName = (spans, root) => {
+  const named = [root, ...spans].find(
+    (span) => span?.attributes['gen_ai.agent.name']
+  );
+  return (
+    named?.attributes['gen_ai.agent.name'] ||
+    spans[0].resource['service.name'] ||
+    'OpenTelemetry Agent'
+  );
+};
+
+const findOrCreateAgent = async (agentName, companyId) => {
+  const agentSlug = generateSlug(agentName);
+  let agent = await Agent.findOne({
+    where: { slug: agentSlug, companyId },
+  });
+  if (!agent) {
+    agent = await createAgentFromConfig(
+      {
+        agent: {
+          name: agentName,
+          description: 'Automatically created agent from OpenTelemetry traces',
+          slug: agentSlug,
+        },
+        nodes: [],
+      },
+      companyId
+    );
+  }
+  return agent;
+};
+
+const baseMetadata = (span) => ({
+  traceId: span.traceId,
+  spanId: span.spanId,
+  parentSpanId: span.parentSpanId,
+  spanName: span.name,
+  attributes: span.attributes,
+});
+
+/**
+ * Maps the spans of a single trace onto one execution (AgentLog) and its nodes
+ */
+const ingestTrace = async (traceId, spans, { company, environment }) => {
+  spans.sort((a, b) => (a.startedAt || 0) - (b.startedAt || 0));
+  const root = spans.find((span) => !span.parentSpanId) || null;
+  const agent = await findOrCreateAgent(traceAgentName(spans, root), company.id);
+
+  // Spans of one trace may arrive over several exports, so reuse the execution.
+  // Executions ingested before trace_id existed kept the trace ID in external_id.
+  let agentLog = await AgentLog.findOne({
+    where: {
+      agentId: agent.id,
+      environment,
+      [Op.or]: [{ traceId }, { externalId: traceId }],
+    },
+  });
+  if (!agentLog) {
+    agentLog = await AgentLog.create({
+      agentId: agent.id,
+      input: 'processing',
+      environment,
+      status: 'processing',
+      traceId,
+      metadata: {
+        startedAt: new Date(spans[0].startedAt || Date.now()),
+        source: 'otlp',
+      },
+    });
+  }
+  const executionId = agentLog.id;
+
+  const results = [];
+  for (const span of spans) {
+    const llm = isLlmSpan(span);
+    // A non-LLM root span is the execution itself rather than a node
+    if (span === root && !llm) continue;
+
+    const nodeName = spanNodeName(span);
+    try {
+      const { agentNode } = await findOrCreateAgentNode({
+        agent,
+        nodeType: llm ? 'model' : 'tool',
+        nodeId: nodeName,
+        nodeName,
+        toolType: span.attributes['gen_ai.tool.type'] || 'TOOL',
+        description: span.attributes['gen_ai.tool.description'] ||
+          'Automatically created node',
+        agentLogId: executionId,
+      });
+
+      const error = spanError(span);
+      const redactionScope = { companyId: company.id, agentId: agent.id };
+      let answer;
+      if (agentNode.type === 'tool') {
+        answer = await executeToolTrack(
+          agentNode,
+          await redactTrackData(
+            {
+              input: extractToolInput(span),
+              output: extractToolOutput(span),
+              error,
+              duration: span.duration,
+              startedAt: span.startedAt,
+              endedAt: span.endedAt,
+              metadata: baseMetadata(span),
+              environment,
+              executionId,
+              traceId,
+              spanId: span.spanId,
+              parentSpanId: span.parentSpanId,
+            },
+            redactionScope
+          ),
+          agent
+        );
+      } else {
+        const model = await Model.findByPk(agentNode.modelId);
+        answer = await executeTrack(
+          model,
+          await redactTrackData(
+            {
+              input: extractLlmInput(span),
+              output: buildLlmOutput(span),
+              error,
+              environment,
+              executionId,
+              nodeName,
+              startedAt: span.startedAt,
+              endedAt: span.endedAt,
+              traceId,
+              spanId: span.spanId,
+              parentSpanId: span.parentSpanId,
+            },
+            redactionScope
+          ),
+          ModelLog
+        );
+      }
+
+      if (answer.error) {
+        results.push({ spanId: span.spanId, node: nodeName, error: answer.error });
+      } else {
+        results.push({
+          spanId: span.spanId,
+          node: nodeName,
+          success: true,
+          modelLogId: answer.modelLogId || null,
+        });
+      }
+    } catch (err) {
+      results.push({ spanId: span.spanId, node: nodeName, error: err.message });
+    }
+  }
+
+  await repositionAgentNodes(agent, true);
+
+  // The root span ends last, so its arrival closes the execution
+  if (root) {
+    const rootData = await redactTrackData(
+      {
+        input: extractToolInput(root),
+        output: isLlmSpan(root) ? extractLlmCompletion(root) : extractToolOutput(root),
+        error: spanError(root),
+      },
+      { companyId: company.id, agentId: agent.id }
+    );
+    const latest = await AgentLog.findByPk(executionId);
+    await latest.update({
+      input: latest.input === 'processing' ? rootData.input : latest.input,
+      status: rootData.error ? 'failed' : 'success',
+      output: rootData.output,
+      duration: root.duration,
+      closeReason: 'trace_end',
+      errorDetails: rootData.error ? { message: rootData.error } : null,
+      metadata: {
+        ...latest.metadata,
+        startedAt: new Date(root.startedAt),
+        endedAt: new Date(root.endedAt),
+      },
+    });
+  }
+
+  return { executionId, results };
+};
+
+/**
+ * Ingests an OTLP trace export for a company, one execution per trace
+ * @param {Object} request - OTLP/JSON shaped ExportTraceServiceRequest
+ * @param {Object} options - { company, environment } from Company.validateApiToken
+ * @returns {Object} { executions, rejectedSpans, errors }
+ */
+export const ingestTraceRequest = async (request, { company, environment }) => {
+  const spans = normalizeSpans(request);
+  const traces = spans.reduce((acc, span) => {
+    acc[span.traceId] = acc[span.traceId] || [];
+    acc[span.traceId].push(span);
+    return acc;
+  }, {});
+
+  const executions = [];
+  const errors = [];
+  let rejectedSpans = 0;
+  for (const [traceId, traceSpans] of Object.entries(traces)) {
+    try {
+      const execution = await ingestTrace(traceId, traceSpans, {
+        company,
+        environment,
+      });
+      const failed = execution.results.filter((result) => result.error);
+      rejectedSpans += failed.length;
+      errors.push(...failed.map((result) => result.error));
+      executions.push({ traceId, ...execution });
+    } catch (error) {
+      console.error(`Error ingesting OTLP trace ${traceId}:`, error);
+      rejectedSpans += traceSpans.length;
+      errors.push(error.message);
+    }
+  }
+
+  return { executions, rejectedSpans, errors };
+};
@@ -76,9 +76,10 @@ export const parseContext = (data, model = null) => {
  * Extracts system prompt using the detected structure
  * @param {any} data - Input data structure
  * @param {Object} structure - The system prompt structure
+ * @param {boolean} keepDynamic - Return the whole prompt instead of its static part
  * @returns {string|null} The system prompt or null if not found
  */
-const extractSystemPromptUsingStructure = (data, structure) => {
+const extractSystemPromptUsingStructure = (data, structure, keepDynamic = false) => {
   if (!data || !structure) return null;
 
   try {
@@ -110,7 +111,7 @@ const extractSystemPromptUsingStructure = (data, structure) => {
     }
     
     // If we found a prompt and there's a staticPromptEndPosition, extract only the static part
-    if (prompt && typeof prompt === 'string' && structure.staticPromptEndPosition) {
+    if (prompt && typeof prompt === 'string' && structure.staticPromptEndPosition && !keepDynamic) {
       const staticEndPosition = structure.staticPromptEndPosition;
       if (staticEndPosition > 0 && staticEndPosition < prompt.length) {
         prompt = prompt.substring(0, staticEndPosition);
@@ -429,4 +430,99 @@ export const parseOutputContent = (data) => {
     return JSON.stringify(data, null);
   }
   return contents.join(', ');
-}; 
\ No newline at end of file
+}; 
+
+// Fields callers use to tag the documents a retrieval step returned
+const RETRIEVED_CONTEXT_FIELDS = ['retrievedContext', 'retrieved_context', 'sourceDocuments', 'source_documents', 'documents'];
+
+// Shortest dynamic prompt part treated as injected context rather than a template variable
+const MIN_DYNAMIC_CONTEXT_LENGTH = 200;
+
+const normalizeDocument = (document, index) => {
+  if (typeof document === 'string') {
+    return document.trim() ? { id: String(index + 1), content: document, source: null, score: null } : null;
+  }
+  if (!document || typeof document !== 'object') return null;
+
+  const content = document.content ?? document.pageContent ?? document.page_content ?? document.text;
+  if (content === undefined || content === null || content === '') return null;
+  const metadata = document.metadata || {};
+  return {
+    id: String(document.id ?? metadata.id ?? index + 1),
+    content: typeof content === 'string' ? content : JSON.stringify(content),
+    source: document.source ?? metadata.source ?? document.url ?? metadata.url ?? null,
+    score: document.score ?? metadata.score ?? null,
+  };
+};
+
+/**
+ * Normalizes tagged retrieved documents to [{ id, content, source, score }].
+ * Accepts a list of strings or document objects (`content`, `text` or
+ * LangChain's `pageContent`, with optional `id`, `source`, `score` or
+ * `metadata`), a single string, or an object with a `documents` list.
+ * @param {any} value - The tagged context
+ * @returns {Object[]} The documents, empty when there are none
+ */
+export const normalizeRetrievedContext = (value) => {
+  if (!value) return [];
+  if (typeof value === 'string') return [normalizeDocument(value, 0)].filter(Boolean);
+  if (!Array.isArray(value)) {
+    return Array.isArray(value.documents) ? normalizeRetrievedContext(value.documents) : [normalizeDocument(value, 0)].filter(Boolean);
+  }
+  return value.map(normalizeDocument).filter(Boolean);
+};
+
+/**
+ * Detects retrieved documents in a model input: tagged fields such as
+ * `retrievedContext` or `documents`, LangChain documents, tool results in the
+ * messages, and, when the model has a detected systemPromptStructure, the
+ * dynamic part of its prompt after the static template
+ * @param {any} data - Input data structure
+ * @param {Object} model - Optional model object with systemPromptStructure
+ * @returns {Object[]} Documents as { id, content, source, score }
+ */
+export const parseRetrievedContext = (data, model = null) => {
+  if (!data) return [];
+
+  const documents = [];
+  const extractDocuments = (item) => {
+    if (!item || typeof item !== 'object') return;
+
+    if (Array.isArray(item)) {
+      if (item.length && item.every((entry) => entry && (entry.pageContent || entry.page_content))) {
+        documents.push(...item);
+        return;
+      }
+      item.forEach(extractDocuments);
+      return;
+    }
+
+    const field = RETRIEVED_CONTEXT_FIELDS.find((name) => Array.isArray(item[name]) && item[name].length);
+    if (field) {
+      documents.push(...item[field]);
+      return;
+    }
+    // Results of retrieval tools: OpenAI tool messages and Anthropic tool_result blocks
+    if ((item.role === 'tool' || item.type === 'tool_result') && item.content) {
+      documents.push(
+        ...(Array.isArray(item.content)
+          ? item.content.map((block) => (typeof block === 'string' ? block : block?.text)).filter(Boolean)
+          : [item.content])
+      );
+      return;
+    }
+    Object.values(item).forEach(extractDocuments);
+  };
+  extractDocuments(data);
+
+  if (documents.length === 0 && model?.systemPromptStructure?.structure?.staticPromptEndPosition) {
+    const structure = model.systemPromptStructure.structure;
+    const prompt = extractSystemPromptUsingStructure(data, structure, true);
+    const dynamicPart = typeof prompt === 'string' ? prompt.substring(structure.staticPromptEndPosition).trim() : '';
+    if (dynamicPart.length >= MIN_DYNAMIC_CONTEXT_LENGTH) {
+      documents.push(dynamicPart);
+    }
+  }
+
+  return normalizeRetrievedContext(documents);
+};
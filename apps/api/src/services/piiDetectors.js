@@ -0,0 +1,119 @@
+/**
+ * Built-in PII detectors used by the redaction pipeline. Each detector has a
+ * global regex and an optional validator that rejects false positives (Luhn
+ * for card numbers, mod-97 for IBANs, digit counts for phone numbers).
+ * Detectors run in this order, so API keys and cards are claimed before the
+ * broader phone pattern sees their digits.
+ */
+
+const passesLuhn = (digits) => {
+  let sum = 0;
+  let double = false;
+  for (let i = digits.length - 1; i >= 0; i--) {
+    let digit = parseInt(digits[i], 10);
+    if (double) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+    double = !double;
+  }
+  return sum % 10 === 0;
+};
+
+const passesIbanChecksum = (value) => {
+  const iban = value.replace(/\s+/g, '').toUpperCase();
+  if (iban.length < 15 || iban.length > 34) {
+    return false;
+  }
+  const rearranged = iban.slice(4) + iban.slice(0, 4);
+  let remainder = 0;
+  for (const char of rearranged) {
+    const code = /[A-Z]/.test(char) ? String(char.charCodeAt(0) - 55) : char;
+    for (const digit of code) {
+      remainder = (remainder * 10 + parseInt(digit, 10)) % 97;
+    }
+  }
+  return remainder === 1;
+};
+
+export const BUILT_IN_DETECTORS = {
+  api_key: {
+    label: 'API_KEY',
+    pattern: new RegExp(
+      [
+        'sk-(?:ant-|proj-)?[A-Za-z0-9_-]{20,}',
+        'AKIA[0-9A-Z]{16}',
+        'gh[pousr]_[A-Za-z0-9]{36,}',
+        'github_pat_[A-Za-z0-9_]{22,}',
+        'xox[abposr]-[A-Za-z0-9-]{10,}',
+        'AIza[0-9A-Za-z_-]{35}',
+        'eyJ[A-Za-z0-9_-]{10,}\\.eyJ[A-Za-z0-9_-]{10,}\\.[A-Za-z0-9_-]{10,}',
+        '(?<=Bearer\\s)[A-Za-z0-9._~+/-]{20,}=*',
+      ].join('|'),
+      'g'
+    ),
+  },
+  email: {
+    label: 'EMAIL',
+    pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g,
+  },
+  iban: {
+    label: 'IBAN',
+    pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]){11,30}\b/g,
+    validate: passesIbanChecksum,
+  },
+  card: {
+    label: 'CARD',
+    pattern: /\b(?:\d[ -]?){12,18}\d\b/g,
+    validate: (match) => passesLuhn(match.replace(/\D/g, '')),
+  },
+  phone: {
+    label: 'PHONE',
+    pattern: /(?<![\w.])\+?\(?\d[\d\s().-]{7,}\d(?![\w.])/g,
+    validate: (match) => {
+      const digits = match.replace(/\D/g, '');
+      return digits.length >= 9 && digits.length <= 15;
+    },
+  },
+};
+
+export const BUILT_IN_DETECTOR_NAMES = Object.keys(BUILT_IN_DETECTORS);
+
+/**
+ * Compiles a policy's custom patterns into detectors
+ * @param {Array<Object>} customPatterns - [{ name, pattern, flags? }]
+ * @returns {Array<Object>} Detectors with a global regex
+ * @throws {Error} When a pattern is not a valid regular expression
+ */
+export const compileCustomDetectors = (customPatterns = []) =>
+  customPatterns.map(({ name, pattern, flags = '' }) => {
+    const uniqueFlags = Array.from(new Set(`${flags}g`)).join('');
+    return {
+      label: String(name || 'CUSTOM')
+        .toUpperCase()
+        .replace(/[^A-Z0-9]+/g, '_'),
+      pattern: new RegExp(pattern, uniqueFlags),
+    };
+  });
+
+/**
+ * Replaces every detected value in a string
+ * @param {string} text - Text to scan
+ * @param {Array<Object>} detectors - Detectors to run, in order
+ * @param {Function} replace - (value, label) => replacement
+ * @returns {string} The redacted text
+ */
+export const redactText = (text, detectors, replace) => {
+  let result = text;
+  for (const detector of detectors) {
+    detector.pattern.lastIndex = 0;
+    result = result.replace(detector.pattern, (match) => {
+      if (detector.validate && !detector.validate(match)) {
+        return match;
+      }
+      return replace(match, detector.label);
+    });
+  }
+  return result;
+};
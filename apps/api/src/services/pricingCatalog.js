@@ -0,0 +1,61 @@
+/**
+ * Default list prices in USD per million tokens for the providers supported by
+ * aiService.js. Models are matched by longest prefix, so dated snapshots
+ * (gpt-4o-2024-08-06, claude-3-5-sonnet-20241022) resolve to their family.
+ * Companies can override or extend these with ModelPricing entries.
+ */
+export const DEFAULT_PRICING = [
+  // OpenAI
+  { provider: 'OpenAI', model: 'gpt-5', inputCostPerMillion: 1.25, outputCostPerMillion: 10, cachedInputCostPerMillion: 0.125 },
+  { provider: 'OpenAI', model: 'gpt-5-mini', inputCostPerMillion: 0.25, outputCostPerMillion: 2, cachedInputCostPerMillion: 0.025 },
+  { provider: 'OpenAI', model: 'gpt-5-nano', inputCostPerMillion: 0.05, outputCostPerMillion: 0.4, cachedInputCostPerMillion: 0.005 },
+  { provider: 'OpenAI', model: 'gpt-4.1', inputCostPerMillion: 2, outputCostPerMillion: 8, cachedInputCostPerMillion: 0.5 },
+  { provider: 'OpenAI', model: 'gpt-4.1-mini', inputCostPerMillion: 0.4, outputCostPerMillion: 1.6, cachedInputCostPerMillion: 0.1 },
+  { provider: 'OpenAI', model: 'gpt-4.1-nano', inputCostPerMillion: 0.1, outputCostPerMillion: 0.4, cachedInputCostPerMillion: 0.025 },
+  { provider: 'OpenAI', model: 'gpt-4o', inputCostPerMillion: 2.5, outputCostPerMillion: 10, cachedInputCostPerMillion: 1.25 },
+  { provider: 'OpenAI', model: 'gpt-4o-mini', inputCostPerMillion: 0.15, outputCostPerMillion: 0.6, cachedInputCostPerMillion: 0.075 },
+  { provider: 'OpenAI', model: 'gpt-4-turbo', inputCostPerMillion: 10, outputCostPerMillion: 30, cachedInputCostPerMillion: null },
+  { provider: 'OpenAI', model: 'gpt-4', inputCostPerMillion: 30, outputCostPerMillion: 60, cachedInputCostPerMillion: null },
+  { provider: 'OpenAI', model: 'gpt-3.5-turbo', inputCostPerMillion: 0.5, outputCostPerMillion: 1.5, cachedInputCostPerMillion: null },
+  { provider: 'OpenAI', model: 'o1', inputCostPerMillion: 15, outputCostPerMillion: 60, cachedInputCostPerMillion: 7.5 },
+  { provider: 'OpenAI', model: 'o1-mini', inputCostPerMillion: 1.1, outputCostPerMillion: 4.4, cachedInputCostPerMillion: 0.55 },
+  { provider: 'OpenAI', model: 'o3', inputCostPerMillion: 2, outputCostPerMillion: 8, cachedInputCostPerMillion: 0.5 },
+  { provider: 'OpenAI', model: 'o3-mini', inputCostPerMillion: 1.1, outputCostPerMillion: 4.4, cachedInputCostPerMillion: 0.55 },
+  { provider: 'OpenAI', model: 'o4-mini', inputCostPerMillion: 1.1, outputCostPerMillion: 4.4, cachedInputCostPerMillion: 0.275 },
+  { provider: 'OpenAI', model: 'text-embedding-3-small', inputCostPerMillion: 0.02, outputCostPerMillion: 0, cachedInputCostPerMillion: null },
+  { provider: 'OpenAI', model: 'text-embedding-3-large', inputCostPerMillion: 0.13, outputCostPerMillion: 0, cachedInputCostPerMillion: null },
+
+  // Anthropic
+  { provider: 'Anthropic', model: 'claude-opus-4', inputCostPerMillion: 15, outputCostPerMillion: 75, cachedInputCostPerMillion: 1.5 },
+  { provider: 'Anthropic', model: 'claude-sonnet-4', inputCostPerMillion: 3, outputCostPerMillion: 15, cachedInputCostPerMillion: 0.3 },
+  { provider: 'Anthropic', model: 'claude-3-7-sonnet', inputCostPerMillion: 3, outputCostPerMillion: 15, cachedInputCostPerMillion: 0.3 },
+  { provider: 'Anthropic', model: 'claude-3-5-sonnet', inputCostPerMillion: 3, outputCostPerMillion: 15, cachedInputCostPerMillion: 0.3 },
+  { provider: 'Anthropic', model: 'claude-3-5-haiku', inputCostPerMillion: 0.8, outputCostPerMillion: 4, cachedInputCostPerMillion: 0.08 },
+  { provider: 'Anthropic', model: 'claude-3-opus', inputCostPerMillion: 15, outputCostPerMillion: 75, cachedInputCostPerMillion: 1.5 },
+  { provider: 'Anthropic', model: 'claude-3-haiku', inputCostPerMillion: 0.25, outputCostPerMillion: 1.25, cachedInputCostPerMillion: 0.03 },
+
+  // GoogleAI
+  { provider: 'GoogleAI', model: 'gemini-2.5-pro', inputCostPerMillion: 1.25, outputCostPerMillion: 10, cachedInputCostPerMillion: 0.31 },
+  { provider: 'GoogleAI', model: 'gemini-2.5-flash', inputCostPerMillion: 0.3, outputCostPerMillion: 2.5, cachedInputCostPerMillion: 0.075 },
+  { provider: 'GoogleAI', model: 'gemini-2.0-flash', inputCostPerMillion: 0.1, outputCostPerMillion: 0.4, cachedInputCostPerMillion: 0.025 },
+  { provider: 'GoogleAI', model: 'gemini-1.5-pro', inputCostPerMillion: 1.25, outputCostPerMillion: 5, cachedInputCostPerMillion: 0.3125 },
+  { provider: 'GoogleAI', model: 'gemini-1.5-flash', inputCostPerMillion: 0.075, outputCostPerMillion: 0.3, cachedInputCostPerMillion: 0.01875 },
+
+  // TogetherAI
+  { provider: 'TogetherAI', model: 'meta-llama/Llama-4-Maverick-17B-128E-Instruct-FP8', inputCostPerMillion: 0.27, outputCostPerMillion: 0.85, cachedInputCostPerMillion: null },
+  { provider: 'TogetherAI', model: 'meta-llama/Llama-4-Scout-17B-16E-Instruct', inputCostPerMillion: 0.18, outputCostPerMillion: 0.59, cachedInputCostPerMillion: null },
+  { provider: 'TogetherAI', model: 'meta-llama/Llama-3.3-70B-Instruct-Turbo', inputCostPerMillion: 0.88, outputCostPerMillion: 0.88, cachedInputCostPerMillion: null },
+  { provider: 'TogetherAI', model: 'meta-llama/Meta-Llama-3.1-8B-Instruct-Turbo', inputCostPerMillion: 0.18, outputCostPerMillion: 0.18, cachedInputCostPerMillion: null },
+  { provider: 'TogetherAI', model: 'deepseek-ai/DeepSeek-V3', inputCostPerMillion: 1.25, outputCostPerMillion: 1.25, cachedInputCostPerMillion: null },
+  { provider: 'TogetherAI', model: 'Qwen/Qwen2.5-72B-Instruct-Turbo', inputCostPerMillion: 1.2, outputCostPerMillion: 1.2, cachedInputCostPerMillion: null },
+
+  // AWSBedrock (cross-region prefixes such as "us." are stripped before matching)
+  { provider: 'AWSBedrock', model: 'anthropic.claude-sonnet-4', inputCostPerMillion: 3, outputCostPerMillion: 15, cachedInputCostPerMillion: 0.3 },
+  { provider: 'AWSBedrock', model: 'anthropic.claude-3-7-sonnet', inputCostPerMillion: 3, outputCostPerMillion: 15, cachedInputCostPerMillion: 0.3 },
+  { provider: 'AWSBedrock', model: 'anthropic.claude-3-5-sonnet', inputCostPerMillion: 3, outputCostPerMillion: 15, cachedInputCostPerMillion: 0.3 },
+  { provider: 'AWSBedrock', model: 'anthropic.claude-3-5-haiku', inputCostPerMillion: 0.8, outputCostPerMillion: 4, cachedInputCostPerMillion: 0.08 },
+  { provider: 'AWSBedrock', model: 'anthropic.claude-3-haiku', inputCostPerMillion: 0.25, outputCostPerMillion: 1.25, cachedInputCostPerMillion: null },
+  { provider: 'AWSBedrock', model: 'meta.llama3-70b-instruct', inputCostPerMillion: 2.65, outputCostPerMillion: 3.5, cachedInputCostPerMillion: null },
+  { provider: 'AWSBedrock', model: 'amazon.nova-pro', inputCostPerMillion: 0.8, outputCostPerMillion: 3.2, cachedInputCostPerMillion: 0.2 },
+  { provider: 'AWSBedrock', model: 'amazon.nova-lite', inputCostPerMillion: 0.06, outputCostPerMillion: 0.24, cachedInputCostPerMillion: 0.015 },
+];
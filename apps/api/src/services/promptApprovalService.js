@@ -0,0 +1,460 @@
+import { Op } from 'sequelize';
+import db from '../../models/index.js';
+
+const {
+  ABTestModels,
+  Agent,
+  AgentNode,
+  Model,
+  ModelGroup,
+  ModelVersions,
+  PromptApprovalPolicy,
+  PromptApprovalPolicyChange,
+  PromptVersionReview,
+  PromptVersionTransition,
+  User,
+} = db;
+
+// Versions that passed review and may be released, served or sent as a pull request
+export const APPROVED_STATUSES = ['approved', 'released'];
+
+export const REVIEW_DECISIONS = ['comment', 'approve', 'request_changes'];
+
+const STATUS_LABELS = {
+  draft: 'a draft',
+  in_review: 'in review',
+  approved: 'approved',
+  released: 'released',
+  retired: 'retired',
+};
+
+const USER_ATTRIBUTES = ['id', 'firstName', 'lastName', 'email'];
+
+// Roles that may always manage approval policies
+const POLICY_ADMIN_ROLES = (process.env.PROMPT_POLICY_ADMIN_ROLES || 'admin')
+  .split(',')
+  .map((role) => role.trim())
+  .filter(Boolean);
+
+const POLICY_SETTINGS = [
+  'enabled',
+  'requiredApprovals',
+  'approverRoles',
+  'approverUserIds',
+  'requiredReviewerIds',
+  'allowSelfApproval',
+];
+
+const isIdList = (value) => Array.isArray(value) && value.every(Number.isInteger);
+
+/**
+ * Validates policy settings coming from the API
+ * @returns {string|null} Reason the settings are invalid, or null
+ */
+export const validateApprovalPolicy = (policy) => {
+  const { enabled, requiredApprovals, approverRoles, approverUserIds, requiredReviewerIds, allowSelfApproval } = policy;
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    return 'enabled must be a boolean';
+  }
+  if (requiredApprovals !== undefined && !(Number.isInteger(requiredApprovals) && requiredApprovals > 0)) {
+    return 'requiredApprovals must be a positive integer';
+  }
+  if (
+    approverRoles !== undefined &&
+    approverRoles !== null &&
+    !(Array.isArray(approverRoles) && approverRoles.every((role) => typeof role === 'string' && role))
+  ) {
+    return 'approverRoles must be an array of roles or null';
+  }
+  if (approverUserIds !== undefined && approverUserIds !== null && !isIdList(approverUserIds)) {
+    return 'approverUserIds must be an array of user ids or null';
+  }
+  if (requiredReviewerIds !== undefined && !isIdList(requiredReviewerIds)) {
+    return 'requiredReviewerIds must be an array of user ids';
+  }
+  if (allowSelfApproval !== undefined && typeof allowSelfApproval !== 'boolean') {
+    return 'allowSelfApproval must be a boolean';
+  }
+  return null;
+};
+
+/**
+ * The policy that applies to an agent: its own policy when it has one,
+ * otherwise the company default
+ * @returns {Promise<Object|null>} The PromptApprovalPolicy, or null when none applies or it is disabled
+ */
+const findApprovalPolicy = async (companyId, agentId) => {
+  const policies = await PromptApprovalPolicy.findAll({
+    where: { companyId, [Op.or]: [{ agentId: null }, ...(agentId ? [{ agentId }] : [])] },
+  });
+  const policy = policies.find((item) => item.agentId) || policies.find((item) => !item.agentId);
+  return policy?.enabled ? policy : null;
+};
+
+/**
+ * Why a user may not create, change or delete an approval policy. Admins may,
+ * and so may users whose role is an approver role of the policy (of the
+ * company default, for a new policy). A policy open to any role does not let
+ * any user manage it.
+ * @param {Object|null} user - The signed-in User
+ * @param {number} companyId - The company
+ * @param {Object|null} policy - The policy being changed, or null for a new one
+ * @returns {Promise<string|null>} The reason, or null when they may
+ */
+export const getPolicyManagerError = async (user, companyId, policy) => {
+  if (!user) {
+    return 'Only signed-in users can manage approval policies';
+  }
+  if (POLICY_ADMIN_ROLES.includes(user.role)) {
+    return null;
+  }
+  const governing = policy || (await PromptApprovalPolicy.findOne({ where: { companyId, agentId: null } }));
+  if (Array.isArray(governing?.approverRoles) && governing.approverRoles.includes(user.role)) {
+    return null;
+  }
+  return 'Only admins and the approvers of a policy can change it';
+};
+
+const policySettings = (policy) =>
+  policy ? Object.fromEntries(POLICY_SETTINGS.map((field) => [field, policy[field]])) : null;
+
+/**
+ * Creates, updates or deletes a policy and records who did it, in one transaction
+ * @param {Object} params - { companyId, agentId, policy (existing or null), fields (null to delete), user }
+ * @returns {Promise<Object|null>} The saved policy, or null when it was deleted
+ */
+export const saveApprovalPolicy = async ({ companyId, agentId, policy, fields, user }) =>
+  db.sequelize.transaction(async (transaction) => {
+    const before = policySettings(policy);
+    let saved = null;
+    let action;
+    if (!fields) {
+      await policy.destroy({ transaction });
+      action = 'delete';
+    } else if (policy) {
+      saved = await policy.update(fields, { transaction });
+      action = 'update';
+    } else {
+      saved = await PromptApprovalPolicy.create({ ...fields, companyId, agentId }, { transaction });
+      action = 'create';
+    }
+    await PromptApprovalPolicyChange.create(
+      {
+        policyId: saved?.id ?? null,
+        companyId,
+        agentId,
+        userId: user.id,
+        action,
+        before,
+        after: policySettings(saved),
+      },
+      { transaction }
+    );
+    return saved;
+  });
+
+/**
+ * A company's policy changes, newest first
+ * @returns {Promise<Array<Object>>} PromptApprovalPolicyChanges with their user
+ */
+export const getPolicyChanges = (companyId, limit = 200) =>
+  PromptApprovalPolicyChange.findAll({
+    where: { companyId },
+    include: [{ model: User, as: 'user', attributes: USER_ATTRIBUTES }],
+    order: [['createdAt', 'DESC']],
+    limit,
+  });
+
+// Optimized A/B models are reviewed under the node of the model they optimize
+const getNodeModel = async (modelId) => {
+  const model = await Model.findByPk(modelId);
+  if (!model?.isOptimized) {
+    return model;
+  }
+  const abTest = await ABTestModels.findOne({ where: { optimizedModelId: model.id } });
+  return abTest ? Model.findByPk(abTest.modelId) : model;
+};
+
+/**
+ * The approval policy a model's prompt versions fall under
+ * @param {number} modelId - The model (node) or its optimized A/B model
+ * @returns {Promise<Object|null>} The enabled PromptApprovalPolicy, or null when versions need no approval
+ */
+export const resolveApprovalPolicy = async (modelId) => {
+  const model = await getNodeModel(modelId);
+  if (!model) {
+    return null;
+  }
+  const modelGroup = await ModelGroup.findByPk(model.modelGroupId);
+  const agentNode = await AgentNode.findOne({ where: { modelId: model.id, deletedAt: null } });
+  return findApprovalPolicy(modelGroup.companyId, agentNode?.agentId);
+};
+
+/**
+ * Versions that may not get traffic yet: those not approved, when a policy applies
+ * @param {Object} model - The model behind the agent node
+ * @param {Array<Object>} versions - ModelVersions of the model
+ * @returns {Promise<Array<Object>>} The versions still waiting for approval
+ */
+export const getUnapprovedVersions = async (model, versions) => {
+  if (!versions.length || !(await resolveApprovalPolicy(model.id))) {
+    return [];
+  }
+  return versions.filter((version) => !APPROVED_STATUSES.includes(version.status));
+};
+
+// Whether the version was approved or released at some point. Versions that
+// predate the workflow only have the transitions out of those states.
+const wasApproved = async (modelVersion) =>
+  (await PromptVersionTransition.count({
+    where: {
+      modelVersionId: modelVersion.id,
+      [Op.or]: [{ toStatus: APPROVED_STATUSES }, { fromStatus: APPROVED_STATUSES }],
+    },
+  })) > 0;
+
+/**
+ * Why a version cannot be released yet
+ * @param {Object} modelVersion - The ModelVersions row
+ * @returns {Promise<string|null>} The reason, or null when it can be released
+ */
+export const getReleaseApprovalError = async (modelVersion) => {
+  if (APPROVED_STATUSES.includes(modelVersion.status) || !(await resolveApprovalPolicy(modelVersion.modelId))) {
+    return null;
+  }
+  // A version retired after approval, such as one replaced by a later
+  // release, can be released again
+  if (modelVersion.status === 'retired' && (await wasApproved(modelVersion))) {
+    return null;
+  }
+  return `Version ${modelVersion.version} is ${STATUS_LABELS[modelVersion.status]}; it needs approval before it can be released`;
+};
+
+/**
+ * Why a prompt optimization pull request cannot be opened yet. Under a policy
+ * it needs an approved version of the prompt.
+ * @param {Object} agent - The agent whose repository gets the pull request
+ * @param {Object|null} modelVersion - The ModelVersions row with the optimized prompt
+ * @returns {Promise<string|null>} The reason, or null when it can be opened
+ */
+export const getPullRequestApprovalError = async (agent, modelVersion = null) => {
+  const policy = modelVersion
+    ? await resolveApprovalPolicy(modelVersion.modelId)
+    : await findApprovalPolicy(agent.companyId, agent.id);
+  if (!policy) {
+    return null;
+  }
+  if (!modelVersion) {
+    return `Pull requests for ${agent.name} need an approved prompt version`;
+  }
+  if (APPROVED_STATUSES.includes(modelVersion.status)) {
+    return null;
+  }
+  return `Version ${modelVersion.version} is ${STATUS_LABELS[modelVersion.status]}; it needs approval before a pull request can be opened`;
+};
+
+// The transition that opened the current review round
+const findSubmission = (modelVersion) =>
+  PromptVersionTransition.findOne({
+    where: { modelVersionId: modelVersion.id, toStatus: 'in_review' },
+    order: [['createdAt', 'DESC']],
+  });
+
+/**
+ * Approvals of the current review round against the policy
+ * @param {Object} modelVersion - The ModelVersions row
+ * @param {Object|null} policy - From resolveApprovalPolicy
+ * @returns {Promise<Object>} { required, requiredApprovals, approverIds, missingReviewerIds, satisfied }
+ */
+const summarizeApprovals = async (modelVersion, policy) => {
+  const submission = await findSubmission(modelVersion);
+  const approvals = await PromptVersionReview.findAll({
+    where: {
+      modelVersionId: modelVersion.id,
+      decision: 'approve',
+      ...(submission ? { createdAt: { [Op.gte]: submission.createdAt } } : {}),
+    },
+  });
+  const approverIds = [...new Set(approvals.map((review) => review.userId))];
+  if (!policy) {
+    return { required: false, requiredApprovals: 0, approverIds, missingReviewerIds: [], satisfied: true };
+  }
+  const missingReviewerIds = policy.requiredReviewerIds.filter((userId) => !approverIds.includes(userId));
+  return {
+    required: true,
+    requiredApprovals: policy.requiredApprovals,
+    approverIds,
+    missingReviewerIds,
+    satisfied: approverIds.length >= policy.requiredApprovals && !missingReviewerIds.length,
+  };
+};
+
+/**
+ * Why a user may not approve a version under a policy. Required reviewers
+ * may always approve, unless it is their own version.
+ * @returns {Promise<string|null>} The reason, or null when they may
+ */
+const getApproverError = async (policy, user, modelVersion) => {
+  if (!policy.allowSelfApproval) {
+    const submission = await findSubmission(modelVersion);
+    if ([modelVersion.createdBy, submission?.userId].includes(user.id)) {
+      return 'You cannot approve a version you created or submitted';
+    }
+  }
+  if (policy.requiredReviewerIds.includes(user.id)) {
+    return null;
+  }
+  if (policy.approverUserIds && !policy.approverUserIds.includes(user.id)) {
+    return 'You are not an approver under this policy';
+  }
+  if (policy.approverRoles && !policy.approverRoles.includes(user.role)) {
+    return `Only ${policy.approverRoles.join(', ')} users can approve prompt versions`;
+  }
+  return null;
+};
+
+/**
+ * Opens the optimization pull request that was held back until the version
+ * was approved
+ */
+const openPendingPullRequest = async (modelVersion) => {
+  const model = await getNodeModel(modelVersion.modelId);
+  const agentNode = await AgentNode.findOne({ where: { modelId: model.id, deletedAt: null } });
+  const agent = agentNode && (await Agent.findByPk(agentNode.agentId));
+  if (!agent?.repository) {
+    return null;
+  }
+  const liveVersion = await model.getModelVersion();
+  const { createPromptOptimizationPR } = await import('./promptOptimizationPRService.js');
+  const result = await createPromptOptimizationPR({
+    agent,
+    originalPrompt: model.parameters?.prompt || liveVersion?.parameters?.prompt,
+    optimizedPrompt: modelVersion.parameters.prompt,
+    models: db,
+    modelVersion,
+  });
+  if (result.success) {
+    await modelVersion.update({ pullRequestPending: false });
+  }
+  return result;
+};
+
+/**
+ * Sends a draft to review
+ * @param {Object} modelVersion - The ModelVersions row
+ * @param {Object} user - Who submits it
+ * @param {string} [comment] - Recorded as the reason of the transition
+ * @returns {Promise<Object>} { error, status } or { modelVersion }
+ */
+export const submitForReview = async (modelVersion, user, comment = null) => {
+  if (modelVersion.status !== 'draft') {
+    return { error: `Only drafts can be submitted for review; version ${modelVersion.version} is ${STATUS_LABELS[modelVersion.status]}`, status: 409 };
+  }
+  await modelVersion.update({ status: 'in_review' }, { userId: user.id, reason: comment });
+  return { modelVersion };
+};
+
+/**
+ * Comments on a version, approves it or requests changes. Approvals move it to
+ * approved once the policy is satisfied; requests for changes send it back to draft.
+ * @param {Object} modelVersion - The ModelVersions row
+ * @param {Object} user - The reviewer
+ * @param {Object} review - { decision, comment }
+ * @returns {Promise<Object>} { error, status } or { review, modelVersion, approval, pullRequest }
+ */
+export const reviewVersion = async (modelVersion, user, { decision, comment }) => {
+  if (!REVIEW_DECISIONS.includes(decision)) {
+    return { error: `decision must be one of ${REVIEW_DECISIONS.join(', ')}`, status: 400 };
+  }
+  if (decision !== 'approve' && !comment?.trim()) {
+    return { error: 'A comment is required', status: 400 };
+  }
+  if (decision !== 'comment' && modelVersion.status !== 'in_review') {
+    return { error: `Version ${modelVersion.version} is ${STATUS_LABELS[modelVersion.status]}, not in review`, status: 409 };
+  }
+
+  const policy = await resolveApprovalPolicy(modelVersion.modelId);
+  if (decision === 'approve' && policy) {
+    const approverError = await getApproverError(policy, user, modelVersion);
+    if (approverError) {
+      return { error: approverError, status: 403 };
+    }
+  }
+
+  const review = await PromptVersionReview.create({
+    modelVersionId: modelVersion.id,
+    userId: user.id,
+    decision,
+    comment: comment?.trim() || null,
+  });
+
+  let pullRequest = null;
+  const approval = await summarizeApprovals(modelVersion, policy);
+  if (decision === 'approve' && approval.satisfied) {
+    await modelVersion.update({ status: 'approved' }, { userId: user.id, reason: comment?.trim() || null });
+    if (modelVersion.pullRequestPending) {
+      pullRequest = await openPendingPullRequest(modelVersion);
+    }
+  } else if (decision === 'request_changes') {
+    await modelVersion.update({ status: 'draft' }, { userId: user.id, reason: comment.trim() });
+  }
+  return { review, modelVersion, approval, pullRequest };
+};
+
+/**
+ * Retires a version that is not live and gets no traffic, so it can no longer
+ * be reviewed or released
+ * @param {Object} modelVersion - The ModelVersions row
+ * @param {Object} user - Who retires it
+ * @param {string} [reason] - Why
+ * @returns {Promise<Object>} { error, status } or { modelVersion }
+ */
+export const retireVersion = async (modelVersion, user, reason = null) => {
+  if (modelVersion.status === 'retired') {
+    return { error: `Version ${modelVersion.version} is already retired`, status: 409 };
+  }
+  if (modelVersion.activeVersion) {
+    return { error: 'The live version cannot be retired; release another version first', status: 409 };
+  }
+  if (modelVersion.trafficWeight > 0) {
+    return { error: 'The version still gets served traffic; take it out of the split first', status: 409 };
+  }
+  await modelVersion.update({ status: 'retired', pullRequestPending: false }, { userId: user.id, reason });
+  return { modelVersion };
+};
+
+/**
+ * A version's state, its reviews and transitions, oldest first, and where its
+ * approval stands
+ * @param {Object} modelVersion - The ModelVersions row
+ * @returns {Promise<Object>} { status, policy, approval, reviews, transitions }
+ */
+export const getVersionReview = async (modelVersion) => {
+  const policy = await resolveApprovalPolicy(modelVersion.modelId);
+  const [approval, reviews, transitions] = await Promise.all([
+    summarizeApprovals(modelVersion, policy),
+    PromptVersionReview.findAll({
+      where: { modelVersionId: modelVersion.id },
+      include: [{ model: User, as: 'user', attributes: USER_ATTRIBUTES }],
+      order: [['createdAt', 'ASC']],
+    }),
+    PromptVersionTransition.findAll({
+      where: { modelVersionId: modelVersion.id },
+      include: [{ model: User, as: 'user', attributes: USER_ATTRIBUTES }],
+      order: [['createdAt', 'ASC']],
+    }),
+  ]);
+  return { status: modelVersion.status, policy, approval, reviews, transitions };
+};
+
+/**
+ * A company's prompt version by the route's model and version number
+ * @returns {Promise<Object|null>} The ModelVersions row, or null when it is not the company's
+ */
+export const findCompanyVersion = async (companyId, modelId, version) => {
+  const modelGroups = await ModelGroup.findAll({ where: { companyId } });
+  const model = await Model.findOne({
+    where: { id: modelId, modelGroupId: modelGroups.map((modelGroup) => modelGroup.id) },
+  });
+  return model && ModelVersions.findOne({ where: { modelId: model.id, version } });
+};
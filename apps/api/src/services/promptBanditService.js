@@ -0,0 +1,313 @@
+import { Op, QueryTypes } from 'sequelize';
+import db from '../../models/index.js';
+import { applyTrafficAllocation, getModelVersionPool } from './promptServingService.js';
+import { getUnapprovedVersions } from './promptApprovalService.js';
+
+const { Model } = db;
+
+export const BANDIT_ALGORITHMS = ['thompson', 'ucb'];
+
+export const PROMPT_BANDIT_DEFAULTS = {
+  enabled: false,
+  algorithm: process.env.BANDIT_ALGORITHM || 'thompson',
+  // Versions the bandit splits traffic between; null means every version of the model with a prompt
+  promptVersionIds: null,
+  // Share of traffic, in percent, every version keeps however badly it does
+  explorationFloor: parseInt(process.env.BANDIT_EXPLORATION_FLOOR || '5', 10),
+  lookbackDays: parseInt(process.env.BANDIT_LOOKBACK_DAYS || '14', 10),
+};
+
+// Draws per update when estimating each version's chance of being the best
+const THOMPSON_SAMPLES = parseInt(process.env.BANDIT_SAMPLES || '2000', 10);
+
+// Percentage points some version's weight has to move by before the split is
+// changed, so sampling noise does not re-split the traffic on every run
+const MIN_WEIGHT_CHANGE = parseInt(process.env.BANDIT_MIN_WEIGHT_CHANGE || '3', 10);
+
+/**
+ * Validates a model's bandit settings
+ * @param {Object} settings - { enabled, algorithm, promptVersionIds, explorationFloor, lookbackDays }
+ * @returns {string|null} The error, or null when they are valid
+ */
+export const validatePromptBandit = (settings) => {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return 'promptBandit must be an object';
+  }
+  const unknown = Object.keys(settings).find((key) => !(key in PROMPT_BANDIT_DEFAULTS));
+  if (unknown) {
+    return `Unknown bandit setting: ${unknown}`;
+  }
+  if ('enabled' in settings && typeof settings.enabled !== 'boolean') {
+    return 'enabled must be a boolean';
+  }
+  if ('algorithm' in settings && !BANDIT_ALGORITHMS.includes(settings.algorithm)) {
+    return `algorithm must be one of ${BANDIT_ALGORITHMS.join(', ')}`;
+  }
+  if (
+    'promptVersionIds' in settings &&
+    settings.promptVersionIds !== null &&
+    !(Array.isArray(settings.promptVersionIds) && settings.promptVersionIds.every(Number.isInteger))
+  ) {
+    return 'promptVersionIds must be an array of prompt version ids or null';
+  }
+  if (
+    'explorationFloor' in settings &&
+    !(Number.isInteger(settings.explorationFloor) && settings.explorationFloor >= 0 && settings.explorationFloor < 50)
+  ) {
+    return 'explorationFloor must be an integer percentage between 0 and 49';
+  }
+  if ('lookbackDays' in settings && !(Number.isInteger(settings.lookbackDays) && settings.lookbackDays > 0)) {
+    return 'lookbackDays must be a positive integer';
+  }
+  return null;
+};
+
+/**
+ * A model's bandit settings over the defaults
+ * @param {Object} model - The model behind the agent node
+ * @returns {Object} { enabled, algorithm, promptVersionIds, explorationFloor, lookbackDays }
+ */
+export const getPromptBanditConfig = (model) => ({ ...PROMPT_BANDIT_DEFAULTS, ...(model?.promptBandit || {}) });
+
+/**
+ * Versions the bandit splits traffic between: the configured ones, or every
+ * version of the model that has a prompt to serve. Versions awaiting approval
+ * are left out.
+ * @returns {Promise<Array<Object>>} ModelVersions, oldest first
+ */
+const getBanditArms = async (model, config) => {
+  const versions = (await getModelVersionPool(model))
+    .filter((version) => version.parameters?.prompt && version.status !== 'retired')
+    .filter((version) => !config.promptVersionIds || config.promptVersionIds.includes(version.id));
+  const unapproved = await getUnapprovedVersions(model, versions);
+  return versions.filter((version) => !unapproved.includes(version)).reverse();
+};
+
+/**
+ * Evaluator verdicts (isCorrect) of the entries each version served
+ * @returns {Promise<Object>} { [modelVersionId]: { successes, trials } }
+ */
+const getArmOutcomes = async (arms, lookbackDays) => {
+  const since = new Date(Date.now() - lookbackDays * 24 * 60 * 60 * 1000);
+  const rows = await db.sequelize.query(
+    `
+    SELECT
+      ml.model_version_id AS "modelVersionId",
+      COUNT(*) FILTER (WHERE ml.status = 'success') AS successes,
+      COUNT(*) AS trials
+    FROM "ModelLogs" ml
+    WHERE ml.model_version_id IN (:modelVersionIds)
+      AND ml.environment = 'production'
+      AND ml.deleted_at IS NULL
+      AND ml.processed = true
+      AND ml.actual IS NOT NULL
+      AND ml.status IN ('success', 'error')
+      AND ml.created_at >= :since
+    GROUP BY ml.model_version_id
+    `,
+    { replacements: { modelVersionIds: arms.map((arm) => arm.id), since }, type: QueryTypes.SELECT }
+  );
+  return Object.fromEntries(
+    arms.map((arm) => {
+      const row = rows.find((item) => Number(item.modelVersionId) === arm.id);
+      return [arm.id, { successes: Number(row?.successes || 0), trials: Number(row?.trials || 0) }];
+    })
+  );
+};
+
+const sampleNormal = () => {
+  const u = 1 - Math.random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * Math.random());
+};
+
+// Marsaglia and Tsang's method; the bandit only needs shapes of 1 or more
+const sampleGamma = (shape) => {
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+  for (;;) {
+    let x;
+    let v;
+    do {
+      x = sampleNormal();
+      v = 1 + c * x;
+    } while (v <= 0);
+    v = v * v * v;
+    const u = Math.random();
+    if (Math.log(u) < 0.5 * x * x + d - d * v + d * Math.log(v)) {
+      return d * v;
+    }
+  }
+};
+
+const sampleBeta = (alpha, beta) => {
+  const x = sampleGamma(alpha);
+  return x / (x + sampleGamma(beta));
+};
+
+/**
+ * Thompson sampling: each version's share is its probability of being the
+ * most accurate under a Beta(1 + successes, 1 + failures) posterior
+ * @returns {Array<number>} Shares adding up to 1, in the order of outcomes
+ */
+const thompsonShares = (outcomes) => {
+  const wins = outcomes.map(() => 0);
+  for (let draw = 0; draw < THOMPSON_SAMPLES; draw += 1) {
+    let best = 0;
+    let bestSample = -1;
+    outcomes.forEach(({ successes, trials }, index) => {
+      const sample = sampleBeta(1 + successes, 1 + trials - successes);
+      if (sample > bestSample) {
+        best = index;
+        bestSample = sample;
+      }
+    });
+    wins[best] += 1;
+  }
+  return wins.map((count) => count / THOMPSON_SAMPLES);
+};
+
+/**
+ * UCB1: the version with the highest upper confidence bound takes the share
+ * left over by the exploration floor; untried versions go first
+ * @returns {Array<number>} Shares adding up to 1, in the order of outcomes
+ */
+const ucbShares = (outcomes) => {
+  const total = outcomes.reduce((sum, { trials }) => sum + trials, 0);
+  const bounds = outcomes.map(({ successes, trials }) =>
+    trials ? successes / trials + Math.sqrt((2 * Math.log(total)) / trials) : Infinity
+  );
+  const top = Math.max(...bounds);
+  const leaders = bounds.filter((bound) => bound === top).length;
+  return bounds.map((bound) => (bound === top ? 1 / leaders : 0));
+};
+
+/**
+ * Whole-percent weights from shares: every version keeps the exploration floor
+ * and the rest is split by share, rounded by largest remainder to add up to 100
+ * @returns {Array<number>} Weights in the order of shares
+ */
+const toWeights = (shares, explorationFloor) => {
+  const floor = Math.min(explorationFloor, Math.floor(100 / shares.length));
+  const exact = shares.map((share) => floor + (100 - floor * shares.length) * share);
+  const weights = exact.map(Math.floor);
+  const remainder = 100 - weights.reduce((sum, weight) => sum + weight, 0);
+  exact
+    .map((value, index) => ({ index, fraction: value - Math.floor(value) }))
+    .sort((a, b) => b.fraction - a.fraction)
+    .slice(0, remainder)
+    .forEach(({ index }) => {
+      weights[index] += 1;
+    });
+  return weights;
+};
+
+/**
+ * Each bandit version's outcomes and current weight
+ * @param {Object} model - The model behind the agent node
+ * @returns {Promise<Object>} { config, arms: [{ promptVersionId, modelId, version, weight, successes, trials, accuracy }] }
+ */
+export const getBanditStatus = async (model) => {
+  const config = getPromptBanditConfig(model);
+  const arms = await getBanditArms(model, config);
+  const outcomes = arms.length ? await getArmOutcomes(arms, config.lookbackDays) : {};
+  return {
+    config,
+    arms: arms.map((arm) => ({
+      promptVersionId: arm.id,
+      modelId: arm.modelId,
+      version: arm.version,
+      weight: arm.trafficWeight,
+      ...outcomes[arm.id],
+      accuracy: outcomes[arm.id].trials ? outcomes[arm.id].successes / outcomes[arm.id].trials : null,
+    })),
+  };
+};
+
+/**
+ * Whether new weights are too close to the current split to apply. A split
+ * that leaves out some of the versions, or gives traffic to others, is always
+ * replaced.
+ */
+const isWithinHysteresis = (arms, weights) =>
+  arms.every((arm) => arm.trafficWeight !== null && arm.trafficWeight !== undefined) &&
+  arms.reduce((sum, arm) => sum + arm.trafficWeight, 0) === 100 &&
+  arms.every((arm, index) => Math.abs(arm.trafficWeight - weights[index]) < MIN_WEIGHT_CHANGE);
+
+/**
+ * Re-splits a model's traffic from its versions' recent accuracy, unless no
+ * version's weight moves by BANDIT_MIN_WEIGHT_CHANGE points or more
+ * @param {Object} model - The model behind the agent node
+ * @returns {Promise<Object|null>} The TrafficAllocationChange, or null when the split did not change
+ */
+export const updateBanditAllocation = async (model) => {
+  const config = getPromptBanditConfig(model);
+  const arms = await getBanditArms(model, config);
+  if (arms.length < 2) {
+    return null;
+  }
+  const outcomes = await getArmOutcomes(arms, config.lookbackDays);
+  const armOutcomes = arms.map((arm) => outcomes[arm.id]);
+  const shares = config.algorithm === 'ucb' ? ucbShares(armOutcomes) : thompsonShares(armOutcomes);
+  const weights = toWeights(shares, config.explorationFloor);
+  if (isWithinHysteresis(arms, weights)) {
+    return null;
+  }
+
+  return applyTrafficAllocation(
+    model,
+    arms.map((arm, index) => ({ promptVersionId: arm.id, weight: weights[index], ...armOutcomes[index] })),
+    { source: 'bandit', algorithm: config.algorithm }
+  );
+};
+
+/**
+ * Re-splits the traffic of every model with the bandit on; run by the prompt bandit worker
+ * @returns {Promise<Object>} { checked, changed, failed }
+ */
+export const updateBanditAllocations = async () => {
+  const models = (await Model.findAll({ where: { promptBandit: { [Op.ne]: null } } })).filter(
+    (model) => model.promptBandit.enabled
+  );
+  const summary = { checked: models.length, changed: 0, failed: 0 };
+  for (const model of models) {
+    try {
+      if (await updateBanditAllocation(model)) {
+        summary.changed += 1;
+      }
+    } catch (error) {
+      summary.failed += 1;
+      console.error(`Error updating the bandit allocation of model ${model.id}:`, error);
+    }
+  }
+  return summary;
+};
+
+/**
+ * Changes a model's bandit settings. Turning it on splits the traffic right away.
+ * @param {Object} model - The model behind the agent node
+ * @param {Object} settings - { enabled, algorithm, promptVersionIds, explorationFloor, lookbackDays }
+ * @returns {Promise<Object>} { error, status } or { bandit } as from getBanditStatus
+ */
+export const updatePromptBandit = async (model, settings) => {
+  const validationError = validatePromptBandit(settings);
+  if (validationError) {
+    return { error: validationError, status: 400 };
+  }
+  const config = { ...getPromptBanditConfig(model), ...settings };
+  const arms = await getBanditArms(model, config);
+  if (config.promptVersionIds) {
+    const unknown = config.promptVersionIds.find((id) => !arms.some((arm) => arm.id === id));
+    if (unknown) {
+      return { error: `Prompt version ${unknown} does not belong to this model, has no prompt or is not approved`, status: 400 };
+    }
+  }
+  if (config.enabled && arms.length < 2) {
+    return { error: 'The bandit needs at least two prompt versions', status: 400 };
+  }
+
+  await model.update({ promptBandit: { ...(model.promptBandit || {}), ...settings } });
+  if (config.enabled) {
+    await updateBanditAllocation(model);
+  }
+  return { bandit: await getBanditStatus(model) };
+};
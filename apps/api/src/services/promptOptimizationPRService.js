@@ -21,6 +21,7 @@
 
 import GitHubClient from './githubClient.js';
 import { generateAIResponse } from './aiService.js';
+import { getPullRequestApprovalError } from './promptApprovalService.js';
 import { z } from 'zod';
 
 
@@ -52,6 +53,7 @@ const CodeReplacementSchema = z.object({
  * @param {string} params.optimizedPrompt - The improved prompt text
  * @param {Object} params.metrics - Performance metrics showing improvement
  * @param {Object} params.models - Sequelize models for database operations
+ * @param {Object} [params.modelVersion] - Version holding the optimized prompt; under an approval policy it has to be approved
  * @returns {Promise<Object>} Result object with PR information or error details
  */
 export const createPromptOptimizationPR = async ({
@@ -60,7 +62,8 @@ export const createPromptOptimizationPR = async ({
   optimizedPrompt,
   metrics = {},
   models,
-  modelLog = null
+  modelLog = null,
+  modelVersion = null
 }) => {
   try {
     console.log(`🚀 Starting prompt optimization PR creation for agent: ${agent.name}`);
@@ -71,6 +74,16 @@ export const createPromptOptimizationPR = async ({
       throw new Error('Company not found for agent');
     }
 
+    // Versions awaiting approval get their PR once they are approved
+    const approvalError = await getPullRequestApprovalError(agent, modelVersion);
+    if (approvalError) {
+      console.log(`⏸️ ${approvalError}`);
+      if (modelVersion) {
+        await modelVersion.update({ pullRequestPending: true });
+      }
+      return { success: false, error: approvalError, awaitingApproval: true };
+    }
+
     const githubIntegration = await models.GitHubIntegration.findOne({
       where: {
         companyId: company.id,
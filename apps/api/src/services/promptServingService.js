@@ -0,0 +1,310 @@
+import crypto from 'crypto';
+import db from '../../models/index.js';
+import { redisService } from './redisService.js';
+import { APPROVED_STATUSES, getUnapprovedVersions } from './promptApprovalService.js';
+
+const { Agent, AgentNode, Model, ModelGroup, ModelVersions, TrafficAllocationChange } = db;
+
+// Assignments are made in basis points so weights down to 0.01% split evenly
+const TRAFFIC_BUCKETS = 10000;
+const CACHE_TTL = parseInt(process.env.PROMPT_SERVING_CACHE_TTL || '300', 10);
+
+const cacheKey = (companyId, agentSlug, nodeSlug) => `prompt-serving:${companyId}:${agentSlug}:${nodeSlug}`;
+
+/**
+ * The value ModelLog.version and ModelMetricLog.version hold for a prompt version
+ * @param {Object} modelVersion - A ModelVersions row
+ * @returns {string} `${modelId}-${version}`
+ */
+export const servedVersionKey = (modelVersion) => `${modelVersion.modelId}-${modelVersion.version}`;
+
+/**
+ * Versions a model can serve: its own and those of its principal A/B test model
+ * @param {Object} model - The model behind the agent node
+ * @returns {Promise<Array<Object>>} ModelVersions, newest first
+ */
+export const getModelVersionPool = async (model) => {
+  const abModel = await model.getPrincipalABTestModel();
+  return ModelVersions.findAll({
+    where: { modelId: abModel?.id ? [model.id, abModel.id] : [model.id] },
+    order: [['createdAt', 'DESC']],
+  });
+};
+
+/**
+ * Versions that get traffic and their weights. Without an allocation the active
+ * version gets all of it, or else the newest approved version of the model
+ * itself. Versions still waiting for approval are never served.
+ * @param {Object} model - The model behind the agent node
+ * @returns {Promise<Array<Object>>} [{ versionId, modelId, version, key, prompt, weight, updatedAt }]
+ */
+export const getServingCandidates = async (model) => {
+  const pool = (await getModelVersionPool(model)).filter(
+    (version) => version.parameters?.prompt && version.status !== 'retired'
+  );
+  const unapproved = await getUnapprovedVersions(model, pool);
+  const versions = pool.filter((version) => !unapproved.includes(version));
+  let allocated = versions.filter((version) => version.trafficWeight > 0);
+  if (!allocated.length) {
+    const fallback =
+      versions.find((version) => version.activeVersion) ||
+      versions.find((version) => version.modelId === model.id && APPROVED_STATUSES.includes(version.status));
+    allocated = fallback ? [fallback] : [];
+  }
+  const total = allocated.reduce((sum, version) => sum + (version.trafficWeight || 0), 0);
+  return allocated.map((version) => ({
+    versionId: version.id,
+    modelId: version.modelId,
+    version: version.version,
+    key: servedVersionKey(version),
+    prompt: version.parameters.prompt,
+    weight: total ? version.trafficWeight : 100,
+    updatedAt: version.updatedAt,
+  }));
+};
+
+/**
+ * What a node serves, cached in Redis for PROMPT_SERVING_CACHE_TTL seconds
+ * @returns {Promise<Object|null>} { modelId, candidates }, or null when the agent or node does not exist
+ */
+const resolveServingConfig = async (companyId, agentSlug, nodeSlug) => {
+  const key = cacheKey(companyId, agentSlug, nodeSlug);
+  const cached = await redisService.get(key);
+  if (cached) {
+    return cached;
+  }
+
+  const agent = await Agent.findOne({ where: { slug: agentSlug, companyId } });
+  if (!agent) {
+    return null;
+  }
+  const agentNode = await AgentNode.findOne({
+    where: { agentId: agent.id, slug: nodeSlug, type: 'model', deletedAt: null },
+  });
+  const model = agentNode?.modelId && (await Model.findByPk(agentNode.modelId));
+  if (!model) {
+    return null;
+  }
+
+  const config = { modelId: model.id, candidates: await getServingCandidates(model) };
+  await redisService.set(key, config, CACHE_TTL);
+  return config;
+};
+
+/**
+ * Picks a candidate by weight. The same key always lands in the same bucket,
+ * so a user or session keeps its version while the allocation does not change;
+ * without a key each call is assigned at random.
+ * @param {Array<Object>} candidates - From getServingCandidates
+ * @param {number} modelId - Salts the hash so keys split independently per node
+ * @param {string} [assignmentKey] - User or session id
+ * @returns {Object|null} The chosen candidate
+ */
+export const assignCandidate = (candidates, modelId, assignmentKey) => {
+  if (!candidates.length) {
+    return null;
+  }
+  const total = candidates.reduce((sum, candidate) => sum + candidate.weight, 0);
+  const bucket = assignmentKey
+    ? parseInt(crypto.createHash('sha256').update(`${modelId}:${assignmentKey}`).digest('hex').slice(0, 8), 16) %
+      TRAFFIC_BUCKETS
+    : crypto.randomInt(TRAFFIC_BUCKETS);
+
+  let threshold = 0;
+  for (const candidate of candidates) {
+    threshold += (candidate.weight / total) * TRAFFIC_BUCKETS;
+    if (bucket < threshold) {
+      return candidate;
+    }
+  }
+  return candidates[candidates.length - 1];
+};
+
+/**
+ * The prompt a call to an agent node should run
+ * @param {number} companyId - The company
+ * @param {Object} params - { agentSlug, nodeSlug, assignmentKey }
+ * @returns {Promise<Object>} { error, status } or { served, etag }
+ */
+export const servePrompt = async (companyId, { agentSlug, nodeSlug, assignmentKey }) => {
+  const config = await resolveServingConfig(companyId, agentSlug, nodeSlug);
+  if (!config) {
+    return { error: 'Agent node not found', status: 404 };
+  }
+  const candidate = assignCandidate(config.candidates, config.modelId, assignmentKey);
+  if (!candidate) {
+    return { error: 'The node has no released or approved prompt version to serve', status: 404 };
+  }
+
+  return {
+    served: {
+      modelId: config.modelId,
+      promptVersionId: candidate.versionId,
+      version: candidate.key,
+      prompt: candidate.prompt,
+      weight: candidate.weight,
+      sticky: Boolean(assignmentKey),
+    },
+    etag: `"${candidate.versionId}-${new Date(candidate.updatedAt).getTime()}"`,
+  };
+};
+
+/**
+ * Validates a traffic allocation
+ * @param {Array<Object>} allocations - [{ promptVersionId, weight }]
+ * @returns {string|null} The error, or null when it is valid
+ */
+export const validateTrafficAllocation = (allocations) => {
+  if (!Array.isArray(allocations) || !allocations.length) {
+    return 'allocations must be a non-empty array of { promptVersionId, weight }';
+  }
+  for (const allocation of allocations) {
+    if (!Number.isInteger(allocation?.promptVersionId)) {
+      return 'Each allocation needs a promptVersionId';
+    }
+    if (!Number.isInteger(allocation.weight) || allocation.weight < 0 || allocation.weight > 100) {
+      return 'weight must be an integer percentage between 0 and 100';
+    }
+  }
+  if (new Set(allocations.map((allocation) => allocation.promptVersionId)).size !== allocations.length) {
+    return 'Each prompt version can only be allocated once';
+  }
+  if (allocations.reduce((sum, allocation) => sum + allocation.weight, 0) !== 100) {
+    return 'Weights must add up to 100';
+  }
+  return null;
+};
+
+/**
+ * Drops the cached serving configs of a company's nodes
+ * @param {number} companyId - The company
+ */
+export const invalidatePromptServingCache = (companyId) =>
+  redisService.deletePattern(`prompt-serving:${companyId}:*`);
+
+/**
+ * Writes a model's traffic split and records it in its allocation history.
+ * Nothing is recorded when the weights do not change.
+ * @param {Object} model - The model behind the agent node
+ * @param {Array<Object>} allocations - [{ promptVersionId, weight }], plus any stats worth auditing
+ * @param {Object} change - { source, algorithm, userId } of the TrafficAllocationChange
+ * @returns {Promise<Object|null>} The TrafficAllocationChange, or null when nothing changed
+ */
+export const applyTrafficAllocation = async (model, allocations, { source, algorithm = null, userId = null }) => {
+  const versions = await getModelVersionPool(model);
+  const unchanged = versions.every((version) => {
+    const allocation = allocations.find((item) => item.promptVersionId === version.id);
+    return (version.trafficWeight || 0) === (allocation?.weight || 0);
+  });
+  if (unchanged) {
+    return null;
+  }
+
+  const change = await db.sequelize.transaction(async (transaction) => {
+    await ModelVersions.update(
+      { trafficWeight: null },
+      { where: { id: versions.map((version) => version.id) }, transaction }
+    );
+    for (const allocation of allocations) {
+      await ModelVersions.update(
+        { trafficWeight: allocation.weight },
+        { where: { id: allocation.promptVersionId }, transaction }
+      );
+    }
+    return TrafficAllocationChange.create(
+      { modelId: model.id, source, algorithm, allocations, userId },
+      { transaction }
+    );
+  });
+
+  const modelGroup = await ModelGroup.findByPk(model.modelGroupId);
+  await invalidatePromptServingCache(modelGroup.companyId);
+  return change;
+};
+
+/**
+ * Splits a model's served traffic between its prompt versions, e.g. a 5%
+ * canary next to the active version. Versions left out get no traffic.
+ * @param {Object} model - The model behind the agent node
+ * @param {Array<Object>} allocations - [{ promptVersionId, weight }]
+ * @param {number} [userId] - Who set it
+ * @returns {Promise<Object>} { error, status } or { candidates }
+ */
+export const setTrafficAllocation = async (model, allocations, userId = null) => {
+  if (model.promptBandit?.enabled) {
+    return { error: 'A bandit is allocating the traffic of this model; turn it off to set the split by hand', status: 409 };
+  }
+  const validationError = validateTrafficAllocation(allocations);
+  if (validationError) {
+    return { error: validationError, status: 400 };
+  }
+  const versions = await getModelVersionPool(model);
+  const unknown = allocations.find(
+    (allocation) => !versions.some((version) => version.id === allocation.promptVersionId)
+  );
+  if (unknown) {
+    return { error: `Prompt version ${unknown.promptVersionId} does not belong to this model`, status: 400 };
+  }
+  const [unapproved] = await getUnapprovedVersions(
+    model,
+    versions.filter((version) =>
+      allocations.some((allocation) => allocation.promptVersionId === version.id && allocation.weight > 0)
+    )
+  );
+  if (unapproved) {
+    return { error: `Version ${unapproved.version} needs approval before it can get traffic`, status: 409 };
+  }
+
+  await applyTrafficAllocation(
+    model,
+    allocations.map(({ promptVersionId, weight }) => ({ promptVersionId, weight })),
+    { source: 'manual', userId }
+  );
+  return { candidates: await getServingCandidates(model) };
+};
+
+/**
+ * Gives a released version all of the model's served traffic, ending any
+ * canary or bandit, and records it in the allocation history
+ * @param {Object} model - The model behind the agent node
+ * @param {Object|null} releasedVersion - The ModelVersions row that went live
+ * @param {Object} change - { source: 'release' | 'rollback', userId }
+ */
+export const resetTrafficAllocation = async (model, releasedVersion, { source, userId = null }) => {
+  const versions = await getModelVersionPool(model);
+  await ModelVersions.update(
+    { trafficWeight: null },
+    { where: { id: versions.map((version) => version.id) } }
+  );
+  if (model.promptBandit?.enabled) {
+    await model.update({ promptBandit: { ...model.promptBandit, enabled: false } });
+  }
+  if (releasedVersion) {
+    await TrafficAllocationChange.create({
+      modelId: model.id,
+      source,
+      allocations: [{ promptVersionId: releasedVersion.id, weight: 100 }],
+      userId,
+    });
+  }
+
+  const modelGroup = await ModelGroup.findByPk(model.modelGroupId);
+  if (modelGroup) {
+    await invalidatePromptServingCache(modelGroup.companyId);
+  }
+};
+
+/**
+ * A model's traffic split changes, oldest first
+ * @param {number} modelId - The model behind the agent node
+ * @param {number} [limit] - How many of the latest changes to return
+ * @returns {Promise<Array<Object>>} TrafficAllocationChange records
+ */
+export const getAllocationHistory = async (modelId, limit = 200) => {
+  const changes = await TrafficAllocationChange.findAll({
+    where: { modelId },
+    order: [['createdAt', 'DESC']],
+    limit,
+  });
+  return changes.reverse();
+};
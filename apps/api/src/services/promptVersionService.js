@@ -6,9 +6,10 @@ const { Model } = db;
  * Create a new prompt version for a given model
  * @param {string|number} modelId - ID of the model
  * @param {string} prompt - The new prompt to store
+ * @param {number} [userId] - User creating it, who cannot approve it themselves
  * @returns {Promise<Object>} - The newly created PromptVersion instance
  */
-export async function createPrompt(modelId, prompt) {
+export async function createPrompt(modelId, prompt, userId = null) {
     // Create a new record in the PromptVersion table
     const model = await db.Model.findByPk(Number(modelId));
     if (!model) throw new Error(`Model with id=${modelId} not found`);
@@ -16,6 +17,7 @@ export async function createPrompt(modelId, prompt) {
         modelId,
         prompt: prompt,
         active: false,         // new versions start inactive by default
+        userId,
         createdAt: new Date(),
         updatedAt: new Date(),
     });
@@ -93,12 +95,13 @@ export async function getActivePrompts() {
  * Service wrapper to expose release functionality
  * @param {number|string} modelId - ID of the model
  * @param {string} version - Version identifier to set active
+ * @param {number} [userId] - User releasing it, recorded in the deploy history
  * @returns {Promise<Object|null>} - Activated ModelVersion or null
  */
-export async function releasePrompt(modelId, version, originalModelId) {
+export async function releasePrompt(modelId, version, originalModelId, userId = null) {
     const model = await db.Model.findByPk(Number(modelId));
     if (!model) throw new Error(`Model with id=${modelId} not found`);
-    return await model.releasePromptVersion({ modelId, version, originalModelId });
+    return await model.releasePromptVersion({ modelId, version, originalModelId, deploy: { userId } });
 }
 
 /**
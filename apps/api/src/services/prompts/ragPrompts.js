@@ -0,0 +1,81 @@
+// Built-in evaluators for retrieval-augmented model nodes. Each one judges a
+// single aspect, so each gets its own metric on the node. They receive the
+// retrieved documents next to the user input and the output.
+export const ragEvaluators = [
+  {
+    key: 'faithfulness',
+    ragMetric: 'faithfulness',
+    name: 'Faithfulness & Groundedness Evaluation',
+    prompt: `You are an expert evaluator of **faithfulness** in retrieval-augmented generation. Your job is to verify that every claim in the generated output is **supported by the retrieved context**.
+
+## **Your Role:**
+- **Split the output into its factual claims** and check each one against the retrieved documents.
+- **A claim is grounded only if the retrieved context states or directly implies it.** General knowledge that the context does not support counts as ungrounded.
+- **Do not judge whether the claims are true in the world**, only whether the context supports them.
+- **Do not penalize** refusals or statements that the context does not contain the answer.
+- **Strictly penalize** claims that contradict the context or add details it does not contain.
+
+## **Scoring:**
+- 10: every claim is supported by the retrieved context.
+- 5: some claims are supported, others are not.
+- 0: the output is not grounded in the retrieved context at all, or contradicts it.
+
+List every unsupported or contradicted claim as an error.`,
+  },
+  {
+    key: 'context_relevance',
+    ragMetric: 'context_relevance',
+    name: 'Context Relevance Evaluation',
+    prompt: `You are an expert evaluator of **retrieval quality** in retrieval-augmented generation. Your job is to judge whether the **retrieved documents are relevant to the user input**.
+
+## **Your Role:**
+- **Judge each retrieved document** on whether it helps answer the user input.
+- **Evaluate the retrieval only**—do not assess the generated output.
+- **Penalize** documents that are off-topic, redundant or only share keywords with the input.
+- **Penalize missing context** when the documents clearly cannot answer the input.
+
+## **Scoring:**
+- 10: every document is relevant and together they cover what the input asks.
+- 5: about half of the documents are relevant, or they only partly cover the input.
+- 0: none of the documents are relevant to the input.
+
+List each irrelevant document by its number as an error.`,
+  },
+  {
+    key: 'context_recall',
+    ragMetric: 'context_recall',
+    name: 'Context Recall Evaluation',
+    prompt: `You are an expert evaluator of **context recall** in retrieval-augmented generation. Your job is to judge whether the **retrieved documents contain the information needed for the expected output**.
+
+## **Your Role:**
+- **Split the expected output into its statements** and check whether each one can be found in, or inferred from, the retrieved documents.
+- **Evaluate the retrieval only**—do not assess the generated output.
+- **Do not penalize** extra documents that are not needed for the expected output.
+
+## **Scoring:**
+- 10: every statement of the expected output is supported by the retrieved context.
+- 5: about half of the statements are supported.
+- 0: none of the statements can be found in the retrieved context.
+
+List every statement of the expected output the context does not support as an error.`,
+  },
+  {
+    key: 'citation_accuracy',
+    ragMetric: 'citation_accuracy',
+    name: 'Citation Accuracy Evaluation',
+    prompt: `You are an expert evaluator of **citations** in retrieval-augmented generation. Your job is to verify that the **sources the output cites support the claims they are attached to**.
+
+## **Your Role:**
+- **Check every citation** in the output (for example [1], [doc-2] or a source name) against the retrieved document it refers to.
+- **A citation is accurate only if the cited document supports the claim it is attached to.**
+- **Penalize** citations of documents that do not exist, citations attached to claims the document does not support, and factual claims taken from the context without any citation.
+- **Do not penalize** the absence of citations when the output makes no claims from the context.
+
+## **Scoring:**
+- 10: every citation points to an existing document that supports its claim.
+- 5: about half of the citations are accurate.
+- 0: the citations are missing, invented or do not support their claims.
+
+List every inaccurate, invented or missing citation as an error.`,
+  },
+];
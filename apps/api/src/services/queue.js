@@ -5,11 +5,75 @@ import dotenv from 'dotenv';
 
 dotenv.config();
 
+const redisConfig = {
+  host: process.env.REDIS_HOST || 'redis',
+  port: process.env.REDIS_PORT || 6379,
+};
+
 const metricQueue = new Bull('metricQueue', {
-  redis: {
-    host: process.env.REDIS_HOST || 'redis',
-    port: process.env.REDIS_PORT || 6379,
-  },
+  redis: redisConfig,
+});
+
+// Post-ingestion pipeline for model logs (evaluation, insights, optimization)
+const evaluationQueue = new Bull('evaluationQueue', {
+  redis: redisConfig,
+});
+
+// Evaluation jobs that exhausted their retries, kept for inspection and replay
+const evaluationDeadLetterQueue = new Bull('evaluationDeadLetterQueue', {
+  redis: redisConfig,
+});
+
+// Periodic sweep that times out executions stuck in processing
+const executionReaperQueue = new Bull('executionReaperQueue', {
+  redis: redisConfig,
+});
+
+// Periodic replay of raw events stored by POST /api/ingest/events
+const ingestProcessorQueue = new Bull('ingestProcessorQueue', {
+  redis: redisConfig,
+});
+
+// Offline experiments scoring prompt versions against dataset items
+const experimentQueue = new Bull('experimentQueue', {
+  redis: redisConfig,
+});
+
+// Periodic runs of the saved rules that curate production logs into datasets
+const datasetCurationQueue = new Bull('datasetCurationQueue', {
+  redis: redisConfig,
+});
+
+// Whole-execution (trajectory) evaluations queued when an execution ends
+const trajectoryEvaluationQueue = new Bull('trajectoryEvaluationQueue', {
+  redis: redisConfig,
+});
+
+// Re-evaluations of historical logs with selected evaluators
+const evaluationBackfillQueue = new Bull('evaluationBackfillQueue', {
+  redis: redisConfig,
+});
+
+// Periodic checks of released prompt versions during their guard window
+const releaseGuardQueue = new Bull('releaseGuardQueue', {
+  redis: redisConfig,
+});
+
+// Periodic re-splits of prompt traffic by models with the bandit on
+const promptBanditQueue = new Bull('promptBanditQueue', {
+  redis: redisConfig,
 });
 
-export { metricQueue };
+export {
+  metricQueue,
+  evaluationQueue,
+  evaluationDeadLetterQueue,
+  executionReaperQueue,
+  ingestProcessorQueue,
+  experimentQueue,
+  datasetCurationQueue,
+  trajectoryEvaluationQueue,
+  evaluationBackfillQueue,
+  releaseGuardQueue,
+  promptBanditQueue,
+};
@@ -0,0 +1,93 @@
+import { normalizeRetrievedContext, parseRetrievedContext } from './parser.js';
+
+export const RAG_METRICS = ['faithfulness', 'context_relevance', 'context_recall', 'citation_accuracy'];
+
+// Characters of each document given to the judge
+const RAG_MAX_DOCUMENT_LENGTH = parseInt(process.env.RAG_MAX_DOCUMENT_LENGTH || '4000', 10);
+// Documents given to the judge, in retrieval order
+const RAG_MAX_DOCUMENTS = parseInt(process.env.RAG_MAX_DOCUMENTS || '20', 10);
+
+// [1], [^3], [doc-2] and [source: abc] style citations; other brackets such as markdown links are not citations
+const CITATION_PATTERN = /\[\^?(?:(?:source|doc(?:ument)?)[:\s_-]*([\w.-]+)|(\d+))\]/gi;
+
+/**
+ * The retrieved documents of an entry: the ones tagged on it, or detected
+ * from its input when there are none
+ * @param {Object} entry - ModelLog or { input, retrievedContext }
+ * @returns {Object[]} Documents as { id, content, source, score }
+ */
+export const getRetrievedContext = (entry) => {
+  const tagged = normalizeRetrievedContext(entry?.retrievedContext);
+  return tagged.length ? tagged : parseRetrievedContext(entry?.input);
+};
+
+/**
+ * Why a RAG evaluator cannot judge an entry: it has no retrieved documents,
+ * or context recall has no expected output to compare them against
+ * @returns {string|null} The reason, or null when the evaluator can run
+ */
+export const getRagSkipReason = (ragMetric, documents, entry) => {
+  if (!documents.length) {
+    return 'no retrieved context';
+  }
+  if (ragMetric === 'context_recall' && !entry?.expectedOutput) {
+    return 'no expected output';
+  }
+  return null;
+};
+
+/**
+ * Citations found in an output, matched to the documents by number (1-based)
+ * or id
+ * @returns {Object} { cited, unknown } lists of citation labels
+ */
+export const findCitations = (output, documents) => {
+  const labels = [...new Set([...String(output || '').matchAll(CITATION_PATTERN)].map((match) => match[1] || match[2]))];
+  const exists = (label) =>
+    documents.some((document, index) => document.id === label || String(index + 1) === label);
+  return {
+    cited: labels.filter(exists),
+    unknown: labels.filter((label) => !exists(label)),
+  };
+};
+
+const describeDocuments = (documents) =>
+  documents
+    .slice(0, RAG_MAX_DOCUMENTS)
+    .map((document, index) => {
+      const content =
+        document.content.length > RAG_MAX_DOCUMENT_LENGTH
+          ? `${document.content.slice(0, RAG_MAX_DOCUMENT_LENGTH)}...[truncated]`
+          : document.content;
+      const details = [`id: ${document.id}`, document.source && `source: ${document.source}`]
+        .filter(Boolean)
+        .join(', ');
+      return `[${index + 1}] (${details})\n${content}`;
+    })
+    .join('\n\n');
+
+/**
+ * The parts of a RAG evaluator's judge message that show the retrieved
+ * documents and, for citation accuracy, the citations found in the output
+ * @returns {Object[]} Text content parts
+ */
+export const buildRagContent = (ragMetric, documents, parsedOutput) => {
+  const content = [
+    {
+      type: 'text',
+      text: `Retrieved Context (${documents.length} documents${
+        documents.length > RAG_MAX_DOCUMENTS ? `, first ${RAG_MAX_DOCUMENTS} shown` : ''
+      }):\n${describeDocuments(documents)}`,
+    },
+  ];
+  if (ragMetric === 'citation_accuracy') {
+    const { cited, unknown } = findCitations(parsedOutput, documents);
+    content.push({
+      type: 'text',
+      text: `Citations found in the output: ${cited.length ? cited.join(', ') : 'none'}${
+        unknown.length ? `. Citations matching no retrieved document: ${unknown.join(', ')}` : ''
+      }`,
+    });
+  }
+  return content;
+};
@@ -0,0 +1,275 @@
+import crypto from 'crypto';
+import { Op } from 'sequelize';
+import db from '../../models/index.js';
+import {
+  BUILT_IN_DETECTORS,
+  BUILT_IN_DETECTOR_NAMES,
+  compileCustomDetectors,
+  redactText,
+} from './piiDetectors.js';
+
+const { RedactionPolicy, RedactionToken } = db;
+
+// Parts of a track payload that end up in ModelLog, AgentNodeLog or AgentLog
+const REDACTED_FIELDS = ['input', 'output', 'error', 'stack', 'metadata', 'actual', 'retrievedContext'];
+
+const POLICY_CACHE_TTL_MS = 60 * 1000;
+const policyCache = new Map();
+
+const TOKEN_PATTERN = /\[[A-Z0-9_]+_[a-f0-9]{12}\]/g;
+
+/**
+ * Keys derived from REDACTION_ENCRYPTION_KEY: one encrypts vault values, the
+ * other makes tokens deterministic so the same value always maps to the same
+ * token within a company
+ */
+const getRedactionKeys = () => {
+  const secret = process.env.REDACTION_ENCRYPTION_KEY;
+  if (!secret) {
+    return null;
+  }
+  const encryptionKey = crypto.createHash('sha256').update(secret).digest();
+  const tokenKey = crypto
+    .createHash('sha256')
+    .update('redaction-token:')
+    .update(encryptionKey)
+    .digest();
+  return { encryptionKey, tokenKey };
+};
+
+export const isTokenizationAvailable = () => Boolean(getRedactionKeys());
+
+const encryptValue = (value, key) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map((part) => part.toString('base64')).join(':');
+};
+
+const decryptValue = (payload, key) => {
+  const [iv, tag, ciphertext] = payload.split(':').map((part) => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+/**
+ * Checks whether a field path is covered by a rule. Rules are dot-separated
+ * paths relative to the payload (e.g. "input.messages.*.content"); "*" matches
+ * any key or array index and a rule also covers everything below it.
+ */
+const pathMatches = (rule, path) => {
+  const segments = rule.split('.');
+  if (segments.length > path.length) {
+    return false;
+  }
+  return segments.every((segment, index) => segment === '*' || segment === String(path[index]));
+};
+
+/**
+ * Creates a redactor for one policy. It collects the tokens it hands out so
+ * they can be stored in the vault once the payload is done.
+ * @param {Object} policy - RedactionPolicy values
+ * @returns {Object} { redactValue(value, path), tokens }
+ */
+export const buildRedactor = (policy) => {
+  const detectors = [
+    ...(policy.detectors || [])
+      .filter((name) => BUILT_IN_DETECTORS[name])
+      .map((name) => BUILT_IN_DETECTORS[name]),
+    ...compileCustomDetectors(policy.customPatterns || []),
+  ];
+  const allowPaths = policy.allowPaths || [];
+  const denyPaths = policy.denyPaths || [];
+  // Without a key, tokenization degrades to masking rather than storing plaintext
+  const keys = policy.mode === 'tokenize' ? getRedactionKeys() : null;
+  const tokens = new Map();
+
+  const replace = (value, label) => {
+    if (!keys) {
+      return `[REDACTED_${label}]`;
+    }
+    const digest = crypto
+      .createHmac('sha256', keys.tokenKey)
+      .update(`${label}:${value}`)
+      .digest('hex')
+      .slice(0, 12);
+    const token = `[${label}_${digest}]`;
+    tokens.set(token, { label, value });
+    return token;
+  };
+
+  const redactValue = (value, path) => {
+    if (value === null || value === undefined) {
+      return value;
+    }
+    if (allowPaths.some((rule) => pathMatches(rule, path))) {
+      return value;
+    }
+    if (denyPaths.some((rule) => pathMatches(rule, path))) {
+      return replace(typeof value === 'string' ? value : JSON.stringify(value), 'FIELD');
+    }
+    if (typeof value === 'string') {
+      return redactText(value, detectors, replace);
+    }
+    if (Array.isArray(value)) {
+      return value.map((item, index) => redactValue(item, [...path, index]));
+    }
+    if (typeof value === 'object' && !(value instanceof Date)) {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [key, redactValue(item, [...path, key])])
+      );
+    }
+    return value;
+  };
+
+  return { redactValue, tokens, keys };
+};
+
+const storeTokens = async (companyId, { tokens, keys }) => {
+  if (!keys || tokens.size === 0) {
+    return;
+  }
+  await RedactionToken.bulkCreate(
+    Array.from(tokens.entries()).map(([token, { label, value }]) => ({
+      companyId,
+      token,
+      label,
+      encryptedValue: encryptValue(value, keys.encryptionKey),
+    })),
+    { ignoreDuplicates: true }
+  );
+};
+
+/**
+ * Validates policy settings coming from the API
+ * @returns {string|null} Reason the settings are invalid, or null
+ */
+export const validateRedactionPolicy = (policy) => {
+  const { mode, detectors, customPatterns, allowPaths, denyPaths } = policy;
+  if (mode !== undefined && !['mask', 'tokenize'].includes(mode)) {
+    return 'mode must be "mask" or "tokenize"';
+  }
+  if (mode === 'tokenize' && !isTokenizationAvailable()) {
+    return 'Tokenization requires REDACTION_ENCRYPTION_KEY to be configured';
+  }
+  if (detectors !== undefined) {
+    if (!Array.isArray(detectors)) {
+      return 'detectors must be an array';
+    }
+    const unknown = detectors.filter((name) => !BUILT_IN_DETECTOR_NAMES.includes(name));
+    if (unknown.length) {
+      return `Unknown detectors: ${unknown.join(', ')}`;
+    }
+  }
+  if (customPatterns !== undefined) {
+    if (!Array.isArray(customPatterns)) {
+      return 'customPatterns must be an array';
+    }
+    try {
+      compileCustomDetectors(customPatterns);
+    } catch (error) {
+      return `Invalid custom pattern: ${error.message}`;
+    }
+  }
+  for (const [name, paths] of [['allowPaths', allowPaths], ['denyPaths', denyPaths]]) {
+    if (paths !== undefined && (!Array.isArray(paths) || paths.some((path) => typeof path !== 'string' || !path))) {
+      return `${name} must be an array of field paths`;
+    }
+  }
+  return null;
+};
+
+/**
+ * The policy that applies to an agent: its own policy when it has one,
+ * otherwise the company default. Cached briefly since every track call needs it.
+ */
+export const resolveRedactionPolicy = async (companyId, agentId = null) => {
+  const cacheKey = `${companyId}:${agentId || ''}`;
+  const cached = policyCache.get(cacheKey);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.policy;
+  }
+
+  const policies = await RedactionPolicy.findAll({
+    where: {
+      companyId,
+      agentId: agentId ? { [Op.or]: [agentId, null] } : null,
+    },
+    raw: true,
+  });
+  const policy =
+    policies.find((entry) => agentId && entry.agentId === agentId) ||
+    policies.find((entry) => entry.agentId === null) ||
+    null;
+
+  policyCache.set(cacheKey, { policy, expiresAt: Date.now() + POLICY_CACHE_TTL_MS });
+  return policy;
+};
+
+export const clearRedactionPolicyCache = (companyId) => {
+  for (const key of policyCache.keys()) {
+    if (key.startsWith(`${companyId}:`)) {
+      policyCache.delete(key);
+    }
+  }
+};
+
+/**
+ * Redacts the persisted parts of a track payload according to the agent's
+ * policy, before any log is written. Evaluators and insight generation read
+ * the stored logs, so they only ever see the redacted values.
+ * @param {Object} data - Track payload (input, output, error, metadata, ...)
+ * @param {Object} scope - { companyId, agentId }
+ * @returns {Promise<Object>} A redacted copy of the payload
+ */
+export const redactTrackData = async (data, { companyId, agentId = null }) => {
+  const policy = await resolveRedactionPolicy(companyId, agentId);
+  if (!policy || !policy.enabled) {
+    return data;
+  }
+
+  const redactor = buildRedactor(policy);
+  const redacted = { ...data };
+  for (const field of REDACTED_FIELDS) {
+    if (field in data) {
+      redacted[field] = redactor.redactValue(data[field], [field]);
+    }
+  }
+  await storeTokens(companyId, redactor);
+  return redacted;
+};
+
+/**
+ * Applies policy settings to a sample payload without storing any tokens
+ */
+export const previewRedaction = (policy, sample) => {
+  const redactor = buildRedactor(policy);
+  return redactor.redactValue(sample, []);
+};
+
+/**
+ * Looks up the original values of tokenized fields
+ * @param {number} companyId - The company that owns the tokens
+ * @param {string|Array<string>} tokensOrText - Tokens, or text containing tokens
+ * @returns {Promise<Object>} Map of token to original value
+ */
+export const revealTokens = async (companyId, tokensOrText) => {
+  const keys = getRedactionKeys();
+  if (!keys) {
+    throw new Error('Tokenization is not configured');
+  }
+  const tokens = Array.isArray(tokensOrText)
+    ? tokensOrText
+    : String(tokensOrText).match(TOKEN_PATTERN) || [];
+  if (!tokens.length) {
+    return {};
+  }
+
+  const rows = await RedactionToken.findAll({
+    where: { companyId, token: { [Op.in]: Array.from(new Set(tokens)) } },
+  });
+  return Object.fromEntries(
+    rows.map((row) => [row.token, decryptValue(row.encryptedValue, keys.encryptionKey)])
+  );
+};
@@ -13,10 +13,10 @@ export const redisService = {
     }
   },
 
-  async set(key, value) {
+  async set(key, value, ttl = 86400) {
     try {
-      // set expiration time to 1 day
-      await redisClient.setex(key, 86400, JSON.stringify(value));
+      // expires after a day unless told otherwise
+      await redisClient.setex(key, ttl, JSON.stringify(value));
       return true;
     } catch (error) {
       console.error('Redis set error:', error);
@@ -34,6 +34,15 @@ export const redisService = {
     }
   },
 
+  async eval(script, keys = [], args = []) {
+    try {
+      return await redisClient.eval(script, keys.length, ...keys, ...args);
+    } catch (error) {
+      console.error('Redis eval error:', error);
+      return null;
+    }
+  },
+
   async deletePattern(pattern) {
     try {
       const keys = await redisClient.keys(pattern);
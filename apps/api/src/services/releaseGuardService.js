@@ -0,0 +1,351 @@
+import { Op, QueryTypes } from 'sequelize';
+import db from '../../models/index.js';
+import { sendPromptRollbackNotification } from './emailService.js';
+
+const { AgentNode, Agent, Email, Model, ModelDeployHistory, ModelGroup, ModelVersions, User } = db;
+
+export const RELEASE_GUARD_DEFAULTS = {
+  enabled: process.env.RELEASE_GUARD_ENABLED !== 'false',
+  windowHours: parseFloat(process.env.RELEASE_GUARD_WINDOW_HOURS || '24'),
+  minEntries: parseInt(process.env.RELEASE_GUARD_MIN_ENTRIES || '30', 10),
+  // Average evaluator score is on a 0-10 scale
+  maxScoreDrop: parseFloat(process.env.RELEASE_GUARD_MAX_SCORE_DROP || '1'),
+  maxErrorRateIncrease: parseFloat(process.env.RELEASE_GUARD_MAX_ERROR_RATE_INCREASE || '0.1'),
+};
+
+/**
+ * Validates a model's release guard overrides
+ * @param {Object|null} releaseGuard - { enabled, windowHours, minEntries, maxScoreDrop, maxErrorRateIncrease }
+ * @returns {string|null} The error, or null when they are valid
+ */
+export const validateReleaseGuard = (releaseGuard) => {
+  if (releaseGuard === null) {
+    return null;
+  }
+  if (typeof releaseGuard !== 'object' || Array.isArray(releaseGuard)) {
+    return 'releaseGuard must be an object or null';
+  }
+  const unknown = Object.keys(releaseGuard).find((key) => !(key in RELEASE_GUARD_DEFAULTS));
+  if (unknown) {
+    return `Unknown release guard setting: ${unknown}`;
+  }
+  if ('enabled' in releaseGuard && typeof releaseGuard.enabled !== 'boolean') {
+    return 'enabled must be a boolean';
+  }
+  if ('windowHours' in releaseGuard && !(releaseGuard.windowHours > 0)) {
+    return 'windowHours must be a positive number';
+  }
+  if ('minEntries' in releaseGuard && !(Number.isInteger(releaseGuard.minEntries) && releaseGuard.minEntries > 0)) {
+    return 'minEntries must be a positive integer';
+  }
+  if ('maxScoreDrop' in releaseGuard && !(releaseGuard.maxScoreDrop >= 0 && releaseGuard.maxScoreDrop <= 10)) {
+    return 'maxScoreDrop must be between 0 and 10';
+  }
+  if (
+    'maxErrorRateIncrease' in releaseGuard &&
+    !(releaseGuard.maxErrorRateIncrease >= 0 && releaseGuard.maxErrorRateIncrease <= 1)
+  ) {
+    return 'maxErrorRateIncrease must be between 0 and 1';
+  }
+  return null;
+};
+
+/**
+ * Release guard settings of a model: its overrides on top of the defaults
+ * @param {Object} model - The model (node) that is released
+ * @returns {Object} { enabled, windowHours, minEntries, maxScoreDrop, maxErrorRateIncrease }
+ */
+export const getReleaseGuardConfig = (model) => ({ ...RELEASE_GUARD_DEFAULTS, ...(model?.releaseGuard || {}) });
+
+/**
+ * Starts the guard window of a release that replaced another version
+ * @param {Object} deploy - The release's ModelDeployHistory record
+ */
+export const startReleaseGuard = async (deploy) => {
+  if (!deploy.modelVersionId || !deploy.previousModelVersionId) {
+    return;
+  }
+  const model = await Model.findByPk(deploy.modelId);
+  const config = getReleaseGuardConfig(model);
+  if (!config.enabled) {
+    return;
+  }
+  await deploy.update({
+    guardStatus: 'watching',
+    guardEndsAt: new Date(new Date(deploy.createdAt).getTime() + config.windowHours * 3600 * 1000),
+  });
+};
+
+/**
+ * Production entries of a model in a period that ran a version: those served
+ * that version, plus those that were not served a specific one
+ * @returns {Promise<Object>} { entries, errors, errorRate, scored, averageScore }
+ */
+const getVersionOutcomes = async (modelId, modelVersionId, start, end) => {
+  const [row] = await db.sequelize.query(
+    `
+    SELECT
+      COUNT(*) AS entries,
+      COUNT(*) FILTER (WHERE ml.status IN ('error', 'crash')) AS errors,
+      COUNT(es.score) AS scored,
+      AVG(es.score) AS "averageScore"
+    FROM "ModelLogs" ml
+      LEFT JOIN LATERAL (
+        SELECT AVG(el.score) AS score FROM "EvaluationLogs" el WHERE el.model_log_id = ml.id
+      ) es ON true
+    WHERE ml.model_id = :modelId
+      AND (ml.model_version_id IS NULL OR ml.model_version_id = :modelVersionId)
+      AND ml.environment = 'production'
+      AND ml.deleted_at IS NULL
+      AND (ml.processed = true OR ml.status = 'crash')
+      AND ml.created_at >= :start
+      AND ml.created_at < :end
+    `,
+    { replacements: { modelId, modelVersionId, start, end }, type: QueryTypes.SELECT }
+  );
+  const entries = Number(row.entries);
+  const errors = Number(row.errors);
+  return {
+    entries,
+    errors,
+    errorRate: entries ? errors / entries : null,
+    scored: Number(row.scored),
+    averageScore: row.averageScore === null ? null : parseFloat(row.averageScore),
+  };
+};
+
+/**
+ * Compares a release's version since it went live with the previous version
+ * over the guard window before it, cut at the deploy that preceded it
+ * @param {Object} deploy - The release's ModelDeployHistory record
+ * @param {Object} config - From getReleaseGuardConfig
+ * @returns {Promise<Object>} { released, previous, scoreDrop, errorRateIncrease, enoughEntries, breaches }
+ */
+export const compareRelease = async (deploy, config) => {
+  const releasedAt = new Date(deploy.createdAt);
+  const earlierDeploy = await ModelDeployHistory.findOne({
+    where: { modelId: deploy.modelId, createdAt: { [Op.lt]: releasedAt } },
+    order: [['createdAt', 'DESC']],
+  });
+  const baselineStart = new Date(
+    Math.max(
+      releasedAt.getTime() - config.windowHours * 3600 * 1000,
+      earlierDeploy ? new Date(earlierDeploy.createdAt).getTime() : 0
+    )
+  );
+
+  const released = await getVersionOutcomes(deploy.modelId, deploy.modelVersionId, releasedAt, new Date());
+  const previous = await getVersionOutcomes(
+    deploy.modelId,
+    deploy.previousModelVersionId,
+    baselineStart,
+    releasedAt
+  );
+
+  const scoreDrop =
+    released.averageScore !== null && previous.averageScore !== null
+      ? previous.averageScore - released.averageScore
+      : null;
+  const errorRateIncrease =
+    released.errorRate !== null && previous.errorRate !== null ? released.errorRate - previous.errorRate : null;
+  const enoughEntries = released.entries >= config.minEntries && previous.entries >= config.minEntries;
+
+  const breaches = [];
+  if (enoughEntries && scoreDrop !== null && scoreDrop > config.maxScoreDrop) {
+    breaches.push(
+      `average score dropped by ${scoreDrop.toFixed(2)} (from ${previous.averageScore.toFixed(2)} to ${released.averageScore.toFixed(2)}), more than ${config.maxScoreDrop}`
+    );
+  }
+  if (enoughEntries && errorRateIncrease !== null && errorRateIncrease > config.maxErrorRateIncrease) {
+    breaches.push(
+      `error rate rose by ${(errorRateIncrease * 100).toFixed(1)} points (from ${(previous.errorRate * 100).toFixed(1)}% to ${(released.errorRate * 100).toFixed(1)}%), more than ${(config.maxErrorRateIncrease * 100).toFixed(1)}`
+    );
+  }
+
+  return { released, previous, scoreDrop, errorRateIncrease, enoughEntries, breaches, checkedAt: new Date() };
+};
+
+const notifyRollback = async (rollback, reason) => {
+  const model = await Model.findByPk(rollback.modelId);
+  const modelGroup = model && (await ModelGroup.findByPk(model.modelGroupId));
+  if (!modelGroup) {
+    return;
+  }
+  const agentNode = await AgentNode.findOne({ where: { modelId: model.id, deletedAt: null } });
+  const agent = agentNode && (await Agent.findByPk(agentNode.agentId));
+  const dashboardUrl = process.env.DASHBOARD_URL || 'https://dashboard.handit.ai';
+
+  await sendPromptRollbackNotification({
+    companyId: modelGroup.companyId,
+    modelName: model.name,
+    agentName: agent?.name,
+    reason,
+    promptVersionsUrl: `${dashboardUrl}/prompt-versions?agentId=${agent?.id || ''}&modelId=${model.id}`,
+    sourceId: rollback.id,
+    Email,
+    User,
+  });
+};
+
+/**
+ * Reactivates the version a release replaced, records the rollback in the
+ * deploy history and notifies the company's users. The release is claimed
+ * first with a conditional update, so the guard and a user rolling it back
+ * at the same time cannot both go ahead.
+ * @param {Object} deploy - The release's ModelDeployHistory record
+ * @param {Object} options - { reason, userId, guardResult, fromGuardStatus }, where fromGuardStatus limits the claim to releases in that guard status
+ * @returns {Promise<Object|null>} The rollback's ModelDeployHistory record, or null when the release was already rolled back
+ */
+export const rollbackRelease = async (deploy, { reason, userId = null, guardResult, fromGuardStatus }) => {
+  const previousVersion = await ModelVersions.findByPk(deploy.previousModelVersionId);
+  if (!previousVersion) {
+    throw new Error(`The version release ${deploy.id} replaced no longer exists`);
+  }
+
+  const [claimed] = await ModelDeployHistory.update(
+    { guardStatus: 'rolled_back', ...(guardResult ? { guardResult } : {}) },
+    {
+      where: {
+        id: deploy.id,
+        ...(fromGuardStatus
+          ? { guardStatus: fromGuardStatus }
+          : { [Op.or]: [{ guardStatus: null }, { guardStatus: { [Op.ne]: 'rolled_back' } }] }),
+      },
+    }
+  );
+  if (!claimed) {
+    return null;
+  }
+
+  const model = await Model.findByPk(deploy.modelId);
+  try {
+    await model.releasePromptVersion({
+      modelId: previousVersion.modelId,
+      version: previousVersion.version,
+      originalModelId: deploy.modelId,
+      deploy: { action: 'rollback', rolledBackDeployId: deploy.id, reason, userId },
+    });
+  } catch (error) {
+    // Give the claim back so the release can be rolled back again
+    await ModelDeployHistory.update({ guardStatus: deploy.guardStatus }, { where: { id: deploy.id } });
+    throw error;
+  }
+  await deploy.reload();
+
+  const rollback = await ModelDeployHistory.findOne({
+    where: { rolledBackDeployId: deploy.id },
+    order: [['createdAt', 'DESC']],
+  });
+  await notifyRollback(rollback, reason);
+  return rollback;
+};
+
+/**
+ * Checks a watched release: rolls it back when it breaches the thresholds
+ * with enough entries on both sides, and closes its window once it ends
+ * @param {Object} deploy - A release whose guardStatus is watching
+ * @returns {Promise<string>} The guard status after the check
+ */
+export const checkReleaseGuard = async (deploy) => {
+  // Only updates a release still being watched, so a concurrent rollback is never overwritten
+  const updateWatched = async (values) => {
+    const [updated] = await ModelDeployHistory.update(values, { where: { id: deploy.id, guardStatus: 'watching' } });
+    return updated ? values.guardStatus || 'watching' : (await deploy.reload()).guardStatus;
+  };
+
+  const releasedVersion = await ModelVersions.findByPk(deploy.modelVersionId);
+  if (!releasedVersion?.activeVersion) {
+    return updateWatched({ guardStatus: 'superseded' });
+  }
+
+  const model = await Model.findByPk(deploy.modelId);
+  const guardResult = await compareRelease(deploy, getReleaseGuardConfig(model));
+  if (guardResult.breaches.length) {
+    const rollback = await rollbackRelease(deploy, {
+      reason: `Automatic rollback: ${guardResult.breaches.join('; ')}`,
+      guardResult,
+      fromGuardStatus: 'watching',
+    });
+    // Someone else closed the window or rolled the release back first
+    return rollback ? 'rolled_back' : (await deploy.reload()).guardStatus;
+  }
+
+  if (new Date() >= new Date(deploy.guardEndsAt)) {
+    return updateWatched({ guardStatus: guardResult.enoughEntries ? 'passed' : 'inconclusive', guardResult });
+  }
+  return updateWatched({ guardResult });
+};
+
+/**
+ * Checks every watched release; run by the release guard worker
+ * @returns {Promise<Object>} { checked, rolledBack, closed, failed }
+ */
+export const checkReleaseGuards = async () => {
+  const deploys = await ModelDeployHistory.findAll({
+    where: { guardStatus: 'watching' },
+    order: [['createdAt', 'ASC']],
+  });
+  const summary = { checked: deploys.length, rolledBack: 0, closed: 0, failed: 0 };
+  for (const deploy of deploys) {
+    try {
+      const guardStatus = await checkReleaseGuard(deploy);
+      if (guardStatus === 'rolled_back') {
+        summary.rolledBack += 1;
+      } else if (guardStatus !== 'watching') {
+        summary.closed += 1;
+      }
+    } catch (error) {
+      summary.failed += 1;
+      console.error(`Error checking the release guard of deploy ${deploy.id}:`, error);
+    }
+  }
+  return summary;
+};
+
+/**
+ * Rolls back a model's release by hand: the given one or, by default, the
+ * latest. Only the release whose version is live can be rolled back.
+ * @param {Object} model - The model (node)
+ * @param {Object} options - { deployId, userId, reason }
+ * @returns {Promise<Object>} { error, status } or { rollback }
+ */
+export const rollbackModelRelease = async (model, { deployId, userId, reason }) => {
+  const deploy = await ModelDeployHistory.findOne({
+    where: { modelId: model.id, action: 'release', ...(deployId ? { id: deployId } : {}) },
+    order: [['createdAt', 'DESC']],
+  });
+  if (!deploy) {
+    return { error: 'Release not found', status: 404 };
+  }
+  if (!deploy.previousModelVersionId) {
+    return { error: 'This release did not replace another version', status: 409 };
+  }
+  if (deploy.guardStatus === 'rolled_back') {
+    return { error: 'This release was already rolled back', status: 409 };
+  }
+  const releasedVersion = await ModelVersions.findByPk(deploy.modelVersionId);
+  if (!releasedVersion?.activeVersion) {
+    return { error: 'Another version has been released since', status: 409 };
+  }
+
+  const rollback = await rollbackRelease(deploy, { reason: reason || 'Manual rollback', userId });
+  if (!rollback) {
+    return { error: 'This release was already rolled back', status: 409 };
+  }
+  return { rollback };
+};
+
+/**
+ * A model's releases and rollbacks, newest first, with their guard status
+ * @param {number} modelId - The model (node)
+ * @returns {Promise<Array<Object>>} ModelDeployHistory records with their versions
+ */
+export const getDeployHistory = (modelId) =>
+  ModelDeployHistory.findAll({
+    where: { modelId },
+    include: [
+      { model: ModelVersions, as: 'modelVersion', attributes: ['id', 'modelId', 'version'], paranoid: false },
+      { model: ModelVersions, as: 'previousModelVersion', attributes: ['id', 'modelId', 'version'], paranoid: false },
+    ],
+    order: [['createdAt', 'DESC']],
+  });
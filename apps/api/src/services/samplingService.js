@@ -32,7 +32,7 @@ const cleanData = (data) => {
   return data;
 };
 
-const estimateTokens = (data) => {
+export const estimateTokens = (data) => {
   if (!data) return 0;
   const text = typeof data === 'string' ? data : JSON.stringify(data);
   // Rough estimation: 1 token ≈ 4 characters
@@ -0,0 +1,253 @@
+import { Worker } from 'worker_threads';
+import vm from 'vm';
+
+const WORKER_URL = new URL('./functionEvaluatorWorker.js', import.meta.url);
+
+const FUNCTION_EVALUATOR_TIMEOUT_MS =
+  parseInt(process.env.FUNCTION_EVALUATOR_TIMEOUT_MS, 10) || 2000;
+const FUNCTION_EVALUATOR_MEMORY_MB =
+  parseInt(process.env.FUNCTION_EVALUATOR_MEMORY_MB, 10) || 64;
+
+// Extra time the worker gets to boot and report back before it is terminated
+const WORKER_GRACE_MS = 1000;
+
+export const SANDBOX_ERROR_CODES = {
+  TIMEOUT: 'TIMEOUT',
+  MEMORY_LIMIT: 'MEMORY_LIMIT',
+  SYNTAX_ERROR: 'SYNTAX_ERROR',
+  RUNTIME_ERROR: 'RUNTIME_ERROR',
+  INVALID_RESULT: 'INVALID_RESULT',
+  INCOMPLETE: 'INCOMPLETE',
+  SANDBOX_ERROR: 'SANDBOX_ERROR',
+};
+
+/**
+ * Pulls the evaluator-relative line/column out of a stack trace or syntax error
+ */
+const extractLocation = (stack) => {
+  const match = /evaluator\.js:(\d+)(?::(\d+))?/.exec(stack || '');
+  if (!match) {
+    return {};
+  }
+  const line = parseInt(match[1], 10);
+  return {
+    line: line > 0 ? line : undefined,
+    column: match[2] ? parseInt(match[2], 10) : undefined,
+  };
+};
+
+const buildError = (code, message, location = {}) => ({
+  code,
+  message,
+  ...(location.line ? { line: location.line } : {}),
+  ...(location.column ? { column: location.column } : {}),
+});
+
+/**
+ * Checks a function evaluator body for syntax errors without executing it
+ * @param {string} functionBody - Body of the async evaluator function
+ * @returns {Object|null} Structured SYNTAX_ERROR, or null when the body parses
+ */
+export const checkFunctionEvaluatorSyntax = (functionBody) => {
+  if (typeof functionBody !== 'string' || !functionBody.trim()) {
+    return buildError(
+      SANDBOX_ERROR_CODES.SYNTAX_ERROR,
+      'Function body is required'
+    );
+  }
+  try {
+    // Compiling a Script parses the code but never runs it
+    new vm.Script(`(async function () {\n${functionBody}\n})`, {
+      filename: 'evaluator.js',
+      lineOffset: -1,
+    });
+    return null;
+  } catch (error) {
+    return buildError(
+      SANDBOX_ERROR_CODES.SYNTAX_ERROR,
+      error.message,
+      extractLocation(error.stack)
+    );
+  }
+};
+
+/**
+ * Validates the shape every evaluator must return: { score, analysis, errors }
+ * @param {*} result - Value returned by the evaluator
+ * @returns {string|null} Reason the result is invalid, or null when it is valid
+ */
+export const validateEvaluatorResult = (result) => {
+  if (!result || typeof result !== 'object' || Array.isArray(result)) {
+    return 'Function must return an object with score, analysis and errors';
+  }
+  if (typeof result.score !== 'number' || result.score < 0 || result.score > 10) {
+    return 'Score must be a number between 0 and 10';
+  }
+  if (!result.analysis || typeof result.analysis !== 'string') {
+    return 'Analysis must be a non-empty string';
+  }
+  if (!Array.isArray(result.errors)) {
+    return 'Errors must be an array';
+  }
+  return null;
+};
+
+const classifyWorkerError = (error, timeoutMs) => {
+  if (error.code === SANDBOX_ERROR_CODES.TIMEOUT) {
+    return buildError(
+      SANDBOX_ERROR_CODES.TIMEOUT,
+      `Evaluator exceeded the ${timeoutMs}ms time limit`
+    );
+  }
+  if (error.code === SANDBOX_ERROR_CODES.INCOMPLETE) {
+    return buildError(SANDBOX_ERROR_CODES.INCOMPLETE, error.message);
+  }
+  if (error.name === 'SyntaxError' && !error.stack?.includes('\n    at ')) {
+    return buildError(
+      SANDBOX_ERROR_CODES.SYNTAX_ERROR,
+      error.message,
+      extractLocation(error.stack)
+    );
+  }
+  if (error.name === 'RangeError' && /call stack/i.test(error.message)) {
+    return buildError(
+      SANDBOX_ERROR_CODES.MEMORY_LIMIT,
+      error.message,
+      extractLocation(error.stack)
+    );
+  }
+  return buildError(
+    SANDBOX_ERROR_CODES.RUNTIME_ERROR,
+    `${error.name}: ${error.message}`,
+    extractLocation(error.stack)
+  );
+};
+
+/**
+ * Executes a function evaluator in an isolated worker thread with CPU time and
+ * memory limits. The evaluator receives plain JSON copies of its inputs and the
+ * parser helpers; it has no access to require, process, the filesystem or the
+ * network.
+ * @param {string} functionBody - Body of the async evaluator function
+ * @param {Object} args - { entry, parsedOutput, context, observation, userContent }
+ * @param {Object} [options] - { timeoutMs, memoryMb }
+ * @returns {Promise<Object>} { success: true, result, logs } or
+ *   { success: false, error: { code, message, line?, column? }, logs }
+ */
+export const runFunctionEvaluator = async (functionBody, args, options = {}) => {
+  const syntaxError = checkFunctionEvaluatorSyntax(functionBody);
+  if (syntaxError) {
+    return { success: false, error: syntaxError, logs: [] };
+  }
+
+  const timeoutMs = options.timeoutMs || FUNCTION_EVALUATOR_TIMEOUT_MS;
+  const memoryMb = options.memoryMb || FUNCTION_EVALUATOR_MEMORY_MB;
+
+  let payload;
+  try {
+    payload = JSON.stringify({
+      entry: args.entry ?? null,
+      parsedOutput: args.parsedOutput ?? null,
+      context: args.context ?? null,
+      observation: args.observation ?? null,
+      userContent: args.userContent ?? null,
+    });
+  } catch (error) {
+    return {
+      success: false,
+      error: buildError(
+        SANDBOX_ERROR_CODES.SANDBOX_ERROR,
+        `Evaluator inputs are not serializable: ${error.message}`
+      ),
+      logs: [],
+    };
+  }
+
+  const outcome = await new Promise((resolve) => {
+    let settled = false;
+    const worker = new Worker(WORKER_URL, {
+      workerData: { functionBody, payload, timeoutMs },
+      resourceLimits: {
+        maxOldGenerationSizeMb: memoryMb,
+        maxYoungGenerationSizeMb: Math.max(4, Math.floor(memoryMb / 4)),
+        stackSizeMb: 4,
+      },
+      env: {},
+      stdout: true,
+      stderr: true,
+    });
+
+    const finish = (value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(backstop);
+      worker.terminate().catch(() => {});
+      resolve(value);
+    };
+
+    // vm's timeout covers synchronous code and drained microtasks; this catches
+    // anything that still keeps the worker alive past the limit
+    const backstop = setTimeout(() => {
+      finish({ ok: false, error: { code: SANDBOX_ERROR_CODES.TIMEOUT }, logs: [] });
+    }, timeoutMs + WORKER_GRACE_MS);
+
+    worker.on('message', finish);
+    worker.on('error', (error) => {
+      if (error.code === 'ERR_WORKER_OUT_OF_MEMORY') {
+        finish({ ok: false, error: { code: SANDBOX_ERROR_CODES.MEMORY_LIMIT }, logs: [] });
+        return;
+      }
+      finish({
+        ok: false,
+        error: { code: SANDBOX_ERROR_CODES.SANDBOX_ERROR, message: error.message },
+        logs: [],
+      });
+    });
+    worker.on('exit', (exitCode) => {
+      finish({
+        ok: false,
+        error: {
+          code: SANDBOX_ERROR_CODES.SANDBOX_ERROR,
+          message: `Sandbox exited unexpectedly with code ${exitCode}`,
+        },
+        logs: [],
+      });
+    });
+  });
+
+  const logs = outcome.logs || [];
+
+  if (!outcome.ok) {
+    const { error } = outcome;
+    if (error.code === SANDBOX_ERROR_CODES.MEMORY_LIMIT) {
+      return {
+        success: false,
+        error: buildError(
+          SANDBOX_ERROR_CODES.MEMORY_LIMIT,
+          `Evaluator exceeded the ${memoryMb}MB memory limit`
+        ),
+        logs,
+      };
+    }
+    if (error.code === SANDBOX_ERROR_CODES.SANDBOX_ERROR) {
+      return {
+        success: false,
+        error: buildError(SANDBOX_ERROR_CODES.SANDBOX_ERROR, error.message),
+        logs,
+      };
+    }
+    return { success: false, error: classifyWorkerError(error, timeoutMs), logs };
+  }
+
+  const invalidReason = validateEvaluatorResult(outcome.result);
+  if (invalidReason) {
+    return {
+      success: false,
+      error: buildError(SANDBOX_ERROR_CODES.INVALID_RESULT, invalidReason),
+      result: outcome.result,
+      logs,
+    };
+  }
+
+  return { success: true, result: outcome.result, logs };
+};
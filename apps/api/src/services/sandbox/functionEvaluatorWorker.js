@@ -0,0 +1,152 @@
+// Runs a single function evaluator inside a vm context on a resource-limited
+// worker thread. Nothing from this realm (functions, objects, Node globals) is
+// placed in the context: the evaluator only sees JavaScript builtins, the
+// parser helpers compiled from source inside the context, and JSON data.
+
+import { parentPort, workerData } from 'worker_threads';
+import { readFileSync } from 'fs';
+import vm from 'vm';
+
+// parser.js is evaluated inside the context so evaluators keep calling the same
+// helpers without getting a reference to a host function
+const parserSource = readFileSync(new URL('../parser.js', import.meta.url), 'utf8')
+  .replace(/^import\s.*$/gm, '')
+  .replace(/^export\s+/gm, '');
+
+const preludeSource = `
+const __logs = [];
+const __log = (level) => (...args) => {
+  if (__logs.length >= 50) return;
+  const message = args
+    .map((arg) => {
+      if (typeof arg === 'string') return arg;
+      try { return JSON.stringify(arg); } catch (e) { return String(arg); }
+    })
+    .join(' ');
+  __logs.push({ level, message: message.slice(0, 1000) });
+};
+const console = { log: __log('log'), info: __log('info'), warn: __log('warn'), error: __log('error'), debug: __log('debug') };
+
+const __b64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+const btoa = (input) => {
+  const str = String(input);
+  let output = '';
+  for (let i = 0; i < str.length; i += 3) {
+    const a = str.charCodeAt(i), b = str.charCodeAt(i + 1), c = str.charCodeAt(i + 2);
+    if (a > 255 || b > 255 || c > 255) throw new Error('Invalid character');
+    const triple = (a << 16) | ((b || 0) << 8) | (c || 0);
+    output += __b64[(triple >> 18) & 63] + __b64[(triple >> 12) & 63] +
+      (i + 1 < str.length ? __b64[(triple >> 6) & 63] : '=') +
+      (i + 2 < str.length ? __b64[triple & 63] : '=');
+  }
+  return output;
+};
+const atob = (input) => {
+  const str = String(input).replace(/[\\t\\n\\f\\r ]/g, '');
+  if (str.length % 4 === 1 || /[^A-Za-z0-9+/=]/.test(str)) throw new Error('Invalid character');
+  let output = '';
+  let buffer = 0, bits = 0;
+  for (const char of str.replace(/=+$/, '')) {
+    buffer = (buffer << 6) | __b64.indexOf(char);
+    bits += 6;
+    if (bits >= 8) {
+      bits -= 8;
+      output += String.fromCharCode((buffer >> bits) & 255);
+    }
+  }
+  return output;
+};
+const Jimp = { read: async () => { throw new Error('Image decoding is not available in the sandbox'); } };
+`;
+
+// The evaluator body is spliced between these two halves; the line offset keeps
+// reported line numbers relative to the body the user wrote
+const runnerPrefix = `
+const __args = JSON.parse(__payload);
+globalThis.__outcome = undefined;
+const __finish = (outcome) => {
+  try {
+    globalThis.__outcome = JSON.stringify({ ...outcome, logs: __logs });
+  } catch (error) {
+    globalThis.__outcome = JSON.stringify({
+      ok: false,
+      error: { name: 'TypeError', message: 'Evaluator result is not serializable: ' + error.message },
+      logs: __logs,
+    });
+  }
+};
+(async function (entry, parseInputContent, parseContext, parseOutputContent, parseAttachments, parsedOutput, context, observation, userContent) {
+`;
+
+const runnerSuffix = `
+})(
+  __args.entry, parseInputContent, parseContext, parseOutputContent, parseAttachments,
+  __args.parsedOutput, __args.context, __args.observation, __args.userContent
+).then(
+  (result) => __finish({ ok: true, result: result === undefined ? null : result }),
+  (error) => __finish({
+    ok: false,
+    error: {
+      name: (error && error.name) || 'Error',
+      message: String((error && error.message) || error),
+      stack: error && typeof error.stack === 'string' ? error.stack : null,
+    },
+  })
+);
+`;
+
+const PREFIX_LINES = runnerPrefix.split('\n').length - 1;
+
+const { functionBody, payload, timeoutMs } = workerData;
+
+const run = () => {
+  const context = vm.createContext(Object.create(null), {
+    name: 'function-evaluator',
+    codeGeneration: { strings: false, wasm: false },
+    microtaskMode: 'afterEvaluate',
+  });
+
+  vm.runInContext(`${preludeSource}\n${parserSource}`, context, {
+    filename: 'evaluator-helpers.js',
+  });
+
+  context.__payload = payload;
+  const script = new vm.Script(`${runnerPrefix}${functionBody}${runnerSuffix}`, {
+    filename: 'evaluator.js',
+    lineOffset: -PREFIX_LINES,
+  });
+
+  // With microtaskMode 'afterEvaluate' every promise job is drained (and counted
+  // against the timeout) before runInContext returns, so the outcome is final
+  script.runInContext(context, { timeout: timeoutMs });
+
+  const outcome = vm.runInContext('globalThis.__outcome', context, {
+    timeout: timeoutMs,
+  });
+  if (typeof outcome !== 'string') {
+    return {
+      ok: false,
+      error: {
+        code: 'INCOMPLETE',
+        message: 'Evaluator did not settle. Evaluators cannot wait on timers or I/O.',
+      },
+      logs: [],
+    };
+  }
+  return JSON.parse(outcome);
+};
+
+try {
+  parentPort.postMessage(run());
+} catch (error) {
+  parentPort.postMessage({
+    ok: false,
+    error: {
+      code: error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT' ? 'TIMEOUT' : undefined,
+      name: error.name,
+      message: error.message,
+      stack: typeof error.stack === 'string' ? error.stack : null,
+    },
+    logs: [],
+  });
+}
@@ -0,0 +1,199 @@
+import { compileSchema, validateAgainstSchema } from '../utils/schemaValidator.js';
+
+// Model logs of the execution searched for the tool call that invoked a tool
+const TOOL_CALL_LOOKBACK = parseInt(process.env.TOOL_CALL_LOOKBACK || '5', 10);
+
+const SCHEMA_FIELDS = ['inputSchema', 'outputSchema'];
+
+/**
+ * Checks the schemas of a tool node's config. `inputSchema` and
+ * `outputSchema` are JSON Schemas or the declarative shorthand of
+ * utils/schemaValidator.js; `schemaValidation` is 'error' (default), which
+ * makes violations fail the tool log, or 'warn', which only records them.
+ * @param {Object} config - AgentNode config
+ * @returns {string|null} What is wrong with the schemas, or null when they are valid
+ */
+export const validateToolSchemaConfig = (config) => {
+  if (!config) {
+    return null;
+  }
+  for (const field of SCHEMA_FIELDS) {
+    if (config[field] === undefined || config[field] === null) {
+      continue;
+    }
+    try {
+      compileSchema(config[field]);
+    } catch (error) {
+      return `config.${field}: ${error.message}`;
+    }
+  }
+  if (config.schemaValidation !== undefined && !['error', 'warn'].includes(config.schemaValidation)) {
+    return 'config.schemaValidation must be error or warn';
+  }
+  return null;
+};
+
+const parseJson = (value) => {
+  try {
+    return JSON.parse(value);
+  } catch {
+    return undefined;
+  }
+};
+
+/**
+ * Validates a logged value. Tools often log JSON as a string, so a string
+ * that fails the schema is checked again parsed.
+ */
+const validateValue = (value, schema) => {
+  const violations = validateAgainstSchema(value, schema);
+  if (violations.length && typeof value === 'string') {
+    const parsed = parseJson(value);
+    if (parsed !== undefined) {
+      return validateAgainstSchema(parsed, schema);
+    }
+  }
+  return violations;
+};
+
+/**
+ * Tool calls requested in a model log output, as { id, name, arguments }:
+ * OpenAI chat completions or messages (`tool_calls`) and Anthropic messages
+ * (`tool_use` content blocks). OpenAI arguments are left as JSON strings.
+ * @param {*} output - ModelLog output
+ * @returns {Array<Object>} The tool calls
+ */
+export const extractToolCalls = (output) => {
+  const value = typeof output === 'string' ? parseJson(output) : output;
+  if (!value || typeof value !== 'object') {
+    return [];
+  }
+
+  const messages = [value, value.message, ...(value.choices || []).map((choice) => choice?.message)].filter(Boolean);
+  const toolCalls = [];
+  for (const message of messages) {
+    for (const toolCall of message.tool_calls || []) {
+      if (toolCall?.function?.name) {
+        toolCalls.push({ id: toolCall.id, name: toolCall.function.name, arguments: toolCall.function.arguments });
+      }
+    }
+    if (Array.isArray(message.content)) {
+      for (const block of message.content) {
+        if (block?.type === 'tool_use' && block.name) {
+          toolCalls.push({ id: block.id, name: block.name, arguments: block.input });
+        }
+      }
+    }
+  }
+  return toolCalls;
+};
+
+const normalizeName = (name) => String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const isToolNamed = (agentNode, name) =>
+  [agentNode.name, agentNode.slug].some((nodeName) => nodeName && normalizeName(nodeName) === normalizeName(name));
+
+/**
+ * The tool call that invoked this tool and the model log that requested it:
+ * the call with the tracked `toolCallId`, else the call to this tool in the
+ * model log whose span is the tool's parent span. Without either, only the
+ * execution's latest model log is used, and only when it called the tool
+ * exactly once; an older log may belong to an earlier call.
+ * @returns {Promise<Object|null>} { modelLog, toolCall }, or null when it cannot be told
+ */
+const findInvokingToolCall = async (models, agentNode, agentLog, data) => {
+  const toolCallId = data.toolCallId || data.tool_call_id;
+  if (!toolCallId && data.parentSpanId) {
+    const parent = await models.ModelLog.findOne({
+      where: { agentLogId: agentLog.id, spanId: data.parentSpanId },
+      attributes: ['id', 'output'],
+    });
+    const calls = parent ? extractToolCalls(parent.output).filter((call) => isToolNamed(agentNode, call.name)) : [];
+    if (calls.length === 1) {
+      return { modelLog: parent, toolCall: calls[0] };
+    }
+  }
+
+  const modelLogs = await models.ModelLog.findAll({
+    where: { agentLogId: agentLog.id },
+    attributes: ['id', 'output'],
+    order: [['createdAt', 'DESC']],
+    limit: toolCallId ? TOOL_CALL_LOOKBACK : 1,
+  });
+  for (const modelLog of modelLogs) {
+    const calls = extractToolCalls(modelLog.output);
+    if (toolCallId) {
+      const toolCall = calls.find((call) => call.id === toolCallId);
+      if (toolCall) {
+        return { modelLog, toolCall };
+      }
+      continue;
+    }
+    const named = calls.filter((call) => isToolNamed(agentNode, call.name));
+    return named.length === 1 ? { modelLog, toolCall: named[0] } : null;
+  }
+  return null;
+};
+
+/**
+ * Checks the arguments the LLM produced when it called this tool against the
+ * tool's input schema
+ */
+const validateToolCallArguments = async (models, agentNode, agentLog, data) => {
+  const invoking = await findInvokingToolCall(models, agentNode, agentLog, data);
+  if (!invoking) {
+    return [];
+  }
+  const { modelLog, toolCall } = invoking;
+  const args = typeof toolCall.arguments === 'string' ? parseJson(toolCall.arguments) : toolCall.arguments;
+  const violations =
+    args === undefined
+      ? [{ path: '$', message: 'arguments are not valid JSON' }]
+      : validateAgainstSchema(args, agentNode.config.inputSchema);
+  return violations.map((violation) => ({ ...violation, source: 'tool_call', modelLogId: modelLog.id }));
+};
+
+/**
+ * Validates a tracked tool call against its node's schemas: the logged input
+ * and output, and the arguments the LLM produced when it called the tool
+ * @param {Object} models - Sequelize models
+ * @param {Object} agentNode - The tool AgentNode
+ * @param {Object} data - The tracked { input, output, error, toolCallId, parentSpanId }
+ * @param {Object} [agentLog] - The execution the call belongs to
+ * @returns {Promise<Array<Object>>} Violations as { source, path, message }; source is input, output or tool_call
+ */
+export const validateToolLog = async (models, agentNode, data, agentLog) => {
+  const { inputSchema, outputSchema } = agentNode.config || {};
+  const violations = [];
+
+  try {
+    if (inputSchema) {
+      violations.push(
+        ...validateValue(data.input, inputSchema).map((violation) => ({ ...violation, source: 'input' }))
+      );
+    }
+    // A failed call has no output to check
+    if (outputSchema && !data.error) {
+      violations.push(
+        ...validateValue(data.output, outputSchema).map((violation) => ({ ...violation, source: 'output' }))
+      );
+    }
+    if (inputSchema && agentLog) {
+      violations.push(...(await validateToolCallArguments(models, agentNode, agentLog, data)));
+    }
+  } catch (error) {
+    // A schema saved before it was checked must not stop the call from being logged
+    console.error(`Error validating tool node ${agentNode.id}:`, error);
+  }
+
+  return violations;
+};
+
+/**
+ * The error message of a tool log that failed schema validation
+ */
+export const describeViolations = (violations) =>
+  `Tool schema validation failed: ${violations
+    .slice(0, 3)
+    .map((violation) => `${violation.source} ${violation.path} ${violation.message}`)
+    .join('; ')}${violations.length > 3 ? ` (and ${violations.length - 3} more)` : ''}`;
@@ -1,3 +1,11 @@
+import {
+  generateTraceId,
+  generateSpanId,
+  formatTraceparent,
+} from '../utils/traceContext.js';
+import { describeViolations, validateToolLog } from './toolValidationService.js';
+import { normalizeRetrievedContext } from './parser.js';
+
 export const detectError = (data) => {
   if (
     data.error ||
@@ -15,9 +23,152 @@ export const detectError = (data) => {
   return false;
 };
 
-export const executeTrack = async (model, data, ModelLog) => {
-  let externalId = data.externalId;
+/**
+ * Finds the execution (AgentLog) a tracked node belongs to. Execution,
+ * external and trace IDs are matched exactly. Only calls that carry none of
+ * them fall back to the agent's latest processing execution, which is
+ * ambiguous when runs overlap.
+ * @param {Object} models - Sequelize models
+ * @param {number} agentId - Agent of the node, when known
+ * @param {Object} data - Track data
+ * @returns {Promise<Object>} { agentLog, correlation } with correlation
+ *   'explicit', 'trace', 'heuristic' or null when nothing matched
+ */
+const findExecution = async (models, agentId, data) => {
+  const environment = data.environment || 'production';
+  const agentLogId = data.agentLogId || data.executionId;
+
+  if (agentLogId) {
+    const agentLog = await models.AgentLog.findOne({
+      where: { id: agentLogId, environment },
+    });
+    if (agentLog) {
+      return { agentLog, correlation: 'explicit' };
+    }
+  }
+
+  if (data.externalId) {
+    const agentLog = await models.AgentLog.findOne({
+      where: { externalId: data.externalId },
+    });
+    return { agentLog, correlation: 'explicit' };
+  }
+
+  if (!agentId) {
+    return { agentLog: null, correlation: null };
+  }
+
+  // A propagated trace is its own execution, even when it is not stored yet
+  if (data.traceId) {
+    const agentLog = await models.AgentLog.findOne({
+      where: { agentId, traceId: data.traceId, environment },
+      order: [['createdAt', 'DESC']],
+    });
+    return { agentLog, correlation: 'trace' };
+  }
+
+  const agentLog = await models.AgentLog.findOne({
+    where: { agentId, status: 'processing', environment },
+    order: [['createdAt', 'DESC']],
+    limit: 1,
+  });
+  return { agentLog, correlation: agentLog ? 'heuristic' : null };
+};
+
+/**
+ * Applies the agent's correlation mode to a heuristic match
+ * @returns {Promise<string|null>} An error when the match must be rejected
+ */
+const checkCorrelation = async ({ agentLog, correlation }, agent, data) => {
+  // A/B replays are Handit's own calls, not part of a customer execution
+  if (correlation !== 'heuristic' || data.originalLogId) {
+    return null;
+  }
+  if (agent?.correlationMode === 'strict') {
+    return 'Ambiguous execution: send executionId, a traceparent header or the x-handit-trace-context header to track this node';
+  }
+  if (agent?.correlationMode === 'flag') {
+    await agentLog.update({
+      metadata: {
+        ...agentLog.metadata,
+        heuristicMatches: (agentLog.metadata?.heuristicMatches || 0) + 1,
+      },
+    });
+  }
+  return null;
+};
+
+const createExecution = (models, { agentId, initialNodeId, data, status }) =>
+  models.AgentLog.create({
+    agentId,
+    input: data.input,
+    status,
+    environment: data.environment || 'production',
+    externalId: data.externalId,
+    traceId: data.traceId || generateTraceId(),
+    metadata: {
+      startedAt: new Date(),
+      initialNodeId,
+      ...(data.traceState ? { traceState: data.traceState } : {}),
+    },
+  });
+
+const fillPendingInput = async (agentLog, correlation, data) => {
+  if (agentLog && correlation !== 'heuristic' && agentLog.input === 'processing') {
+    agentLog.input = data.input;
+    await agentLog.save();
+  }
+};
 
+const toDate = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Trace fields of a node log, plus the traceparent a caller can propagate
+ * to the node's children. Spans end when they are tracked unless the caller
+ * sends endedAt, and start duration milliseconds earlier unless it sends startedAt.
+ */
+const spanContext = (agentLog, data) => {
+  const traceId = agentLog?.traceId || data.traceId || null;
+  const spanId = data.spanId || generateSpanId();
+  const endedAt = toDate(data.endedAt) || new Date();
+  const duration = parseInt(data.duration, 10);
+  const startedAt =
+    toDate(data.startedAt) ||
+    (duration > 0 ? new Date(endedAt.getTime() - duration) : endedAt);
+  return {
+    traceId,
+    spanId,
+    parentSpanId: data.parentSpanId || null,
+    startedAt,
+    endedAt,
+    traceparent: traceId ? formatTraceparent(traceId, spanId) : null,
+  };
+};
+
+/**
+ * Prompt version a tracked call ran, from the promptVersionId the serving
+ * endpoint returned. Only versions of the model or of its principal A/B test
+ * model are accepted.
+ */
+const findServedVersion = async (models, model, promptVersionId) => {
+  const modelVersion = await models.ModelVersions.findByPk(promptVersionId);
+  if (!modelVersion) {
+    return null;
+  }
+  if (modelVersion.modelId === model.id) {
+    return modelVersion;
+  }
+  const abModel = await model.getPrincipalABTestModel();
+  return abModel?.id === modelVersion.modelId ? modelVersion : null;
+};
+
+export const executeTrack = async (model, data, ModelLog) => {
   const isGpt = typeof data.output === 'object' && 'choices' in data.output;
   if (isGpt) {
     const output = [data.output.choices[0].message.content];
@@ -34,72 +185,57 @@ export const executeTrack = async (model, data, ModelLog) => {
     error = true;
   }
   try {
+    const models = model.sequelize.models;
     // Find the agent node associated with this model
-    const agentNode = await model.sequelize.models.AgentNode.findOne({
+    const agentNode = await models.AgentNode.findOne({
       where: { modelId: data.modelId, deletedAt: null }
     });
-    // Start transaction to ensure data consistency
-
-    let agentLogId = data.agentLogId || data.executionId;
-    let agentLog = null;
 
-    // If agentLogId is provided, try to find it
-    if (agentLogId) {
-      agentLog = await model.sequelize.models.AgentLog.findOne({
-        where: {
-          id: agentLogId,
-          environment: data.environment || 'production',
-        },
+    const execution = await findExecution(models, agentNode?.agentId, data);
+    if (execution.correlation === 'heuristic') {
+      const agent = await models.Agent.findByPk(agentNode.agentId, {
+        attributes: ['id', 'correlationMode'],
       });
-      if (agentLog && agentLog.input === 'processing') {
-        agentLog.input = data.input;
-        await agentLog.save();
+      const correlationError = await checkCorrelation(execution, agent, data);
+      if (correlationError) {
+        return { error: correlationError };
       }
     }
 
-    if (!agentLog && externalId) {
-      agentLog = await model.sequelize.models.AgentLog.findOne({
-        where: {
-          externalId,
-        },
-      });
-    }
-
-    if (!agentLog && agentNode) {
-      agentLog = await model.sequelize.models.AgentLog.findOne({
-        where: {
-          agentId: agentNode.agentId,
-          status: 'processing',
-          environment: data.environment || 'production',
-        },
-        order: [['createdAt', 'DESC']],
-        limit: 1,
-      });
-    }
+    let { agentLog } = execution;
+    await fillPendingInput(agentLog, execution.correlation, data);
 
     if (!agentLog) {
-      agentLog = await model.sequelize.models.AgentLog.create({
+      agentLog = await createExecution(models, {
         agentId: agentNode.agentId,
-        input: data.input,
+        initialNodeId: agentNode.id,
+        data,
         status: error ? 'failed' : 'processing',
-        environment: data.environment || 'production',
-        metadata: {
-          startedAt: new Date(),
-          initialNodeId: agentNode.id,
-        },
       });
-      agentLogId = agentLog.id;
+    }
+
+    const { traceparent, ...span } = spanContext(agentLog, data);
+
+    // Calls that ran a served prompt keep the version they were assigned
+    const servedVersion = data.promptVersionId
+      ? await findServedVersion(models, model, Number(data.promptVersionId))
+      : null;
+    data.modelVersionId = servedVersion?.id ?? null;
+    if (servedVersion) {
+      data.version = `${servedVersion.modelId}-${servedVersion.version}`;
     }
 
     // Create the model log with the agent log association if available
     const modelLog = await ModelLog.create({
       ...data,
+      ...span,
       parameters: {},
       metricProcessed: false,
       processed: false,
       environment: data.environment || 'production',
       agentLogId: agentLog?.dataValues?.id,
       status: error ? 'crash' : 'success',
+      retrievedContext: data.retrievedContext ? normalizeRetrievedContext(data.retrievedContext) : null,
     });
 
     return {
@@ -107,6 +243,9 @@ export const executeTrack = async (model, data, ModelLog) => {
       agentLogId: agentLog?.dataValues.id,
       modelLogId: modelLog.dataValues.id,
       executionId: agentLog?.dataValues.id,
+      traceId: span.traceId,
+      spanId: span.spanId,
+      traceparent,
     };
   } catch (error) {
     return { error: error.message };
@@ -115,86 +254,41 @@ export const executeTrack = async (model, data, ModelLog) => {
 
 export const executeToolTrack = async (agentNode, data, agent) => {
   try {
-    // Start transaction to ensure data consistency
-
-      let externalId = data.externalId;
-      let agentLogId = data.agentLogId || data.executionId;
-
-      let agentLog = null;
-
-      // If agentLogId is provided, try to find it
-      if (agentLogId) {
-        agentLog = await agentNode.sequelize.models.AgentLog.findOne({
-          where: {
-            id: agentLogId,
-            environment: data.environment || 'production',
-          },
-        });
-
-        if (agentLog && agentLog.input === 'processing') {
-          agentLog.input = data.input;
-          await agentLog.save();
-        }
-      }
-      if (!agentLog && externalId) {
-        agentLog = await agentNode.sequelize.models.AgentLog.findOne({
-          where: {
-            externalId,
-          },
-        });
-
-        if (agentLog.input === 'processing') {
-          agentLog.input = data.input;
-          await agentLog.save();
-        }
+      const models = agentNode.sequelize.models;
+      const execution = await findExecution(models, agent.id, data);
+      const correlationError = await checkCorrelation(execution, agent, data);
+      if (correlationError) {
+        return { error: correlationError };
       }
 
-      // If this is an initial node and no agentLogId provided, create new agent log
-      if (!agentLog && externalId) {
-        // Create new agent log for this initial node
-        agentLog = await agentNode.sequelize.models.AgentLog.create(
-          {
-            agentId: agent.id,
-            input: data.input,
-            status: 'processing',
-            environment: data.environment || 'production',
-            metadata: {
-              startedAt: new Date(),
-              initialNodeId: agentNode.id,
-            },
-            externalId: externalId,
-          },
-        );
-        agentLogId = agentLog.id;
-      }
+      let { agentLog } = execution;
+      await fillPendingInput(agentLog, execution.correlation, data);
 
       if (!agentLog) {
-        agentLog = await agentNode.sequelize.models.AgentLog.findOne({
-          where: {
-            agentId: agent.id,
-            status: 'processing',
-            environment: data.environment || 'production',
-          },
-          order: [['createdAt', 'DESC']],
-          limit: 1,
-        });
-      }
-      
-      if (!agentLog) {
-        await agentNode.sequelize.models.AgentLog.create({
+        agentLog = await createExecution(models, {
           agentId: agent.id,
-          input: data.input,
+          initialNodeId: agentNode.id,
+          data,
           status: 'processing',
-          environment: data.environment || 'production',
-          metadata: {
-            startedAt: new Date(),
-            initialNodeId: agentNode.id,
-          },
         });
       }
 
+      const { traceparent, ...span } = spanContext(agentLog, data);
+
+      const violations = await validateToolLog(models, agentNode, data, agentLog);
+      // Schema violations fail the call like a tracked error, unless the node only warns
+      const invalid = violations.length > 0 && agentNode.config?.schemaValidation !== 'warn';
+      const failed = Boolean(data.error) || invalid;
+
+      let errorDetails = null;
+      if (data.error) {
+        errorDetails = { message: data.error };
+      } else if (invalid) {
+        errorDetails = { type: 'schema_validation', message: describeViolations(violations) };
+      }
+
       // Create the agent node log
-      const agentNodeLog = await agentNode.sequelize.models.AgentNodeLog.create(
+      const agentNodeLog = await models.AgentNodeLog.create(
         {
           agentId: agent.id,
           agentNodeId: agentNode.id,
@@ -202,19 +296,22 @@ export const executeToolTrack = async (agentNode, data, agent) => {
           output: data.output || {},
           environment: data.environment || 'production',
           operationType: agentNode.config?.operationType || 'tool_operation',
-          status: data.error ? 'error' : 'success',
+          status: failed ? 'error' : 'success',
           duration: data.duration,
           metadata: {
             ...data.metadata,
             toolConfig: agentNode.config,
+            ...(execution.correlation === 'heuristic' ? { correlation: 'heuristic' } : {}),
           },
-          errorDetails: data.error ? { message: data.error } : null,
+          errorDetails,
+          validationErrors: violations.length ? violations : null,
           parentLogId: agentLog?.dataValues?.id,
+          ...span,
         },
       );
       const endTime = new Date();
 
-      if (data.error && agentLog) {
+      if (failed && agentLog) {
         await agentLog.update(
           {
             status: 'failed',
@@ -227,7 +324,7 @@ export const executeToolTrack = async (agentNode, data, agent) => {
       // If this is an end node and we have an agent log and autoStop is enabled, update it
       if (agentNode.endNode && agentLog && agent.autoStop) {
         let status = 'success';
-        if (data.error) {
+        if (failed) {
           status = 'failed';
         }
         await agentLog.update(
@@ -235,6 +332,7 @@ export const executeToolTrack = async (agentNode, data, agent) => {
             status,
             output: data.output,
             duration: endTime - new Date(agentLog.metadata.startedAt),
+            closeReason: 'end_node',
             metadata: {
               ...agentLog.metadata,
               endedAt: endTime,
@@ -242,9 +340,19 @@ export const executeToolTrack = async (agentNode, data, agent) => {
             },
           },
         );
+        // Imported lazily: the evaluation services import this module
+        const { queueTrajectoryEvaluation } = await import('./trajectoryEvaluationService.js');
+        await queueTrajectoryEvaluation(agentLog);
       }
 
-      return { agentNodeLog, agentLogId: agentLog?.dataValues.id, executionId: agentLog?.dataValues.id };
+      return {
+        agentNodeLog,
+        agentLogId: agentLog?.dataValues.id,
+        executionId: agentLog?.dataValues.id,
+        traceId: span.traceId,
+        spanId: span.spanId,
+        traceparent,
+      };
 
   } catch (error) {
     return { error: error.message };
@@ -0,0 +1,300 @@
+import { z } from 'zod';
+import db from '../../models/index.js';
+import { generateAIResponse } from './aiService.js';
+import { getExecutionSteps } from './agentService.js';
+import { getEvaluatorModel } from './evaluationService.js';
+import { inputFingerprint } from './datasetCurationService.js';
+import { addTrajectoryEvaluationJob } from '../jobs/trajectoryEvaluationJob.js';
+
+const { Agent, AgentLog, EvaluationPrompt, IntegrationToken, Provider } = db;
+
+// Steps sent to the judge; longer executions keep their first and last steps
+const TRAJECTORY_MAX_STEPS = parseInt(process.env.TRAJECTORY_MAX_STEPS || '60', 10);
+// Characters kept of each step input and output
+const TRAJECTORY_MAX_FIELD_LENGTH = parseInt(process.env.TRAJECTORY_MAX_FIELD_LENGTH || '1500', 10);
+
+export const TRAJECTORY_DIMENSIONS = ['goalCompletion', 'stepEfficiency', 'redundantToolCalls', 'errorRecovery'];
+
+const FAILED_STEP_STATUSES = ['error', 'failed'];
+
+const dimensionSchema = z.object({
+  score: z.number(),
+  reason: z.string(),
+});
+
+const TrajectoryEvaluation = z.object({
+  goalCompletion: dimensionSchema,
+  stepEfficiency: dimensionSchema,
+  redundantToolCalls: dimensionSchema,
+  errorRecovery: dimensionSchema,
+  summary: z.string(),
+});
+
+const truncate = (value) => {
+  const text = typeof value === 'string' ? value : JSON.stringify(value ?? null);
+  return text.length > TRAJECTORY_MAX_FIELD_LENGTH
+    ? `${text.slice(0, TRAJECTORY_MAX_FIELD_LENGTH)}...[truncated]`
+    : text;
+};
+
+const isFailedStep = (step) => FAILED_STEP_STATUSES.includes(step.status);
+
+/**
+ * Deterministic statistics of an execution's steps, given to the judge and
+ * stored next to its scores. A tool call is redundant when the same node
+ * already succeeded with the same input, so retries of failed calls are not;
+ * an error is recovered when the same node succeeds later in the execution.
+ * @param {Array} steps - Steps from getExecutionSteps, in order
+ * @returns {Object} { steps, modelCalls, toolCalls, errors, recoveredErrors, redundantToolCalls, repeatedNodeRuns, maxNodeRuns }
+ */
+export const computeTrajectoryStats = (steps) => {
+  const toolCalls = new Set();
+  const runsByNode = new Map();
+  let redundantToolCalls = 0;
+  let errors = 0;
+  let recoveredErrors = 0;
+
+  steps.forEach((step, index) => {
+    runsByNode.set(step.nodeId, (runsByNode.get(step.nodeId) || 0) + 1);
+    if (step.kind === 'tool') {
+      const key = `${step.nodeId}:${inputFingerprint(step.input)}`;
+      if (toolCalls.has(key)) {
+        redundantToolCalls++;
+      } else if (!isFailedStep(step)) {
+        toolCalls.add(key);
+      }
+    }
+    if (isFailedStep(step)) {
+      errors++;
+      if (steps.slice(index + 1).some((later) => later.nodeId === step.nodeId && !isFailedStep(later))) {
+        recoveredErrors++;
+      }
+    }
+  });
+
+  return {
+    steps: steps.length,
+    modelCalls: steps.filter((step) => step.kind === 'model').length,
+    toolCalls: steps.filter((step) => step.kind === 'tool').length,
+    errors,
+    recoveredErrors,
+    redundantToolCalls,
+    repeatedNodeRuns: steps.length - runsByNode.size,
+    maxNodeRuns: Math.max(0, ...runsByNode.values()),
+  };
+};
+
+/**
+ * The steps as the judge reads them: numbered, with truncated inputs and outputs
+ */
+const describeSteps = (steps) => {
+  const lines = (step, index) =>
+    `${index + 1}. [${step.kind}] ${step.nodeName} (status: ${step.status})\n` +
+    `   input: ${truncate(step.input)}\n` +
+    `   output: ${truncate(step.output)}`;
+
+  if (steps.length <= TRAJECTORY_MAX_STEPS) {
+    return steps.map(lines).join('\n');
+  }
+  const head = Math.ceil(TRAJECTORY_MAX_STEPS / 2);
+  const tail = TRAJECTORY_MAX_STEPS - head;
+  return [
+    ...steps.slice(0, head).map(lines),
+    `... ${steps.length - TRAJECTORY_MAX_STEPS} steps omitted ...`,
+    ...steps.slice(steps.length - tail).map((step, index) => lines(step, steps.length - tail + index)),
+  ].join('\n');
+};
+
+const buildJudgeMessages = (agent, agentLog, steps, stats, evaluator) => [
+  {
+    role: 'system',
+    content: `You evaluate whole executions of an AI agent, not single LLM calls. You receive the agent's input, its final output and every model and tool step it took, in order.
+
+Score each dimension from 0 to 10, where 10 is best, and give a one or two sentence reason:
+- goalCompletion: did the final output achieve what the input asked for?
+- stepEfficiency: did the agent take a sensible path, without unnecessary steps or loops?
+- redundantToolCalls: 10 when no tool was called again with the same input for no reason, lower the more calls were wasted.
+- errorRecovery: did the agent handle failed steps by retrying, correcting course or reporting them? Use 10 when no step failed.
+
+Also write a short summary of the execution's path.${
+      evaluator?.type === 'prompt' && evaluator.prompt
+        ? `\n\nAdditional criteria for this agent:\n${evaluator.prompt}`
+        : ''
+    }`,
+  },
+  {
+    role: 'user',
+    content: `Agent: ${agent.name}${agent.description ? `\nDescription: ${agent.description}` : ''}
+
+Execution input: ${truncate(agentLog.input)}
+Final output: ${truncate(agentLog.output)}
+Execution status: ${agentLog.status}${agentLog.errorDetails ? `\nExecution error: ${truncate(agentLog.errorDetails)}` : ''}
+
+Statistics: ${JSON.stringify(stats)}
+
+Steps:
+${describeSteps(steps)}`,
+  },
+];
+
+const clampScore = (score) => Math.min(10, Math.max(0, Number(score) || 0));
+
+/**
+ * Scores an ended execution with the agent's trajectory judge and stores the
+ * result on its AgentLog
+ * @param {number} agentLogId - The execution to evaluate
+ * @returns {Promise<Object|null>} The stored evaluation, or null when the execution no longer exists
+ */
+export const evaluateTrajectory = async (agentLogId) => {
+  const agentLog = await AgentLog.findByPk(agentLogId);
+  if (!agentLog) {
+    return null;
+  }
+
+  try {
+    await agentLog.update({ trajectoryEvaluationStatus: 'processing' });
+
+    const agent = await Agent.findByPk(agentLog.agentId, {
+      include: [
+        {
+          model: EvaluationPrompt,
+          as: 'trajectoryEvaluator',
+          include: [
+            {
+              model: IntegrationToken,
+              as: 'defaultIntegrationToken',
+              include: [{ model: Provider, as: 'provider', attributes: ['id', 'name'] }],
+            },
+          ],
+        },
+      ],
+    });
+    const steps = await getExecutionSteps(agentLog.agentId, agentLog.id);
+    if (!steps.length) {
+      throw new Error('The execution has no logged steps');
+    }
+    const stats = computeTrajectoryStats(steps);
+
+    const evaluator = agent.trajectoryEvaluator;
+    const token = evaluator?.defaultIntegrationToken;
+    const model = getEvaluatorModel(evaluator);
+    const completion = await generateAIResponse({
+      messages: buildJudgeMessages(agent, agentLog, steps, stats, evaluator),
+      responseFormat: TrajectoryEvaluation,
+      token: token?.token,
+      tokenData: token?.data,
+      provider: token?.provider?.name,
+      model,
+    });
+    const judged = JSON.parse(completion.choices[0].message.content);
+
+    const scores = {};
+    const reasons = {};
+    for (const dimension of TRAJECTORY_DIMENSIONS) {
+      scores[dimension] = clampScore(judged[dimension]?.score);
+      reasons[dimension] = judged[dimension]?.reason || '';
+    }
+    const evaluation = {
+      scores,
+      reasons,
+      summary: judged.summary,
+      stats,
+      evaluator: evaluator ? { id: evaluator.id, name: evaluator.name } : null,
+      model: model || null,
+    };
+
+    await agentLog.update({
+      trajectoryEvaluation: evaluation,
+      trajectoryScore: TRAJECTORY_DIMENSIONS.reduce((sum, dimension) => sum + scores[dimension], 0) / TRAJECTORY_DIMENSIONS.length,
+      trajectoryEvaluationStatus: 'completed',
+      trajectoryEvaluatedAt: new Date(),
+    });
+    return evaluation;
+  } catch (error) {
+    await agentLog.update({
+      trajectoryEvaluation: { error: error.message },
+      trajectoryEvaluationStatus: 'failed',
+    });
+    throw error;
+  }
+};
+
+/**
+ * Queues the trajectory evaluation of an execution that just ended, when its
+ * agent has trajectory evaluation enabled. Never throws, so closing an
+ * execution does not fail because of it.
+ * @param {Object} agentLog - The ended AgentLog
+ */
+export const queueTrajectoryEvaluation = async (agentLog) => {
+  try {
+    const agent = await Agent.findByPk(agentLog.agentId, {
+      attributes: ['id', 'trajectoryEvaluationEnabled'],
+    });
+    if (!agent?.trajectoryEvaluationEnabled) {
+      return;
+    }
+    await agentLog.update({ trajectoryEvaluationStatus: 'pending' });
+    await addTrajectoryEvaluationJob(agentLog.id);
+  } catch (error) {
+    console.error(`Error queueing trajectory evaluation of execution ${agentLog.id}:`, error);
+  }
+};
+
+/**
+ * Average trajectory scores of an agent's evaluated executions
+ * @param {number} agentId - The agent ID
+ * @param {Object} [options] - { environment, startDate, endDate }; defaults to the last 30 days
+ * @returns {Promise<Object>} { evaluated, averageScore, dimensions, daily }
+ */
+export const getTrajectoryMetrics = async (agentId, options = {}) => {
+  const startDate = options.startDate || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+  const endDate = options.endDate || new Date();
+
+  const dimensionAverages = TRAJECTORY_DIMENSIONS.map(
+    (dimension) => `AVG((trajectory_evaluation->'scores'->>'${dimension}')::float) AS "${dimension}"`
+  ).join(',\n      ');
+  const rows = await db.sequelize.query(
+    `
+    SELECT
+      DATE(created_at) AS date,
+      COUNT(*) AS evaluated,
+      AVG(trajectory_score) AS "averageScore",
+      ${dimensionAverages}
+    FROM "AgentLogs"
+    WHERE agent_id = :agentId
+      AND trajectory_evaluation_status = 'completed'
+      AND deleted_at IS NULL
+      AND created_at BETWEEN :startDate AND :endDate
+      ${options.environment ? 'AND environment = :environment' : ''}
+    GROUP BY DATE(created_at)
+    `,
+    {
+      replacements: { agentId, startDate, endDate, environment: options.environment || null },
+      type: db.sequelize.QueryTypes.SELECT,
+    }
+  );
+
+  const evaluated = rows.reduce((sum, row) => sum + parseInt(row.evaluated, 10), 0);
+  // Averages over all days, weighted by how many executions each day evaluated
+  const weighted = (field) => {
+    const total = rows.reduce((sum, row) => sum + (parseFloat(row[field]) || 0) * parseInt(row.evaluated, 10), 0);
+    return evaluated ? total / evaluated : null;
+  };
+
+  const daily = {};
+  for (const row of rows) {
+    const date = new Date(row.date);
+    // Same day keys as the other agent metrics (day-month-year, not zero padded)
+    daily[`${date.getUTCDate()}-${date.getUTCMonth() + 1}-${date.getUTCFullYear()}`] = {
+      evaluated: parseInt(row.evaluated, 10),
+      averageScore: parseFloat(row.averageScore),
+    };
+  }
+
+  return {
+    evaluated,
+    averageScore: weighted('averageScore'),
+    dimensions: Object.fromEntries(TRAJECTORY_DIMENSIONS.map((dimension) => [dimension, weighted(dimension)])),
+    daily,
+  };
+};
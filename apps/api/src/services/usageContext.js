@@ -0,0 +1,20 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+const usageContextStorage = new AsyncLocalStorage();
+
+/**
+ * Runs fn with a monitoring usage context, so every LLM call Handit makes
+ * inside it (evaluators, insights, prompt optimization, A/B runs) is billed to
+ * the company, agent and model it was made for.
+ * @param {Object} context - { category, companyId?, modelId?, modelLogId?, agentLogId?, environment? }
+ * @param {Function} fn - Async work to run inside the context
+ */
+export const runWithUsageContext = (context, fn) => {
+  const parent = usageContextStorage.getStore() || {};
+  return usageContextStorage.run({ ...parent, ...context }, fn);
+};
+
+/**
+ * @returns {Object|undefined} The active usage context, if any
+ */
+export const getUsageContext = () => usageContextStorage.getStore();
@@ -0,0 +1,78 @@
+/**
+ * Parses RFC 4180 CSV: comma separated, fields optionally quoted with double
+ * quotes, quotes escaped by doubling them, CRLF or LF line endings
+ * @param {string} text - CSV with a header row
+ * @returns {Array<Object>} One object per row, keyed by the header
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const source = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) {
+    throw new Error('Unterminated quoted field');
+  }
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header, ...records] = rows.filter((record) => record.some((value) => value !== ''));
+  if (!header) {
+    return [];
+  }
+  const columns = header.map((column) => column.trim());
+  return records.map((record) =>
+    Object.fromEntries(columns.map((column, index) => [column, record[index] ?? '']))
+  );
+};
+
+const escapeCsvField = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serializes rows as CSV with a header row. Values that are not strings are
+ * written as JSON.
+ * @param {Array<Object>} rows - Rows to write
+ * @param {Array<string>} columns - Columns, in order
+ * @returns {string} The CSV
+ */
+export const toCsv = (rows, columns) =>
+  [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+    .map((record) => record.map(escapeCsvField).join(','))
+    .join('\n') + '\n';
@@ -0,0 +1,298 @@
+const JSON_SCHEMA_TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null'];
+const JSON_SCHEMA_KEYWORDS = [
+  '$schema',
+  '$ref',
+  '$defs',
+  'definitions',
+  'properties',
+  'items',
+  'anyOf',
+  'oneOf',
+  'allOf',
+  'enum',
+  'const',
+];
+
+// Chains of $ref to $ref longer than this are taken to be cyclic
+const MAX_REF_DEPTH = 32;
+
+// JSON Schemas as written by the user; their `#` refs point into them
+const schemaDocuments = new WeakSet();
+
+// Violations reported per value, so a badly wrong payload does not flood the log
+const MAX_VIOLATIONS = 20;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Whether a schema is a JSON Schema rather than the declarative shorthand: it
+ * has a JSON Schema keyword, or a `type` naming JSON Schema types. A shorthand
+ * describing an object with a field called `type` must be written as JSON Schema.
+ */
+export const isJsonSchema = (schema) => {
+  if (!isPlainObject(schema)) {
+    return false;
+  }
+  if (JSON_SCHEMA_KEYWORDS.some((keyword) => keyword in schema)) {
+    return true;
+  }
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  return schema.type !== undefined && types.every((type) => JSON_SCHEMA_TYPES.includes(type));
+};
+
+/**
+ * The subschema a local ref (`#`, `#/$defs/Item`) points to in a document
+ * @returns {*} The subschema, or undefined when the ref does not resolve
+ */
+const resolvePointer = (document, ref) => {
+  if (typeof ref !== 'string' || !ref.startsWith('#')) {
+    return undefined;
+  }
+  let tokens;
+  try {
+    tokens = decodeURIComponent(ref.slice(1))
+      .split('/')
+      .slice(1)
+      .map((token) => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+  } catch {
+    return undefined;
+  }
+  return tokens.reduce((node, token) => (node !== null && typeof node === 'object' ? node[token] : undefined), document);
+};
+
+/**
+ * Checks that every $ref in a JSON Schema is local and resolves
+ * @throws {Error} When one does not
+ */
+const checkRefs = (document, node = document, path = '$') => {
+  if (Array.isArray(node)) {
+    node.forEach((item, index) => checkRefs(document, item, `${path}[${index}]`));
+    return;
+  }
+  if (!isPlainObject(node)) {
+    return;
+  }
+  if ('$ref' in node && !isPlainObject(resolvePointer(document, node.$ref))) {
+    throw new Error(`${path}: $ref "${node.$ref}" must point to a schema in the same document, such as #/$defs/Name`);
+  }
+  for (const [key, value] of Object.entries(node)) {
+    // Values of these keywords are data, not schemas
+    if (!['enum', 'const', 'default', 'examples'].includes(key)) {
+      checkRefs(document, value, `${path}.${key}`);
+    }
+  }
+};
+
+/**
+ * Compiles the declarative shorthand to JSON Schema:
+ * - a type name: 'string', 'number', 'integer', 'boolean', 'object', 'array',
+ *   'null' or 'any', unions with '|' ('string|null'), optional with a trailing '?'
+ * - [schema]: an array of schema
+ * - { field: schema }: an object with those fields; other fields are allowed
+ * JSON Schemas are returned as they are; their refs must be local (`#/$defs/...`).
+ * @param {*} schema - Declarative or JSON Schema
+ * @returns {Object} { schema, optional } where optional is only set for '?' type names
+ * @throws {Error} When the shorthand is not valid
+ */
+const compile = (schema, path = '$') => {
+  if (typeof schema === 'string') {
+    const optional = schema.endsWith('?');
+    const types = (optional ? schema.slice(0, -1) : schema).split('|').map((type) => type.trim());
+    if (types.includes('any')) {
+      return { schema: {}, optional };
+    }
+    const unknown = types.find((type) => !JSON_SCHEMA_TYPES.includes(type));
+    if (unknown !== undefined) {
+      throw new Error(`${path}: unknown type "${unknown}"`);
+    }
+    return { schema: { type: types.length === 1 ? types[0] : types }, optional };
+  }
+  if (Array.isArray(schema)) {
+    if (schema.length !== 1) {
+      throw new Error(`${path}: an array schema must have exactly one item schema`);
+    }
+    return { schema: { type: 'array', items: compile(schema[0], `${path}[]`).schema }, optional: false };
+  }
+  if (isJsonSchema(schema)) {
+    checkRefs(schema, schema, path);
+    schemaDocuments.add(schema);
+    return { schema, optional: false };
+  }
+  if (isPlainObject(schema)) {
+    const properties = {};
+    const required = [];
+    for (const [field, fieldSchema] of Object.entries(schema)) {
+      const compiled = compile(fieldSchema, `${path}.${field}`);
+      properties[field] = compiled.schema;
+      if (!compiled.optional) {
+        required.push(field);
+      }
+    }
+    return { schema: { type: 'object', properties, required }, optional: false };
+  }
+  throw new Error(`${path}: a schema must be a type name, an array, an object or a JSON Schema`);
+};
+
+/**
+ * Compiles a declarative or JSON Schema to JSON Schema
+ * @param {*} schema - Declarative or JSON Schema
+ * @returns {Object} The JSON Schema
+ * @throws {Error} When the schema is not valid
+ */
+export const compileSchema = (schema) => compile(schema).schema;
+
+const typeOf = (value) => {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  if (type === 'integer') {
+    return Number.isInteger(value);
+  }
+  if (type === 'number') {
+    return typeof value === 'number' && Number.isFinite(value);
+  }
+  return typeOf(value) === type;
+};
+
+const deepEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// An invalid pattern fails the value instead of throwing
+const matchesPattern = (value, pattern) => {
+  try {
+    return new RegExp(pattern).test(value);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Checks a value against a JSON Schema. Supports type, enum, const,
+ * properties, required, additionalProperties, items, minItems, maxItems,
+ * minLength, maxLength, pattern, minimum, maximum, anyOf, oneOf, allOf and
+ * local $ref. `document` is the JSON Schema the refs resolve against.
+ */
+const check = (value, schema, path, violations, document = schema, refDepth = 0) => {
+  if (violations.length >= MAX_VIOLATIONS || !isPlainObject(schema)) {
+    return;
+  }
+  const fail = (message) => violations.push({ path, message });
+  if (schemaDocuments.has(schema)) {
+    document = schema;
+  }
+  const checkChild = (childValue, childSchema, childPath, found = violations) =>
+    check(childValue, childSchema, childPath, found, document);
+
+  if (schema.$ref !== undefined) {
+    const target = resolvePointer(document, schema.$ref);
+    if (!isPlainObject(target)) {
+      fail(`$ref "${schema.$ref}" does not resolve`);
+      return;
+    }
+    if (refDepth >= MAX_REF_DEPTH) {
+      fail(`$ref "${schema.$ref}" is cyclic`);
+      return;
+    }
+    check(value, target, path, violations, document, refDepth + 1);
+  }
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      fail(`must be ${types.join(' or ')}, got ${typeOf(value)}`);
+      return;
+    }
+  }
+  if (schema.enum && !schema.enum.some((option) => deepEqual(option, value))) {
+    fail(`must be one of ${JSON.stringify(schema.enum)}`);
+  }
+  if (schema.const !== undefined && !deepEqual(schema.const, value)) {
+    fail(`must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(`must have at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(`must have at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !matchesPattern(value, schema.pattern)) {
+      fail(`must match ${schema.pattern}`);
+    }
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(`must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(`must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`must have at most ${schema.maxItems} items`);
+    }
+    if (isPlainObject(schema.items)) {
+      value.forEach((item, index) => checkChild(item, schema.items, `${path}[${index}]`));
+    }
+  }
+
+  if (isPlainObject(value)) {
+    for (const field of schema.required || []) {
+      if (value[field] === undefined) {
+        violations.push({ path: `${path}.${field}`, message: 'is required' });
+      }
+    }
+    const properties = schema.properties || {};
+    for (const [field, fieldValue] of Object.entries(value)) {
+      if (properties[field]) {
+        checkChild(fieldValue, properties[field], `${path}.${field}`);
+      } else if (schema.additionalProperties === false) {
+        violations.push({ path: `${path}.${field}`, message: 'is not allowed' });
+      } else if (isPlainObject(schema.additionalProperties)) {
+        checkChild(fieldValue, schema.additionalProperties, `${path}.${field}`);
+      }
+    }
+  }
+
+  const branchViolations = (branch) => {
+    const found = [];
+    checkChild(value, branch, path, found);
+    return found;
+  };
+  if (Array.isArray(schema.allOf)) {
+    schema.allOf.forEach((branch) => checkChild(value, branch, path));
+  }
+  if (Array.isArray(schema.anyOf) && !schema.anyOf.some((branch) => !branchViolations(branch).length)) {
+    fail('must match at least one of the anyOf schemas');
+  }
+  if (Array.isArray(schema.oneOf)) {
+    const matching = schema.oneOf.filter((branch) => !branchViolations(branch).length).length;
+    if (matching !== 1) {
+      fail(`must match exactly one of the oneOf schemas, matched ${matching}`);
+    }
+  }
+};
+
+/**
+ * Validates a value against a declarative or JSON Schema
+ * @param {*} value - The value to check
+ * @param {*} schema - Declarative or JSON Schema
+ * @returns {Array<Object>} Violations as { path, message }, empty when the value is valid
+ */
+export const validateAgainstSchema = (value, schema) => {
+  const violations = [];
+  check(value, compileSchema(schema), '$', violations);
+  return violations.slice(0, MAX_VIOLATIONS);
+};
@@ -0,0 +1,98 @@
+const toTime = (value) => {
+  if (!value) {
+    return null;
+  }
+  const time = new Date(value).getTime();
+  return Number.isNaN(time) ? null : time;
+};
+
+/**
+ * Timing of a step. Logs tracked before spans had timestamps only have their
+ * creation time, which is when they ended, and possibly a duration.
+ */
+const stepTiming = (step) => {
+  const endedAt = toTime(step.endedAt) ?? toTime(step.timestamp);
+  const startedAt = toTime(step.startedAt) ?? (endedAt !== null ? endedAt - (step.duration || 0) : null);
+  return { startedAt, endedAt };
+};
+
+/**
+ * Builds the span tree of an execution from its flat list of steps. A step is
+ * nested under the step whose spanId matches its parentSpanId; steps whose
+ * parent is not part of the execution, or that predate span tracking, are roots.
+ * @param {Array<Object>} steps - Flow steps with spanId, parentSpanId, startedAt and endedAt
+ * @returns {Object} { spans, timing } where each span references its step by
+ *   stepIndex, and timing covers the whole execution ({ startedAt, endedAt, duration })
+ */
+export const buildSpanTree = (steps) => {
+  const spans = steps.map((step, stepIndex) => {
+    const { startedAt, endedAt } = stepTiming(step);
+    return {
+      stepIndex,
+      logId: step.logId,
+      kind: step.kind || step.type,
+      nodeId: step.nodeId,
+      nodeName: step.nodeName,
+      status: step.status,
+      spanId: step.spanId || null,
+      parentSpanId: step.parentSpanId || null,
+      executionId: step.executionId || null,
+      agentName: step.agentName || null,
+      startedAt: startedAt !== null ? new Date(startedAt) : null,
+      endedAt: endedAt !== null ? new Date(endedAt) : null,
+      duration: startedAt !== null && endedAt !== null ? Math.max(0, endedAt - startedAt) : null,
+      children: [],
+    };
+  });
+
+  const bySpanId = new Map();
+  for (const span of spans) {
+    if (span.spanId && !bySpanId.has(span.spanId)) {
+      bySpanId.set(span.spanId, span);
+    }
+  }
+
+  const parents = new Map();
+  // Walks up from the candidate parent so bad parent IDs cannot form a loop
+  const isAncestorOf = (span, candidate) => {
+    const seen = new Set();
+    let current = candidate;
+    while (current && !seen.has(current)) {
+      if (current === span) {
+        return true;
+      }
+      seen.add(current);
+      current = parents.get(current);
+    }
+    return false;
+  };
+
+  const roots = [];
+  for (const span of spans) {
+    const parent = span.parentSpanId ? bySpanId.get(span.parentSpanId) : null;
+    if (parent && !isAncestorOf(span, parent)) {
+      parents.set(span, parent);
+      parent.children.push(span);
+    } else {
+      roots.push(span);
+    }
+  }
+
+  const byStart = (a, b) => (a.startedAt?.getTime() ?? 0) - (b.startedAt?.getTime() ?? 0);
+  const finalize = (list) =>
+    list.sort(byStart).map((span) => ({ ...span, children: finalize(span.children) }));
+
+  const starts = spans.map((span) => span.startedAt?.getTime()).filter((time) => time !== undefined);
+  const ends = spans.map((span) => span.endedAt?.getTime()).filter((time) => time !== undefined);
+  const startedAt = starts.length ? Math.min(...starts) : null;
+  const endedAt = ends.length ? Math.max(...ends) : null;
+
+  return {
+    spans: finalize(roots),
+    timing: {
+      startedAt: startedAt !== null ? new Date(startedAt) : null,
+      endedAt: endedAt !== null ? new Date(endedAt) : null,
+      duration: startedAt !== null && endedAt !== null ? endedAt - startedAt : null,
+    },
+  };
+};
@@ -0,0 +1,91 @@
+import crypto from 'crypto';
+
+/**
+ * Handit's own trace-context header. It carries comma-separated key=value
+ * pairs: execution-id, trace-id, span-id and parent-span-id, e.g.
+ * "execution-id=42, span-id=00f067aa0ba902b7"
+ */
+export const HANDIT_TRACE_HEADER = 'x-handit-trace-context';
+
+const TRACEPARENT_PATTERN = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+
+const normalizeId = (value, length) => {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const id = value.trim().toLowerCase();
+  if (id.length !== length || !/^[0-9a-f]+$/.test(id) || /^0+$/.test(id)) {
+    return null;
+  }
+  return id;
+};
+
+export const normalizeTraceId = (value) => normalizeId(value, 32);
+export const normalizeSpanId = (value) => normalizeId(value, 16);
+
+export const generateTraceId = () => crypto.randomBytes(16).toString('hex');
+export const generateSpanId = () => crypto.randomBytes(8).toString('hex');
+
+/**
+ * Parses a W3C traceparent header
+ * @param {string} header - e.g. "00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01"
+ * @returns {Object|null} { traceId, parentSpanId, sampled } or null when invalid
+ */
+export const parseTraceparent = (header) => {
+  const match = typeof header === 'string' ? TRACEPARENT_PATTERN.exec(header.trim().toLowerCase()) : null;
+  if (!match || match[1] === 'ff') {
+    return null;
+  }
+  const traceId = normalizeTraceId(match[2]);
+  const parentSpanId = normalizeSpanId(match[3]);
+  if (!traceId || !parentSpanId) {
+    return null;
+  }
+  return { traceId, parentSpanId, sampled: (parseInt(match[4], 16) & 1) === 1 };
+};
+
+export const formatTraceparent = (traceId, spanId) => `00-${traceId}-${spanId}-01`;
+
+/**
+ * Parses the Handit trace-context header
+ * @returns {Object} { executionId, traceId, spanId, parentSpanId } with missing keys as null
+ */
+export const parseHanditTraceContext = (header) => {
+  const values = {};
+  if (typeof header === 'string') {
+    for (const pair of header.split(/[,;]/)) {
+      const [key, ...rest] = pair.split('=');
+      if (key && rest.length) {
+        values[key.trim().toLowerCase()] = rest.join('=').trim();
+      }
+    }
+  }
+  return {
+    executionId: values['execution-id'] || null,
+    traceId: normalizeTraceId(values['trace-id']),
+    spanId: normalizeSpanId(values['span-id']),
+    parentSpanId: normalizeSpanId(values['parent-span-id']),
+  };
+};
+
+/**
+ * Reads the trace context of a track request. Explicit values win over
+ * propagated ones: the Handit header first, then body fields, then the W3C
+ * traceparent, whose parent id is the span of the caller.
+ * @param {Object} headers - Request headers (lower-cased, as Express provides them)
+ * @param {Object} body - Request body or bulk item
+ * @returns {Object} { executionId, traceId, spanId, parentSpanId, traceState }
+ */
+export const extractTraceContext = (headers = {}, body = {}) => {
+  const handit = parseHanditTraceContext(headers[HANDIT_TRACE_HEADER]);
+  const w3c = parseTraceparent(headers.traceparent);
+
+  return {
+    executionId: handit.executionId,
+    traceId: handit.traceId || normalizeTraceId(body.traceId) || w3c?.traceId || null,
+    spanId: handit.spanId || normalizeSpanId(body.spanId),
+    parentSpanId:
+      handit.parentSpanId || normalizeSpanId(body.parentSpanId) || w3c?.parentSpanId || null,
+    traceState: w3c && typeof headers.tracestate === 'string' ? headers.tracestate : null,
+  };
+};
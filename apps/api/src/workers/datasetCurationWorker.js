@@ -0,0 +1,34 @@
+// workers/datasetCurationWorker.js
+
+import { pathToFileURL } from 'url';
+import { datasetCurationQueue } from '../services/queue.js';
+import { scheduleDatasetCuration } from '../jobs/datasetCurationJob.js';
+import { runEnabledCurationRules } from '../services/datasetCurationService.js';
+
+/**
+ * Starts consuming the curation queue and schedules the periodic run. The API
+ * starts it in-process unless RUN_DATASET_CURATION=false.
+ */
+export const startDatasetCurationWorker = async () => {
+  datasetCurationQueue.process(async () => runEnabledCurationRules());
+  datasetCurationQueue.on('completed', (job, result) => {
+    if (result?.added || result?.failed) {
+      console.log(
+        `Dataset curation added ${result.added} items from ${result.rules} rules (${result.failed} failed)`
+      );
+    }
+  });
+  datasetCurationQueue.on('failed', (job, err) => {
+    console.error(`Dataset curation failed with error ${err}`);
+  });
+
+  try {
+    await scheduleDatasetCuration();
+  } catch (error) {
+    console.error('Failed to schedule dataset curation:', error);
+  }
+};
+
+if (import.meta.url === pathToFileURL(process.argv[1] || '').href) {
+  startDatasetCurationWorker();
+}
@@ -0,0 +1,33 @@
+// workers/evaluationBackfillWorker.js
+
+import { pathToFileURL } from 'url';
+import { evaluationBackfillQueue } from '../services/queue.js';
+import { runBackfill } from '../services/evaluationBackfillService.js';
+
+const EVALUATION_BACKFILL_WORKER_CONCURRENCY = parseInt(
+  process.env.EVALUATION_BACKFILL_WORKER_CONCURRENCY || '1',
+  10
+);
+
+/**
+ * Starts consuming the evaluation backfill queue. The API starts it
+ * in-process unless RUN_EVALUATION_BACKFILL_WORKER=false, in which case run
+ * `npm run evaluation-backfill-worker`.
+ */
+export const startEvaluationBackfillWorker = () => {
+  evaluationBackfillQueue.process(EVALUATION_BACKFILL_WORKER_CONCURRENCY, async (job) =>
+    runBackfill(job.data.backfillId)
+  );
+  evaluationBackfillQueue.on('failed', (job, err) => {
+    console.error(
+      `Evaluation backfill ${job.data.backfillId} failed (attempt ${job.attemptsMade}): ${err.message}`
+    );
+  });
+  console.log(
+    `Evaluation backfill worker started with concurrency ${EVALUATION_BACKFILL_WORKER_CONCURRENCY}`
+  );
+};
+
+if (import.meta.url === pathToFileURL(process.argv[1] || '').href) {
+  startEvaluationBackfillWorker();
+}
@@ -0,0 +1,133 @@
+// workers/evaluationWorker.js
+
+import { pathToFileURL } from 'url';
+import {
+  evaluationQueue,
+  evaluationDeadLetterQueue,
+} from '../services/queue.js';
+import {
+  addEvaluationJob,
+  getNextEvaluationStage,
+} from '../jobs/evaluationJob.js';
+import { runEvaluationStage } from '../services/evaluationPipelineService.js';
+import db from '../../models/index.js';
+
+const { ModelLog, EvaluationPipelineRun } = db;
+
+const EVALUATION_WORKER_CONCURRENCY = parseInt(
+  process.env.EVALUATION_WORKER_CONCURRENCY || '5',
+  10
+);
+
+const finishRun = async (run, context) => {
+  await run.update({
+    status: 'completed',
+    context,
+    lastError: null,
+    completedAt: new Date(),
+  });
+};
+
+const processEvaluationJob = async (job) => {
+  const stage = job.name;
+  const { modelLogId } = job.data;
+  let context = job.data.context || {};
+
+  const run = await EvaluationPipelineRun.findOne({ where: { modelLogId } });
+  if (!run) {
+    throw new Error(`No evaluation pipeline run for model log ${modelLogId}`);
+  }
+
+  // A redelivered job for a stage that already finished only moves the chain on
+  if (!run.isStageCompleted(stage)) {
+    await run.update({ status: 'processing', currentStage: stage });
+    await run.updateStage(stage, {
+      status: 'processing',
+      attempts: job.attemptsMade + 1,
+      startedAt: new Date(),
+    });
+
+    const modelLog = await ModelLog.findByPk(modelLogId);
+    if (!modelLog) {
+      await run.updateStage(stage, { status: 'skipped', finishedAt: new Date() });
+      await finishRun(run, context);
+      return { skipped: true };
+    }
+
+    const result = await runEvaluationStage(stage, modelLog, context, db);
+    context = result.context;
+    await run.updateStage(stage, { status: 'completed', finishedAt: new Date() });
+    await run.update({ context });
+
+    if (result.stop) {
+      await finishRun(run, context);
+      return { stage, stopped: true };
+    }
+  } else {
+    context = { ...(run.context || {}), ...context };
+  }
+
+  const nextStage = getNextEvaluationStage(stage);
+  if (!nextStage) {
+    await finishRun(run, context);
+    return { stage, completed: true };
+  }
+
+  await run.update({ currentStage: nextStage });
+  await addEvaluationJob({ modelLogId, stage: nextStage, context });
+  return { stage, next: nextStage };
+};
+
+const handleFailedJob = async (job, error) => {
+  try {
+    const { modelLogId } = job.data;
+    const run = await EvaluationPipelineRun.findOne({ where: { modelLogId } });
+    const exhausted = job.attemptsMade >= (job.opts.attempts || 1);
+    const lastError = {
+      stage: job.name,
+      message: error.message,
+      attempts: job.attemptsMade,
+      failedAt: new Date(),
+    };
+
+    if (run) {
+      await run.updateStage(job.name, {
+        status: exhausted ? 'failed' : 'retrying',
+        attempts: job.attemptsMade,
+        error: error.message,
+      });
+      await run.update({
+        lastError,
+        status: exhausted ? 'dead_lettered' : 'processing',
+      });
+    }
+
+    if (exhausted) {
+      await evaluationDeadLetterQueue.add(
+        { modelLogId, stage: job.name, context: job.data.context, error: lastError },
+        { jobId: job.id, removeOnComplete: true }
+      );
+      console.error(
+        `Evaluation stage ${job.name} for model log ${modelLogId} dead-lettered: ${error.message}`
+      );
+    }
+  } catch (err) {
+    console.error('Error handling failed evaluation job:', err);
+  }
+};
+
+/**
+ * Starts consuming the evaluation queue. The API starts it in-process unless
+ * RUN_EVALUATION_WORKER=false, in which case run `npm run evaluation-worker`.
+ */
+export const startEvaluationWorker = () => {
+  evaluationQueue.process('*', EVALUATION_WORKER_CONCURRENCY, processEvaluationJob);
+  evaluationQueue.on('failed', handleFailedJob);
+  console.log(
+    `Evaluation worker started with concurrency ${EVALUATION_WORKER_CONCURRENCY}`
+  );
+};
+
+if (import.meta.url === pathToFileURL(process.argv[1] || '').href) {
+  startEvaluationWorker();
+}
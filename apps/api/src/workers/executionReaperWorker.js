@@ -0,0 +1,34 @@
+// workers/executionReaperWorker.js
+
+import { pathToFileURL } from 'url';
+import { executionReaperQueue } from '../services/queue.js';
+import { scheduleExecutionReaper } from '../jobs/executionReaperJob.js';
+import { reapStaleExecutions } from '../services/executionReaperService.js';
+
+/**
+ * Starts consuming the reaper queue and schedules the sweep. The API starts
+ * it in-process unless RUN_EXECUTION_REAPER=false.
+ */
+export const startExecutionReaperWorker = async () => {
+  executionReaperQueue.process(async () => reapStaleExecutions());
+  executionReaperQueue.on('completed', (job, result) => {
+    if (result?.closed || result?.failed) {
+      console.log(
+        `Execution reaper closed ${result.closed} executions (${result.failed} failed)`
+      );
+    }
+  });
+  executionReaperQueue.on('failed', (job, err) => {
+    console.error(`Execution reaper failed with error ${err}`);
+  });
+
+  try {
+    await scheduleExecutionReaper();
+  } catch (error) {
+    console.error('Failed to schedule the execution reaper:', error);
+  }
+};
+
+if (import.meta.url === pathToFileURL(process.argv[1] || '').href) {
+  startExecutionReaperWorker();
+}
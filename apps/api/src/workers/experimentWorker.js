@@ -0,0 +1,32 @@
+// workers/experimentWorker.js
+
+import { pathToFileURL } from 'url';
+import { experimentQueue } from '../services/queue.js';
+import { runExperiment } from '../services/experimentService.js';
+
+const EXPERIMENT_WORKER_CONCURRENCY = parseInt(
+  process.env.EXPERIMENT_WORKER_CONCURRENCY || '1',
+  10
+);
+
+/**
+ * Starts consuming the experiment queue. The API starts it in-process unless
+ * RUN_EXPERIMENT_WORKER=false, in which case run `npm run experiment-worker`.
+ */
+export const startExperimentWorker = () => {
+  experimentQueue.process(EXPERIMENT_WORKER_CONCURRENCY, async (job) =>
+    runExperiment(job.data.experimentId)
+  );
+  experimentQueue.on('failed', (job, err) => {
+    console.error(
+      `Experiment ${job.data.experimentId} failed (attempt ${job.attemptsMade}): ${err.message}`
+    );
+  });
+  console.log(
+    `Experiment worker started with concurrency ${EXPERIMENT_WORKER_CONCURRENCY}`
+  );
+};
+
+if (import.meta.url === pathToFileURL(process.argv[1] || '').href) {
+  startExperimentWorker();
+}
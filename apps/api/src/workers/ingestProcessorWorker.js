@@ -0,0 +1,46 @@
+// workers/ingestProcessorWorker.js
+
+import { pathToFileURL } from 'url';
+import { ingestProcessorQueue } from '../services/queue.js';
+import { scheduleIngestProcessor } from '../jobs/ingestProcessorJob.js';
+import { processIngestObjects } from '../services/ingestProcessorService.js';
+import { getIngestStorage } from '../services/ingestStorage.js';
+
+/**
+ * Starts consuming the ingest processor queue and schedules its runs. Does
+ * nothing when no ingest storage is configured. The API starts it in-process
+ * unless RUN_INGEST_PROCESSOR=false.
+ */
+export const startIngestProcessorWorker = async () => {
+  try {
+    if (!getIngestStorage()) {
+      return;
+    }
+  } catch (error) {
+    console.error('Ingest processor not started:', error.message);
+    return;
+  }
+
+  ingestProcessorQueue.process(async () => processIngestObjects());
+  ingestProcessorQueue.on('completed', (job, result) => {
+    if (result?.objects || result?.failed) {
+      console.log(
+        `Ingest processor replayed ${result.events} events from ${result.objects} objects ` +
+          `(${result.failedEvents} events failed, ${result.rejected} objects rejected, ${result.failed} objects failed)`
+      );
+    }
+  });
+  ingestProcessorQueue.on('failed', (job, err) => {
+    console.error(`Ingest processor failed with error ${err}`);
+  });
+
+  try {
+    await scheduleIngestProcessor();
+  } catch (error) {
+    console.error('Failed to schedule the ingest processor:', error);
+  }
+};
+
+if (import.meta.url === pathToFileURL(process.argv[1] || '').href) {
+  startIngestProcessorWorker();
+}
@@ -0,0 +1,34 @@
+// workers/promptBanditWorker.js
+
+import { pathToFileURL } from 'url';
+import { promptBanditQueue } from '../services/queue.js';
+import { schedulePromptBandit } from '../jobs/promptBanditJob.js';
+import { updateBanditAllocations } from '../services/promptBanditService.js';
+
+/**
+ * Starts consuming the prompt bandit queue and schedules the update. The API
+ * starts it in-process unless RUN_PROMPT_BANDIT=false.
+ */
+export const startPromptBanditWorker = async () => {
+  promptBanditQueue.process(async () => updateBanditAllocations());
+  promptBanditQueue.on('completed', (job, result) => {
+    if (result?.changed || result?.failed) {
+      console.log(
+        `Prompt bandit re-split the traffic of ${result.changed} models (${result.failed} failed)`
+      );
+    }
+  });
+  promptBanditQueue.on('failed', (job, err) => {
+    console.error(`Prompt bandit failed with error ${err}`);
+  });
+
+  try {
+    await schedulePromptBandit();
+  } catch (error) {
+    console.error('Failed to schedule the prompt bandit:', error);
+  }
+};
+
+if (import.meta.url === pathToFileURL(process.argv[1] || '').href) {
+  startPromptBanditWorker();
+}
@@ -0,0 +1,34 @@
+// workers/releaseGuardWorker.js
+
+import { pathToFileURL } from 'url';
+import { releaseGuardQueue } from '../services/queue.js';
+import { scheduleReleaseGuard } from '../jobs/releaseGuardJob.js';
+import { checkReleaseGuards } from '../services/releaseGuardService.js';
+
+/**
+ * Starts consuming the release guard queue and schedules the check. The API
+ * starts it in-process unless RUN_RELEASE_GUARD=false.
+ */
+export const startReleaseGuardWorker = async () => {
+  releaseGuardQueue.process(async () => checkReleaseGuards());
+  releaseGuardQueue.on('completed', (job, result) => {
+    if (result?.rolledBack || result?.failed) {
+      console.log(
+        `Release guard rolled back ${result.rolledBack} releases (${result.failed} failed)`
+      );
+    }
+  });
+  releaseGuardQueue.on('failed', (job, err) => {
+    console.error(`Release guard failed with error ${err}`);
+  });
+
+  try {
+    await scheduleReleaseGuard();
+  } catch (error) {
+    console.error('Failed to schedule the release guard:', error);
+  }
+};
+
+if (import.meta.url === pathToFileURL(process.argv[1] || '').href) {
+  startReleaseGuardWorker();
+}
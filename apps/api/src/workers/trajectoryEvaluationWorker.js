@@ -0,0 +1,33 @@
+// workers/trajectoryEvaluationWorker.js
+
+import { pathToFileURL } from 'url';
+import { trajectoryEvaluationQueue } from '../services/queue.js';
+import { evaluateTrajectory } from '../services/trajectoryEvaluationService.js';
+
+const TRAJECTORY_EVALUATION_WORKER_CONCURRENCY = parseInt(
+  process.env.TRAJECTORY_EVALUATION_WORKER_CONCURRENCY || '2',
+  10
+);
+
+/**
+ * Starts consuming the trajectory evaluation queue. The API starts it
+ * in-process unless RUN_TRAJECTORY_EVALUATION_WORKER=false, in which case run
+ * `npm run trajectory-evaluation-worker`.
+ */
+export const startTrajectoryEvaluationWorker = () => {
+  trajectoryEvaluationQueue.process(TRAJECTORY_EVALUATION_WORKER_CONCURRENCY, async (job) =>
+    evaluateTrajectory(job.data.agentLogId)
+  );
+  trajectoryEvaluationQueue.on('failed', (job, err) => {
+    console.error(
+      `Trajectory evaluation of execution ${job.data.agentLogId} failed (attempt ${job.attemptsMade}): ${err.message}`
+    );
+  });
+  console.log(
+    `Trajectory evaluation worker started with concurrency ${TRAJECTORY_EVALUATION_WORKER_CONCURRENCY}`
+  );
+};
+
+if (import.meta.url === pathToFileURL(process.argv[1] || '').href) {
+  startTrajectoryEvaluationWorker();
+}
@@ -0,0 +1,73 @@
+/**
+ * @fileoverview Evaluation Backfills Page Component
+ *
+ * Lists backfills, which re-run evaluators of an LLM node over its past
+ * entries, with their progress, and charts the original against the
+ * backfilled scores of the selected one.
+ */
+
+'use client';
+
+import * as React from 'react';
+import Box from '@mui/material/Box';
+import Button from '@mui/material/Button';
+import Paper from '@mui/material/Paper';
+import Stack from '@mui/material/Stack';
+import Typography from '@mui/material/Typography';
+import { Plus as PlusIcon } from '@phosphor-icons/react/dist/ssr/Plus';
+import { useGetModelsQuery } from '@/services/modelsService';
+import { useGetEvaluationBackfillsQuery } from '@/services/evaluationBackfillService';
+import { ACTIVE_STATUSES } from '@/components/dashboard/evaluation-backfills/backfill-progress';
+import { BackfillMetrics } from '@/components/dashboard/evaluation-backfills/backfill-metrics';
+import { BackfillsTable } from '@/components/dashboard/evaluation-backfills/backfills-table';
+import { CreateBackfillDialog } from '@/components/dashboard/evaluation-backfills/create-backfill-dialog';
+
+export default function EvaluationBackfillsPage() {
+  const [dialogOpen, setDialogOpen] = React.useState(false);
+  const [selectedId, setSelectedId] = React.useState(null);
+  const [pollingInterval, setPollingInterval] = React.useState(0);
+  const { data: backfills = [] } = useGetEvaluationBackfillsQuery(undefined, { pollingInterval });
+  const { data: models = [] } = useGetModelsQuery();
+
+  const inProgress = backfills.some((backfill) => ACTIVE_STATUSES.includes(backfill.status));
+  const selected = backfills.find((backfill) => backfill.id === selectedId);
+
+  React.useEffect(() => {
+    setPollingInterval(inProgress ? 5000 : 0);
+  }, [inProgress]);
+
+  const handleCreated = (backfill) => {
+    setDialogOpen(false);
+    setSelectedId(backfill.id);
+  };
+
+  return (
+    <Box
+      sx={{
+        m: 'var(--Content-margin)',
+        p: 'var(--Content-padding)',
+        width: 'var(--Content-width)',
+        py: 8,
+      }}
+    >
+      <Stack spacing={4} sx={{ px: 2, pt: 4 }}>
+        <Stack direction="row" justifyContent="space-between" alignItems="center">
+          <Box>
+            <Typography variant="h4">Evaluation Backfills</Typography>
+            <Typography variant="body2" color="text.secondary">
+              Re-run changed evaluators over past entries and compare their scores before and after
+            </Typography>
+          </Box>
+          <Button variant="contained" startIcon={<PlusIcon />} onClick={() => setDialogOpen(true)}>
+            New Backfill
+          </Button>
+        </Stack>
+        <Paper variant="outlined">
+          <BackfillsTable backfills={backfills} models={models} selectedId={selectedId} onSelect={setSelectedId} />
+        </Paper>
+        {selectedId && <BackfillMetrics backfillId={selectedId} error={selected?.error} />}
+      </Stack>
+      <CreateBackfillDialog open={dialogOpen} onClose={() => setDialogOpen(false)} onCreated={handleCreated} />
+    </Box>
+  );
+}
@@ -0,0 +1,62 @@
+/**
+ * @fileoverview Experiments Page Component
+ *
+ * Lists offline experiments, which run prompt versions of an LLM node on
+ * dataset items and score them with evaluators, and shows the results of the
+ * selected one side by side.
+ */
+
+'use client';
+
+import * as React from 'react';
+import Box from '@mui/material/Box';
+import Button from '@mui/material/Button';
+import Paper from '@mui/material/Paper';
+import Stack from '@mui/material/Stack';
+import Typography from '@mui/material/Typography';
+import { Plus as PlusIcon } from '@phosphor-icons/react/dist/ssr/Plus';
+import { useGetExperimentsQuery } from '@/services/experimentsService';
+import { CreateExperimentDialog } from '@/components/dashboard/experiments/create-experiment-dialog';
+import { ExperimentResults } from '@/components/dashboard/experiments/experiment-results';
+import { ExperimentsTable } from '@/components/dashboard/experiments/experiments-table';
+
+export default function ExperimentsPage() {
+  const [dialogOpen, setDialogOpen] = React.useState(false);
+  const [selectedId, setSelectedId] = React.useState(null);
+  const { data: experiments = [] } = useGetExperimentsQuery();
+
+  const handleCreated = (experiment) => {
+    setDialogOpen(false);
+    setSelectedId(experiment.id);
+  };
+
+  return (
+    <Box
+      sx={{
+        m: 'var(--Content-margin)',
+        p: 'var(--Content-padding)',
+        width: 'var(--Content-width)',
+        py: 8,
+      }}
+    >
+      <Stack spacing={4} sx={{ px: 2, pt: 4 }}>
+        <Stack direction="row" justifyContent="space-between" alignItems="center">
+          <Box>
+            <Typography variant="h4">Experiments</Typography>
+            <Typography variant="body2" color="text.secondary">
+              Score prompt versions against a dataset before releasing them
+            </Typography>
+          </Box>
+          <Button variant="contained" startIcon={<PlusIcon />} onClick={() => setDialogOpen(true)}>
+            New Experiment
+          </Button>
+        </Stack>
+        <Paper variant="outlined">
+          <ExperimentsTable experiments={experiments} selectedId={selectedId} onSelect={setSelectedId} />
+        </Paper>
+        {selectedId && <ExperimentResults experimentId={selectedId} />}
+      </Stack>
+      <CreateExperimentDialog open={dialogOpen} onClose={() => setDialogOpen(false)} onCreated={handleCreated} />
+    </Box>
+  );
+}
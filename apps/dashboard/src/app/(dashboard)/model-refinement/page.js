@@ -38,6 +38,7 @@ import { ModelsSwitch } from '@/components/dashboard/layout/models-switch';
 import { EntriesComparisonModal } from '@/components/dashboard/modelRefinement/entires-comparison-modal.js';
 import { PromptComparisonModal } from '@/components/dashboard/modelRefinement/prompt-comparison-modal.js';
 import { StatABCard } from '@/components/dashboard/modelRefinement/stat-ab-card';
+import { ABSignificanceCard } from '@/components/dashboard/modelRefinement/ab-significance-card';
 import { HelperWidget } from '@/components/dashboard/overview/helper-widget';
 import { CustomSignOut } from '@/components/dashboard/layout/user-popover/custom-sign-out';
 import { authClient } from '@/lib/auth/custom/client';
@@ -305,6 +306,15 @@ export default function Page({ searchParams }) {
                 isLoading={isLoadingCorrectEntriesByDay}
               />
             </Grid>
+
+            {/* Significance of each optimized prompt against the original */}
+            <Grid
+              md={12}
+              xs={12}
+              sx={{ paddingRight: '1vmax', paddingLeft: '1vmax', marginTop: '30px' }}
+            >
+              <ABSignificanceCard modelId={modelId} />
+            </Grid>
           </Grid>
           <Grid container></Grid>
         </Stack>
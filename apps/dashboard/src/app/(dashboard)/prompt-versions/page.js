@@ -23,6 +23,9 @@ import Divider from '@mui/material/Divider';
 import Button from '@mui/material/Button';
 import { ModelsTable } from '@/components/dashboard/models/models-table';
 import { PromptVersionComparison } from '@/components/dashboard/models/prompt-version-comparison';
+import { PromptVersionReview } from '@/components/dashboard/models/prompt-version-review';
+import { ReleaseGuardStatus } from '@/components/dashboard/models/release-guard-status';
+import { TrafficAllocationChart } from '@/components/dashboard/models/traffic-allocation-chart';
 import { AutomatedInsights } from '@/components/dashboard/automated-insights/automated-insights';
 import Chip from '@mui/material/Chip';
 import FormControl from '@mui/material/FormControl';
@@ -196,7 +199,7 @@ export default function PromptVersionsPage() {
       setDeploySuccess(true);
       await refetchPromptVersions();
     } catch (err) {
-      setDeployError(err?.data?.message || err?.message || 'Failed to deploy version.');
+      setDeployError(err?.data?.error || err?.data?.message || err?.message || 'Failed to deploy version.');
     }
   };
 
@@ -758,12 +761,17 @@ export default function PromptVersionsPage() {
                 <Chip label={environment === 'staging' ? 'Staging' : 'Prod'} sx={{ bgcolor: '#00282f', color: '#abd4d7', fontWeight: 600 }} />
                 <Chip label={formatChipText(selectedModel.provider)} sx={{ bgcolor: '#00282f', color: '#abd4d7', fontWeight: 600 }} />
               </Stack>
+              <ReleaseGuardStatus
+                modelId={selectedModel.modelId || selectedModel.id}
+                promptVersions={promptVersions}
+                onRolledBack={refetchPromptVersions}
+              />
             </Box>
             <Divider sx={{ borderColor: '#1a2a33' }} />
 
             {/* Version Comparison and Insights Section */}
             <Box sx={{ flex: 1, p: 3, overflowY: 'auto', display: 'flex', gap: 3 }}>
-              <Box sx={{ flex: 2, minWidth: 0 }}>
+              <Stack spacing={3} sx={{ flex: 2, minWidth: 0 }}>
                 <PromptVersionComparison
                   modelId={selectedModel.modelId || selectedModel.id}
                   bgColor="#081b21"
@@ -773,7 +781,18 @@ export default function PromptVersionsPage() {
                   onRightAccuracyChange={setRightAccuracy}
                   defaultRightVersion={defaultRightVersion}
                 />
-              </Box>
+                <TrafficAllocationChart
+                  modelId={selectedModel.modelId || selectedModel.id}
+                  promptVersions={promptVersions}
+                  bgColor="#081b21"
+                />
+                <PromptVersionReview
+                  modelId={rightPromptVersion?.modelId || selectedModel.modelId || selectedModel.id}
+                  version={rightPromptVersion?.originalVersion}
+                  versionLabel={rightPromptVersion?.version}
+                  bgColor="#081b21"
+                />
+              </Stack>
               <Box sx={{ flex: 0.8, minWidth: 0, pl: 2 }}>
                 <AutomatedInsights
                   modelId={selectedModel.modelId || selectedModel.id}
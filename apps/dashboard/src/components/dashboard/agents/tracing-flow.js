@@ -4,6 +4,7 @@
  * A component that visualizes the execution flow of an agent entry using ReactFlow.
  * Displays nodes representing execution steps with their metrics and connections
  * between steps. Supports interactive features like node selection and flow navigation.
+ * Also exports TracingSpanTree, the nested span view with a timing waterfall.
  */
 
 'use client';
@@ -17,7 +18,8 @@ import ReactFlow, {
   Position,
 } from 'reactflow';
 import 'reactflow/dist/style.css';
-import { Box, Typography } from '@mui/material';
+import { Box, Chip, IconButton, Typography } from '@mui/material';
+import { CaretDown, CaretRight } from '@phosphor-icons/react';
 import { useGetAgentEntryByIdQuery } from '@/services/agentsService';
 
 // Register custom node type
@@ -158,4 +160,195 @@ export function TracingFlow({ entry, onNodeClick }) {
       </ReactFlow>
     </Box>
   );
-} 
\ No newline at end of file
+}
+
+const SPAN_COLORS = {
+  model: 'primary.main',
+  tool: 'secondary.main',
+};
+
+// Model and tool logs are numbered separately, so the kind keeps their keys apart
+const spanKey = (span) => `${span.kind}-${span.executionId || 'entry'}-${span.logId}`;
+
+const formatSpanDuration = (duration) => {
+  if (duration === null || duration === undefined) return '-';
+  return duration >= 1000 ? `${(duration / 1000).toFixed(2)}s` : `${duration}ms`;
+};
+
+/**
+ * SpanRow Component
+ *
+ * One span of the tree: a collapsible label indented by depth, followed by a
+ * waterfall bar placed on the execution's timeline.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.span - Span with children, startedAt and duration
+ * @param {number} props.depth - Nesting level of the span
+ * @param {Object} props.timing - Execution timing ({ startedAt, duration })
+ * @param {Set} props.collapsed - Span keys whose children are hidden
+ * @param {Function} props.onToggle - Called with a span key to collapse or expand it
+ * @param {Function} props.onSpanClick - Called with the clicked span
+ * @param {number} props.selectedStepIndex - Step index of the selected span
+ * @returns {JSX.Element} The span row and its visible descendants
+ */
+function SpanRow({ span, depth, timing, collapsed, onToggle, onSpanClick, selectedStepIndex }) {
+  const key = spanKey(span);
+  const isCollapsed = collapsed.has(key);
+  const hasChildren = span.children.length > 0;
+  const isError = span.status === 'error' || span.status === 'failed';
+
+  const traceStart = timing?.startedAt ? new Date(timing.startedAt).getTime() : null;
+  const total = timing?.duration || 0;
+  const offset = traceStart !== null && span.startedAt && total > 0
+    ? ((new Date(span.startedAt).getTime() - traceStart) / total) * 100
+    : 0;
+  const width = total > 0 && span.duration ? Math.max((span.duration / total) * 100, 0.5) : 0.5;
+
+  return (
+    <>
+      <Box
+        onClick={() => onSpanClick(span)}
+        sx={{
+          display: 'flex',
+          alignItems: 'center',
+          minHeight: 32,
+          px: 1,
+          cursor: 'pointer',
+          borderBottom: 1,
+          borderColor: 'divider',
+          bgcolor: selectedStepIndex === span.stepIndex ? 'action.selected' : 'transparent',
+          '&:hover': { bgcolor: 'action.hover' },
+        }}
+      >
+        {/* Span label */}
+        <Box sx={{ display: 'flex', alignItems: 'center', width: '40%', minWidth: 0, pl: depth * 2 }}>
+          <IconButton
+            size="small"
+            sx={{ visibility: hasChildren ? 'visible' : 'hidden', mr: 0.5 }}
+            onClick={(event) => {
+              event.stopPropagation();
+              onToggle(key);
+            }}
+          >
+            {isCollapsed ? <CaretRight size={14} /> : <CaretDown size={14} />}
+          </IconButton>
+          <Typography variant="body2" noWrap title={span.nodeName}>
+            {span.nodeName}
+          </Typography>
+          {span.agentName && (
+            <Chip label={span.agentName} size="small" variant="outlined" sx={{ ml: 1, height: 20 }} />
+          )}
+        </Box>
+        {/* Waterfall bar */}
+        <Box sx={{ position: 'relative', flex: 1, height: 16, mx: 1 }}>
+          <Box
+            sx={{
+              position: 'absolute',
+              left: `${Math.min(offset, 99.5)}%`,
+              width: `${Math.min(width, 100 - Math.min(offset, 99.5))}%`,
+              height: '100%',
+              borderRadius: 0.5,
+              bgcolor: isError ? 'error.main' : SPAN_COLORS[span.kind] || 'grey.500',
+              opacity: 0.8,
+            }}
+          />
+        </Box>
+        <Typography variant="caption" color="text.secondary" sx={{ width: 64, textAlign: 'right' }}>
+          {formatSpanDuration(span.duration)}
+        </Typography>
+      </Box>
+      {!isCollapsed &&
+        span.children.map((child) => (
+          <SpanRow
+            key={spanKey(child)}
+            span={child}
+            depth={depth + 1}
+            timing={timing}
+            collapsed={collapsed}
+            onToggle={onToggle}
+            onSpanClick={onSpanClick}
+            selectedStepIndex={selectedStepIndex}
+          />
+        ))}
+    </>
+  );
+}
+
+/**
+ * TracingSpanTree Component
+ *
+ * Renders an execution's spans as a collapsible tree with a timing waterfall,
+ * so nested work (tools called inside a model step, sub-agent calls, retries)
+ * shows under the span that started it.
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.spans - Root spans from the entry flow
+ * @param {Object} props.timing - Execution timing from the entry flow
+ * @param {Function} props.onSpanClick - Callback function when a span is clicked
+ * @param {number} props.selectedStepIndex - Step index of the selected span
+ * @returns {JSX.Element} The span tree component
+ */
+export function TracingSpanTree({ spans = [], timing, onSpanClick, selectedStepIndex }) {
+  const [collapsed, setCollapsed] = React.useState(() => new Set());
+
+  const handleToggle = (key) => {
+    setCollapsed((previous) => {
+      const next = new Set(previous);
+      if (next.has(key)) {
+        next.delete(key);
+      } else {
+        next.add(key);
+      }
+      return next;
+    });
+  };
+
+  if (!spans.length) {
+    return (
+      <Box sx={{ p: 3 }}>
+        <Typography color="text.secondary">No spans recorded for this entry.</Typography>
+      </Box>
+    );
+  }
+
+  return (
+    <Box sx={{ height: '100%', overflow: 'auto' }}>
+      {/* Timeline header */}
+      <Box
+        sx={{
+          display: 'flex',
+          px: 1,
+          py: 1,
+          borderBottom: 1,
+          borderColor: 'divider',
+          position: 'sticky',
+          top: 0,
+          bgcolor: 'background.paper',
+          zIndex: 1,
+        }}
+      >
+        <Typography variant="caption" color="text.secondary" sx={{ width: '40%' }}>
+          Span
+        </Typography>
+        <Typography variant="caption" color="text.secondary" sx={{ flex: 1, mx: 1 }}>
+          Timeline ({formatSpanDuration(timing?.duration)})
+        </Typography>
+        <Typography variant="caption" color="text.secondary" sx={{ width: 64, textAlign: 'right' }}>
+          Duration
+        </Typography>
+      </Box>
+      {spans.map((span) => (
+        <SpanRow
+          key={spanKey(span)}
+          span={span}
+          depth={0}
+          timing={timing}
+          collapsed={collapsed}
+          onToggle={handleToggle}
+          onSpanClick={onSpanClick}
+          selectedStepIndex={selectedStepIndex}
+        />
+      ))}
+    </Box>
+  );
+}
@@ -52,6 +52,7 @@ import { parseAttachments, parseContext, parseInputContent, parseOutputContent }
 import { useUser } from '@/hooks/use-user';
 
 import { MonitoringNode } from './monitoring-node';
+import { TracingSpanTree } from './tracing-flow';
 import { TracingDeploymentNode } from './tracing-deployment-node';
 import { TracingToolNode } from './tracing-tool-node';
 
@@ -1226,6 +1227,7 @@ export function TracingModal({
   
   // Flag to disable cycles functionality - set to true to show all entries in one flow
   const [disableCycles, setDisableCycles] = React.useState(true);
+  const [showSpans, setShowSpans] = React.useState(false);
   
   const [selectedNode, setSelectedNode] = React.useState(null);
   const [processedNodes, setProcessedNodes] = React.useState([]);
@@ -1765,6 +1767,16 @@ export function TracingModal({
     setSelectedNode(node);
   };
 
+  // Spans of sub-agent executions have no node in this entry's graph
+  const handleSpanClick = (span) => {
+    if (span.executionId) return;
+    const node = processedNodes.find((node) => node.data.sequence?.includes(span.stepIndex));
+    if (!node) return;
+    handleNodeClick(node);
+    setSelectedStep(span.stepIndex);
+    setCurrentStepIndex(node.data.sequence.indexOf(span.stepIndex));
+  };
+
   // Function to find the path for a specific step
   const findStepPath = (step) => {
     const path = {
@@ -2165,13 +2177,18 @@ export function TracingModal({
             <FormControl size="small">
               <InputLabel>View Mode</InputLabel>
               <Select
-                value={disableCycles ? 'flat' : 'cycles'}
-                onChange={(e) => setDisableCycles(e.target.value === 'flat')}
+                value={showSpans ? 'spans' : disableCycles ? 'flat' : 'cycles'}
+                onChange={(e) => {
+                  setShowSpans(e.target.value === 'spans');
+                  // The span tree selects steps the same way as the flat view
+                  setDisableCycles(e.target.value !== 'cycles');
+                }}
                 label="View Mode"
                 sx={{ minWidth: 120 }}
               >
                 <MenuItem value="cycles">Cycles</MenuItem>
                 <MenuItem value="flat">Flat View</MenuItem>
+                <MenuItem value="spans">Span Tree</MenuItem>
               </Select>
             </FormControl>
             <IconButton onClick={onClose}>
@@ -2222,7 +2239,15 @@ export function TracingModal({
                   overflow: 'hidden',
                 }}
               >
-                {entryFlow && (
+                {entryFlow && showSpans && (
+                  <TracingSpanTree
+                    spans={entryFlow.spans}
+                    timing={entryFlow.timing}
+                    onSpanClick={handleSpanClick}
+                    selectedStepIndex={selectedStep}
+                  />
+                )}
+                {entryFlow && !showSpans && (
                   <ReactFlowProvider>
                     <ReactFlow
                       key={flowKey}
@@ -9,6 +9,7 @@
  * - Node-specific filtering
  * - Search functionality
  * - Detailed entry viewing through modal
+ * - Copying selected executions into a dataset
  * - Loading states and error handling
  */
 
@@ -26,6 +27,7 @@ import {
   Box,
   Button,
   Card,
+  Checkbox,
   Chip,
   CircularProgress,
   Dialog,
@@ -65,7 +67,9 @@ import { useDispatch } from 'react-redux';
 import { parseInputContent } from '@/lib/parsers';
 import { FilterButton, FilterButtonDialog, FilterPopover, useFilterContext } from '@/components/core/filter-button';
 import { Option } from '@/components/core/option';
+import { useSelection } from '@/hooks/use-selection';
 import { useUser } from '@/hooks/use-user';
+import { AddToDatasetDialog } from '@/components/dashboard/datasets/add-to-dataset-dialog';
 
 import { TracingModal } from './tracing-modal';
 
@@ -545,6 +549,11 @@ export function TracingTable({ isLoading, agentId, agentDetails }) {
     });
   }, [paginatedEntries, statusFilter, selectedDate, sortDir]);
 
+  // Selected executions can be copied into a dataset
+  const entryIds = React.useMemo(() => filteredEntries.map((entry) => entry.id), [filteredEntries]);
+  const selection = useSelection(entryIds);
+  const [addToDatasetOpen, setAddToDatasetOpen] = React.useState(false);
+
   // Update handlers to work with server pagination
   const handlePageChange = (_, newPage) => {
     setPage(newPage);
@@ -890,10 +899,28 @@ export function TracingTable({ isLoading, agentId, agentDetails }) {
             </Select>
           </Stack>
 
+          {selection.selectedAny && (
+            <Stack direction="row" spacing={2} sx={{ alignItems: 'center', px: 3, pb: 2 }}>
+              <Typography variant="body2">{selection.selected.size} selected</Typography>
+              <Button size="small" variant="contained" onClick={() => setAddToDatasetOpen(true)}>
+                Add to Dataset
+              </Button>
+              <Button size="small" onClick={selection.deselectAll}>
+                Clear
+              </Button>
+            </Stack>
+          )}
           <TableContainer>
             <Table>
               <TableHead>
                 <TableRow sx={{ backgroundColor: 'var(--mui-palette-background-paper) !important' }}>
+                  <TableCell padding="checkbox">
+                    <Checkbox
+                      checked={entryIds.length > 0 && selection.selectedAll}
+                      indeterminate={selection.selectedAny && !selection.selectedAll}
+                      onChange={() => (selection.selectedAll ? selection.deselectAll() : selection.selectAll())}
+                    />
+                  </TableCell>
                   <TableCell sx={{ color: 'var(--mui-palette-text-primary) !important' }}>Input</TableCell>
                   <TableCell sx={{ color: 'var(--mui-palette-text-primary) !important' }}>Duration</TableCell>
                   <TableCell sx={{ color: 'var(--mui-palette-text-primary) !important' }}>Entry Date</TableCell>
@@ -903,7 +930,7 @@ export function TracingTable({ isLoading, agentId, agentDetails }) {
               <TableBody>
                 {isFetching ? (
                   <TableRow>
-                    <TableCell colSpan={4} sx={{ border: 0 }}>
+                    <TableCell colSpan={5} sx={{ border: 0 }}>
                       <Box
                         sx={{
                           display: 'flex',
@@ -933,6 +960,16 @@ export function TracingTable({ isLoading, agentId, agentDetails }) {
                         onClick={() => handleEntrySelect(entry)}
                         data-testid={index === 0 ? 'trace-row-first' : undefined}
                       >
+                        <TableCell padding="checkbox" onClick={(event) => event.stopPropagation()}>
+                          <Checkbox
+                            checked={selection.selected.has(entry.id)}
+                            onChange={() =>
+                              selection.selected.has(entry.id)
+                                ? selection.deselectOne(entry.id)
+                                : selection.selectOne(entry.id)
+                            }
+                          />
+                        </TableCell>
                         <TableCell>
                           <Typography
                             sx={{
@@ -999,6 +1036,12 @@ export function TracingTable({ isLoading, agentId, agentDetails }) {
         onNodeUpdate={handleNodeUpdate}
         preSelectedNodeId={filteredNode?.id}
       />
+      <AddToDatasetDialog
+        open={addToDatasetOpen}
+        onClose={() => setAddToDatasetOpen(false)}
+        onAdded={() => selection.deselectAll()}
+        agentLogIds={[...selection.selected]}
+      />
     </>
   );
 }
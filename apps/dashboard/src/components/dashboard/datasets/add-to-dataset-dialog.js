@@ -0,0 +1,134 @@
+/**
+ * @fileoverview AddToDatasetDialog component for copying production logs into a dataset
+ * Used by the entry and execution lists to curate selected rows
+ */
+
+'use client';
+
+import * as React from 'react';
+import Alert from '@mui/material/Alert';
+import Autocomplete from '@mui/material/Autocomplete';
+import Button from '@mui/material/Button';
+import Checkbox from '@mui/material/Checkbox';
+import Dialog from '@mui/material/Dialog';
+import DialogActions from '@mui/material/DialogActions';
+import DialogContent from '@mui/material/DialogContent';
+import DialogTitle from '@mui/material/DialogTitle';
+import FormControlLabel from '@mui/material/FormControlLabel';
+import MenuItem from '@mui/material/MenuItem';
+import Stack from '@mui/material/Stack';
+import TextField from '@mui/material/TextField';
+import Typography from '@mui/material/Typography';
+
+import { useAddDatasetItemsFromLogsMutation, useGetDatasetsQuery } from '@/services/datasetsService';
+
+const SPLITS = ['train', 'test', 'validation'];
+
+/**
+ * AddToDatasetDialog component
+ * @component
+ * @param {Object} props - Component props
+ * @param {boolean} props.open - Whether the dialog is open
+ * @param {Function} props.onClose - Called when the dialog closes
+ * @param {Function} [props.onAdded] - Called with the result after the logs were added
+ * @param {Array<number>} [props.modelLogIds=[]] - Selected LLM node entries
+ * @param {Array<number>} [props.agentLogIds=[]] - Selected agent executions
+ * @returns {JSX.Element} Rendered dialog
+ */
+export function AddToDatasetDialog({ open, onClose, onAdded, modelLogIds = [], agentLogIds = [] }) {
+  const [datasetId, setDatasetId] = React.useState('');
+  const [split, setSplit] = React.useState('');
+  const [tags, setTags] = React.useState([]);
+  const [deduplicate, setDeduplicate] = React.useState(true);
+  const [error, setError] = React.useState(null);
+  const [result, setResult] = React.useState(null);
+
+  const { data: datasets = [] } = useGetDatasetsQuery();
+  const [addItems, { isLoading }] = useAddDatasetItemsFromLogsMutation();
+
+  const count = modelLogIds.length + agentLogIds.length;
+
+  const handleClose = () => {
+    setError(null);
+    setResult(null);
+    onClose();
+  };
+
+  const handleAdd = async () => {
+    const response = await addItems({
+      datasetId,
+      modelLogIds,
+      agentLogIds,
+      split: split || null,
+      tags,
+      deduplicate,
+    });
+    if (response.error) {
+      setError(response.error.data?.error || 'Failed to add to the dataset');
+      return;
+    }
+    setError(null);
+    setResult(response.data);
+    onAdded?.(response.data);
+  };
+
+  return (
+    <Dialog open={open} onClose={handleClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Add to Dataset</DialogTitle>
+      <DialogContent>
+        <Stack spacing={2} sx={{ mt: 1 }}>
+          {error && <Alert severity="error">{error}</Alert>}
+          {!result && (
+            <Typography variant="body2">
+              Copy {count === 1 ? 'the selected log' : `the ${count} selected logs`} into a dataset as items.
+            </Typography>
+          )}
+          {result && (
+            <Alert severity="success">
+              Added {result.added}
+              {result.skipped ? `, skipped ${result.skipped} already in the dataset` : ''}
+              {result.notFound ? `, ${result.notFound} not found` : ''}
+            </Alert>
+          )}
+          <TextField select label="Dataset" value={datasetId} onChange={(e) => setDatasetId(e.target.value)} fullWidth>
+            {datasets.map((dataset) => (
+              <MenuItem key={dataset.id} value={dataset.id}>
+                {dataset.name}
+              </MenuItem>
+            ))}
+          </TextField>
+          <TextField select label="Split" value={split} onChange={(e) => setSplit(e.target.value)} fullWidth>
+            <MenuItem value="">Unassigned</MenuItem>
+            {SPLITS.map((option) => (
+              <MenuItem key={option} value={option}>
+                {option}
+              </MenuItem>
+            ))}
+          </TextField>
+          <Autocomplete
+            multiple
+            freeSolo
+            options={[]}
+            value={tags}
+            onChange={(e, value) => setTags(value)}
+            renderInput={(params) => <TextField {...params} label="Tags" helperText="Press enter to add a tag" />}
+          />
+          <FormControlLabel
+            control={<Checkbox checked={deduplicate} onChange={(e) => setDeduplicate(e.target.checked)} />}
+            label="Skip inputs already in the dataset"
+          />
+          <Typography color="text.secondary" variant="caption">
+            Items keep a link to the entry or execution they were copied from. A correct entry, as marked in review,
+            keeps its output as the expected output.
+          </Typography>
+        </Stack>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleClose}>{result ? 'Close' : 'Cancel'}</Button>
+        <Button variant="contained" onClick={handleAdd} disabled={!datasetId || !count || isLoading || Boolean(result)}>
+          Add to Dataset
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
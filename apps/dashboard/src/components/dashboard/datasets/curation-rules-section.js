@@ -0,0 +1,341 @@
+/**
+ * @fileoverview CurationRulesSection component for the saved curation rules of a dataset
+ * Rules periodically copy matching production entries or executions into the dataset
+ */
+
+'use client';
+
+import * as React from 'react';
+import Alert from '@mui/material/Alert';
+import Button from '@mui/material/Button';
+import Checkbox from '@mui/material/Checkbox';
+import FormControlLabel from '@mui/material/FormControlLabel';
+import IconButton from '@mui/material/IconButton';
+import MenuItem from '@mui/material/MenuItem';
+import Stack from '@mui/material/Stack';
+import Switch from '@mui/material/Switch';
+import Table from '@mui/material/Table';
+import TableBody from '@mui/material/TableBody';
+import TableCell from '@mui/material/TableCell';
+import TableHead from '@mui/material/TableHead';
+import TableRow from '@mui/material/TableRow';
+import TextField from '@mui/material/TextField';
+import Tooltip from '@mui/material/Tooltip';
+import Typography from '@mui/material/Typography';
+import { Play as PlayIcon } from '@phosphor-icons/react/dist/ssr/Play';
+import { Trash as TrashIcon } from '@phosphor-icons/react/dist/ssr/Trash';
+
+import { dayjs } from '@/lib/dayjs';
+import { useGetAgentsQuery } from '@/services/agentsService';
+import {
+  useCreateCurationRuleMutation,
+  useDeleteCurationRuleMutation,
+  useGetCurationRulesQuery,
+  useRunCurationRuleMutation,
+  useUpdateCurationRuleMutation,
+} from '@/services/datasetsService';
+import { useGetModelsQuery } from '@/services/modelsService';
+import { useGetEvaluationPromptsQuery } from '@/services/reviewersTemplateService';
+
+const SPLITS = ['train', 'test', 'validation'];
+
+const EMPTY_RULE = {
+  name: '',
+  source: 'model_log',
+  targetId: '',
+  lookbackDays: '7',
+  environment: 'production',
+  evaluatorId: '',
+  scoreBelow: '',
+  split: '',
+  deduplicate: true,
+  autoVersion: true,
+};
+
+/**
+ * Short description of a rule's filters
+ * @param {Object} rule - DatasetCurationRule
+ * @param {Array} evaluators - Evaluation prompts, to name the evaluator
+ * @returns {string} Description
+ */
+function describeRule(rule, evaluators) {
+  const { lookbackDays = 7, environment, evaluatorId, scoreBelow, scoreAtLeast } = rule.filters || {};
+  const parts = [`last ${lookbackDays} days`];
+  if (environment) {
+    parts.push(environment);
+  }
+  if (evaluatorId) {
+    const name = evaluators.find((evaluator) => evaluator.id === evaluatorId)?.name || `evaluator ${evaluatorId}`;
+    if (scoreBelow !== undefined && scoreBelow !== null && scoreBelow !== '') {
+      parts.push(`${name} < ${scoreBelow}`);
+    }
+    if (scoreAtLeast !== undefined && scoreAtLeast !== null && scoreAtLeast !== '') {
+      parts.push(`${name} >= ${scoreAtLeast}`);
+    }
+  }
+  if (rule.deduplicate) {
+    parts.push('deduplicated by input');
+  }
+  return parts.join(', ');
+}
+
+/**
+ * Form to create a curation rule
+ * @component
+ * @param {Object} props - Component props
+ * @param {Function} props.onCreate - Called with the rule fields
+ * @param {Array} props.evaluators - Evaluation prompts to filter by
+ * @returns {JSX.Element} Rendered form
+ */
+function CurationRuleForm({ onCreate, evaluators }) {
+  const [rule, setRule] = React.useState(EMPTY_RULE);
+  const { data: models = [] } = useGetModelsQuery();
+  const { data: agents = [] } = useGetAgentsQuery();
+
+  const set = (field) => (e) => setRule({ ...rule, [field]: e.target.value });
+  const isEntries = rule.source === 'model_log';
+
+  const handleCreate = async () => {
+    const created = await onCreate({
+      name: rule.name,
+      source: rule.source,
+      ...(isEntries ? { modelId: rule.targetId } : { agentId: rule.targetId }),
+      filters: {
+        lookbackDays: Number(rule.lookbackDays),
+        ...(rule.environment ? { environment: rule.environment } : {}),
+        ...(isEntries && rule.evaluatorId ? { evaluatorId: rule.evaluatorId } : {}),
+        ...(isEntries && rule.evaluatorId && rule.scoreBelow !== '' ? { scoreBelow: Number(rule.scoreBelow) } : {}),
+      },
+      split: rule.split || null,
+      deduplicate: rule.deduplicate,
+      autoVersion: rule.autoVersion,
+    });
+    if (created) {
+      setRule(EMPTY_RULE);
+    }
+  };
+
+  return (
+    <Stack spacing={1.5}>
+      <Stack direction="row" spacing={1}>
+        <TextField size="small" label="Name" value={rule.name} onChange={set('name')} fullWidth />
+        <TextField
+          select
+          size="small"
+          label="Source"
+          value={rule.source}
+          onChange={(e) => setRule({ ...rule, source: e.target.value, targetId: '', evaluatorId: '', scoreBelow: '' })}
+          sx={{ minWidth: 170 }}
+        >
+          <MenuItem value="model_log">LLM node entries</MenuItem>
+          <MenuItem value="agent_log">Agent executions</MenuItem>
+        </TextField>
+        <TextField
+          select
+          size="small"
+          label={isEntries ? 'LLM Node' : 'Agent'}
+          value={rule.targetId}
+          onChange={set('targetId')}
+          sx={{ minWidth: 180 }}
+        >
+          {(isEntries ? models : agents).map((target) => (
+            <MenuItem key={target.id} value={target.id}>
+              {target.name}
+            </MenuItem>
+          ))}
+        </TextField>
+      </Stack>
+      <Stack direction="row" spacing={1}>
+        <TextField
+          size="small"
+          type="number"
+          label="Last days"
+          value={rule.lookbackDays}
+          onChange={set('lookbackDays')}
+          inputProps={{ min: 1, max: 365 }}
+          sx={{ width: 110 }}
+        />
+        <TextField
+          select
+          size="small"
+          label="Environment"
+          value={rule.environment}
+          onChange={set('environment')}
+          sx={{ minWidth: 130 }}
+        >
+          <MenuItem value="">Any</MenuItem>
+          <MenuItem value="production">production</MenuItem>
+          <MenuItem value="staging">staging</MenuItem>
+        </TextField>
+        {isEntries && (
+          <>
+            <TextField
+              select
+              size="small"
+              label="Evaluator"
+              value={rule.evaluatorId}
+              onChange={set('evaluatorId')}
+              sx={{ minWidth: 160 }}
+            >
+              <MenuItem value="">Any</MenuItem>
+              {evaluators.map((evaluator) => (
+                <MenuItem key={evaluator.id} value={evaluator.id}>
+                  {evaluator.name}
+                </MenuItem>
+              ))}
+            </TextField>
+            <TextField
+              size="small"
+              type="number"
+              label="Score below"
+              value={rule.scoreBelow}
+              onChange={set('scoreBelow')}
+              disabled={!rule.evaluatorId}
+              sx={{ width: 120 }}
+            />
+          </>
+        )}
+        <TextField select size="small" label="Split" value={rule.split} onChange={set('split')} sx={{ minWidth: 120 }}>
+          <MenuItem value="">Unassigned</MenuItem>
+          {SPLITS.map((option) => (
+            <MenuItem key={option} value={option}>
+              {option}
+            </MenuItem>
+          ))}
+        </TextField>
+      </Stack>
+      <Stack direction="row" spacing={1} alignItems="center">
+        <FormControlLabel
+          control={
+            <Checkbox checked={rule.deduplicate} onChange={(e) => setRule({ ...rule, deduplicate: e.target.checked })} />
+          }
+          label="Deduplicate by input"
+        />
+        <FormControlLabel
+          control={
+            <Checkbox checked={rule.autoVersion} onChange={(e) => setRule({ ...rule, autoVersion: e.target.checked })} />
+          }
+          label="Create a version when items are added"
+        />
+        <Button variant="outlined" onClick={handleCreate} disabled={!rule.name || !rule.targetId} sx={{ ml: 'auto' }}>
+          Save Rule
+        </Button>
+      </Stack>
+    </Stack>
+  );
+}
+
+/**
+ * CurationRulesSection component
+ * @component
+ * @param {Object} props - Component props
+ * @param {number} props.datasetId - ID of the dataset
+ * @returns {JSX.Element} Rendered section
+ */
+export function CurationRulesSection({ datasetId }) {
+  const [message, setMessage] = React.useState(null);
+  const { data: rules = [] } = useGetCurationRulesQuery(datasetId);
+  const { data: evaluationPrompts = { data: [] } } = useGetEvaluationPromptsQuery();
+  const [createRule] = useCreateCurationRuleMutation();
+  const [updateRule] = useUpdateCurationRuleMutation();
+  const [deleteRule] = useDeleteCurationRuleMutation();
+  const [runRule, { isLoading: isRunning }] = useRunCurationRuleMutation();
+
+  const evaluators = evaluationPrompts.data || [];
+
+  /**
+   * Runs a mutation and shows its outcome
+   * @param {Promise} request - The mutation result promise
+   * @param {Function} [describe] - Builds the success message from the response
+   * @returns {Promise<boolean>} Whether the request succeeded
+   */
+  const report = async (request, describe) => {
+    const result = await request;
+    if (result.error) {
+      setMessage({ severity: 'error', text: result.error.data?.error || 'Request failed' });
+      return false;
+    }
+    setMessage(describe ? { severity: 'success', text: describe(result.data) } : null);
+    return true;
+  };
+
+  return (
+    <Stack spacing={2} sx={{ px: 3, pb: 4 }}>
+      <Typography variant="h6">Curation Rules</Typography>
+      <Typography color="text.secondary" variant="body2">
+        Enabled rules run hourly and copy matching production logs into this dataset, linked to the log they came from.
+      </Typography>
+      {message && (
+        <Alert severity={message.severity} onClose={() => setMessage(null)}>
+          {message.text}
+        </Alert>
+      )}
+      {rules.length > 0 && (
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Rule</TableCell>
+              <TableCell>Last Run</TableCell>
+              <TableCell>Enabled</TableCell>
+              <TableCell />
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {rules.map((rule) => (
+              <TableRow key={rule.id}>
+                <TableCell>
+                  <Typography variant="body2">{rule.name}</Typography>
+                  <Typography color="text.secondary" variant="caption">
+                    {describeRule(rule, evaluators)}
+                  </Typography>
+                </TableCell>
+                <TableCell>
+                  {rule.lastRunAt ? (
+                    <Tooltip title={rule.lastError || ''}>
+                      <Typography variant="body2" color={rule.lastError ? 'error' : 'text.primary'}>
+                        {dayjs(rule.lastRunAt).format('MMM D, hh:mm A')}
+                        {rule.lastError ? ' (failed)' : ` (+${rule.lastAddedCount})`}
+                      </Typography>
+                    </Tooltip>
+                  ) : (
+                    '-'
+                  )}
+                </TableCell>
+                <TableCell>
+                  <Switch
+                    size="small"
+                    checked={rule.enabled}
+                    onChange={(e) => report(updateRule({ datasetId, ruleId: rule.id, enabled: e.target.checked }))}
+                  />
+                </TableCell>
+                <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                  <Tooltip title="Run now">
+                    <span>
+                      <IconButton
+                        size="small"
+                        disabled={isRunning}
+                        onClick={() =>
+                          report(runRule({ datasetId, ruleId: rule.id }), (data) =>
+                            data.version
+                              ? `Added ${data.added} items and created version ${data.version}`
+                              : `Added ${data.added} items`
+                          )
+                        }
+                      >
+                        <PlayIcon />
+                      </IconButton>
+                    </span>
+                  </Tooltip>
+                  <IconButton size="small" color="error" onClick={() => report(deleteRule({ datasetId, ruleId: rule.id }))}>
+                    <TrashIcon />
+                  </IconButton>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      )}
+      <CurationRuleForm evaluators={evaluators} onCreate={(rule) => report(createRule({ datasetId, ...rule }))} />
+    </Stack>
+  );
+}
@@ -0,0 +1,460 @@
+/**
+ * @fileoverview DatasetItemsSection component for managing the items of a dataset
+ * Lists, imports and exports items, assigns splits and snapshots versions
+ */
+
+'use client';
+
+import * as React from 'react';
+import Alert from '@mui/material/Alert';
+import Button from '@mui/material/Button';
+import Chip from '@mui/material/Chip';
+import IconButton from '@mui/material/IconButton';
+import MenuItem from '@mui/material/MenuItem';
+import Stack from '@mui/material/Stack';
+import Table from '@mui/material/Table';
+import TableBody from '@mui/material/TableBody';
+import TableCell from '@mui/material/TableCell';
+import TableHead from '@mui/material/TableHead';
+import TablePagination from '@mui/material/TablePagination';
+import TableRow from '@mui/material/TableRow';
+import TextField from '@mui/material/TextField';
+import Typography from '@mui/material/Typography';
+import { DownloadSimple as DownloadSimpleIcon } from '@phosphor-icons/react/dist/ssr/DownloadSimple';
+import { Trash as TrashIcon } from '@phosphor-icons/react/dist/ssr/Trash';
+
+import { dayjs } from '@/lib/dayjs';
+import {
+  useAssignDatasetSplitsMutation,
+  useCreateDatasetItemsMutation,
+  useCreateDatasetVersionMutation,
+  useDeleteDatasetItemMutation,
+  useExportDatasetItemsMutation,
+  useGetDatasetItemsQuery,
+  useGetDatasetVersionsQuery,
+  useImportDatasetItemsMutation,
+  useUpdateDatasetItemMutation,
+} from '@/services/datasetsService';
+
+const SPLITS = ['train', 'test', 'validation'];
+const FORMATS = ['jsonl', 'csv', 'json'];
+
+const toText = (value) =>
+  value === null || value === undefined ? '' : typeof value === 'string' ? value : JSON.stringify(value);
+
+/**
+ * Saves text as a file in the browser
+ * @param {string} content - File contents
+ * @param {string} filename - Name of the downloaded file
+ */
+function downloadFile(content, filename) {
+  const downloadUrl = window.URL.createObjectURL(new Blob([content]));
+  const a = document.createElement('a');
+  a.href = downloadUrl;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  window.URL.revokeObjectURL(downloadUrl);
+}
+
+/**
+ * Reads the error message of a failed request, including per-row import errors
+ * @param {Object} error - RTK Query error
+ * @returns {string} Message to show
+ */
+function errorMessage(error) {
+  const rows = (error?.data?.errors || []).map((item) => (item.row ? `Row ${item.row}: ${item.error}` : item.error));
+  return [error?.data?.error || 'Request failed', ...rows].join('\n');
+}
+
+/**
+ * Form to add a single item
+ * @component
+ * @param {Object} props - Component props
+ * @param {Function} props.onAdd - Called with { input, expectedOutput }
+ * @returns {JSX.Element} Rendered form
+ */
+function AddItemForm({ onAdd }) {
+  const [input, setInput] = React.useState('');
+  const [expectedOutput, setExpectedOutput] = React.useState('');
+
+  const handleAdd = async () => {
+    const added = await onAdd({ input, expectedOutput: expectedOutput || null });
+    if (added) {
+      setInput('');
+      setExpectedOutput('');
+    }
+  };
+
+  return (
+    <Stack direction="row" spacing={1} alignItems="flex-start">
+      <TextField size="small" label="Input" value={input} onChange={(e) => setInput(e.target.value)} multiline fullWidth />
+      <TextField
+        size="small"
+        label="Expected Output"
+        value={expectedOutput}
+        onChange={(e) => setExpectedOutput(e.target.value)}
+        multiline
+        fullWidth
+      />
+      <Button variant="outlined" onClick={handleAdd} disabled={!input.trim()}>
+        Add
+      </Button>
+    </Stack>
+  );
+}
+
+/**
+ * Form to spread items over train, test and validation splits
+ * @component
+ * @param {Object} props - Component props
+ * @param {Function} props.onAssign - Called with the ratios and options
+ * @returns {JSX.Element} Rendered form
+ */
+function SplitsForm({ onAssign }) {
+  const [ratios, setRatios] = React.useState({ train: '0.8', test: '0.1', validation: '0.1' });
+  const [seed, setSeed] = React.useState('');
+
+  return (
+    <Stack direction="row" spacing={1} alignItems="center" flexWrap="wrap" useFlexGap>
+      {SPLITS.map((split) => (
+        <TextField
+          key={split}
+          size="small"
+          type="number"
+          label={split}
+          value={ratios[split]}
+          onChange={(e) => setRatios({ ...ratios, [split]: e.target.value })}
+          inputProps={{ min: 0, step: 0.05 }}
+          sx={{ width: 110 }}
+        />
+      ))}
+      <TextField size="small" label="Seed" value={seed} onChange={(e) => setSeed(e.target.value)} sx={{ width: 120 }} />
+      <Button variant="outlined" onClick={() => onAssign({ ...ratios, seed: seed || undefined })}>
+        Assign Splits
+      </Button>
+      <Button onClick={() => onAssign({ ...ratios, seed: seed || undefined, onlyUnassigned: true })}>
+        Only Unassigned
+      </Button>
+    </Stack>
+  );
+}
+
+/**
+ * Version snapshots of the dataset, each downloadable
+ * @component
+ * @param {Object} props - Component props
+ * @param {Array} props.versions - DatasetVersions, newest first
+ * @param {Function} props.onExport - Called with the version number
+ * @returns {JSX.Element} Rendered table
+ */
+function VersionsTable({ versions, onExport }) {
+  if (!versions.length) {
+    return (
+      <Typography color="text.secondary" variant="body2">
+        No versions yet. Create one to run experiments on a fixed set of items.
+      </Typography>
+    );
+  }
+
+  return (
+    <Table size="small">
+      <TableHead>
+        <TableRow>
+          <TableCell>Version</TableCell>
+          <TableCell>Items</TableCell>
+          <TableCell>Splits</TableCell>
+          <TableCell>Created</TableCell>
+          <TableCell />
+        </TableRow>
+      </TableHead>
+      <TableBody>
+        {versions.map((version) => (
+          <TableRow key={version.id}>
+            <TableCell>
+              <Typography variant="body2">v{version.version}</Typography>
+              {version.description && (
+                <Typography color="text.secondary" variant="caption">
+                  {version.description}
+                </Typography>
+              )}
+            </TableCell>
+            <TableCell>{version.itemCount}</TableCell>
+            <TableCell>
+              <Stack direction="row" spacing={0.5} flexWrap="wrap" useFlexGap>
+                {Object.entries(version.splitCounts || {}).map(([split, count]) => (
+                  <Chip key={split} label={`${split}: ${count}`} size="small" variant="outlined" />
+                ))}
+              </Stack>
+            </TableCell>
+            <TableCell>{dayjs(version.createdAt).format('MMM D, YYYY hh:mm A')}</TableCell>
+            <TableCell align="right">
+              <IconButton size="small" onClick={() => onExport(version.version)}>
+                <DownloadSimpleIcon />
+              </IconButton>
+            </TableCell>
+          </TableRow>
+        ))}
+      </TableBody>
+    </Table>
+  );
+}
+
+/**
+ * DatasetItemsSection component for the items and versions of a dataset
+ * @component
+ * @param {Object} props - Component props
+ * @param {number} props.datasetId - ID of the dataset
+ * @returns {JSX.Element} Rendered section
+ *
+ * @description
+ * This component provides:
+ * - Paged item list filtered by split and tag, with inline split changes
+ * - CSV, JSONL and JSON import and export
+ * - Deterministic train/test/validation split assignment
+ * - Immutable version snapshots
+ */
+export function DatasetItemsSection({ datasetId }) {
+  const [split, setSplit] = React.useState('');
+  const [tag, setTag] = React.useState('');
+  const [page, setPage] = React.useState(0);
+  const [rowsPerPage, setRowsPerPage] = React.useState(10);
+  const [exportFormat, setExportFormat] = React.useState('jsonl');
+  const [versionDescription, setVersionDescription] = React.useState('');
+  const [message, setMessage] = React.useState(null);
+  const fileInputRef = React.useRef(null);
+
+  const { data: items = { total: 0, items: [] }, isFetching } = useGetDatasetItemsQuery({
+    datasetId,
+    ...(split ? { split } : {}),
+    ...(tag ? { tag } : {}),
+    offset: page * rowsPerPage,
+    limit: rowsPerPage,
+  });
+  const { data: versions = [] } = useGetDatasetVersionsQuery(datasetId);
+  const [createItems] = useCreateDatasetItemsMutation();
+  const [updateItem] = useUpdateDatasetItemMutation();
+  const [deleteItem] = useDeleteDatasetItemMutation();
+  const [importItems, { isLoading: isImporting }] = useImportDatasetItemsMutation();
+  const [exportItems] = useExportDatasetItemsMutation();
+  const [assignSplits] = useAssignDatasetSplitsMutation();
+  const [createVersion, { isLoading: isVersioning }] = useCreateDatasetVersionMutation();
+
+  /**
+   * Runs a mutation and shows its outcome
+   * @param {Promise} request - The mutation result promise
+   * @param {Function} describe - Builds the success message from the response
+   * @returns {Promise<boolean>} Whether the request succeeded
+   */
+  const report = async (request, describe) => {
+    const result = await request;
+    if (result.error) {
+      setMessage({ severity: 'error', text: errorMessage(result.error) });
+      return false;
+    }
+    setMessage(describe ? { severity: 'success', text: describe(result.data) } : null);
+    return true;
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (file) {
+      await report(importItems({ datasetId, file }), (data) => `Imported ${data.imported} items from ${file.name}`);
+    }
+  };
+
+  const handleExport = async (version) => {
+    const result = await exportItems({
+      datasetId,
+      format: exportFormat,
+      ...(version ? { version } : {}),
+    });
+    if (result.error) {
+      setMessage({ severity: 'error', text: errorMessage(result.error) });
+      return;
+    }
+    downloadFile(result.data, `dataset-${datasetId}-${version ? `v${version}` : 'draft'}.${exportFormat}`);
+  };
+
+  const handleCreateVersion = async () => {
+    const created = await report(
+      createVersion({ datasetId, description: versionDescription || undefined }),
+      (data) => `Created version ${data.version} with ${data.itemCount} items`
+    );
+    if (created) {
+      setVersionDescription('');
+    }
+  };
+
+  return (
+    <Stack spacing={3} sx={{ px: 3, pb: 4 }}>
+      <Stack direction="row" spacing={2} alignItems="center" justifyContent="space-between">
+        <Typography variant="h6">Items</Typography>
+        <Stack direction="row" spacing={1} alignItems="center">
+          <input ref={fileInputRef} type="file" accept=".csv,.jsonl,.json" hidden onChange={handleImport} />
+          <Button variant="outlined" size="small" onClick={() => fileInputRef.current?.click()} disabled={isImporting}>
+            Import
+          </Button>
+          <TextField select size="small" value={exportFormat} onChange={(e) => setExportFormat(e.target.value)}>
+            {FORMATS.map((format) => (
+              <MenuItem key={format} value={format}>
+                {format.toUpperCase()}
+              </MenuItem>
+            ))}
+          </TextField>
+          <Button variant="outlined" size="small" onClick={() => handleExport()}>
+            Export
+          </Button>
+        </Stack>
+      </Stack>
+
+      {message && (
+        <Alert severity={message.severity} onClose={() => setMessage(null)} sx={{ whiteSpace: 'pre-line' }}>
+          {message.text}
+        </Alert>
+      )}
+
+      <AddItemForm
+        onAdd={(item) => report(createItems({ datasetId, items: item }))}
+      />
+
+      <Stack direction="row" spacing={1}>
+        <TextField
+          select
+          size="small"
+          label="Split"
+          value={split}
+          onChange={(e) => {
+            setSplit(e.target.value);
+            setPage(0);
+          }}
+          sx={{ minWidth: 140 }}
+        >
+          <MenuItem value="">All</MenuItem>
+          {[...SPLITS, 'unassigned'].map((option) => (
+            <MenuItem key={option} value={option}>
+              {option}
+            </MenuItem>
+          ))}
+        </TextField>
+        <TextField
+          size="small"
+          label="Tag"
+          value={tag}
+          onChange={(e) => {
+            setTag(e.target.value.trim());
+            setPage(0);
+          }}
+        />
+      </Stack>
+
+      <Table size="small" sx={{ opacity: isFetching ? 0.6 : 1 }}>
+        <TableHead>
+          <TableRow>
+            <TableCell>Input</TableCell>
+            <TableCell>Expected Output</TableCell>
+            <TableCell>Tags</TableCell>
+            <TableCell>Split</TableCell>
+            <TableCell />
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {items.items.map((item) => (
+            <TableRow key={item.id}>
+              <TableCell sx={{ maxWidth: 220, wordBreak: 'break-word' }}>
+                <Typography variant="body2">{toText(item.input)}</Typography>
+                <Typography color="text.secondary" variant="caption">
+                  {item.source === 'import' && item.sourceRef?.fileName
+                    ? `${item.sourceRef.fileName}, row ${item.sourceRef.row}`
+                    : item.source}
+                </Typography>
+              </TableCell>
+              <TableCell sx={{ maxWidth: 220, wordBreak: 'break-word' }}>{toText(item.expectedOutput)}</TableCell>
+              <TableCell>
+                <Stack direction="row" spacing={0.5} flexWrap="wrap" useFlexGap>
+                  {(item.tags || []).map((itemTag) => (
+                    <Chip key={itemTag} label={itemTag} size="small" onClick={() => setTag(itemTag)} />
+                  ))}
+                </Stack>
+              </TableCell>
+              <TableCell>
+                <TextField
+                  select
+                  size="small"
+                  variant="standard"
+                  value={item.split || ''}
+                  onChange={(e) =>
+                    report(updateItem({ datasetId, itemId: item.id, split: e.target.value || null }))
+                  }
+                >
+                  <MenuItem value="">-</MenuItem>
+                  {SPLITS.map((option) => (
+                    <MenuItem key={option} value={option}>
+                      {option}
+                    </MenuItem>
+                  ))}
+                </TextField>
+              </TableCell>
+              <TableCell align="right">
+                <IconButton size="small" color="error" onClick={() => report(deleteItem({ datasetId, itemId: item.id }))}>
+                  <TrashIcon />
+                </IconButton>
+              </TableCell>
+            </TableRow>
+          ))}
+          {!items.items.length && (
+            <TableRow>
+              <TableCell colSpan={5}>
+                <Typography color="text.secondary" variant="body2" sx={{ textAlign: 'center' }}>
+                  No items found
+                </Typography>
+              </TableCell>
+            </TableRow>
+          )}
+        </TableBody>
+      </Table>
+      <TablePagination
+        component="div"
+        count={items.total}
+        page={page}
+        rowsPerPage={rowsPerPage}
+        rowsPerPageOptions={[10, 25, 50]}
+        onPageChange={(e, newPage) => setPage(newPage)}
+        onRowsPerPageChange={(e) => {
+          setRowsPerPage(parseInt(e.target.value, 10));
+          setPage(0);
+        }}
+      />
+
+      <Stack spacing={1}>
+        <Typography variant="subtitle2">Splits</Typography>
+        <SplitsForm
+          onAssign={(ratios) =>
+            report(assignSplits({ datasetId, ...ratios }), (counts) =>
+              `Assigned ${SPLITS.map((option) => `${counts[option]} to ${option}`).join(', ')}`
+            )
+          }
+        />
+      </Stack>
+
+      <Stack spacing={1}>
+        <Typography variant="subtitle2">Versions</Typography>
+        <Stack direction="row" spacing={1}>
+          <TextField
+            size="small"
+            label="Description"
+            value={versionDescription}
+            onChange={(e) => setVersionDescription(e.target.value)}
+            fullWidth
+          />
+          <Button variant="contained" onClick={handleCreateVersion} disabled={isVersioning} sx={{ whiteSpace: 'nowrap' }}>
+            Create Version
+          </Button>
+        </Stack>
+        <VersionsTable versions={versions} onExport={handleExport} />
+      </Stack>
+    </Stack>
+  );
+}
@@ -27,6 +27,9 @@ import { Option } from '@/components/core/option';
 import { datasetTypes } from '@/constants/datasets';
 import { modelTypes, providers } from '@/constants/models';
 
+import { CurationRulesSection } from './curation-rules-section';
+import { DatasetItemsSection } from './dataset-items-section';
+
 const typeOptions = ['percentage', 'numeric'];
 
 /**
@@ -301,6 +304,8 @@ function Actions({ editableItem, editMode, handleSave, toggleEditMode, cancelEdi
  * - Form validation and submission
  * - Timestamp display and management
  * - Action handling (delete, favorite, edit)
+ * - Item, split and version management of the dataset
+ * - Curation rules that keep adding production logs
  */
 export function ItemModal({
   item,
@@ -359,7 +364,7 @@ export function ItemModal({
 
   return (
     <Dialog
-      maxWidth="sm"
+      maxWidth="md"
       onClose={onClose}
       open={open}
       sx={{
@@ -393,6 +398,8 @@ export function ItemModal({
             cancelEditMode={cancelEditMode}
             onDelete={() => onDelete?.(item.id)}
           />
+          <DatasetItemsSection datasetId={item.id} />
+          <CurationRulesSection datasetId={item.id} />
         </Stack>
       </DialogContent>
     </Dialog>
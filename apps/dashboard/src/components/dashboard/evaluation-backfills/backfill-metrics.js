@@ -0,0 +1,151 @@
+'use client';
+
+import * as React from 'react';
+import { Alert, Box, Card, CardContent, CardHeader, CircularProgress, Stack, Typography } from '@mui/material';
+import { CartesianGrid, Legend, Line, LineChart, ResponsiveContainer, Tooltip, XAxis, YAxis } from 'recharts';
+
+import { NoSsr } from '@/components/core/no-ssr';
+import { useGetEvaluationBackfillMetricsQuery } from '@/services/evaluationBackfillService';
+import { ACTIVE_STATUSES, BackfillProgress, BackfillStatusChip } from './backfill-progress';
+
+const ORIGINAL_COLOR = '#90a4ae';
+const BACKFILLED_COLOR = '#4dd0e1';
+
+const formatScore = (value) => (value === null || value === undefined ? '-' : Number(value).toFixed(2));
+
+/**
+ * Daily scores oldest first. Days are keyed day-month-year, not zero padded.
+ * @param {Object} daily - { [day]: { original, backfilled } }
+ * @returns {Array<Object>} [{ date, original, backfilled }]
+ */
+const toChartData = (daily) =>
+  Object.entries(daily || {})
+    .map(([day, scores]) => {
+      const [date, month, year] = day.split('-').map(Number);
+      return { date: Date.UTC(year, month - 1, date), ...scores };
+    })
+    .sort((a, b) => a.date - b.date);
+
+function ScoreSummary({ label, score, color }) {
+  return (
+    <Box>
+      <Typography variant="caption" sx={{ color }}>
+        {label}
+      </Typography>
+      <Typography variant="h6">{formatScore(score.averageScore)}</Typography>
+      <Typography variant="caption" color="text.secondary">
+        {score.entries} entries
+      </Typography>
+    </Box>
+  );
+}
+
+/**
+ * An evaluator's average score before and after the backfill, overall and
+ * per day of the backfilled entries
+ */
+function EvaluatorMetrics({ evaluator }) {
+  const chartData = toChartData(evaluator.daily);
+  const { averageScore: before } = evaluator.original;
+  const { averageScore: after } = evaluator.backfilled;
+  const change = before !== null && after !== null ? after - before : null;
+
+  return (
+    <Card variant="outlined">
+      <CardHeader
+        title={evaluator.name}
+        subheader={change === null ? 'Scores out of 10' : `Average moved by ${change > 0 ? '+' : ''}${change.toFixed(2)}`}
+      />
+      <CardContent>
+        <Stack direction="row" spacing={4} sx={{ mb: 2 }}>
+          <ScoreSummary label="Original" score={evaluator.original} color={ORIGINAL_COLOR} />
+          <ScoreSummary label="Backfilled" score={evaluator.backfilled} color={BACKFILLED_COLOR} />
+        </Stack>
+        {!chartData.length ? (
+          <Typography color="text.secondary" variant="body2">
+            No entries have been backfilled yet.
+          </Typography>
+        ) : (
+          <NoSsr>
+            <ResponsiveContainer width="100%" height={220}>
+              <LineChart data={chartData} margin={{ right: 25, top: 10 }}>
+                <CartesianGrid strokeDasharray="2 4" vertical={false} stroke="#1a2a33" />
+                <XAxis
+                  dataKey="date"
+                  type="number"
+                  scale="time"
+                  domain={['dataMin', 'dataMax']}
+                  tickFormatter={(value) => new Date(value).toLocaleDateString(undefined, { timeZone: 'UTC' })}
+                  axisLine={false}
+                  tickLine={false}
+                />
+                <YAxis axisLine={false} domain={[0, 10]} type="number" />
+                <Line
+                  animationDuration={300}
+                  dataKey="original"
+                  name="Original"
+                  stroke={ORIGINAL_COLOR}
+                  strokeWidth={2}
+                  dot={false}
+                  connectNulls
+                />
+                <Line
+                  animationDuration={300}
+                  dataKey="backfilled"
+                  name="Backfilled"
+                  stroke={BACKFILLED_COLOR}
+                  strokeWidth={2}
+                  dot={false}
+                  connectNulls
+                />
+                <Tooltip
+                  animationDuration={50}
+                  labelFormatter={(value) => new Date(value).toLocaleDateString(undefined, { timeZone: 'UTC' })}
+                  formatter={(value) => formatScore(value)}
+                />
+                <Legend />
+              </LineChart>
+            </ResponsiveContainer>
+          </NoSsr>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+/**
+ * Progress of a backfill and the original against backfilled scores of each
+ * of its evaluators. Polls while the backfill runs.
+ */
+export function BackfillMetrics({ backfillId, error }) {
+  const [pollingInterval, setPollingInterval] = React.useState(0);
+  const { data: metrics, isLoading } = useGetEvaluationBackfillMetricsQuery(backfillId, {
+    skip: !backfillId,
+    pollingInterval,
+  });
+  const inProgress = ACTIVE_STATUSES.includes(metrics?.status);
+
+  React.useEffect(() => {
+    setPollingInterval(inProgress ? 5000 : 0);
+  }, [inProgress]);
+
+  if (isLoading || !metrics) {
+    return <CircularProgress size={24} />;
+  }
+
+  return (
+    <Stack spacing={3}>
+      <Stack direction="row" spacing={2} alignItems="center">
+        <Typography variant="h6">Backfill #{backfillId}</Typography>
+        <BackfillStatusChip status={metrics.status} />
+        <Box sx={{ flex: 1, maxWidth: 360 }}>
+          <BackfillProgress progress={metrics.progress} status={metrics.status} />
+        </Box>
+      </Stack>
+      {error && <Alert severity="error">{error}</Alert>}
+      {metrics.evaluators.map((evaluator) => (
+        <EvaluatorMetrics key={evaluator.evaluationPromptId} evaluator={evaluator} />
+      ))}
+    </Stack>
+  );
+}
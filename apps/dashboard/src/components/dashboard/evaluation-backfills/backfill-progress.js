@@ -0,0 +1,42 @@
+'use client';
+
+import * as React from 'react';
+import { Box, Chip, LinearProgress, Typography } from '@mui/material';
+
+const STATUS_COLORS = {
+  pending: 'default',
+  running: 'info',
+  completed: 'success',
+  failed: 'error',
+  cancelled: 'warning',
+};
+
+export const ACTIVE_STATUSES = ['pending', 'running'];
+
+export function BackfillStatusChip({ status }) {
+  return <Chip label={status} size="small" color={STATUS_COLORS[status] || 'default'} />;
+}
+
+/**
+ * Progress bar of a backfill, from the progress the API reports with it
+ * @param {Object} props.progress - { total, processed, failed, percent }
+ */
+export function BackfillProgress({ progress, status }) {
+  if (!progress) {
+    return null;
+  }
+  const active = ACTIVE_STATUSES.includes(status);
+  return (
+    <Box sx={{ minWidth: 160 }}>
+      <LinearProgress
+        variant={status === 'pending' ? 'indeterminate' : 'determinate'}
+        value={progress.percent}
+        color={status === 'failed' ? 'error' : active ? 'primary' : 'success'}
+      />
+      <Typography variant="caption" color="text.secondary">
+        {progress.processed} of {progress.total} entries
+        {progress.failed ? ` · ${progress.failed} failed` : ''}
+      </Typography>
+    </Box>
+  );
+}
@@ -0,0 +1,90 @@
+'use client';
+
+import * as React from 'react';
+import {
+  IconButton,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Tooltip,
+  Typography,
+} from '@mui/material';
+import { XCircle } from '@phosphor-icons/react';
+import { useCancelEvaluationBackfillMutation } from '@/services/evaluationBackfillService';
+import { ACTIVE_STATUSES, BackfillProgress, BackfillStatusChip } from './backfill-progress';
+
+const formatCost = (estimate) =>
+  estimate?.totalCost === null || estimate?.totalCost === undefined ? '-' : `$${estimate.totalCost.toFixed(2)}`;
+
+const formatWindow = (filters) =>
+  `${new Date(filters.startDate).toLocaleDateString()} - ${new Date(filters.endDate).toLocaleDateString()}`;
+
+export function BackfillsTable({ backfills, models, selectedId, onSelect }) {
+  const [cancelEvaluationBackfill] = useCancelEvaluationBackfillMutation();
+  const modelNames = new Map(models.map((model) => [model.id, model.name]));
+
+  if (!backfills.length) {
+    return (
+      <Typography variant="body2" color="text.secondary" sx={{ p: 2 }}>
+        No backfills yet. Start one to re-run changed evaluators over past entries.
+      </Typography>
+    );
+  }
+
+  return (
+    <Table size="small">
+      <TableHead>
+        <TableRow>
+          <TableCell>LLM Node</TableCell>
+          <TableCell>Evaluators</TableCell>
+          <TableCell>Window</TableCell>
+          <TableCell>Status</TableCell>
+          <TableCell>Progress</TableCell>
+          <TableCell align="right">Estimated cost</TableCell>
+          <TableCell>Created</TableCell>
+          <TableCell />
+        </TableRow>
+      </TableHead>
+      <TableBody>
+        {backfills.map((backfill) => (
+          <TableRow
+            key={backfill.id}
+            hover
+            selected={backfill.id === selectedId}
+            onClick={() => onSelect(backfill.id)}
+            sx={{ cursor: 'pointer' }}
+          >
+            <TableCell>{modelNames.get(backfill.modelId) || `Model ${backfill.modelId}`}</TableCell>
+            <TableCell>{(backfill.evaluators || []).map((evaluator) => evaluator.name).join(', ')}</TableCell>
+            <TableCell>{formatWindow(backfill.filters)}</TableCell>
+            <TableCell>
+              <BackfillStatusChip status={backfill.status} />
+            </TableCell>
+            <TableCell>
+              <BackfillProgress progress={backfill.progress} status={backfill.status} />
+            </TableCell>
+            <TableCell align="right">{formatCost(backfill.estimate)}</TableCell>
+            <TableCell>{new Date(backfill.createdAt).toLocaleString()}</TableCell>
+            <TableCell align="right">
+              {ACTIVE_STATUSES.includes(backfill.status) && (
+                <Tooltip title="Cancel">
+                  <IconButton
+                    size="small"
+                    onClick={(event) => {
+                      event.stopPropagation();
+                      cancelEvaluationBackfill(backfill.id);
+                    }}
+                  >
+                    <XCircle size={16} />
+                  </IconButton>
+                </Tooltip>
+              )}
+            </TableCell>
+          </TableRow>
+        ))}
+      </TableBody>
+    </Table>
+  );
+}
@@ -0,0 +1,255 @@
+'use client';
+
+import * as React from 'react';
+import {
+  Alert,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  MenuItem,
+  Stack,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography,
+} from '@mui/material';
+import { useGetModelsQuery } from '@/services/modelsService';
+import { useGetPromptsForModelQuery } from '@/services/reviewersTemplateService';
+import {
+  useCreateEvaluationBackfillMutation,
+  useEstimateEvaluationBackfillMutation,
+} from '@/services/evaluationBackfillService';
+
+const ENVIRONMENTS = ['production', 'staging', 'development'];
+
+const formatCost = (cost) => (cost === null || cost === undefined ? 'unknown' : `$${cost.toFixed(2)}`);
+
+// Value of a datetime-local field, in local time
+const toDateTimeInput = (date) => {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 16);
+};
+
+const defaultWindow = () => {
+  const endDate = new Date();
+  return {
+    startDate: toDateTimeInput(new Date(endDate.getTime() - 7 * 24 * 60 * 60 * 1000)),
+    endDate: toDateTimeInput(endDate),
+  };
+};
+
+function EstimateTable({ estimate }) {
+  return (
+    <Stack spacing={1}>
+      <Typography variant="subtitle2">
+        {estimate.entries} entries · {estimate.totalTokens.toLocaleString()} tokens · {formatCost(estimate.totalCost)}
+      </Typography>
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell>Evaluator</TableCell>
+            <TableCell>Judge model</TableCell>
+            <TableCell align="right">Judgments</TableCell>
+            <TableCell align="right">Tokens</TableCell>
+            <TableCell align="right">Cost</TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {estimate.evaluators.map((evaluator) => (
+            <TableRow key={evaluator.evaluationPromptId}>
+              <TableCell>{evaluator.name}</TableCell>
+              <TableCell>{evaluator.model || '-'}</TableCell>
+              <TableCell align="right">{evaluator.judgments}</TableCell>
+              <TableCell align="right">{(evaluator.inputTokens + evaluator.outputTokens).toLocaleString()}</TableCell>
+              <TableCell align="right">{formatCost(evaluator.cost)}</TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    </Stack>
+  );
+}
+
+/**
+ * Dialog to re-run evaluators of an LLM node over its entries in a time
+ * window. Shows the estimated tokens and cost before the backfill starts.
+ */
+export function CreateBackfillDialog({ open, onClose, onCreated }) {
+  const [modelId, setModelId] = React.useState('');
+  const [evaluationPromptIds, setEvaluationPromptIds] = React.useState([]);
+  const [dateWindow, setDateWindow] = React.useState(defaultWindow);
+  const [environment, setEnvironment] = React.useState('production');
+  const [limit, setLimit] = React.useState('');
+  const [maxCostUsd, setMaxCostUsd] = React.useState('');
+  const [estimate, setEstimate] = React.useState(null);
+  const [error, setError] = React.useState(null);
+
+  const { data: models = [] } = useGetModelsQuery();
+  const { data: evaluators = [] } = useGetPromptsForModelQuery(modelId, { skip: !modelId });
+  const [estimateEvaluationBackfill, { isLoading: isEstimating }] = useEstimateEvaluationBackfillMutation();
+  const [createEvaluationBackfill, { isLoading: isCreating }] = useCreateEvaluationBackfillMutation();
+
+  const reset = () => {
+    setModelId('');
+    setEvaluationPromptIds([]);
+    setDateWindow(defaultWindow());
+    setEnvironment('production');
+    setLimit('');
+    setMaxCostUsd('');
+    setEstimate(null);
+    setError(null);
+  };
+
+  const handleClose = () => {
+    reset();
+    onClose();
+  };
+
+  // Any change to the request makes the estimate stale
+  const update = (setter) => (event) => {
+    setter(event.target.value);
+    setEstimate(null);
+  };
+
+  const request = () => ({
+    modelId,
+    evaluationPromptIds,
+    filters: {
+      startDate: new Date(dateWindow.startDate).toISOString(),
+      endDate: new Date(dateWindow.endDate).toISOString(),
+      environment,
+      ...(limit ? { limit: parseInt(limit, 10) } : {}),
+    },
+  });
+
+  const handleEstimate = async () => {
+    setError(null);
+    const result = await estimateEvaluationBackfill(request());
+    if (result.error) {
+      setError(result.error.data?.error || 'Failed to estimate the backfill');
+      return;
+    }
+    setEstimate(result.data);
+  };
+
+  const handleSubmit = async () => {
+    setError(null);
+    const result = await createEvaluationBackfill({
+      ...request(),
+      ...(maxCostUsd !== '' ? { maxCostUsd: Number(maxCostUsd) } : {}),
+    });
+    if (result.error) {
+      setError(result.error.data?.error || 'Failed to start the backfill');
+      if (result.error.data?.estimate) {
+        setEstimate(result.error.data.estimate);
+      }
+      return;
+    }
+    reset();
+    onCreated?.(result.data);
+  };
+
+  const canEstimate = modelId && evaluationPromptIds.length && dateWindow.startDate && dateWindow.endDate;
+
+  return (
+    <Dialog open={open} onClose={handleClose} maxWidth="md" fullWidth>
+      <DialogTitle>New Backfill</DialogTitle>
+      <DialogContent>
+        <Stack spacing={2} sx={{ mt: 1 }}>
+          {error && <Alert severity="error">{error}</Alert>}
+          <TextField
+            select
+            label="LLM Node"
+            value={modelId}
+            onChange={(e) => {
+              update(setModelId)(e);
+              setEvaluationPromptIds([]);
+            }}
+            fullWidth
+          >
+            {models.map((model) => (
+              <MenuItem key={model.id} value={model.id}>
+                {model.name}
+              </MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            select
+            label="Evaluators"
+            value={evaluationPromptIds}
+            onChange={update(setEvaluationPromptIds)}
+            SelectProps={{ multiple: true }}
+            disabled={!modelId}
+            helperText={modelId && !evaluators.length ? 'Associate an evaluator with the node first' : ' '}
+            fullWidth
+          >
+            {evaluators.map((evaluator) => (
+              <MenuItem key={evaluator.evaluationPromptId} value={evaluator.evaluationPromptId}>
+                {evaluator.name}
+              </MenuItem>
+            ))}
+          </TextField>
+          <Stack direction="row" spacing={2}>
+            <TextField
+              type="datetime-local"
+              label="From"
+              value={dateWindow.startDate}
+              onChange={update((startDate) => setDateWindow({ ...dateWindow, startDate }))}
+              InputLabelProps={{ shrink: true }}
+              fullWidth
+            />
+            <TextField
+              type="datetime-local"
+              label="To"
+              value={dateWindow.endDate}
+              onChange={update((endDate) => setDateWindow({ ...dateWindow, endDate }))}
+              InputLabelProps={{ shrink: true }}
+              fullWidth
+            />
+          </Stack>
+          <Stack direction="row" spacing={2}>
+            <TextField select label="Environment" value={environment} onChange={update(setEnvironment)} fullWidth>
+              {ENVIRONMENTS.map((option) => (
+                <MenuItem key={option} value={option}>
+                  {option}
+                </MenuItem>
+              ))}
+            </TextField>
+            <TextField
+              type="number"
+              label="Max Entries"
+              value={limit}
+              onChange={update(setLimit)}
+              inputProps={{ min: 1 }}
+              fullWidth
+            />
+            <TextField
+              type="number"
+              label="Max Cost (USD)"
+              value={maxCostUsd}
+              onChange={(e) => setMaxCostUsd(e.target.value)}
+              inputProps={{ min: 0, step: 0.01 }}
+              helperText="The backfill is rejected if it is estimated to cost more"
+              fullWidth
+            />
+          </Stack>
+          {estimate && <EstimateTable estimate={estimate} />}
+        </Stack>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleClose}>Cancel</Button>
+        <Button variant="outlined" onClick={handleEstimate} disabled={!canEstimate || isEstimating}>
+          Estimate Cost
+        </Button>
+        <Button variant="contained" onClick={handleSubmit} disabled={!estimate || !estimate.entries || isCreating}>
+          Start Backfill
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
@@ -0,0 +1,145 @@
+import React from 'react';
+import {
+  Box,
+  Chip,
+  CircularProgress,
+  Paper,
+  Stack,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Typography,
+} from '@mui/material';
+import { useGetEvaluatorCalibrationQuery } from '@/services/reviewersTemplateService';
+
+const formatRate = (value) => (value === null || value === undefined ? '-' : `${(value * 100).toFixed(1)}%`);
+const formatKappa = (value) => (value === null || value === undefined ? '-' : value.toFixed(2));
+
+/**
+ * Chip telling whether an evaluator's verdicts can be trusted
+ */
+export function CalibrationChip({ calibration }) {
+  if (!calibration?.labeled) {
+    return <Chip label="No human labels" size="small" variant="outlined" />;
+  }
+  return (
+    <Chip
+      label={calibration.trusted ? 'Trusted' : 'Not trusted'}
+      size="small"
+      color={calibration.trusted ? 'success' : 'warning'}
+    />
+  );
+}
+
+function MetricBox({ label, value }) {
+  return (
+    <Box sx={{ flex: 1 }}>
+      <Typography variant="caption" color="text.secondary">
+        {label}
+      </Typography>
+      <Typography variant="h6">{value}</Typography>
+    </Box>
+  );
+}
+
+/**
+ * Judge verdicts against human verdicts; an incorrect entry is the positive class
+ */
+function ConfusionMatrix({ matrix }) {
+  const cellSx = { textAlign: 'center', py: 1 };
+  return (
+    <Table size="small" sx={{ maxWidth: 420 }}>
+      <TableHead>
+        <TableRow>
+          <TableCell />
+          <TableCell sx={cellSx}>Human: incorrect</TableCell>
+          <TableCell sx={cellSx}>Human: correct</TableCell>
+        </TableRow>
+      </TableHead>
+      <TableBody>
+        <TableRow>
+          <TableCell>Judge: incorrect</TableCell>
+          <TableCell sx={cellSx}>{matrix.truePositive}</TableCell>
+          <TableCell sx={cellSx}>{matrix.falsePositive}</TableCell>
+        </TableRow>
+        <TableRow>
+          <TableCell>Judge: correct</TableCell>
+          <TableCell sx={cellSx}>{matrix.falseNegative}</TableCell>
+          <TableCell sx={cellSx}>{matrix.trueNegative}</TableCell>
+        </TableRow>
+      </TableBody>
+    </Table>
+  );
+}
+
+/**
+ * Shows how often an evaluator agrees with human verdicts: agreement,
+ * precision, recall and Cohen's kappa, its confusion matrix and the same
+ * metrics per LLM node
+ */
+export default function EvaluatorCalibrationPanel({ evaluatorId }) {
+  const { data = [], isLoading } = useGetEvaluatorCalibrationQuery(
+    { evaluatorId },
+    { skip: !evaluatorId }
+  );
+  const calibration = data.find((item) => String(item.evaluatorId) === String(evaluatorId));
+
+  return (
+    <Box>
+      <Stack direction="row" justifyContent="space-between" alignItems="center" sx={{ mb: 1 }}>
+        <Typography variant="subtitle1">Human Agreement</Typography>
+        {!isLoading && <CalibrationChip calibration={calibration} />}
+      </Stack>
+      {isLoading ? (
+        <CircularProgress size={24} />
+      ) : !calibration?.labeled ? (
+        <Typography variant="body2" color="text.secondary">
+          Correct entries in the tracing view to compare this evaluator against human verdicts.
+        </Typography>
+      ) : (
+        <Paper variant="outlined" sx={{ p: 2 }}>
+          <Stack spacing={2}>
+            <Stack direction="row" spacing={2}>
+              <MetricBox label="Agreement" value={formatRate(calibration.agreement)} />
+              <MetricBox label="Precision" value={formatRate(calibration.precision)} />
+              <MetricBox label="Recall" value={formatRate(calibration.recall)} />
+              <MetricBox label="Cohen's kappa" value={formatKappa(calibration.kappa)} />
+            </Stack>
+            <Typography variant="caption" color="text.secondary">
+              {calibration.labeled} of {calibration.judged} judged entries have a human verdict
+            </Typography>
+            <ConfusionMatrix matrix={calibration.confusionMatrix} />
+            {calibration.models.length > 1 && (
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>LLM Node</TableCell>
+                    <TableCell align="right">Labels</TableCell>
+                    <TableCell align="right">Agreement</TableCell>
+                    <TableCell align="right">Precision</TableCell>
+                    <TableCell align="right">Recall</TableCell>
+                    <TableCell align="right">Kappa</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {calibration.models.map((model) => (
+                    <TableRow key={model.modelId}>
+                      <TableCell>{model.modelName || model.modelId}</TableCell>
+                      <TableCell align="right">{model.labeled}</TableCell>
+                      <TableCell align="right">{formatRate(model.agreement)}</TableCell>
+                      <TableCell align="right">{formatRate(model.precision)}</TableCell>
+                      <TableCell align="right">{formatRate(model.recall)}</TableCell>
+                      <TableCell align="right">{formatKappa(model.kappa)}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            )}
+          </Stack>
+        </Paper>
+      )}
+    </Box>
+  );
+}
@@ -17,6 +17,7 @@ import {
   RadioGroup,
   FormControlLabel,
   Radio,
+  Alert,
 } from '@mui/material';
 import { X, PencilSimple, Plus, ArrowsOutSimple, Code, Check } from '@phosphor-icons/react/dist/ssr';
 import { DotsThree as DotsThreeIcon } from '@phosphor-icons/react/dist/ssr/DotsThree';
@@ -30,11 +31,16 @@ import { useUpdateEvaluationPromptMutation, useAssociatePromptToModelMutation, u
 import Menu from '@mui/material/Menu';
 import { useGetAgentsQuery, useGetAgentByIdQuery } from '@/services/agentsService';
 import Autocomplete from '@mui/material/Autocomplete';
+import FunctionEvaluatorTestPanel from './FunctionEvaluatorTestPanel';
+import EvaluatorCalibrationPanel from './EvaluatorCalibrationPanel';
+import EvaluatorVersionsPanel from './EvaluatorVersionsPanel';
 
 export default function EvaluatorDetailsDrawer({ open, onClose, evaluator, onUpdate }) {
   const [isEditing, setIsEditing] = useState(true);
   const [name, setName] = useState(evaluator?.name || '');
   const [prompt, setPrompt] = useState(evaluator?.prompt || '');
+  const [functionBody, setFunctionBody] = useState(evaluator?.functionBody || '');
+  const [updateError, setUpdateError] = useState('');
   const [metricId, setMetricId] = useState(evaluator?.metricId || evaluator?.metric || '');
   const [associations, setAssociations] = useState(evaluator?.associations || []);
   const [addAssocOpen, setAddAssocOpen] = useState(false);
@@ -85,6 +91,9 @@ export default function EvaluatorDetailsDrawer({ open, onClose, evaluator, onUpd
   const { data: selectedAgentData } = useGetAgentByIdQuery(assocAgentId, { skip: !assocAgentId });
   const [createToken] = useCreateIntegrationTokenMutation();
   const [updatePrompt] = useUpdateEvaluationPromptMutation();
+  const isFunctionEvaluator = evaluator?.type === 'function';
+  const promptText = isFunctionEvaluator ? functionBody : prompt;
+  const setPromptText = isFunctionEvaluator ? setFunctionBody : setPrompt;
   const [associatePromptToModel] = useAssociatePromptToModelMutation();
   const [deleteAssociation] = useDeleteAssociationMutation();
 
@@ -102,6 +111,8 @@ export default function EvaluatorDetailsDrawer({ open, onClose, evaluator, onUpd
     if (!open) {
       setName(evaluator?.name || '');
       setPrompt(evaluator?.prompt || '');
+      setFunctionBody(evaluator?.functionBody || '');
+      setUpdateError('');
       setMetricId(evaluator?.metricId || evaluator?.metric || '');
       setAssociations(evaluator?.modelAssociations || []);
       setAddAssocOpen(false);
@@ -135,6 +146,8 @@ export default function EvaluatorDetailsDrawer({ open, onClose, evaluator, onUpd
     } else if (evaluator) {
       setName(evaluator.name || '');
       setPrompt(evaluator.prompt || '');
+      setFunctionBody(evaluator.functionBody || '');
+      setUpdateError('');
       setMetricId(evaluator.metricId || evaluator.metric || '');
       setAssociations(evaluator.modelAssociations || []);
       setAddAssocOpen(false);
@@ -331,7 +344,9 @@ export default function EvaluatorDetailsDrawer({ open, onClose, evaluator, onUpd
           <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
             <Stack direction="row" spacing={1} alignItems="center">
               <Code weight="bold" size={20} />
-              <Typography variant="subtitle2" sx={{ fontWeight: 600 }}>Evaluation Prompt</Typography>
+              <Typography variant="subtitle2" sx={{ fontWeight: 600 }}>
+                {isFunctionEvaluator ? 'Evaluation Function' : 'Evaluation Prompt'}
+              </Typography>
             </Stack>
             {isEditing && (
               <Stack direction="row" spacing={1}>
@@ -368,8 +383,8 @@ export default function EvaluatorDetailsDrawer({ open, onClose, evaluator, onUpd
                 fullWidth
                 multiline
                 rows={isExpanded ? 20 : 8}
-                value={prompt}
-                onChange={e => setPrompt(e.target.value)}
+                value={promptText}
+                onChange={e => setPromptText(e.target.value)}
                 variant="standard"
                 InputProps={{
                   disableUnderline: true,
@@ -398,11 +413,20 @@ export default function EvaluatorDetailsDrawer({ open, onClose, evaluator, onUpd
                   color: 'text.primary',
                 }}
               >
-                {prompt || '-'}
+                {promptText || '-'}
               </Typography>
             )}
           </Paper>
         </Box>
+        {isFunctionEvaluator && (
+          <FunctionEvaluatorTestPanel
+            evaluatorId={functionBody === evaluator?.functionBody ? evaluator?.id : undefined}
+            name={name}
+            functionBody={functionBody}
+          />
+        )}
+        {evaluator?.id && <EvaluatorCalibrationPanel evaluatorId={evaluator.id} />}
+        {evaluator?.id && <EvaluatorVersionsPanel evaluatorId={evaluator.id} />}
         {/* Associations */}
         <Box>
           <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
@@ -696,11 +720,28 @@ export default function EvaluatorDetailsDrawer({ open, onClose, evaluator, onUpd
             </Box>
           )}
         </Box>
+        {updateError && (
+          <Alert severity="error">{updateError}</Alert>
+        )}
         {isEditing && (
             <Button
               onClick={async () => {
                 // 1. Update the prompt itself
-                await updatePrompt({ id: evaluator.id, name, prompt, metricId, defaultProviderModel, defaultIntegrationTokenId: defaultTokenId });
+                const updateRes = await updatePrompt({
+                  id: evaluator.id,
+                  name,
+                  prompt,
+                  metricId,
+                  defaultProviderModel,
+                  defaultIntegrationTokenId: defaultTokenId,
+                  ...(isFunctionEvaluator ? { functionBody } : {}),
+                });
+                // Function bodies are syntax-checked by the API; keep the drawer open on failure
+                if (updateRes.error) {
+                  setUpdateError(updateRes.error.data?.error || 'Failed to update evaluator');
+                  return;
+                }
+                setUpdateError('');
                 // 2. Diff associations
                 const original = originalAssociationsRef.current;
                 const current = associations;
@@ -735,7 +776,7 @@ export default function EvaluatorDetailsDrawer({ open, onClose, evaluator, onUpd
                 mb: 2,
               }}
               variant="contained"
-              disabled={!name || !prompt || !metricId}
+              disabled={!name || !promptText || !metricId}
             >
               Update
             </Button>
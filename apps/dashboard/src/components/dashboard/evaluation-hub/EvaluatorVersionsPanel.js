@@ -0,0 +1,235 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  Box,
+  Chip,
+  CircularProgress,
+  MenuItem,
+  Paper,
+  Select,
+  Stack,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Typography,
+} from '@mui/material';
+import ReactDiffViewer, { DiffMethod } from 'react-diff-viewer';
+import { CartesianGrid, Legend, Line, LineChart, ResponsiveContainer, Tooltip, XAxis, YAxis } from 'recharts';
+import {
+  useGetEvaluationPromptVersionsQuery,
+  useGetEvaluationPromptVersionDiffQuery,
+  useGetEvaluationPromptVersionMetricsQuery,
+} from '@/services/reviewersTemplateService';
+
+const LINE_COLORS = [
+  'var(--mui-palette-primary-main)',
+  'var(--mui-palette-success-main)',
+  'var(--mui-palette-warning-main)',
+  'var(--mui-palette-info-main)',
+  'var(--mui-palette-error-main)',
+];
+
+const formatScore = (value) => (value === null || value === undefined ? '-' : value.toFixed(2));
+const formatRate = (value) => (value === null || value === undefined ? '-' : `${(value * 100).toFixed(1)}%`);
+const versionLabel = (version) => (version === null ? 'Unversioned' : `v${version}`);
+
+// Day keys are day-month-year
+const dayToTime = (day) => {
+  const [date, month, year] = day.split('-').map(Number);
+  return new Date(year, month - 1, date).getTime();
+};
+
+// The rubric of a version as text: its prompt or function body, ensemble and RAG metric
+const rubricText = (version) =>
+  [
+    version.prompt || version.functionBody || '',
+    version.ensemble && `Ensemble: ${JSON.stringify(version.ensemble, null, 2)}`,
+    version.ragMetric && `RAG metric: ${version.ragMetric}`,
+  ]
+    .filter(Boolean)
+    .join('\n\n');
+
+/**
+ * Average score per day, one line per evaluator version
+ */
+function VersionScoreChart({ metrics }) {
+  const rows = useMemo(() => {
+    const days = [...new Set(metrics.flatMap((metric) => Object.keys(metric.daily)))].sort(
+      (a, b) => dayToTime(a) - dayToTime(b)
+    );
+    return days.map((day) => ({
+      day,
+      ...Object.fromEntries(
+        metrics.map((metric) => [versionLabel(metric.version), metric.daily[day]?.averageScore ?? null])
+      ),
+    }));
+  }, [metrics]);
+
+  return (
+    <Box sx={{ height: 240 }}>
+      <ResponsiveContainer width="100%" height="100%">
+        <LineChart data={rows} margin={{ top: 8, right: 16, bottom: 0, left: -16 }}>
+          <CartesianGrid strokeDasharray="2 4" vertical={false} />
+          <XAxis dataKey="day" tickLine={false} axisLine={false} fontSize={12} />
+          <YAxis domain={[0, 10]} tickLine={false} axisLine={false} fontSize={12} />
+          <Tooltip formatter={(value) => formatScore(value)} />
+          <Legend />
+          {metrics.map((metric, index) => (
+            <Line
+              key={versionLabel(metric.version)}
+              dataKey={versionLabel(metric.version)}
+              stroke={LINE_COLORS[index % LINE_COLORS.length]}
+              strokeWidth={2}
+              dot={false}
+              connectNulls
+            />
+          ))}
+        </LineChart>
+      </ResponsiveContainer>
+    </Box>
+  );
+}
+
+/**
+ * Versions of an evaluator: the diff between two of them, and its scores and
+ * accuracy split by the version that judged each entry
+ */
+export default function EvaluatorVersionsPanel({ evaluatorId }) {
+  const { data: versions = [], isLoading } = useGetEvaluationPromptVersionsQuery(evaluatorId, {
+    skip: !evaluatorId,
+  });
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [versionFilter, setVersionFilter] = useState('all');
+
+  // Compare the current version with the one before it until another pair is picked
+  useEffect(() => {
+    if (versions.length > 1) {
+      setTo(versions[0].version);
+      setFrom(versions[1].version);
+    }
+  }, [versions]);
+
+  const { data: diff, isFetching: isDiffLoading } = useGetEvaluationPromptVersionDiffQuery(
+    { id: evaluatorId, from, to },
+    { skip: !evaluatorId || from === '' || to === '' || from === to }
+  );
+  const { data: metrics = [], isLoading: isMetricsLoading } = useGetEvaluationPromptVersionMetricsQuery(
+    { id: evaluatorId, ...(versionFilter !== 'all' ? { version: versionFilter } : {}) },
+    { skip: !evaluatorId }
+  );
+
+  return (
+    <Box>
+      <Stack direction="row" justifyContent="space-between" alignItems="center" sx={{ mb: 1 }}>
+        <Typography variant="subtitle1">Versions</Typography>
+        {versions.length > 0 && <Chip label={`Current: v${versions[0].version}`} size="small" variant="outlined" />}
+      </Stack>
+      {isLoading ? (
+        <CircularProgress size={24} />
+      ) : (
+        <Stack spacing={2}>
+          {versions.length < 2 ? (
+            <Typography variant="body2" color="text.secondary">
+              Editing the prompt, function, ensemble or RAG metric of this evaluator creates a new version.
+            </Typography>
+          ) : (
+            <Paper variant="outlined" sx={{ p: 2 }}>
+              <Stack direction="row" spacing={1} alignItems="center" sx={{ mb: 2 }}>
+                <Select size="small" value={from} onChange={(event) => setFrom(event.target.value)}>
+                  {versions.map((version) => (
+                    <MenuItem key={version.version} value={version.version}>
+                      v{version.version}
+                    </MenuItem>
+                  ))}
+                </Select>
+                <Typography variant="body2" color="text.secondary">
+                  to
+                </Typography>
+                <Select size="small" value={to} onChange={(event) => setTo(event.target.value)}>
+                  {versions.map((version) => (
+                    <MenuItem key={version.version} value={version.version}>
+                      v{version.version}
+                    </MenuItem>
+                  ))}
+                </Select>
+                {diff?.changes?.map((field) => (
+                  <Chip key={field} label={field} size="small" color="warning" variant="outlined" />
+                ))}
+              </Stack>
+              {isDiffLoading ? (
+                <CircularProgress size={24} />
+              ) : diff ? (
+                diff.changes.length ? (
+                  <ReactDiffViewer
+                    oldValue={rubricText(diff.from)}
+                    newValue={rubricText(diff.to)}
+                    leftTitle={`v${diff.from.version}`}
+                    rightTitle={`v${diff.to.version}`}
+                    splitView
+                    useDarkTheme
+                    compareMethod={DiffMethod.WORDS}
+                  />
+                ) : (
+                  <Typography variant="body2" color="text.secondary">
+                    These versions are identical.
+                  </Typography>
+                )
+              ) : (
+                <Typography variant="body2" color="text.secondary">
+                  Pick two different versions to compare.
+                </Typography>
+              )}
+            </Paper>
+          )}
+
+          <Paper variant="outlined" sx={{ p: 2 }}>
+            <Stack direction="row" justifyContent="space-between" alignItems="center" sx={{ mb: 1 }}>
+              <Typography variant="subtitle2">Score by version</Typography>
+              <Select size="small" value={versionFilter} onChange={(event) => setVersionFilter(event.target.value)}>
+                <MenuItem value="all">All versions</MenuItem>
+                {versions.map((version) => (
+                  <MenuItem key={version.version} value={version.version}>
+                    v{version.version}
+                  </MenuItem>
+                ))}
+              </Select>
+            </Stack>
+            {isMetricsLoading ? (
+              <CircularProgress size={24} />
+            ) : !metrics.length ? (
+              <Typography variant="body2" color="text.secondary">
+                No entries have been judged by this evaluator yet.
+              </Typography>
+            ) : (
+              <Stack spacing={2}>
+                <VersionScoreChart metrics={metrics} />
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Version</TableCell>
+                      <TableCell align="right">Entries</TableCell>
+                      <TableCell align="right">Average score</TableCell>
+                      <TableCell align="right">Accuracy</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {metrics.map((metric) => (
+                      <TableRow key={versionLabel(metric.version)}>
+                        <TableCell>{versionLabel(metric.version)}</TableCell>
+                        <TableCell align="right">{metric.entries}</TableCell>
+                        <TableCell align="right">{formatScore(metric.averageScore)}</TableCell>
+                        <TableCell align="right">{formatRate(metric.accuracy)}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </Stack>
+            )}
+          </Paper>
+        </Stack>
+      )}
+    </Box>
+  );
+}
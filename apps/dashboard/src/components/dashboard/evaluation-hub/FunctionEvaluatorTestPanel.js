@@ -0,0 +1,113 @@
+import React, { useState } from 'react';
+import { Alert, Box, Button, Paper, Stack, TextField, Typography } from '@mui/material';
+import { Play } from '@phosphor-icons/react/dist/ssr';
+import { useTestFunctionEvaluatorMutation } from '@/services/reviewersTemplateService';
+
+const DEFAULT_SAMPLE_ENTRY = JSON.stringify(
+  { input: [{ role: 'user', content: 'Test input' }], output: 'Test output' },
+  null,
+  2
+);
+
+const ERROR_TITLES = {
+  TIMEOUT: 'Timed out',
+  MEMORY_LIMIT: 'Memory limit exceeded',
+  SYNTAX_ERROR: 'Syntax error',
+  RUNTIME_ERROR: 'Runtime error',
+  INVALID_RESULT: 'Invalid result',
+  INCOMPLETE: 'Did not finish',
+  SANDBOX_ERROR: 'Sandbox error',
+};
+
+const monoSx = {
+  fontFamily: 'monospace',
+  fontSize: '0.8rem',
+  whiteSpace: 'pre-wrap',
+  wordBreak: 'break-word',
+  m: 0,
+};
+
+/**
+ * Runs a function evaluator in the API sandbox against a sample entry and
+ * shows the result, the structured error and any console output
+ */
+export default function FunctionEvaluatorTestPanel({ evaluatorId, name, functionBody }) {
+  const [sampleEntry, setSampleEntry] = useState(DEFAULT_SAMPLE_ENTRY);
+  const [sampleError, setSampleError] = useState('');
+  const [testFunctionEvaluator, { data, error, isLoading, reset }] = useTestFunctionEvaluatorMutation();
+
+  const handleRun = async () => {
+    let parsedSample;
+    try {
+      parsedSample = sampleEntry.trim() ? JSON.parse(sampleEntry) : {};
+    } catch (e) {
+      setSampleError('Sample entry must be valid JSON');
+      return;
+    }
+    setSampleError('');
+    reset();
+    // Saved bodies are tested by id; edited ones are sent as-is
+    await testFunctionEvaluator(
+      evaluatorId ? { id: evaluatorId, sampleEntry: parsedSample } : { name, functionBody, sampleEntry: parsedSample }
+    );
+  };
+
+  const details = data?.errorDetails;
+  const location = details?.line ? ` (line ${details.line}${details.column ? `, column ${details.column}` : ''})` : '';
+
+  return (
+    <Box>
+      <Stack direction="row" justifyContent="space-between" alignItems="center" sx={{ mb: 1 }}>
+        <Typography variant="subtitle2" sx={{ fontWeight: 600 }}>Test Function</Typography>
+        <Button
+          startIcon={<Play weight="bold" />}
+          onClick={handleRun}
+          size="small"
+          variant="outlined"
+          disabled={isLoading || (!evaluatorId && !functionBody)}
+        >
+          {isLoading ? 'Running...' : 'Run'}
+        </Button>
+      </Stack>
+      <TextField
+        label="Sample entry (JSON)"
+        value={sampleEntry}
+        onChange={(e) => setSampleEntry(e.target.value)}
+        error={Boolean(sampleError)}
+        helperText={sampleError || 'Passed to the evaluator as entry; parsedOutput, context and userContent are derived from it'}
+        fullWidth
+        multiline
+        rows={4}
+        InputProps={{ sx: { fontFamily: 'monospace', fontSize: '0.8rem' } }}
+      />
+      {error && (
+        <Alert severity="error" sx={{ mt: 2 }}>
+          {error.data?.error || error.data?.message || 'Failed to run the evaluator'}
+        </Alert>
+      )}
+      {data && data.success && (
+        <Alert severity="success" sx={{ mt: 2 }}>
+          <Typography variant="body2" sx={{ fontWeight: 600 }}>Score: {data.result.score}</Typography>
+          <Typography component="pre" sx={monoSx}>{JSON.stringify(data.result, null, 2)}</Typography>
+        </Alert>
+      )}
+      {data && !data.success && (
+        <Alert severity="error" sx={{ mt: 2 }}>
+          <Typography variant="body2" sx={{ fontWeight: 600 }}>
+            {(details && ERROR_TITLES[details.code]) || 'Evaluator failed'}
+            {location}
+          </Typography>
+          <Typography component="pre" sx={monoSx}>{details?.message || data.error}</Typography>
+        </Alert>
+      )}
+      {data?.logs?.length > 0 && (
+        <Paper elevation={0} sx={{ bgcolor: 'background.neutral', p: 2, mt: 2, borderRadius: 1 }}>
+          <Typography variant="caption" color="text.secondary">Console output</Typography>
+          <Typography component="pre" sx={monoSx}>
+            {data.logs.map((log) => `[${log.level}] ${log.message}`).join('\n')}
+          </Typography>
+        </Paper>
+      )}
+    </Box>
+  );
+}
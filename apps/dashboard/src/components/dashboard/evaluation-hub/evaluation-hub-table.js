@@ -41,8 +41,10 @@ import {
   useCreateEvaluationPromptMutation,
   useUpdateEvaluationPromptMutation,
   useGetEvaluationPromptStatsQuery,
+  useGetEvaluatorCalibrationQuery,
 } from '@/services/reviewersTemplateService';
 import EvaluatorDetailsDrawer from './EvaluatorDetailsDrawer';
+import { CalibrationChip } from './EvaluatorCalibrationPanel';
 
 /**
  * Evaluation Hub Table Component
@@ -53,6 +55,7 @@ import EvaluatorDetailsDrawer from './EvaluatorDetailsDrawer';
 export function EvaluationHubTable({ onNewEvaluator }) {
     // Fetch evaluators from API
     const { data: stats = [], isLoading: statsLoading } = useGetEvaluationPromptStatsQuery();
+    const { data: calibrations = [] } = useGetEvaluatorCalibrationQuery();
 
     const { data: evaluators = [], isLoading } = useGetEvaluationPromptsQuery();
     const [createEvaluationPrompt] = useCreateEvaluationPromptMutation();
@@ -71,16 +74,21 @@ export function EvaluationHubTable({ onNewEvaluator }) {
     // Merge stats into evaluators
     const evaluatorsWithStats = React.useMemo(() => {
         const statsMap = Object.fromEntries((stats || []).map(s => [String(s.evaluatorId), s]));
+        const calibrationMap = Object.fromEntries((calibrations || []).map(c => [String(c.evaluatorId), c]));
         return (evaluators.data || []).map(e => {
             const stat = statsMap[String(e.id)] || {};
+            const calibration = calibrationMap[String(e.id)];
             return {
                 ...e,
                 lastEvaluation: stat.lastEvaluation || e.lastEvaluation,
                 successRate: stat.successRate != null ? stat.successRate * 100 : 0,
                 totalEvaluations: stat.total || 0,
+                calibration,
+                // Evaluators without human labels sort below any kappa
+                humanKappa: calibration?.kappa ?? -2,
             };
         });
-    }, [evaluators, stats]);
+    }, [evaluators, stats, calibrations]);
 
     // Filtering
     const filteredEvaluators = React.useMemo(() => {
@@ -244,6 +252,12 @@ export function EvaluationHubTable({ onNewEvaluator }) {
                                 >
                                     Total Evaluations
                                 </TableCell>
+                                <TableCell 
+                                    sx={{ cursor: 'pointer' }}
+                                    onClick={() => handleSortChange('humanKappa')}
+                                >
+                                    Human Agreement
+                                </TableCell>
                                 <TableCell align="center">
                                     Actions
                                 </TableCell>
@@ -300,6 +314,16 @@ export function EvaluationHubTable({ onNewEvaluator }) {
                                             {evaluator.totalEvaluations?.toLocaleString?.() ?? '0'}
                                         </Typography>
                                     </TableCell>
+                                    <TableCell>
+                                        <Stack spacing={0.5} alignItems="flex-start">
+                                            <CalibrationChip calibration={evaluator.calibration} />
+                                            {evaluator.calibration?.labeled > 0 && (
+                                                <Typography variant="caption" color="text.secondary">
+                                                    κ {evaluator.calibration.kappa?.toFixed(2) ?? '-'} · {evaluator.calibration.labeled} labels
+                                                </Typography>
+                                            )}
+                                        </Stack>
+                                    </TableCell>
                                     <TableCell align="center">
                                         <Button size="small" variant="text" onClick={e => { e.stopPropagation(); handleEvaluatorSelect(evaluator); }}>
                                             <Eye size={20} />
@@ -0,0 +1,340 @@
+'use client';
+
+import * as React from 'react';
+import {
+  Alert,
+  Autocomplete,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  MenuItem,
+  Stack,
+  TextField,
+  Typography,
+} from '@mui/material';
+import { useGetModelsQuery } from '@/services/modelsService';
+import { useGetPromptVersionsQuery } from '@/services/promptService';
+import { useGetEvaluationPromptsQuery } from '@/services/reviewersTemplateService';
+import { useGetProvidersQuery } from '@/services/providerService';
+import { useGetIntegrationTokensQuery } from '@/services/integrationTokenService';
+import { useCreateExperimentMutation } from '@/services/experimentsService';
+import { useGetDatasetsQuery, useGetDatasetVersionsQuery } from '@/services/datasetsService';
+
+const ITEMS_PLACEHOLDER = `{"input": "What is the capital of France?", "expectedOutput": "Paris"}
+{"input": "Summarize: ..."}`;
+
+/**
+ * Parses dataset items pasted as a JSON array or as JSON lines. A line that
+ * is not JSON is used as the input of an item without an expected output.
+ * @param {string} text - The pasted items
+ * @returns {Array<Object>} [{ input, expectedOutput }]
+ */
+export function parseExperimentItems(text) {
+  const trimmed = text.trim();
+  if (!trimmed) {
+    return [];
+  }
+  if (trimmed.startsWith('[')) {
+    return JSON.parse(trimmed).map((item) => (typeof item === 'string' ? { input: item } : item));
+  }
+  return trimmed
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      try {
+        const item = JSON.parse(line);
+        return item && typeof item === 'object' && !Array.isArray(item) ? item : { input: line };
+      } catch {
+        return { input: line };
+      }
+    });
+}
+
+/**
+ * Dialog to run prompt versions of an LLM node on dataset items and score
+ * them with evaluators. Items come from a dataset version, optionally one of
+ * its splits, or are pasted.
+ */
+export function CreateExperimentDialog({ open, onClose, onCreated }) {
+  const [name, setName] = React.useState('');
+  const [modelId, setModelId] = React.useState('');
+  const [versionIds, setVersionIds] = React.useState([]);
+  const [evaluators, setEvaluators] = React.useState([]);
+  const [providerId, setProviderId] = React.useState('');
+  const [providerModel, setProviderModel] = React.useState('');
+  const [tokenId, setTokenId] = React.useState('');
+  const [itemsSource, setItemsSource] = React.useState('dataset');
+  const [datasetId, setDatasetId] = React.useState('');
+  const [datasetVersionId, setDatasetVersionId] = React.useState('');
+  const [split, setSplit] = React.useState('');
+  const [itemsText, setItemsText] = React.useState('');
+  const [error, setError] = React.useState(null);
+
+  const { data: models = [] } = useGetModelsQuery();
+  const { data: versions = [] } = useGetPromptVersionsQuery(modelId, { skip: !modelId });
+  const { data: evaluationPrompts = { data: [] } } = useGetEvaluationPromptsQuery();
+  const { data: providers = { data: [] } } = useGetProvidersQuery();
+  const { data: tokens = [] } = useGetIntegrationTokensQuery();
+  const { data: datasets = [] } = useGetDatasetsQuery();
+  const { data: datasetVersions = [] } = useGetDatasetVersionsQuery(datasetId, { skip: !datasetId });
+  const [createExperiment, { isLoading }] = useCreateExperimentMutation();
+
+  const provider = providers.data.find((p) => p.id === providerId);
+  const datasetVersion = datasetVersions.find((version) => version.id === datasetVersionId);
+
+  const reset = () => {
+    setName('');
+    setModelId('');
+    setVersionIds([]);
+    setEvaluators([]);
+    setProviderId('');
+    setProviderModel('');
+    setTokenId('');
+    setItemsSource('dataset');
+    setDatasetId('');
+    setDatasetVersionId('');
+    setSplit('');
+    setItemsText('');
+    setError(null);
+  };
+
+  const handleClose = () => {
+    reset();
+    onClose();
+  };
+
+  const handleSubmit = async () => {
+    let source;
+    if (itemsSource === 'dataset') {
+      source = { datasetVersionId, ...(split ? { split } : {}) };
+    } else {
+      let items;
+      try {
+        items = parseExperimentItems(itemsText);
+      } catch (parseError) {
+        setError(`Items are not valid JSON: ${parseError.message}`);
+        return;
+      }
+      if (!items.length) {
+        setError('Add at least one dataset item');
+        return;
+      }
+      source = { items };
+    }
+
+    const result = await createExperiment({
+      name,
+      modelId,
+      modelVersionIds: versionIds,
+      evaluationPromptIds: evaluators.map((evaluator) => evaluator.id),
+      integrationTokenId: tokenId,
+      providerModel,
+      ...source,
+    });
+    if (result.error) {
+      setError(result.error.data?.error || 'Failed to create the experiment');
+      return;
+    }
+    reset();
+    onCreated?.(result.data);
+  };
+
+  const hasItems = itemsSource === 'dataset' ? Boolean(datasetVersionId) : Boolean(itemsText.trim());
+  const canSubmit = name && modelId && versionIds.length && tokenId && providerModel && hasItems;
+
+  return (
+    <Dialog open={open} onClose={handleClose} maxWidth="md" fullWidth>
+      <DialogTitle>New Experiment</DialogTitle>
+      <DialogContent>
+        <Stack spacing={2} sx={{ mt: 1 }}>
+          {error && <Alert severity="error">{error}</Alert>}
+          <TextField label="Name" value={name} onChange={(e) => setName(e.target.value)} fullWidth />
+          <TextField
+            select
+            label="LLM Node"
+            value={modelId}
+            onChange={(e) => {
+              setModelId(e.target.value);
+              setVersionIds([]);
+            }}
+            fullWidth
+          >
+            {models.map((model) => (
+              <MenuItem key={model.id} value={model.id}>
+                {model.name}
+              </MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            select
+            label="Prompt Versions"
+            value={versionIds}
+            onChange={(e) => setVersionIds(e.target.value)}
+            SelectProps={{ multiple: true }}
+            disabled={!modelId}
+            helperText="Every selected version runs on every item"
+            fullWidth
+          >
+            {versions.map((version) => (
+              <MenuItem key={version.id} value={version.id}>
+                Version {version.version}
+                {version.activeVersion ? ' (active)' : ''}
+              </MenuItem>
+            ))}
+          </TextField>
+          <Autocomplete
+            multiple
+            options={evaluationPrompts.data || []}
+            getOptionLabel={(option) => option.name}
+            isOptionEqualToValue={(option, value) => option.id === value.id}
+            value={evaluators}
+            onChange={(e, value) => setEvaluators(value)}
+            renderInput={(params) => <TextField {...params} label="Evaluators" />}
+          />
+          <Stack direction="row" spacing={2}>
+            <TextField
+              select
+              label="Provider"
+              value={providerId}
+              onChange={(e) => {
+                setProviderId(e.target.value);
+                setProviderModel('');
+                setTokenId('');
+              }}
+              fullWidth
+            >
+              {providers.data.map((p) => (
+                <MenuItem key={p.id} value={p.id}>
+                  {p.name}
+                </MenuItem>
+              ))}
+            </TextField>
+            <TextField
+              select
+              label="Provider Model"
+              value={providerModel}
+              onChange={(e) => setProviderModel(e.target.value)}
+              disabled={!providerId}
+              fullWidth
+            >
+              {(provider?.config?.models || []).map((pm) => (
+                <MenuItem key={pm} value={pm}>
+                  {pm}
+                </MenuItem>
+              ))}
+            </TextField>
+            <TextField
+              select
+              label="Token"
+              value={tokenId}
+              onChange={(e) => setTokenId(e.target.value)}
+              disabled={!providerId}
+              fullWidth
+            >
+              {tokens
+                .filter((token) => token.providerId === providerId)
+                .map((token) => (
+                  <MenuItem key={token.id} value={token.id}>
+                    {token.name}
+                  </MenuItem>
+                ))}
+            </TextField>
+          </Stack>
+          <TextField
+            select
+            label="Items From"
+            value={itemsSource}
+            onChange={(e) => setItemsSource(e.target.value)}
+            fullWidth
+          >
+            <MenuItem value="dataset">Dataset version</MenuItem>
+            <MenuItem value="paste">Pasted items</MenuItem>
+          </TextField>
+          {itemsSource === 'dataset' ? (
+            <Stack direction="row" spacing={2}>
+              <TextField
+                select
+                label="Dataset"
+                value={datasetId}
+                onChange={(e) => {
+                  setDatasetId(e.target.value);
+                  setDatasetVersionId('');
+                  setSplit('');
+                }}
+                fullWidth
+              >
+                {datasets.map((dataset) => (
+                  <MenuItem key={dataset.id} value={dataset.id}>
+                    {dataset.name}
+                  </MenuItem>
+                ))}
+              </TextField>
+              <TextField
+                select
+                label="Version"
+                value={datasetVersionId}
+                onChange={(e) => {
+                  setDatasetVersionId(e.target.value);
+                  setSplit('');
+                }}
+                disabled={!datasetId}
+                helperText={datasetId && !datasetVersions.length ? 'Create a version of the dataset first' : ' '}
+                fullWidth
+              >
+                {datasetVersions.map((version) => (
+                  <MenuItem key={version.id} value={version.id}>
+                    v{version.version} ({version.itemCount} items)
+                  </MenuItem>
+                ))}
+              </TextField>
+              <TextField
+                select
+                label="Split"
+                value={split}
+                onChange={(e) => setSplit(e.target.value)}
+                disabled={!datasetVersion}
+                fullWidth
+              >
+                <MenuItem value="">All items</MenuItem>
+                {Object.entries(datasetVersion?.splitCounts || {})
+                  .filter(([option]) => option !== 'unassigned')
+                  .map(([option, count]) => (
+                    <MenuItem key={option} value={option}>
+                      {option} ({count})
+                    </MenuItem>
+                  ))}
+              </TextField>
+            </Stack>
+          ) : (
+            <>
+              <TextField
+                label="Dataset Items"
+                value={itemsText}
+                onChange={(e) => setItemsText(e.target.value)}
+                placeholder={ITEMS_PLACEHOLDER}
+                multiline
+                minRows={6}
+                maxRows={16}
+                fullWidth
+                InputProps={{ sx: { fontFamily: 'monospace', fontSize: 13 } }}
+              />
+              <Typography variant="caption" color="text.secondary">
+                One item per line as JSON with an input and an optional expectedOutput, or a JSON array of items.
+                Plain text lines are used as inputs.
+              </Typography>
+            </>
+          )}
+        </Stack>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleClose}>Cancel</Button>
+        <Button variant="contained" onClick={handleSubmit} disabled={!canSubmit || isLoading}>
+          Run Experiment
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
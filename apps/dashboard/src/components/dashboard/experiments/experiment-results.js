@@ -0,0 +1,312 @@
+'use client';
+
+import * as React from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  CircularProgress,
+  Collapse,
+  IconButton,
+  LinearProgress,
+  MenuItem,
+  Paper,
+  Stack,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  Tooltip,
+  Typography,
+} from '@mui/material';
+import { CaretDown, CaretRight } from '@phosphor-icons/react';
+import ReactDiffViewer, { DiffMethod } from 'react-diff-viewer';
+import { useGetExperimentQuery, useRunExperimentMutation } from '@/services/experimentsService';
+
+const STATUS_COLORS = {
+  pending: 'default',
+  running: 'info',
+  completed: 'success',
+  failed: 'error',
+};
+
+const formatRate = (value) => (value === null || value === undefined ? '-' : `${(value * 100).toFixed(1)}%`);
+const formatNumber = (value, digits = 2) =>
+  value === null || value === undefined ? '-' : Number(value).toFixed(digits);
+const toText = (value) => (value === null || value === undefined ? '' : typeof value === 'string' ? value : JSON.stringify(value, null, 2));
+
+export function ExperimentStatusChip({ status }) {
+  return <Chip label={status} size="small" color={STATUS_COLORS[status] || 'default'} />;
+}
+
+function ScoreChip({ result }) {
+  if (!result) {
+    return <Chip label="pending" size="small" variant="outlined" />;
+  }
+  if (result.error) {
+    return (
+      <Tooltip title={result.error}>
+        <Chip label="error" size="small" color="error" variant="outlined" />
+      </Tooltip>
+    );
+  }
+  return (
+    <Stack direction="row" spacing={0.5}>
+      {result.score !== null && (
+        <Chip
+          label={formatNumber(result.score, 1)}
+          size="small"
+          color={result.passed === false ? 'warning' : 'success'}
+        />
+      )}
+      {result.matchesExpected !== null && (
+        <Chip
+          label={result.matchesExpected ? 'matches expected' : 'differs from expected'}
+          size="small"
+          variant="outlined"
+          color={result.matchesExpected ? 'success' : 'default'}
+        />
+      )}
+    </Stack>
+  );
+}
+
+/**
+ * Aggregate metrics of each version, side by side
+ */
+function SummaryTable({ summary, versions }) {
+  const byVersion = new Map((summary?.versions || []).map((item) => [item.modelVersionId, item]));
+  const evaluatorNames = [
+    ...new Set((summary?.versions || []).flatMap((item) => Object.keys(item.evaluators || {}))),
+  ];
+  const rows = [
+    { label: 'Average score', value: (item) => formatNumber(item.averageScore) },
+    { label: 'Pass rate', value: (item) => formatRate(item.passRate) },
+    { label: 'Matches expected', value: (item) => formatRate(item.expectedMatchRate) },
+    { label: 'Average latency', value: (item) => (item.averageLatencyMs === null ? '-' : `${Math.round(item.averageLatencyMs)} ms`) },
+    { label: 'Tokens', value: (item) => item.totalTokens },
+    { label: 'Errors', value: (item) => item.errors },
+    ...evaluatorNames.map((name) => ({
+      label: name,
+      value: (item) => formatNumber(item.evaluators?.[name]),
+    })),
+  ];
+
+  return (
+    <Table size="small">
+      <TableHead>
+        <TableRow>
+          <TableCell>Metric</TableCell>
+          {versions.map((version) => (
+            <TableCell key={version.id} align="right">
+              Version {version.version}
+            </TableCell>
+          ))}
+        </TableRow>
+      </TableHead>
+      <TableBody>
+        {rows.map((row) => (
+          <TableRow key={row.label}>
+            <TableCell>{row.label}</TableCell>
+            {versions.map((version) => {
+              const item = byVersion.get(version.id);
+              return (
+                <TableCell key={version.id} align="right">
+                  {item ? row.value(item) : '-'}
+                </TableCell>
+              );
+            })}
+          </TableRow>
+        ))}
+      </TableBody>
+    </Table>
+  );
+}
+
+function ItemRow({ index, item, versions, resultsByVersion, baseVersionId, compareVersionId }) {
+  const [open, setOpen] = React.useState(false);
+  const base = resultsByVersion.get(baseVersionId);
+  const compare = resultsByVersion.get(compareVersionId);
+  const canDiff = baseVersionId && compareVersionId && baseVersionId !== compareVersionId;
+
+  return (
+    <>
+      <TableRow hover>
+        <TableCell sx={{ width: 40 }}>
+          <IconButton size="small" onClick={() => setOpen(!open)} disabled={!canDiff}>
+            {open ? <CaretDown size={16} /> : <CaretRight size={16} />}
+          </IconButton>
+        </TableCell>
+        <TableCell sx={{ verticalAlign: 'top', maxWidth: 280 }}>
+          <Typography variant="caption" color="text.secondary">
+            #{index + 1}
+          </Typography>
+          <Typography variant="body2" sx={{ whiteSpace: 'pre-wrap', wordBreak: 'break-word' }}>
+            {toText(item.input)}
+          </Typography>
+          {item.expectedOutput !== null && item.expectedOutput !== undefined && (
+            <Typography variant="body2" color="text.secondary" sx={{ mt: 1, whiteSpace: 'pre-wrap', wordBreak: 'break-word' }}>
+              Expected: {toText(item.expectedOutput)}
+            </Typography>
+          )}
+        </TableCell>
+        {versions.map((version) => {
+          const result = resultsByVersion.get(version.id);
+          return (
+            <TableCell key={version.id} sx={{ verticalAlign: 'top', maxWidth: 360 }}>
+              <Stack spacing={1}>
+                <ScoreChip result={result} />
+                <Typography
+                  variant="body2"
+                  sx={{ whiteSpace: 'pre-wrap', wordBreak: 'break-word', maxHeight: 160, overflow: 'auto' }}
+                >
+                  {result?.output || ''}
+                </Typography>
+              </Stack>
+            </TableCell>
+          );
+        })}
+      </TableRow>
+      {canDiff && (
+        <TableRow>
+          <TableCell colSpan={versions.length + 2} sx={{ p: 0, borderBottom: open ? undefined : 'none' }}>
+            <Collapse in={open} unmountOnExit>
+              <Box sx={{ p: 2 }}>
+                <ReactDiffViewer
+                  oldValue={base?.output || ''}
+                  newValue={compare?.output || ''}
+                  splitView
+                  useDarkTheme
+                  compareMethod={DiffMethod.WORDS}
+                />
+              </Box>
+            </Collapse>
+          </TableCell>
+        </TableRow>
+      )}
+    </>
+  );
+}
+
+/**
+ * Results of an experiment: aggregate metrics per version and every item's
+ * outputs side by side, with a diff between two versions' outputs
+ */
+export function ExperimentResults({ experimentId }) {
+  const [pollingInterval, setPollingInterval] = React.useState(0);
+  const { data: experiment, isLoading } = useGetExperimentQuery(experimentId, {
+    skip: !experimentId,
+    pollingInterval,
+  });
+  const [runExperiment, { isLoading: isRunning }] = useRunExperimentMutation();
+  const [baseVersionId, setBaseVersionId] = React.useState('');
+  const [compareVersionId, setCompareVersionId] = React.useState('');
+
+  const versions = experiment?.versions || [];
+  const inProgress = experiment?.status === 'pending' || experiment?.status === 'running';
+
+  React.useEffect(() => {
+    setPollingInterval(inProgress ? 5000 : 0);
+  }, [inProgress]);
+
+  React.useEffect(() => {
+    setBaseVersionId(versions[0]?.id || '');
+    setCompareVersionId(versions[1]?.id || '');
+  }, [experiment?.id, versions.length]);
+
+  const resultsByItem = React.useMemo(() => {
+    const byItem = new Map();
+    (experiment?.results || []).forEach((result) => {
+      if (!byItem.has(result.itemIndex)) {
+        byItem.set(result.itemIndex, new Map());
+      }
+      byItem.get(result.itemIndex).set(result.modelVersionId, result);
+    });
+    return byItem;
+  }, [experiment?.results]);
+
+  if (isLoading || !experiment) {
+    return <CircularProgress size={24} />;
+  }
+
+  const total = experiment.items.length * versions.length;
+  const done = experiment.results.length;
+
+  return (
+    <Stack spacing={3}>
+      <Stack direction="row" justifyContent="space-between" alignItems="center">
+        <Stack direction="row" spacing={1} alignItems="center">
+          <Typography variant="h6">{experiment.name}</Typography>
+          <ExperimentStatusChip status={experiment.status} />
+        </Stack>
+        {!inProgress && (
+          <Button variant="outlined" onClick={() => runExperiment(experiment.id)} disabled={isRunning}>
+            Run Missing Items
+          </Button>
+        )}
+      </Stack>
+      {inProgress && (
+        <Box>
+          <LinearProgress variant="determinate" value={total ? (done / total) * 100 : 0} />
+          <Typography variant="caption" color="text.secondary">
+            {done} of {total} runs done
+          </Typography>
+        </Box>
+      )}
+      {experiment.error && <Alert severity="error">{experiment.error}</Alert>}
+
+      <Paper variant="outlined">
+        <SummaryTable summary={experiment.summary} versions={versions} />
+      </Paper>
+
+      <Stack direction="row" spacing={2} alignItems="center">
+        <Typography variant="subtitle2">Diff outputs of</Typography>
+        <TextField select size="small" value={baseVersionId} onChange={(e) => setBaseVersionId(e.target.value)}>
+          {versions.map((version) => (
+            <MenuItem key={version.id} value={version.id}>
+              Version {version.version}
+            </MenuItem>
+          ))}
+        </TextField>
+        <Typography variant="subtitle2">and</Typography>
+        <TextField select size="small" value={compareVersionId} onChange={(e) => setCompareVersionId(e.target.value)}>
+          {versions.map((version) => (
+            <MenuItem key={version.id} value={version.id}>
+              Version {version.version}
+            </MenuItem>
+          ))}
+        </TextField>
+      </Stack>
+
+      <Paper variant="outlined" sx={{ overflowX: 'auto' }}>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell />
+              <TableCell>Item</TableCell>
+              {versions.map((version) => (
+                <TableCell key={version.id}>Version {version.version}</TableCell>
+              ))}
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {experiment.items.map((item, index) => (
+              <ItemRow
+                key={index}
+                index={index}
+                item={item}
+                versions={versions}
+                resultsByVersion={resultsByItem.get(index) || new Map()}
+                baseVersionId={baseVersionId}
+                compareVersionId={compareVersionId}
+              />
+            ))}
+          </TableBody>
+        </Table>
+      </Paper>
+    </Stack>
+  );
+}
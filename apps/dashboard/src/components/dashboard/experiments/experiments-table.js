@@ -0,0 +1,92 @@
+'use client';
+
+import * as React from 'react';
+import {
+  IconButton,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Tooltip,
+  Typography,
+} from '@mui/material';
+import { Trash } from '@phosphor-icons/react';
+import { useDeleteExperimentMutation } from '@/services/experimentsService';
+import { ExperimentStatusChip } from './experiment-results';
+
+const formatScore = (value) => (value === null || value === undefined ? '-' : Number(value).toFixed(2));
+
+/**
+ * Best average score among an experiment's versions
+ */
+const bestScore = (experiment) => {
+  const scores = (experiment.summary?.versions || [])
+    .map((version) => version.averageScore)
+    .filter((score) => score !== null && score !== undefined);
+  return scores.length ? Math.max(...scores) : null;
+};
+
+export function ExperimentsTable({ experiments, selectedId, onSelect }) {
+  const [deleteExperiment] = useDeleteExperimentMutation();
+
+  if (!experiments.length) {
+    return (
+      <Typography variant="body2" color="text.secondary" sx={{ p: 2 }}>
+        No experiments yet. Create one to compare prompt versions on a dataset.
+      </Typography>
+    );
+  }
+
+  return (
+    <Table size="small">
+      <TableHead>
+        <TableRow>
+          <TableCell>Name</TableCell>
+          <TableCell>Status</TableCell>
+          <TableCell align="right">Versions</TableCell>
+          <TableCell align="right">Items</TableCell>
+          <TableCell align="right">Best score</TableCell>
+          <TableCell>Created</TableCell>
+          <TableCell />
+        </TableRow>
+      </TableHead>
+      <TableBody>
+        {experiments.map((experiment) => (
+          <TableRow
+            key={experiment.id}
+            hover
+            selected={experiment.id === selectedId}
+            onClick={() => onSelect(experiment.id)}
+            sx={{ cursor: 'pointer' }}
+          >
+            <TableCell>{experiment.name}</TableCell>
+            <TableCell>
+              <ExperimentStatusChip status={experiment.status} />
+            </TableCell>
+            <TableCell align="right">{experiment.modelVersionIds.length}</TableCell>
+            <TableCell align="right">{experiment.summary?.itemCount ?? '-'}</TableCell>
+            <TableCell align="right">{formatScore(bestScore(experiment))}</TableCell>
+            <TableCell>{new Date(experiment.createdAt).toLocaleString()}</TableCell>
+            <TableCell align="right">
+              <Tooltip title="Delete">
+                <IconButton
+                  size="small"
+                  onClick={(event) => {
+                    event.stopPropagation();
+                    deleteExperiment(experiment.id);
+                    if (experiment.id === selectedId) {
+                      onSelect(null);
+                    }
+                  }}
+                >
+                  <Trash size={16} />
+                </IconButton>
+              </Tooltip>
+            </TableCell>
+          </TableRow>
+        ))}
+      </TableBody>
+    </Table>
+  );
+}
@@ -11,6 +11,8 @@ export const layoutConfig = {
         { key: 'agents-monitoring', icon: 'rocket-launch', title: 'Agent Performance', href: paths.dashboard.agentsMonitoring },
         { key: 'automated-insights', icon: 'chart-line', title: 'Release Hub', href: paths.dashboard.modelInsights },
         { key: 'evaluation-hub', icon: 'gauge', title: 'Evaluation Suite', href: paths.dashboard.evaluationHub },
+        { key: 'evaluation-backfills', icon: 'clock-counter-clockwise', title: 'Backfills', href: paths.dashboard.evaluationBackfills },
+        { key: 'experiments', icon: 'graduation-cap', title: 'Experiments', href: paths.dashboard.experiments },
         { key: 'agents-tracing', icon: 'tracing', title: 'Tracing', href: paths.dashboard.agentsTracing },
 
       ],
@@ -5,6 +5,7 @@ import { AlignLeft as AlignLeftIcon } from '@phosphor-icons/react/dist/ssr/Align
 import { CalendarCheck as CalendarCheckIcon } from '@phosphor-icons/react/dist/ssr/CalendarCheck';
 import { ChartPie as ChartPieIcon } from '@phosphor-icons/react/dist/ssr/ChartPie';
 import { ChatsCircle as ChatsCircleIcon } from '@phosphor-icons/react/dist/ssr/ChatsCircle';
+import { ClockCounterClockwise as ClockCounterClockwiseIcon } from '@phosphor-icons/react/dist/ssr/ClockCounterClockwise';
 import { CreditCard as CreditCardIcon } from '@phosphor-icons/react/dist/ssr/CreditCard';
 import { Cube as CubeIcon } from '@phosphor-icons/react/dist/ssr/Cube';
 import { CurrencyEth as CurrencyEthIcon } from '@phosphor-icons/react/dist/ssr/CurrencyEth';
@@ -37,6 +38,7 @@ export const icons = {
   'calendar-check': CalendarCheckIcon,
   'chart-pie': ChartPieIcon,
   'chats-circle': ChatsCircleIcon,
+  'clock-counter-clockwise': ClockCounterClockwiseIcon,
   'credit-card': CreditCardIcon,
   'currency-eth': CurrencyEthIcon,
   'envelope-simple': EnvelopeSimpleIcon,
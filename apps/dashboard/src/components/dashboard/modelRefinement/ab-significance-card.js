@@ -0,0 +1,151 @@
+'use client';
+
+import * as React from 'react';
+import {
+  Box,
+  Card,
+  CardContent,
+  CardHeader,
+  Chip,
+  FormControlLabel,
+  LinearProgress,
+  Skeleton,
+  Stack,
+  Switch,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Tooltip,
+  Typography,
+} from '@mui/material';
+
+import { useGetABSignificanceQuery } from '@/services/monitoringService';
+
+const VERDICTS = {
+  significant: { label: 'Significant', color: 'success' },
+  not_yet: { label: 'Not yet', color: 'warning' },
+  no_effect: { label: 'No effect', color: 'default' },
+};
+
+const formatPercent = (value, digits = 1) =>
+  value === null || value === undefined ? '-' : `${(value * 100).toFixed(digits)}%`;
+const formatInterval = (interval) =>
+  interval ? `${formatPercent(interval[0])} – ${formatPercent(interval[1])}` : '-';
+const formatPValue = (value) =>
+  value === null || value === undefined ? '-' : value < 0.001 ? '< 0.001' : value.toFixed(3);
+
+function VerdictChip({ comparison }) {
+  const verdict = VERDICTS[comparison.verdict] || VERDICTS.not_yet;
+  const label =
+    comparison.verdict === 'significant'
+      ? `${verdict.label}: ${comparison.winner === 'variant' ? 'optimized is better' : 'original is better'}`
+      : verdict.label;
+  return (
+    <Chip
+      label={label}
+      size="small"
+      color={comparison.verdict === 'significant' && comparison.winner === 'original' ? 'error' : verdict.color}
+    />
+  );
+}
+
+/**
+ * Whether each optimized prompt is really more accurate than the original:
+ * verdict, accuracy with confidence intervals, p-value, probability of being
+ * better and progress towards the required sample size
+ */
+export function ABSignificanceCard({ modelId }) {
+  const [sequential, setSequential] = React.useState(true);
+  const { data, isLoading } = useGetABSignificanceQuery({ modelId, sequential }, { skip: !modelId });
+  const comparisons = data?.comparisons || [];
+
+  return (
+    <Card>
+      <CardHeader
+        title="Statistical Significance"
+        subheader="Accuracy of each optimized prompt against the original since its test started"
+        action={
+          <Tooltip title="Sequential testing keeps the verdict valid however often you check it. Without it, wait until the required sample size is reached.">
+            <FormControlLabel
+              control={<Switch checked={sequential} onChange={(event) => setSequential(event.target.checked)} />}
+              label="Sequential testing"
+            />
+          </Tooltip>
+        }
+      />
+      <CardContent>
+        {isLoading ? (
+          <Skeleton variant="rectangular" height={120} />
+        ) : !comparisons.length ? (
+          <Typography color="text.secondary" variant="body2">
+            This model has no optimized prompts under test.
+          </Typography>
+        ) : (
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Variant</TableCell>
+                <TableCell>Verdict</TableCell>
+                <TableCell align="right">Original accuracy</TableCell>
+                <TableCell align="right">Optimized accuracy</TableCell>
+                <TableCell align="right">Difference</TableCell>
+                <TableCell align="right">p-value</TableCell>
+                <TableCell align="right">P(optimized better)</TableCell>
+                <TableCell align="right">Detectable effect</TableCell>
+                <TableCell>Sample size</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {comparisons.map((comparison) => (
+                <TableRow key={comparison.abTestId}>
+                  <TableCell>
+                    {comparison.principal ? 'Principal' : `Variant ${comparison.variantModelId}`}
+                  </TableCell>
+                  <TableCell>
+                    <VerdictChip comparison={comparison} />
+                  </TableCell>
+                  <TableCell align="right">
+                    <Typography variant="body2">{formatPercent(comparison.original.rate)}</Typography>
+                    <Typography variant="caption" color="text.secondary">
+                      {formatInterval(comparison.original.interval)}
+                    </Typography>
+                  </TableCell>
+                  <TableCell align="right">
+                    <Typography variant="body2">{formatPercent(comparison.variant.rate)}</Typography>
+                    <Typography variant="caption" color="text.secondary">
+                      {formatInterval(comparison.variant.interval)}
+                    </Typography>
+                  </TableCell>
+                  <TableCell align="right">
+                    <Typography variant="body2">{formatPercent(comparison.difference)}</Typography>
+                    <Typography variant="caption" color="text.secondary">
+                      {formatInterval(comparison.differenceInterval)}
+                    </Typography>
+                  </TableCell>
+                  <TableCell align="right">
+                    {formatPValue(sequential ? comparison.sequentialPValue : comparison.pValue)}
+                  </TableCell>
+                  <TableCell align="right">{formatPercent(comparison.bayesian?.probabilityVariantBetter)}</TableCell>
+                  <TableCell align="right">{formatPercent(comparison.minimumDetectableEffect)}</TableCell>
+                  <TableCell sx={{ minWidth: 160 }}>
+                    <Stack spacing={0.5}>
+                      <Box>
+                        <LinearProgress variant="determinate" value={comparison.progress * 100} />
+                      </Box>
+                      <Typography variant="caption" color="text.secondary">
+                        {Math.min(comparison.original.trials, comparison.variant.trials)} of{' '}
+                        {comparison.requiredSampleSize} entries each
+                      </Typography>
+                    </Stack>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,199 @@
+/**
+ * @fileoverview PromptVersionReview component for a single prompt version
+ * Shows where the version stands in the approval workflow, its review
+ * comments and state history, and lets the user submit, review or retire it
+ */
+
+'use client';
+
+import * as React from 'react';
+import {
+  Alert,
+  Button,
+  Card,
+  CardContent,
+  CardHeader,
+  Chip,
+  Divider,
+  Stack,
+  TextField,
+  Typography,
+} from '@mui/material';
+
+import {
+  useGetVersionReviewQuery,
+  useRetirePromptVersionMutation,
+  useReviewPromptVersionMutation,
+  useSubmitPromptVersionMutation,
+} from '@/services/promptService';
+
+const VERSION_STATUSES = {
+  draft: { label: 'Draft', color: 'default' },
+  in_review: { label: 'In review', color: 'info' },
+  approved: { label: 'Approved', color: 'success' },
+  released: { label: 'Released', color: 'primary' },
+  retired: { label: 'Retired', color: 'default' },
+};
+
+const DECISIONS = {
+  comment: 'commented',
+  approve: 'approved',
+  request_changes: 'requested changes',
+};
+
+const userName = (user) =>
+  user ? [user.firstName, user.lastName].filter(Boolean).join(' ') || user.email : 'Automatic optimization';
+
+/**
+ * PromptVersionReview component
+ * @component
+ * @param {Object} props - Component props
+ * @param {string|number} props.modelId - ID of the model the version belongs to
+ * @param {number} props.version - Version number, as the API knows it
+ * @param {string|number} [props.versionLabel] - Version number as shown on the page
+ * @param {string} [props.bgColor] - Card background
+ * @returns {JSX.Element|null} Rendered review, or null until a version is selected
+ */
+export function PromptVersionReview({ modelId, version, versionLabel = version, bgColor }) {
+  const skip = !modelId || !version;
+  const { data: review } = useGetVersionReviewQuery({ modelId, version }, { skip });
+  const [submitPromptVersion, { isLoading: isSubmitting }] = useSubmitPromptVersionMutation();
+  const [reviewPromptVersion, { isLoading: isReviewing }] = useReviewPromptVersionMutation();
+  const [retirePromptVersion, { isLoading: isRetiring }] = useRetirePromptVersionMutation();
+  const [comment, setComment] = React.useState('');
+  const [actionError, setActionError] = React.useState('');
+
+  if (skip || !review) {
+    return null;
+  }
+
+  const status = VERSION_STATUSES[review.status];
+  const { approval } = review;
+  const isBusy = isSubmitting || isReviewing || isRetiring;
+
+  const runAction = async (action) => {
+    setActionError('');
+    try {
+      await action().unwrap();
+      setComment('');
+    } catch (err) {
+      setActionError(err?.data?.error || err?.message || 'Failed to update the version.');
+    }
+  };
+
+  return (
+    <Card sx={{ bgcolor: bgColor }}>
+      <CardHeader
+        title={`Review of Version ${versionLabel}`}
+        subheader={
+          approval.required
+            ? `${approval.approverIds.length} of ${approval.requiredApprovals} approvals${
+                approval.missingReviewerIds.length
+                  ? `, ${approval.missingReviewerIds.length} required reviewer(s) pending`
+                  : ''
+              }`
+            : 'No approval policy applies to this agent'
+        }
+        action={status && <Chip label={status.label} color={status.color} size="small" variant="outlined" />}
+      />
+      <CardContent>
+        {actionError && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {actionError}
+          </Alert>
+        )}
+        {review.status !== 'retired' && (
+          <Stack spacing={1.5} sx={{ mb: 2 }}>
+            <TextField
+              size="small"
+              multiline
+              minRows={2}
+              placeholder="Leave a comment"
+              value={comment}
+              onChange={(event) => setComment(event.target.value)}
+            />
+            <Stack direction="row" spacing={1} sx={{ flexWrap: 'wrap' }}>
+              {review.status === 'draft' && (
+                <Button
+                  size="small"
+                  variant="contained"
+                  disabled={isBusy}
+                  onClick={() => runAction(() => submitPromptVersion({ modelId, version, comment }))}
+                >
+                  Submit for review
+                </Button>
+              )}
+              {review.status === 'in_review' && (
+                <>
+                  <Button
+                    size="small"
+                    variant="contained"
+                    color="success"
+                    disabled={isBusy}
+                    onClick={() => runAction(() => reviewPromptVersion({ modelId, version, decision: 'approve', comment }))}
+                  >
+                    Approve
+                  </Button>
+                  <Button
+                    size="small"
+                    variant="outlined"
+                    color="warning"
+                    disabled={isBusy || !comment.trim()}
+                    onClick={() =>
+                      runAction(() => reviewPromptVersion({ modelId, version, decision: 'request_changes', comment }))
+                    }
+                  >
+                    Request changes
+                  </Button>
+                </>
+              )}
+              <Button
+                size="small"
+                variant="outlined"
+                disabled={isBusy || !comment.trim()}
+                onClick={() => runAction(() => reviewPromptVersion({ modelId, version, decision: 'comment', comment }))}
+              >
+                Comment
+              </Button>
+              {review.status !== 'released' && (
+                <Button
+                  size="small"
+                  color="error"
+                  disabled={isBusy}
+                  onClick={() => runAction(() => retirePromptVersion({ modelId, version, reason: comment || undefined }))}
+                >
+                  Retire
+                </Button>
+              )}
+            </Stack>
+          </Stack>
+        )}
+        <Stack spacing={1.5}>
+          {review.reviews.map((item) => (
+            <div key={item.id}>
+              <Typography variant="body2" sx={{ color: '#abd4d7' }}>
+                {userName(item.user)} {DECISIONS[item.decision]} · {new Date(item.createdAt).toLocaleString()}
+              </Typography>
+              {item.comment && <Typography variant="body2">{item.comment}</Typography>}
+            </div>
+          ))}
+        </Stack>
+        {review.transitions.length > 0 && (
+          <>
+            <Divider sx={{ borderColor: '#1a2a33', my: 2 }} />
+            <Stack spacing={0.5}>
+              {review.transitions.map((transition) => (
+                <Typography key={transition.id} variant="caption" sx={{ color: '#abd4d7' }}>
+                  {new Date(transition.createdAt).toLocaleString()} ·{' '}
+                  {transition.fromStatus ? `${VERSION_STATUSES[transition.fromStatus]?.label} → ` : 'Created as '}
+                  {VERSION_STATUSES[transition.toStatus]?.label} by {userName(transition.user)}
+                  {transition.reason ? ` · ${transition.reason}` : ''}
+                </Typography>
+              ))}
+            </Stack>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
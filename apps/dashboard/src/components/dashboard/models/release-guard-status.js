@@ -0,0 +1,127 @@
+/**
+ * @fileoverview ReleaseGuardStatus component for the latest prompt release
+ * Shows whether the release is being watched, passed or was rolled back, and
+ * rolls it back in one click
+ */
+
+'use client';
+
+import * as React from 'react';
+import {
+  Alert,
+  Button,
+  Chip,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Stack,
+  Tooltip,
+  Typography,
+} from '@mui/material';
+import { ArrowCounterClockwise } from '@phosphor-icons/react';
+import { useGetDeployHistoryQuery, useRollbackPromptMutation } from '@/services/promptService';
+
+const GUARD_STATUSES = {
+  watching: { label: 'Guard watching', color: 'info' },
+  passed: { label: 'Guard passed', color: 'success' },
+  inconclusive: { label: 'Guard inconclusive', color: 'warning' },
+  rolled_back: { label: 'Rolled back', color: 'error' },
+  superseded: { label: 'Superseded', color: 'default' },
+};
+
+/**
+ * ReleaseGuardStatus component
+ * @component
+ * @param {Object} props - Component props
+ * @param {string|number} props.modelId - ID of the model (agent node)
+ * @param {Array<Object>} [props.promptVersions] - Versions as shown on the page, to label deploys with their number
+ * @param {Function} [props.onRolledBack] - Called after a rollback
+ * @returns {JSX.Element|null} Rendered status, or null before the first release
+ */
+export function ReleaseGuardStatus({ modelId, promptVersions = [], onRolledBack }) {
+  const { data } = useGetDeployHistoryQuery(modelId, { skip: !modelId });
+  const [rollbackPrompt, { isLoading: isRollingBack }] = useRollbackPromptMutation();
+  const [confirmOpen, setConfirmOpen] = React.useState(false);
+  const [rollbackError, setRollbackError] = React.useState('');
+
+  const deploys = data?.deploys || [];
+  const latestRelease = deploys.find((deploy) => deploy.action === 'release');
+  const latestRollback = deploys[0]?.action === 'rollback' ? deploys[0] : null;
+  if (!latestRelease) {
+    return null;
+  }
+
+  const versionLabel = (versionId) => {
+    const version = promptVersions.find((promptVersion) => promptVersion.id === versionId);
+    return version ? `Version ${version.version}` : 'the previous version';
+  };
+  const guardStatus = GUARD_STATUSES[latestRelease.guardStatus];
+  const canRollBack = Boolean(latestRelease.previousModelVersionId) && !latestRollback;
+
+  const handleRollback = async () => {
+    setRollbackError('');
+    try {
+      await rollbackPrompt({ modelId, deployId: latestRelease.id }).unwrap();
+      setConfirmOpen(false);
+      onRolledBack?.();
+    } catch (err) {
+      setRollbackError(err?.data?.error || err?.message || 'Failed to roll back.');
+    }
+  };
+
+  return (
+    <>
+      <Stack direction="row" spacing={1.5} alignItems="center" sx={{ mt: 2, flexWrap: 'wrap' }}>
+        {guardStatus && (
+          <Tooltip
+            title={
+              latestRelease.guardStatus === 'watching'
+                ? `Rolls back automatically if it does worse than the previous version until ${new Date(latestRelease.guardEndsAt).toLocaleString()}`
+                : ''
+            }
+          >
+            <Chip label={guardStatus.label} color={guardStatus.color} size="small" variant="outlined" />
+          </Tooltip>
+        )}
+        {latestRollback ? (
+          <Typography variant="body2" sx={{ color: '#abd4d7' }}>
+            Back on {versionLabel(latestRollback.modelVersionId)}: {latestRollback.reason}
+          </Typography>
+        ) : (
+          canRollBack && (
+            <Button
+              size="small"
+              variant="outlined"
+              color="error"
+              startIcon={<ArrowCounterClockwise />}
+              onClick={() => setConfirmOpen(true)}
+            >
+              Roll back to {versionLabel(latestRelease.previousModelVersionId)}
+            </Button>
+          )
+        )}
+      </Stack>
+
+      <Dialog open={confirmOpen} onClose={() => setConfirmOpen(false)} maxWidth="xs" fullWidth>
+        <DialogTitle>Roll back release</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2">
+            {versionLabel(latestRelease.previousModelVersionId)} will be deployed again and get all production traffic.
+          </Typography>
+          {rollbackError && (
+            <Alert severity="error" sx={{ mt: 2 }}>
+              {rollbackError}
+            </Alert>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setConfirmOpen(false)}>Cancel</Button>
+          <Button color="error" variant="contained" onClick={handleRollback} disabled={isRollingBack}>
+            {isRollingBack ? 'Rolling back...' : 'Roll back'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+}
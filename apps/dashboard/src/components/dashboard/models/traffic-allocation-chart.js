@@ -0,0 +1,223 @@
+/**
+ * @fileoverview TrafficAllocationChart component for a model's prompt versions
+ * Charts how served traffic was split between versions over time and turns
+ * the bandit that re-splits it by accuracy on or off
+ */
+
+'use client';
+
+import * as React from 'react';
+import {
+  Alert,
+  Box,
+  Card,
+  CardContent,
+  CardHeader,
+  Chip,
+  FormControlLabel,
+  MenuItem,
+  Select,
+  Stack,
+  Switch,
+  Tooltip as MuiTooltip,
+  Typography,
+} from '@mui/material';
+import { Area, AreaChart, ResponsiveContainer, Tooltip, XAxis, YAxis } from 'recharts';
+
+import { NoSsr } from '@/components/core/no-ssr';
+import {
+  useGetPromptBanditQuery,
+  useGetTrafficHistoryQuery,
+  useUpdatePromptBanditMutation,
+} from '@/services/promptService';
+
+const COLORS = ['#4dd0e1', '#ffb74d', '#81c784', '#ba68c8', '#e57373', '#90a4ae'];
+
+const ALGORITHMS = {
+  thompson: 'Thompson sampling',
+  ucb: 'UCB1',
+};
+
+const SOURCES = {
+  manual: 'Set by hand',
+  bandit: 'Bandit update',
+  release: 'Release',
+  rollback: 'Rollback',
+};
+
+/**
+ * One point per change, holding until the next; the last one is carried to now
+ * @param {Array<Object>} changes - TrafficAllocationChange records, oldest first
+ * @param {Array<number>} versionIds - Every version that ever got traffic
+ * @returns {Array<Object>} [{ date, source, [promptVersionId]: weight }]
+ */
+const toChartData = (changes, versionIds) => {
+  const points = changes.map((change) => ({
+    date: new Date(change.createdAt).getTime(),
+    source: change.source,
+    ...Object.fromEntries(
+      versionIds.map((versionId) => [
+        versionId,
+        change.allocations.find((allocation) => allocation.promptVersionId === versionId)?.weight || 0,
+      ])
+    ),
+  }));
+  if (points.length) {
+    points.push({ ...points[points.length - 1], date: Date.now(), source: null });
+  }
+  return points;
+};
+
+function TooltipContent({ active, payload, label, versionLabel }) {
+  if (!active || !payload?.length) {
+    return null;
+  }
+  const { source } = payload[0].payload;
+  return (
+    <Box sx={{ bgcolor: '#00282f', border: '1px solid #1a2a33', borderRadius: 1, p: 1.5 }}>
+      <Typography variant="caption" sx={{ color: '#abd4d7' }}>
+        {new Date(label).toLocaleString()}
+        {source ? ` · ${SOURCES[source]}` : ''}
+      </Typography>
+      {payload
+        .filter((entry) => entry.value)
+        .map((entry) => (
+          <Typography key={entry.dataKey} variant="body2" sx={{ color: entry.color }}>
+            {versionLabel(Number(entry.dataKey))}: {entry.value}%
+          </Typography>
+        ))}
+    </Box>
+  );
+}
+
+/**
+ * TrafficAllocationChart component
+ * @component
+ * @param {Object} props - Component props
+ * @param {string|number} props.modelId - ID of the model (agent node)
+ * @param {Array<Object>} [props.promptVersions] - Versions as shown on the page, to label the series with their number
+ * @param {string} [props.bgColor] - Card background
+ * @returns {JSX.Element} Rendered chart and bandit controls
+ */
+export function TrafficAllocationChart({ modelId, promptVersions = [], bgColor }) {
+  const { data: changes = [] } = useGetTrafficHistoryQuery(modelId, { skip: !modelId });
+  const { data: bandit } = useGetPromptBanditQuery(modelId, { skip: !modelId });
+  const [updatePromptBandit, { isLoading: isUpdating }] = useUpdatePromptBanditMutation();
+  const [banditError, setBanditError] = React.useState('');
+
+  const versionIds = React.useMemo(
+    () => [...new Set(changes.flatMap((change) => change.allocations.map((allocation) => allocation.promptVersionId)))],
+    [changes]
+  );
+  const chartData = React.useMemo(() => toChartData(changes, versionIds), [changes, versionIds]);
+  const versionLabel = (versionId) => {
+    const version = promptVersions.find((promptVersion) => promptVersion.id === versionId);
+    return version ? `Version ${version.version}` : `Version #${versionId}`;
+  };
+
+  const config = bandit?.config;
+  const handleBanditChange = async (settings) => {
+    setBanditError('');
+    try {
+      await updatePromptBandit({ modelId, promptBandit: settings }).unwrap();
+    } catch (err) {
+      setBanditError(err?.data?.error || err?.message || 'Failed to update the bandit.');
+    }
+  };
+
+  return (
+    <Card sx={{ bgcolor: bgColor }}>
+      <CardHeader
+        title="Traffic Allocation"
+        subheader="Share of production traffic each prompt version was served"
+        action={
+          config && (
+            <Stack direction="row" spacing={1.5} alignItems="center">
+              <Select
+                size="small"
+                value={config.algorithm}
+                disabled={isUpdating}
+                onChange={(event) => handleBanditChange({ algorithm: event.target.value })}
+              >
+                {Object.entries(ALGORITHMS).map(([value, label]) => (
+                  <MenuItem key={value} value={value}>
+                    {label}
+                  </MenuItem>
+                ))}
+              </Select>
+              <MuiTooltip
+                title={`Shifts traffic towards the versions that evaluate as correct most often. Every version keeps at least ${config.explorationFloor}%.`}
+              >
+                <FormControlLabel
+                  control={
+                    <Switch
+                      checked={config.enabled}
+                      disabled={isUpdating}
+                      onChange={(event) => handleBanditChange({ enabled: event.target.checked })}
+                    />
+                  }
+                  label="Bandit"
+                />
+              </MuiTooltip>
+            </Stack>
+          )
+        }
+      />
+      <CardContent>
+        {banditError && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {banditError}
+          </Alert>
+        )}
+        {config?.enabled && bandit.arms.length > 0 && (
+          <Stack direction="row" spacing={1} sx={{ mb: 2, flexWrap: 'wrap' }}>
+            {bandit.arms.map((arm) => (
+              <Chip
+                key={arm.promptVersionId}
+                size="small"
+                variant="outlined"
+                label={`${versionLabel(arm.promptVersionId)}: ${arm.weight ?? 0}% · ${arm.successes}/${arm.trials} correct`}
+              />
+            ))}
+          </Stack>
+        )}
+        {!chartData.length ? (
+          <Typography color="text.secondary" variant="body2">
+            Traffic has not been split between versions yet.
+          </Typography>
+        ) : (
+          <NoSsr>
+            <ResponsiveContainer width="100%" height={220}>
+              <AreaChart data={chartData} margin={{ right: 25, top: 10 }}>
+                <XAxis
+                  dataKey="date"
+                  type="number"
+                  scale="time"
+                  domain={['dataMin', 'dataMax']}
+                  tickFormatter={(value) => new Date(value).toLocaleDateString()}
+                  axisLine={false}
+                  tickLine={false}
+                />
+                <YAxis axisLine={false} domain={[0, 100]} type="number" unit="%" />
+                {versionIds.map((versionId, index) => (
+                  <Area
+                    key={versionId}
+                    animationDuration={300}
+                    dataKey={String(versionId)}
+                    stackId="traffic"
+                    type="stepAfter"
+                    stroke={COLORS[index % COLORS.length]}
+                    fill={COLORS[index % COLORS.length]}
+                    fillOpacity={0.3}
+                    strokeWidth={2}
+                  />
+                ))}
+                <Tooltip animationDuration={50} content={<TooltipContent versionLabel={versionLabel} />} />
+              </AreaChart>
+            </ResponsiveContainer>
+          </NoSsr>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
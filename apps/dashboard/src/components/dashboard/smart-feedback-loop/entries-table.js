@@ -15,7 +15,9 @@ import { Eye, Warning } from '@phosphor-icons/react';
 import { format } from 'date-fns';
 
 import { isCorrect } from '@/lib/evaluation';
+import { useSelection } from '@/hooks/use-selection';
 import { DataTable } from '@/components/core/data-table';
+import { AddToDatasetDialog } from '@/components/dashboard/datasets/add-to-dataset-dialog';
 
 import { CustomersPagination } from '../monitoring/customers-pagination';
 import { CustomersSelectionProvider } from '../monitoring/customers-selection-context';
@@ -189,6 +191,13 @@ export function EntriesTable({
   const dataToShow = paginated
     ? filteredEntries
     : filteredEntries.slice(page * rowsPerPage, page * rowsPerPage + rowsPerPage);
+
+  // Selected entries can be copied into a dataset
+  // Keyed by the ids so the selection only resets when the visible rows change
+  const visibleIdsKey = dataToShow.map((entry) => entry.id).join(',');
+  const visibleIds = React.useMemo(() => (visibleIdsKey ? visibleIdsKey.split(',').map(Number) : []), [visibleIdsKey]);
+  const selection = useSelection(visibleIds);
+  const [addToDatasetOpen, setAddToDatasetOpen] = React.useState(false);
   return (
     <Card id="alerts-table" style={enabledVerified ? { overflow: 'visible' } : null}>
       {!reviewed && entries && enabledVerified && (
@@ -252,10 +261,27 @@ export function EntriesTable({
             />
           )}
           {enabledVerified && <Divider />}
+          {selection.selectedAny && (
+            <Stack direction="row" spacing={2} alignItems="center" sx={{ px: 3, py: 1.5 }}>
+              <Typography variant="body2">{selection.selected.size} selected</Typography>
+              <Button size="small" variant="contained" onClick={() => setAddToDatasetOpen(true)}>
+                Add to Dataset
+              </Button>
+              <Button size="small" onClick={selection.deselectAll}>
+                Clear
+              </Button>
+            </Stack>
+          )}
           <Box sx={{ overflowX: 'auto', overflow: 'visible' }}>
             <DataTable
               rows={dataToShow}
               columns={columns(type, router, modelId, reviewed)}
+              selectable
+              selected={selection.selected}
+              onSelectAll={selection.selectAll}
+              onDeselectAll={selection.deselectAll}
+              onSelectOne={(event, entry) => selection.selectOne(entry.id)}
+              onDeselectOne={(event, entry) => selection.deselectOne(entry.id)}
               onClick={(event, entry) => {
                 if (reviewed) {
                   const originalParams = new URLSearchParams(window.location.search);
@@ -312,6 +338,12 @@ export function EntriesTable({
           />
         </CustomersSelectionProvider>
       </Box>
+      <AddToDatasetDialog
+        open={addToDatasetOpen}
+        onClose={() => setAddToDatasetOpen(false)}
+        onAdded={() => selection.deselectAll()}
+        modelLogIds={[...selection.selected]}
+      />
     </Card>
   );
 }
@@ -37,6 +37,8 @@
  * @property {Object} paths.dashboard.settings - Settings routes
  * @property {Object} paths.dashboard.monitoring - Monitoring routes
  * @property {string} paths.dashboard.evaluationHub - Evaluation hub route for model evaluators
+ * @property {string} paths.dashboard.experiments - Offline experiments comparing prompt versions on datasets
+ * @property {string} paths.dashboard.evaluationBackfills - Evaluator re-runs over past entries and their before/after scores
  * 
  * @property {Object} paths.components - UI components routes
  * @property {string} paths.components.index - Components index route
@@ -90,6 +92,8 @@ export const paths = {
     modelRefinement: '/model-refinement',
     datasets: '/datasets',
     evaluationHub: '/evaluation-hub',
+    experiments: '/experiments',
+    evaluationBackfills: '/evaluation-backfills',
     docs: '/docs',
     mail: {
       list: (label) => `/mail/${label}`,
@@ -17,11 +17,14 @@ import { baseQueryWithSandbox } from './baseQuery';
  * - Dataset creation
  * - Dataset updates
  * - Dataset deletion
+ * - Dataset items, their import/export and splits
+ * - Dataset version snapshots
+ * - Curation of production entries and executions into datasets
  */
 export const datasetsApi = createApi({
   reducerPath: 'datasetsApi',
   baseQuery: baseQueryWithSandbox,
-  tagTypes: ['datasets'],
+  tagTypes: ['datasets', 'datasetItems', 'datasetVersions', 'curationRules'],
   endpoints: (builder) => ({
     /**
      * Get user's datasets
@@ -92,8 +95,231 @@ export const datasetsApi = createApi({
       }),
       invalidatesTags: ['datasets'],
     }),
+    /**
+     * Get the current items of a dataset
+     * @type {QueryEndpoint}
+     * @param {Object} params - { datasetId, split, tag, offset, limit }
+     * @returns {Object} { total, items }
+     */
+    getDatasetItems: builder.query({
+      query: ({ datasetId, ...params }) => ({
+        url: `datasets/${datasetId}/items`,
+        params,
+      }),
+      providesTags: (result, error, { datasetId }) => [{ type: 'datasetItems', id: datasetId }],
+    }),
+    /**
+     * Add one item or an array of items to a dataset
+     * @type {MutationEndpoint}
+     * @param {Object} params - { datasetId, items }
+     */
+    createDatasetItems: builder.mutation({
+      query: ({ datasetId, items }) => ({
+        url: `datasets/${datasetId}/items`,
+        method: 'POST',
+        body: items,
+      }),
+      invalidatesTags: (result, error, { datasetId }) => [{ type: 'datasetItems', id: datasetId }],
+    }),
+    /**
+     * Update the input, expected output, metadata, tags or split of an item
+     * @type {MutationEndpoint}
+     * @param {Object} params - { datasetId, itemId, ...fields }
+     */
+    updateDatasetItem: builder.mutation({
+      query: ({ datasetId, itemId, ...body }) => ({
+        url: `datasets/${datasetId}/items/${itemId}`,
+        method: 'PUT',
+        body,
+      }),
+      invalidatesTags: (result, error, { datasetId }) => [{ type: 'datasetItems', id: datasetId }],
+    }),
+    /**
+     * Delete an item; versions keep their copy of it
+     * @type {MutationEndpoint}
+     * @param {Object} params - { datasetId, itemId }
+     */
+    deleteDatasetItem: builder.mutation({
+      query: ({ datasetId, itemId }) => ({
+        url: `datasets/${datasetId}/items/${itemId}`,
+        method: 'DELETE',
+      }),
+      invalidatesTags: (result, error, { datasetId }) => [{ type: 'datasetItems', id: datasetId }],
+    }),
+    /**
+     * Import a CSV, JSONL or JSON file of items
+     * @type {MutationEndpoint}
+     * @param {Object} params - { datasetId, file, format }
+     * @returns {Object} { imported }, or an error with per-row errors
+     */
+    importDatasetItems: builder.mutation({
+      query: ({ datasetId, file, format }) => {
+        const formData = new FormData();
+        formData.append('file', file);
+        if (format) {
+          formData.append('format', format);
+        }
+
+        return {
+          url: `datasets/${datasetId}/items/import`,
+          method: 'POST',
+          body: formData,
+        };
+      },
+      invalidatesTags: (result, error, { datasetId }) => [{ type: 'datasetItems', id: datasetId }],
+    }),
+    /**
+     * Download the current items, or a version's, as a file
+     * @type {MutationEndpoint}
+     * @param {Object} params - { datasetId, format, version, split }
+     * @returns {string} The file contents
+     */
+    exportDatasetItems: builder.mutation({
+      query: ({ datasetId, ...params }) => ({
+        url: `datasets/${datasetId}/items/export`,
+        params,
+        responseHandler: 'text',
+      }),
+    }),
+    /**
+     * Assign items to train, test and validation splits
+     * @type {MutationEndpoint}
+     * @param {Object} params - { datasetId, train, test, validation, seed, onlyUnassigned }
+     * @returns {Object} Item count per split
+     */
+    assignDatasetSplits: builder.mutation({
+      query: ({ datasetId, ...body }) => ({
+        url: `datasets/${datasetId}/splits`,
+        method: 'POST',
+        body,
+      }),
+      invalidatesTags: (result, error, { datasetId }) => [{ type: 'datasetItems', id: datasetId }],
+    }),
+    /**
+     * Get the version snapshots of a dataset, newest first
+     * @type {QueryEndpoint}
+     * @param {string} datasetId - ID of the dataset
+     */
+    getDatasetVersions: builder.query({
+      query: (datasetId) => ({
+        url: `datasets/${datasetId}/versions`,
+      }),
+      providesTags: (result, error, datasetId) => [{ type: 'datasetVersions', id: datasetId }],
+    }),
+    /**
+     * Snapshot the current items as a new immutable version
+     * @type {MutationEndpoint}
+     * @param {Object} params - { datasetId, description }
+     */
+    createDatasetVersion: builder.mutation({
+      query: ({ datasetId, description }) => ({
+        url: `datasets/${datasetId}/versions`,
+        method: 'POST',
+        body: { description },
+      }),
+      invalidatesTags: (result, error, { datasetId }) => [{ type: 'datasetVersions', id: datasetId }, 'datasets'],
+    }),
+    /**
+     * Copy LLM node entries and agent executions into a dataset
+     * @type {MutationEndpoint}
+     * @param {Object} params - { datasetId, modelLogIds, agentLogIds, split, tags, deduplicate }
+     * @returns {Object} { added, skipped, notFound }
+     */
+    addDatasetItemsFromLogs: builder.mutation({
+      query: ({ datasetId, ...body }) => ({
+        url: `datasets/${datasetId}/items/from-logs`,
+        method: 'POST',
+        body,
+      }),
+      invalidatesTags: (result, error, { datasetId }) => [{ type: 'datasetItems', id: datasetId }],
+    }),
+    /**
+     * Get the curation rules of a dataset
+     * @type {QueryEndpoint}
+     * @param {string} datasetId - ID of the dataset
+     */
+    getCurationRules: builder.query({
+      query: (datasetId) => ({
+        url: `datasets/${datasetId}/curation-rules`,
+      }),
+      providesTags: (result, error, datasetId) => [{ type: 'curationRules', id: datasetId }],
+    }),
+    /**
+     * Save a rule that keeps copying matching production logs into a dataset
+     * @type {MutationEndpoint}
+     * @param {Object} params - { datasetId, name, source, modelId, agentId, filters, ... }
+     */
+    createCurationRule: builder.mutation({
+      query: ({ datasetId, ...body }) => ({
+        url: `datasets/${datasetId}/curation-rules`,
+        method: 'POST',
+        body,
+      }),
+      invalidatesTags: (result, error, { datasetId }) => [{ type: 'curationRules', id: datasetId }],
+    }),
+    /**
+     * Update a curation rule, e.g. to enable or disable it
+     * @type {MutationEndpoint}
+     * @param {Object} params - { datasetId, ruleId, ...fields }
+     */
+    updateCurationRule: builder.mutation({
+      query: ({ datasetId, ruleId, ...body }) => ({
+        url: `datasets/${datasetId}/curation-rules/${ruleId}`,
+        method: 'PUT',
+        body,
+      }),
+      invalidatesTags: (result, error, { datasetId }) => [{ type: 'curationRules', id: datasetId }],
+    }),
+    /**
+     * Delete a curation rule; the items it added stay in the dataset
+     * @type {MutationEndpoint}
+     * @param {Object} params - { datasetId, ruleId }
+     */
+    deleteCurationRule: builder.mutation({
+      query: ({ datasetId, ruleId }) => ({
+        url: `datasets/${datasetId}/curation-rules/${ruleId}`,
+        method: 'DELETE',
+      }),
+      invalidatesTags: (result, error, { datasetId }) => [{ type: 'curationRules', id: datasetId }],
+    }),
+    /**
+     * Run a curation rule now
+     * @type {MutationEndpoint}
+     * @param {Object} params - { datasetId, ruleId }
+     * @returns {Object} { added, version }
+     */
+    runCurationRule: builder.mutation({
+      query: ({ datasetId, ruleId }) => ({
+        url: `datasets/${datasetId}/curation-rules/${ruleId}/run`,
+        method: 'POST',
+      }),
+      invalidatesTags: (result, error, { datasetId }) => [
+        { type: 'curationRules', id: datasetId },
+        { type: 'datasetItems', id: datasetId },
+        { type: 'datasetVersions', id: datasetId },
+      ],
+    }),
   }),
 });
 
-export const { useGetDatasetsQuery, useAddDatasetsMutation, useUpdateDatasetsMutation, useDeleteDatasetsMutation } =
-  datasetsApi;
+export const {
+  useGetDatasetsQuery,
+  useAddDatasetsMutation,
+  useUpdateDatasetsMutation,
+  useDeleteDatasetsMutation,
+  useGetDatasetItemsQuery,
+  useCreateDatasetItemsMutation,
+  useUpdateDatasetItemMutation,
+  useDeleteDatasetItemMutation,
+  useImportDatasetItemsMutation,
+  useExportDatasetItemsMutation,
+  useAssignDatasetSplitsMutation,
+  useGetDatasetVersionsQuery,
+  useCreateDatasetVersionMutation,
+  useAddDatasetItemsFromLogsMutation,
+  useGetCurationRulesQuery,
+  useCreateCurationRuleMutation,
+  useUpdateCurationRuleMutation,
+  useDeleteCurationRuleMutation,
+  useRunCurationRuleMutation,
+} = datasetsApi;
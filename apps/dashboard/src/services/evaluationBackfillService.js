@@ -0,0 +1,67 @@
+import { createApi } from '@reduxjs/toolkit/query/react';
+import { baseQueryWithSandbox } from './baseQuery';
+
+/**
+ * Evaluation backfills: selected evaluators of a model re-run over its past
+ * entries, with their progress and original against backfilled scores
+ */
+export const evaluationBackfillApi = createApi({
+  reducerPath: 'evaluationBackfillApi',
+  baseQuery: baseQueryWithSandbox,
+  tagTypes: ['EvaluationBackfill'],
+  endpoints: (builder) => ({
+    getEvaluationBackfills: builder.query({
+      query: ({ modelId } = {}) => ({
+        url: '/evaluation-backfills',
+        method: 'GET',
+        params: modelId ? { modelId } : undefined,
+      }),
+      providesTags: (result) =>
+        result
+          ? [
+              ...result.map(({ id }) => ({ type: 'EvaluationBackfill', id })),
+              { type: 'EvaluationBackfill', id: 'LIST' },
+            ]
+          : [{ type: 'EvaluationBackfill', id: 'LIST' }],
+    }),
+    getEvaluationBackfillMetrics: builder.query({
+      query: (id) => ({ url: `/evaluation-backfills/${id}/metrics`, method: 'GET' }),
+      providesTags: (result, error, id) => [{ type: 'EvaluationBackfill', id }],
+    }),
+    /**
+     * Entries and tokens and cost per evaluator a backfill would take,
+     * without creating it
+     * @param {Object} body - { modelId, evaluationPromptIds, filters }
+     */
+    estimateEvaluationBackfill: builder.mutation({
+      query: (body) => ({
+        url: '/evaluation-backfills/estimate',
+        method: 'POST',
+        body,
+      }),
+    }),
+    createEvaluationBackfill: builder.mutation({
+      query: (body) => ({
+        url: '/evaluation-backfills',
+        method: 'POST',
+        body,
+      }),
+      invalidatesTags: [{ type: 'EvaluationBackfill', id: 'LIST' }],
+    }),
+    cancelEvaluationBackfill: builder.mutation({
+      query: (id) => ({ url: `/evaluation-backfills/${id}/cancel`, method: 'POST' }),
+      invalidatesTags: (result, error, id) => [
+        { type: 'EvaluationBackfill', id },
+        { type: 'EvaluationBackfill', id: 'LIST' },
+      ],
+    }),
+  }),
+});
+
+export const {
+  useGetEvaluationBackfillsQuery,
+  useGetEvaluationBackfillMetricsQuery,
+  useEstimateEvaluationBackfillMutation,
+  useCreateEvaluationBackfillMutation,
+  useCancelEvaluationBackfillMutation,
+} = evaluationBackfillApi;
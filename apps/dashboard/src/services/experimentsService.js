@@ -0,0 +1,59 @@
+import { createApi } from '@reduxjs/toolkit/query/react';
+import { baseQueryWithSandbox } from './baseQuery';
+
+/**
+ * Offline experiments: prompt versions of a model run on dataset items and
+ * scored by evaluators
+ */
+export const experimentsApi = createApi({
+  reducerPath: 'experimentsApi',
+  baseQuery: baseQueryWithSandbox,
+  tagTypes: ['Experiment'],
+  endpoints: (builder) => ({
+    getExperiments: builder.query({
+      query: ({ modelId } = {}) => ({
+        url: '/experiments',
+        method: 'GET',
+        params: modelId ? { modelId } : undefined,
+      }),
+      providesTags: (result) =>
+        result
+          ? [
+              ...result.map(({ id }) => ({ type: 'Experiment', id })),
+              { type: 'Experiment', id: 'LIST' },
+            ]
+          : [{ type: 'Experiment', id: 'LIST' }],
+    }),
+    getExperiment: builder.query({
+      query: (id) => ({ url: `/experiments/${id}`, method: 'GET' }),
+      providesTags: (result, error, id) => [{ type: 'Experiment', id }],
+    }),
+    createExperiment: builder.mutation({
+      query: (body) => ({
+        url: '/experiments',
+        method: 'POST',
+        body,
+      }),
+      invalidatesTags: [{ type: 'Experiment', id: 'LIST' }],
+    }),
+    runExperiment: builder.mutation({
+      query: (id) => ({ url: `/experiments/${id}/run`, method: 'POST' }),
+      invalidatesTags: (result, error, id) => [
+        { type: 'Experiment', id },
+        { type: 'Experiment', id: 'LIST' },
+      ],
+    }),
+    deleteExperiment: builder.mutation({
+      query: (id) => ({ url: `/experiments/${id}`, method: 'DELETE' }),
+      invalidatesTags: [{ type: 'Experiment', id: 'LIST' }],
+    }),
+  }),
+});
+
+export const {
+  useGetExperimentsQuery,
+  useGetExperimentQuery,
+  useCreateExperimentMutation,
+  useRunExperimentMutation,
+  useDeleteExperimentMutation,
+} = experimentsApi;
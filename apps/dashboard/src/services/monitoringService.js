@@ -186,6 +186,23 @@ export const monitoringApi = createApi({
         url: `ab-tests/model/${modelId}/reference-lines`,
       }),
     }),
+
+    /**
+     * Get A/B test significance
+     * @type {QueryEndpoint}
+     * @param {Object} params - { modelId, sequential }
+     * @returns {Object} { sequential, comparisons }
+     *
+     * @description
+     * Retrieves the significance verdict, confidence intervals, p-values and
+     * sample sizes of each A/B variant against the original model.
+     */
+    getABSignificance: builder.query({
+      query: ({ modelId, sequential }) => ({
+        url: `ab-tests/model/${modelId}/significance`,
+        params: { sequential },
+      }),
+    }),
   }),
 });
 
@@ -200,4 +217,5 @@ export const {
   useGetABMetricsFullDateQuery,
   useGetModelOptimizedQuery,
   useGetReferenceLinesQuery,
+  useGetABSignificanceQuery,
 } = monitoringApi;
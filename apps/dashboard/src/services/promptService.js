@@ -20,7 +20,7 @@ import { baseQueryWithSandbox } from './baseQuery';
 export const promptApi = createApi({
   reducerPath: 'promptApi',
   baseQuery: baseQueryWithSandbox,
-  tagTypes: ['prompts'],
+  tagTypes: ['prompts', 'deploys', 'traffic', 'reviews'],
   endpoints: (builder) => ({
     /**
      * Get current prompt for model
@@ -158,7 +158,7 @@ export const promptApi = createApi({
         url: `/prompt-versions/model/${modelId}/prompt/${version}/release/${originalModelId}`,
         method: 'POST',
       }),
-      invalidatesTags: (result, error, modelId) => [{ type: 'prompts', id: modelId }],
+      invalidatesTags: (result, error, modelId) => [{ type: 'prompts', id: modelId }, 'deploys', 'traffic', 'reviews'],
     }),
 
     /**
@@ -212,6 +212,176 @@ export const promptApi = createApi({
       query: (agentId) => `/prompt-versions/agents/${agentId}/model-optimization-status`,
       transformResponse: (response) => response,
     }),
+
+    /**
+     * Get deploy history
+     * @type {QueryEndpoint}
+     * @param {string} modelId - ID of the model
+     * @returns {Object} { releaseGuard, deploys }
+     *
+     * @description
+     * Retrieves the releases and rollbacks of a model, newest first, with the
+     * status of their post-release guard and the model's guard settings.
+     */
+    getDeployHistory: builder.query({
+      query: (modelId) => `/prompt-versions/model/${modelId}/deploys`,
+      transformResponse: (response) => response.data,
+      providesTags: (result, error, modelId) => [{ type: 'deploys', id: modelId }],
+    }),
+
+    /**
+     * Roll back a release
+     * @type {MutationEndpoint}
+     * @param {Object} params - Rollback parameters
+     * @param {string} params.modelId - ID of the model
+     * @param {number} [params.deployId] - Release to roll back, the latest by default
+     * @returns {Object} The rollback's deploy record
+     *
+     * @description
+     * Reactivates the version a release replaced.
+     */
+    rollbackPrompt: builder.mutation({
+      query: ({ modelId, deployId }) => ({
+        url: `/prompt-versions/model/${modelId}/rollback`,
+        method: 'POST',
+        body: { deployId },
+      }),
+      invalidatesTags: (result, error, { modelId }) => [{ type: 'deploys', id: modelId }, 'prompts', 'traffic'],
+    }),
+
+    /**
+     * Get traffic allocation history
+     * @type {QueryEndpoint}
+     * @param {string} modelId - ID of the model
+     * @returns {Array} Traffic split changes, oldest first
+     *
+     * @description
+     * Retrieves the audit trail of how the model's served traffic was split
+     * between its prompt versions: manual splits, bandit updates, releases and
+     * rollbacks.
+     */
+    getTrafficHistory: builder.query({
+      query: (modelId) => `/prompt-versions/model/${modelId}/traffic/history`,
+      providesTags: (result, error, modelId) => [{ type: 'traffic', id: modelId }],
+    }),
+
+    /**
+     * Get bandit status
+     * @type {QueryEndpoint}
+     * @param {string} modelId - ID of the model
+     * @returns {Object} { config, arms }
+     *
+     * @description
+     * Retrieves the bandit settings and the accuracy and weight of each
+     * version it splits traffic between.
+     */
+    getPromptBandit: builder.query({
+      query: (modelId) => `/prompt-versions/model/${modelId}/bandit`,
+      providesTags: (result, error, modelId) => [{ type: 'traffic', id: modelId }],
+    }),
+
+    /**
+     * Update bandit settings
+     * @type {MutationEndpoint}
+     * @param {Object} params - Bandit parameters
+     * @param {string} params.modelId - ID of the model
+     * @param {Object} params.promptBandit - { enabled, algorithm, promptVersionIds, explorationFloor, lookbackDays }
+     * @returns {Object} { config, arms }
+     *
+     * @description
+     * Turns the bandit on or off or changes its settings. Turning it on
+     * splits the traffic right away.
+     */
+    updatePromptBandit: builder.mutation({
+      query: ({ modelId, promptBandit }) => ({
+        url: `/prompt-versions/model/${modelId}/bandit`,
+        method: 'PUT',
+        body: { promptBandit },
+      }),
+      invalidatesTags: (result, error, { modelId }) => [{ type: 'traffic', id: modelId }],
+    }),
+
+    /**
+     * Get a version's review
+     * @type {QueryEndpoint}
+     * @param {Object} params - Version parameters
+     * @param {string} params.modelId - ID of the model the version belongs to
+     * @param {number} params.version - Version number
+     * @returns {Object} { status, policy, approval, reviews, transitions }
+     *
+     * @description
+     * Retrieves the version's state, the approval policy that applies to it,
+     * how many approvals it still needs, its review comments and every state
+     * it went through.
+     */
+    getVersionReview: builder.query({
+      query: ({ modelId, version }) => `/prompt-versions/model/${modelId}/prompt/${version}/reviews`,
+      transformResponse: (response) => response.data,
+      providesTags: (result, error, { modelId, version }) => [{ type: 'reviews', id: `${modelId}-${version}` }],
+    }),
+
+    /**
+     * Submit a version for review
+     * @type {MutationEndpoint}
+     * @param {Object} params - Version parameters
+     * @param {string} params.modelId - ID of the model the version belongs to
+     * @param {number} params.version - Version number
+     * @param {string} [params.comment] - Note for the reviewers
+     * @returns {Object} The version's review
+     */
+    submitPromptVersion: builder.mutation({
+      query: ({ modelId, version, comment }) => ({
+        url: `/prompt-versions/model/${modelId}/prompt/${version}/submit`,
+        method: 'POST',
+        body: { comment },
+      }),
+      transformResponse: (response) => response.data,
+      invalidatesTags: (result, error, { modelId, version }) => [{ type: 'reviews', id: `${modelId}-${version}` }, 'prompts'],
+    }),
+
+    /**
+     * Review a version
+     * @type {MutationEndpoint}
+     * @param {Object} params - Review parameters
+     * @param {string} params.modelId - ID of the model the version belongs to
+     * @param {number} params.version - Version number
+     * @param {string} params.decision - comment, approve or request_changes
+     * @param {string} [params.comment] - Review comment, required unless approving
+     * @returns {Object} The version's review
+     *
+     * @description
+     * Comments on, approves or sends back a version. Approving it once the
+     * policy is satisfied also opens any optimization pull request that was
+     * held back for it.
+     */
+    reviewPromptVersion: builder.mutation({
+      query: ({ modelId, version, decision, comment }) => ({
+        url: `/prompt-versions/model/${modelId}/prompt/${version}/reviews`,
+        method: 'POST',
+        body: { decision, comment },
+      }),
+      transformResponse: (response) => response.data,
+      invalidatesTags: (result, error, { modelId, version }) => [{ type: 'reviews', id: `${modelId}-${version}` }, 'prompts', 'traffic'],
+    }),
+
+    /**
+     * Retire a version
+     * @type {MutationEndpoint}
+     * @param {Object} params - Version parameters
+     * @param {string} params.modelId - ID of the model the version belongs to
+     * @param {number} params.version - Version number
+     * @param {string} [params.reason] - Why it is retired
+     * @returns {Object} The version's review
+     */
+    retirePromptVersion: builder.mutation({
+      query: ({ modelId, version, reason }) => ({
+        url: `/prompt-versions/model/${modelId}/prompt/${version}/retire`,
+        method: 'POST',
+        body: { reason },
+      }),
+      transformResponse: (response) => response.data,
+      invalidatesTags: (result, error, { modelId, version }) => [{ type: 'reviews', id: `${modelId}-${version}` }, 'prompts', 'traffic'],
+    }),
   }),
 });
 
@@ -229,4 +399,13 @@ export const {
   useGetPromptVersionMetricsQuery,
   useGetPromptVersionInsightsQuery,
   useGetModelOptimizationStatusQuery,
+  useGetDeployHistoryQuery,
+  useRollbackPromptMutation,
+  useGetTrafficHistoryQuery,
+  useGetPromptBanditQuery,
+  useUpdatePromptBanditMutation,
+  useGetVersionReviewQuery,
+  useSubmitPromptVersionMutation,
+  useReviewPromptVersionMutation,
+  useRetirePromptVersionMutation,
 } = promptApi; 
\ No newline at end of file
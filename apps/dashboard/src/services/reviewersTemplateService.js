@@ -19,11 +19,11 @@ export const reviewersTemplateApi = createApi({
     createEvaluationPrompt: builder.mutation({
       async queryFn(body, _queryApi, _extraOptions, baseQuery) {
         // Send metricId, not metric
-        const { name, prompt, metricId, associations = [], defaultProviderModel, defaultIntegrationTokenId } = body;
+        const { name, prompt, metricId, associations = [], defaultProviderModel, defaultIntegrationTokenId, type, functionBody } = body;
         const createRes = await baseQuery({
           url: '/reviewers-template/evaluation-prompts',
           method: 'POST',
-          body: { name, prompt, metricId, defaultProviderModel, defaultIntegrationTokenId },
+          body: { name, prompt, metricId, defaultProviderModel, defaultIntegrationTokenId, type, functionBody },
         });
         if (!createRes.data?.data?.id) {
           return { error: createRes.error || { message: 'Failed to create evaluation prompt' } };
@@ -56,6 +56,21 @@ export const reviewersTemplateApi = createApi({
         { type: 'ReviewersTemplate', id: 'LIST' },
       ],
     }),
+    testFunctionEvaluator: builder.mutation({
+      query: ({ id, name, functionBody, sampleEntry }) =>
+        id
+          ? {
+              url: `/reviewers-template/evaluation-prompts/${id}/test`,
+              method: 'POST',
+              body: { sampleEntry },
+            }
+          : {
+              url: '/reviewers-template/evaluation-prompts/test-function',
+              method: 'POST',
+              body: { name, functionBody, sampleEntry },
+            },
+      transformResponse: (response) => response.data,
+    }),
     associatePromptToModel: builder.mutation({
       query: ({ modelId, evaluationPromptId, integrationTokenId, providerModel }) => ({
         url: `/reviewers-template/models/${modelId}/evaluation-prompts`,
@@ -101,6 +116,34 @@ export const reviewersTemplateApi = createApi({
       transformResponse: (response) => response.data,
       providesTags: [{ type: 'ReviewersTemplate', id: 'STATS' }],
     }),
+    getEvaluatorCalibration: builder.query({
+      query: (params = {}) => ({
+        url: '/reviewers-template/evaluation-prompts/calibration',
+        params,
+      }),
+      transformResponse: (response) => response.data,
+      providesTags: [{ type: 'ReviewersTemplate', id: 'CALIBRATION' }],
+    }),
+    getEvaluationPromptVersions: builder.query({
+      query: (id) => `/reviewers-template/evaluation-prompts/${id}/versions`,
+      transformResponse: (response) => response.data,
+      providesTags: (result, error, id) => [{ type: 'ReviewersTemplate', id }],
+    }),
+    getEvaluationPromptVersionDiff: builder.query({
+      query: ({ id, from, to }) => ({
+        url: `/reviewers-template/evaluation-prompts/${id}/versions/diff`,
+        params: { from, to },
+      }),
+      transformResponse: (response) => response.data,
+    }),
+    getEvaluationPromptVersionMetrics: builder.query({
+      query: ({ id, ...params }) => ({
+        url: `/reviewers-template/evaluation-prompts/${id}/version-metrics`,
+        params,
+      }),
+      transformResponse: (response) => response.data,
+      providesTags: (result, error, { id }) => [{ type: 'ReviewersTemplate', id }],
+    }),
   }),
 });
 
@@ -108,9 +151,14 @@ export const {
   useGetEvaluationPromptsQuery,
   useCreateEvaluationPromptMutation,
   useUpdateEvaluationPromptMutation,
+  useTestFunctionEvaluatorMutation,
   useAssociatePromptToModelMutation,
   useGetPromptsForModelQuery,
   useGetEvaluationPromptStatsQuery,
+  useGetEvaluatorCalibrationQuery,
+  useGetEvaluationPromptVersionsQuery,
+  useGetEvaluationPromptVersionDiffQuery,
+  useGetEvaluationPromptVersionMetricsQuery,
   useUpdateAssociationMutation,
   useDeleteAssociationMutation,
 } = reviewersTemplateApi; 
\ No newline at end of file
@@ -25,6 +25,8 @@ import { integrationTokenApi } from '@/services/integrationTokenService';
 import { evaluatorMetricApi } from '@/services/evaluatorMetricService';
 import { providerApi } from '@/services/providerService';
 import { cliAuthApi } from '@/services/cliAuthService';
+import { experimentsApi } from '@/services/experimentsService';
+import { evaluationBackfillApi } from '@/services/evaluationBackfillService';
 
 /**
  * Combined reducer for all application state
@@ -57,6 +59,8 @@ const appReducer = combineReducers({
   [evaluatorMetricApi.reducerPath]: evaluatorMetricApi.reducer,
   [providerApi.reducerPath]: providerApi.reducer,
   [cliAuthApi.reducerPath]: cliAuthApi.reducer,
+  [experimentsApi.reducerPath]: experimentsApi.reducer,
+  [evaluationBackfillApi.reducerPath]: evaluationBackfillApi.reducer,
 });
 
 /**
@@ -110,5 +114,7 @@ export const store = configureStore({
       .concat(integrationTokenApi.middleware)
       .concat(evaluatorMetricApi.middleware)
       .concat(providerApi.middleware)
-      .concat(cliAuthApi.middleware),
+      .concat(cliAuthApi.middleware)
+      .concat(experimentsApi.middleware)
+      .concat(evaluationBackfillApi.middleware),
 });